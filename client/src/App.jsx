@@ -23,12 +23,32 @@ import SyncQueuePage from './pages/admin/SyncQueue';
 import BranchesAndStaffPage from './pages/admin/BranchesAndStaff';
 import StaffManagementPage from './pages/admin/StaffManagement';
 import HistoryLifecyclePage from './pages/admin/HistoryLifecycle';
+import IngredientsPage from './pages/admin/Ingredients';
+import PurchasingPage from './pages/admin/Purchasing';
+import ReorderPointsPage from './pages/admin/ReorderPoints';
+import InventoryValuationPage from './pages/admin/InventoryValuation';
+import StockLedgerPage from './pages/manager/StockLedger';
+import InventoryReconciliationPage from './pages/admin/InventoryReconciliation';
+import UnitsPage from './pages/admin/Units';
+import PromotionsPage from './pages/admin/Promotions';
+import TaxPage from './pages/admin/Tax';
+import ShiftsPage from './pages/admin/Shifts';
 import ManagerInventory from './pages/manager/Inventory';
 import ManagerBatches from './pages/manager/Batches';
+import ManagerOrders from './pages/manager/Orders';
+import WastePage from './pages/manager/Waste';
+import DayClosingPage from './pages/manager/DayClosing';
+import TransfersPage from './pages/manager/Transfers';
+import StocktakePage from './pages/manager/Stocktake';
+import LotsPage from './pages/manager/Lots';
+import RefundsPage from './pages/manager/Refunds';
 import ManagerProducts from './pages/admin/Products';
 import ManagerNotifications from './pages/admin/Notifications';
 import CashierSales from './pages/cashier/Sales';
 import CashierHistory from './pages/cashier/History';
+import CashierOrders from './pages/cashier/Orders';
+import CashierShift from './pages/cashier/Shift';
+import ReceivingPage from './pages/cashier/Receiving';
 
 function AppInner() {
   return (
@@ -39,7 +59,23 @@ function AppInner() {
             <Route path="dashboard" element={<AdminDashboard />} />
             <Route path="products" element={<ProductsPage />} />
             <Route path="inventory" element={<AdminInventory />} />
+            <Route path="ingredients" element={<IngredientsPage />} />
+            <Route path="units" element={<UnitsPage />} />
+            <Route path="purchasing" element={<PurchasingPage />} />
+            <Route path="waste" element={<WastePage />} />
+            <Route path="closing" element={<DayClosingPage />} />
+            <Route path="transfers" element={<TransfersPage />} />
+            <Route path="stocktake" element={<StocktakePage />} />
+            <Route path="reorder" element={<ReorderPointsPage />} />
+            <Route path="lots" element={<LotsPage />} />
+            <Route path="valuation" element={<InventoryValuationPage />} />
+            <Route path="ledger" element={<StockLedgerPage />} />
+            <Route path="reconciliation" element={<InventoryReconciliationPage />} />
             <Route path="sales" element={<SalesPage />} />
+            <Route path="refunds" element={<RefundsPage />} />
+            <Route path="promotions" element={<PromotionsPage />} />
+            <Route path="tax" element={<TaxPage />} />
+            <Route path="shifts" element={<ShiftsPage />} />
             <Route path="expenses" element={<ExpensesPage />} />
             <Route path="staff-payments" element={<StaffPaymentsPage />} />
             <Route path="reports" element={<ReportsPage />} />
@@ -52,14 +88,31 @@ function AppInner() {
           <Route path="/manager" element={<ProtectedRoute roles={['manager', 'admin']}><Layout /></ProtectedRoute>}>
             <Route path="inventory" element={<ManagerInventory />} />
             <Route path="batches" element={<ManagerBatches />} />
-            <Route path="orders" element={<Navigate to="/manager/batches" replace />} />
+            <Route path="receiving" element={<ReceivingPage />} />
+            <Route path="orders" element={<ManagerOrders />} />
+            <Route path="refunds" element={<RefundsPage />} />
+            <Route path="promotions" element={<PromotionsPage />} />
+            <Route path="tax" element={<TaxPage />} />
+            <Route path="shifts" element={<ShiftsPage />} />
+            <Route path="ingredients" element={<IngredientsPage />} />
+            <Route path="purchasing" element={<PurchasingPage />} />
+            <Route path="waste" element={<WastePage />} />
+            <Route path="closing" element={<DayClosingPage />} />
+            <Route path="transfers" element={<TransfersPage />} />
+            <Route path="stocktake" element={<StocktakePage />} />
+            <Route path="reorder" element={<ReorderPointsPage />} />
+            <Route path="lots" element={<LotsPage />} />
+            <Route path="valuation" element={<InventoryValuationPage />} />
+            <Route path="ledger" element={<StockLedgerPage />} />
             <Route path="products" element={<ManagerProducts />} />
             <Route path="notifications" element={<ManagerNotifications />} />
           </Route>
           <Route path="/cashier" element={<ProtectedRoute roles={['cashier', 'admin']}><Layout /></ProtectedRoute>}>
             <Route path="sales" element={<CashierSales />} />
-            <Route path="orders" element={<Navigate to="/cashier/sales" replace />} />
+            <Route path="shift" element={<CashierShift />} />
+            <Route path="orders" element={<CashierOrders />} />
             <Route path="history" element={<CashierHistory />} />
+            <Route path="receiving" element={<ReceivingPage />} />
           </Route>
           <Route path="/" element={<Navigate to="/login" replace />} />
           <Route path="/unauthorized" element={<div style={{ padding: '2rem', textAlign: 'center' }}><h1>Unauthorized</h1><p>You don't have permission to access this page.</p></div>} />
@@ -11,13 +11,32 @@ import {
   Bell, 
   LogOut,
   Menu,
-  X
+  X,
+  ClipboardList,
+  Truck,
+  Trash2,
+  Moon,
+  ArrowLeftRight,
+  PackageCheck,
+  ClipboardCheck,
+  Layers,
+  Hourglass,
+  Coins,
+  ScrollText,
+  Scale,
+  Ruler,
+  Undo2,
+  KeyRound,
+  Tag,
+  Receipt,
+  Wallet
 } from 'lucide-react';
 import { useEffect, useState } from 'react';
 import api from '../api/axios';
 import { useBranch } from '../context/BranchContext';
 import { useLanguage } from '../context/LanguageContext';
 import OfflineIndicator from './OfflineIndicator';
+import OverridePinModal from './OverridePinModal';
 import { useOfflineSync } from '../hooks/useOfflineSync';
 import { getPendingCount } from '../utils/offlineQueue';
 import './Layout.css';
@@ -33,6 +52,7 @@ export default function Layout() {
   const { language, setLang, t } = useLanguage();
   const [showLogoutWarning, setShowLogoutWarning] = useState(false);
   const [pendingLogoutCount, setPendingLogoutCount] = useState(0);
+  const [showPinModal, setShowPinModal] = useState(false);
 
   const doLogout = () => {
     logout();
@@ -81,7 +101,23 @@ export default function Layout() {
         { to: '/admin/dashboard', icon: LayoutDashboard, label: 'Dashboard' },
         { to: '/admin/products', icon: Package, label: 'Products' },
         { to: '/admin/inventory', icon: Package, label: 'Inventory' },
+        { to: '/admin/ingredients', icon: Package, label: 'Ingredients & Recipes' },
+        { to: '/admin/units', icon: Ruler, label: 'Units' },
+        { to: '/admin/purchasing', icon: Truck, label: 'Purchasing' },
+        { to: '/admin/waste', icon: Trash2, label: 'Waste' },
+        { to: '/admin/closing', icon: Moon, label: 'Day Closing' },
+        { to: '/admin/transfers', icon: ArrowLeftRight, label: 'Transfers' },
+        { to: '/admin/stocktake', icon: ClipboardCheck, label: 'Stocktake' },
+        { to: '/admin/reorder', icon: Layers, label: 'Reorder Points' },
+        { to: '/admin/lots', icon: Hourglass, label: 'Lots & Expiry' },
+        { to: '/admin/valuation', icon: Coins, label: 'Stock Valuation' },
+        { to: '/admin/ledger', icon: ScrollText, label: 'Stock Ledger' },
+        { to: '/admin/reconciliation', icon: Scale, label: 'Reconciliation' },
         { to: '/admin/sales', icon: ShoppingCart, label: 'Sales' },
+        { to: '/admin/refunds', icon: Undo2, label: 'Refunds' },
+        { to: '/admin/promotions', icon: Tag, label: 'Promotions' },
+        { to: '/admin/tax', icon: Receipt, label: 'Tax' },
+        { to: '/admin/shifts', icon: Wallet, label: 'Shifts' },
         { to: '/admin/expenses', icon: DollarSign, label: 'Expenses' },
         { to: '/admin/staff-payments', icon: Users, label: 'Staff Payments' },
         { to: '/admin/reports', icon: BarChart3, label: 'Reports' },
@@ -95,13 +131,32 @@ export default function Layout() {
       return [
         { to: '/manager/inventory', icon: Package, label: 'Inventory' },
         { to: '/manager/batches', icon: Package, label: 'Batches' },
+        { to: '/manager/receiving', icon: PackageCheck, label: 'Receive Batches' },
+        { to: '/manager/orders', icon: ClipboardList, label: 'Pre-Orders' },
+        { to: '/manager/refunds', icon: Undo2, label: 'Refunds' },
+        { to: '/manager/promotions', icon: Tag, label: 'Promotions' },
+        { to: '/manager/tax', icon: Receipt, label: 'Tax' },
+        { to: '/manager/shifts', icon: Wallet, label: 'Shifts' },
+        { to: '/manager/ingredients', icon: Package, label: 'Ingredients' },
+        { to: '/manager/purchasing', icon: Truck, label: 'Purchasing' },
+        { to: '/manager/waste', icon: Trash2, label: 'Waste' },
+        { to: '/manager/closing', icon: Moon, label: 'Day Closing' },
+        { to: '/manager/transfers', icon: ArrowLeftRight, label: 'Transfers' },
+        { to: '/manager/stocktake', icon: ClipboardCheck, label: 'Stocktake' },
+        { to: '/manager/reorder', icon: Layers, label: 'Reorder Points' },
+        { to: '/manager/lots', icon: Hourglass, label: 'Lots & Expiry' },
+        { to: '/manager/valuation', icon: Coins, label: 'Stock Valuation' },
+        { to: '/manager/ledger', icon: ScrollText, label: 'Stock Ledger' },
         { to: '/manager/products', icon: Package, label: 'Products' },
         { to: '/manager/notifications', icon: Bell, label: 'Notifications', showBadge: true },
       ];
     } else if (role === 'cashier') {
       return [
         { to: '/cashier/sales', icon: ShoppingCart, label: 'New Sale' },
+        { to: '/cashier/shift', icon: Wallet, label: 'My Shift' },
+        { to: '/cashier/orders', icon: ClipboardList, label: 'Pre-Orders' },
         { to: '/cashier/history', icon: BarChart3, label: 'Sales History' },
+        { to: '/cashier/receiving', icon: PackageCheck, label: 'Receive Batches' },
       ];
     }
     
@@ -154,6 +209,12 @@ export default function Layout() {
               <div className="user-role">{user?.role}</div>
             </div>
           </div>
+          {['admin', 'manager'].includes(user?.role) && (
+            <button className="btn btn-secondary btn-sm" onClick={() => setShowPinModal(true)}>
+              <KeyRound size={16} />
+              Override PIN
+            </button>
+          )}
           <button className="btn btn-secondary btn-sm" onClick={handleLogout}>
             <LogOut size={16} />
             Logout
@@ -235,6 +296,7 @@ export default function Layout() {
         </div>
       )}
 
+      {showPinModal && <OverridePinModal onClose={() => setShowPinModal(false)} />}
     </div>
   );
 }
@@ -0,0 +1,52 @@
+import { useState } from 'react';
+import api, { getErrorMessage } from '../api/axios';
+import { useToast } from '../context/ToastContext';
+
+// Managers and admins type this PIN at a cashier's till to approve discounts
+// above the cashier's limit.
+export default function OverridePinModal({ onClose }) {
+  const toast = useToast();
+  const [form, setForm] = useState({ current_password: '', pin: '' });
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await api.post('/auth/override-pin', form);
+      toast.success('Override PIN saved.');
+      onClose();
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to save PIN.'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content modal-sm" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3>Discount Override PIN</h3>
+          <button className="close-btn" onClick={onClose}>×</button>
+        </div>
+        <form onSubmit={handleSubmit}>
+          <div className="modal-body">
+            <div className="mb-3">
+              <label className="form-label">Current password</label>
+              <input type="password" className="form-control" value={form.current_password} onChange={(e) => setForm({ ...form, current_password: e.target.value })} required />
+            </div>
+            <div className="mb-3">
+              <label className="form-label">New PIN (4–8 digits)</label>
+              <input type="password" inputMode="numeric" pattern="\d{4,8}" className="form-control" value={form.pin} onChange={(e) => setForm({ ...form, pin: e.target.value })} required />
+            </div>
+          </div>
+          <div className="modal-footer">
+            <button type="button" className="btn btn-secondary" onClick={onClose}>Cancel</button>
+            <button type="submit" className="btn btn-primary" disabled={saving}>Save PIN</button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
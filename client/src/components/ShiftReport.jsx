@@ -0,0 +1,60 @@
+import { formatAddisDateTime } from '../utils/time';
+import { MOVEMENT_LABELS } from '../utils/cashMovements';
+
+const money = (value) => `ETB ${Number(value || 0).toFixed(2)}`;
+
+// X report (shift still open) or Z report (frozen at close), laid out for the receipt printer.
+export default function ShiftReport({ report }) {
+  if (!report) return null;
+  const { shift, sales, tenders, voids, refunds, cash } = report;
+
+  return (
+    <div className="shift-report">
+      <h4>{report.report_type === 'Z' ? 'Z Report' : 'X Report'} · Shift #{shift.id}</h4>
+      <p className="mb-1"><strong>Cashier:</strong> {shift.cashier_name}</p>
+      <p className="mb-1"><strong>Opened:</strong> {formatAddisDateTime(shift.opened_at)}</p>
+      {shift.closed_at && <p className="mb-1"><strong>Closed:</strong> {formatAddisDateTime(shift.closed_at)}</p>}
+      <hr />
+      <p className="mb-1"><strong>Sales:</strong> {sales.count} · {money(sales.total)}</p>
+      {sales.discount_amount > 0 && <p className="mb-1">Discounts: {money(sales.discount_amount)}</p>}
+      {sales.tax_amount > 0 && <p className="mb-1">Tax included: {money(sales.tax_amount)}</p>}
+      {tenders.map((tender) => (
+        <p key={tender.payment_method} className="mb-1">{tender.payment_method}: {tender.count} · {money(tender.amount)}</p>
+      ))}
+      <p className="mb-1"><strong>Voids:</strong> {voids.count} · {money(voids.total)}</p>
+      <p className="mb-1">
+        <strong>Refunds:</strong> {refunds.count} · {money(refunds.total)}
+        {refunds.pending_count > 0 && ` (${refunds.pending_count} awaiting approval)`}
+      </p>
+      {report.cash_movements?.length > 0 && (
+        <>
+          <hr />
+          {report.cash_movements.map((movement) => (
+            <p key={movement.id} className="mb-1 small">
+              {formatAddisDateTime(movement.created_at)} · {MOVEMENT_LABELS[movement.movement_type]} {money(movement.amount)} · {movement.reason}
+            </p>
+          ))}
+        </>
+      )}
+      <hr />
+      <p className="mb-1">Opening float: {money(cash.opening_float)}</p>
+      <p className="mb-1">+ Cash sales: {money(cash.cash_sales)}</p>
+      <p className="mb-1">− Cash voids: {money(cash.cash_voids)}</p>
+      <p className="mb-1">− Cash refunds: {money(cash.cash_refunds)}</p>
+      {cash.paid_ins > 0 && <p className="mb-1">+ Paid in: {money(cash.paid_ins)}</p>}
+      {cash.paid_outs > 0 && <p className="mb-1">− Paid out: {money(cash.paid_outs)}</p>}
+      {cash.drops > 0 && <p className="mb-1">− Safe drops: {money(cash.drops)}</p>}
+      <p className="mb-1"><strong>Expected cash: {money(cash.expected_cash)}</strong></p>
+      {cash.counted_cash !== undefined && (
+        <>
+          <p className="mb-1"><strong>Counted cash: {money(cash.counted_cash)}</strong></p>
+          <p className={`mb-1 ${cash.over_short < 0 ? 'text-danger' : cash.over_short > 0 ? 'text-warning' : 'text-success'}`}>
+            <strong>{cash.over_short < 0 ? 'Short' : cash.over_short > 0 ? 'Over' : 'Balanced'}: {money(Math.abs(cash.over_short))}</strong>
+          </p>
+        </>
+      )}
+      {report.closing_note && <p className="mb-1"><em>{report.closing_note}</em></p>}
+      <p className="text-muted small">Printed {formatAddisDateTime(report.generated_at)}</p>
+    </div>
+  );
+}
@@ -468,6 +468,7 @@ export default function BranchesAndStaff() {
               <div className="mb-3"><label className="form-label">Name *</label><input className="form-control" value={editBranchModel.name || ''} onChange={(e)=>setEditBranchModel((p)=>({...p,name:e.target.value}))} /></div>
               <div className="mb-3"><label className="form-label">Address</label><input className="form-control" value={editBranchModel.address || ''} onChange={(e)=>setEditBranchModel((p)=>({...p,address:e.target.value}))} /></div>
               <div className="mb-3"><label className="form-label">Phone</label><input className="form-control" value={editBranchModel.phone || ''} onChange={(e)=>setEditBranchModel((p)=>({...p,phone:e.target.value}))} /></div>
+              <label className="form-check mb-3"><input type="checkbox" checked={Boolean(editBranchModel.require_batch_confirmation)} onChange={(e)=>setEditBranchModel((p)=>({...p,require_batch_confirmation:e.target.checked}))} />{' '}Batches only add stock after the branch confirms the counts</label>
               <div className="d-flex gap-2"><button className="btn btn-primary" onClick={saveBranchEdit}>Save</button><button className="btn btn-secondary" onClick={() => setEditBranchModel(null)}>Cancel</button></div>
             </div>
           </div>
@@ -15,11 +15,13 @@ import {
   Wallet,
   Users,
   Receipt,
+  Trash2,
 } from 'lucide-react';
 import api from '../../api/axios';
 import { useAuth } from '../../context/AuthContext';
 import { useBranch } from '../../context/BranchContext';
 import { useLanguage } from '../../context/LanguageContext';
+import { formatAddisDateTime } from '../../utils/time';
 import './Dashboard.css';
 
 const formatMoney = (value) => `ETB ${Number(value || 0).toFixed(2)}`;
@@ -137,6 +139,8 @@ export default function Dashboard() {
   const staffPaymentRows = report?.details?.staff_payments || [];
   const cashierRows = report?.details?.cashier_performance || [];
   const batchRows = report?.details?.batches?.batch_list || [];
+  const cash = period === 'daily' ? report?.cash : null;
+  const waste = report?.waste || { total_quantity: 0, total_cost: 0, percent_of_batch_cost: 0, by_reason: [], by_product: [] };
 
   const periodLabel = period === 'daily'
     ? formatShortDate(dailyDate)
@@ -189,6 +193,7 @@ export default function Dashboard() {
         <StatCard icon={<DollarSign size={18} />} label={`${period === 'daily' ? 'Daily' : period === 'weekly' ? 'Weekly' : 'Monthly'} Sales`} value={formatMoney(totals.revenue)} sub={`${totals.transactions} transactions`} />
         <StatCard icon={<Receipt size={18} />} label={`${period === 'daily' ? 'Daily' : period === 'weekly' ? 'Weekly' : 'Monthly'} Expenses`} value={formatMoney(totals.expenses)} sub={`${expenseRows.length} expense entries`} />
         <StatCard icon={<Users size={18} />} label="Staff Payments" value={formatMoney(totals.staffPayments)} sub={`${staffPaymentRows.length} payments`} />
+        <StatCard icon={<Trash2 size={18} />} label="Waste" value={formatMoney(waste.total_cost)} sub={`${waste.total_quantity} units · ${Number(waste.percent_of_batch_cost || 0).toFixed(1)}% of production cost`} tone={waste.total_cost > 0 ? 'danger' : 'success'} />
         <StatCard icon={<Wallet size={18} />} label="Net Profit" value={formatMoney(totals.netProfit)} sub="Revenue - all costs" tone={totals.netProfit >= 0 ? 'success' : 'danger'} />
       </div>
 
@@ -243,6 +248,68 @@ export default function Dashboard() {
         empty="No batch records in this period."
       />
 
+      <DataTable
+        title="Waste by Reason"
+        headers={['Reason', 'Units', 'Cost Value']}
+        rows={waste.by_reason.filter((r) => r.quantity > 0).map((r) => [r.reason.replace('_', ' '), r.quantity, formatMoney(r.cost_value)])}
+        empty="No waste recorded in this period."
+      />
+
+      <DataTable
+        title="Most Wasted Products"
+        headers={['Product', 'Units', 'Cost Value']}
+        rows={waste.by_product.slice(0, 10).map((r) => [r.product_name, r.quantity, formatMoney(r.cost_value)])}
+        empty="No waste recorded in this period."
+      />
+
+      {kpis?.stock_variance && (
+        <DataTable
+          title="Stock Count Variance (last 90 days)"
+          headers={['Stocktake', 'Posted', 'Lines Off', 'Net Variance', 'Shrinkage', 'Accuracy']}
+          rows={kpis.stock_variance.trend.slice().reverse().map((r) => [
+            `#${r.stocktake_id}`,
+            formatShortDate(r.closed_at),
+            `${r.lines_with_variance}/${r.lines_counted}`,
+            formatMoney(r.variance_value),
+            formatMoney(r.shrinkage_value),
+            `${r.accuracy_percent.toFixed(1)}%`,
+          ])}
+          empty="No stocktakes posted in the last 90 days."
+        />
+      )}
+
+      {cash && (
+        <>
+          <DataTable
+            title="Cash Reconciliation"
+            headers={['Line', 'Amount', 'Note']}
+            rows={[
+              ['Cash Sales', formatMoney(cash.cash_sales), 'Cash tendered on today\'s sales'],
+              ['Cash Refunds', formatMoney(-cash.cash_refunds), 'Refunds paid back in cash'],
+              ['Paid-Outs', formatMoney(-cash.paid_outs), 'Small purchases paid from the drawer'],
+              ['Paid-Ins', formatMoney(cash.paid_ins), 'Cash added to drawers other than sales'],
+              ['Net Cash', formatMoney(cash.net_cash), 'Cash the branch should hold from today'],
+              ['Safe Drops', formatMoney(cash.drops), 'Moved from drawers to the safe'],
+              ['Closed Shifts', `${cash.closed_shifts.count} · ${formatMoney(cash.closed_shifts.counted_cash)} counted`, `Expected ${formatMoney(cash.closed_shifts.expected_cash)}, over/short ${formatMoney(cash.closed_shifts.over_short)}`],
+            ]}
+          />
+          <DataTable
+            title="Cash Movements"
+            headers={['Time', 'Type', 'Amount', 'Reason', 'Shift', 'By', 'Expense']}
+            rows={cash.movements.map((r) => [
+              formatAddisDateTime(r.created_at),
+              r.movement_type.replace('_', '-'),
+              formatMoney(r.amount),
+              r.reason,
+              `#${r.shift_id} (${r.cashier_name})`,
+              r.user_name || '-',
+              r.expense_id ? `#${r.expense_id}` : '-',
+            ])}
+            empty="No drops, paid-outs or paid-ins today."
+          />
+        </>
+      )}
+
       <DataTable
         title="Expense Records"
         headers={['Date', 'Category', 'Amount', 'Created By']}
@@ -257,6 +324,7 @@ export default function Dashboard() {
           ['Batch Production Cost', formatMoney(totals.batchCosts), `${Number(report?.details?.batches?.batch_count || 0)} non-voided batches × product unit cost`],
           ['Manual Expenses', formatMoney(totals.expenses), 'Recorded expenses table entries'],
           ['Staff Payments', formatMoney(totals.staffPayments), 'Payroll and advances paid in period'],
+          ['Waste (memo)', formatMoney(waste.total_cost), 'Already inside batch/purchase cost; shown to track losses'],
           ['Net Profit', formatMoney(totals.netProfit), 'Revenue - all costs above'],
         ]}
       />
@@ -0,0 +1,392 @@
+import { useState, useEffect } from 'react';
+import api, { getErrorMessage } from '../../api/axios';
+import { useBranch } from '../../context/BranchContext';
+import { useToast } from '../../context/ToastContext';
+import { Plus, Edit, Wheat, BookOpen, Trash2 } from 'lucide-react';
+import { enterableUnits } from '../../utils/units';
+
+const emptyIngredient = () => ({ name: '', unit: 'kg', unit_cost: '' });
+
+export default function IngredientsPage() {
+  const { selectedLocationId } = useBranch();
+  const toast = useToast();
+  const [ingredients, setIngredients] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [editingIngredient, setEditingIngredient] = useState(null);
+  const [formData, setFormData] = useState(emptyIngredient());
+  const [adjusting, setAdjusting] = useState(null);
+  const [adjustment, setAdjustment] = useState({ quantity_change: '', unit: '', reason: '' });
+  const [units, setUnits] = useState([]);
+  const [conversions, setConversions] = useState([]);
+  const [recipeProductId, setRecipeProductId] = useState('');
+  const [recipe, setRecipe] = useState({ yield_quantity: 1, notes: '', items: [] });
+
+  useEffect(() => {
+    fetchIngredients();
+    api.get('/products')
+      .then((response) => setProducts(response.data || []))
+      .catch((err) => console.error('Failed to fetch products:', err));
+  }, [selectedLocationId]);
+
+  useEffect(() => {
+    api.get('/units')
+      .then((response) => {
+        setUnits(response.data.units || []);
+        setConversions(response.data.conversions || []);
+      })
+      .catch((err) => console.error('Failed to fetch units:', err));
+  }, []);
+
+  const fetchIngredients = async () => {
+    try {
+      const response = await api.get('/ingredients');
+      setIngredients(response.data);
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to load ingredients.'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const payload = { ...formData, unit_cost: Number(formData.unit_cost || 0) };
+    try {
+      if (editingIngredient) {
+        await api.put(`/ingredients/${editingIngredient.id}`, payload);
+      } else {
+        await api.post('/ingredients', payload);
+      }
+      setShowForm(false);
+      setEditingIngredient(null);
+      fetchIngredients();
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to save ingredient.'));
+    }
+  };
+
+  const handleAdjust = async (e) => {
+    e.preventDefault();
+    try {
+      await api.post(`/ingredients/${adjusting.id}/adjust`, {
+        quantity_change: Number(adjustment.quantity_change),
+        unit: adjustment.unit || undefined,
+        reason: adjustment.reason,
+      });
+      toast.success(`${adjusting.name} stock updated.`);
+      setAdjusting(null);
+      setAdjustment({ quantity_change: '', unit: '', reason: '' });
+      fetchIngredients();
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to adjust stock.'));
+    }
+  };
+
+  const loadRecipe = async (productId) => {
+    setRecipeProductId(productId);
+    if (!productId) return;
+    try {
+      const response = await api.get(`/ingredients/recipes/${productId}`);
+      setRecipe({
+        yield_quantity: response.data.yield_quantity,
+        notes: response.data.notes || '',
+        items: response.data.items.map((item) => ({ ingredient_id: item.ingredient_id, quantity: item.quantity })),
+      });
+    } catch (err) {
+      if (err.response?.status === 404) {
+        setRecipe({ yield_quantity: 1, notes: '', items: [] });
+      } else {
+        toast.error(getErrorMessage(err, 'Failed to load recipe.'));
+      }
+    }
+  };
+
+  const updateRecipeItem = (index, changes) => {
+    setRecipe({
+      ...recipe,
+      items: recipe.items.map((item, itemIndex) => (itemIndex === index ? { ...item, ...changes } : item)),
+    });
+  };
+
+  const saveRecipe = async () => {
+    try {
+      await api.put(`/ingredients/recipes/${recipeProductId}`, {
+        yield_quantity: Number(recipe.yield_quantity),
+        notes: recipe.notes,
+        items: recipe.items
+          .filter((item) => item.ingredient_id && Number(item.quantity) > 0)
+          .map((item) => ({ ingredient_id: Number(item.ingredient_id), quantity: Number(item.quantity) })),
+      });
+      toast.success('Recipe saved.');
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to save recipe.'));
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="loading-container">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="ingredients-page">
+      <div className="page-header">
+        <h2><Wheat size={24} /> Ingredients &amp; Recipes</h2>
+        <button
+          className="btn btn-primary"
+          onClick={() => {
+            setEditingIngredient(null);
+            setFormData(emptyIngredient());
+            setShowForm(true);
+          }}
+        >
+          <Plus size={18} /> Add Ingredient
+        </button>
+      </div>
+
+      <div className="card mb-4">
+        <div className="card-body">
+          <div className="table-responsive">
+            <table className="table table-hover">
+              <thead>
+                <tr>
+                  <th>Ingredient</th>
+                  <th>Unit</th>
+                  <th>Unit Cost</th>
+                  <th>Branch Stock</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {ingredients.length === 0 && (
+                  <tr>
+                    <td colSpan="5" className="text-center text-muted">No ingredients yet</td>
+                  </tr>
+                )}
+                {ingredients.map((ingredient) => (
+                  <tr key={ingredient.id}>
+                    <td>{ingredient.name}</td>
+                    <td>{ingredient.unit}</td>
+                    <td>ETB {Number(ingredient.unit_cost).toFixed(2)}</td>
+                    <td>
+                      <span className={`badge ${Number(ingredient.stock_quantity) < 0 ? 'badge-danger' : 'badge-primary'}`}>
+                        {Number(ingredient.stock_quantity)} {ingredient.unit}
+                      </span>
+                    </td>
+                    <td>
+                      <button
+                        className="btn btn-sm btn-outline-primary me-2"
+                        onClick={() => {
+                          setEditingIngredient(ingredient);
+                          setFormData({ name: ingredient.name, unit: ingredient.unit, unit_cost: ingredient.unit_cost });
+                          setShowForm(true);
+                        }}
+                      >
+                        <Edit size={14} />
+                      </button>
+                      <button className="btn btn-sm btn-outline-secondary" onClick={() => { setAdjusting(ingredient); setAdjustment({ quantity_change: '', unit: '', reason: '' }); }}>
+                        Adjust Stock
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <h3><BookOpen size={20} /> Recipe Editor</h3>
+        </div>
+        <div className="card-body">
+          <div className="row mb-3">
+            <div className="col-md-6">
+              <label className="form-label">Product</label>
+              <select className="form-select" value={recipeProductId} onChange={(e) => loadRecipe(e.target.value)}>
+                <option value="">Select product</option>
+                {products.filter((product) => (product.source || 'baked') === 'baked').map((product) => (
+                  <option key={product.id} value={product.id}>{product.name}</option>
+                ))}
+              </select>
+            </div>
+            {recipeProductId && (
+              <div className="col-md-3">
+                <label className="form-label">Yield (units per recipe)</label>
+                <input
+                  type="number"
+                  min="0.001"
+                  step="0.001"
+                  className="form-control"
+                  value={recipe.yield_quantity}
+                  onChange={(e) => setRecipe({ ...recipe, yield_quantity: e.target.value })}
+                />
+              </div>
+            )}
+          </div>
+
+          {recipeProductId && (
+            <>
+              {recipe.items.map((item, index) => {
+                const ingredient = ingredients.find((entry) => Number(entry.id) === Number(item.ingredient_id));
+                return (
+                  <div className="row mb-2" key={index}>
+                    <div className="col-md-6">
+                      <select
+                        className="form-select"
+                        value={item.ingredient_id}
+                        onChange={(e) => updateRecipeItem(index, { ingredient_id: e.target.value })}
+                      >
+                        <option value="">Select ingredient</option>
+                        {ingredients.map((entry) => (
+                          <option key={entry.id} value={entry.id}>{entry.name}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div className="col-md-4">
+                      <div className="input-group">
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.001"
+                          className="form-control"
+                          value={item.quantity}
+                          onChange={(e) => updateRecipeItem(index, { quantity: e.target.value })}
+                        />
+                        <span className="input-group-text">{ingredient?.unit || ''}</span>
+                      </div>
+                    </div>
+                    <div className="col-md-2">
+                      <button
+                        className="btn btn-sm btn-outline-danger"
+                        onClick={() => setRecipe({ ...recipe, items: recipe.items.filter((_, itemIndex) => itemIndex !== index) })}
+                      >
+                        <Trash2 size={14} />
+                      </button>
+                    </div>
+                  </div>
+                );
+              })}
+              <div className="mt-3">
+                <button
+                  className="btn btn-sm btn-outline-primary me-2"
+                  onClick={() => setRecipe({ ...recipe, items: [...recipe.items, { ingredient_id: '', quantity: '' }] })}
+                >
+                  <Plus size={14} /> Add Ingredient Line
+                </button>
+                <button className="btn btn-sm btn-success" onClick={saveRecipe} disabled={recipe.items.length === 0}>
+                  Save Recipe
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+
+      {showForm && (
+        <div className="modal-overlay" onClick={() => setShowForm(false)}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>{editingIngredient ? 'Edit Ingredient' : 'Add Ingredient'}</h3>
+              <button className="close-btn" onClick={() => setShowForm(false)}>×</button>
+            </div>
+            <form onSubmit={handleSubmit} className="modal-body">
+              <div className="mb-3">
+                <label className="form-label">Name *</label>
+                <input
+                  className="form-control"
+                  value={formData.name}
+                  onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                  required
+                />
+              </div>
+              <div className="row">
+                <div className="col-md-6 mb-3">
+                  <label className="form-label">Unit *</label>
+                  <select
+                    className="form-select"
+                    value={formData.unit}
+                    onChange={(e) => setFormData({ ...formData, unit: e.target.value })}
+                  >
+                    {units.map((unit) => <option key={unit.code} value={unit.code}>{unit.name}</option>)}
+                  </select>
+                </div>
+                <div className="col-md-6 mb-3">
+                  <label className="form-label">Cost per Unit (ETB)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.0001"
+                    className="form-control"
+                    value={formData.unit_cost}
+                    onChange={(e) => setFormData({ ...formData, unit_cost: e.target.value })}
+                  />
+                </div>
+              </div>
+              <div className="modal-footer">
+                <button type="button" className="btn btn-secondary" onClick={() => setShowForm(false)}>Cancel</button>
+                <button type="submit" className="btn btn-primary">{editingIngredient ? 'Update' : 'Add'} Ingredient</button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {adjusting && (
+        <div className="modal-overlay" onClick={() => setAdjusting(null)}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>Adjust {adjusting.name} Stock</h3>
+              <button className="close-btn" onClick={() => setAdjusting(null)}>×</button>
+            </div>
+            <form onSubmit={handleAdjust} className="modal-body">
+              <p>Current stock: {Number(adjusting.stock_quantity)} {adjusting.unit}</p>
+              <div className="mb-3">
+                <label className="form-label">Change (negative to remove) *</label>
+                <div className="input-group">
+                  <input
+                    type="number"
+                    step="0.001"
+                    className="form-control"
+                    value={adjustment.quantity_change}
+                    onChange={(e) => setAdjustment({ ...adjustment, quantity_change: e.target.value })}
+                    required
+                  />
+                  <select
+                    className="form-select"
+                    value={adjustment.unit || adjusting.unit}
+                    onChange={(e) => setAdjustment({ ...adjustment, unit: e.target.value })}
+                  >
+                    {enterableUnits(conversions, { ingredientId: adjusting.id, unit: adjusting.unit }).map((unit) => (
+                      <option key={unit} value={unit}>{unit}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+              <div className="mb-3">
+                <label className="form-label">Reason *</label>
+                <input
+                  className="form-control"
+                  placeholder="e.g. Flour delivery, recount"
+                  value={adjustment.reason}
+                  onChange={(e) => setAdjustment({ ...adjustment, reason: e.target.value })}
+                  required
+                />
+              </div>
+              <div className="modal-footer">
+                <button type="button" className="btn btn-secondary" onClick={() => setAdjusting(null)}>Cancel</button>
+                <button type="submit" className="btn btn-primary">Save Adjustment</button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,221 @@
+import { useState, useEffect } from 'react';
+import api, { getErrorMessage } from '../../api/axios';
+import { useBranch } from '../../context/BranchContext';
+import { useToast } from '../../context/ToastContext';
+import { formatAddisDateTime } from '../../utils/time';
+import { Scale } from 'lucide-react';
+
+const TRUST_OPTIONS = [
+  { value: 'inventory', label: 'Keep shelf quantities, book the gap into the ledger' },
+  { value: 'ledger', label: 'Reset shelf quantities to the ledger' },
+];
+
+export default function InventoryReconciliationPage() {
+  const { selectedLocationId } = useBranch();
+  const toast = useToast();
+  const [allBranches, setAllBranches] = useState(false);
+  const [report, setReport] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [trust, setTrust] = useState('inventory');
+  const [note, setNote] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [posting, setPosting] = useState(false);
+
+  useEffect(() => {
+    fetchReport();
+  }, [selectedLocationId, allBranches]);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [selectedLocationId]);
+
+  const fetchReport = async () => {
+    setLoading(true);
+    try {
+      const response = await api.get('/inventory/reconciliation', { params: allBranches ? { scope: 'all' } : {} });
+      setReport(response.data);
+      setSelected([]);
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to reconcile inventory.'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchHistory = async () => {
+    try {
+      const response = await api.get('/inventory/reconciliation/history');
+      setHistory(response.data || []);
+    } catch (err) {
+      console.error('Failed to load reconciliation history:', err);
+    }
+  };
+
+  const toggleProduct = (productId) => {
+    setSelected((current) => (
+      current.includes(productId) ? current.filter((id) => id !== productId) : [...current, productId]
+    ));
+  };
+
+  const handlePost = async (e) => {
+    e.preventDefault();
+    if (!note.trim()) {
+      toast.warning('Add a note explaining the correction.');
+      return;
+    }
+
+    setPosting(true);
+    try {
+      const payload = { trust, note: note.trim() };
+      if (selected.length) payload.product_ids = selected;
+      const response = await api.post('/inventory/reconciliation', payload);
+      toast.success(`Posted ${response.data.adjustments.length} correction(s).`);
+      setNote('');
+      fetchReport();
+      fetchHistory();
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to post corrections.'));
+    } finally {
+      setPosting(false);
+    }
+  };
+
+  const mismatches = report?.mismatches || [];
+
+  return (
+    <div className="inventory-reconciliation-page">
+      <div className="page-header">
+        <h2><Scale size={24} /> Stock Reconciliation</h2>
+        <button className="btn btn-secondary" onClick={fetchReport} disabled={loading}>Re-run</button>
+      </div>
+
+      <div className="card mb-4">
+        <div className="card-header">
+          <h3>Shelf vs Ledger</h3>
+          <label className="form-label">
+            <input type="checkbox" checked={allBranches} onChange={(e) => setAllBranches(e.target.checked)} /> All branches
+          </label>
+        </div>
+        <div className="card-body">
+          {report && (
+            <p className="text-muted">
+              Checked {report.checked} product(s): {mismatches.length} disagree with the stock ledger (net {report.net_difference}).
+            </p>
+          )}
+          <table className="table">
+            <thead>
+              <tr>
+                {!allBranches && <th></th>}
+                {allBranches && <th>Branch</th>}
+                <th>Product</th>
+                <th>Shelf</th>
+                <th>Ledger</th>
+                <th>Difference</th>
+                <th>Movements</th>
+                <th>Last Movement</th>
+              </tr>
+            </thead>
+            <tbody>
+              {mismatches.length === 0 && (
+                <tr>
+                  <td colSpan="7" className="text-center text-muted">{loading ? 'Reconciling...' : 'Shelf quantities match the ledger'}</td>
+                </tr>
+              )}
+              {mismatches.map((item) => (
+                <tr key={`${item.location_id}-${item.product_id}`}>
+                  {!allBranches && (
+                    <td>
+                      <input type="checkbox" checked={selected.includes(item.product_id)} onChange={() => toggleProduct(item.product_id)} />
+                    </td>
+                  )}
+                  {allBranches && <td>{item.location_name}</td>}
+                  <td>
+                    {item.product_name}
+                    {!item.has_inventory_row && <span className="badge badge-secondary ms-1">no stock row</span>}
+                  </td>
+                  <td>{item.inventory_quantity}</td>
+                  <td>{item.ledger_quantity}</td>
+                  <td>
+                    <span className={`badge ${item.difference > 0 ? 'badge-warning' : 'badge-danger'}`}>
+                      {item.difference > 0 ? `+${item.difference}` : item.difference}
+                    </span>
+                  </td>
+                  <td>{item.movement_count}</td>
+                  <td>{item.last_movement_at ? formatAddisDateTime(item.last_movement_at) : '-'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {!allBranches && mismatches.length > 0 && (
+        <div className="card mb-4">
+          <div className="card-header">
+            <h3>Post Corrections</h3>
+            <span className="text-muted">{selected.length ? `${selected.length} selected product(s)` : 'All mismatched products'}</span>
+          </div>
+          <div className="card-body">
+            <form onSubmit={handlePost}>
+              <div className="row">
+                <div className="col-md-6 mb-3">
+                  <label className="form-label">Which side is right?</label>
+                  <select className="form-select" value={trust} onChange={(e) => setTrust(e.target.value)}>
+                    {TRUST_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="col-md-6 mb-3">
+                  <label className="form-label">Audit Note</label>
+                  <input className="form-control" value={note} onChange={(e) => setNote(e.target.value)} placeholder="Why the numbers drifted" required />
+                </div>
+              </div>
+              <button type="submit" className="btn btn-primary" disabled={posting}>
+                {posting ? 'Posting...' : 'Post Corrections'}
+              </button>
+            </form>
+          </div>
+        </div>
+      )}
+
+      <div className="card">
+        <div className="card-header">
+          <h3>Past Reconciliations</h3>
+        </div>
+        <div className="card-body">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>When</th>
+                <th>By</th>
+                <th>Trusted</th>
+                <th>Products</th>
+                <th>Ledger Change</th>
+                <th>Note</th>
+              </tr>
+            </thead>
+            <tbody>
+              {history.length === 0 && (
+                <tr>
+                  <td colSpan="6" className="text-center text-muted">No corrections posted yet</td>
+                </tr>
+              )}
+              {history.map((run) => (
+                <tr key={run.id}>
+                  <td>{formatAddisDateTime(run.created_at)}</td>
+                  <td>{run.created_by_name || '-'}</td>
+                  <td>{run.trust === 'inventory' ? 'Shelf' : 'Ledger'}</td>
+                  <td>{run.adjustments_count}</td>
+                  <td>{Number(run.net_change)}</td>
+                  <td>{run.note}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,238 @@
+import { useState, useEffect } from 'react';
+import api, { getErrorMessage } from '../../api/axios';
+import { useAuth } from '../../context/AuthContext';
+import { useBranch } from '../../context/BranchContext';
+import { useToast } from '../../context/ToastContext';
+import { createXlsxBlob } from '../../utils/reportExportGenerators';
+import { formatCurrencyETB } from '../../utils/currency';
+import { Coins, Download } from 'lucide-react';
+
+const METHODS = [
+  { value: 'weighted_average', label: 'Weighted average' },
+  { value: 'fifo', label: 'FIFO' },
+];
+
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.setAttribute('download', fileName);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+export default function InventoryValuationPage() {
+  const { user } = useAuth();
+  const { selectedLocationId } = useBranch();
+  const toast = useToast();
+  const [method, setMethod] = useState('weighted_average');
+  const [asOf, setAsOf] = useState('');
+  const [allBranches, setAllBranches] = useState(false);
+  const [valuation, setValuation] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const isAdmin = user?.role === 'admin';
+
+  useEffect(() => {
+    fetchValuation();
+  }, [selectedLocationId, method, asOf, allBranches]);
+
+  const fetchValuation = async () => {
+    setLoading(true);
+    try {
+      const params = { method };
+      if (asOf) params.as_of = asOf;
+      if (allBranches) params.scope = 'all';
+      const response = await api.get('/reports/inventory-valuation', { params });
+      setValuation(response.data);
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to value inventory.'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const exportXlsx = () => {
+    if (!valuation) return;
+    const label = asOf || new Date().toISOString().split('T')[0];
+    const summaryRows = [
+      ['metric', 'value'],
+      ['method', valuation.method],
+      ['as_of', asOf || 'current stock'],
+      ['products', valuation.totals.products],
+      ['total_value', valuation.totals.value],
+    ];
+    const sheets = [{ name: 'summary', rows: summaryRows }];
+
+    if (valuation.branches) {
+      sheets.push({
+        name: 'branches',
+        rows: [['branch', 'products', 'quantity', 'value'], ...valuation.branches.map((branch) => [branch.location_name, branch.totals.products, branch.totals.quantity, branch.totals.value])],
+      });
+      sheets.push({
+        name: 'categories',
+        rows: [['branch', 'category', 'quantity', 'value'], ...valuation.branches.flatMap((branch) => branch.by_category.map((row) => [branch.location_name, row.category_name, row.quantity, row.value]))],
+      });
+    } else {
+      sheets.push({
+        name: 'categories',
+        rows: [['category', 'quantity', 'value'], ...valuation.by_category.map((row) => [row.category_name, row.quantity, row.value])],
+      });
+      sheets.push({
+        name: 'products',
+        rows: [['product', 'category', 'quantity', 'unit_cost', 'value'], ...valuation.items.map((row) => [row.product_name, row.category_name, row.quantity, row.unit_cost, row.value])],
+      });
+    }
+
+    downloadBlob(createXlsxBlob(sheets), `inventory-valuation-${valuation.method}-${label}.xlsx`);
+  };
+
+  return (
+    <div className="inventory-valuation-page">
+      <div className="page-header">
+        <h2><Coins size={24} /> Stock Valuation</h2>
+        <button className="btn btn-primary" onClick={exportXlsx} disabled={!valuation || loading}>
+          <Download size={16} /> Export XLSX
+        </button>
+      </div>
+
+      <div className="card mb-4">
+        <div className="card-body">
+          <div className="row">
+            <div className="col-md-4">
+              <label className="form-label">Costing Method</label>
+              <select className="form-select" value={method} onChange={(e) => setMethod(e.target.value)}>
+                {METHODS.map((option) => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="col-md-4">
+              <label className="form-label">As of (leave empty for current stock)</label>
+              <input type="date" className="form-control" value={asOf} onChange={(e) => setAsOf(e.target.value)} />
+            </div>
+            {isAdmin && (
+              <div className="col-md-4">
+                <label className="form-label">
+                  <input type="checkbox" checked={allBranches} onChange={(e) => setAllBranches(e.target.checked)} /> All branches
+                </label>
+              </div>
+            )}
+          </div>
+          {asOf && <p className="text-muted">Quantities are rebuilt by replaying the stock ledger up to the end of {asOf}.</p>}
+        </div>
+      </div>
+
+      {valuation && (
+        <>
+          <div className="card mb-4">
+            <div className="card-header">
+              <h3>Money on the Shelves</h3>
+              <span className="text-muted">{valuation.totals.products} product(s)</span>
+            </div>
+            <div className="card-body">
+              <h2>{formatCurrencyETB(valuation.totals.value)}</h2>
+            </div>
+          </div>
+
+          {valuation.branches ? (
+            <div className="card">
+              <div className="card-header">
+                <h3>By Branch</h3>
+              </div>
+              <div className="card-body">
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>Branch</th>
+                      <th>Products</th>
+                      <th>Largest Category</th>
+                      <th>Value</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {valuation.branches.map((branch) => (
+                      <tr key={branch.location_id}>
+                        <td>{branch.location_name}</td>
+                        <td>{branch.totals.products}</td>
+                        <td>{branch.by_category[0]?.category_name || '-'}</td>
+                        <td>{formatCurrencyETB(branch.totals.value)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          ) : (
+            <div className="row">
+              <div className="col-md-4">
+                <div className="card mb-4">
+                  <div className="card-header">
+                    <h3>By Category</h3>
+                  </div>
+                  <div className="card-body">
+                    <table className="table">
+                      <thead>
+                        <tr>
+                          <th>Category</th>
+                          <th>Qty</th>
+                          <th>Value</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {valuation.by_category.map((row) => (
+                          <tr key={row.category_name}>
+                            <td>{row.category_name}</td>
+                            <td>{row.quantity}</td>
+                            <td>{formatCurrencyETB(row.value)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              </div>
+              <div className="col-md-8">
+                <div className="card mb-4">
+                  <div className="card-header">
+                    <h3>By Product</h3>
+                  </div>
+                  <div className="card-body">
+                    <table className="table">
+                      <thead>
+                        <tr>
+                          <th>Product</th>
+                          <th>Category</th>
+                          <th>Qty</th>
+                          <th>Unit Cost</th>
+                          <th>Value</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {valuation.items.length === 0 && (
+                          <tr>
+                            <td colSpan="5" className="text-center text-muted">No stock on hand</td>
+                          </tr>
+                        )}
+                        {valuation.items.map((row) => (
+                          <tr key={row.product_id}>
+                            <td>{row.product_name}</td>
+                            <td>{row.category_name}</td>
+                            <td>{row.quantity}</td>
+                            <td>{formatCurrencyETB(row.unit_cost)}</td>
+                            <td>{formatCurrencyETB(row.value)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -13,6 +13,7 @@ export default function ProductsPage() {
   const [editingProduct, setEditingProduct] = useState(null);
   const [message, setMessage] = useState(null);
   const [search, setSearch] = useState('');
+  const [units, setUnits] = useState([]);
   const [formData, setFormData] = useState({
     name: '',
     category_id: '',
@@ -20,11 +21,15 @@ export default function ProductsPage() {
     cost: '',
     unit: 'piece',
     source: 'baked',
+    shelf_life_hours: '',
     is_active: true,
   });
 
   useEffect(() => {
     fetchProducts();
+    api.get('/units')
+      .then((response) => setUnits(response.data.units || []))
+      .catch((err) => console.error('Failed to fetch units:', err));
   }, []);
 
   const persistProductsCache = (nextProducts) => {
@@ -88,7 +93,7 @@ export default function ProductsPage() {
   const resetForm = () => {
     setShowForm(false);
     setEditingProduct(null);
-    setFormData({ name: '', category_id: '', price: '', cost: '', unit: 'piece', source: 'baked', is_active: true });
+    setFormData({ name: '', category_id: '', price: '', cost: '', unit: 'piece', source: 'baked', shelf_life_hours: '', is_active: true });
   };
 
   const handleSubmit = async (e) => {
@@ -194,7 +199,7 @@ export default function ProductsPage() {
               </span>
             </td>
             <td>
-              <button className="btn btn-sm btn-outline-primary me-2" onClick={() => { setEditingProduct(product); setFormData({ name: product.name, category_id: product.category_id, price: product.price, cost: product.cost, unit: product.unit, source: product.source || 'baked', is_active: Boolean(product.is_active) }); setShowForm(true); }}><Edit size={14} /></button>
+              <button className="btn btn-sm btn-outline-primary me-2" onClick={() => { setEditingProduct(product); setFormData({ name: product.name, category_id: product.category_id, price: product.price, cost: product.cost, unit: product.unit, source: product.source || 'baked', shelf_life_hours: product.shelf_life_hours ?? '', is_active: Boolean(product.is_active) }); setShowForm(true); }}><Edit size={14} /></button>
               <button className="btn btn-sm btn-outline-danger" onClick={() => handleDelete(product.id)}><Trash2 size={14} /></button>
             </td>
           </tr>
@@ -208,7 +213,8 @@ export default function ProductsPage() {
             <div className="mb-3"><label className="form-label">Category *</label><select className="form-select" value={formData.category_id} onChange={(e) => setFormData({ ...formData, category_id: e.target.value })} required><option value="">Select Category</option>{categories.map((category) => (<option key={category.id} value={category.id}>{category.name}</option>))}</select></div>
             <div className="mb-3"><label className="form-label">Product Source *</label><select className="form-select" value={formData.source} onChange={(e) => setFormData({ ...formData, source: e.target.value })} required><option value="baked">Baked</option><option value="purchased">Purchased</option></select></div>
             <div className="row"><div className="col-md-6 mb-3"><label className="form-label">Price *</label><input type="number" step="0.01" className="form-control" value={formData.price} onChange={(e) => setFormData({ ...formData, price: e.target.value })} required /></div><div className="col-md-6 mb-3"><label className="form-label">Cost</label><input type="number" step="0.01" className="form-control" value={formData.cost} onChange={(e) => setFormData({ ...formData, cost: e.target.value })} /></div></div>
-            <div className="mb-3"><label className="form-label">Unit</label><select className="form-select" value={formData.unit} onChange={(e) => setFormData({ ...formData, unit: e.target.value })}><option value="piece">Piece</option><option value="kg">Kilogram</option><option value="lb">Pound</option><option value="dozen">Dozen</option></select></div>
+            <div className="mb-3"><label className="form-label">Unit</label><select className="form-select" value={formData.unit} onChange={(e) => setFormData({ ...formData, unit: e.target.value })}>{units.length === 0 && <option value={formData.unit}>{formData.unit}</option>}{units.map((unit) => <option key={unit.code} value={unit.code}>{unit.name}</option>)}</select></div>
+            <div className="mb-3"><label className="form-label">Shelf Life (hours)</label><input type="number" min="1" step="1" className="form-control" placeholder="No expiry tracking" value={formData.shelf_life_hours} onChange={(e) => setFormData({ ...formData, shelf_life_hours: e.target.value })} /><small className="text-muted">New lots expire this many hours after they are baked or received.</small></div>
             <div className="mb-3"><label className="form-label"><input type="checkbox" checked={!!formData.is_active} onChange={(e) => setFormData({ ...formData, is_active: e.target.checked })} /> Active</label></div>
             <div className="modal-footer"><button type="button" className="btn btn-secondary" onClick={resetForm}>Cancel</button><button type="submit" className="btn btn-primary" disabled={saving}>{saving ? 'Saving...' : editingProduct ? 'Update' : 'Create'} Product</button></div>
           </form>
@@ -0,0 +1,366 @@
+import { useState, useEffect, useMemo } from 'react';
+import api, { getErrorMessage } from '../../api/axios';
+import { useAuth } from '../../context/AuthContext';
+import { useBranch } from '../../context/BranchContext';
+import { useToast } from '../../context/ToastContext';
+import { Tag } from 'lucide-react';
+
+const TYPE_LABELS = {
+  percent_off: 'Percent off',
+  fixed_off: 'Amount off each',
+  buy_x_get_y: 'Buy X get Y free',
+  bundle_price: 'Bundle price',
+};
+const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const today = () => new Date().toISOString().split('T')[0];
+const emptyForm = () => ({
+  name: '',
+  promo_type: 'percent_off',
+  scope: 'all',
+  product_id: '',
+  category_id: '',
+  percent_off: '',
+  amount_off: '',
+  buy_quantity: '',
+  get_quantity: '',
+  bundle_quantity: '',
+  bundle_price: '',
+  starts_on: '',
+  ends_on: '',
+  days_of_week: [],
+  start_time: '',
+  end_time: '',
+  priority: 0,
+  all_branches: false,
+});
+
+function describeDeal(promotion) {
+  switch (promotion.promo_type) {
+    case 'percent_off': return `${Number(promotion.percent_off)}% off`;
+    case 'fixed_off': return `ETB ${Number(promotion.amount_off).toFixed(2)} off each`;
+    case 'buy_x_get_y': return `Buy ${promotion.buy_quantity} get ${promotion.get_quantity} free`;
+    case 'bundle_price': return `${promotion.bundle_quantity} for ETB ${Number(promotion.bundle_price).toFixed(2)}`;
+    default: return promotion.promo_type;
+  }
+}
+
+function describeWindow(promotion) {
+  const parts = [];
+  if (promotion.starts_on || promotion.ends_on) {
+    parts.push(`${promotion.starts_on ? String(promotion.starts_on).slice(0, 10) : '…'} – ${promotion.ends_on ? String(promotion.ends_on).slice(0, 10) : '…'}`);
+  }
+  if (promotion.days_of_week?.length) parts.push(promotion.days_of_week.map((day) => DAY_LABELS[day]).join(', '));
+  if (promotion.start_time) parts.push(`${promotion.start_time.slice(0, 5)}–${promotion.end_time.slice(0, 5)}`);
+  return parts.join(' · ') || 'Always';
+}
+
+export default function PromotionsPage() {
+  const { user } = useAuth();
+  const { selectedLocationId } = useBranch();
+  const toast = useToast();
+  const [promotions, setPromotions] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [form, setForm] = useState(emptyForm());
+  const [editingId, setEditingId] = useState(null);
+  const [range, setRange] = useState({ start_date: today(), end_date: today() });
+  const [report, setReport] = useState(null);
+
+  const categories = useMemo(() => {
+    const byId = new Map();
+    products.forEach((product) => {
+      if (product.category_id) byId.set(product.category_id, product.category_name);
+    });
+    return [...byId.entries()].map(([id, name]) => ({ id, name }));
+  }, [products]);
+
+  const fetchPromotions = () => api.get('/promotions')
+    .then((response) => setPromotions(response.data || []))
+    .catch((err) => toast.error(getErrorMessage(err, 'Failed to load promotions.')));
+
+  useEffect(() => {
+    fetchPromotions();
+    api.get('/products')
+      .then((response) => setProducts(response.data || []))
+      .catch((err) => console.error('Failed to load products:', err));
+  }, [selectedLocationId]);
+
+  const fetchReport = () => api.get('/reports/promotions', { params: range })
+    .then((response) => setReport(response.data))
+    .catch((err) => console.error('Failed to load promotion report:', err));
+
+  useEffect(() => {
+    fetchReport();
+  }, [selectedLocationId, range.start_date, range.end_date]);
+
+  const handleEdit = (promotion) => {
+    setEditingId(promotion.id);
+    setForm({
+      ...emptyForm(),
+      ...Object.fromEntries(Object.entries(promotion).filter(([, value]) => value !== null)),
+      scope: promotion.product_id ? 'product' : promotion.category_id ? 'category' : 'all',
+      starts_on: promotion.starts_on ? String(promotion.starts_on).slice(0, 10) : '',
+      ends_on: promotion.ends_on ? String(promotion.ends_on).slice(0, 10) : '',
+      start_time: promotion.start_time ? promotion.start_time.slice(0, 5) : '',
+      end_time: promotion.end_time ? promotion.end_time.slice(0, 5) : '',
+      days_of_week: promotion.days_of_week || [],
+      all_branches: promotion.location_id === null,
+    });
+  };
+
+  const toggleDay = (day) => {
+    setForm((current) => ({
+      ...current,
+      days_of_week: current.days_of_week.includes(day)
+        ? current.days_of_week.filter((entry) => entry !== day)
+        : [...current.days_of_week, day].sort(),
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const payload = {
+      ...form,
+      product_id: form.scope === 'product' ? Number(form.product_id) : null,
+      category_id: form.scope === 'category' ? Number(form.category_id) : null,
+    };
+    delete payload.scope;
+    try {
+      if (editingId) {
+        await api.put(`/promotions/${editingId}`, payload);
+        toast.success('Promotion updated.');
+      } else {
+        await api.post('/promotions', payload);
+        toast.success('Promotion created.');
+      }
+      setForm(emptyForm());
+      setEditingId(null);
+      fetchPromotions();
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to save promotion.'));
+    }
+  };
+
+  const handleToggle = async (promotion) => {
+    try {
+      await api.patch(`/promotions/${promotion.id}/active`, { is_active: !promotion.is_active });
+      fetchPromotions();
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to update promotion.'));
+    }
+  };
+
+  const numberField = (field, label, props = {}) => (
+    <div className="col-md-2 mb-3">
+      <label className="form-label">{label}</label>
+      <input type="number" min="0" step="any" className="form-control" value={form[field]} onChange={(e) => setForm({ ...form, [field]: e.target.value })} required {...props} />
+    </div>
+  );
+
+  return (
+    <div className="promotions-page">
+      <div className="page-header">
+        <h2><Tag size={24} /> Promotions</h2>
+      </div>
+
+      <div className="card mb-4">
+        <div className="card-header">
+          <h3>Uptake & Cost</h3>
+          <div className="d-flex gap-2">
+            <input type="date" className="form-control" value={range.start_date} onChange={(e) => setRange({ ...range, start_date: e.target.value })} />
+            <input type="date" className="form-control" value={range.end_date} onChange={(e) => setRange({ ...range, end_date: e.target.value })} />
+          </div>
+        </div>
+        <div className="card-body">
+          {report && (
+            <>
+              <p>
+                <strong>{report.summary.promoted_sales}</strong> of {report.summary.sales_count} sales used a promotion
+                ({report.summary.uptake_percent}%), costing <strong>ETB {report.summary.promotion_cost.toFixed(2)}</strong> off
+                ETB {report.summary.gross_sales.toFixed(2)} at list price.
+              </p>
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>Promotion</th>
+                    <th>Sales</th>
+                    <th>Uptake</th>
+                    <th>Units</th>
+                    <th>Cost</th>
+                    <th>Net Revenue</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.promotions.length === 0 && (
+                    <tr><td colSpan="6" className="text-center text-muted">No promotions used in this period</td></tr>
+                  )}
+                  {report.promotions.map((row) => (
+                    <tr key={row.promotion_id}>
+                      <td>{row.name}</td>
+                      <td>{row.sales_count}</td>
+                      <td>{row.uptake_percent}%</td>
+                      <td>{row.units_sold}</td>
+                      <td>ETB {row.promotion_cost.toFixed(2)}</td>
+                      <td>ETB {row.net_revenue.toFixed(2)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+        </div>
+      </div>
+
+      <div className="card mb-4">
+        <div className="card-header">
+          <h3>Rules</h3>
+        </div>
+        <div className="card-body">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Deal</th>
+                <th>Applies To</th>
+                <th>When</th>
+                <th>Branch</th>
+                <th>Status</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {promotions.length === 0 && (
+                <tr><td colSpan="7" className="text-center text-muted">No promotions yet</td></tr>
+              )}
+              {promotions.map((promotion) => (
+                <tr key={promotion.id}>
+                  <td>{promotion.name}</td>
+                  <td>{describeDeal(promotion)}</td>
+                  <td>{promotion.product_name || promotion.category_name || 'Everything'}</td>
+                  <td>{describeWindow(promotion)}</td>
+                  <td>{promotion.location_name || 'All branches'}</td>
+                  <td>
+                    <span className={`badge ${promotion.is_live ? 'badge-success' : promotion.is_active ? 'badge-info' : 'badge-secondary'}`}>
+                      {promotion.is_live ? 'Running now' : promotion.is_active ? 'Scheduled' : 'Off'}
+                    </span>
+                  </td>
+                  <td>
+                    {(user?.role === 'admin' || promotion.location_id !== null) && (
+                      <div className="d-flex gap-2">
+                        <button className="btn btn-sm btn-outline-primary" onClick={() => handleEdit(promotion)}>Edit</button>
+                        <button className="btn btn-sm btn-outline-secondary" onClick={() => handleToggle(promotion)}>
+                          {promotion.is_active ? 'Turn off' : 'Turn on'}
+                        </button>
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <h3>{editingId ? 'Edit Promotion' : 'New Promotion'}</h3>
+        </div>
+        <div className="card-body">
+          <form onSubmit={handleSubmit}>
+            <div className="row">
+              <div className="col-md-4 mb-3">
+                <label className="form-label">Name</label>
+                <input className="form-control" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} placeholder="e.g. 6 rolls for the price of 5" required />
+              </div>
+              <div className="col-md-3 mb-3">
+                <label className="form-label">Type</label>
+                <select className="form-select" value={form.promo_type} onChange={(e) => setForm({ ...form, promo_type: e.target.value })}>
+                  {Object.entries(TYPE_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                </select>
+              </div>
+              {form.promo_type === 'percent_off' && numberField('percent_off', 'Percent off', { max: 100 })}
+              {form.promo_type === 'fixed_off' && numberField('amount_off', 'ETB off each')}
+              {form.promo_type === 'buy_x_get_y' && numberField('buy_quantity', 'Buy', { step: 1, min: 1 })}
+              {form.promo_type === 'buy_x_get_y' && numberField('get_quantity', 'Get free', { step: 1, min: 1 })}
+              {form.promo_type === 'bundle_price' && numberField('bundle_quantity', 'Bundle of', { step: 1, min: 2 })}
+              {form.promo_type === 'bundle_price' && numberField('bundle_price', 'For ETB')}
+            </div>
+            <div className="row">
+              <div className="col-md-3 mb-3">
+                <label className="form-label">Applies To</label>
+                <select className="form-select" value={form.scope} onChange={(e) => setForm({ ...form, scope: e.target.value })}>
+                  <option value="all">Everything</option>
+                  <option value="product">One product</option>
+                  <option value="category">One category</option>
+                </select>
+              </div>
+              {form.scope === 'product' && (
+                <div className="col-md-3 mb-3">
+                  <label className="form-label">Product</label>
+                  <select className="form-select" value={form.product_id} onChange={(e) => setForm({ ...form, product_id: e.target.value })} required>
+                    <option value="">Select product</option>
+                    {products.map((product) => <option key={product.id} value={product.id}>{product.name}</option>)}
+                  </select>
+                </div>
+              )}
+              {form.scope === 'category' && (
+                <div className="col-md-3 mb-3">
+                  <label className="form-label">Category</label>
+                  <select className="form-select" value={form.category_id} onChange={(e) => setForm({ ...form, category_id: e.target.value })} required>
+                    <option value="">Select category</option>
+                    {categories.map((category) => <option key={category.id} value={category.id}>{category.name}</option>)}
+                  </select>
+                </div>
+              )}
+              <div className="col-md-2 mb-3">
+                <label className="form-label">Priority</label>
+                <input type="number" step="1" className="form-control" value={form.priority} onChange={(e) => setForm({ ...form, priority: e.target.value })} />
+              </div>
+              {user?.role === 'admin' && (
+                <div className="col-md-3 mb-3">
+                  <label className="form-label">
+                    <input type="checkbox" checked={form.all_branches} onChange={(e) => setForm({ ...form, all_branches: e.target.checked })} /> All branches
+                  </label>
+                </div>
+              )}
+            </div>
+            <div className="row">
+              <div className="col-md-2 mb-3">
+                <label className="form-label">From date</label>
+                <input type="date" className="form-control" value={form.starts_on} onChange={(e) => setForm({ ...form, starts_on: e.target.value })} />
+              </div>
+              <div className="col-md-2 mb-3">
+                <label className="form-label">To date</label>
+                <input type="date" className="form-control" value={form.ends_on} onChange={(e) => setForm({ ...form, ends_on: e.target.value })} />
+              </div>
+              <div className="col-md-2 mb-3">
+                <label className="form-label">From time</label>
+                <input type="time" className="form-control" value={form.start_time} onChange={(e) => setForm({ ...form, start_time: e.target.value })} />
+              </div>
+              <div className="col-md-2 mb-3">
+                <label className="form-label">To time</label>
+                <input type="time" className="form-control" value={form.end_time} onChange={(e) => setForm({ ...form, end_time: e.target.value })} />
+              </div>
+              <div className="col-md-4 mb-3">
+                <label className="form-label">Days (none = every day)</label>
+                <div className="d-flex gap-2">
+                  {DAY_LABELS.map((label, day) => (
+                    <label key={label}>
+                      <input type="checkbox" checked={form.days_of_week.includes(day)} onChange={() => toggleDay(day)} /> {label}
+                    </label>
+                  ))}
+                </div>
+              </div>
+            </div>
+            <div className="d-flex gap-2">
+              <button type="submit" className="btn btn-primary">{editingId ? 'Save Changes' : 'Create Promotion'}</button>
+              {editingId && (
+                <button type="button" className="btn btn-secondary" onClick={() => { setEditingId(null); setForm(emptyForm()); }}>Cancel</button>
+              )}
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,527 @@
+import { useState, useEffect } from 'react';
+import api, { getErrorMessage } from '../../api/axios';
+import { useBranch } from '../../context/BranchContext';
+import { useToast } from '../../context/ToastContext';
+import { Plus, Truck, PackageCheck, Trash2 } from 'lucide-react';
+import { formatAddisDateTime } from '../../utils/time';
+
+const STATUS_BADGES = {
+  draft: 'badge-secondary',
+  ordered: 'badge-primary',
+  partially_received: 'badge-warning',
+  received: 'badge-success',
+  cancelled: 'badge-danger',
+};
+
+const emptySupplier = () => ({ name: '', contact_name: '', phone: '', email: '', notes: '' });
+const emptyOrder = () => ({ supplier_id: '', expected_date: '', notes: '', items: [{ key: '', quantity: '', unit_cost: '' }] });
+
+export default function PurchasingPage() {
+  const { selectedLocationId } = useBranch();
+  const toast = useToast();
+  const [suppliers, setSuppliers] = useState([]);
+  const [orders, setOrders] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [ingredients, setIngredients] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [showSupplierForm, setShowSupplierForm] = useState(false);
+  const [supplierForm, setSupplierForm] = useState(emptySupplier());
+  const [showOrderForm, setShowOrderForm] = useState(false);
+  const [orderForm, setOrderForm] = useState(emptyOrder());
+  const [receiving, setReceiving] = useState(null);
+  const [receiptLines, setReceiptLines] = useState({});
+  const [createExpense, setCreateExpense] = useState(true);
+
+  useEffect(() => {
+    fetchOrders();
+    fetchSuppliers();
+    Promise.all([api.get('/products'), api.get('/ingredients')])
+      .then(([productsResponse, ingredientsResponse]) => {
+        setProducts((productsResponse.data || []).filter((product) => product.source === 'purchased'));
+        setIngredients(ingredientsResponse.data || []);
+      })
+      .catch((err) => console.error('Failed to fetch purchasable items:', err));
+  }, [selectedLocationId, statusFilter]);
+
+  const fetchSuppliers = async () => {
+    try {
+      const response = await api.get('/purchasing/suppliers');
+      setSuppliers(response.data);
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to load suppliers.'));
+    }
+  };
+
+  const fetchOrders = async () => {
+    try {
+      const response = await api.get('/purchasing/orders', { params: statusFilter ? { status: statusFilter } : {} });
+      setOrders(response.data);
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to load purchase orders.'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const saveSupplier = async (e) => {
+    e.preventDefault();
+    try {
+      await api.post('/purchasing/suppliers', supplierForm);
+      toast.success(`${supplierForm.name} added.`);
+      setShowSupplierForm(false);
+      setSupplierForm(emptySupplier());
+      fetchSuppliers();
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to save supplier.'));
+    }
+  };
+
+  const updateOrderItem = (index, changes) => {
+    setOrderForm({
+      ...orderForm,
+      items: orderForm.items.map((item, itemIndex) => (itemIndex === index ? { ...item, ...changes } : item)),
+    });
+  };
+
+  const selectOrderItem = (index, key) => {
+    const [type, id] = key.split(':');
+    const source = type === 'product' ? products : ingredients;
+    const match = source.find((entry) => String(entry.id) === id);
+    updateOrderItem(index, { key, unit_cost: match ? match.cost ?? match.unit_cost ?? '' : '' });
+  };
+
+  const saveOrder = async (e) => {
+    e.preventDefault();
+    const items = orderForm.items
+      .filter((item) => item.key && Number(item.quantity) > 0)
+      .map((item) => {
+        const [type, id] = item.key.split(':');
+        return {
+          product_id: type === 'product' ? Number(id) : null,
+          ingredient_id: type === 'ingredient' ? Number(id) : null,
+          quantity: Number(item.quantity),
+          unit_cost: Number(item.unit_cost || 0),
+        };
+      });
+
+    if (!items.length) {
+      toast.warning('Add at least one line to the purchase order.');
+      return;
+    }
+
+    try {
+      await api.post('/purchasing/orders', {
+        supplier_id: Number(orderForm.supplier_id),
+        expected_date: orderForm.expected_date || null,
+        notes: orderForm.notes,
+        items,
+      });
+      toast.success('Purchase order created.');
+      setShowOrderForm(false);
+      setOrderForm(emptyOrder());
+      fetchOrders();
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to create purchase order.'));
+    }
+  };
+
+  const openReceive = async (order) => {
+    try {
+      const response = await api.get(`/purchasing/orders/${order.id}`);
+      const lines = {};
+      response.data.items.forEach((item) => {
+        const outstanding = Number(item.quantity_ordered) - Number(item.quantity_received);
+        lines[item.id] = { quantity: outstanding > 0 ? outstanding : '', unit_cost: item.unit_cost };
+      });
+      setReceiptLines(lines);
+      setReceiving({ ...response.data, idempotencyKey: `po-receive-${order.id}-${Date.now()}` });
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to load purchase order.'));
+    }
+  };
+
+  const submitReceipt = async (e) => {
+    e.preventDefault();
+    const lines = Object.entries(receiptLines)
+      .filter(([, line]) => Number(line.quantity) > 0)
+      .map(([itemId, line]) => ({ item_id: Number(itemId), quantity: Number(line.quantity), unit_cost: Number(line.unit_cost || 0) }));
+
+    if (!lines.length) {
+      toast.warning('Enter a received quantity for at least one line.');
+      return;
+    }
+
+    try {
+      const response = await api.post(
+        `/purchasing/orders/${receiving.id}/receive`,
+        { lines, create_expense: createExpense },
+        { headers: { 'X-Idempotency-Key': receiving.idempotencyKey } }
+      );
+      toast.success(`Receipt posted. Order is now ${response.data.status.replace('_', ' ')}.`);
+      setReceiving(null);
+      fetchOrders();
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to receive delivery.'));
+    }
+  };
+
+  const changeStatus = async (order, status) => {
+    if (status === 'cancelled' && !window.confirm(`Cancel purchase order #${order.id} from ${order.supplier_name}? Received stock stays in inventory.`)) {
+      return;
+    }
+    try {
+      await api.patch(`/purchasing/orders/${order.id}/status`, { status });
+      fetchOrders();
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to update purchase order.'));
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="loading-container">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="purchasing-page">
+      <div className="page-header">
+        <h2><Truck size={24} /> Purchasing</h2>
+        <div>
+          <button className="btn btn-secondary me-2" onClick={() => setShowSupplierForm(true)}>
+            <Plus size={18} /> Add Supplier
+          </button>
+          <button className="btn btn-primary" onClick={() => setShowOrderForm(true)} disabled={!suppliers.length}>
+            <Plus size={18} /> New Purchase Order
+          </button>
+        </div>
+      </div>
+
+      <div className="card mb-4">
+        <div className="card-header">
+          <h3>Purchase Orders</h3>
+          <select className="form-select" style={{ maxWidth: 220 }} value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+            <option value="">All statuses</option>
+            {Object.keys(STATUS_BADGES).map((status) => (
+              <option key={status} value={status}>{status.replace('_', ' ')}</option>
+            ))}
+          </select>
+        </div>
+        <div className="card-body">
+          <div className="table-responsive">
+            <table className="table table-hover">
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>Supplier</th>
+                  <th>Expected</th>
+                  <th>Lines</th>
+                  <th>Ordered</th>
+                  <th>Received</th>
+                  <th>Status</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {orders.length === 0 && (
+                  <tr>
+                    <td colSpan="8" className="text-center text-muted">No purchase orders</td>
+                  </tr>
+                )}
+                {orders.map((order) => (
+                  <tr key={order.id}>
+                    <td>{order.id}</td>
+                    <td>{order.supplier_name}</td>
+                    <td>{order.expected_date ? String(order.expected_date).slice(0, 10) : '-'}</td>
+                    <td>{order.line_count}</td>
+                    <td>ETB {Number(order.ordered_value).toFixed(2)}</td>
+                    <td>ETB {Number(order.received_value).toFixed(2)}</td>
+                    <td><span className={`badge ${STATUS_BADGES[order.status]}`}>{order.status.replace('_', ' ')}</span></td>
+                    <td>
+                      {order.status === 'draft' && (
+                        <button className="btn btn-sm btn-outline-primary me-2" onClick={() => changeStatus(order, 'ordered')}>
+                          Mark Ordered
+                        </button>
+                      )}
+                      {['ordered', 'partially_received'].includes(order.status) && (
+                        <button className="btn btn-sm btn-success me-2" onClick={() => openReceive(order)}>
+                          <PackageCheck size={14} /> Receive
+                        </button>
+                      )}
+                      {['draft', 'ordered', 'partially_received'].includes(order.status) && (
+                        <button className="btn btn-sm btn-outline-danger" onClick={() => changeStatus(order, 'cancelled')}>
+                          Cancel
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <h3>Suppliers</h3>
+        </div>
+        <div className="card-body">
+          <div className="table-responsive">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Contact</th>
+                  <th>Phone</th>
+                  <th>Email</th>
+                </tr>
+              </thead>
+              <tbody>
+                {suppliers.length === 0 && (
+                  <tr>
+                    <td colSpan="4" className="text-center text-muted">No suppliers yet</td>
+                  </tr>
+                )}
+                {suppliers.map((supplier) => (
+                  <tr key={supplier.id}>
+                    <td>{supplier.name}</td>
+                    <td>{supplier.contact_name || '-'}</td>
+                    <td>{supplier.phone || '-'}</td>
+                    <td>{supplier.email || '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+
+      {showSupplierForm && (
+        <div className="modal-overlay" onClick={() => setShowSupplierForm(false)}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>Add Supplier</h3>
+              <button className="close-btn" onClick={() => setShowSupplierForm(false)}>×</button>
+            </div>
+            <form onSubmit={saveSupplier} className="modal-body">
+              <div className="mb-3">
+                <label className="form-label">Name *</label>
+                <input
+                  className="form-control"
+                  value={supplierForm.name}
+                  onChange={(e) => setSupplierForm({ ...supplierForm, name: e.target.value })}
+                  required
+                />
+              </div>
+              <div className="row">
+                <div className="col-md-6 mb-3">
+                  <label className="form-label">Contact Person</label>
+                  <input
+                    className="form-control"
+                    value={supplierForm.contact_name}
+                    onChange={(e) => setSupplierForm({ ...supplierForm, contact_name: e.target.value })}
+                  />
+                </div>
+                <div className="col-md-6 mb-3">
+                  <label className="form-label">Phone</label>
+                  <input
+                    className="form-control"
+                    value={supplierForm.phone}
+                    onChange={(e) => setSupplierForm({ ...supplierForm, phone: e.target.value })}
+                  />
+                </div>
+              </div>
+              <div className="mb-3">
+                <label className="form-label">Email</label>
+                <input
+                  type="email"
+                  className="form-control"
+                  value={supplierForm.email}
+                  onChange={(e) => setSupplierForm({ ...supplierForm, email: e.target.value })}
+                />
+              </div>
+              <div className="modal-footer">
+                <button type="button" className="btn btn-secondary" onClick={() => setShowSupplierForm(false)}>Cancel</button>
+                <button type="submit" className="btn btn-primary">Add Supplier</button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {showOrderForm && (
+        <div className="modal-overlay" onClick={() => setShowOrderForm(false)}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>New Purchase Order</h3>
+              <button className="close-btn" onClick={() => setShowOrderForm(false)}>×</button>
+            </div>
+            <form onSubmit={saveOrder} className="modal-body">
+              <div className="row">
+                <div className="col-md-6 mb-3">
+                  <label className="form-label">Supplier *</label>
+                  <select
+                    className="form-select"
+                    value={orderForm.supplier_id}
+                    onChange={(e) => setOrderForm({ ...orderForm, supplier_id: e.target.value })}
+                    required
+                  >
+                    <option value="">Select supplier</option>
+                    {suppliers.map((supplier) => <option key={supplier.id} value={supplier.id}>{supplier.name}</option>)}
+                  </select>
+                </div>
+                <div className="col-md-6 mb-3">
+                  <label className="form-label">Expected Delivery</label>
+                  <input
+                    type="date"
+                    className="form-control"
+                    value={orderForm.expected_date}
+                    onChange={(e) => setOrderForm({ ...orderForm, expected_date: e.target.value })}
+                  />
+                </div>
+              </div>
+
+              {orderForm.items.map((item, index) => (
+                <div className="row mb-2" key={index}>
+                  <div className="col-md-5">
+                    <select className="form-select" value={item.key} onChange={(e) => selectOrderItem(index, e.target.value)}>
+                      <option value="">Select item</option>
+                      <optgroup label="Ingredients">
+                        {ingredients.map((entry) => <option key={`i${entry.id}`} value={`ingredient:${entry.id}`}>{entry.name} ({entry.unit})</option>)}
+                      </optgroup>
+                      <optgroup label="Purchased products">
+                        {products.map((entry) => <option key={`p${entry.id}`} value={`product:${entry.id}`}>{entry.name}</option>)}
+                      </optgroup>
+                    </select>
+                  </div>
+                  <div className="col-md-3">
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.001"
+                      className="form-control"
+                      placeholder="Qty"
+                      value={item.quantity}
+                      onChange={(e) => updateOrderItem(index, { quantity: e.target.value })}
+                    />
+                  </div>
+                  <div className="col-md-3">
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      className="form-control"
+                      placeholder="Unit cost"
+                      value={item.unit_cost}
+                      onChange={(e) => updateOrderItem(index, { unit_cost: e.target.value })}
+                    />
+                  </div>
+                  <div className="col-md-1">
+                    <button
+                      type="button"
+                      className="btn btn-sm btn-outline-danger"
+                      onClick={() => setOrderForm({ ...orderForm, items: orderForm.items.filter((_, itemIndex) => itemIndex !== index) })}
+                    >
+                      <Trash2 size={14} />
+                    </button>
+                  </div>
+                </div>
+              ))}
+              <button
+                type="button"
+                className="btn btn-sm btn-outline-primary mb-3"
+                onClick={() => setOrderForm({ ...orderForm, items: [...orderForm.items, { key: '', quantity: '', unit_cost: '' }] })}
+              >
+                <Plus size={14} /> Add Line
+              </button>
+
+              <div className="mb-3">
+                <label className="form-label">Notes</label>
+                <textarea
+                  className="form-control"
+                  rows="2"
+                  value={orderForm.notes}
+                  onChange={(e) => setOrderForm({ ...orderForm, notes: e.target.value })}
+                />
+              </div>
+              <div className="modal-footer">
+                <button type="button" className="btn btn-secondary" onClick={() => setShowOrderForm(false)}>Cancel</button>
+                <button type="submit" className="btn btn-primary">Create Order</button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {receiving && (
+        <div className="modal-overlay" onClick={() => setReceiving(null)}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>Receive PO #{receiving.id} — {receiving.supplier_name}</h3>
+              <button className="close-btn" onClick={() => setReceiving(null)}>×</button>
+            </div>
+            <form onSubmit={submitReceipt} className="modal-body">
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>Item</th>
+                    <th>Ordered</th>
+                    <th>Received</th>
+                    <th>Receive Now</th>
+                    <th>Unit Cost</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {receiving.items.map((item) => (
+                    <tr key={item.id}>
+                      <td>{item.item_name}</td>
+                      <td>{Number(item.quantity_ordered)} {item.unit}</td>
+                      <td>{Number(item.quantity_received)}</td>
+                      <td>
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.001"
+                          className="form-control"
+                          value={receiptLines[item.id]?.quantity ?? ''}
+                          onChange={(e) => setReceiptLines({ ...receiptLines, [item.id]: { ...receiptLines[item.id], quantity: e.target.value } })}
+                        />
+                      </td>
+                      <td>
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          className="form-control"
+                          value={receiptLines[item.id]?.unit_cost ?? ''}
+                          onChange={(e) => setReceiptLines({ ...receiptLines, [item.id]: { ...receiptLines[item.id], unit_cost: e.target.value } })}
+                        />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <label className="form-check mb-3">
+                <input type="checkbox" checked={createExpense} onChange={(e) => setCreateExpense(e.target.checked)} />
+                {' '}Record the receipt total as an expense
+              </label>
+              {receiving.receipts.length > 0 && (
+                <p className="text-muted">
+                  Previous receipts: {receiving.receipts.map((receipt) => `${formatAddisDateTime(receipt.received_at)} (ETB ${Number(receipt.total_amount).toFixed(2)})`).join(', ')}
+                </p>
+              )}
+              <div className="modal-footer">
+                <button type="button" className="btn btn-secondary" onClick={() => setReceiving(null)}>Cancel</button>
+                <button type="submit" className="btn btn-success">Post Receipt</button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,194 @@
+import { useState, useEffect } from 'react';
+import api, { getErrorMessage } from '../../api/axios';
+import { useAuth } from '../../context/AuthContext';
+import { useBranch } from '../../context/BranchContext';
+import { useToast } from '../../context/ToastContext';
+import { Layers } from 'lucide-react';
+
+const formatMoney = (value) => `ETB ${Number(value || 0).toFixed(2)}`;
+const toInput = (value) => (value === null || value === undefined ? '' : String(value));
+const toLevel = (value) => (value === '' ? null : Number(value));
+
+export default function ReorderPointsPage() {
+  const { user } = useAuth();
+  const { selectedLocationId } = useBranch();
+  const toast = useToast();
+  const [rows, setRows] = useState([]);
+  const [edits, setEdits] = useState({});
+  const [suggestions, setSuggestions] = useState({ items: [], total_suggested_cost: 0 });
+  const [saving, setSaving] = useState(false);
+  const isAdmin = user?.role === 'admin';
+
+  useEffect(() => {
+    fetchLevels();
+    fetchSuggestions();
+  }, [selectedLocationId]);
+
+  const fetchLevels = async () => {
+    try {
+      const [productsRes, levelsRes, inventoryRes] = await Promise.all([
+        api.get('/products'),
+        api.get('/production/par-levels'),
+        api.get('/inventory'),
+      ]);
+      const levels = new Map((levelsRes.data || []).map((level) => [Number(level.product_id), level]));
+      const onHand = new Map((inventoryRes.data || []).map((item) => [Number(item.product_id), Number(item.quantity)]));
+      setRows(
+        (productsRes.data || [])
+          .filter((product) => product.is_active !== false)
+          .map((product) => {
+            const level = levels.get(Number(product.id)) || {};
+            return {
+              product_id: Number(product.id),
+              product_name: product.name,
+              on_hand: onHand.get(Number(product.id)) || 0,
+              min_quantity: toInput(level.min_quantity),
+              par_quantity: toInput(level.par_quantity ?? 0),
+              max_quantity: toInput(level.max_quantity),
+            };
+          })
+      );
+      setEdits({});
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to load stock levels.'));
+    }
+  };
+
+  const fetchSuggestions = async () => {
+    try {
+      const response = await api.get('/production/reorder-suggestions');
+      setSuggestions(response.data);
+    } catch (err) {
+      console.error('Failed to fetch reorder suggestions:', err);
+    }
+  };
+
+  const updateRow = (productId, changes) => {
+    setEdits({ ...edits, [productId]: { ...edits[productId], ...changes } });
+  };
+
+  const handleSave = async () => {
+    const levels = rows
+      .filter((row) => edits[row.product_id])
+      .map((row) => {
+        const merged = { ...row, ...edits[row.product_id] };
+        return {
+          product_id: row.product_id,
+          par_quantity: Number(merged.par_quantity || 0),
+          min_quantity: toLevel(merged.min_quantity),
+          max_quantity: toLevel(merged.max_quantity),
+        };
+      });
+    if (!levels.length) return;
+
+    setSaving(true);
+    try {
+      await api.put('/production/par-levels', { levels });
+      toast.success(`Saved stock levels for ${levels.length} product(s).`);
+      fetchLevels();
+      fetchSuggestions();
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to save stock levels.'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="reorder-points-page">
+      <div className="page-header">
+        <h2><Layers size={24} /> Reorder Points</h2>
+        {isAdmin && (
+          <button className="btn btn-primary" onClick={handleSave} disabled={saving || Object.keys(edits).length === 0}>
+            {saving ? 'Saving...' : 'Save Levels'}
+          </button>
+        )}
+      </div>
+
+      <div className="card mb-4">
+        <div className="card-header">
+          <h3>Reorder Suggestions</h3>
+          <span className="text-muted">Estimated cost {formatMoney(suggestions.total_suggested_cost)}</span>
+        </div>
+        <div className="card-body">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Product</th>
+                <th>Source</th>
+                <th>On Hand</th>
+                <th>Min</th>
+                <th>Order Up To</th>
+                <th>Suggested</th>
+                <th>Est. Cost</th>
+              </tr>
+            </thead>
+            <tbody>
+              {suggestions.items.length === 0 && (
+                <tr>
+                  <td colSpan="7" className="text-center text-muted">Everything is at or above its minimum</td>
+                </tr>
+              )}
+              {suggestions.items.map((item) => (
+                <tr key={item.product_id}>
+                  <td>{item.product_name}</td>
+                  <td><span className="badge badge-secondary">{item.source === 'purchased' ? 'Buy' : 'Bake'}</span></td>
+                  <td className="text-danger">{item.on_hand}</td>
+                  <td>{item.min_quantity}</td>
+                  <td>{item.max_quantity ?? (item.par_quantity || item.min_quantity)}</td>
+                  <td><strong>{item.suggested_quantity}</strong></td>
+                  <td>{formatMoney(item.suggested_cost)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <h3>Min / Par / Max by Product</h3>
+          <span className="text-muted">Products without a min use the branch low-stock alert rule.</span>
+        </div>
+        <div className="card-body">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Product</th>
+                <th>On Hand</th>
+                <th>Min</th>
+                <th>Par</th>
+                <th>Max</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row) => {
+                const current = { ...row, ...edits[row.product_id] };
+                return (
+                  <tr key={row.product_id}>
+                    <td>{row.product_name}</td>
+                    <td>{row.on_hand}</td>
+                    {['min_quantity', 'par_quantity', 'max_quantity'].map((field) => (
+                      <td key={field} style={{ width: 110 }}>
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.001"
+                          className="form-control"
+                          value={current[field]}
+                          disabled={!isAdmin}
+                          placeholder={field === 'par_quantity' ? '0' : '—'}
+                          onChange={(e) => updateRow(row.product_id, { [field]: e.target.value })}
+                        />
+                      </td>
+                    ))}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -88,12 +88,15 @@ function buildSummary(data) {
   const expenses = Number(data?.summary?.total_expenses || 0);
   const staff = Number(data?.summary?.total_staff_payments || 0);
   const prod = Number(data?.summary?.total_batch_costs || 0);
+  const refunds = Number(data?.summary?.refunded_amount || 0);
+  const discounts = Number(data?.summary?.discount_amount || 0);
+  const promotions = Number(data?.summary?.promotion_amount || 0);
   const net = Number(data?.summary?.net_profit || (sales - prod - expenses - staff));
   const gross = sales - prod;
   const grossMargin = sales > 0 ? (gross / sales) * 100 : 0;
   const netMargin = sales > 0 ? (net / sales) * 100 : 0;
   const expenseRatio = sales > 0 ? ((expenses + staff) / sales) * 100 : 0;
-  return { sales, expenses, staff, prod, net, gross, grossMargin, netMargin, expenseRatio };
+  return { sales, refunds, discounts, promotions, expenses, staff, prod, net, gross, grossMargin, netMargin, expenseRatio };
 }
 
 function healthScore(current, growthRate) {
@@ -162,6 +165,9 @@ export default function ReportsPage() {
 
   const growth = useMemo(() => ({
     sales: percentChange(current.sales, previous.sales),
+    refunds: percentChange(current.refunds, previous.refunds),
+    discounts: percentChange(current.discounts, previous.discounts),
+    promotions: percentChange(current.promotions, previous.promotions),
     prod: percentChange(current.prod, previous.prod),
     expenses: percentChange(current.expenses, previous.expenses),
     staff: percentChange(current.staff, previous.staff),
@@ -356,6 +362,9 @@ export default function ReportsPage() {
 
   const kpis = [
     { label: 'Total Revenue', value: current.sales, change: growth.sales },
+    { label: 'Promotions', value: current.promotions, change: growth.promotions },
+    { label: 'Discounts', value: current.discounts, change: growth.discounts },
+    { label: 'Refunds', value: current.refunds, change: growth.refunds },
     { label: 'Total Production Cost', value: current.prod, change: growth.prod },
     { label: 'Total Expenses', value: current.expenses, change: growth.expenses },
     { label: 'Staff Payments', value: current.staff, change: growth.staff },
@@ -565,6 +574,30 @@ export default function ReportsPage() {
         </div>
       </section>
 
+      <section className="card report-section two-col">
+        <div>
+          <h3>Waste &amp; Spoilage</h3>
+          <div className="metric-list">
+            <div><span>Waste Cost</span><strong>{fmtMoney(currentData?.waste?.total_cost)}</strong></div>
+            <div><span>Units Written Off</span><strong>{Number(currentData?.waste?.total_quantity || 0)}</strong></div>
+            <div><span>% of Production Cost</span><strong>{fmtPct(currentData?.waste?.percent_of_batch_cost)}</strong></div>
+            <div><span>vs Previous Period</span><strong>{fmtPct(percentChange(currentData?.waste?.total_cost, previousData?.waste?.total_cost))}</strong></div>
+          </div>
+        </div>
+        <div>
+          <h4>Waste by Reason</h4>
+          <ResponsiveContainer width="100%" height={240}>
+            <BarChart data={(currentData?.waste?.by_reason || []).map((row) => ({ name: row.reason.replace('_', ' '), cost: Number(row.cost_value || 0) }))}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="name" />
+              <YAxis />
+              <Tooltip formatter={(value) => fmtMoney(value)} />
+              <Bar dataKey="cost" fill="#f97316" />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      </section>
+
       <section className="card report-section">
         <h3>Branch Comparison</h3>
         <p className="text-muted">Admin users can compare branches from dashboard branch selector; managers view only their branch scope.</p>
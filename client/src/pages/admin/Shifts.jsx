@@ -0,0 +1,242 @@
+import { useState, useEffect } from 'react';
+import api, { getErrorMessage } from '../../api/axios';
+import { useAuth } from '../../context/AuthContext';
+import { useBranch } from '../../context/BranchContext';
+import { useToast } from '../../context/ToastContext';
+import { Wallet, Printer } from 'lucide-react';
+import ShiftReport from '../../components/ShiftReport';
+import { formatAddisDateTime } from '../../utils/time';
+
+const today = () => new Date().toISOString().split('T')[0];
+const money = (value) => (value === null || value === undefined ? '—' : `ETB ${Number(value).toFixed(2)}`);
+
+export default function ShiftsPage() {
+  const { selectedLocationId } = useBranch();
+  const { user } = useAuth();
+  const toast = useToast();
+  const isAdmin = user?.role === 'admin';
+  const [filters, setFilters] = useState({ start_date: today(), end_date: today(), status: '' });
+  const [data, setData] = useState({ shifts: [], by_cashier: [] });
+  const [report, setReport] = useState(null);
+  const [numbering, setNumbering] = useState({ sequence: null, ranges: [] });
+  const [sequenceForm, setSequenceForm] = useState({ prefix: '', padding: 6 });
+
+  const fetchShifts = () => {
+    const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+    return api.get('/shifts', { params })
+      .then((response) => setData(response.data))
+      .catch((err) => toast.error(getErrorMessage(err, 'Failed to load shifts.')));
+  };
+
+  useEffect(() => {
+    fetchShifts();
+  }, [selectedLocationId, filters.start_date, filters.end_date, filters.status]);
+
+  const fetchNumbering = () => api.get('/receipts/sequence')
+    .then((response) => {
+      setNumbering(response.data);
+      setSequenceForm({ prefix: response.data.sequence?.prefix || '', padding: response.data.sequence?.padding || 6 });
+    })
+    .catch((err) => toast.error(getErrorMessage(err, 'Failed to load receipt numbering.')));
+
+  useEffect(() => {
+    fetchNumbering();
+  }, [selectedLocationId]);
+
+  const saveSequence = async (e) => {
+    e.preventDefault();
+    try {
+      await api.put('/receipts/sequence', { prefix: sequenceForm.prefix, padding: Number(sequenceForm.padding) });
+      toast.success('Receipt numbering updated.');
+      fetchNumbering();
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to update receipt numbering.'));
+    }
+  };
+
+  const releaseRange = async (range) => {
+    if (!window.confirm(`Release the unused numbers of ${range.first_receipt} – ${range.last_receipt}? Offline sales still to sync from that device will be renumbered.`)) return;
+    try {
+      await api.post(`/receipts/ranges/${range.id}/release`, {});
+      toast.success('Range released.');
+      fetchNumbering();
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to release range.'));
+    }
+  };
+
+  const openReport = async (shift) => {
+    try {
+      const response = await api.get(`/shifts/${shift.id}/report`);
+      setReport(response.data);
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to load shift report.'));
+    }
+  };
+
+  return (
+    <div className="shifts-page">
+      <div className="page-header">
+        <h2><Wallet size={24} /> Shifts</h2>
+        <div className="d-flex gap-2">
+          <input type="date" className="form-control" value={filters.start_date} onChange={(e) => setFilters({ ...filters, start_date: e.target.value })} />
+          <input type="date" className="form-control" value={filters.end_date} onChange={(e) => setFilters({ ...filters, end_date: e.target.value })} />
+          <select className="form-select" value={filters.status} onChange={(e) => setFilters({ ...filters, status: e.target.value })}>
+            <option value="">All</option>
+            <option value="open">Open</option>
+            <option value="closed">Closed</option>
+          </select>
+        </div>
+      </div>
+
+      <div className="card mb-4">
+        <div className="card-header"><h3>Over / Short by Cashier</h3></div>
+        <div className="card-body">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Cashier</th>
+                <th>Closed Shifts</th>
+                <th>Over / Short</th>
+              </tr>
+            </thead>
+            <tbody>
+              {data.by_cashier.length === 0 && (
+                <tr><td colSpan="3" className="text-center text-muted">No closed shifts in this period</td></tr>
+              )}
+              {data.by_cashier.map((row) => (
+                <tr key={row.cashier_id}>
+                  <td>{row.cashier_name}</td>
+                  <td>{row.shifts}</td>
+                  <td className={row.over_short < 0 ? 'text-danger' : row.over_short > 0 ? 'text-warning' : ''}>{money(row.over_short)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="card mb-4">
+        <div className="card-header"><h3>Shifts</h3></div>
+        <div className="card-body">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Cashier</th>
+                <th>Opened</th>
+                <th>Closed</th>
+                <th>Float</th>
+                <th>Expected</th>
+                <th>Counted</th>
+                <th>Over / Short</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {data.shifts.length === 0 && (
+                <tr><td colSpan="9" className="text-center text-muted">No shifts in this period</td></tr>
+              )}
+              {data.shifts.map((shift) => (
+                <tr key={shift.id}>
+                  <td>{shift.id}</td>
+                  <td>{shift.cashier_name}</td>
+                  <td>{formatAddisDateTime(shift.opened_at)}</td>
+                  <td>{shift.closed_at ? formatAddisDateTime(shift.closed_at) : <span className="badge badge-info">Open</span>}</td>
+                  <td>{money(shift.opening_float)}</td>
+                  <td>{money(shift.expected_cash)}</td>
+                  <td>{money(shift.counted_cash)}</td>
+                  <td className={Number(shift.over_short) < 0 ? 'text-danger' : Number(shift.over_short) > 0 ? 'text-warning' : ''}>
+                    {money(shift.over_short)}
+                    {shift.closing_note && <div className="small text-muted">{shift.closing_note}</div>}
+                  </td>
+                  <td>
+                    <button className="btn btn-sm btn-outline-primary" onClick={() => openReport(shift)}>
+                      {shift.status === 'closed' ? 'Z Report' : 'X Report'}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="card mb-4">
+        <div className="card-header">
+          <h3>Receipt Numbering</h3>
+          {numbering.sequence && <span className="text-muted">Next receipt: <strong>{numbering.sequence.next_receipt}</strong></span>}
+        </div>
+        <div className="card-body">
+          {isAdmin && (
+            <form onSubmit={saveSequence} className="row mb-3">
+              <div className="col-md-3">
+                <label className="form-label">Prefix</label>
+                <input className="form-control" value={sequenceForm.prefix} onChange={(e) => setSequenceForm({ ...sequenceForm, prefix: e.target.value.toUpperCase() })} maxLength={12} pattern="[A-Za-z0-9]+" placeholder="e.g. BOLE" required />
+              </div>
+              <div className="col-md-2">
+                <label className="form-label">Digits</label>
+                <input type="number" min="1" max="12" className="form-control" value={sequenceForm.padding} onChange={(e) => setSequenceForm({ ...sequenceForm, padding: e.target.value })} required />
+              </div>
+              <div className="col-md-3 d-flex align-items-end">
+                <button type="submit" className="btn btn-primary">Save</button>
+              </div>
+            </form>
+          )}
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Offline Range</th>
+                <th>Device</th>
+                <th>Reserved By</th>
+                <th>Synced</th>
+                <th>Status</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {numbering.ranges.length === 0 && (
+                <tr><td colSpan="6" className="text-center text-muted">No receipt numbers reserved for offline devices</td></tr>
+              )}
+              {numbering.ranges.map((range) => (
+                <tr key={range.id}>
+                  <td>{range.first_receipt} – {range.last_receipt}</td>
+                  <td>{range.device_id}</td>
+                  <td>{range.user_name || '—'} · {formatAddisDateTime(range.created_at)}</td>
+                  <td>{range.used_count} / {Number(range.end_number) - Number(range.start_number) + 1}</td>
+                  <td>
+                    {range.status === 'active'
+                      ? <span className="badge badge-info">Active</span>
+                      : <span className="badge badge-secondary">Released from {range.released_from}</span>}
+                  </td>
+                  <td>
+                    {range.status === 'active' && (
+                      <button className="btn btn-sm btn-outline-danger" onClick={() => releaseRange(range)}>Release</button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {report && (
+        <div className="modal-overlay" onClick={() => setReport(null)}>
+          <div className="modal-content modal-sm" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>Shift #{report.shift.id}</h3>
+              <button className="close-btn" onClick={() => setReport(null)}>×</button>
+            </div>
+            <div className="modal-body">
+              <ShiftReport report={report} />
+            </div>
+            <div className="modal-footer">
+              <button className="btn btn-secondary" onClick={() => window.print()}><Printer size={16} /> Print</button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
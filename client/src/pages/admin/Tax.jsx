@@ -0,0 +1,345 @@
+import { useState, useEffect, useMemo } from 'react';
+import api, { getErrorMessage } from '../../api/axios';
+import { useAuth } from '../../context/AuthContext';
+import { useBranch } from '../../context/BranchContext';
+import { useToast } from '../../context/ToastContext';
+import { Receipt } from 'lucide-react';
+
+const today = () => new Date().toISOString().split('T')[0];
+const emptyRateForm = () => ({ code: '', name: '', rate: '' });
+const emptyRuleForm = () => ({ tax_rate_id: '', scope: 'default', product_id: '', category_id: '', all_branches: false });
+
+function describeRate(row) {
+  return row.tax_code ? `${row.tax_code} ${row.tax_rate}%` : 'Untaxed';
+}
+
+export default function TaxPage() {
+  const { user } = useAuth();
+  const { selectedLocationId } = useBranch();
+  const toast = useToast();
+  const isAdmin = user?.role === 'admin';
+  const [rates, setRates] = useState([]);
+  const [rules, setRules] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [rateForm, setRateForm] = useState(emptyRateForm());
+  const [editingRateId, setEditingRateId] = useState(null);
+  const [ruleForm, setRuleForm] = useState(emptyRuleForm());
+  const [range, setRange] = useState({ start_date: `${today().slice(0, 7)}-01`, end_date: today() });
+  const [report, setReport] = useState(null);
+
+  const categories = useMemo(() => {
+    const byId = new Map();
+    products.forEach((product) => {
+      if (product.category_id) byId.set(product.category_id, product.category_name);
+    });
+    return [...byId.entries()].map(([id, name]) => ({ id, name }));
+  }, [products]);
+
+  const fetchRates = () => api.get('/tax/rates')
+    .then((response) => setRates(response.data || []))
+    .catch((err) => toast.error(getErrorMessage(err, 'Failed to load tax rates.')));
+
+  const fetchRules = () => api.get('/tax/rules')
+    .then((response) => setRules(response.data || []))
+    .catch((err) => toast.error(getErrorMessage(err, 'Failed to load tax rules.')));
+
+  useEffect(() => {
+    fetchRates();
+    fetchRules();
+    api.get('/products')
+      .then((response) => setProducts(response.data || []))
+      .catch((err) => console.error('Failed to load products:', err));
+  }, [selectedLocationId]);
+
+  const fetchReport = () => api.get('/reports/tax', { params: range })
+    .then((response) => setReport(response.data))
+    .catch((err) => console.error('Failed to load tax report:', err));
+
+  useEffect(() => {
+    fetchReport();
+  }, [selectedLocationId, range.start_date, range.end_date]);
+
+  const handleRateSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      if (editingRateId) {
+        await api.put(`/tax/rates/${editingRateId}`, { name: rateForm.name, rate: Number(rateForm.rate) });
+        toast.success('Tax rate updated. New sales use the new rate.');
+      } else {
+        await api.post('/tax/rates', { ...rateForm, rate: Number(rateForm.rate) });
+        toast.success('Tax rate added.');
+      }
+      setRateForm(emptyRateForm());
+      setEditingRateId(null);
+      fetchRates();
+      fetchRules();
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to save tax rate.'));
+    }
+  };
+
+  const handleRateToggle = async (rate) => {
+    try {
+      await api.put(`/tax/rates/${rate.id}`, { name: rate.name, rate: Number(rate.rate), is_active: !rate.is_active });
+      fetchRates();
+      fetchRules();
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to update tax rate.'));
+    }
+  };
+
+  const handleRuleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      await api.post('/tax/rules', {
+        tax_rate_id: Number(ruleForm.tax_rate_id),
+        product_id: ruleForm.scope === 'product' ? Number(ruleForm.product_id) : null,
+        category_id: ruleForm.scope === 'category' ? Number(ruleForm.category_id) : null,
+        all_branches: ruleForm.all_branches,
+      });
+      toast.success('Tax rule saved.');
+      setRuleForm(emptyRuleForm());
+      fetchRules();
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to save tax rule.'));
+    }
+  };
+
+  const handleRuleDelete = async (rule) => {
+    try {
+      await api.delete(`/tax/rules/${rule.id}`);
+      fetchRules();
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to remove tax rule.'));
+    }
+  };
+
+  return (
+    <div className="tax-page">
+      <div className="page-header">
+        <h2><Receipt size={24} /> Tax</h2>
+      </div>
+
+      <div className="card mb-4">
+        <div className="card-header">
+          <h3>Tax Summary</h3>
+          <div className="d-flex gap-2">
+            <input type="date" className="form-control" value={range.start_date} onChange={(e) => setRange({ ...range, start_date: e.target.value })} />
+            <input type="date" className="form-control" value={range.end_date} onChange={(e) => setRange({ ...range, end_date: e.target.value })} />
+          </div>
+        </div>
+        <div className="card-body">
+          {report && (
+            <>
+              <p>
+                Sales of <strong>ETB {report.summary.gross_amount.toFixed(2)}</strong> including
+                <strong> ETB {report.summary.tax_amount.toFixed(2)}</strong> tax
+                (ETB {report.summary.net_amount.toFixed(2)} before tax), net of refunds.
+              </p>
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>Month</th>
+                    <th>Rate</th>
+                    <th>Sales</th>
+                    <th>Gross</th>
+                    <th>Net</th>
+                    <th>Tax</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.by_month.length === 0 && (
+                    <tr><td colSpan="6" className="text-center text-muted">No sales in this period</td></tr>
+                  )}
+                  {report.by_month.map((row) => (
+                    <tr key={`${row.month}-${row.tax_code}-${row.tax_rate}`}>
+                      <td>{row.month}</td>
+                      <td>{describeRate(row)}</td>
+                      <td>{row.sales_count}</td>
+                      <td>ETB {row.gross_amount.toFixed(2)}</td>
+                      <td>ETB {row.net_amount.toFixed(2)}</td>
+                      <td>ETB {row.tax_amount.toFixed(2)}</td>
+                    </tr>
+                  ))}
+                  {report.by_rate.map((row) => (
+                    <tr key={`total-${row.tax_code}-${row.tax_rate}`}>
+                      <th>Period total</th>
+                      <th>{describeRate(row)}</th>
+                      <th></th>
+                      <th>ETB {row.gross_amount.toFixed(2)}</th>
+                      <th>ETB {row.net_amount.toFixed(2)}</th>
+                      <th>ETB {row.tax_amount.toFixed(2)}</th>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+        </div>
+      </div>
+
+      <div className="card mb-4">
+        <div className="card-header">
+          <h3>Rates</h3>
+        </div>
+        <div className="card-body">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Code</th>
+                <th>Name</th>
+                <th>Rate</th>
+                <th>Status</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {rates.length === 0 && (
+                <tr><td colSpan="5" className="text-center text-muted">No tax rates yet</td></tr>
+              )}
+              {rates.map((rate) => (
+                <tr key={rate.id}>
+                  <td>{rate.code}</td>
+                  <td>{rate.name}</td>
+                  <td>{Number(rate.rate)}%</td>
+                  <td><span className={`badge ${rate.is_active ? 'badge-success' : 'badge-secondary'}`}>{rate.is_active ? 'Active' : 'Off'}</span></td>
+                  <td>
+                    {isAdmin && (
+                      <div className="d-flex gap-2">
+                        <button
+                          className="btn btn-sm btn-outline-primary"
+                          onClick={() => {
+                            setEditingRateId(rate.id);
+                            setRateForm({ code: rate.code, name: rate.name, rate: Number(rate.rate) });
+                          }}
+                        >
+                          Edit
+                        </button>
+                        <button className="btn btn-sm btn-outline-secondary" onClick={() => handleRateToggle(rate)}>
+                          {rate.is_active ? 'Turn off' : 'Turn on'}
+                        </button>
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {isAdmin && (
+            <form onSubmit={handleRateSubmit} className="row">
+              <div className="col-md-2 mb-3">
+                <label className="form-label">Code</label>
+                <input className="form-control" value={rateForm.code} disabled={Boolean(editingRateId)} onChange={(e) => setRateForm({ ...rateForm, code: e.target.value })} placeholder="VAT" required />
+              </div>
+              <div className="col-md-4 mb-3">
+                <label className="form-label">Name</label>
+                <input className="form-control" value={rateForm.name} onChange={(e) => setRateForm({ ...rateForm, name: e.target.value })} placeholder="Value added tax" required />
+              </div>
+              <div className="col-md-2 mb-3">
+                <label className="form-label">Rate (%)</label>
+                <input type="number" min="0" max="100" step="any" className="form-control" value={rateForm.rate} onChange={(e) => setRateForm({ ...rateForm, rate: e.target.value })} required />
+              </div>
+              <div className="col-md-4 mb-3 d-flex align-items-end gap-2">
+                <button type="submit" className="btn btn-primary">{editingRateId ? 'Save Rate' : 'Add Rate'}</button>
+                {editingRateId && (
+                  <button type="button" className="btn btn-secondary" onClick={() => { setEditingRateId(null); setRateForm(emptyRateForm()); }}>Cancel</button>
+                )}
+              </div>
+            </form>
+          )}
+        </div>
+      </div>
+
+      <div className="card mb-4">
+        <div className="card-header">
+          <h3>Who Pays What</h3>
+        </div>
+        <div className="card-body">
+          <p className="text-muted">
+            Prices include tax. A product rule beats a category rule, which beats the branch default; a branch&apos;s own rule beats one set for all branches.
+          </p>
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Applies To</th>
+                <th>Rate</th>
+                <th>Branch</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {rules.length === 0 && (
+                <tr><td colSpan="4" className="text-center text-muted">No tax rules: sales are untaxed</td></tr>
+              )}
+              {rules.map((rule) => (
+                <tr key={rule.id}>
+                  <td>{rule.product_name || (rule.category_name && `Category: ${rule.category_name}`) || 'Everything else'}</td>
+                  <td>
+                    {rule.code} {Number(rule.rate)}%
+                    {!rule.rate_active && <span className="badge badge-secondary ms-2">Rate off</span>}
+                  </td>
+                  <td>{rule.location_id ? 'This branch' : 'All branches'}</td>
+                  <td>
+                    {(isAdmin || rule.location_id !== null) && (
+                      <button className="btn btn-sm btn-outline-danger" onClick={() => handleRuleDelete(rule)}>Remove</button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <form onSubmit={handleRuleSubmit} className="row">
+            <div className="col-md-3 mb-3">
+              <label className="form-label">Rate</label>
+              <select className="form-select" value={ruleForm.tax_rate_id} onChange={(e) => setRuleForm({ ...ruleForm, tax_rate_id: e.target.value })} required>
+                <option value="">Choose a rate</option>
+                {rates.filter((rate) => rate.is_active).map((rate) => (
+                  <option key={rate.id} value={rate.id}>{rate.code} {Number(rate.rate)}%</option>
+                ))}
+              </select>
+            </div>
+            <div className="col-md-2 mb-3">
+              <label className="form-label">Applies To</label>
+              <select className="form-select" value={ruleForm.scope} onChange={(e) => setRuleForm({ ...ruleForm, scope: e.target.value })}>
+                <option value="default">Everything else</option>
+                <option value="category">Category</option>
+                <option value="product">Product</option>
+              </select>
+            </div>
+            {ruleForm.scope === 'category' && (
+              <div className="col-md-3 mb-3">
+                <label className="form-label">Category</label>
+                <select className="form-select" value={ruleForm.category_id} onChange={(e) => setRuleForm({ ...ruleForm, category_id: e.target.value })} required>
+                  <option value="">Choose a category</option>
+                  {categories.map((category) => <option key={category.id} value={category.id}>{category.name}</option>)}
+                </select>
+              </div>
+            )}
+            {ruleForm.scope === 'product' && (
+              <div className="col-md-3 mb-3">
+                <label className="form-label">Product</label>
+                <select className="form-select" value={ruleForm.product_id} onChange={(e) => setRuleForm({ ...ruleForm, product_id: e.target.value })} required>
+                  <option value="">Choose a product</option>
+                  {products.map((product) => <option key={product.id} value={product.id}>{product.name}</option>)}
+                </select>
+              </div>
+            )}
+            {isAdmin && (
+              <div className="col-md-2 mb-3 d-flex align-items-end">
+                <label className="form-check-label">
+                  <input type="checkbox" className="form-check-input me-2" checked={ruleForm.all_branches} onChange={(e) => setRuleForm({ ...ruleForm, all_branches: e.target.checked })} />
+                  All branches
+                </label>
+              </div>
+            )}
+            <div className="col-md-2 mb-3 d-flex align-items-end">
+              <button type="submit" className="btn btn-primary">Set Rate</button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+}
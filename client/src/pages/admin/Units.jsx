@@ -0,0 +1,203 @@
+import { useState, useEffect } from 'react';
+import api, { getErrorMessage } from '../../api/axios';
+import { useToast } from '../../context/ToastContext';
+import { Ruler, Trash2 } from 'lucide-react';
+
+const emptyUnit = () => ({ code: '', name: '', allows_fraction: false });
+const emptyConversion = () => ({ scope: 'general', product_id: '', ingredient_id: '', from_unit: '', to_unit: '', factor: '' });
+
+export default function UnitsPage() {
+  const toast = useToast();
+  const [units, setUnits] = useState([]);
+  const [conversions, setConversions] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [ingredients, setIngredients] = useState([]);
+  const [unitForm, setUnitForm] = useState(emptyUnit());
+  const [conversionForm, setConversionForm] = useState(emptyConversion());
+
+  const fetchUnits = () => api.get('/units')
+    .then((response) => {
+      setUnits(response.data.units || []);
+      setConversions(response.data.conversions || []);
+    })
+    .catch((err) => toast.error(getErrorMessage(err, 'Failed to load units.')));
+
+  useEffect(() => {
+    fetchUnits();
+    Promise.all([api.get('/products'), api.get('/ingredients')])
+      .then(([productsRes, ingredientsRes]) => {
+        setProducts(productsRes.data || []);
+        setIngredients(ingredientsRes.data || []);
+      })
+      .catch((err) => console.error('Failed to load items:', err));
+  }, []);
+
+  const handleAddUnit = async (e) => {
+    e.preventDefault();
+    try {
+      await api.post('/units', unitForm);
+      toast.success(`Unit ${unitForm.code} added.`);
+      setUnitForm(emptyUnit());
+      fetchUnits();
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to add unit.'));
+    }
+  };
+
+  const handleAddConversion = async (e) => {
+    e.preventDefault();
+    try {
+      await api.post('/units/conversions', {
+        from_unit: conversionForm.from_unit,
+        to_unit: conversionForm.to_unit,
+        factor: Number(conversionForm.factor),
+        product_id: conversionForm.scope === 'product' ? Number(conversionForm.product_id) : undefined,
+        ingredient_id: conversionForm.scope === 'ingredient' ? Number(conversionForm.ingredient_id) : undefined,
+      });
+      toast.success('Conversion saved.');
+      setConversionForm(emptyConversion());
+      fetchUnits();
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to save conversion.'));
+    }
+  };
+
+  const handleDeleteConversion = async (conversion) => {
+    try {
+      await api.delete(`/units/conversions/${conversion.id}`);
+      fetchUnits();
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to delete conversion.'));
+    }
+  };
+
+  return (
+    <div className="units-page">
+      <div className="page-header">
+        <h2><Ruler size={24} /> Units of Measure</h2>
+      </div>
+
+      <div className="card mb-4">
+        <div className="card-header">
+          <h3>Units</h3>
+        </div>
+        <div className="card-body">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Code</th>
+                <th>Name</th>
+                <th>Fractions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {units.map((unit) => (
+                <tr key={unit.code}>
+                  <td>{unit.code}</td>
+                  <td>{unit.name}</td>
+                  <td>
+                    <span className={`badge ${unit.allows_fraction ? 'badge-success' : 'badge-secondary'}`}>
+                      {unit.allows_fraction ? 'Allowed' : 'Whole only'}
+                    </span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <form onSubmit={handleAddUnit} className="d-flex gap-2">
+            <input className="form-control" placeholder="Code (e.g. crate)" value={unitForm.code} onChange={(e) => setUnitForm({ ...unitForm, code: e.target.value })} required />
+            <input className="form-control" placeholder="Name" value={unitForm.name} onChange={(e) => setUnitForm({ ...unitForm, name: e.target.value })} required />
+            <label className="form-label">
+              <input type="checkbox" checked={unitForm.allows_fraction} onChange={(e) => setUnitForm({ ...unitForm, allows_fraction: e.target.checked })} /> Fractions
+            </label>
+            <button type="submit" className="btn btn-primary">Add Unit</button>
+          </form>
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <h3>Conversions</h3>
+        </div>
+        <div className="card-body">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Applies To</th>
+                <th>Conversion</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {conversions.length === 0 && (
+                <tr>
+                  <td colSpan="3" className="text-center text-muted">No conversions yet</td>
+                </tr>
+              )}
+              {conversions.map((conversion) => (
+                <tr key={conversion.id}>
+                  <td>{conversion.product_name || conversion.ingredient_name || 'Everything'}</td>
+                  <td>1 {conversion.from_unit} = {Number(conversion.factor)} {conversion.to_unit}</td>
+                  <td>
+                    <button className="btn btn-sm btn-outline-danger" onClick={() => handleDeleteConversion(conversion)}>
+                      <Trash2 size={14} />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <form onSubmit={handleAddConversion}>
+            <div className="row">
+              <div className="col-md-3 mb-3">
+                <label className="form-label">Applies To</label>
+                <select className="form-select" value={conversionForm.scope} onChange={(e) => setConversionForm({ ...conversionForm, scope: e.target.value })}>
+                  <option value="general">Everything</option>
+                  <option value="product">One product</option>
+                  <option value="ingredient">One ingredient</option>
+                </select>
+              </div>
+              {conversionForm.scope === 'product' && (
+                <div className="col-md-3 mb-3">
+                  <label className="form-label">Product</label>
+                  <select className="form-select" value={conversionForm.product_id} onChange={(e) => setConversionForm({ ...conversionForm, product_id: e.target.value })} required>
+                    <option value="">Select product</option>
+                    {products.map((product) => <option key={product.id} value={product.id}>{product.name} ({product.unit})</option>)}
+                  </select>
+                </div>
+              )}
+              {conversionForm.scope === 'ingredient' && (
+                <div className="col-md-3 mb-3">
+                  <label className="form-label">Ingredient</label>
+                  <select className="form-select" value={conversionForm.ingredient_id} onChange={(e) => setConversionForm({ ...conversionForm, ingredient_id: e.target.value })} required>
+                    <option value="">Select ingredient</option>
+                    {ingredients.map((ingredient) => <option key={ingredient.id} value={ingredient.id}>{ingredient.name} ({ingredient.unit})</option>)}
+                  </select>
+                </div>
+              )}
+              <div className="col-md-2 mb-3">
+                <label className="form-label">1 of</label>
+                <select className="form-select" value={conversionForm.from_unit} onChange={(e) => setConversionForm({ ...conversionForm, from_unit: e.target.value })} required>
+                  <option value="">Unit</option>
+                  {units.map((unit) => <option key={unit.code} value={unit.code}>{unit.code}</option>)}
+                </select>
+              </div>
+              <div className="col-md-2 mb-3">
+                <label className="form-label">Equals</label>
+                <input type="number" step="any" min="0" className="form-control" value={conversionForm.factor} onChange={(e) => setConversionForm({ ...conversionForm, factor: e.target.value })} required />
+              </div>
+              <div className="col-md-2 mb-3">
+                <label className="form-label">Of</label>
+                <select className="form-select" value={conversionForm.to_unit} onChange={(e) => setConversionForm({ ...conversionForm, to_unit: e.target.value })} required>
+                  <option value="">Unit</option>
+                  {units.map((unit) => <option key={unit.code} value={unit.code}>{unit.code}</option>)}
+                </select>
+              </div>
+            </div>
+            <button type="submit" className="btn btn-primary">Save Conversion</button>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,9 +1,11 @@
 import { useState, useEffect } from 'react';
 import api from '../../api/axios';
 import { useBranch } from '../../context/BranchContext';
-import { Search, Clock, DollarSign, Receipt, AlertTriangle, X, RotateCcw } from 'lucide-react';
+import { Search, Clock, DollarSign, Receipt, AlertTriangle, X, RotateCcw, Undo2 } from 'lucide-react';
 
 const VOID_WINDOW_MINUTES = 20;
+const WASTE_REASONS = ['expired', 'burnt', 'damaged', 'staff_meal', 'donation'];
+const emptyRefundForm = () => ({ lines: {}, reason: '', refund_method: 'cash', waste_reason: 'damaged' });
 
 export default function CashierHistory() {
   const { selectedLocationId } = useBranch();
@@ -12,6 +14,9 @@ export default function CashierHistory() {
   const [selectedSale, setSelectedSale] = useState(null);
   const [voiding, setVoiding] = useState(false);
   const [voidReason, setVoidReason] = useState('');
+  const [saleRefunds, setSaleRefunds] = useState([]);
+  const [refundForm, setRefundForm] = useState(emptyRefundForm());
+  const [refunding, setRefunding] = useState(false);
   const [message, setMessage] = useState(null);
   const [filters, setFilters] = useState({
     startDate: '',
@@ -39,7 +44,7 @@ export default function CashierHistory() {
   };
 
   const canVoidSale = (sale) => {
-    if (sale.status === 'voided') return false;
+    if (sale.status !== 'completed' || Number(sale.refunded_amount) > 0) return false;
     const saleTime = new Date(sale.sale_date);
     const now = new Date();
     const minutesSinceSale = (now - saleTime) / (1000 * 60);
@@ -53,6 +58,82 @@ export default function CashierHistory() {
     return Math.max(0, Math.floor(VOID_WINDOW_MINUTES - minutesSinceSale));
   };
 
+  const openSale = async (sale) => {
+    try {
+      const [saleRes, refundsRes] = await Promise.all([
+        api.get(`/sales/${sale.id}`),
+        api.get(`/sales/${sale.id}/refunds`),
+      ]);
+      setSelectedSale(saleRes.data);
+      setSaleRefunds(refundsRes.data || []);
+      setRefundForm(emptyRefundForm());
+    } catch (err) {
+      console.error('Failed to load sale details:', err);
+      setMessage({ type: 'danger', text: 'Failed to load sale details' });
+    }
+  };
+
+  const closeSale = () => {
+    setSelectedSale(null);
+    setVoidReason('');
+    setRefundForm(emptyRefundForm());
+  };
+
+  // Pending refunds hold their quantity until a manager decides.
+  const getRefundableQuantity = (item) => {
+    const pending = saleRefunds
+      .filter((refund) => refund.status === 'pending')
+      .flatMap((refund) => refund.items)
+      .filter((line) => line.sale_item_id === item.id)
+      .reduce((sum, line) => sum + Number(line.quantity), 0);
+    return Math.max(0, Number(item.quantity) - Number(item.refunded_quantity || 0) - pending);
+  };
+
+  const setRefundLine = (itemId, changes) => {
+    setRefundForm((current) => ({
+      ...current,
+      lines: {
+        ...current.lines,
+        [itemId]: { quantity: '', disposition: 'restock', ...current.lines[itemId], ...changes },
+      },
+    }));
+  };
+
+  const refundItems = Object.entries(refundForm.lines)
+    .filter(([, line]) => Number(line.quantity) > 0)
+    .map(([itemId, line]) => ({ sale_item_id: Number(itemId), quantity: Number(line.quantity), disposition: line.disposition }));
+
+  const handleRefund = async () => {
+    if (!selectedSale || refundItems.length === 0) return;
+    if (!refundForm.reason.trim()) {
+      setMessage({ type: 'warning', text: 'Please provide a reason for the refund' });
+      return;
+    }
+
+    setRefunding(true);
+    try {
+      const response = await api.post(`/sales/${selectedSale.id}/refunds`, {
+        items: refundItems,
+        reason: refundForm.reason,
+        refund_method: refundForm.refund_method,
+        waste_reason: refundItems.some((item) => item.disposition === 'waste') ? refundForm.waste_reason : undefined,
+      });
+      const amount = Number(response.data.refund.total_amount).toFixed(2);
+      setMessage(response.data.needs_approval
+        ? { type: 'warning', text: `Refund of ETB ${amount} is above ETB ${Number(response.data.approval_threshold).toFixed(2)} and is waiting for manager approval.` }
+        : { type: 'success', text: `Refunded ETB ${amount} on ${selectedSale.receipt_number}.` });
+      closeSale();
+      fetchSales();
+    } catch (err) {
+      setMessage({
+        type: 'danger',
+        text: err.response?.data?.error || 'Failed to refund sale'
+      });
+    } finally {
+      setRefunding(false);
+    }
+  };
+
   const handleVoidSale = async () => {
     if (!selectedSale) return;
     if (!voidReason.trim()) {
@@ -64,8 +145,7 @@ export default function CashierHistory() {
     try {
       await api.post(`/sales/${selectedSale.id}/void`, { reason: voidReason });
       setMessage({ type: 'success', text: `Sale ${selectedSale.receipt_number} has been voided. Inventory restored.` });
-      setSelectedSale(null);
-      setVoidReason('');
+      closeSale();
       fetchSales();
     } catch (err) {
       setMessage({ 
@@ -192,6 +272,11 @@ export default function CashierHistory() {
                         {sale.status === 'voided' && (
                           <span className="badge badge-danger ms-2">VOIDED</span>
                         )}
+                        {Number(sale.refunded_amount) > 0 && (
+                          <span className="badge badge-warning ms-2">
+                            {sale.status === 'refunded' ? 'REFUNDED' : `-ETB ${Number(sale.refunded_amount).toFixed(2)}`}
+                          </span>
+                        )}
                       </td>
                       <td>
                         <div>{new Date(sale.sale_date).toLocaleDateString()}</div>
@@ -220,7 +305,10 @@ export default function CashierHistory() {
                         {sale.status === 'voided' && (
                           <span className="badge badge-secondary">Cancelled</span>
                         )}
-                        {!canVoidSale(sale) && sale.status !== 'voided' && (
+                        {sale.status === 'refunded' && (
+                          <span className="badge badge-secondary">Refunded</span>
+                        )}
+                        {!canVoidSale(sale) && sale.status === 'completed' && (
                           <span className="badge badge-success">Completed</span>
                         )}
                       </td>
@@ -235,28 +323,14 @@ export default function CashierHistory() {
                         <div style={{ display: 'flex', gap: '0.5rem' }}>
                           <button 
                             className="btn btn-sm btn-outline-primary"
-                            onClick={async () => {
-                              try {
-                                const res = await api.get(`/sales/${sale.id}`);
-                                setSelectedSale(res.data);
-                              } catch (err) {
-                                console.error('Failed to load sale details');
-                              }
-                            }}
+                            onClick={() => openSale(sale)}
                           >
                             <Receipt size={14} /> View
                           </button>
                           {canVoidSale(sale) && (
                             <button 
                               className="btn btn-sm btn-outline-danger"
-                              onClick={async () => {
-                                try {
-                                  const res = await api.get(`/sales/${sale.id}`);
-                                  setSelectedSale(res.data);
-                                } catch (err) {
-                                  console.error('Failed to load sale details');
-                                }
-                              }}
+                              onClick={() => openSale(sale)}
                             >
                               <X size={14} /> Void
                             </button>
@@ -273,7 +347,7 @@ export default function CashierHistory() {
       </div>
 
       {selectedSale && (
-        <div className="modal-overlay" onClick={() => { setSelectedSale(null); setVoidReason(''); }}>
+        <div className="modal-overlay" onClick={closeSale}>
           <div className="modal-content" onClick={e => e.stopPropagation()}>
             <div className="modal-header">
               <h3>
@@ -282,7 +356,7 @@ export default function CashierHistory() {
                   <span className="badge badge-danger ms-2">VOIDED</span>
                 )}
               </h3>
-              <button className="close-btn" onClick={() => { setSelectedSale(null); setVoidReason(''); }}>×</button>
+              <button className="close-btn" onClick={closeSale}>×</button>
             </div>
             <div className="modal-body">
               <div className="row">
@@ -292,6 +366,25 @@ export default function CashierHistory() {
                   <p><strong>Amount:</strong> ETB {Number(selectedSale.total_amount).toFixed(2)}</p>
                   <p><strong>Cashier:</strong> {selectedSale.cashier_name || 'Unknown'}</p>
                   <p><strong>Payment Method:</strong> {selectedSale.payment_method}</p>
+                  {(selectedSale.payments || []).length > 1 && selectedSale.payments.map((payment) => (
+                    <p key={payment.id} className="mb-1 small">
+                      {payment.payment_method}: ETB {Number(payment.amount).toFixed(2)}{payment.reference && ` (${payment.reference})`}
+                    </p>
+                  ))}
+                  {(selectedSale.tax_breakdown || []).filter((row) => row.tax_amount > 0).map((row) => (
+                    <p key={`${row.tax_code}-${row.tax_rate}`} className="mb-1 small">
+                      Incl. {row.tax_code} {row.tax_rate}% on ETB {row.net_amount.toFixed(2)}: ETB {row.tax_amount.toFixed(2)}
+                    </p>
+                  ))}
+                  {Number(selectedSale.change_due) > 0 && (
+                    <p><strong>Change Given:</strong> ETB {Number(selectedSale.change_due).toFixed(2)}</p>
+                  )}
+                  {Number(selectedSale.discount_amount) > 0 && (
+                    <p><strong>Discount:</strong> ETB {Number(selectedSale.discount_amount).toFixed(2)}</p>
+                  )}
+                  {Number(selectedSale.refunded_amount) > 0 && (
+                    <p><strong>Refunded:</strong> ETB {Number(selectedSale.refunded_amount).toFixed(2)}</p>
+                  )}
                   {selectedSale.status === 'voided' && (
                     <div className="alert alert-warning">
                       <strong>Voided at:</strong> {new Date(selectedSale.voided_at).toLocaleString()}<br/>
@@ -319,7 +412,12 @@ export default function CashierHistory() {
                       {selectedSale.items?.map((item, idx) => (
                         <tr key={idx}>
                           <td>{item.product_name}</td>
-                          <td>{item.quantity}</td>
+                          <td>
+                            {Number(item.quantity)}
+                            {Number(item.refunded_quantity) > 0 && (
+                              <small className="text-muted ms-1">({Number(item.refunded_quantity)} refunded)</small>
+                            )}
+                          </td>
                           <td>${Number(item.unit_price).toFixed(2)}</td>
                           <td>ETB {Number(item.subtotal).toFixed(2)}</td>
                         </tr>
@@ -335,6 +433,110 @@ export default function CashierHistory() {
                 </div>
               </div>
 
+              {saleRefunds.length > 0 && (
+                <div className="mt-3">
+                  <h5>Refunds</h5>
+                  {saleRefunds.map((refund) => (
+                    <p key={refund.id} className="small mb-1">
+                      <span className={`badge ${refund.status === 'completed' ? 'badge-success' : refund.status === 'pending' ? 'badge-warning' : 'badge-secondary'} me-2`}>
+                        {refund.status}
+                      </span>
+                      ETB {Number(refund.total_amount).toFixed(2)} by {refund.refund_method} · {refund.reason}
+                      {' · '}{refund.items.map((line) => `${Number(line.quantity)} ${line.product_name} (${line.disposition})`).join(', ')}
+                    </p>
+                  ))}
+                </div>
+              )}
+
+              {selectedSale.status === 'completed' && !canVoidSale(selectedSale) && (
+                <div className="mt-4 p-3 bg-light rounded">
+                  <h5>
+                    <Undo2 size={18} className="me-2" />
+                    Refund Items
+                  </h5>
+                  <table className="table table-sm">
+                    <thead>
+                      <tr>
+                        <th>Product</th>
+                        <th>Refundable</th>
+                        <th>Refund Qty</th>
+                        <th>Item Goes</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {selectedSale.items?.map((item) => {
+                        const refundable = getRefundableQuantity(item);
+                        const line = refundForm.lines[item.id] || { quantity: '', disposition: 'restock' };
+                        return (
+                          <tr key={item.id}>
+                            <td>{item.product_name}</td>
+                            <td>{refundable}</td>
+                            <td>
+                              <input
+                                type="number"
+                                min="0"
+                                max={refundable}
+                                step="any"
+                                className="form-control form-control-sm"
+                                value={line.quantity}
+                                disabled={refundable === 0}
+                                onChange={(e) => setRefundLine(item.id, { quantity: e.target.value })}
+                              />
+                            </td>
+                            <td>
+                              <select
+                                className="form-select form-select-sm"
+                                value={line.disposition}
+                                disabled={refundable === 0}
+                                onChange={(e) => setRefundLine(item.id, { disposition: e.target.value })}
+                              >
+                                <option value="restock">Back to shelf</option>
+                                <option value="waste">Write off</option>
+                              </select>
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                  <div className="row">
+                    <div className="col-md-4 mb-3">
+                      <label className="form-label">Refund Method</label>
+                      <select className="form-select" value={refundForm.refund_method} onChange={(e) => setRefundForm({ ...refundForm, refund_method: e.target.value })}>
+                        <option value="cash">Cash</option>
+                        <option value="card">Card</option>
+                        <option value="mobile">Mobile</option>
+                      </select>
+                    </div>
+                    {refundItems.some((item) => item.disposition === 'waste') && (
+                      <div className="col-md-4 mb-3">
+                        <label className="form-label">Waste Reason</label>
+                        <select className="form-select" value={refundForm.waste_reason} onChange={(e) => setRefundForm({ ...refundForm, waste_reason: e.target.value })}>
+                          {WASTE_REASONS.map((reason) => <option key={reason} value={reason}>{reason.replace('_', ' ')}</option>)}
+                        </select>
+                      </div>
+                    )}
+                  </div>
+                  <div className="mb-3">
+                    <label className="form-label">Reason for refund *</label>
+                    <textarea
+                      className="form-control"
+                      rows="2"
+                      value={refundForm.reason}
+                      onChange={(e) => setRefundForm({ ...refundForm, reason: e.target.value })}
+                      placeholder="e.g., Cake was damaged, customer returned unopened bread..."
+                    />
+                  </div>
+                  <button
+                    className="btn btn-warning"
+                    onClick={handleRefund}
+                    disabled={refunding || refundItems.length === 0 || !refundForm.reason.trim()}
+                  >
+                    {refunding ? <>Processing...</> : <><Undo2 size={16} className="me-1" /> Refund Selected Items</>}
+                  </button>
+                </div>
+              )}
+
               {canVoidSale(selectedSale) && (
                 <div className="mt-4 p-3 bg-light rounded">
                   <h5 className="text-danger">
@@ -370,7 +572,7 @@ export default function CashierHistory() {
               )}
             </div>
             <div className="modal-footer">
-              <button className="btn btn-secondary" onClick={() => { setSelectedSale(null); setVoidReason(''); }}>Close</button>
+              <button className="btn btn-secondary" onClick={closeSale}>Close</button>
             </div>
           </div>
         </div>
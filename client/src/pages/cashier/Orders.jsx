@@ -0,0 +1,465 @@
+import { useState, useEffect } from 'react';
+import api, { getErrorMessage } from '../../api/axios';
+import { useBranch } from '../../context/BranchContext';
+import { Plus, ClipboardList, CheckCircle, XCircle, Trash2 } from 'lucide-react';
+import { enqueueOperation } from '../../utils/offlineQueue';
+import { formatAddisDateTime } from '../../utils/time';
+
+const STATUS_BADGES = {
+  pending: 'badge-secondary',
+  confirmed: 'badge-info',
+  in_production: 'badge-warning',
+  ready: 'badge-success',
+  overdue: 'badge-danger',
+  delivered: 'badge-primary',
+  cancelled: 'badge-dark',
+};
+
+const emptyForm = () => ({
+  customer_name: '',
+  customer_phone: '',
+  order_details: '',
+  customer_note: '',
+  pickup_at: '',
+  total_amount: '',
+  paid_amount: '',
+  payment_method: 'cash',
+  items: [],
+});
+
+export default function CashierOrders() {
+  const { selectedLocationId } = useBranch();
+  const [orders, setOrders] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [showClosed, setShowClosed] = useState(false);
+  const [formData, setFormData] = useState(emptyForm());
+  const [collectOrder, setCollectOrder] = useState(null);
+  const [cancelOrder, setCancelOrder] = useState(null);
+  const [cancelReason, setCancelReason] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    fetchOrders();
+  }, [selectedLocationId, showClosed]);
+
+  useEffect(() => {
+    api.get('/products')
+      .then((response) => setProducts((response.data || []).filter((product) => product.is_active !== false)))
+      .catch((err) => console.error('Failed to fetch products:', err));
+  }, [selectedLocationId]);
+
+  useEffect(() => {
+    if (message) {
+      const timer = setTimeout(() => setMessage(null), 5000);
+      return () => clearTimeout(timer);
+    }
+  }, [message]);
+
+  const fetchOrders = async () => {
+    try {
+      const params = showClosed ? {} : { open: 'true' };
+      const response = await api.get('/orders', { params });
+      setOrders(response.data);
+    } catch (err) {
+      setMessage({ type: 'danger', text: getErrorMessage(err, 'Failed to load orders.') });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const payload = {
+      ...formData,
+      pickup_at: new Date(formData.pickup_at).toISOString(),
+      total_amount: Number(formData.total_amount),
+      paid_amount: Number(formData.paid_amount || 0),
+      items: formData.items
+        .filter((item) => item.product_id && Number(item.quantity) > 0)
+        .map((item) => ({ product_id: Number(item.product_id), quantity: Number(item.quantity) })),
+    };
+    const idempotencyKey = `order-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+    setSaving(true);
+    try {
+      await api.post('/orders', payload, { headers: { 'X-Idempotency-Key': idempotencyKey } });
+      setMessage({ type: 'success', text: `Pre-order saved for ${payload.customer_name}.` });
+      setShowForm(false);
+      setFormData(emptyForm());
+      fetchOrders();
+    } catch (err) {
+      if (!err.response) {
+        await enqueueOperation({ url: '/orders', method: 'post', data: payload, idempotencyKey });
+        setMessage({ type: 'warning', text: 'Offline: pre-order queued for sync.' });
+        setShowForm(false);
+        setFormData(emptyForm());
+      } else {
+        setMessage({ type: 'danger', text: getErrorMessage(err, 'Failed to save pre-order.') });
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCollect = async () => {
+    if (!collectOrder) return;
+    setSaving(true);
+    try {
+      await api.patch(`/orders/${collectOrder.id}/status`, {
+        status: 'delivered',
+        payment_amount: Number(collectOrder.balance_due || 0),
+      });
+      setMessage({ type: 'success', text: `Order #${collectOrder.id} handed over to ${collectOrder.customer_name}.` });
+      setCollectOrder(null);
+      fetchOrders();
+    } catch (err) {
+      setMessage({ type: 'danger', text: getErrorMessage(err, 'Failed to complete pickup.') });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    if (!cancelOrder) return;
+    if (!cancelReason.trim()) {
+      setMessage({ type: 'warning', text: 'Please provide a reason for cancelling this order' });
+      return;
+    }
+    setSaving(true);
+    try {
+      await api.post(`/orders/${cancelOrder.id}/cancel`, { reason: cancelReason });
+      setMessage({ type: 'success', text: `Order #${cancelOrder.id} cancelled.` });
+      setCancelOrder(null);
+      setCancelReason('');
+      fetchOrders();
+    } catch (err) {
+      setMessage({ type: 'danger', text: getErrorMessage(err, 'Failed to cancel order.') });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const updateItem = (index, changes) => {
+    setFormData({
+      ...formData,
+      items: formData.items.map((item, itemIndex) => (itemIndex === index ? { ...item, ...changes } : item)),
+    });
+  };
+
+  const isOpen = (order) => !['delivered', 'cancelled'].includes(order.status);
+
+  if (loading) {
+    return (
+      <div className="loading-container">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="orders-page">
+      <div className="page-header">
+        <h2><ClipboardList size={24} /> Customer Pre-Orders</h2>
+        <button className="btn btn-primary" onClick={() => { setFormData(emptyForm()); setShowForm(true); }}>
+          <Plus size={18} /> New Pre-Order
+        </button>
+      </div>
+
+      {message && <div className={`alert alert-${message.type} mb-3`}>{message.text}</div>}
+
+      <div className="card mb-4">
+        <div className="card-body">
+          <label className="form-label">
+            <input
+              type="checkbox"
+              checked={showClosed}
+              onChange={(e) => setShowClosed(e.target.checked)}
+            />{' '}
+            Include delivered and cancelled orders
+          </label>
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="card-body">
+          <div className="table-responsive">
+            <table className="table table-hover">
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>Pickup</th>
+                  <th>Customer</th>
+                  <th>Order</th>
+                  <th>Total</th>
+                  <th>Balance</th>
+                  <th>Status</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {orders.length === 0 && (
+                  <tr>
+                    <td colSpan="8" className="text-center text-muted">No pre-orders found</td>
+                  </tr>
+                )}
+                {orders.map((order) => (
+                  <tr key={order.id}>
+                    <td>{order.id}</td>
+                    <td>{formatAddisDateTime(order.pickup_at)}</td>
+                    <td>
+                      <div className="fw-bold">{order.customer_name}</div>
+                      <small className="text-muted">{order.customer_phone}</small>
+                    </td>
+                    <td>
+                      <div>{order.order_details}</div>
+                      {order.items?.length > 0 && (
+                        <small>{order.items.map((item) => `${item.quantity} × ${item.product_name}`).join(', ')}</small>
+                      )}
+                      {order.customer_note && <small className="text-muted">{order.customer_note}</small>}
+                    </td>
+                    <td>ETB {Number(order.total_amount).toFixed(2)}</td>
+                    <td>ETB {Number(order.balance_due).toFixed(2)}</td>
+                    <td>
+                      <span className={`badge ${STATUS_BADGES[order.status] || 'badge-secondary'}`}>
+                        {order.status.replace('_', ' ')}
+                      </span>
+                    </td>
+                    <td>
+                      {['ready', 'overdue'].includes(order.status) && (
+                        <button className="btn btn-sm btn-success me-2" onClick={() => setCollectOrder(order)}>
+                          <CheckCircle size={14} /> Hand Over
+                        </button>
+                      )}
+                      {isOpen(order) && (
+                        <button className="btn btn-sm btn-outline-danger" onClick={() => setCancelOrder(order)}>
+                          <XCircle size={14} />
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+
+      {showForm && (
+        <div className="modal-overlay" onClick={() => setShowForm(false)}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>New Pre-Order</h3>
+              <button className="close-btn" onClick={() => setShowForm(false)}>×</button>
+            </div>
+            <form onSubmit={handleSubmit} className="modal-body">
+              <div className="row">
+                <div className="col-md-6 mb-3">
+                  <label className="form-label">Customer Name *</label>
+                  <input
+                    className="form-control"
+                    value={formData.customer_name}
+                    onChange={(e) => setFormData({ ...formData, customer_name: e.target.value })}
+                    required
+                  />
+                </div>
+                <div className="col-md-6 mb-3">
+                  <label className="form-label">Phone *</label>
+                  <input
+                    className="form-control"
+                    value={formData.customer_phone}
+                    onChange={(e) => setFormData({ ...formData, customer_phone: e.target.value })}
+                    required
+                  />
+                </div>
+              </div>
+
+              <div className="mb-3">
+                <label className="form-label">Order Details *</label>
+                <textarea
+                  className="form-control"
+                  rows="3"
+                  placeholder="e.g. 2kg chocolate cake, 'Happy Birthday Sara'"
+                  value={formData.order_details}
+                  onChange={(e) => setFormData({ ...formData, order_details: e.target.value })}
+                  required
+                ></textarea>
+              </div>
+
+              <div className="mb-3">
+                <label className="form-label">Products (for the production plan)</label>
+                {formData.items.map((item, index) => (
+                  <div className="row mb-2" key={index}>
+                    <div className="col-md-8">
+                      <select
+                        className="form-select"
+                        value={item.product_id}
+                        onChange={(e) => updateItem(index, { product_id: e.target.value })}
+                      >
+                        <option value="">Select product</option>
+                        {products.map((product) => (
+                          <option key={product.id} value={product.id}>{product.name}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div className="col-md-3">
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.001"
+                        className="form-control"
+                        value={item.quantity}
+                        onChange={(e) => updateItem(index, { quantity: e.target.value })}
+                      />
+                    </div>
+                    <div className="col-md-1">
+                      <button
+                        type="button"
+                        className="btn btn-sm btn-outline-danger"
+                        onClick={() => setFormData({ ...formData, items: formData.items.filter((_, itemIndex) => itemIndex !== index) })}
+                      >
+                        <Trash2 size={14} />
+                      </button>
+                    </div>
+                  </div>
+                ))}
+                <button
+                  type="button"
+                  className="btn btn-sm btn-outline-primary"
+                  onClick={() => setFormData({ ...formData, items: [...formData.items, { product_id: '', quantity: 1 }] })}
+                >
+                  <Plus size={14} /> Add Product
+                </button>
+              </div>
+
+              <div className="mb-3">
+                <label className="form-label">Note</label>
+                <input
+                  className="form-control"
+                  value={formData.customer_note}
+                  onChange={(e) => setFormData({ ...formData, customer_note: e.target.value })}
+                />
+              </div>
+
+              <div className="row">
+                <div className="col-md-6 mb-3">
+                  <label className="form-label">Pickup Time *</label>
+                  <input
+                    type="datetime-local"
+                    className="form-control"
+                    value={formData.pickup_at}
+                    onChange={(e) => setFormData({ ...formData, pickup_at: e.target.value })}
+                    required
+                  />
+                </div>
+                <div className="col-md-6 mb-3">
+                  <label className="form-label">Payment Method</label>
+                  <select
+                    className="form-select"
+                    value={formData.payment_method}
+                    onChange={(e) => setFormData({ ...formData, payment_method: e.target.value })}
+                  >
+                    <option value="cash">Cash</option>
+                    <option value="mobile">Mobile</option>
+                  </select>
+                </div>
+              </div>
+
+              <div className="row">
+                <div className="col-md-6 mb-3">
+                  <label className="form-label">Total Amount *</label>
+                  <input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    className="form-control"
+                    value={formData.total_amount}
+                    onChange={(e) => setFormData({ ...formData, total_amount: e.target.value })}
+                    required
+                  />
+                </div>
+                <div className="col-md-6 mb-3">
+                  <label className="form-label">Deposit Paid</label>
+                  <input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    className="form-control"
+                    value={formData.paid_amount}
+                    onChange={(e) => setFormData({ ...formData, paid_amount: e.target.value })}
+                  />
+                </div>
+              </div>
+
+              <div className="modal-footer">
+                <button type="button" className="btn btn-secondary" onClick={() => setShowForm(false)}>Cancel</button>
+                <button type="submit" className="btn btn-primary" disabled={saving}>
+                  {saving ? 'Saving...' : 'Save Pre-Order'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {collectOrder && (
+        <div className="modal-overlay" onClick={() => setCollectOrder(null)}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>Hand Over Order #{collectOrder.id}</h3>
+              <button className="close-btn" onClick={() => setCollectOrder(null)}>×</button>
+            </div>
+            <div className="modal-body">
+              <p><strong>{collectOrder.customer_name}</strong> — {collectOrder.order_details}</p>
+              <p>Total: ETB {Number(collectOrder.total_amount).toFixed(2)}</p>
+              <p>Already paid: ETB {Number(collectOrder.paid_amount).toFixed(2)}</p>
+              <div className="alert alert-info">
+                Collect balance: <strong>ETB {Number(collectOrder.balance_due).toFixed(2)}</strong>
+              </div>
+            </div>
+            <div className="modal-footer">
+              <button className="btn btn-secondary" onClick={() => setCollectOrder(null)}>Back</button>
+              <button className="btn btn-success" onClick={handleCollect} disabled={saving}>
+                {saving ? 'Saving...' : 'Balance Collected & Delivered'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {cancelOrder && (
+        <div className="modal-overlay" onClick={() => setCancelOrder(null)}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>Cancel Order #{cancelOrder.id}</h3>
+              <button className="close-btn" onClick={() => setCancelOrder(null)}>×</button>
+            </div>
+            <div className="modal-body">
+              <p>{cancelOrder.customer_name} — {cancelOrder.order_details}</p>
+              {Number(cancelOrder.paid_amount) > 0 && (
+                <div className="alert alert-warning">
+                  A deposit of ETB {Number(cancelOrder.paid_amount).toFixed(2)} was taken for this order.
+                </div>
+              )}
+              <label className="form-label">Reason *</label>
+              <textarea
+                className="form-control"
+                rows="2"
+                value={cancelReason}
+                onChange={(e) => setCancelReason(e.target.value)}
+              ></textarea>
+            </div>
+            <div className="modal-footer">
+              <button className="btn btn-secondary" onClick={() => setCancelOrder(null)}>Back</button>
+              <button className="btn btn-danger" onClick={handleCancel} disabled={saving}>
+                {saving ? 'Cancelling...' : 'Cancel Order'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
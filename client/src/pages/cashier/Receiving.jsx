@@ -0,0 +1,259 @@
+import { useState, useEffect } from 'react';
+import api, { getErrorMessage } from '../../api/axios';
+import { useAuth } from '../../context/AuthContext';
+import { useBranch } from '../../context/BranchContext';
+import { useToast } from '../../context/ToastContext';
+import { formatAddisDateTime } from '../../utils/time';
+import { PackageCheck } from 'lucide-react';
+
+const formatMoney = (value) => `ETB ${Number(value || 0).toFixed(2)}`;
+
+export default function ReceivingPage() {
+  const { user } = useAuth();
+  const { selectedLocationId } = useBranch();
+  const toast = useToast();
+  const [pending, setPending] = useState([]);
+  const [discrepancies, setDiscrepancies] = useState(null);
+  const [receiving, setReceiving] = useState(null);
+  const [counts, setCounts] = useState({});
+  const [notes, setNotes] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const canSeeDiscrepancies = user?.role === 'admin' || user?.role === 'manager';
+
+  useEffect(() => {
+    fetchPending();
+    if (canSeeDiscrepancies) fetchDiscrepancies();
+  }, [selectedLocationId]);
+
+  const fetchPending = async () => {
+    try {
+      const response = await api.get('/inventory/batches', { params: { limit: 100 } });
+      setPending((response.data.batches || []).filter((batch) => batch.status === 'pending'));
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to load incoming batches.'));
+    }
+  };
+
+  const fetchDiscrepancies = async () => {
+    try {
+      const response = await api.get('/inventory/batches/discrepancies', { params: { limit: 50 } });
+      setDiscrepancies(response.data);
+    } catch (err) {
+      console.error('Failed to fetch batch discrepancies:', err);
+    }
+  };
+
+  const openReceive = async (batch) => {
+    try {
+      const response = await api.get(`/inventory/batches/${batch.id}`);
+      const initial = {};
+      response.data.items.forEach((item) => {
+        initial[item.id] = { quantity_received: item.quantity, quantity_damaged: 0, notes: '' };
+      });
+      setCounts(initial);
+      setNotes('');
+      setReceiving(response.data);
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to load batch.'));
+    }
+  };
+
+  const updateCount = (itemId, changes) => {
+    setCounts({ ...counts, [itemId]: { ...counts[itemId], ...changes } });
+  };
+
+  const handleConfirm = async (e) => {
+    e.preventDefault();
+    const items = Object.entries(counts).map(([itemId, count]) => ({
+      item_id: Number(itemId),
+      quantity_received: Number(count.quantity_received),
+      quantity_damaged: Number(count.quantity_damaged || 0),
+      notes: count.notes || undefined,
+    }));
+
+    setSubmitting(true);
+    try {
+      const response = await api.post(`/inventory/batches/${receiving.id}/receive`, { items, notes });
+      if (response.data.discrepancies.length) {
+        toast.warning(`Batch #${receiving.id} received with ${response.data.discrepancies.length} discrepancy line(s). Admin has been notified.`);
+      } else {
+        toast.success(`Batch #${receiving.id} received in full.`);
+      }
+      setReceiving(null);
+      fetchPending();
+      if (canSeeDiscrepancies) fetchDiscrepancies();
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to confirm batch.'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="receiving-page">
+      <div className="page-header">
+        <h2><PackageCheck size={24} /> Receive Batches</h2>
+      </div>
+
+      <div className="card mb-4">
+        <div className="card-header">
+          <h3>Awaiting Confirmation</h3>
+        </div>
+        <div className="card-body">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Batch</th>
+                <th>Sent</th>
+                <th>By</th>
+                <th>Lines</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {pending.length === 0 && (
+                <tr>
+                  <td colSpan="5" className="text-center text-muted">No batches waiting to be received</td>
+                </tr>
+              )}
+              {pending.map((batch) => (
+                <tr key={batch.id}>
+                  <td><strong>#{batch.id}</strong></td>
+                  <td>{formatAddisDateTime(batch.created_at)}</td>
+                  <td>{batch.display_creator_name || batch.created_by_name}</td>
+                  <td>{batch.items_count}</td>
+                  <td>
+                    <button className="btn btn-sm btn-success" onClick={() => openReceive(batch)}>
+                      <PackageCheck size={14} /> Count & Confirm
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {canSeeDiscrepancies && discrepancies && (
+        <div className="card">
+          <div className="card-header">
+            <h3>Receiving Discrepancies</h3>
+            <span className="text-muted">
+              {discrepancies.totals.short} short, {discrepancies.totals.damaged} damaged ({formatMoney(discrepancies.totals.value)})
+            </span>
+          </div>
+          <div className="card-body">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Batch</th>
+                  <th>Product</th>
+                  <th>Sent</th>
+                  <th>Received</th>
+                  <th>Damaged</th>
+                  <th>Value Lost</th>
+                  <th>Received By</th>
+                  <th>Note</th>
+                </tr>
+              </thead>
+              <tbody>
+                {discrepancies.lines.length === 0 && (
+                  <tr>
+                    <td colSpan="8" className="text-center text-muted">No discrepancies recorded</td>
+                  </tr>
+                )}
+                {discrepancies.lines.map((line) => (
+                  <tr key={line.id}>
+                    <td>#{line.batch_id}</td>
+                    <td>{line.product_name}</td>
+                    <td>{line.quantity_sent}</td>
+                    <td>{line.quantity_received}</td>
+                    <td>{line.quantity_damaged}</td>
+                    <td>{formatMoney(line.discrepancy_value)}</td>
+                    <td>{line.received_by_name || '-'}<br /><small className="text-muted">{formatAddisDateTime(line.received_at)}</small></td>
+                    <td>{line.discrepancy_notes || '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {receiving && (
+        <div className="modal-overlay" onClick={() => setReceiving(null)}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>Confirm Batch #{receiving.id}</h3>
+              <button className="close-btn" onClick={() => setReceiving(null)}>×</button>
+            </div>
+            <form onSubmit={handleConfirm} className="modal-body">
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>Product</th>
+                    <th>Sent</th>
+                    <th>Received</th>
+                    <th>Damaged</th>
+                    <th>Note</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {receiving.items.map((item) => {
+                    const count = counts[item.id] || {};
+                    const differs = Number(count.quantity_received) !== Number(item.quantity) || Number(count.quantity_damaged) > 0;
+                    return (
+                      <tr key={item.id}>
+                        <td>{item.product_name}</td>
+                        <td>{item.quantity}</td>
+                        <td>
+                          <input
+                            type="number"
+                            min="0"
+                            className="form-control"
+                            value={count.quantity_received}
+                            onChange={(e) => updateCount(item.id, { quantity_received: e.target.value })}
+                          />
+                        </td>
+                        <td>
+                          <input
+                            type="number"
+                            min="0"
+                            max={count.quantity_received}
+                            className="form-control"
+                            value={count.quantity_damaged}
+                            onChange={(e) => updateCount(item.id, { quantity_damaged: e.target.value })}
+                          />
+                        </td>
+                        <td>
+                          <input
+                            className="form-control"
+                            placeholder={differs ? 'What happened?' : ''}
+                            value={count.notes}
+                            onChange={(e) => updateCount(item.id, { notes: e.target.value })}
+                          />
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+              <input
+                className="form-control mb-3"
+                placeholder="Receiving notes (optional)"
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+              />
+              <div className="modal-footer">
+                <button type="button" className="btn btn-secondary" onClick={() => setReceiving(null)}>Cancel</button>
+                <button type="submit" className="btn btn-success" disabled={submitting}>
+                  {submitting ? 'Confirming...' : 'Confirm Receipt'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
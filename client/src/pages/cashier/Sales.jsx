@@ -1,20 +1,60 @@
 import { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
 import api, { getErrorMessage } from '../../api/axios';
+import { useAuth } from '../../context/AuthContext';
 import { useBranch } from '../../context/BranchContext';
-import { Plus, Minus, ShoppingCart, Trash2, Search } from 'lucide-react';
+import { Plus, Minus, ShoppingCart, Trash2, Search, Percent, Tag, X } from 'lucide-react';
 import './Sales.css';
 import { enqueueOperation, listQueuedOperations } from '../../utils/offlineQueue';
+import { RANGE_SIZE, RANGE_TOP_UP_AT, getReceiptDeviceId, offlineReceiptsRemaining, storeReceiptRange, takeOfflineReceiptNumber } from '../../utils/receiptRanges';
+import { DISCOUNT_REASONS, discountAmount, previewTotals, promotedPrice, toDiscountPayload } from '../../utils/discounts';
+import { PAYMENT_METHOD_LABELS, emptyTender, tenderSummary, toPaymentsPayload } from '../../utils/payments';
 import { useLanguage } from '../../context/LanguageContext';
 
+const emptyDiscount = () => ({ type: 'percent', value: '', reason: '' });
+
+function DiscountFields({ discount, onChange }) {
+  return (
+    <div className="d-flex gap-2 mt-2">
+      <select className="input" value={discount.type} onChange={(e) => onChange({ ...discount, type: e.target.value })}>
+        <option value="percent">%</option>
+        <option value="fixed">ETB</option>
+      </select>
+      <input
+        type="number"
+        min="0"
+        step="any"
+        className="form-control form-control-sm"
+        style={{ width: '80px' }}
+        placeholder="0"
+        value={discount.value}
+        onChange={(e) => onChange({ ...discount, value: e.target.value })}
+      />
+      <select className="input" value={discount.reason} onChange={(e) => onChange({ ...discount, reason: e.target.value })}>
+        <option value="">Reason</option>
+        {DISCOUNT_REASONS.map((reason) => <option key={reason} value={reason}>{reason.replace('_', ' ')}</option>)}
+      </select>
+    </div>
+  );
+}
+
 export default function Sales() {
+  const { user } = useAuth();
   const { selectedLocationId } = useBranch();
   const { t } = useLanguage();
+  const [hasOpenShift, setHasOpenShift] = useState(true);
   const [products, setProducts] = useState([]);
+  const [markdowns, setMarkdowns] = useState([]);
   const [cart, setCart] = useState([]);
   const [searchTerm, setSearchTerm] = useState('');
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState(null);
-  const [paymentMethod, setPaymentMethod] = useState('cash');
+  const [tenders, setTenders] = useState([emptyTender()]);
+  const [orderDiscount, setOrderDiscount] = useState(emptyDiscount());
+  const [discountLineKey, setDiscountLineKey] = useState(null);
+  const [approvalRequest, setApprovalRequest] = useState(null);
+  const [promotionsByKey, setPromotionsByKey] = useState({});
+  const promotionPreviewRef = useRef(0);
   const [orderStartedAt, setOrderStartedAt] = useState(Date.now());
   const [receiptData, setReceiptData] = useState(null);
   const [isOnline, setIsOnline] = useState(navigator.onLine);
@@ -24,6 +64,18 @@ export default function Sales() {
     fetchProducts();
   }, [selectedLocationId]);
 
+  // Cashiers cannot take payments without a till open; queued offline sales are the exception.
+  useEffect(() => {
+    if (!isOnline || user?.role !== 'cashier') return;
+    api.get('/shifts/current')
+      .then((response) => setHasOpenShift(Boolean(response.data?.shift)))
+      .catch((err) => console.error('Failed to load shift:', err));
+  }, [selectedLocationId, isOnline, user?.role]);
+
+  useEffect(() => {
+    if (isOnline) topUpReceiptRange();
+  }, [selectedLocationId, isOnline]);
+
   useEffect(() => {
     const onOnline = () => {
       setIsOnline(true);
@@ -39,6 +91,17 @@ export default function Sales() {
   }, []);
 
 
+  // Keep a block of receipt numbers in hand for when the connection drops.
+  const topUpReceiptRange = async () => {
+    if (offlineReceiptsRemaining(selectedLocationId) >= RANGE_TOP_UP_AT) return;
+    try {
+      const response = await api.post('/receipts/ranges', { device_id: getReceiptDeviceId(), size: RANGE_SIZE });
+      storeReceiptRange(selectedLocationId, response.data);
+    } catch (err) {
+      console.error('Failed to reserve offline receipt numbers:', err);
+    }
+  };
+
   const persistProductsCache = (nextProducts) => {
     localStorage.setItem(`cashier_products_cache_${selectedLocationId || 'default'}`, JSON.stringify(nextProducts));
   };
@@ -85,6 +148,9 @@ export default function Sales() {
         });
       setProducts(productsWithPendingApplied);
       persistProductsCache(productsWithPendingApplied);
+      api.get('/closing/markdowns')
+        .then((response) => setMarkdowns(response.data || []))
+        .catch(() => setMarkdowns([]));
     } catch (err) {
       console.error('Failed to fetch products:', err);
       const cached = localStorage.getItem(`cashier_products_cache_${selectedLocationId || 'default'}`);
@@ -99,20 +165,24 @@ export default function Sales() {
     product.name.toLowerCase().includes(searchTerm.toLowerCase())
   );
 
-  const getCartQuantity = (productId) => cart.find((item) => item.product_id === productId)?.quantity || 0;
+  const getCartQuantity = (productId) => cart
+    .filter((item) => item.product_id === productId)
+    .reduce((sum, item) => sum + item.quantity, 0);
 
   const getRemainingStock = (product) => Number(product.stock_quantity || 0) - getCartQuantity(product.id);
 
   const applySaleToLocalStock = (soldItems) => {
     setProducts((current) => {
       const nextProducts = current.map((product) => {
-      const soldItem = soldItems.find((item) => Number(item.product_id) === Number(product.id));
-      if (!soldItem) {
+      const soldQuantity = soldItems
+        .filter((item) => Number(item.product_id) === Number(product.id))
+        .reduce((sum, item) => sum + Number(item.quantity || 0), 0);
+      if (!soldQuantity) {
         return product;
       }
       return {
         ...product,
-        stock_quantity: Math.max(0, Number(product.stock_quantity || 0) - Number(soldItem.quantity || 0))
+        stock_quantity: Math.max(0, Number(product.stock_quantity || 0) - soldQuantity)
       };
     });
       persistProductsCache(nextProducts);
@@ -120,7 +190,17 @@ export default function Sales() {
     });
   };
 
-  const addToCart = (product) => {
+  // Day-old units are their own cart line (keyed by markdown) but draw on the
+  // same shelf stock as the full-price product.
+  const getLineMax = (line) => {
+    const product = products.find((item) => item.id === line.product_id);
+    const otherLines = getCartQuantity(line.product_id) - line.quantity;
+    const stockMax = Number(product?.stock_quantity || 0) - otherLines;
+    const markdown = line.markdown_id ? markdowns.find((entry) => entry.id === line.markdown_id) : null;
+    return markdown ? Math.min(stockMax, Number(markdown.remaining_quantity)) : stockMax;
+  };
+
+  const addToCart = (product, markdown = null) => {
     if (getRemainingStock(product) <= 0) {
       setMessage({ type: 'warning', text: `${product.name} is out of stock.` });
       return;
@@ -129,57 +209,115 @@ export default function Sales() {
     if (cart.length === 0) {
       setOrderStartedAt(Date.now());
     }
-    const existing = cart.find((item) => item.product_id === product.id);
-    
+    const key = markdown ? `md-${markdown.id}` : String(product.id);
+    const existing = cart.find((item) => item.key === key);
+
     if (existing) {
+      if (existing.quantity >= getLineMax(existing)) {
+        setMessage({ type: 'warning', text: `No more ${markdown ? 'day-old ' : ''}${product.name} available.` });
+        return;
+      }
       setCart(cart.map((item) =>
-        item.product_id === product.id
+        item.key === key
           ? { ...item, quantity: item.quantity + 1 }
           : item
       ));
     } else {
       setCart([...cart, {
+        key,
         product_id: product.id,
-        name: product.name,
-        price: product.price,
+        markdown_id: markdown ? markdown.id : null,
+        name: markdown ? `${product.name} (day-old)` : product.name,
+        price: markdown ? Number(markdown.markdown_price) : product.price,
         quantity: 1
       }]);
     }
   };
 
-  const setQuantity = (productId, nextQuantity) => {
-    const product = products.find((item) => item.id === productId);
-    const maxQty = Number(product?.stock_quantity || 0);
+  const setQuantity = (key, nextQuantity) => {
+    const line = cart.find((item) => item.key === key);
+    if (!line) return;
+    const maxQty = getLineMax(line);
     const qty = Number(nextQuantity || 0);
 
     if (!Number.isFinite(qty) || qty <= 0) {
-      setCart((current) => current.filter((item) => item.product_id !== productId));
+      setCart((current) => current.filter((item) => item.key !== key));
       return;
     }
 
     if (qty > maxQty) {
-      setMessage({ type: 'warning', text: `${product?.name || 'Item'} has insufficient stock.` });
-      setCart((current) => current.map((item) => item.product_id === productId ? { ...item, quantity: maxQty } : item));
+      setMessage({ type: 'warning', text: `${line.name} has insufficient stock.` });
+      setCart((current) => current.map((item) => item.key === key ? { ...item, quantity: maxQty } : item));
       return;
     }
 
-    setCart((current) => current.map((item) => item.product_id === productId ? { ...item, quantity: qty } : item));
+    setCart((current) => current.map((item) => item.key === key ? { ...item, quantity: qty } : item));
+  };
+
+  const updateQuantity = (key, change) => {
+    const currentQty = cart.find((item) => item.key === key)?.quantity || 0;
+    setQuantity(key, currentQty + change);
+  };
+
+  const removeFromCart = (key) => {
+    setCart(cart.filter((item) => item.key !== key));
   };
 
-  const updateQuantity = (productId, change) => {
-    const currentQty = cart.find((item) => item.product_id === productId)?.quantity || 0;
-    setQuantity(productId, currentQty + change);
+  const setLineDiscount = (key, discount) => {
+    setCart((current) => current.map((item) => item.key === key ? { ...item, discount } : item));
   };
 
-  const removeFromCart = (productId) => {
-    setCart(cart.filter((item) => item.product_id !== productId));
+  // Promotions are worked out by the server; the cart only previews them.
+  const cartPreviewKey = cart.map((item) => `${item.key}:${item.quantity}`).join('|');
+  useEffect(() => {
+    if (!cart.length || !isOnline) {
+      setPromotionsByKey({});
+      return undefined;
+    }
+    const requestId = promotionPreviewRef.current + 1;
+    promotionPreviewRef.current = requestId;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await api.post('/promotions/preview', {
+          items: cart.map((item) => ({
+            product_id: item.product_id,
+            quantity: item.quantity,
+            ...(item.markdown_id ? { markdown_id: item.markdown_id } : {}),
+          })),
+        });
+        if (promotionPreviewRef.current !== requestId) return;
+        const next = {};
+        (response.data.lines || []).forEach((line, index) => {
+          if (line.promotion_id && cart[index]) {
+            next[cart[index].key] = { promotion_name: line.promotion_name, promotion_amount: Number(line.promotion_amount) };
+          }
+        });
+        setPromotionsByKey(next);
+      } catch (err) {
+        console.error('Failed to preview promotions:', err);
+      }
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [cartPreviewKey, isOnline]);
+
+  const pricedCart = cart.map((item) => ({ ...item, ...(promotionsByKey[item.key] || {}) }));
+  const totals = previewTotals(pricedCart, orderDiscount);
+  const tendered = tenderSummary(totals.total, tenders);
+
+  const setTender = (index, changes) => {
+    setTenders((prev) => prev.map((tender, i) => (i === index ? { ...tender, ...changes } : tender)));
   };
 
-  const calculateTotal = () => {
-    return cart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+  const resetOrder = () => {
+    setCart([]);
+    setTenders([emptyTender()]);
+    setOrderDiscount(emptyDiscount());
+    setDiscountLineKey(null);
+    setOrderStartedAt(Date.now());
   };
 
-  const handleCheckout = async () => {
+  // approval is a manager's { username, pin } for discounts above the cashier's cap.
+  const handleCheckout = async (approval = null) => {
     if (checkoutInFlightRef.current || loading) {
       return;
     }
@@ -189,9 +327,26 @@ export default function Sales() {
       return;
     }
 
+    if (tenders.filter((tender) => !(Number(tender.amount) > 0)).length > 1) {
+      setMessage({ type: 'warning', text: 'Only one payment can be left blank to cover the rest' });
+      return;
+    }
+
+    if (tendered.balance > 0) {
+      setMessage({ type: 'warning', text: `Payments are ETB ${tendered.balance.toFixed(2)} short` });
+      return;
+    }
+
     const payload = {
-      items: cart.map(item => ({ product_id: item.product_id, quantity: item.quantity })),
-      payment_method: paymentMethod,
+      items: cart.map(item => ({
+        product_id: item.product_id,
+        quantity: item.quantity,
+        ...(item.markdown_id ? { markdown_id: item.markdown_id } : {}),
+        ...(toDiscountPayload(item.discount) ? { discount: toDiscountPayload(item.discount) } : {}),
+      })),
+      ...(toDiscountPayload(orderDiscount) ? { order_discount: toDiscountPayload(orderDiscount) } : {}),
+      ...(approval ? { discount_approval: approval } : {}),
+      payments: toPaymentsPayload(tenders),
       cashier_timing_ms: Date.now() - orderStartedAt
     };
     const idempotencyKey = `sale-${Date.now()}-${Math.random().toString(36).slice(2)}`;
@@ -207,21 +362,45 @@ export default function Sales() {
 
       setMessage({ type: 'success', text: `Sale completed! Receipt: ${response.data.receipt_number}` });
       setReceiptData(response.data);
+      setApprovalRequest(null);
       applySaleToLocalStock(payload.items);
-      setCart([]);
-      setPaymentMethod('cash');
-      setOrderStartedAt(Date.now());
+      resetOrder();
       fetchProducts();
+      topUpReceiptRange();
 
       setTimeout(() => setMessage(null), 5000);
     } catch (err) {
       if (!err.response) {
-        await enqueueOperation({ id: idempotencyKey, url: '/sales', method: 'post', data: payload, idempotencyKey });
-        setMessage({ type: 'warning', text: 'Offline: sale queued for sync.' });
+        const receiptNumber = takeOfflineReceiptNumber(selectedLocationId);
+        const queuedPayload = receiptNumber ? { ...payload, receipt_number: receiptNumber } : payload;
+        await enqueueOperation({ id: idempotencyKey, url: '/sales', method: 'post', data: queuedPayload, idempotencyKey });
+        if (receiptNumber) {
+          setMessage({ type: 'warning', text: `Offline: sale ${receiptNumber} queued for sync.` });
+          setReceiptData({
+            receipt_number: receiptNumber,
+            is_offline: true,
+            sale_date: new Date().toISOString(),
+            payment_method: tenders.length > 1 ? 'split' : tenders[0].payment_method,
+            promotion_amount: totals.promotions,
+            discount_amount: totals.discount,
+            total_amount: totals.total,
+            tendered_amount: tendered.tendered,
+            change_due: tendered.change,
+            items: pricedCart.map((item) => ({
+              product_name: item.name,
+              quantity: item.quantity,
+              promotion_name: item.promotion_name,
+              subtotal: item.price * item.quantity - Number(item.promotion_amount || 0),
+            })),
+          });
+        } else {
+          setMessage({ type: 'warning', text: 'Offline: sale queued for sync. The receipt number is assigned when it syncs.' });
+        }
         applySaleToLocalStock(payload.items);
-        setCart([]);
-        setPaymentMethod('cash');
-        setOrderStartedAt(Date.now());
+        setApprovalRequest(null);
+        resetOrder();
+      } else if (['DISCOUNT_APPROVAL_REQUIRED', 'DISCOUNT_APPROVAL_INVALID', 'DISCOUNT_ABOVE_APPROVER_CAP'].includes(err.response.data?.code)) {
+        setApprovalRequest({ username: approval?.username || '', pin: '', message: getErrorMessage(err, 'This discount needs a manager.') });
       } else {
         setMessage({
           type: 'danger',
@@ -239,6 +418,9 @@ export default function Sales() {
       <div className="sales-header">
         <h2>{t('newSale')}</h2>
         {!isOnline && <div className="alert alert-warning">You are offline. Sales will be queued and synced automatically.</div>}
+        {isOnline && !hasOpenShift && (
+          <div className="alert alert-warning">No shift open. <Link to="/cashier/shift">Open your shift</Link> with the till float before selling.</div>
+        )}
         {message && (
           <div className={`alert alert-${message.type}`}>
             {message.text}
@@ -259,6 +441,34 @@ export default function Sales() {
             />
           </div>
 
+          {markdowns.length > 0 && (
+            <div className="products-grid day-old-grid">
+              {markdowns.map((markdown) => {
+                const product = products.find((item) => item.id === markdown.product_id);
+                if (!product) return null;
+                const inCart = cart.find((item) => item.key === `md-${markdown.id}`)?.quantity || 0;
+                const available = Math.min(Number(markdown.remaining_quantity) - inCart, getRemainingStock(product));
+                return (
+                  <div
+                    key={`md-${markdown.id}`}
+                    className={`product-card ${available <= 0 ? 'product-card-disabled' : ''}`}
+                    onClick={() => available > 0 && addToCart(product, markdown)}
+                  >
+                    <div className="product-name">{product.name}</div>
+                    <div className="product-price">
+                      ${Number(markdown.markdown_price).toFixed(2)}{' '}
+                      <s className="text-muted">${Number(markdown.regular_price).toFixed(2)}</s>
+                    </div>
+                    <div className="product-category">Day-old</div>
+                    <div className={`product-stock ${available <= 0 ? 'product-stock-empty' : ''}`}>
+                      {available <= 0 ? 'Sold out' : `${available} at day-old price`}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+
           <div className="products-grid">
             {filteredProducts.map((product) => (
               (() => {
@@ -300,8 +510,8 @@ export default function Sales() {
                 </div>
               ) : (
                 <div className="cart-items">
-                  {cart.map((item) => (
-                    <div key={item.product_id} className="cart-item">
+                  {pricedCart.map((item) => (
+                    <div key={item.key} className="cart-item">
                       <div className="cart-item-details">
                         <div className="cart-item-name">{item.name}</div>
                         <div className="cart-item-price">
@@ -312,7 +522,7 @@ export default function Sales() {
                       <div className="cart-item-actions">
                         <button
                           className="btn btn-sm btn-secondary"
-                          onClick={() => updateQuantity(item.product_id, -1)}
+                          onClick={() => updateQuantity(item.key, -1)}
                         >
                           <Minus size={14} />
                         </button>
@@ -322,25 +532,48 @@ export default function Sales() {
                           className="form-control form-control-sm"
                           style={{ width: '72px', textAlign: 'center' }}
                           value={item.quantity}
-                          onChange={(e) => setQuantity(item.product_id, Number(e.target.value))}
+                          onChange={(e) => setQuantity(item.key, Number(e.target.value))}
                         />
                         <button
                           className="btn btn-sm btn-secondary"
-                          onClick={() => updateQuantity(item.product_id, 1)}
-                          disabled={item.quantity >= Number(products.find((product) => product.id === item.product_id)?.stock_quantity || 0)}
+                          onClick={() => updateQuantity(item.key, 1)}
+                          disabled={item.quantity >= getLineMax(item)}
                         >
                           <Plus size={14} />
                         </button>
+                        <button
+                          className={`btn btn-sm ${toDiscountPayload(item.discount) ? 'btn-warning' : 'btn-secondary'}`}
+                          title="Discount this line"
+                          onClick={() => setDiscountLineKey(discountLineKey === item.key ? null : item.key)}
+                        >
+                          <Percent size={14} />
+                        </button>
                         <button
                           className="btn btn-sm btn-danger"
-                          onClick={() => removeFromCart(item.product_id)}
+                          onClick={() => removeFromCart(item.key)}
                         >
                           <Trash2 size={14} />
                         </button>
                       </div>
 
+                      {item.promotion_name && (
+                        <div className="text-success small">
+                          <Tag size={12} /> {item.promotion_name} (-ETB {item.promotion_amount.toFixed(2)})
+                        </div>
+                      )}
+
+                      {discountLineKey === item.key && (
+                        <DiscountFields
+                          discount={item.discount || emptyDiscount()}
+                          onChange={(discount) => setLineDiscount(item.key, discount)}
+                        />
+                      )}
+
                       <div className="cart-item-subtotal">
-                        ETB {(item.price * item.quantity).toFixed(2)}
+                        {promotedPrice(item) - discountAmount(promotedPrice(item), item.discount) < item.price * item.quantity && (
+                          <s className="text-muted me-2">{(item.price * item.quantity).toFixed(2)}</s>
+                        )}
+                        ETB {(promotedPrice(item) - discountAmount(promotedPrice(item), item.discount)).toFixed(2)}
                       </div>
                     </div>
                   ))}
@@ -349,26 +582,84 @@ export default function Sales() {
             </div>
 
             <div className="card-footer">
+              {tenders.map((tender, index) => (
+                <div className="payment-method-select" key={index}>
+                  <span>{index === 0 ? 'Payment:' : ''}</span>
+                  <div className="d-flex gap-2">
+                    <select
+                      className="input"
+                      value={tender.payment_method}
+                      onChange={(e) => setTender(index, { payment_method: e.target.value })}
+                    >
+                      {Object.entries(PAYMENT_METHOD_LABELS).map(([method, label]) => (
+                        <option key={method} value={method}>{label}</option>
+                      ))}
+                    </select>
+                    <input
+                      type="number"
+                      min="0"
+                      step="any"
+                      className="form-control form-control-sm"
+                      style={{ width: '100px' }}
+                      placeholder={tender.payment_method === 'cash' ? 'Given' : 'Rest'}
+                      value={tender.amount}
+                      onChange={(e) => setTender(index, { amount: e.target.value })}
+                    />
+                    {tender.payment_method !== 'cash' && (
+                      <input
+                        className="form-control form-control-sm"
+                        style={{ width: '100px' }}
+                        placeholder="Reference"
+                        value={tender.reference}
+                        onChange={(e) => setTender(index, { reference: e.target.value })}
+                      />
+                    )}
+                    {tenders.length > 1 && (
+                      <button className="btn btn-sm btn-secondary" title="Remove payment" onClick={() => setTenders((prev) => prev.filter((_, i) => i !== index))}>
+                        <X size={14} />
+                      </button>
+                    )}
+                  </div>
+                </div>
+              ))}
+              <div className="payment-method-select">
+                <button className="btn btn-sm btn-secondary" onClick={() => setTenders((prev) => [...prev, emptyTender('mobile')])}>
+                  <Plus size={14} /> Split payment
+                </button>
+                {tendered.change > 0 && <strong>Change due: ETB {tendered.change.toFixed(2)}</strong>}
+                {tendered.balance > 0 && <strong className="text-danger">Balance due: ETB {tendered.balance.toFixed(2)}</strong>}
+              </div>
               <div className="payment-method-select">
-                <span>Payment:</span>
-                <select
-                  className="input"
-                  value={paymentMethod}
-                  onChange={(e) => setPaymentMethod(e.target.value)}
-                >
-                  <option value="cash">Cash</option>
-                  <option value="mobile">Mobile Banking</option>
-                </select>
+                <span>Order discount:</span>
+                <DiscountFields discount={orderDiscount} onChange={setOrderDiscount} />
               </div>
+              {(totals.discount > 0 || totals.promotions > 0) && (
+                <div className="cart-total">
+                  <span className="cart-total-label">Subtotal:</span>
+                  <span>ETB {totals.gross.toFixed(2)}</span>
+                </div>
+              )}
+              {totals.promotions > 0 && (
+                <div className="cart-total">
+                  <span className="cart-total-label">Promotions:</span>
+                  <span>-ETB {totals.promotions.toFixed(2)}</span>
+                </div>
+              )}
+              {totals.discount > 0 && (
+                <div className="cart-total">
+                  <span className="cart-total-label">Discount:</span>
+                  <span>-ETB {totals.discount.toFixed(2)}</span>
+                </div>
+              )}
               <div className="cart-total">
                 <span className="cart-total-label">Total:</span>
                 <span className="cart-total-amount">
-                  ETB {calculateTotal().toFixed(2)}
+                  ETB {totals.total.toFixed(2)}
                 </span>
               </div>
               <button
                 className="btn btn-success btn-lg"
-                onClick={handleCheckout}
+                onClick={() => handleCheckout()}
                 disabled={loading || cart.length === 0}
                 style={{ width: '100%', marginTop: '1rem' }}
               >
@@ -384,14 +675,39 @@ export default function Sales() {
             <div className="modal-header"><h3>Receipt</h3><button className="close-btn" onClick={() => setReceiptData(null)}>×</button></div>
             <div className="modal-body">
               <p><strong>Receipt #:</strong> {receiptData.receipt_number}</p>
+              {receiptData.is_offline && <p className="small text-muted">Rung up offline; totals are confirmed when the sale syncs.</p>}
               <p><strong>Date:</strong> {new Date(receiptData.sale_date || Date.now()).toLocaleString()}</p>
-              <p><strong>Payment Method:</strong> {receiptData.payment_method || paymentMethod}</p>
+              <p><strong>Payment Method:</strong> {receiptData.payment_method}</p>
+              {(receiptData.payments || []).length > 1 && receiptData.payments.map((payment) => (
+                <p key={payment.id} className="mb-1 small">
+                  {PAYMENT_METHOD_LABELS[payment.payment_method] || payment.payment_method}: ETB {Number(payment.amount).toFixed(2)}
+                  {payment.reference && ` (${payment.reference})`}
+                </p>
+              ))}
+              {Number(receiptData.promotion_amount) > 0 && (
+                <p><strong>Promotions:</strong> ETB {Number(receiptData.promotion_amount).toFixed(2)}</p>
+              )}
+              {Number(receiptData.discount_amount) > 0 && (
+                <p><strong>Discount:</strong> ETB {Number(receiptData.discount_amount).toFixed(2)}</p>
+              )}
               <p><strong>Total:</strong> ${Number(receiptData.total_amount || 0).toFixed(2)}</p>
+              {(receiptData.tax_breakdown || []).filter((row) => row.tax_amount > 0).map((row) => (
+                <p key={`${row.tax_code}-${row.tax_rate}`} className="mb-1 small">
+                  Incl. {row.tax_code} {row.tax_rate}% on ETB {row.net_amount.toFixed(2)}: ETB {row.tax_amount.toFixed(2)}
+                </p>
+              ))}
+              {Number(receiptData.change_due) > 0 && (
+                <p><strong>Tendered:</strong> ETB {Number(receiptData.tendered_amount).toFixed(2)} · <strong>Change:</strong> ETB {Number(receiptData.change_due).toFixed(2)}</p>
+              )}
               <hr />
               <div>
                 {(receiptData.items || []).map((item, idx) => (
                   <div key={idx} style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.35rem' }}>
-                    <span>{item.product_name} × {item.quantity}</span>
+                    <span>
+                      {item.product_name} × {Number(item.quantity)}
+                      {item.promotion_name && <small className="text-success"> {item.promotion_name}</small>}
+                      {Number(item.discount_amount) > 0 && <small className="text-muted"> (-{Number(item.discount_amount).toFixed(2)})</small>}
+                    </span>
                     <span>ETB {Number(item.subtotal).toFixed(2)}</span>
                   </div>
                 ))}
@@ -400,6 +716,31 @@ export default function Sales() {
           </div>
         </div>
       )}
+      {approvalRequest && (
+        <div className="modal-overlay" onClick={() => setApprovalRequest(null)}>
+          <div className="modal-content modal-sm" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header"><h3>Manager Approval</h3><button className="close-btn" onClick={() => setApprovalRequest(null)}>×</button></div>
+            <form
+              className="modal-body"
+              onSubmit={(e) => {
+                e.preventDefault();
+                handleCheckout({ username: approvalRequest.username, pin: approvalRequest.pin });
+              }}
+            >
+              <div className="alert alert-warning">{approvalRequest.message}</div>
+              <div className="mb-3">
+                <label className="form-label">Manager username</label>
+                <input className="form-control" value={approvalRequest.username} onChange={(e) => setApprovalRequest({ ...approvalRequest, username: e.target.value })} required />
+              </div>
+              <div className="mb-3">
+                <label className="form-label">PIN</label>
+                <input type="password" inputMode="numeric" className="form-control" value={approvalRequest.pin} onChange={(e) => setApprovalRequest({ ...approvalRequest, pin: e.target.value })} required />
+              </div>
+              <button type="submit" className="btn btn-success" disabled={loading}>Approve & Complete Sale</button>
+            </form>
+          </div>
+        </div>
+      )}
     </div>
   );
 }
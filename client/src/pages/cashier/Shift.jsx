@@ -0,0 +1,197 @@
+import { useState, useEffect } from 'react';
+import api, { getErrorMessage } from '../../api/axios';
+import { useBranch } from '../../context/BranchContext';
+import { useToast } from '../../context/ToastContext';
+import { Wallet, Printer } from 'lucide-react';
+import ShiftReport from '../../components/ShiftReport';
+import { MOVEMENT_LABELS } from '../../utils/cashMovements';
+
+const emptyMovement = { movement_type: 'drop', amount: '', reason: '', reference: '', create_expense: false };
+
+export default function ShiftPage() {
+  const { selectedLocationId } = useBranch();
+  const toast = useToast();
+  const [current, setCurrent] = useState({ shift: null, report: null });
+  const [openingFloat, setOpeningFloat] = useState('');
+  const [closeForm, setCloseForm] = useState({ counted_cash: '', note: '' });
+  const [movement, setMovement] = useState(emptyMovement);
+  const [zReport, setZReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    fetchCurrent();
+  }, [selectedLocationId]);
+
+  const fetchCurrent = async () => {
+    try {
+      const response = await api.get('/shifts/current');
+      setCurrent(response.data);
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to load your shift.'));
+    }
+  };
+
+  const handleOpen = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      await api.post('/shifts/open', { opening_float: Number(openingFloat || 0) });
+      toast.success('Shift opened.');
+      setOpeningFloat('');
+      setZReport(null);
+      fetchCurrent();
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to open shift.'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleMovement = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      await api.post('/shifts/movements', {
+        ...movement,
+        amount: Number(movement.amount),
+        create_expense: movement.movement_type === 'paid_out' && movement.create_expense,
+      });
+      toast.success(`${MOVEMENT_LABELS[movement.movement_type]} recorded.`);
+      setMovement(emptyMovement);
+      fetchCurrent();
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to record cash movement.'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleClose = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      const response = await api.post(`/shifts/${current.shift.id}/close`, {
+        counted_cash: Number(closeForm.counted_cash),
+        note: closeForm.note,
+      });
+      setZReport(response.data.z_report);
+      setCloseForm({ counted_cash: '', note: '' });
+      setCurrent({ shift: null, report: null });
+      toast.success('Shift closed.');
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to close shift.'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="shift-page">
+      <div className="page-header">
+        <h2><Wallet size={24} /> My Shift</h2>
+      </div>
+
+      {zReport && (
+        <div className="card mb-4">
+          <div className="card-header">
+            <h3>Shift Closed</h3>
+            <button className="btn btn-secondary" onClick={() => window.print()}><Printer size={16} /> Print</button>
+          </div>
+          <div className="card-body">
+            <ShiftReport report={zReport} />
+          </div>
+        </div>
+      )}
+
+      {!current.shift && (
+        <div className="card mb-4">
+          <div className="card-header"><h3>Open Shift</h3></div>
+          <div className="card-body">
+            <form onSubmit={handleOpen} className="row">
+              <div className="col-md-4 mb-3">
+                <label className="form-label">Opening float (ETB)</label>
+                <input type="number" min="0" step="any" className="form-control" value={openingFloat} onChange={(e) => setOpeningFloat(e.target.value)} required />
+              </div>
+              <div className="col-md-4 mb-3 d-flex align-items-end">
+                <button type="submit" className="btn btn-primary" disabled={loading}>Open Shift</button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {current.shift && (
+        <>
+          <div className="card mb-4">
+            <div className="card-header">
+              <h3>Where the till stands</h3>
+              <div className="d-flex gap-2">
+                <button className="btn btn-secondary" onClick={fetchCurrent}>Refresh</button>
+                <button className="btn btn-secondary" onClick={() => window.print()}><Printer size={16} /> Print X Report</button>
+              </div>
+            </div>
+            <div className="card-body">
+              <ShiftReport report={current.report} />
+            </div>
+          </div>
+
+          <div className="card mb-4">
+            <div className="card-header"><h3>Cash In / Out</h3></div>
+            <div className="card-body">
+              <form onSubmit={handleMovement} className="row">
+                <div className="col-md-2 mb-3">
+                  <label className="form-label">Type</label>
+                  <select className="form-select" value={movement.movement_type} onChange={(e) => setMovement({ ...movement, movement_type: e.target.value })}>
+                    {Object.entries(MOVEMENT_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                  </select>
+                </div>
+                <div className="col-md-2 mb-3">
+                  <label className="form-label">Amount (ETB)</label>
+                  <input type="number" min="0.01" step="any" className="form-control" value={movement.amount} onChange={(e) => setMovement({ ...movement, amount: e.target.value })} required />
+                </div>
+                <div className="col-md-4 mb-3">
+                  <label className="form-label">Reason</label>
+                  <input className="form-control" value={movement.reason} onChange={(e) => setMovement({ ...movement, reason: e.target.value })} placeholder="e.g. Safe drop, bought milk" required />
+                </div>
+                <div className="col-md-2 mb-3">
+                  <label className="form-label">Reference</label>
+                  <input className="form-control" value={movement.reference} onChange={(e) => setMovement({ ...movement, reference: e.target.value })} placeholder="Bag / receipt no." />
+                </div>
+                <div className="col-md-2 mb-3 d-flex align-items-end">
+                  <button type="submit" className="btn btn-primary" disabled={loading}>Record</button>
+                </div>
+                {movement.movement_type === 'paid_out' && (
+                  <div className="col-12 mb-3">
+                    <label className="form-check-label">
+                      <input type="checkbox" className="form-check-input" checked={movement.create_expense} onChange={(e) => setMovement({ ...movement, create_expense: e.target.checked })} />
+                      {' '}Also record as a petty cash expense
+                    </label>
+                  </div>
+                )}
+              </form>
+            </div>
+          </div>
+
+          <div className="card mb-4">
+            <div className="card-header"><h3>Close Shift</h3></div>
+            <div className="card-body">
+              <form onSubmit={handleClose} className="row">
+                <div className="col-md-3 mb-3">
+                  <label className="form-label">Counted cash (ETB)</label>
+                  <input type="number" min="0" step="any" className="form-control" value={closeForm.counted_cash} onChange={(e) => setCloseForm({ ...closeForm, counted_cash: e.target.value })} required />
+                </div>
+                <div className="col-md-6 mb-3">
+                  <label className="form-label">Note</label>
+                  <input className="form-control" value={closeForm.note} onChange={(e) => setCloseForm({ ...closeForm, note: e.target.value })} placeholder="Anything the manager should know" />
+                </div>
+                <div className="col-md-3 mb-3 d-flex align-items-end">
+                  <button type="submit" className="btn btn-danger" disabled={loading}>Close Shift</button>
+                </div>
+              </form>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -232,6 +232,7 @@ export default function ManagerBatches() {
   const stats = {
     total: batches.length,
     sent: batches.filter((b) => b.status === 'sent').length,
+    pending: batches.filter((b) => b.status === 'pending').length,
     voided: batches.filter((b) => b.status === 'voided').length,
     edited: batches.filter((b) => b.status === 'edited').length,
     offline: batches.filter((b) => b.is_offline).length,
@@ -241,7 +242,7 @@ export default function ManagerBatches() {
   const getStatusBadge = (status) => {
     const statusMap = {
       sent: { class: 'badge-success', label: 'Sent' },
-      pending: { class: 'badge-warning', label: 'Pending' },
+      pending: { class: 'badge-warning', label: 'Awaiting Confirmation' },
       edited: { class: 'badge-info', label: 'Edited' },
       voided: { class: 'badge-danger', label: 'Voided' },
       received: { class: 'badge-primary', label: 'Received' },
@@ -289,6 +290,7 @@ export default function ManagerBatches() {
         <div className="card-body d-flex gap-2 flex-wrap align-items-center">
           <span className="badge bg-secondary">Showing {stats.total} rows</span>
           <span className="badge bg-success">Sent: {stats.sent}</span>
+          {stats.pending > 0 && <span className="badge bg-warning text-dark">Awaiting confirmation: {stats.pending}</span>}
           <span className="badge bg-danger">Voided: {stats.voided}</span>
           <span className="badge bg-warning text-dark">Offline synced: {stats.offline}</span>
         </div>
@@ -325,7 +327,12 @@ export default function ManagerBatches() {
                         <div>{new Date(batch.created_at).toLocaleDateString()}</div>
                         <small className="text-muted">{formatAddisDateTime(batch.created_at || batch.batch_date)}</small>
                       </td>
-                      <td>{getStatusBadge(batch.status)}</td>
+                      <td>
+                        {getStatusBadge(batch.status)}
+                        {Number(batch.discrepancy_lines) > 0 && (
+                          <small className="text-danger d-block">{batch.discrepancy_lines} discrepancy line(s)</small>
+                        )}
+                      </td>
                       <td><span className="badge bg-secondary">{batch.items_count || 0} items</span></td>
                       <td><strong>ETB {Number(batch.total_cost || 0).toFixed(2)}</strong></td>
                       <td>
@@ -446,6 +453,14 @@ export default function ManagerBatches() {
                   : 'This batch is locked because it is already voided.'}
               </div>
 
+              {selectedBatch.received_at && (
+                <div className="alert alert-info mb-4">
+                  <CheckCircle size={16} className="me-2" />
+                  Received by <strong>{selectedBatch.received_by_name}</strong> on {formatAddisDateTime(selectedBatch.received_at)}
+                  {selectedBatch.receive_notes ? ` — ${selectedBatch.receive_notes}` : ''}
+                </div>
+              )}
+
               {selectedBatch.was_synced && selectedBatch.synced_by_name && (
                 <div className="alert alert-info mb-4">
                   <WifiOff size={16} className="me-2" />
@@ -460,6 +475,7 @@ export default function ManagerBatches() {
                     <tr>
                       <th>Product</th>
                       <th>Quantity</th>
+                      {selectedBatch.received_at && <th>Received / Damaged</th>}
                       <th>Source</th>
                       <th>Unit Cost</th>
                       <th>Line Cost</th>
@@ -486,6 +502,12 @@ export default function ManagerBatches() {
                             <strong>{item.quantity}</strong>
                           )}
                         </td>
+                        {selectedBatch.received_at && (
+                          <td>
+                            {item.quantity_received ?? '-'} / {item.quantity_damaged || 0}
+                            {item.discrepancy_notes && <small className="text-muted d-block">{item.discrepancy_notes}</small>}
+                          </td>
+                        )}
                         <td>
                           <span className={`badge ${item.source === 'baked' ? 'bg-success' : 'bg-secondary'}`}>
                             {item.source}
@@ -498,7 +520,7 @@ export default function ManagerBatches() {
                   </tbody>
                   <tfoot>
                     <tr>
-                      <th colSpan="4" className="text-end">Total Cost:</th>
+                      <th colSpan={selectedBatch.received_at ? 5 : 4} className="text-end">Total Cost:</th>
                       <th>ETB {Number(selectedBatch.total_cost || 0).toFixed(2)}</th>
                     </tr>
                   </tfoot>
@@ -0,0 +1,244 @@
+import { useState, useEffect } from 'react';
+import api, { getErrorMessage } from '../../api/axios';
+import { useBranch } from '../../context/BranchContext';
+import { useToast } from '../../context/ToastContext';
+import { formatAddisDateTime } from '../../utils/time';
+import { Moon } from 'lucide-react';
+
+const WASTE_REASONS = ['expired', 'burnt', 'damaged', 'staff_meal', 'donation'];
+const formatMoney = (value) => `ETB ${Number(value || 0).toFixed(2)}`;
+
+export default function DayClosingPage() {
+  const { selectedLocationId } = useBranch();
+  const toast = useToast();
+  const [businessDate, setBusinessDate] = useState(new Date().toISOString().split('T')[0]);
+  const [sheet, setSheet] = useState(null);
+  const [decisions, setDecisions] = useState({});
+  const [history, setHistory] = useState([]);
+  const [notes, setNotes] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    fetchSheet();
+  }, [selectedLocationId, businessDate]);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [selectedLocationId]);
+
+  const fetchSheet = async () => {
+    try {
+      const response = await api.get('/closing/sheet', { params: { date: businessDate } });
+      setSheet(response.data);
+      const initial = {};
+      response.data.items.forEach((item) => {
+        initial[item.product_id] = {
+          action: 'carry_over',
+          quantity: Number(item.quantity),
+          markdown_price: (Number(item.price) * 0.5).toFixed(2),
+          reason: 'expired',
+        };
+      });
+      setDecisions(initial);
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to load closing sheet.'));
+    }
+  };
+
+  const fetchHistory = async () => {
+    try {
+      const response = await api.get('/closing', { params: { limit: 14 } });
+      setHistory(response.data);
+    } catch (err) {
+      console.error('Failed to fetch closing history:', err);
+    }
+  };
+
+  const updateDecision = (productId, changes) => {
+    setDecisions({ ...decisions, [productId]: { ...decisions[productId], ...changes } });
+  };
+
+  const handleClose = async () => {
+    const items = Object.entries(decisions)
+      .filter(([, decision]) => decision.action !== 'carry_over')
+      .map(([productId, decision]) => ({
+        product_id: Number(productId),
+        action: decision.action,
+        quantity: Number(decision.quantity),
+        markdown_price: decision.action === 'markdown' ? Number(decision.markdown_price) : undefined,
+        reason: decision.action === 'waste' ? decision.reason : undefined,
+      }));
+
+    if (!window.confirm(`Close ${businessDate}? This cannot be undone.`)) return;
+
+    setSubmitting(true);
+    try {
+      const response = await api.post(
+        '/closing',
+        { business_date: businessDate, items, notes },
+        { headers: { 'X-Idempotency-Key': `closing-${selectedLocationId || 'own'}-${businessDate}` } }
+      );
+      const { totals, waste_cost: wasteCost } = response.data;
+      toast.success(`Day closed: ${totals.carry_over} carried over, ${totals.markdown} marked down, ${totals.waste} written off (${formatMoney(wasteCost)}).`);
+      setNotes('');
+      fetchSheet();
+      fetchHistory();
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to close the day.'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const isClosed = Boolean(sheet?.closing);
+
+  return (
+    <div className="day-closing-page">
+      <div className="page-header">
+        <h2><Moon size={24} /> End-of-Day Closing</h2>
+        <input type="date" className="form-control" style={{ maxWidth: 180 }} value={businessDate} onChange={(e) => setBusinessDate(e.target.value)} />
+      </div>
+
+      <div className="card mb-4">
+        <div className="card-header">
+          <h3>Leftover Stock</h3>
+          {isClosed && <span className="badge badge-success">Closed {formatAddisDateTime(sheet.closing.created_at)}</span>}
+        </div>
+        <div className="card-body">
+          <div className="table-responsive">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Product</th>
+                  <th>In Today</th>
+                  <th>Sold Today</th>
+                  <th>On Hand</th>
+                  <th>Decision</th>
+                  <th>Qty</th>
+                  <th>Day-Old Price / Reason</th>
+                </tr>
+              </thead>
+              <tbody>
+                {!sheet?.items?.length && (
+                  <tr>
+                    <td colSpan="7" className="text-center text-muted">Nothing left on the shelf</td>
+                  </tr>
+                )}
+                {sheet?.items?.map((item) => {
+                  const decision = decisions[item.product_id] || {};
+                  return (
+                    <tr key={item.product_id}>
+                      <td>{item.product_name}</td>
+                      <td>{Number(item.received_today)}</td>
+                      <td>{Number(item.sold_today)}</td>
+                      <td><strong>{Number(item.quantity)}</strong></td>
+                      <td>
+                        <select
+                          className="form-select"
+                          value={decision.action}
+                          disabled={isClosed}
+                          onChange={(e) => updateDecision(item.product_id, { action: e.target.value })}
+                        >
+                          <option value="carry_over">Carry over</option>
+                          <option value="markdown">Mark down</option>
+                          <option value="waste">Write off</option>
+                        </select>
+                      </td>
+                      <td>
+                        <input
+                          type="number"
+                          min="0"
+                          max={Number(item.quantity)}
+                          className="form-control"
+                          value={decision.quantity}
+                          disabled={isClosed || decision.action === 'carry_over'}
+                          onChange={(e) => updateDecision(item.product_id, { quantity: e.target.value })}
+                        />
+                      </td>
+                      <td>
+                        {decision.action === 'markdown' && (
+                          <input
+                            type="number"
+                            min="0"
+                            step="0.01"
+                            className="form-control"
+                            title={`Regular price ${formatMoney(item.price)}`}
+                            value={decision.markdown_price}
+                            disabled={isClosed}
+                            onChange={(e) => updateDecision(item.product_id, { markdown_price: e.target.value })}
+                          />
+                        )}
+                        {decision.action === 'waste' && (
+                          <select
+                            className="form-select"
+                            value={decision.reason}
+                            disabled={isClosed}
+                            onChange={(e) => updateDecision(item.product_id, { reason: e.target.value })}
+                          >
+                            {WASTE_REASONS.map((reason) => <option key={reason} value={reason}>{reason.replace('_', ' ')}</option>)}
+                          </select>
+                        )}
+                        {decision.action === 'carry_over' && <span className="text-muted">Stays on the shelf</span>}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          {!isClosed && (
+            <div className="mt-3">
+              <textarea
+                className="form-control mb-2"
+                rows="2"
+                placeholder="Closing notes (optional)"
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+              />
+              <button className="btn btn-primary" onClick={handleClose} disabled={submitting}>
+                {submitting ? 'Closing...' : `Close ${businessDate}`}
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <h3>Recent Closings</h3>
+        </div>
+        <div className="card-body">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Closed By</th>
+                <th>Carried Over</th>
+                <th>Marked Down</th>
+                <th>Written Off</th>
+                <th>Waste Cost</th>
+              </tr>
+            </thead>
+            <tbody>
+              {history.length === 0 && (
+                <tr>
+                  <td colSpan="6" className="text-center text-muted">No closings yet</td>
+                </tr>
+              )}
+              {history.map((row) => (
+                <tr key={row.id}>
+                  <td>{String(row.business_date).slice(0, 10)}</td>
+                  <td>{row.closed_by_name || '-'}</td>
+                  <td>{row.carried_over}</td>
+                  <td>{row.marked_down}</td>
+                  <td>{row.wasted}</td>
+                  <td>{formatMoney(row.waste_cost)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,10 +1,11 @@
 import { useState, useEffect } from 'react';
 import api, { getErrorMessage } from '../../api/axios';
 import { useBranch } from '../../context/BranchContext';
-import { Package, Send, Plus, Minus } from 'lucide-react';
+import { Package, Send, Plus, Minus, CalendarDays } from 'lucide-react';
 import './Inventory.css';
 import { enqueueOperation, listQueuedOperations } from '../../utils/offlineQueue';
 import { useToast } from '../../context/ToastContext';
+import { conversionFactor, enterableUnits, formatQuantity } from '../../utils/units';
 
 export default function Inventory() {
   const { selectedLocationId } = useBranch();
@@ -13,6 +14,10 @@ export default function Inventory() {
   const [cart, setCart] = useState([]);
   const [loading, setLoading] = useState(false);
   const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [plan, setPlan] = useState(null);
+  const [planLoading, setPlanLoading] = useState(false);
+  const [parEdits, setParEdits] = useState({});
+  const [conversions, setConversions] = useState([]);
   const toast = useToast();
 
   useEffect(() => {
@@ -20,6 +25,12 @@ export default function Inventory() {
     fetchInventory();
   }, [selectedLocationId]);
 
+  useEffect(() => {
+    api.get('/units')
+      .then((response) => setConversions(response.data.conversions || []))
+      .catch((err) => console.error('Failed to load unit conversions:', err));
+  }, []);
+
   useEffect(() => {
     const onOnline = () => {
       setIsOnline(true);
@@ -84,7 +95,9 @@ export default function Inventory() {
     const nextInventory = { ...baseInventory };
     batchItems.forEach((item) => {
       const id = Number(item.product_id);
-      const qty = Number(item.quantity || 0);
+      const baseUnit = products.find((product) => Number(product.id) === id)?.unit;
+      const factor = item.unit && baseUnit ? conversionFactor(conversions, { productId: id, fromUnit: item.unit, toUnit: baseUnit }) : 1;
+      const qty = Number(item.quantity || 0) * (factor ?? 1);
       const existing = nextInventory[id] || { product_id: id, quantity: 0 };
       nextInventory[id] = {
         ...existing,
@@ -123,6 +136,7 @@ export default function Inventory() {
           name: product.name,
           source,
           quantity: 1,
+          unit: product.unit,
         },
       ]);
     }
@@ -142,6 +156,16 @@ export default function Inventory() {
     );
   };
 
+  const setCartUnit = (productId, source, unit) => {
+    setCart(
+      cart.map((item) => (
+        item.product_id === productId && item.source === source
+          ? { ...item, unit }
+          : item
+      ))
+    );
+  };
+
   const removeFromCart = (productId, source) => {
     setCart(
       cart.filter(
@@ -167,6 +191,44 @@ export default function Inventory() {
     );
   };
 
+  const fetchProductionPlan = async () => {
+    setPlanLoading(true);
+    try {
+      const response = await api.get('/production/plan');
+      setPlan(response.data);
+      setParEdits({});
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to load production plan'));
+    } finally {
+      setPlanLoading(false);
+    }
+  };
+
+  const loadPlanIntoCart = () => {
+    const draftItems = plan?.batch_draft?.items || [];
+    if (draftItems.length === 0) {
+      toast.info('Nothing to bake for this plan.');
+      return;
+    }
+    const namesById = new Map(plan.items.map((line) => [line.product_id, line.name]));
+    setCart(draftItems.map((item) => ({ ...item, name: namesById.get(item.product_id) || `Product ${item.product_id}` })));
+    toast.success(`Batch draft loaded from the ${plan.plan_date} plan.`);
+  };
+
+  const saveParLevels = async () => {
+    const levels = Object.entries(parEdits)
+      .filter(([, value]) => value !== '' && Number(value) >= 0)
+      .map(([productId, value]) => ({ product_id: Number(productId), par_quantity: Number(value) }));
+    if (levels.length === 0) return;
+    try {
+      await api.put('/production/par-levels', { levels });
+      toast.success('Par levels saved.');
+      fetchProductionPlan();
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to save par levels'));
+    }
+  };
+
   const handleSendBatch = async () => {
     if (cart.length === 0) {
       toast.warning('Cart is empty');
@@ -175,15 +237,19 @@ export default function Inventory() {
 
     setLoading(true);
     try {
-      await api.post('/inventory/batches', {
+      const response = await api.post('/inventory/batches', {
         items: cart,
         notes: 'Batch sent from manager',
       });
 
-      toast.success('Batch sent successfully!');
-      const optimisticInventory = applyBatchItemsToInventory(inventory, cart);
-      setInventory(optimisticInventory);
-      persistInventoryCache(optimisticInventory);
+      if (response.data?.status === 'pending') {
+        toast.info(`Batch #${response.data.id} sent. Stock is added once the branch confirms the counts.`);
+      } else {
+        toast.success('Batch sent successfully!');
+        const optimisticInventory = applyBatchItemsToInventory(inventory, cart);
+        setInventory(optimisticInventory);
+        persistInventoryCache(optimisticInventory);
+      }
       setCart([]);
       fetchInventory();
 
@@ -213,6 +279,79 @@ export default function Inventory() {
         {!isOnline && <div className="alert alert-warning">You are offline. Batch operations will be queued.</div>}
       </div>
 
+      <div className="card mb-4">
+        <div className="card-header">
+          <h3>
+            <CalendarDays size={20} />
+            {plan ? `Production Plan for ${plan.plan_date}` : "Tomorrow's Production Plan"}
+          </h3>
+          <div>
+            <button className="btn btn-sm btn-secondary" onClick={fetchProductionPlan} disabled={planLoading || !isOnline}>
+              {planLoading ? 'Loading...' : plan ? 'Refresh Plan' : 'Build Plan'}
+            </button>
+            {plan && (
+              <button className="btn btn-sm btn-primary" onClick={loadPlanIntoCart} style={{ marginLeft: '0.5rem' }}>
+                Use as Batch Draft
+              </button>
+            )}
+          </div>
+        </div>
+        {plan && (
+          <div className="card-body">
+            {plan.unitemized_orders.length > 0 && (
+              <div className="alert alert-info">
+                Custom pre-orders not included in quantities:{' '}
+                {plan.unitemized_orders.map((order) => `#${order.id} ${order.customer_name} (${order.order_details})`).join('; ')}
+              </div>
+            )}
+            <div className="products-table-container">
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>Product</th>
+                    <th>Pre-Orders</th>
+                    <th>Avg. Same Weekday ({plan.lookback_weeks}w)</th>
+                    <th>Par Level</th>
+                    <th>On Hand</th>
+                    <th>Suggested</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {plan.items.length === 0 && (
+                    <tr>
+                      <td colSpan="6">No active products found.</td>
+                    </tr>
+                  )}
+                  {plan.items.map((line) => (
+                    <tr key={line.product_id}>
+                      <td>{line.name}</td>
+                      <td>{line.pre_order_quantity}</td>
+                      <td>{line.average_same_weekday_sales}</td>
+                      <td>
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.001"
+                          className="form-control form-control-sm"
+                          style={{ width: '80px' }}
+                          value={parEdits[line.product_id] ?? line.par_quantity}
+                          onChange={(e) => setParEdits({ ...parEdits, [line.product_id]: e.target.value })}
+                        />
+                      </td>
+                      <td>{line.on_hand}</td>
+                      <td><strong>{line.suggested_quantity}</strong></td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {Object.keys(parEdits).length > 0 && (
+              <button className="btn btn-sm btn-success" onClick={saveParLevels}>Save Par Levels</button>
+            )}
+          </div>
+        )}
+      </div>
+
       <div className="inventory-layout">
         <div className="products-list">
           <div className="card">
@@ -245,7 +384,7 @@ export default function Inventory() {
                           </td>
                           <td>
                             <span className="badge badge-primary">
-                              {currentStock} {product.unit}
+                              {formatQuantity(currentStock)} {product.unit}
                             </span>
                           </td>
                           <td>
@@ -317,12 +456,28 @@ export default function Inventory() {
                         </button>
                         <input
                           type="number"
-                          min="1"
+                          min="0"
+                          step="any"
                           className="form-control form-control-sm"
                           style={{ width: '72px', textAlign: 'center' }}
                           value={item.quantity}
                           onChange={(e) => setCartQuantity(item.product_id, item.source, Number(e.target.value))}
                         />
+                        {item.unit && (
+                          <select
+                            className="form-select form-select-sm"
+                            style={{ width: '90px' }}
+                            value={item.unit}
+                            onChange={(e) => setCartUnit(item.product_id, item.source, e.target.value)}
+                          >
+                            {enterableUnits(conversions, {
+                              productId: item.product_id,
+                              unit: products.find((product) => product.id === item.product_id)?.unit || item.unit,
+                            }).map((unit) => (
+                              <option key={unit} value={unit}>{unit}</option>
+                            ))}
+                          </select>
+                        )}
                         <button
                           className="btn btn-sm btn-secondary"
                           onClick={() =>
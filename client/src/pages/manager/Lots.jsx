@@ -0,0 +1,179 @@
+import { useState, useEffect } from 'react';
+import api, { getErrorMessage } from '../../api/axios';
+import { useBranch } from '../../context/BranchContext';
+import { useToast } from '../../context/ToastContext';
+import { formatAddisDateTime } from '../../utils/time';
+import { Hourglass } from 'lucide-react';
+
+const formatMoney = (value) => `ETB ${Number(value || 0).toFixed(2)}`;
+const EXPIRY_FILTERS = [
+  { value: '', label: 'All open lots' },
+  { value: 'expiring', label: 'Expiring within 24h' },
+  { value: 'expired', label: 'Expired' },
+];
+
+function expiryBadge(lot) {
+  if (!lot.expires_at) return <span className="badge badge-secondary">No expiry</span>;
+  const hours = Number(lot.hours_to_expiry);
+  if (hours <= 0) return <span className="badge badge-danger">Expired</span>;
+  if (hours <= 24) return <span className="badge badge-warning">{hours}h left</span>;
+  return <span className="badge badge-success">{Math.floor(hours / 24)}d left</span>;
+}
+
+export default function LotsPage() {
+  const { selectedLocationId } = useBranch();
+  const toast = useToast();
+  const [lots, setLots] = useState([]);
+  const [proposals, setProposals] = useState([]);
+  const [expiry, setExpiry] = useState('');
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    fetchProposals();
+  }, [selectedLocationId]);
+
+  useEffect(() => {
+    fetchLots();
+  }, [selectedLocationId, expiry]);
+
+  const fetchLots = async () => {
+    try {
+      const response = await api.get('/lots', { params: expiry ? { expiry } : {} });
+      setLots(response.data);
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to load lots.'));
+    }
+  };
+
+  const fetchProposals = async () => {
+    try {
+      const response = await api.get('/lots/waste-proposals');
+      setProposals(response.data);
+    } catch (err) {
+      console.error('Failed to fetch waste proposals:', err);
+    }
+  };
+
+  const handleAccept = async (proposal) => {
+    if (!window.confirm(`Write off ${Number(proposal.lot_remaining)} ${proposal.product_name} from lot #${proposal.lot_id} as expired?`)) return;
+    setBusyId(proposal.id);
+    try {
+      const response = await api.post(`/lots/waste-proposals/${proposal.id}/accept`, {});
+      toast.success(`Wrote off ${response.data.quantity_written_off} ${proposal.product_name} (${formatMoney(response.data.cost_value)}).`);
+      fetchProposals();
+      fetchLots();
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to record the write-off.'));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDismiss = async (proposal) => {
+    const notes = window.prompt('Why keep this lot? (optional)') ?? null;
+    setBusyId(proposal.id);
+    try {
+      await api.post(`/lots/waste-proposals/${proposal.id}/dismiss`, { notes });
+      toast.info(`Proposal for lot #${proposal.lot_id} dismissed.`);
+      fetchProposals();
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to dismiss the proposal.'));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="lots-page">
+      <div className="page-header">
+        <h2><Hourglass size={24} /> Lots &amp; Expiry</h2>
+      </div>
+
+      <div className="card mb-4">
+        <div className="card-header">
+          <h3>Proposed Write-offs</h3>
+          <span className="text-muted">Expired lots found by the daily expiry check</span>
+        </div>
+        <div className="card-body">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Lot</th>
+                <th>Product</th>
+                <th>Expired</th>
+                <th>Still in Lot</th>
+                <th>Est. Cost</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {proposals.length === 0 && (
+                <tr>
+                  <td colSpan="6" className="text-center text-muted">No expired lots waiting for review</td>
+                </tr>
+              )}
+              {proposals.map((proposal) => (
+                <tr key={proposal.id}>
+                  <td>#{proposal.lot_id}</td>
+                  <td>{proposal.product_name}</td>
+                  <td>{formatAddisDateTime(proposal.expires_at)}</td>
+                  <td>{Number(proposal.lot_remaining)}</td>
+                  <td>{formatMoney(Number(proposal.lot_remaining) * Number(proposal.unit_cost))}</td>
+                  <td>
+                    <button className="btn btn-sm btn-outline-primary me-2" disabled={busyId === proposal.id} onClick={() => handleAccept(proposal)}>Write Off</button>
+                    <button className="btn btn-sm btn-secondary" disabled={busyId === proposal.id} onClick={() => handleDismiss(proposal)}>Dismiss</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <h3>Open Lots</h3>
+          <select className="form-select" style={{ width: 220 }} value={expiry} onChange={(e) => setExpiry(e.target.value)}>
+            {EXPIRY_FILTERS.map((filter) => (
+              <option key={filter.value} value={filter.value}>{filter.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="card-body">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Lot</th>
+                <th>Product</th>
+                <th>Source</th>
+                <th>Produced / Received</th>
+                <th>Expires</th>
+                <th>Remaining</th>
+                <th>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {lots.length === 0 && (
+                <tr>
+                  <td colSpan="7" className="text-center text-muted">No lots match this filter</td>
+                </tr>
+              )}
+              {lots.map((lot) => (
+                <tr key={lot.id}>
+                  <td>#{lot.id}</td>
+                  <td>{lot.product_name}</td>
+                  <td>{lot.source_type}{lot.reference_id ? ` #${lot.reference_id}` : ''}</td>
+                  <td>{formatAddisDateTime(lot.produced_at || lot.received_at)}</td>
+                  <td>{lot.expires_at ? formatAddisDateTime(lot.expires_at) : '-'}</td>
+                  <td>{Number(lot.quantity_remaining)} / {Number(lot.quantity_received)}</td>
+                  <td>{expiryBadge(lot)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-muted">Sales draw from the lot that expires first. Stock on hand from before lot tracking is not listed here.</p>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,115 @@
+import { useState, useEffect } from 'react';
+import api, { getErrorMessage } from '../../api/axios';
+import { useBranch } from '../../context/BranchContext';
+import { ClipboardList, CheckCircle, ChefHat, PackageCheck } from 'lucide-react';
+import { formatAddisDateTime } from '../../utils/time';
+
+const BOARD_COLUMNS = [
+  { status: 'pending', title: 'Pending', next: 'confirmed', action: 'Confirm', icon: CheckCircle },
+  { status: 'confirmed', title: 'Confirmed', next: 'in_production', action: 'Start Baking', icon: ChefHat },
+  { status: 'in_production', title: 'In Production', next: 'ready', action: 'Mark Ready', icon: PackageCheck },
+  { status: 'ready', title: 'Ready for Pickup' },
+  { status: 'overdue', title: 'Overdue', next: 'ready', action: 'Mark Ready', icon: PackageCheck },
+];
+
+export default function ManagerOrders() {
+  const { selectedLocationId } = useBranch();
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [updatingId, setUpdatingId] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    fetchOrders();
+  }, [selectedLocationId]);
+
+  useEffect(() => {
+    if (message) {
+      const timer = setTimeout(() => setMessage(null), 5000);
+      return () => clearTimeout(timer);
+    }
+  }, [message]);
+
+  const fetchOrders = async () => {
+    try {
+      const response = await api.get('/orders', { params: { open: 'true' } });
+      setOrders(response.data);
+    } catch (err) {
+      setMessage({ type: 'danger', text: getErrorMessage(err, 'Failed to load orders.') });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const moveOrder = async (order, status) => {
+    setUpdatingId(order.id);
+    try {
+      await api.patch(`/orders/${order.id}/status`, { status });
+      fetchOrders();
+    } catch (err) {
+      setMessage({ type: 'danger', text: getErrorMessage(err, 'Failed to update order.') });
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="loading-container">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="orders-page">
+      <div className="page-header">
+        <h2><ClipboardList size={24} /> Pre-Order Production</h2>
+      </div>
+
+      {message && <div className={`alert alert-${message.type} mb-3`}>{message.text}</div>}
+
+      <div className="row">
+        {BOARD_COLUMNS.map((column) => {
+          const columnOrders = orders.filter((order) => order.status === column.status);
+          return (
+            <div className="col-md-4 mb-4" key={column.status}>
+              <div className="card">
+                <div className="card-header">
+                  <h3>{column.title} ({columnOrders.length})</h3>
+                </div>
+                <div className="card-body">
+                  {columnOrders.length === 0 && <p className="text-muted">No orders</p>}
+                  {columnOrders.map((order) => (
+                    <div className="card mb-3" key={order.id}>
+                      <div className="card-body">
+                        <div className="fw-bold">#{order.id} · {order.customer_name}</div>
+                        <small className="text-muted">Pickup {formatAddisDateTime(order.pickup_at)}</small>
+                        <p className="mb-2">{order.order_details}</p>
+                        {order.customer_note && <p className="text-muted mb-2">{order.customer_note}</p>}
+                        <small>
+                          ETB {Number(order.total_amount).toFixed(2)} · balance ETB {Number(order.balance_due).toFixed(2)}
+                        </small>
+                        {column.next && (
+                          <div className="mt-2">
+                            <button
+                              className="btn btn-sm btn-primary"
+                              disabled={updatingId === order.id}
+                              onClick={() => moveOrder(order, column.next)}
+                            >
+                              <column.icon size={14} /> {column.action}
+                            </button>
+                          </div>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,151 @@
+import { useState, useEffect } from 'react';
+import api, { getErrorMessage } from '../../api/axios';
+import { useBranch } from '../../context/BranchContext';
+import { useToast } from '../../context/ToastContext';
+import { Undo2, Check, X } from 'lucide-react';
+import { formatAddisDateTime } from '../../utils/time';
+
+const STATUS_TABS = [
+  { value: 'pending', label: 'Waiting Approval' },
+  { value: 'completed', label: 'Completed' },
+  { value: 'rejected', label: 'Rejected' },
+];
+
+export default function RefundsPage() {
+  const { selectedLocationId } = useBranch();
+  const toast = useToast();
+  const [status, setStatus] = useState('pending');
+  const [refunds, setRefunds] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    fetchRefunds();
+  }, [selectedLocationId, status]);
+
+  const fetchRefunds = async () => {
+    setLoading(true);
+    try {
+      const response = await api.get('/sales/refunds', { params: { status } });
+      setRefunds(response.data || []);
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to load refunds.'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleApprove = async (refund) => {
+    setBusyId(refund.id);
+    try {
+      await api.post(`/sales/refunds/${refund.id}/approve`);
+      toast.success(`Refund of ETB ${Number(refund.total_amount).toFixed(2)} approved.`);
+      fetchRefunds();
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to approve refund.'));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleReject = async (refund) => {
+    const reason = window.prompt('Reason for rejecting this refund (optional):');
+    if (reason === null) return;
+    setBusyId(refund.id);
+    try {
+      await api.post(`/sales/refunds/${refund.id}/reject`, { reason: reason.trim() || undefined });
+      toast.info('Refund rejected.');
+      fetchRefunds();
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to reject refund.'));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="refunds-page">
+      <div className="page-header">
+        <h2><Undo2 size={24} /> Refunds</h2>
+      </div>
+
+      <div className="d-flex gap-2 mb-3">
+        {STATUS_TABS.map((tab) => (
+          <button
+            key={tab.value}
+            className={`btn btn-sm ${status === tab.value ? 'btn-primary' : 'btn-outline-primary'}`}
+            onClick={() => setStatus(tab.value)}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="card">
+        <div className="card-body">
+          {loading ? (
+            <div className="loading-container"><div className="spinner"></div></div>
+          ) : (
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Requested</th>
+                  <th>Receipt</th>
+                  <th>Items</th>
+                  <th>Amount</th>
+                  <th>Method</th>
+                  <th>Reason</th>
+                  <th>By</th>
+                  {status === 'pending' && <th></th>}
+                </tr>
+              </thead>
+              <tbody>
+                {refunds.length === 0 && (
+                  <tr>
+                    <td colSpan={status === 'pending' ? 8 : 7} className="text-center text-muted">No refunds</td>
+                  </tr>
+                )}
+                {refunds.map((refund) => (
+                  <tr key={refund.id}>
+                    <td>{formatAddisDateTime(refund.created_at)}</td>
+                    <td>{refund.receipt_number || `Sale #${refund.sale_id}`}</td>
+                    <td>
+                      {refund.items.map((item) => (
+                        <div key={item.sale_item_id}>
+                          {Number(item.quantity)} × {item.product_name}
+                          <small className="text-muted ms-1">({item.disposition === 'waste' ? 'written off' : 'back to shelf'})</small>
+                        </div>
+                      ))}
+                    </td>
+                    <td className="fw-bold">ETB {Number(refund.total_amount).toFixed(2)}</td>
+                    <td>{refund.refund_method}</td>
+                    <td>
+                      {refund.reason}
+                      {refund.rejected_reason && <div className="text-danger small">Rejected: {refund.rejected_reason}</div>}
+                    </td>
+                    <td>
+                      {refund.requested_by_name || '—'}
+                      {refund.approved_by_name && <div className="text-muted small">Approved by {refund.approved_by_name}</div>}
+                    </td>
+                    {status === 'pending' && (
+                      <td>
+                        <div className="d-flex gap-2">
+                          <button className="btn btn-sm btn-success" disabled={busyId === refund.id} onClick={() => handleApprove(refund)}>
+                            <Check size={14} /> Approve
+                          </button>
+                          <button className="btn btn-sm btn-outline-danger" disabled={busyId === refund.id} onClick={() => handleReject(refund)}>
+                            <X size={14} /> Reject
+                          </button>
+                        </div>
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
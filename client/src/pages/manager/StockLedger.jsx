@@ -0,0 +1,245 @@
+import { useState, useEffect } from 'react';
+import api, { getErrorMessage } from '../../api/axios';
+import { useBranch } from '../../context/BranchContext';
+import { useToast } from '../../context/ToastContext';
+import { formatAddisDateTime } from '../../utils/time';
+import { ScrollText } from 'lucide-react';
+
+const PAGE_SIZE = 50;
+const MOVEMENT_TYPES = [
+  'batch_in',
+  'sale_out',
+  'manual_adjustment',
+  'purchase_in',
+  'waste',
+  'day_close',
+  'transfer_out',
+  'transfer_in',
+  'stocktake',
+  'ingredient_consumption',
+  'ingredient_adjustment',
+];
+const EMPTY_FILTERS = { product_id: '', movement_type: '', start_date: '', end_date: '', user_id: '', reference_type: '', reference_id: '' };
+
+const formatChange = (value) => (Number(value) > 0 ? `+${Number(value)}` : String(Number(value)));
+
+export default function StockLedgerPage() {
+  const { selectedLocationId } = useBranch();
+  const toast = useToast();
+  const [products, setProducts] = useState([]);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [offset, setOffset] = useState(0);
+  const [ledger, setLedger] = useState({ movements: [], has_more: false });
+  const [card, setCard] = useState(null);
+
+  useEffect(() => {
+    api.get('/products')
+      .then((response) => setProducts(response.data || []))
+      .catch((err) => console.error('Failed to load products:', err));
+  }, [selectedLocationId]);
+
+  const activeParams = () => Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== ''));
+
+  const fetchMovements = () => api.get('/inventory/movements', { params: { ...activeParams(), limit: PAGE_SIZE, offset } })
+    .then((response) => setLedger(response.data))
+    .catch((err) => toast.error(getErrorMessage(err, 'Failed to load movements.')));
+
+  // No product picked means no stock card.
+  const fetchStockCard = () => {
+    if (!filters.product_id) {
+      return Promise.resolve().then(() => setCard(null));
+    }
+    const params = {};
+    if (filters.start_date) params.start_date = filters.start_date;
+    if (filters.end_date) params.end_date = filters.end_date;
+    return api.get(`/inventory/stock-card/${filters.product_id}`, { params })
+      .then((response) => setCard(response.data))
+      .catch((err) => toast.error(getErrorMessage(err, 'Failed to load the stock card.')));
+  };
+
+  useEffect(() => {
+    fetchMovements();
+  }, [selectedLocationId, filters, offset]);
+
+  useEffect(() => {
+    fetchStockCard();
+  }, [selectedLocationId, filters.product_id, filters.start_date, filters.end_date]);
+
+  const updateFilter = (changes) => {
+    setOffset(0);
+    setFilters({ ...filters, ...changes });
+  };
+
+  const describeReference = (movement) => {
+    if (!movement.reference_type) return '-';
+    return movement.reference_id ? `${movement.reference_type} #${movement.reference_id}` : movement.reference_type;
+  };
+
+  return (
+    <div className="stock-ledger-page">
+      <div className="page-header">
+        <h2><ScrollText size={24} /> Stock Ledger</h2>
+        <button className="btn btn-secondary" onClick={() => updateFilter(EMPTY_FILTERS)}>Clear Filters</button>
+      </div>
+
+      <div className="card mb-4">
+        <div className="card-body">
+          <div className="row">
+            <div className="col-md-3 mb-3">
+              <label className="form-label">Product</label>
+              <select className="form-select" value={filters.product_id} onChange={(e) => updateFilter({ product_id: e.target.value })}>
+                <option value="">All products</option>
+                {products.map((product) => (
+                  <option key={product.id} value={product.id}>{product.name}</option>
+                ))}
+              </select>
+            </div>
+            <div className="col-md-3 mb-3">
+              <label className="form-label">Type</label>
+              <select className="form-select" value={filters.movement_type} onChange={(e) => updateFilter({ movement_type: e.target.value })}>
+                <option value="">All types</option>
+                {MOVEMENT_TYPES.map((type) => (
+                  <option key={type} value={type}>{type}</option>
+                ))}
+              </select>
+            </div>
+            <div className="col-md-3 mb-3">
+              <label className="form-label">From</label>
+              <input type="date" className="form-control" value={filters.start_date} onChange={(e) => updateFilter({ start_date: e.target.value })} />
+            </div>
+            <div className="col-md-3 mb-3">
+              <label className="form-label">To</label>
+              <input type="date" className="form-control" value={filters.end_date} onChange={(e) => updateFilter({ end_date: e.target.value })} />
+            </div>
+            <div className="col-md-3 mb-3">
+              <label className="form-label">Reference Type</label>
+              <input className="form-control" placeholder="sale, batch, stock_transfer..." value={filters.reference_type} onChange={(e) => updateFilter({ reference_type: e.target.value.trim() })} />
+            </div>
+            <div className="col-md-3 mb-3">
+              <label className="form-label">Reference #</label>
+              <input type="number" min="1" className="form-control" value={filters.reference_id} onChange={(e) => updateFilter({ reference_id: e.target.value })} />
+            </div>
+            {filters.user_id && (
+              <div className="col-md-3 mb-3">
+                <label className="form-label">User</label>
+                <div>
+                  <span className="badge badge-info me-2">user #{filters.user_id}</span>
+                  <button className="btn btn-sm btn-outline-primary" onClick={() => updateFilter({ user_id: '' })}>Clear</button>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {card && (
+        <div className="card mb-4">
+          <div className="card-header">
+            <h3>Stock Card: {card.product.name}</h3>
+            <span className="text-muted">
+              {card.start_date || 'Beginning'} to {card.end_date || 'today'}
+            </span>
+          </div>
+          <div className="card-body">
+            <p>
+              Opening balance <strong>{card.opening_balance}</strong> · Received <strong>{card.totals.received}</strong> ·
+              Issued <strong>{card.totals.issued}</strong> · Closing balance <strong>{card.closing_balance}</strong>
+            </p>
+            {card.unexplained_difference !== null && card.unexplained_difference !== 0 && (
+              <p className="text-danger">
+                The shelf shows {card.current_quantity} but the ledger ends at {card.closing_balance}: {formatChange(card.unexplained_difference)} unit(s) changed without a movement.
+              </p>
+            )}
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>When</th>
+                  <th>Type</th>
+                  <th>Reference</th>
+                  <th>By</th>
+                  <th>Change</th>
+                  <th>Balance</th>
+                </tr>
+              </thead>
+              <tbody>
+                <tr>
+                  <td colSpan="5" className="text-muted">Opening balance</td>
+                  <td><strong>{card.opening_balance}</strong></td>
+                </tr>
+                {card.lines.map((line) => (
+                  <tr key={`${line.archived ? 'a' : 'l'}-${line.id}`}>
+                    <td>{formatAddisDateTime(line.created_at)}</td>
+                    <td>{line.movement_type}</td>
+                    <td>{describeReference(line)}</td>
+                    <td>{line.created_by_name || '-'}</td>
+                    <td className={line.change < 0 ? 'text-danger' : ''}>{formatChange(line.change)}</td>
+                    <td>{line.balance}</td>
+                  </tr>
+                ))}
+                <tr>
+                  <td colSpan="5" className="text-muted">Closing balance</td>
+                  <td><strong>{card.closing_balance}</strong></td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      <div className="card">
+        <div className="card-header">
+          <h3>Movements</h3>
+          {!filters.product_id && <span className="text-muted">Pick a product to see its stock card</span>}
+        </div>
+        <div className="card-body">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>When</th>
+                <th>Item</th>
+                <th>Type</th>
+                <th>Change</th>
+                <th>Value</th>
+                <th>Reference</th>
+                <th>By</th>
+              </tr>
+            </thead>
+            <tbody>
+              {ledger.movements.length === 0 && (
+                <tr>
+                  <td colSpan="7" className="text-center text-muted">No movements match these filters</td>
+                </tr>
+              )}
+              {ledger.movements.map((movement) => (
+                <tr key={`${movement.archived ? 'a' : 'l'}-${movement.id}`}>
+                  <td>
+                    {formatAddisDateTime(movement.created_at)}
+                    {movement.archived && <span className="badge badge-secondary ms-1">archived</span>}
+                  </td>
+                  <td>{movement.product_name || movement.ingredient_name || '-'}</td>
+                  <td>{movement.movement_type}</td>
+                  <td className={Number(movement.quantity_change) < 0 ? 'text-danger' : ''}>
+                    {movement.metadata?.absolute_quantity !== undefined ? `set to ${movement.metadata.absolute_quantity}` : formatChange(movement.quantity_change)}
+                  </td>
+                  <td>{movement.cost_value !== null ? `ETB ${Number(movement.cost_value).toFixed(2)}` : '-'}</td>
+                  <td>{describeReference(movement)}</td>
+                  <td>
+                    {movement.created_by ? (
+                      <button className="btn btn-sm btn-outline-primary" onClick={() => updateFilter({ user_id: String(movement.created_by) })}>
+                        {movement.created_by_name || `user #${movement.created_by}`}
+                      </button>
+                    ) : '-'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="d-flex gap-2">
+            <button className="btn btn-sm btn-secondary" disabled={offset === 0} onClick={() => setOffset(Math.max(0, offset - PAGE_SIZE))}>Previous</button>
+            <button className="btn btn-sm btn-secondary" disabled={!ledger.has_more} onClick={() => setOffset(offset + PAGE_SIZE)}>Next</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
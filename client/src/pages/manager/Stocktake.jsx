@@ -0,0 +1,325 @@
+import { useState, useEffect } from 'react';
+import api, { getErrorMessage } from '../../api/axios';
+import { useBranch } from '../../context/BranchContext';
+import { useToast } from '../../context/ToastContext';
+import { enqueueOperation } from '../../utils/offlineQueue';
+import { formatAddisDateTime } from '../../utils/time';
+import { ClipboardCheck } from 'lucide-react';
+
+const formatMoney = (value) => `ETB ${Number(value || 0).toFixed(2)}`;
+const STATUS_BADGES = { open: 'badge-warning', posted: 'badge-success', cancelled: 'badge-secondary' };
+
+export default function StocktakePage() {
+  const { selectedLocationId } = useBranch();
+  const toast = useToast();
+  const [history, setHistory] = useState([]);
+  const [session, setSession] = useState(null);
+  const [products, setProducts] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [search, setSearch] = useState('');
+  const [viewing, setViewing] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [selectedLocationId]);
+
+  useEffect(() => {
+    api.get('/products')
+      .then((response) => setProducts((response.data || []).filter((product) => product.is_active !== false)))
+      .catch((err) => console.error('Failed to load products:', err));
+  }, [selectedLocationId]);
+
+  const fetchHistory = async () => {
+    try {
+      const response = await api.get('/stocktakes', { params: { limit: 30 } });
+      setHistory(response.data);
+      const open = response.data.find((row) => row.status === 'open');
+      if (open) {
+        loadSession(open.id);
+      } else {
+        setSession(null);
+        setCounts({});
+      }
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to load stocktakes.'));
+    }
+  };
+
+  const loadSession = async (stocktakeId) => {
+    try {
+      const response = await api.get(`/stocktakes/${stocktakeId}`);
+      setSession(response.data);
+      const entered = {};
+      response.data.lines.forEach((line) => {
+        entered[line.product_id] = String(line.counted_quantity);
+      });
+      setCounts(entered);
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to load the open count.'));
+    }
+  };
+
+  const handleOpen = async () => {
+    setBusy(true);
+    try {
+      const response = await api.post('/stocktakes', {});
+      toast.success(`Stocktake #${response.data.id} opened. Count the shelves and enter what you find.`);
+      fetchHistory();
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to open a stocktake.'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSaveCounts = async () => {
+    const savedCounts = new Map(session.lines.map((line) => [String(line.product_id), Number(line.counted_quantity)]));
+    const items = Object.entries(counts)
+      .filter(([productId, value]) => value !== '' && Number(value) !== savedCounts.get(productId))
+      .map(([productId, value]) => ({ product_id: Number(productId), counted_quantity: Number(value) }));
+    if (!items.length) {
+      toast.info('No new counts to save.');
+      return;
+    }
+
+    const url = `/stocktakes/${session.id}/counts`;
+    const idempotencyKey = `stocktake-${session.id}-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    setBusy(true);
+    try {
+      await api.post(url, { items }, { headers: { 'X-Idempotency-Key': idempotencyKey } });
+      toast.success(`Saved ${items.length} count(s).`);
+      loadSession(session.id);
+    } catch (err) {
+      if (!err.response) {
+        await enqueueOperation({ url, method: 'post', data: { items }, idempotencyKey });
+        toast.info('Offline: counts queued for sync.');
+      } else {
+        toast.error(getErrorMessage(err, 'Failed to save counts.'));
+      }
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handlePost = async () => {
+    if (!window.confirm(`Post stocktake #${session.id}? Stock will be set to the counted quantities.`)) return;
+    setBusy(true);
+    try {
+      const response = await api.post(`/stocktakes/${session.id}/post`);
+      const { totals } = response.data;
+      toast.success(`Posted: ${totals.lines_with_variance} of ${totals.lines_counted} line(s) adjusted, net ${formatMoney(totals.variance_value)}.`);
+      fetchHistory();
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to post stocktake.'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    if (!window.confirm(`Cancel stocktake #${session.id}? Entered counts will be discarded.`)) return;
+    try {
+      await api.post(`/stocktakes/${session.id}/cancel`);
+      toast.info(`Stocktake #${session.id} cancelled.`);
+      fetchHistory();
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to cancel stocktake.'));
+    }
+  };
+
+  const openDetails = async (row) => {
+    try {
+      const response = await api.get(`/stocktakes/${row.id}`);
+      setViewing(response.data);
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to load stocktake.'));
+    }
+  };
+
+  const visibleProducts = products.filter((product) => product.name.toLowerCase().includes(search.toLowerCase()));
+
+  return (
+    <div className="stocktake-page">
+      <div className="page-header">
+        <h2><ClipboardCheck size={24} /> Stocktake</h2>
+        {!session && (
+          <button className="btn btn-primary" onClick={handleOpen} disabled={busy}>Start Count</button>
+        )}
+      </div>
+
+      {session && (
+        <div className="row">
+          <div className="col-md-6">
+            <div className="card mb-4">
+              <div className="card-header">
+                <h3>Count #{session.id}</h3>
+                <span className="text-muted">Opened {formatAddisDateTime(session.opened_at)}</span>
+              </div>
+              <div className="card-body">
+                <input
+                  className="form-control mb-3"
+                  placeholder="Find a product"
+                  value={search}
+                  onChange={(e) => setSearch(e.target.value)}
+                />
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>Product</th>
+                      <th>Counted</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {visibleProducts.map((product) => (
+                      <tr key={product.id}>
+                        <td>{product.name}</td>
+                        <td style={{ width: 120 }}>
+                          <input
+                            type="number"
+                            min="0"
+                            className="form-control"
+                            value={counts[product.id] ?? ''}
+                            onChange={(e) => setCounts({ ...counts, [product.id]: e.target.value })}
+                          />
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <button className="btn btn-primary" onClick={handleSaveCounts} disabled={busy}>Save Counts</button>
+              </div>
+            </div>
+          </div>
+          <div className="col-md-6">
+            <div className="card mb-4">
+              <div className="card-header">
+                <h3>Variance Review</h3>
+                <span className="text-muted">Net {formatMoney(session.totals.variance_value)}</span>
+              </div>
+              <div className="card-body">
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>Product</th>
+                      <th>Expected</th>
+                      <th>Counted</th>
+                      <th>Variance</th>
+                      <th>Value</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {session.lines.length === 0 && (
+                      <tr>
+                        <td colSpan="5" className="text-center text-muted">No counts saved yet</td>
+                      </tr>
+                    )}
+                    {session.lines.map((line) => (
+                      <tr key={line.id}>
+                        <td>{line.product_name}</td>
+                        <td>{line.expected_quantity}</td>
+                        <td>{line.counted_quantity}</td>
+                        <td className={line.variance_quantity < 0 ? 'text-danger' : ''}>{line.variance_quantity > 0 ? `+${line.variance_quantity}` : line.variance_quantity}</td>
+                        <td>{formatMoney(line.variance_value)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <p className="text-muted">
+                  {session.totals.lines_with_variance} of {session.totals.lines_counted} counted line(s) differ.
+                  Shrinkage {formatMoney(session.totals.shrinkage_value)}. Uncounted products are not adjusted.
+                </p>
+                <div className="d-flex gap-2">
+                  <button className="btn btn-success" onClick={handlePost} disabled={busy || session.lines.length === 0}>Post Adjustments</button>
+                  <button className="btn btn-secondary" onClick={handleCancel} disabled={busy}>Cancel Count</button>
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <div className="card">
+        <div className="card-header">
+          <h3>Past Counts</h3>
+        </div>
+        <div className="card-body">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Opened</th>
+                <th>Closed</th>
+                <th>Status</th>
+                <th>Lines</th>
+                <th>Net Variance</th>
+                <th>Shrinkage</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {history.length === 0 && (
+                <tr>
+                  <td colSpan="8" className="text-center text-muted">No stocktakes yet</td>
+                </tr>
+              )}
+              {history.map((row) => (
+                <tr key={row.id}>
+                  <td>{row.id}</td>
+                  <td>{formatAddisDateTime(row.opened_at)} by {row.opened_by_name || '-'}</td>
+                  <td>{row.closed_at ? `${formatAddisDateTime(row.closed_at)} by ${row.closed_by_name || '-'}` : '-'}</td>
+                  <td><span className={`badge ${STATUS_BADGES[row.status]}`}>{row.status}</span></td>
+                  <td>{row.status === 'posted' ? `${row.lines_with_variance}/${row.lines_counted}` : row.lines_entered}</td>
+                  <td>{row.status === 'posted' ? formatMoney(row.variance_value) : '-'}</td>
+                  <td>{row.status === 'posted' ? formatMoney(row.shrinkage_value) : '-'}</td>
+                  <td>
+                    {row.status === 'posted' && (
+                      <button className="btn btn-sm btn-outline-primary" onClick={() => openDetails(row)}>View</button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {viewing && (
+        <div className="modal-overlay" onClick={() => setViewing(null)}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>Stocktake #{viewing.id}</h3>
+              <button className="close-btn" onClick={() => setViewing(null)}>×</button>
+            </div>
+            <div className="modal-body">
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>Product</th>
+                    <th>Expected</th>
+                    <th>Counted</th>
+                    <th>Variance</th>
+                    <th>Value</th>
+                    <th>Counted By</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {viewing.lines.map((line) => (
+                    <tr key={line.id}>
+                      <td>{line.product_name}</td>
+                      <td>{line.expected_quantity}</td>
+                      <td>{line.counted_quantity}</td>
+                      <td>{line.variance_quantity}</td>
+                      <td>{formatMoney(line.variance_value)}</td>
+                      <td>{line.counted_by_name || '-'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,306 @@
+import { useState, useEffect } from 'react';
+import api, { getErrorMessage } from '../../api/axios';
+import { useBranch } from '../../context/BranchContext';
+import { useToast } from '../../context/ToastContext';
+import { enqueueOperation } from '../../utils/offlineQueue';
+import { formatAddisDateTime } from '../../utils/time';
+import { ArrowLeftRight, Plus, Trash2, PackageCheck } from 'lucide-react';
+
+const STATUS_BADGES = {
+  in_transit: 'badge-primary',
+  received: 'badge-success',
+  disputed: 'badge-danger',
+};
+
+const emptyLine = () => ({ product_id: '', quantity: '' });
+
+export default function TransfersPage() {
+  const { selectedLocationId } = useBranch();
+  const toast = useToast();
+  const [transfers, setTransfers] = useState([]);
+  const [locations, setLocations] = useState([]);
+  const [inventory, setInventory] = useState([]);
+  const [direction, setDirection] = useState('incoming');
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState({ to_location_id: '', notes: '', items: [emptyLine()] });
+  const [receiving, setReceiving] = useState(null);
+  const [counts, setCounts] = useState({});
+
+  useEffect(() => {
+    Promise.all([api.get('/locations'), api.get('/inventory')])
+      .then(([locationsRes, inventoryRes]) => {
+        setLocations(locationsRes.data || []);
+        setInventory((inventoryRes.data || []).filter((item) => Number(item.quantity) > 0));
+      })
+      .catch((err) => console.error('Failed to load transfer options:', err));
+  }, [selectedLocationId]);
+
+  const fetchTransfers = () => api.get('/transfers', { params: { direction } })
+    .then((response) => setTransfers(response.data))
+    .catch((err) => toast.error(getErrorMessage(err, 'Failed to load transfers.')));
+
+  useEffect(() => {
+    fetchTransfers();
+  }, [selectedLocationId, direction]);
+
+  const currentLocationId = Number(selectedLocationId || inventory[0]?.location_id || 0);
+
+  const updateLine = (index, changes) => {
+    setForm({ ...form, items: form.items.map((line, lineIndex) => (lineIndex === index ? { ...line, ...changes } : line)) });
+  };
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    const items = form.items
+      .filter((line) => line.product_id && Number(line.quantity) > 0)
+      .map((line) => ({ product_id: Number(line.product_id), quantity: Number(line.quantity) }));
+    if (!items.length) {
+      toast.warning('Add at least one product to transfer.');
+      return;
+    }
+
+    const payload = { to_location_id: Number(form.to_location_id), notes: form.notes, items };
+    const idempotencyKey = `transfer-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    try {
+      await api.post('/transfers', payload, { headers: { 'X-Idempotency-Key': idempotencyKey } });
+      toast.success('Transfer sent. The destination manager has been notified.');
+      setShowForm(false);
+      setForm({ to_location_id: '', notes: '', items: [emptyLine()] });
+      setDirection('outgoing');
+      fetchTransfers();
+    } catch (err) {
+      if (!err.response) {
+        await enqueueOperation({ url: '/transfers', method: 'post', data: payload, idempotencyKey });
+        toast.info('Offline: transfer queued for sync.');
+        setShowForm(false);
+      } else {
+        toast.error(getErrorMessage(err, 'Failed to send transfer.'));
+      }
+    }
+  };
+
+  const openReceive = async (transfer) => {
+    try {
+      const response = await api.get(`/transfers/${transfer.id}`);
+      const initial = {};
+      response.data.items.forEach((item) => {
+        initial[item.id] = { quantity_received: item.quantity_sent, notes: '' };
+      });
+      setCounts(initial);
+      setReceiving(response.data);
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to load transfer.'));
+    }
+  };
+
+  const handleReceive = async (e) => {
+    e.preventDefault();
+    const items = Object.entries(counts).map(([itemId, count]) => ({
+      item_id: Number(itemId),
+      quantity_received: Number(count.quantity_received),
+      notes: count.notes || undefined,
+    }));
+    try {
+      const response = await api.post(`/transfers/${receiving.id}/receive`, { items });
+      if (response.data.status === 'disputed') {
+        toast.warning('Transfer received with differences. The sending branch has been alerted.');
+      } else {
+        toast.success('Transfer received in full.');
+      }
+      setReceiving(null);
+      fetchTransfers();
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to receive transfer.'));
+    }
+  };
+
+  return (
+    <div className="transfers-page">
+      <div className="page-header">
+        <h2><ArrowLeftRight size={24} /> Branch Transfers</h2>
+        <button className="btn btn-primary" onClick={() => setShowForm(true)}>
+          <Plus size={18} /> Send Stock
+        </button>
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <div>
+            <button className={`btn btn-sm me-2 ${direction === 'incoming' ? 'btn-primary' : 'btn-outline-primary'}`} onClick={() => setDirection('incoming')}>Incoming</button>
+            <button className={`btn btn-sm ${direction === 'outgoing' ? 'btn-primary' : 'btn-outline-primary'}`} onClick={() => setDirection('outgoing')}>Outgoing</button>
+          </div>
+        </div>
+        <div className="card-body">
+          <div className="table-responsive">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>{direction === 'incoming' ? 'From' : 'To'}</th>
+                  <th>Sent</th>
+                  <th>Units Sent</th>
+                  <th>Units Received</th>
+                  <th>Status</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {transfers.length === 0 && (
+                  <tr>
+                    <td colSpan="7" className="text-center text-muted">No {direction} transfers</td>
+                  </tr>
+                )}
+                {transfers.map((transfer) => (
+                  <tr key={transfer.id}>
+                    <td>{transfer.id}</td>
+                    <td>{direction === 'incoming' ? transfer.from_location_name : transfer.to_location_name}</td>
+                    <td>{formatAddisDateTime(transfer.sent_at)} by {transfer.created_by_name || '-'}</td>
+                    <td>{transfer.total_sent}</td>
+                    <td>{transfer.total_received ?? '-'}</td>
+                    <td>
+                      <span className={`badge ${STATUS_BADGES[transfer.status]}`}>{transfer.status.replace('_', ' ')}</span>
+                      {transfer.variance_lines > 0 && <small className="text-muted"> {transfer.variance_lines} variance line(s)</small>}
+                    </td>
+                    <td>
+                      {direction === 'incoming' && transfer.status === 'in_transit' && (
+                        <button className="btn btn-sm btn-success" onClick={() => openReceive(transfer)}>
+                          <PackageCheck size={14} /> Receive
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+
+      {showForm && (
+        <div className="modal-overlay" onClick={() => setShowForm(false)}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>Send Stock to Another Branch</h3>
+              <button className="close-btn" onClick={() => setShowForm(false)}>×</button>
+            </div>
+            <form onSubmit={handleSend} className="modal-body">
+              <div className="mb-3">
+                <label className="form-label">Destination Branch *</label>
+                <select
+                  className="form-select"
+                  value={form.to_location_id}
+                  onChange={(e) => setForm({ ...form, to_location_id: e.target.value })}
+                  required
+                >
+                  <option value="">Select branch</option>
+                  {locations.filter((location) => Number(location.id) !== currentLocationId).map((location) => (
+                    <option key={location.id} value={location.id}>{location.name}</option>
+                  ))}
+                </select>
+              </div>
+              {form.items.map((line, index) => (
+                <div className="row mb-2" key={index}>
+                  <div className="col-md-7">
+                    <select className="form-select" value={line.product_id} onChange={(e) => updateLine(index, { product_id: e.target.value })}>
+                      <option value="">Select product</option>
+                      {inventory.map((item) => (
+                        <option key={item.product_id} value={item.product_id}>{item.product_name} ({Number(item.quantity)} on hand)</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="col-md-4">
+                    <input
+                      type="number"
+                      min="1"
+                      className="form-control"
+                      placeholder="Qty"
+                      value={line.quantity}
+                      onChange={(e) => updateLine(index, { quantity: e.target.value })}
+                    />
+                  </div>
+                  <div className="col-md-1">
+                    <button
+                      type="button"
+                      className="btn btn-sm btn-outline-danger"
+                      disabled={form.items.length === 1}
+                      onClick={() => setForm({ ...form, items: form.items.filter((_, lineIndex) => lineIndex !== index) })}
+                    >
+                      <Trash2 size={14} />
+                    </button>
+                  </div>
+                </div>
+              ))}
+              <button type="button" className="btn btn-sm btn-outline-primary mb-3" onClick={() => setForm({ ...form, items: [...form.items, emptyLine()] })}>
+                <Plus size={14} /> Add Line
+              </button>
+              <div className="mb-3">
+                <label className="form-label">Notes</label>
+                <input className="form-control" value={form.notes} onChange={(e) => setForm({ ...form, notes: e.target.value })} />
+              </div>
+              <div className="modal-footer">
+                <button type="button" className="btn btn-secondary" onClick={() => setShowForm(false)}>Cancel</button>
+                <button type="submit" className="btn btn-primary">Send Transfer</button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {receiving && (
+        <div className="modal-overlay" onClick={() => setReceiving(null)}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>Receive Transfer #{receiving.id} from {receiving.from_location_name}</h3>
+              <button className="close-btn" onClick={() => setReceiving(null)}>×</button>
+            </div>
+            <form onSubmit={handleReceive} className="modal-body">
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>Product</th>
+                    <th>Sent</th>
+                    <th>Counted</th>
+                    <th>Note</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {receiving.items.map((item) => {
+                    const count = counts[item.id] || {};
+                    const differs = Number(count.quantity_received) !== Number(item.quantity_sent);
+                    return (
+                      <tr key={item.id}>
+                        <td>{item.product_name}</td>
+                        <td>{item.quantity_sent}</td>
+                        <td>
+                          <input
+                            type="number"
+                            min="0"
+                            className="form-control"
+                            value={count.quantity_received}
+                            onChange={(e) => setCounts({ ...counts, [item.id]: { ...count, quantity_received: e.target.value } })}
+                          />
+                        </td>
+                        <td>
+                          <input
+                            className="form-control"
+                            placeholder={differs ? 'Why is it different?' : ''}
+                            value={count.notes}
+                            onChange={(e) => setCounts({ ...counts, [item.id]: { ...count, notes: e.target.value } })}
+                          />
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+              <div className="modal-footer">
+                <button type="button" className="btn btn-secondary" onClick={() => setReceiving(null)}>Cancel</button>
+                <button type="submit" className="btn btn-success">Confirm Receipt</button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,220 @@
+import { useState, useEffect } from 'react';
+import api, { getErrorMessage } from '../../api/axios';
+import { useBranch } from '../../context/BranchContext';
+import { useToast } from '../../context/ToastContext';
+import { enqueueOperation } from '../../utils/offlineQueue';
+import { formatAddisDateTime } from '../../utils/time';
+import { Trash2, Plus } from 'lucide-react';
+
+const REASON_LABELS = {
+  expired: 'Expired',
+  burnt: 'Burnt',
+  damaged: 'Damaged',
+  staff_meal: 'Staff meal',
+  donation: 'Donation',
+};
+
+const emptyLine = () => ({ product_id: '', quantity: '', reason: 'expired', notes: '' });
+const formatMoney = (value) => `ETB ${Number(value || 0).toFixed(2)}`;
+
+export default function WastePage() {
+  const { selectedLocationId } = useBranch();
+  const toast = useToast();
+  const [inventory, setInventory] = useState([]);
+  const [records, setRecords] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [lines, setLines] = useState([emptyLine()]);
+  const [submitting, setSubmitting] = useState(false);
+  const [startDate, setStartDate] = useState(new Date().toISOString().split('T')[0]);
+
+  useEffect(() => {
+    fetchInventory();
+  }, [selectedLocationId]);
+
+  useEffect(() => {
+    fetchRecords();
+  }, [selectedLocationId, startDate]);
+
+  const fetchInventory = async () => {
+    try {
+      const response = await api.get('/inventory');
+      setInventory((response.data || []).filter((item) => Number(item.quantity) > 0));
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to load stock.'));
+    }
+  };
+
+  const fetchRecords = async () => {
+    try {
+      const response = await api.get('/waste', { params: { start_date: startDate } });
+      setRecords(response.data.records || []);
+      setSummary(response.data.summary || null);
+    } catch (err) {
+      toast.error(getErrorMessage(err, 'Failed to load waste records.'));
+    }
+  };
+
+  const updateLine = (index, changes) => {
+    setLines(lines.map((line, lineIndex) => (lineIndex === index ? { ...line, ...changes } : line)));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const items = lines
+      .filter((line) => line.product_id && Number(line.quantity) > 0)
+      .map((line) => ({
+        product_id: Number(line.product_id),
+        quantity: Number(line.quantity),
+        reason: line.reason,
+        notes: line.notes || undefined,
+      }));
+
+    if (!items.length) {
+      toast.warning('Add at least one product to write off.');
+      return;
+    }
+
+    setSubmitting(true);
+    const idempotencyKey = `waste-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    try {
+      const response = await api.post('/waste', { items }, { headers: { 'X-Idempotency-Key': idempotencyKey } });
+      toast.success(`Waste recorded (${formatMoney(response.data.total_cost)}).`);
+      setLines([emptyLine()]);
+      fetchInventory();
+      fetchRecords();
+    } catch (err) {
+      if (!err.response) {
+        await enqueueOperation({ url: '/waste', method: 'post', data: { items }, idempotencyKey });
+        toast.info('Offline: waste queued for sync.');
+        setLines([emptyLine()]);
+      } else {
+        toast.error(getErrorMessage(err, 'Failed to record waste.'));
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="waste-page">
+      <div className="page-header">
+        <h2><Trash2 size={24} /> Waste &amp; Spoilage</h2>
+      </div>
+
+      <div className="card mb-4">
+        <div className="card-header">
+          <h3>Record Waste</h3>
+        </div>
+        <form className="card-body" onSubmit={handleSubmit}>
+          {lines.map((line, index) => {
+            const stock = inventory.find((item) => Number(item.product_id) === Number(line.product_id));
+            return (
+              <div className="row mb-2" key={index}>
+                <div className="col-md-4">
+                  <select className="form-select" value={line.product_id} onChange={(e) => updateLine(index, { product_id: e.target.value })}>
+                    <option value="">Select product</option>
+                    {inventory.map((item) => (
+                      <option key={item.product_id} value={item.product_id}>
+                        {item.product_name} ({Number(item.quantity)} on hand)
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div className="col-md-2">
+                  <input
+                    type="number"
+                    min="1"
+                    max={stock ? Number(stock.quantity) : undefined}
+                    className="form-control"
+                    placeholder="Qty"
+                    value={line.quantity}
+                    onChange={(e) => updateLine(index, { quantity: e.target.value })}
+                  />
+                </div>
+                <div className="col-md-2">
+                  <select className="form-select" value={line.reason} onChange={(e) => updateLine(index, { reason: e.target.value })}>
+                    {Object.entries(REASON_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                  </select>
+                </div>
+                <div className="col-md-3">
+                  <input
+                    className="form-control"
+                    placeholder="Notes (optional)"
+                    value={line.notes}
+                    onChange={(e) => updateLine(index, { notes: e.target.value })}
+                  />
+                </div>
+                <div className="col-md-1">
+                  <button
+                    type="button"
+                    className="btn btn-sm btn-outline-danger"
+                    onClick={() => setLines(lines.filter((_, lineIndex) => lineIndex !== index))}
+                    disabled={lines.length === 1}
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+          <div className="mt-3">
+            <button type="button" className="btn btn-sm btn-outline-primary me-2" onClick={() => setLines([...lines, emptyLine()])}>
+              <Plus size={14} /> Add Line
+            </button>
+            <button type="submit" className="btn btn-sm btn-danger" disabled={submitting}>
+              {submitting ? 'Saving...' : 'Write Off'}
+            </button>
+          </div>
+        </form>
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <h3>Waste Log</h3>
+          <input type="date" className="form-control form-control-sm" style={{ maxWidth: 180 }} value={startDate} onChange={(e) => setStartDate(e.target.value)} />
+        </div>
+        <div className="card-body">
+          {summary && (
+            <p className="text-muted">
+              {summary.total_quantity} units written off since {startDate}, worth {formatMoney(summary.total_cost)}.{' '}
+              {summary.by_reason.filter((entry) => entry.quantity > 0).map((entry) => `${REASON_LABELS[entry.reason] || entry.reason}: ${formatMoney(entry.cost_value)}`).join(' · ')}
+            </p>
+          )}
+          <div className="table-responsive">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>When</th>
+                  <th>Product</th>
+                  <th>Qty</th>
+                  <th>Reason</th>
+                  <th>Cost</th>
+                  <th>Recorded By</th>
+                  <th>Notes</th>
+                </tr>
+              </thead>
+              <tbody>
+                {records.length === 0 && (
+                  <tr>
+                    <td colSpan="7" className="text-center text-muted">No waste recorded in this period</td>
+                  </tr>
+                )}
+                {records.map((record) => (
+                  <tr key={record.id}>
+                    <td>{formatAddisDateTime(record.created_at)}</td>
+                    <td>{record.product_name}</td>
+                    <td>{Number(record.quantity)}</td>
+                    <td><span className="badge badge-warning">{REASON_LABELS[record.reason] || record.reason}</span></td>
+                    <td>{formatMoney(record.cost_value)}</td>
+                    <td>{record.recorded_by_name || '-'}</td>
+                    <td>{record.notes || '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
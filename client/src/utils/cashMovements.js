@@ -0,0 +1 @@
+export const MOVEMENT_LABELS = { drop: 'Safe drop', paid_out: 'Paid out', paid_in: 'Paid in' };
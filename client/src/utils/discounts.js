@@ -0,0 +1,35 @@
+export const DISCOUNT_REASONS = ['loyalty', 'staff', 'damaged', 'price_match', 'goodwill', 'other'];
+
+const roundMoney = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+export function discountAmount(base, discount) {
+  const value = Number(discount?.value);
+  if (!discount || !Number.isFinite(value) || value <= 0) return 0;
+  const amount = discount.type === 'percent' ? roundMoney((base * Math.min(value, 100)) / 100) : roundMoney(value);
+  return Math.min(amount, base);
+}
+
+// Only discounts with a value and a reason are sent; the server prices the sale.
+export function toDiscountPayload(discount) {
+  if (!discount || !(Number(discount.value) > 0) || !discount.reason) return undefined;
+  return { type: discount.type, value: Number(discount.value), reason: discount.reason };
+}
+
+// A line's price after its promotion (`promotion_amount` from the preview).
+export function promotedPrice(line) {
+  return roundMoney(line.price * line.quantity - Number(line.promotion_amount || 0));
+}
+
+// Cart preview: gross, promotions, line discounts, order discount on what remains, total.
+export function previewTotals(lines, orderDiscount) {
+  const gross = roundMoney(lines.reduce((sum, line) => sum + line.price * line.quantity, 0));
+  const promotions = roundMoney(lines.reduce((sum, line) => sum + Number(line.promotion_amount || 0), 0));
+  const lineDiscounts = roundMoney(lines.reduce((sum, line) => sum + discountAmount(promotedPrice(line), line.discount), 0));
+  const orderAmount = discountAmount(roundMoney(gross - promotions - lineDiscounts), orderDiscount);
+  return {
+    gross,
+    promotions,
+    discount: roundMoney(lineDiscounts + orderAmount),
+    total: roundMoney(gross - promotions - lineDiscounts - orderAmount),
+  };
+}
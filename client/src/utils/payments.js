@@ -0,0 +1,26 @@
+export const PAYMENT_METHOD_LABELS = { cash: 'Cash', card: 'Card', mobile: 'Mobile Banking' };
+
+const roundMoney = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+export const emptyTender = (method = 'cash') => ({ payment_method: method, amount: '', reference: '' });
+
+// A tender left blank covers the rest of the total; only one may be blank.
+export function tenderSummary(total, tenders) {
+  const stated = roundMoney(tenders.reduce((sum, tender) => sum + (Number(tender.amount) > 0 ? Number(tender.amount) : 0), 0));
+  const hasOpen = tenders.some((tender) => !(Number(tender.amount) > 0));
+  const tendered = hasOpen ? Math.max(stated, roundMoney(total)) : stated;
+  return {
+    tendered,
+    balance: roundMoney(Math.max(0, total - tendered)),
+    change: roundMoney(Math.max(0, tendered - total)),
+  };
+}
+
+// The server settles the sale again; this only drops empty fields.
+export function toPaymentsPayload(tenders) {
+  return tenders.map((tender) => ({
+    payment_method: tender.payment_method,
+    ...(Number(tender.amount) > 0 ? { amount: Number(tender.amount) } : {}),
+    ...(tender.reference ? { reference: tender.reference } : {}),
+  }));
+}
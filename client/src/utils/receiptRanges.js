@@ -0,0 +1,47 @@
+// Receipt numbers reserved for this device while online, so a sale rung up
+// offline prints its final number straight away. Kept per branch in
+// localStorage; the server checks each number again when the sale syncs.
+const DEVICE_KEY = 'receipt_device_id';
+const rangesKey = (locationId) => `receipt_ranges_${locationId || 'default'}`;
+
+export const RANGE_SIZE = 50;
+export const RANGE_TOP_UP_AT = 10;
+
+export function getReceiptDeviceId() {
+  let deviceId = localStorage.getItem(DEVICE_KEY);
+  if (!deviceId) {
+    deviceId = `device-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    localStorage.setItem(DEVICE_KEY, deviceId);
+  }
+  return deviceId;
+}
+
+function readRanges(locationId) {
+  return JSON.parse(localStorage.getItem(rangesKey(locationId)) || '[]');
+}
+
+function writeRanges(locationId, ranges) {
+  localStorage.setItem(rangesKey(locationId), JSON.stringify(ranges.filter((range) => range.next <= range.end)));
+}
+
+export function offlineReceiptsRemaining(locationId) {
+  return readRanges(locationId).reduce((sum, range) => sum + (range.end - range.next + 1), 0);
+}
+
+export function storeReceiptRange(locationId, range) {
+  writeRanges(locationId, [
+    ...readRanges(locationId),
+    { id: range.id, prefix: range.prefix, padding: Number(range.padding), next: Number(range.start_number), end: Number(range.end_number) },
+  ]);
+}
+
+// The next reserved number, or null when this device has none left.
+export function takeOfflineReceiptNumber(locationId) {
+  const ranges = readRanges(locationId);
+  const range = ranges.find((candidate) => candidate.next <= candidate.end);
+  if (!range) return null;
+  const receiptNumber = `${range.prefix}-${String(range.next).padStart(range.padding, '0')}`;
+  range.next += 1;
+  writeRanges(locationId, ranges);
+  return receiptNumber;
+}
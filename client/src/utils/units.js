@@ -0,0 +1,37 @@
+// Mirrors findConversionFactor on the server: item conversions win over
+// general ones and either direction of a stored conversion works.
+export function conversionFactor(conversions = [], { productId = null, ingredientId = null, fromUnit, toUnit }) {
+  if (!fromUnit || fromUnit === toUnit) return 1;
+  const isItemRow = (row) => (
+    (productId && Number(row.product_id) === Number(productId))
+    || (ingredientId && Number(row.ingredient_id) === Number(ingredientId))
+  );
+  const isGeneralRow = (row) => !row.product_id && !row.ingredient_id;
+
+  for (const inScope of [isItemRow, isGeneralRow]) {
+    const rows = conversions.filter(inScope);
+    const direct = rows.find((row) => row.from_unit === fromUnit && row.to_unit === toUnit);
+    if (direct) return Number(direct.factor);
+    const inverse = rows.find((row) => row.from_unit === toUnit && row.to_unit === fromUnit);
+    if (inverse) return 1 / Number(inverse.factor);
+  }
+  return null;
+}
+
+// Units an item can be entered in: its own unit first, then anything that converts to it.
+export function enterableUnits(conversions = [], { productId = null, ingredientId = null, unit }) {
+  const options = new Set([unit]);
+  conversions.forEach((row) => {
+    const applies = (!row.product_id && !row.ingredient_id)
+      || (productId && Number(row.product_id) === Number(productId))
+      || (ingredientId && Number(row.ingredient_id) === Number(ingredientId));
+    if (!applies) return;
+    if (row.to_unit === unit) options.add(row.from_unit);
+    if (row.from_unit === unit) options.add(row.to_unit);
+  });
+  return [...options];
+}
+
+export function formatQuantity(value) {
+  return Number(Number(value || 0).toFixed(3));
+}
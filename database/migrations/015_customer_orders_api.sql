@@ -0,0 +1,5 @@
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS cancel_reason TEXT;
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS delivered_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_customer_orders_location_status_pickup
+  ON customer_orders(location_id, status, pickup_at);
@@ -0,0 +1,5 @@
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS due_notified_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_customer_orders_due_scan
+  ON customer_orders(status, pickup_at)
+  WHERE status IN ('pending', 'confirmed', 'in_production', 'ready');
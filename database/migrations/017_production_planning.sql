@@ -0,0 +1,23 @@
+CREATE TABLE IF NOT EXISTS customer_order_items (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES customer_orders(id) ON DELETE CASCADE,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE RESTRICT,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_customer_order_items_order ON customer_order_items(order_id);
+CREATE INDEX IF NOT EXISTS idx_customer_order_items_product ON customer_order_items(product_id);
+
+CREATE TABLE IF NOT EXISTS product_stock_levels (
+    id SERIAL PRIMARY KEY,
+    location_id INTEGER NOT NULL REFERENCES locations(id) ON DELETE CASCADE,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    par_quantity INTEGER NOT NULL DEFAULT 0 CHECK (par_quantity >= 0),
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (location_id, product_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_stock_levels_location ON product_stock_levels(location_id);
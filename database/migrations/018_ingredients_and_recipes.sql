@@ -0,0 +1,55 @@
+CREATE TABLE IF NOT EXISTS ingredients (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    unit VARCHAR(20) NOT NULL,
+    unit_cost NUMERIC(12,4) NOT NULL DEFAULT 0 CHECK (unit_cost >= 0),
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS ingredient_inventory (
+    id SERIAL PRIMARY KEY,
+    ingredient_id INTEGER NOT NULL REFERENCES ingredients(id) ON DELETE CASCADE,
+    location_id INTEGER NOT NULL REFERENCES locations(id) ON DELETE CASCADE,
+    quantity NUMERIC(14,3) NOT NULL DEFAULT 0,
+    last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (ingredient_id, location_id)
+);
+
+CREATE TABLE IF NOT EXISTS recipes (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER NOT NULL UNIQUE REFERENCES products(id) ON DELETE CASCADE,
+    yield_quantity NUMERIC(12,3) NOT NULL DEFAULT 1 CHECK (yield_quantity > 0),
+    notes TEXT,
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS recipe_items (
+    id SERIAL PRIMARY KEY,
+    recipe_id INTEGER NOT NULL REFERENCES recipes(id) ON DELETE CASCADE,
+    ingredient_id INTEGER NOT NULL REFERENCES ingredients(id) ON DELETE RESTRICT,
+    quantity NUMERIC(12,4) NOT NULL CHECK (quantity > 0),
+    UNIQUE (recipe_id, ingredient_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ingredient_inventory_location ON ingredient_inventory(location_id);
+CREATE INDEX IF NOT EXISTS idx_recipe_items_ingredient ON recipe_items(ingredient_id);
+
+-- Ingredient rows share the movement ledger with finished goods. They carry
+-- ingredient_id (product_id stays NULL) and may hold fractional quantities.
+ALTER TABLE inventory_movements ADD COLUMN IF NOT EXISTS ingredient_id INTEGER REFERENCES ingredients(id);
+ALTER TABLE inventory_movements ALTER COLUMN quantity_change TYPE NUMERIC(14,3);
+ALTER TABLE inventory_movements_archive ADD COLUMN IF NOT EXISTS ingredient_id INTEGER;
+ALTER TABLE inventory_movements_archive ALTER COLUMN quantity_change TYPE NUMERIC(14,3);
+
+ALTER TABLE inventory_movements DROP CONSTRAINT IF EXISTS inventory_movements_movement_type_check;
+ALTER TABLE inventory_movements ADD CONSTRAINT inventory_movements_movement_type_check
+  CHECK (movement_type IN ('batch_in', 'sale_out', 'manual_adjustment', 'ingredient_consumption', 'ingredient_adjustment'));
+ALTER TABLE inventory_movements_archive DROP CONSTRAINT IF EXISTS inventory_movements_movement_type_check;
+
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_location_ingredient
+  ON inventory_movements(location_id, ingredient_id)
+  WHERE ingredient_id IS NOT NULL;
@@ -0,0 +1,20 @@
+CREATE TABLE IF NOT EXISTS product_cost_history (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    cost NUMERIC(12,4) NOT NULL CHECK (cost >= 0),
+    effective_from TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    source VARCHAR(20) NOT NULL CHECK (source IN ('initial', 'manual', 'recipe')),
+    changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    metadata JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_cost_history_product_effective
+  ON product_cost_history(product_id, effective_from DESC);
+
+-- Seed the current hand-entered cost as the baseline for all past activity.
+INSERT INTO product_cost_history (product_id, cost, effective_from, source)
+SELECT p.id, p.cost, TIMESTAMP '2000-01-01', 'initial'
+FROM products p
+WHERE p.cost IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM product_cost_history h WHERE h.product_id = p.id);
@@ -0,0 +1,68 @@
+CREATE TABLE IF NOT EXISTS suppliers (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(120) NOT NULL UNIQUE,
+    contact_name VARCHAR(120),
+    phone VARCHAR(30),
+    email VARCHAR(120),
+    address TEXT,
+    notes TEXT,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS purchase_orders (
+    id SERIAL PRIMARY KEY,
+    location_id INTEGER NOT NULL REFERENCES locations(id) ON DELETE CASCADE,
+    supplier_id INTEGER NOT NULL REFERENCES suppliers(id) ON DELETE RESTRICT,
+    status VARCHAR(30) NOT NULL DEFAULT 'ordered'
+      CHECK (status IN ('draft', 'ordered', 'partially_received', 'received', 'cancelled')),
+    order_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    expected_date DATE,
+    notes TEXT,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS purchase_order_items (
+    id SERIAL PRIMARY KEY,
+    purchase_order_id INTEGER NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+    product_id INTEGER REFERENCES products(id) ON DELETE RESTRICT,
+    ingredient_id INTEGER REFERENCES ingredients(id) ON DELETE RESTRICT,
+    quantity_ordered NUMERIC(14,3) NOT NULL CHECK (quantity_ordered > 0),
+    quantity_received NUMERIC(14,3) NOT NULL DEFAULT 0 CHECK (quantity_received >= 0),
+    unit_cost NUMERIC(12,4) NOT NULL DEFAULT 0 CHECK (unit_cost >= 0),
+    CHECK ((product_id IS NULL) <> (ingredient_id IS NULL))
+);
+
+CREATE TABLE IF NOT EXISTS purchase_receipts (
+    id SERIAL PRIMARY KEY,
+    purchase_order_id INTEGER NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+    location_id INTEGER NOT NULL REFERENCES locations(id) ON DELETE CASCADE,
+    received_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    total_amount NUMERIC(12,2) NOT NULL DEFAULT 0,
+    expense_id INTEGER REFERENCES expenses(id) ON DELETE SET NULL,
+    notes TEXT,
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS purchase_receipt_items (
+    id SERIAL PRIMARY KEY,
+    receipt_id INTEGER NOT NULL REFERENCES purchase_receipts(id) ON DELETE CASCADE,
+    purchase_order_item_id INTEGER NOT NULL REFERENCES purchase_order_items(id) ON DELETE CASCADE,
+    quantity NUMERIC(14,3) NOT NULL CHECK (quantity > 0),
+    unit_cost NUMERIC(12,4) NOT NULL DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS idx_purchase_orders_location_status ON purchase_orders(location_id, status, expected_date);
+CREATE INDEX IF NOT EXISTS idx_purchase_order_items_order ON purchase_order_items(purchase_order_id);
+CREATE INDEX IF NOT EXISTS idx_purchase_receipts_order ON purchase_receipts(purchase_order_id);
+
+ALTER TABLE inventory_movements DROP CONSTRAINT IF EXISTS inventory_movements_movement_type_check;
+ALTER TABLE inventory_movements ADD CONSTRAINT inventory_movements_movement_type_check
+  CHECK (movement_type IN ('batch_in', 'sale_out', 'manual_adjustment', 'ingredient_consumption', 'ingredient_adjustment', 'purchase_in'));
+
+ALTER TABLE product_cost_history DROP CONSTRAINT IF EXISTS product_cost_history_source_check;
+ALTER TABLE product_cost_history ADD CONSTRAINT product_cost_history_source_check
+  CHECK (source IN ('initial', 'manual', 'recipe', 'purchase'));
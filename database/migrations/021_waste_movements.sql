@@ -0,0 +1,10 @@
+ALTER TABLE inventory_movements ADD COLUMN IF NOT EXISTS cost_value NUMERIC(12,2);
+ALTER TABLE inventory_movements_archive ADD COLUMN IF NOT EXISTS cost_value NUMERIC(12,2);
+
+ALTER TABLE inventory_movements DROP CONSTRAINT IF EXISTS inventory_movements_movement_type_check;
+ALTER TABLE inventory_movements ADD CONSTRAINT inventory_movements_movement_type_check
+  CHECK (movement_type IN ('batch_in', 'sale_out', 'manual_adjustment', 'ingredient_consumption', 'ingredient_adjustment', 'purchase_in', 'waste'));
+
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_waste
+  ON inventory_movements(location_id, created_at)
+  WHERE movement_type = 'waste';
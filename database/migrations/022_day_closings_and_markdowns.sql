@@ -0,0 +1,44 @@
+CREATE TABLE IF NOT EXISTS day_closings (
+    id SERIAL PRIMARY KEY,
+    location_id INTEGER NOT NULL REFERENCES locations(id) ON DELETE CASCADE,
+    business_date DATE NOT NULL,
+    closed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (location_id, business_date)
+);
+
+CREATE TABLE IF NOT EXISTS day_closing_items (
+    id SERIAL PRIMARY KEY,
+    closing_id INTEGER NOT NULL REFERENCES day_closings(id) ON DELETE CASCADE,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE RESTRICT,
+    quantity_on_hand INTEGER NOT NULL,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('carry_over', 'markdown', 'waste')),
+    quantity INTEGER NOT NULL CHECK (quantity >= 0),
+    markdown_price NUMERIC(10,2),
+    waste_reason VARCHAR(30),
+    movement_id INTEGER REFERENCES inventory_movements(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS product_markdowns (
+    id SERIAL PRIMARY KEY,
+    location_id INTEGER NOT NULL REFERENCES locations(id) ON DELETE CASCADE,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    closing_id INTEGER REFERENCES day_closings(id) ON DELETE SET NULL,
+    markdown_price NUMERIC(10,2) NOT NULL CHECK (markdown_price >= 0),
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    remaining_quantity INTEGER NOT NULL CHECK (remaining_quantity >= 0),
+    valid_on DATE NOT NULL,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_day_closing_items_closing ON day_closing_items(closing_id);
+CREATE INDEX IF NOT EXISTS idx_product_markdowns_location_valid ON product_markdowns(location_id, valid_on);
+
+ALTER TABLE sale_items ADD COLUMN IF NOT EXISTS markdown_id INTEGER REFERENCES product_markdowns(id) ON DELETE SET NULL;
+ALTER TABLE sale_items_archive ADD COLUMN IF NOT EXISTS markdown_id INTEGER;
+
+ALTER TABLE inventory_movements DROP CONSTRAINT IF EXISTS inventory_movements_movement_type_check;
+ALTER TABLE inventory_movements ADD CONSTRAINT inventory_movements_movement_type_check
+  CHECK (movement_type IN ('batch_in', 'sale_out', 'manual_adjustment', 'ingredient_consumption', 'ingredient_adjustment', 'purchase_in', 'waste', 'day_close'));
@@ -0,0 +1,31 @@
+CREATE TABLE IF NOT EXISTS stock_transfers (
+    id SERIAL PRIMARY KEY,
+    from_location_id INTEGER NOT NULL REFERENCES locations(id) ON DELETE CASCADE,
+    to_location_id INTEGER NOT NULL REFERENCES locations(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'in_transit'
+      CHECK (status IN ('in_transit', 'received', 'disputed')),
+    notes TEXT,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    received_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    received_at TIMESTAMP,
+    receive_notes TEXT,
+    CHECK (from_location_id <> to_location_id)
+);
+
+CREATE TABLE IF NOT EXISTS stock_transfer_items (
+    id SERIAL PRIMARY KEY,
+    transfer_id INTEGER NOT NULL REFERENCES stock_transfers(id) ON DELETE CASCADE,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE RESTRICT,
+    quantity_sent INTEGER NOT NULL CHECK (quantity_sent > 0),
+    quantity_received INTEGER CHECK (quantity_received >= 0),
+    notes TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_transfers_from ON stock_transfers(from_location_id, status, sent_at DESC);
+CREATE INDEX IF NOT EXISTS idx_stock_transfers_to ON stock_transfers(to_location_id, status, sent_at DESC);
+CREATE INDEX IF NOT EXISTS idx_stock_transfer_items_transfer ON stock_transfer_items(transfer_id);
+
+ALTER TABLE inventory_movements DROP CONSTRAINT IF EXISTS inventory_movements_movement_type_check;
+ALTER TABLE inventory_movements ADD CONSTRAINT inventory_movements_movement_type_check
+  CHECK (movement_type IN ('batch_in', 'sale_out', 'manual_adjustment', 'ingredient_consumption', 'ingredient_adjustment', 'purchase_in', 'waste', 'day_close', 'transfer_out', 'transfer_in'));
@@ -0,0 +1,21 @@
+ALTER TABLE locations ADD COLUMN IF NOT EXISTS require_batch_confirmation BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE inventory_batches ADD COLUMN IF NOT EXISTS received_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE inventory_batches ADD COLUMN IF NOT EXISTS received_at TIMESTAMP;
+ALTER TABLE inventory_batches ADD COLUMN IF NOT EXISTS receive_notes TEXT;
+
+ALTER TABLE batch_items ADD COLUMN IF NOT EXISTS quantity_received INTEGER CHECK (quantity_received >= 0);
+ALTER TABLE batch_items ADD COLUMN IF NOT EXISTS quantity_damaged INTEGER NOT NULL DEFAULT 0 CHECK (quantity_damaged >= 0);
+ALTER TABLE batch_items ADD COLUMN IF NOT EXISTS discrepancy_notes TEXT;
+
+ALTER TABLE IF EXISTS inventory_batches_archive ADD COLUMN IF NOT EXISTS received_by INTEGER;
+ALTER TABLE IF EXISTS inventory_batches_archive ADD COLUMN IF NOT EXISTS received_at TIMESTAMP;
+ALTER TABLE IF EXISTS inventory_batches_archive ADD COLUMN IF NOT EXISTS receive_notes TEXT;
+
+ALTER TABLE IF EXISTS batch_items_archive ADD COLUMN IF NOT EXISTS quantity_received INTEGER;
+ALTER TABLE IF EXISTS batch_items_archive ADD COLUMN IF NOT EXISTS quantity_damaged INTEGER DEFAULT 0;
+ALTER TABLE IF EXISTS batch_items_archive ADD COLUMN IF NOT EXISTS discrepancy_notes TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_inventory_batches_pending
+  ON inventory_batches(location_id, created_at DESC)
+  WHERE status = 'pending';
@@ -0,0 +1,40 @@
+CREATE TABLE IF NOT EXISTS stocktakes (
+    id SERIAL PRIMARY KEY,
+    location_id INTEGER NOT NULL REFERENCES locations(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'posted', 'cancelled')),
+    notes TEXT,
+    opened_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    opened_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    closed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    closed_at TIMESTAMP,
+    lines_counted INTEGER NOT NULL DEFAULT 0,
+    lines_with_variance INTEGER NOT NULL DEFAULT 0,
+    variance_quantity NUMERIC(14,3) NOT NULL DEFAULT 0,
+    variance_value NUMERIC(12,2) NOT NULL DEFAULT 0,
+    shrinkage_value NUMERIC(12,2) NOT NULL DEFAULT 0
+);
+
+CREATE TABLE IF NOT EXISTS stocktake_lines (
+    id SERIAL PRIMARY KEY,
+    stocktake_id INTEGER NOT NULL REFERENCES stocktakes(id) ON DELETE CASCADE,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE RESTRICT,
+    counted_quantity INTEGER NOT NULL CHECK (counted_quantity >= 0),
+    expected_quantity INTEGER,
+    variance_quantity INTEGER,
+    unit_cost NUMERIC(10,2),
+    variance_value NUMERIC(12,2),
+    notes TEXT,
+    counted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    counted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    movement_id INTEGER REFERENCES inventory_movements(id) ON DELETE SET NULL,
+    UNIQUE (stocktake_id, product_id)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_stocktakes_one_open_per_location
+  ON stocktakes(location_id)
+  WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_stocktakes_location_closed ON stocktakes(location_id, closed_at DESC);
+
+ALTER TABLE inventory_movements DROP CONSTRAINT IF EXISTS inventory_movements_movement_type_check;
+ALTER TABLE inventory_movements ADD CONSTRAINT inventory_movements_movement_type_check
+  CHECK (movement_type IN ('batch_in', 'sale_out', 'manual_adjustment', 'ingredient_consumption', 'ingredient_adjustment', 'purchase_in', 'waste', 'day_close', 'transfer_out', 'transfer_in', 'stocktake'));
@@ -0,0 +1,6 @@
+ALTER TABLE product_stock_levels ADD COLUMN IF NOT EXISTS min_quantity INTEGER CHECK (min_quantity >= 0);
+ALTER TABLE product_stock_levels ADD COLUMN IF NOT EXISTS max_quantity INTEGER CHECK (max_quantity >= 0);
+
+CREATE INDEX IF NOT EXISTS idx_product_stock_levels_min
+  ON product_stock_levels(location_id, product_id)
+  WHERE min_quantity IS NOT NULL;
@@ -0,0 +1,47 @@
+ALTER TABLE products ADD COLUMN IF NOT EXISTS shelf_life_hours INTEGER CHECK (shelf_life_hours > 0);
+
+CREATE TABLE IF NOT EXISTS inventory_lots (
+    id SERIAL PRIMARY KEY,
+    location_id INTEGER NOT NULL REFERENCES locations(id) ON DELETE CASCADE,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE RESTRICT,
+    source_type VARCHAR(20) NOT NULL CHECK (source_type IN ('batch', 'purchase', 'transfer')),
+    reference_type VARCHAR(50),
+    reference_id INTEGER,
+    produced_at TIMESTAMP,
+    received_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP,
+    quantity_received NUMERIC(14,3) NOT NULL CHECK (quantity_received > 0),
+    quantity_remaining NUMERIC(14,3) NOT NULL CHECK (quantity_remaining >= 0),
+    unit_cost NUMERIC(10,2),
+    expiry_alerted_at TIMESTAMP,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_lots_fifo
+  ON inventory_lots(location_id, product_id, expires_at, received_at)
+  WHERE quantity_remaining > 0;
+CREATE INDEX IF NOT EXISTS idx_inventory_lots_reference ON inventory_lots(reference_type, reference_id);
+
+CREATE TABLE IF NOT EXISTS lot_waste_proposals (
+    id SERIAL PRIMARY KEY,
+    location_id INTEGER NOT NULL REFERENCES locations(id) ON DELETE CASCADE,
+    lot_id INTEGER NOT NULL REFERENCES inventory_lots(id) ON DELETE CASCADE,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE RESTRICT,
+    quantity NUMERIC(14,3) NOT NULL CHECK (quantity > 0),
+    expires_at TIMESTAMP,
+    status VARCHAR(20) NOT NULL DEFAULT 'proposed' CHECK (status IN ('proposed', 'accepted', 'dismissed')),
+    proposed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMP,
+    resolution_notes TEXT,
+    movement_id INTEGER REFERENCES inventory_movements(id) ON DELETE SET NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_lot_waste_proposals_lot ON lot_waste_proposals(lot_id);
+CREATE INDEX IF NOT EXISTS idx_lot_waste_proposals_open
+  ON lot_waste_proposals(location_id, proposed_at)
+  WHERE status = 'proposed';
+
+ALTER TABLE stock_transfer_items ADD COLUMN IF NOT EXISTS produced_at TIMESTAMP;
+ALTER TABLE stock_transfer_items ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP;
@@ -0,0 +1,13 @@
+CREATE TABLE IF NOT EXISTS inventory_reconciliations (
+    id SERIAL PRIMARY KEY,
+    location_id INTEGER NOT NULL REFERENCES locations(id) ON DELETE CASCADE,
+    trust VARCHAR(20) NOT NULL CHECK (trust IN ('inventory', 'ledger')),
+    note TEXT NOT NULL,
+    adjustments_count INTEGER NOT NULL DEFAULT 0,
+    net_change NUMERIC(14,3) NOT NULL DEFAULT 0,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_reconciliations_location_created
+  ON inventory_reconciliations(location_id, created_at DESC);
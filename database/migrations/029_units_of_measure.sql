@@ -0,0 +1,83 @@
+CREATE TABLE IF NOT EXISTS units (
+    code VARCHAR(20) PRIMARY KEY,
+    name VARCHAR(50) NOT NULL,
+    allows_fraction BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO units (code, name, allows_fraction) VALUES
+  ('piece', 'Piece', false),
+  ('dozen', 'Dozen', false),
+  ('tray', 'Tray', false),
+  ('pack', 'Pack', false),
+  ('sack', 'Sack', false),
+  ('kg', 'Kilogram', true),
+  ('g', 'Gram', true),
+  ('l', 'Litre', true),
+  ('ml', 'Millilitre', true)
+ON CONFLICT (code) DO NOTHING;
+
+-- Whatever free-text units are already in use become units of their own.
+INSERT INTO units (code, name)
+SELECT DISTINCT unit, unit FROM products WHERE unit IS NOT NULL AND unit <> ''
+ON CONFLICT (code) DO NOTHING;
+INSERT INTO units (code, name)
+SELECT DISTINCT unit, unit FROM ingredients WHERE unit IS NOT NULL AND unit <> ''
+ON CONFLICT (code) DO NOTHING;
+
+ALTER TABLE products DROP CONSTRAINT IF EXISTS products_unit_fkey;
+ALTER TABLE products ADD CONSTRAINT products_unit_fkey
+  FOREIGN KEY (unit) REFERENCES units(code) ON UPDATE CASCADE;
+ALTER TABLE ingredients DROP CONSTRAINT IF EXISTS ingredients_unit_fkey;
+ALTER TABLE ingredients ADD CONSTRAINT ingredients_unit_fkey
+  FOREIGN KEY (unit) REFERENCES units(code) ON UPDATE CASCADE;
+
+-- 1 from_unit = factor to_unit. Rows without a product or ingredient apply
+-- to everything (a dozen is always 12 pieces); item rows cover packaging
+-- that varies, like how many croissants fit on a tray.
+CREATE TABLE IF NOT EXISTS unit_conversions (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER REFERENCES products(id) ON DELETE CASCADE,
+    ingredient_id INTEGER REFERENCES ingredients(id) ON DELETE CASCADE,
+    from_unit VARCHAR(20) NOT NULL REFERENCES units(code) ON UPDATE CASCADE,
+    to_unit VARCHAR(20) NOT NULL REFERENCES units(code) ON UPDATE CASCADE,
+    factor NUMERIC(14,6) NOT NULL CHECK (factor > 0),
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (from_unit <> to_unit),
+    CHECK (product_id IS NULL OR ingredient_id IS NULL)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_unit_conversions_scope
+  ON unit_conversions(COALESCE(product_id, 0), COALESCE(ingredient_id, 0), from_unit, to_unit);
+
+INSERT INTO unit_conversions (from_unit, to_unit, factor) VALUES
+  ('dozen', 'piece', 12),
+  ('g', 'kg', 0.001),
+  ('ml', 'l', 0.001)
+ON CONFLICT DO NOTHING;
+
+-- Product stock can now be fractional (cookies by the kg). Whether a given
+-- product may hold fractions is decided by its unit.
+ALTER TABLE inventory ALTER COLUMN quantity TYPE NUMERIC(14,3);
+ALTER TABLE batch_items ALTER COLUMN quantity TYPE NUMERIC(14,3);
+ALTER TABLE batch_items ALTER COLUMN quantity_received TYPE NUMERIC(14,3);
+ALTER TABLE batch_items ALTER COLUMN quantity_damaged TYPE NUMERIC(14,3);
+ALTER TABLE batch_items ADD COLUMN IF NOT EXISTS entered_quantity NUMERIC(14,3);
+ALTER TABLE batch_items ADD COLUMN IF NOT EXISTS entered_unit VARCHAR(20);
+ALTER TABLE IF EXISTS batch_items_archive ALTER COLUMN quantity TYPE NUMERIC(14,3);
+ALTER TABLE IF EXISTS batch_items_archive ALTER COLUMN quantity_received TYPE NUMERIC(14,3);
+ALTER TABLE IF EXISTS batch_items_archive ALTER COLUMN quantity_damaged TYPE NUMERIC(14,3);
+ALTER TABLE IF EXISTS batch_items_archive ADD COLUMN IF NOT EXISTS entered_quantity NUMERIC(14,3);
+ALTER TABLE IF EXISTS batch_items_archive ADD COLUMN IF NOT EXISTS entered_unit VARCHAR(20);
+ALTER TABLE sale_items ALTER COLUMN quantity TYPE NUMERIC(14,3);
+ALTER TABLE sale_items_archive ALTER COLUMN quantity TYPE NUMERIC(14,3);
+ALTER TABLE stock_transfer_items ALTER COLUMN quantity_sent TYPE NUMERIC(14,3);
+ALTER TABLE stock_transfer_items ALTER COLUMN quantity_received TYPE NUMERIC(14,3);
+ALTER TABLE stocktake_lines ALTER COLUMN counted_quantity TYPE NUMERIC(14,3);
+ALTER TABLE stocktake_lines ALTER COLUMN expected_quantity TYPE NUMERIC(14,3);
+ALTER TABLE stocktake_lines ALTER COLUMN variance_quantity TYPE NUMERIC(14,3);
+ALTER TABLE day_closing_items ALTER COLUMN quantity_on_hand TYPE NUMERIC(14,3);
+ALTER TABLE day_closing_items ALTER COLUMN quantity TYPE NUMERIC(14,3);
+ALTER TABLE product_markdowns ALTER COLUMN quantity TYPE NUMERIC(14,3);
+ALTER TABLE product_markdowns ALTER COLUMN remaining_quantity TYPE NUMERIC(14,3);
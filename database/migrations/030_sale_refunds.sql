@@ -0,0 +1,42 @@
+-- Running refund totals on the sale and its lines, so reports can show net
+-- sales without joining refunds. Archived sales carry them too.
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS refunded_amount NUMERIC(12,2) NOT NULL DEFAULT 0;
+ALTER TABLE sales_archive ADD COLUMN IF NOT EXISTS refunded_amount NUMERIC(12,2) NOT NULL DEFAULT 0;
+ALTER TABLE sale_items ADD COLUMN IF NOT EXISTS refunded_quantity NUMERIC(14,3) NOT NULL DEFAULT 0;
+ALTER TABLE sale_items ADD COLUMN IF NOT EXISTS refunded_amount NUMERIC(12,2) NOT NULL DEFAULT 0;
+ALTER TABLE sale_items_archive ADD COLUMN IF NOT EXISTS refunded_quantity NUMERIC(14,3) NOT NULL DEFAULT 0;
+ALTER TABLE sale_items_archive ADD COLUMN IF NOT EXISTS refunded_amount NUMERIC(12,2) NOT NULL DEFAULT 0;
+
+-- sale_id and sale_item_id have no foreign keys: sales move to the archive
+-- tables and their refunds must stay behind.
+CREATE TABLE IF NOT EXISTS sale_refunds (
+    id SERIAL PRIMARY KEY,
+    sale_id INTEGER NOT NULL,
+    location_id INTEGER NOT NULL REFERENCES locations(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'completed' CHECK (status IN ('pending', 'completed', 'rejected')),
+    reason TEXT NOT NULL,
+    refund_method VARCHAR(20) NOT NULL CHECK (refund_method IN ('cash', 'card', 'mobile')),
+    waste_reason VARCHAR(30),
+    total_amount NUMERIC(12,2) NOT NULL CHECK (total_amount >= 0),
+    requested_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    approved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    approved_at TIMESTAMP,
+    rejected_reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS sale_refund_items (
+    id SERIAL PRIMARY KEY,
+    refund_id INTEGER NOT NULL REFERENCES sale_refunds(id) ON DELETE CASCADE,
+    sale_item_id INTEGER NOT NULL,
+    product_id INTEGER NOT NULL REFERENCES products(id),
+    quantity NUMERIC(14,3) NOT NULL CHECK (quantity > 0),
+    unit_price NUMERIC(10,2) NOT NULL,
+    amount NUMERIC(12,2) NOT NULL,
+    disposition VARCHAR(20) NOT NULL CHECK (disposition IN ('restock', 'waste'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_sale_refunds_sale ON sale_refunds(sale_id);
+CREATE INDEX IF NOT EXISTS idx_sale_refunds_location_status ON sale_refunds(location_id, status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_sale_refund_items_refund ON sale_refund_items(refund_id);
+CREATE INDEX IF NOT EXISTS idx_sale_refund_items_sale_item ON sale_refund_items(sale_item_id);
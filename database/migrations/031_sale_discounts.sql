@@ -0,0 +1,29 @@
+-- Line discounts, plus each line's share of the order discount, are taken off
+-- sale_items.subtotal; discount_amount keeps the difference so gross is
+-- always subtotal + discount_amount. Archive tables get the same columns in
+-- the same order because archiving copies rows with SELECT *.
+ALTER TABLE sale_items ADD COLUMN IF NOT EXISTS discount_type VARCHAR(10) CHECK (discount_type IN ('percent', 'fixed'));
+ALTER TABLE sale_items ADD COLUMN IF NOT EXISTS discount_value NUMERIC(12,2);
+ALTER TABLE sale_items ADD COLUMN IF NOT EXISTS discount_reason VARCHAR(30);
+ALTER TABLE sale_items ADD COLUMN IF NOT EXISTS discount_amount NUMERIC(12,2) NOT NULL DEFAULT 0;
+ALTER TABLE sale_items_archive ADD COLUMN IF NOT EXISTS discount_type VARCHAR(10);
+ALTER TABLE sale_items_archive ADD COLUMN IF NOT EXISTS discount_value NUMERIC(12,2);
+ALTER TABLE sale_items_archive ADD COLUMN IF NOT EXISTS discount_reason VARCHAR(30);
+ALTER TABLE sale_items_archive ADD COLUMN IF NOT EXISTS discount_amount NUMERIC(12,2) NOT NULL DEFAULT 0;
+
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS discount_amount NUMERIC(12,2) NOT NULL DEFAULT 0;
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS order_discount_type VARCHAR(10) CHECK (order_discount_type IN ('percent', 'fixed'));
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS order_discount_value NUMERIC(12,2);
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS order_discount_reason VARCHAR(30);
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS order_discount_amount NUMERIC(12,2) NOT NULL DEFAULT 0;
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS discount_approved_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE sales_archive ADD COLUMN IF NOT EXISTS discount_amount NUMERIC(12,2) NOT NULL DEFAULT 0;
+ALTER TABLE sales_archive ADD COLUMN IF NOT EXISTS order_discount_type VARCHAR(10);
+ALTER TABLE sales_archive ADD COLUMN IF NOT EXISTS order_discount_value NUMERIC(12,2);
+ALTER TABLE sales_archive ADD COLUMN IF NOT EXISTS order_discount_reason VARCHAR(30);
+ALTER TABLE sales_archive ADD COLUMN IF NOT EXISTS order_discount_amount NUMERIC(12,2) NOT NULL DEFAULT 0;
+ALTER TABLE sales_archive ADD COLUMN IF NOT EXISTS discount_approved_by INTEGER;
+
+-- Managers and admins approve discounts above a cashier's cap at the till
+-- with this PIN instead of their password.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS override_pin_hash VARCHAR(255);
@@ -0,0 +1,49 @@
+-- Automatic price rules. A promotion is scoped to one product, one category or
+-- everything, to one branch or all of them (location_id NULL), and optionally
+-- to a date range, days of the week (0 = Sunday) and a time of day. A window
+-- whose end_time is before its start_time runs past midnight.
+CREATE TABLE IF NOT EXISTS promotions (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(120) NOT NULL,
+    promo_type VARCHAR(20) NOT NULL CHECK (promo_type IN ('percent_off', 'fixed_off', 'buy_x_get_y', 'bundle_price')),
+    location_id INTEGER REFERENCES locations(id) ON DELETE CASCADE,
+    product_id INTEGER REFERENCES products(id) ON DELETE CASCADE,
+    category_id INTEGER REFERENCES categories(id) ON DELETE CASCADE,
+    percent_off NUMERIC(5,2) CHECK (percent_off > 0 AND percent_off <= 100),
+    amount_off NUMERIC(10,2) CHECK (amount_off > 0),
+    buy_quantity INTEGER CHECK (buy_quantity > 0),
+    get_quantity INTEGER CHECK (get_quantity > 0),
+    bundle_quantity INTEGER CHECK (bundle_quantity > 1),
+    bundle_price NUMERIC(10,2) CHECK (bundle_price >= 0),
+    starts_on DATE,
+    ends_on DATE,
+    days_of_week SMALLINT[],
+    start_time TIME,
+    end_time TIME,
+    priority INTEGER NOT NULL DEFAULT 0,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (product_id IS NULL OR category_id IS NULL),
+    CHECK (
+      (promo_type = 'percent_off' AND percent_off IS NOT NULL)
+      OR (promo_type = 'fixed_off' AND amount_off IS NOT NULL)
+      OR (promo_type = 'buy_x_get_y' AND buy_quantity IS NOT NULL AND get_quantity IS NOT NULL)
+      OR (promo_type = 'bundle_price' AND bundle_quantity IS NOT NULL AND bundle_price IS NOT NULL)
+    )
+);
+
+CREATE INDEX IF NOT EXISTS idx_promotions_active_location ON promotions(is_active, location_id);
+
+-- What each line saved through its promotion. Gross is now
+-- subtotal + promotion_amount + discount_amount. sale_items.promotion_id has
+-- no foreign key so deleting a promotion never touches sales history.
+ALTER TABLE sale_items ADD COLUMN IF NOT EXISTS promotion_id INTEGER;
+ALTER TABLE sale_items ADD COLUMN IF NOT EXISTS promotion_amount NUMERIC(12,2) NOT NULL DEFAULT 0;
+ALTER TABLE sale_items_archive ADD COLUMN IF NOT EXISTS promotion_id INTEGER;
+ALTER TABLE sale_items_archive ADD COLUMN IF NOT EXISTS promotion_amount NUMERIC(12,2) NOT NULL DEFAULT 0;
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS promotion_amount NUMERIC(12,2) NOT NULL DEFAULT 0;
+ALTER TABLE sales_archive ADD COLUMN IF NOT EXISTS promotion_amount NUMERIC(12,2) NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_sale_items_promotion ON sale_items(promotion_id) WHERE promotion_id IS NOT NULL;
@@ -0,0 +1,32 @@
+-- One row per tender, so a sale can be paid partly in cash and partly by card
+-- or mobile money. amount is what the tender settled; for cash,
+-- tendered_amount is what was handed over and the difference went back as
+-- change. sale_id has no foreign key: sales move to the archive tables and
+-- their payments stay behind, like refunds.
+CREATE TABLE IF NOT EXISTS sale_payments (
+    id SERIAL PRIMARY KEY,
+    sale_id INTEGER NOT NULL,
+    location_id INTEGER NOT NULL REFERENCES locations(id) ON DELETE CASCADE,
+    payment_method VARCHAR(20) NOT NULL CHECK (payment_method IN ('cash', 'card', 'mobile')),
+    amount NUMERIC(12,2) NOT NULL CHECK (amount >= 0),
+    tendered_amount NUMERIC(12,2) NOT NULL CHECK (tendered_amount >= amount),
+    reference VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_sale_payments_sale ON sale_payments(sale_id);
+CREATE INDEX IF NOT EXISTS idx_sale_payments_location_method ON sale_payments(location_id, payment_method);
+
+-- sales.payment_method stays as a summary: the single tender's method, or
+-- 'split' when more than one method was used.
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS tendered_amount NUMERIC(12,2);
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS change_due NUMERIC(12,2) NOT NULL DEFAULT 0;
+ALTER TABLE sales_archive ADD COLUMN IF NOT EXISTS tendered_amount NUMERIC(12,2);
+ALTER TABLE sales_archive ADD COLUMN IF NOT EXISTS change_due NUMERIC(12,2) NOT NULL DEFAULT 0;
+
+-- Earlier sales were paid in full with their one method.
+INSERT INTO sale_payments (sale_id, location_id, payment_method, amount, tendered_amount, created_at)
+SELECT s.id, s.location_id, COALESCE(s.payment_method, 'cash'), s.total_amount, s.total_amount, s.sale_date
+FROM sales s
+WHERE COALESCE(s.payment_method, 'cash') IN ('cash', 'card', 'mobile')
+  AND NOT EXISTS (SELECT 1 FROM sale_payments sp WHERE sp.sale_id = s.id);
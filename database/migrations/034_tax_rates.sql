@@ -0,0 +1,43 @@
+-- Tax rates (15% VAT, 2% turnover tax, ...) and the rules that give them to
+-- products. A rule names a product, a category, or neither (the branch
+-- default), for one branch or, with location_id NULL, for every branch.
+CREATE TABLE IF NOT EXISTS tax_rates (
+    id SERIAL PRIMARY KEY,
+    code VARCHAR(20) NOT NULL UNIQUE,
+    name VARCHAR(100) NOT NULL,
+    rate NUMERIC(5,2) NOT NULL CHECK (rate >= 0 AND rate <= 100),
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS tax_rules (
+    id SERIAL PRIMARY KEY,
+    tax_rate_id INTEGER NOT NULL REFERENCES tax_rates(id) ON DELETE CASCADE,
+    location_id INTEGER REFERENCES locations(id) ON DELETE CASCADE,
+    product_id INTEGER REFERENCES products(id) ON DELETE CASCADE,
+    category_id INTEGER REFERENCES categories(id) ON DELETE CASCADE,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (product_id IS NULL OR category_id IS NULL)
+);
+
+-- One rule per scope, so changing a rate replaces the rule.
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tax_rules_scope
+    ON tax_rules (COALESCE(location_id, 0), COALESCE(product_id, 0), COALESCE(category_id, 0));
+
+-- Prices include tax. Each line keeps the rate it was sold at and the tax
+-- inside its subtotal, so later rate changes never rewrite history.
+-- tax_rate_id has no foreign key so deleting a rate never touches sales.
+ALTER TABLE sale_items ADD COLUMN IF NOT EXISTS tax_rate_id INTEGER;
+ALTER TABLE sale_items ADD COLUMN IF NOT EXISTS tax_code VARCHAR(20);
+ALTER TABLE sale_items ADD COLUMN IF NOT EXISTS tax_rate NUMERIC(5,2) NOT NULL DEFAULT 0;
+ALTER TABLE sale_items ADD COLUMN IF NOT EXISTS tax_amount NUMERIC(12,2) NOT NULL DEFAULT 0;
+ALTER TABLE sale_items_archive ADD COLUMN IF NOT EXISTS tax_rate_id INTEGER;
+ALTER TABLE sale_items_archive ADD COLUMN IF NOT EXISTS tax_code VARCHAR(20);
+ALTER TABLE sale_items_archive ADD COLUMN IF NOT EXISTS tax_rate NUMERIC(5,2) NOT NULL DEFAULT 0;
+ALTER TABLE sale_items_archive ADD COLUMN IF NOT EXISTS tax_amount NUMERIC(12,2) NOT NULL DEFAULT 0;
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS tax_amount NUMERIC(12,2) NOT NULL DEFAULT 0;
+ALTER TABLE sales_archive ADD COLUMN IF NOT EXISTS tax_amount NUMERIC(12,2) NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_sale_items_tax_rate ON sale_items(tax_rate_id) WHERE tax_rate_id IS NOT NULL;
@@ -0,0 +1,38 @@
+-- Till sessions. A cashier opens a shift with a float, sells, and closes it by
+-- counting the drawer; the Z report frozen at close keeps expected vs counted
+-- cash even if later corrections touch the underlying rows.
+CREATE TABLE IF NOT EXISTS cashier_shifts (
+    id SERIAL PRIMARY KEY,
+    location_id INTEGER NOT NULL REFERENCES locations(id) ON DELETE CASCADE,
+    cashier_id INTEGER NOT NULL REFERENCES users(id),
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'closed')),
+    opening_float NUMERIC(12,2) NOT NULL DEFAULT 0 CHECK (opening_float >= 0),
+    opened_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    closed_at TIMESTAMP,
+    closed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    expected_cash NUMERIC(12,2),
+    counted_cash NUMERIC(12,2),
+    over_short NUMERIC(12,2),
+    closing_note TEXT,
+    z_report JSONB
+);
+
+-- One open till per cashier.
+CREATE UNIQUE INDEX IF NOT EXISTS idx_cashier_shifts_one_open
+    ON cashier_shifts(cashier_id) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_cashier_shifts_location_opened ON cashier_shifts(location_id, opened_at DESC);
+
+-- A sale belongs to the shift it was rung up in; a void to the shift that
+-- handed the money back, which may be a later one. No foreign keys: sales
+-- move to the archive tables and shifts stay behind.
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS shift_id INTEGER;
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS voided_at TIMESTAMP;
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS voided_shift_id INTEGER;
+ALTER TABLE sales_archive ADD COLUMN IF NOT EXISTS shift_id INTEGER;
+ALTER TABLE sales_archive ADD COLUMN IF NOT EXISTS voided_at TIMESTAMP;
+ALTER TABLE sales_archive ADD COLUMN IF NOT EXISTS voided_shift_id INTEGER;
+ALTER TABLE sale_refunds ADD COLUMN IF NOT EXISTS shift_id INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_sales_shift ON sales(shift_id) WHERE shift_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_sales_voided_shift ON sales(voided_shift_id) WHERE voided_shift_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_sale_refunds_shift ON sale_refunds(shift_id) WHERE shift_id IS NOT NULL;
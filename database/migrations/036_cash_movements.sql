@@ -0,0 +1,18 @@
+-- Cash that leaves or enters the drawer other than through sales: safe drops,
+-- paid-outs for small purchases and paid-ins (change from the safe, petty
+-- cash top-ups). Each belongs to a shift so the drawer count reconciles.
+CREATE TABLE IF NOT EXISTS cash_movements (
+    id SERIAL PRIMARY KEY,
+    location_id INTEGER NOT NULL REFERENCES locations(id) ON DELETE CASCADE,
+    shift_id INTEGER NOT NULL REFERENCES cashier_shifts(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    movement_type VARCHAR(20) NOT NULL CHECK (movement_type IN ('drop', 'paid_out', 'paid_in')),
+    amount NUMERIC(12,2) NOT NULL CHECK (amount > 0),
+    reason TEXT NOT NULL,
+    reference VARCHAR(100),
+    expense_id INTEGER REFERENCES expenses(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_cash_movements_shift ON cash_movements(shift_id);
+CREATE INDEX IF NOT EXISTS idx_cash_movements_location_created ON cash_movements(location_id, created_at DESC);
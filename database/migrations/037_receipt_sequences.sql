@@ -0,0 +1,46 @@
+-- Per-branch receipt numbering. Each branch draws from its own gapless
+-- counter under its own prefix (prefixes are unique, so receipt numbers
+-- cannot collide across branches). The counter row is locked by the sale
+-- that takes a number, so a rolled-back sale hands its number back.
+CREATE TABLE IF NOT EXISTS receipt_sequences (
+    location_id INTEGER PRIMARY KEY REFERENCES locations(id) ON DELETE CASCADE,
+    prefix VARCHAR(12) NOT NULL UNIQUE,
+    padding INTEGER NOT NULL DEFAULT 6 CHECK (padding BETWEEN 1 AND 12),
+    next_number BIGINT NOT NULL DEFAULT 1 CHECK (next_number >= 1),
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO receipt_sequences (location_id, prefix)
+SELECT id, 'R' || id FROM locations
+ON CONFLICT DO NOTHING;
+
+-- Blocks of numbers handed to a device while it is online, so sales it rings
+-- up offline print their final receipt number straight away. Releasing a
+-- range gives its unused tail back when nothing was allocated after it;
+-- otherwise those numbers stay recorded here as never issued.
+CREATE TABLE IF NOT EXISTS receipt_ranges (
+    id SERIAL PRIMARY KEY,
+    location_id INTEGER NOT NULL REFERENCES locations(id) ON DELETE CASCADE,
+    device_id VARCHAR(100) NOT NULL,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    prefix VARCHAR(12) NOT NULL,
+    padding INTEGER NOT NULL,
+    start_number BIGINT NOT NULL,
+    end_number BIGINT NOT NULL,
+    used_count INTEGER NOT NULL DEFAULT 0,
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'released')),
+    released_from BIGINT,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    released_at TIMESTAMP,
+    CHECK (end_number >= start_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_receipt_ranges_location ON receipt_ranges(location_id, prefix, start_number);
+CREATE INDEX IF NOT EXISTS idx_receipt_ranges_device ON receipt_ranges(device_id) WHERE status = 'active';
+
+-- The number within the branch series, for gap audits. Set for sequenced
+-- receipts only; older RCP-<timestamp> receipts keep NULL.
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS receipt_sequence BIGINT;
+ALTER TABLE sales_archive ADD COLUMN IF NOT EXISTS receipt_sequence BIGINT;
+CREATE INDEX IF NOT EXISTS idx_sales_receipt_sequence ON sales(location_id, receipt_sequence) WHERE receipt_sequence IS NOT NULL;
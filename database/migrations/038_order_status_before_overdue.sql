@@ -0,0 +1,3 @@
+-- The status an order had when the due-order scan marked it overdue, so moving
+-- its pickup back into the future can restore it.
+ALTER TABLE customer_orders ADD COLUMN IF NOT EXISTS status_before_overdue VARCHAR(20);
@@ -0,0 +1,49 @@
+-- Batches edited or voided before those changes reached the ledger still have
+-- their original batch_in movements, so the reconciliation check flags them.
+-- Book the difference between what each batch lands today and what the ledger
+-- has for it. Products with a manual adjustment since the batch was made are
+-- skipped: that adjustment has already squared the ledger with the shelf.
+WITH landed AS (
+  SELECT b.id as batch_id, b.location_id, bi.product_id, MAX(bi.source) as source,
+         SUM(CASE
+               WHEN b.status = 'voided' THEN 0
+               WHEN bi.quantity_received IS NULL THEN bi.quantity
+               ELSE bi.quantity_received - COALESCE(bi.quantity_damaged, 0)
+             END) as quantity
+  FROM inventory_batches b
+  JOIN batch_items bi ON bi.batch_id = b.id
+  WHERE b.status IN ('edited', 'voided')
+  GROUP BY b.id, b.location_id, bi.product_id
+),
+booked AS (
+  SELECT m.reference_id as batch_id, m.location_id, m.product_id, MAX(m.source) as source, SUM(m.quantity_change) as quantity
+  FROM (
+    SELECT location_id, product_id, source, quantity_change, reference_type, reference_id, movement_type FROM inventory_movements
+    UNION ALL
+    SELECT location_id, product_id, source, quantity_change, reference_type, reference_id, movement_type FROM inventory_movements_archive
+  ) m
+  JOIN inventory_batches b ON b.id = m.reference_id AND b.status IN ('edited', 'voided')
+  WHERE m.reference_type = 'batch' AND m.movement_type = 'batch_in'
+  GROUP BY m.reference_id, m.location_id, m.product_id
+),
+gaps AS (
+  SELECT COALESCE(l.batch_id, k.batch_id) as batch_id,
+         COALESCE(l.location_id, k.location_id) as location_id,
+         COALESCE(l.product_id, k.product_id) as product_id,
+         COALESCE(l.source, k.source, 'baked') as source,
+         COALESCE(l.quantity, 0) - COALESCE(k.quantity, 0) as quantity_change
+  FROM landed l
+  FULL OUTER JOIN booked k ON k.batch_id = l.batch_id AND k.product_id = l.product_id
+)
+INSERT INTO inventory_movements
+  (location_id, product_id, movement_type, quantity_change, source, reference_type, reference_id, metadata)
+SELECT g.location_id, g.product_id, 'batch_in', g.quantity_change, g.source, 'batch', g.batch_id,
+       jsonb_build_object('reversal', true, 'reason', 'batch_edit_backfill')
+FROM gaps g
+JOIN inventory_batches b ON b.id = g.batch_id
+WHERE g.quantity_change <> 0
+  AND NOT EXISTS (
+    SELECT 1 FROM inventory_movements adj
+    WHERE adj.location_id = g.location_id AND adj.product_id = g.product_id
+      AND adj.movement_type = 'manual_adjustment' AND adj.created_at > b.created_at
+  );
@@ -0,0 +1,10 @@
+-- Pre-orders and stock levels follow product stock, which went fractional in
+-- 029. Purchase lines keep what was typed when it was converted (2 sacks).
+ALTER TABLE customer_order_items ALTER COLUMN quantity TYPE NUMERIC(14,3);
+ALTER TABLE product_stock_levels ALTER COLUMN par_quantity TYPE NUMERIC(14,3);
+ALTER TABLE product_stock_levels ALTER COLUMN min_quantity TYPE NUMERIC(14,3);
+ALTER TABLE product_stock_levels ALTER COLUMN max_quantity TYPE NUMERIC(14,3);
+ALTER TABLE purchase_order_items ADD COLUMN IF NOT EXISTS entered_quantity NUMERIC(14,3);
+ALTER TABLE purchase_order_items ADD COLUMN IF NOT EXISTS entered_unit VARCHAR(20);
+ALTER TABLE purchase_receipt_items ADD COLUMN IF NOT EXISTS entered_quantity NUMERIC(14,3);
+ALTER TABLE purchase_receipt_items ADD COLUMN IF NOT EXISTS entered_unit VARCHAR(20);
@@ -0,0 +1,8 @@
+-- The drift each branch was last told about, so restarts and daily scans only
+-- notify admins when the set of mismatched products changes.
+CREATE TABLE IF NOT EXISTS inventory_drift_state (
+    location_id INTEGER PRIMARY KEY REFERENCES locations(id) ON DELETE CASCADE,
+    fingerprint TEXT NOT NULL,
+    mismatched INTEGER NOT NULL DEFAULT 0,
+    notified_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
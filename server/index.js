@@ -21,7 +21,24 @@ import locationsRoutes from './routes/locations.js';
 import adminRoutes from './routes/admin.js';
 import syncRoutes from './routes/sync.js';
 import archiveRoutes from './routes/archive.js';
+import ordersRoutes from './routes/orders.js';
+import productionRoutes from './routes/production.js';
+import ingredientsRoutes from './routes/ingredients.js';
+import purchasingRoutes from './routes/purchasing.js';
+import wasteRoutes from './routes/waste.js';
+import closingRoutes from './routes/closing.js';
+import transfersRoutes from './routes/transfers.js';
+import stocktakesRoutes from './routes/stocktakes.js';
+import lotsRoutes from './routes/lots.js';
+import unitsRoutes from './routes/units.js';
+import promotionsRoutes from './routes/promotions.js';
+import taxRoutes from './routes/tax.js';
+import shiftsRoutes from './routes/shifts.js';
+import receiptsRoutes from './routes/receipts.js';
 import { startArchiveScheduler } from './services/archiveService.js';
+import { startOrderDueScheduler } from './services/orderDueService.js';
+import { startLotExpiryScheduler } from './services/lotService.js';
+import { startInventoryReconciliationScheduler } from './services/reconciliationService.js';
 
 dotenv.config();
 
@@ -136,6 +153,20 @@ app.use('/api/locations', locationsRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/sync', syncRoutes);
 app.use('/api/archive', archiveRoutes);
+app.use('/api/orders', ordersRoutes);
+app.use('/api/production', productionRoutes);
+app.use('/api/ingredients', ingredientsRoutes);
+app.use('/api/purchasing', purchasingRoutes);
+app.use('/api/waste', wasteRoutes);
+app.use('/api/closing', closingRoutes);
+app.use('/api/transfers', transfersRoutes);
+app.use('/api/stocktakes', stocktakesRoutes);
+app.use('/api/lots', lotsRoutes);
+app.use('/api/units', unitsRoutes);
+app.use('/api/promotions', promotionsRoutes);
+app.use('/api/tax', taxRoutes);
+app.use('/api/shifts', shiftsRoutes);
+app.use('/api/receipts', receiptsRoutes);
 
 app.use(errorHandler);
 
@@ -158,6 +189,9 @@ const shouldRunSchedulersInApi = process.env.RUN_SCHEDULERS_IN_API !== 'false';
 
 if (shouldRunSchedulersInApi) {
   startArchiveScheduler();
+  startOrderDueScheduler();
+  startLotExpiryScheduler();
+  startInventoryReconciliationScheduler();
 } else {
   console.log('[INFO] API scheduler loops disabled (RUN_SCHEDULERS_IN_API=false)');
 }
@@ -28,6 +28,7 @@ function toUserResponse(user) {
   delete safeUser.failed_login_attempts;
   delete safeUser.locked_until;
   delete safeUser.last_failed_login_at;
+  delete safeUser.override_pin_hash;
   return safeUser;
 }
 
@@ -332,6 +333,43 @@ router.post('/change-password',
   })
 );
 
+// The PIN a manager or admin types at a till to approve a discount above
+// the cashier's cap.
+router.post('/override-pin',
+  authLimiter,
+  authenticateToken,
+  authorizeRoles('admin', 'manager'),
+  body('current_password').exists().withMessage('Current password is required'),
+  body('pin').matches(/^\d{4,8}$/).withMessage('PIN must be 4 to 8 digits'),
+  asyncHandler(async (req, res) => {
+    validateRequest(req);
+
+    const result = await query('SELECT password_hash FROM users WHERE id = $1', [req.user.id]);
+    if (result.rows.length === 0) {
+      throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+    }
+
+    const isValid = await bcrypt.compare(req.body.current_password, result.rows[0].password_hash);
+    if (!isValid) {
+      throw new AppError('Current password is incorrect', 401, 'AUTH_INVALID_CURRENT_PASSWORD');
+    }
+
+    const pinHash = await bcrypt.hash(req.body.pin, SALT_ROUNDS);
+    await query(
+      'UPDATE users SET override_pin_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [pinHash, req.user.id]
+    );
+
+    await query(
+      `INSERT INTO activity_log (user_id, location_id, activity_type, description)
+       VALUES ($1, $2, 'override_pin_changed', $3)`,
+      [req.user.id, req.user.location_id, `Override PIN set for user: ${req.user.username}`]
+    );
+
+    res.json({ message: 'Override PIN saved', code: 'OVERRIDE_PIN_SAVED' });
+  })
+);
+
 const changeCredentialsValidation = [
   body('current_password')
     .exists()
@@ -0,0 +1,199 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { query, withTransaction } from '../db.js';
+import { authenticateToken, authorizeRoles } from '../middleware/auth.js';
+import { getTargetLocationId } from '../utils/location.js';
+import { AppError, asyncHandler } from '../utils/errors.js';
+import { CLOSING_ACTIONS, getClosingSheet, postDayClosing } from '../services/dayClosingService.js';
+
+const router = express.Router();
+
+function clampLimit(value, fallback = 30, max = 200) {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed <= 0) return fallback;
+  return Math.min(Math.trunc(parsed), max);
+}
+
+function isValidDateFilter(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(value || ''));
+}
+
+function assertValidRequest(req) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Validation failed', 400, 'VALIDATION_ERROR', errors.array());
+  }
+}
+
+async function requireLocation(req) {
+  const locationId = await getTargetLocationId(req, query);
+  if (!locationId) {
+    throw new AppError('Location context is required for day closing', 400, 'LOCATION_REQUIRED');
+  }
+  return locationId;
+}
+
+// Today comes from the database clock, the same one markdowns are claimed against.
+async function resolveBusinessDate(value) {
+  if (!value) {
+    const today = await query("SELECT TO_CHAR(CURRENT_DATE, 'YYYY-MM-DD') as business_date");
+    return today.rows[0].business_date;
+  }
+  if (!isValidDateFilter(value)) {
+    throw new AppError('date must be YYYY-MM-DD', 400, 'VALIDATION_ERROR');
+  }
+  return value;
+}
+
+router.get('/sheet', authenticateToken, authorizeRoles('admin', 'manager'), asyncHandler(async (req, res) => {
+  const locationId = await requireLocation(req);
+  const sheet = await getClosingSheet({ query }, { locationId, businessDate: await resolveBusinessDate(req.query.date) });
+  res.json(sheet);
+}));
+
+router.get('/markdowns', authenticateToken, asyncHandler(async (req, res) => {
+  const locationId = await requireLocation(req);
+  const result = await query(
+    `SELECT md.id, md.product_id, p.name as product_name, p.price as regular_price,
+            md.markdown_price, md.remaining_quantity, md.valid_on
+     FROM product_markdowns md
+     JOIN products p ON p.id = md.product_id
+     WHERE md.location_id = $1 AND md.valid_on = CURRENT_DATE AND md.remaining_quantity > 0
+     ORDER BY p.name`,
+    [locationId]
+  );
+  res.json(result.rows);
+}));
+
+router.get('/', authenticateToken, authorizeRoles('admin', 'manager'), asyncHandler(async (req, res) => {
+  const locationId = await requireLocation(req);
+  const result = await query(
+    `SELECT dc.*, u.username as closed_by_name,
+            COUNT(dci.id)::int as line_count,
+            COALESCE(SUM(CASE WHEN dci.action = 'carry_over' THEN dci.quantity ELSE 0 END), 0)::float8 as carried_over,
+            COALESCE(SUM(CASE WHEN dci.action = 'markdown' THEN dci.quantity ELSE 0 END), 0)::float8 as marked_down,
+            COALESCE(SUM(CASE WHEN dci.action = 'waste' THEN dci.quantity ELSE 0 END), 0)::float8 as wasted,
+            COALESCE(SUM(m.cost_value), 0) as waste_cost
+     FROM day_closings dc
+     LEFT JOIN users u ON u.id = dc.closed_by
+     LEFT JOIN day_closing_items dci ON dci.closing_id = dc.id
+     LEFT JOIN inventory_movements m ON m.id = dci.movement_id AND dci.action = 'waste'
+     WHERE dc.location_id = $1
+     GROUP BY dc.id, u.username
+     ORDER BY dc.business_date DESC
+     LIMIT $2`,
+    [locationId, clampLimit(req.query.limit)]
+  );
+  res.json(result.rows);
+}));
+
+router.get('/:id', authenticateToken, authorizeRoles('admin', 'manager'), asyncHandler(async (req, res) => {
+  const locationId = await requireLocation(req);
+  const closing = await query(
+    `SELECT dc.*, u.username as closed_by_name
+     FROM day_closings dc
+     LEFT JOIN users u ON u.id = dc.closed_by
+     WHERE dc.id = $1 AND dc.location_id = $2`,
+    [req.params.id, locationId]
+  );
+  if (!closing.rows.length) {
+    throw new AppError('Day closing not found', 404, 'DAY_CLOSING_NOT_FOUND');
+  }
+
+  const items = await query(
+    `SELECT dci.*, p.name as product_name, m.cost_value
+     FROM day_closing_items dci
+     JOIN products p ON p.id = dci.product_id
+     LEFT JOIN inventory_movements m ON m.id = dci.movement_id
+     WHERE dci.closing_id = $1
+     ORDER BY p.name, dci.id`,
+    [req.params.id]
+  );
+
+  res.json({ ...closing.rows[0], items: items.rows });
+}));
+
+router.post(
+  '/',
+  authenticateToken,
+  authorizeRoles('admin', 'manager'),
+  body('business_date').optional().isDate(),
+  body('items').optional().isArray(),
+  body('items.*.product_id').isInt({ min: 1 }),
+  body('items.*.action').isIn(CLOSING_ACTIONS),
+  body('items.*.quantity').optional({ nullable: true }).isFloat({ min: 0 }),
+  body('items.*.markdown_price').optional({ nullable: true }).isFloat({ min: 0 }),
+  asyncHandler(async (req, res) => {
+    assertValidRequest(req);
+    const locationId = await requireLocation(req);
+    const businessDate = await resolveBusinessDate(req.body.business_date);
+    const idempotencyKey = req.headers['x-idempotency-key'];
+
+    const result = await withTransaction(async (tx) => {
+      if (idempotencyKey) {
+        const existing = await tx.query(
+          `SELECT response_payload FROM idempotency_keys
+           WHERE user_id = $1 AND idempotency_key = $2`,
+          [req.user.id, idempotencyKey]
+        );
+        if (existing.rows.length > 0) {
+          return existing.rows[0].response_payload;
+        }
+      }
+
+      const posted = await postDayClosing(tx, {
+        locationId,
+        businessDate,
+        decisions: req.body.items || [],
+        userId: req.user.id,
+        notes: req.body.notes || null,
+      });
+
+      const totals = CLOSING_ACTIONS.reduce((acc, action) => ({
+        ...acc,
+        [action]: posted.lines.filter((line) => line.action === action).reduce((sum, line) => sum + line.quantity, 0),
+      }), {});
+
+      await tx.query(
+        `INSERT INTO activity_log (user_id, location_id, activity_type, description, metadata)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [
+          req.user.id,
+          locationId,
+          'day_closed',
+          `Closed ${businessDate}: ${totals.carry_over} carried over, ${totals.markdown} marked down, ${totals.waste} written off`,
+          JSON.stringify({
+            closing_id: posted.closing.id,
+            business_date: businessDate,
+            totals,
+            waste_cost: posted.waste_cost,
+            lines: posted.lines.map((line) => ({
+              product_id: line.product_id,
+              action: line.action,
+              quantity: line.quantity,
+              markdown_price: line.markdown_price ?? null,
+              reason: line.reason || null,
+            })),
+          }),
+        ]
+      );
+
+      const response = { ...posted.closing, lines: posted.lines, totals, waste_cost: posted.waste_cost, markdown_valid_on: posted.markdown_valid_on };
+
+      if (idempotencyKey) {
+        await tx.query(
+          `INSERT INTO idempotency_keys (user_id, location_id, idempotency_key, endpoint, response_payload)
+           VALUES ($1, $2, $3, $4, $5)
+           ON CONFLICT (user_id, idempotency_key) DO NOTHING`,
+          [req.user.id, locationId, idempotencyKey, '/api/closing', JSON.stringify(response)]
+        );
+      }
+
+      return response;
+    });
+
+    res.status(201).json(result);
+  })
+);
+
+export default router;
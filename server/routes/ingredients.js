@@ -0,0 +1,282 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { query, withTransaction } from '../db.js';
+import { authenticateToken, authorizeRoles } from '../middleware/auth.js';
+import { getTargetLocationId } from '../utils/location.js';
+import { AppError, asyncHandler } from '../utils/errors.js';
+import { rollUpRecipeCosts } from '../services/costRollupService.js';
+import { assertUnitExists, convertIngredientQuantity } from '../services/unitService.js';
+
+const router = express.Router();
+
+function assertValidRequest(req) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Validation failed', 400, 'VALIDATION_ERROR', errors.array());
+  }
+}
+
+async function requireLocation(req) {
+  const locationId = await getTargetLocationId(req, query);
+  if (!locationId) {
+    throw new AppError('Location context is required for ingredient stock', 400, 'LOCATION_REQUIRED');
+  }
+  return locationId;
+}
+
+async function getRecipe(productId, db = { query }) {
+  const recipe = await db.query(
+    `SELECT r.*, p.name as product_name
+     FROM recipes r
+     JOIN products p ON p.id = r.product_id
+     WHERE r.product_id = $1`,
+    [productId]
+  );
+  if (!recipe.rows.length) return null;
+
+  const items = await db.query(
+    `SELECT ri.ingredient_id, ri.quantity, i.name as ingredient_name, i.unit, i.unit_cost
+     FROM recipe_items ri
+     JOIN ingredients i ON i.id = ri.ingredient_id
+     WHERE ri.recipe_id = $1
+     ORDER BY i.name`,
+    [recipe.rows[0].id]
+  );
+
+  return { ...recipe.rows[0], items: items.rows };
+}
+
+router.get('/', authenticateToken, authorizeRoles('admin', 'manager'), asyncHandler(async (req, res) => {
+  const locationId = await getTargetLocationId(req, query);
+  const result = await query(
+    `SELECT i.*, COALESCE(ii.quantity, 0) as stock_quantity, ii.last_updated as stock_updated_at
+     FROM ingredients i
+     LEFT JOIN ingredient_inventory ii ON ii.ingredient_id = i.id AND ii.location_id = $1
+     WHERE ($2::boolean OR i.is_active = true)
+     ORDER BY i.name`,
+    [locationId || null, req.query.include_inactive === 'true']
+  );
+  res.json(result.rows);
+}));
+
+router.post(
+  '/',
+  authenticateToken,
+  authorizeRoles('admin', 'manager'),
+  body('name').trim().notEmpty().isLength({ max: 100 }),
+  body('unit').trim().notEmpty(),
+  body('unit_cost').optional().isFloat({ min: 0 }),
+  asyncHandler(async (req, res) => {
+    assertValidRequest(req);
+    const { name, unit, unit_cost = 0 } = req.body;
+    await assertUnitExists({ query }, unit);
+
+    const existing = await query('SELECT id FROM ingredients WHERE LOWER(name) = LOWER($1)', [name]);
+    if (existing.rows.length) {
+      throw new AppError(`Ingredient "${name}" already exists`, 409, 'INGREDIENT_EXISTS');
+    }
+
+    const result = await query(
+      'INSERT INTO ingredients (name, unit, unit_cost) VALUES ($1, $2, $3) RETURNING *',
+      [name, unit, unit_cost]
+    );
+    res.status(201).json(result.rows[0]);
+  })
+);
+
+router.put(
+  '/:id',
+  authenticateToken,
+  authorizeRoles('admin', 'manager'),
+  body('name').optional().trim().notEmpty().isLength({ max: 100 }),
+  body('unit').optional().trim().notEmpty(),
+  body('unit_cost').optional().isFloat({ min: 0 }),
+  body('is_active').optional().isBoolean(),
+  asyncHandler(async (req, res) => {
+    assertValidRequest(req);
+    if (req.body.unit) await assertUnitExists({ query }, req.body.unit);
+
+    const ingredient = await withTransaction(async (tx) => {
+      const existing = await tx.query('SELECT unit_cost FROM ingredients WHERE id = $1 FOR UPDATE', [req.params.id]);
+      if (!existing.rows.length) {
+        throw new AppError('Ingredient not found', 404, 'INGREDIENT_NOT_FOUND');
+      }
+
+      const result = await tx.query(
+        `UPDATE ingredients
+         SET name = COALESCE($1, name),
+             unit = COALESCE($2, unit),
+             unit_cost = COALESCE($3, unit_cost),
+             is_active = COALESCE($4, is_active),
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $5
+         RETURNING *`,
+        [req.body.name ?? null, req.body.unit ?? null, req.body.unit_cost ?? null, req.body.is_active ?? null, req.params.id]
+      );
+
+      const updated = result.rows[0];
+      if (Number(existing.rows[0].unit_cost) !== Number(updated.unit_cost)) {
+        updated.recalculated_products = await rollUpRecipeCosts(tx, {
+          ingredientId: updated.id,
+          userId: req.user.id,
+          reason: 'ingredient_price_changed',
+        });
+      }
+
+      return updated;
+    });
+
+    res.json(ingredient);
+  })
+);
+
+router.post(
+  '/:id/adjust',
+  authenticateToken,
+  authorizeRoles('admin', 'manager'),
+  body('quantity_change').isFloat(),
+  body('unit').optional({ values: 'falsy' }).trim().notEmpty(),
+  body('reason').trim().notEmpty(),
+  asyncHandler(async (req, res) => {
+    assertValidRequest(req);
+    const locationId = await requireLocation(req);
+    const enteredChange = Number(req.body.quantity_change);
+    if (enteredChange === 0) {
+      throw new AppError('quantity_change cannot be zero', 400, 'VALIDATION_ERROR');
+    }
+
+    const stock = await withTransaction(async (tx) => {
+      const ingredient = await tx.query('SELECT id, name, unit FROM ingredients WHERE id = $1', [req.params.id]);
+      if (!ingredient.rows.length) {
+        throw new AppError('Ingredient not found', 404, 'INGREDIENT_NOT_FOUND');
+      }
+
+      const converted = await convertIngredientQuantity(tx, ingredient.rows[0], {
+        quantity: Math.abs(enteredChange),
+        enteredUnit: req.body.unit || null,
+      });
+      const quantityChange = Math.sign(enteredChange) * converted.quantity;
+
+      const updated = await tx.query(
+        `INSERT INTO ingredient_inventory (ingredient_id, location_id, quantity, last_updated)
+         VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+         ON CONFLICT (ingredient_id, location_id)
+         DO UPDATE SET quantity = ingredient_inventory.quantity + $3, last_updated = CURRENT_TIMESTAMP
+         RETURNING *`,
+        [req.params.id, locationId, quantityChange]
+      );
+
+      await tx.query(
+        `INSERT INTO inventory_movements
+         (location_id, ingredient_id, movement_type, quantity_change, source, reference_type, created_by, metadata)
+         VALUES ($1, $2, 'ingredient_adjustment', $3, 'manual', 'ingredient_adjustment', $4, $5)`,
+        [
+          locationId,
+          req.params.id,
+          quantityChange,
+          req.user.id,
+          JSON.stringify({ reason: req.body.reason, entered_quantity: converted.entered_quantity, entered_unit: converted.entered_unit }),
+        ]
+      );
+
+      await tx.query(
+        `INSERT INTO activity_log (user_id, location_id, activity_type, description, metadata)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [
+          req.user.id,
+          locationId,
+          'ingredient_adjusted',
+          `Adjusted ${ingredient.rows[0].name} by ${quantityChange} ${ingredient.rows[0].unit}`,
+          JSON.stringify({ ingredient_id: Number(req.params.id), quantity_change: quantityChange, reason: req.body.reason }),
+        ]
+      );
+
+      return updated.rows[0];
+    });
+
+    res.json(stock);
+  })
+);
+
+router.get('/recipes/:productId', authenticateToken, authorizeRoles('admin', 'manager'), asyncHandler(async (req, res) => {
+  const recipe = await getRecipe(req.params.productId);
+  if (!recipe) {
+    throw new AppError('Recipe not found', 404, 'RECIPE_NOT_FOUND');
+  }
+  res.json(recipe);
+}));
+
+router.put(
+  '/recipes/:productId',
+  authenticateToken,
+  authorizeRoles('admin', 'manager'),
+  body('yield_quantity').isFloat({ gt: 0 }),
+  body('items').isArray({ min: 1 }),
+  body('items.*.ingredient_id').isInt({ min: 1 }),
+  body('items.*.quantity').isFloat({ gt: 0 }),
+  asyncHandler(async (req, res) => {
+    assertValidRequest(req);
+    const { yield_quantity, items, notes } = req.body;
+    const ingredientIds = items.map((item) => Number(item.ingredient_id));
+    if (new Set(ingredientIds).size !== ingredientIds.length) {
+      throw new AppError('Each ingredient can only appear once in a recipe', 400, 'VALIDATION_ERROR');
+    }
+
+    const recipe = await withTransaction(async (tx) => {
+      const product = await tx.query('SELECT id, name FROM products WHERE id = $1', [req.params.productId]);
+      if (!product.rows.length) {
+        throw new AppError('Product not found', 404, 'PRODUCT_NOT_FOUND');
+      }
+
+      const known = await tx.query('SELECT id FROM ingredients WHERE id = ANY($1::int[])', [ingredientIds]);
+      if (known.rows.length !== ingredientIds.length) {
+        throw new AppError('One or more ingredients do not exist', 400, 'VALIDATION_ERROR');
+      }
+
+      const saved = await tx.query(
+        `INSERT INTO recipes (product_id, yield_quantity, notes, updated_by)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (product_id)
+         DO UPDATE SET yield_quantity = EXCLUDED.yield_quantity,
+                       notes = EXCLUDED.notes,
+                       updated_by = EXCLUDED.updated_by,
+                       updated_at = CURRENT_TIMESTAMP
+         RETURNING id`,
+        [req.params.productId, yield_quantity, notes || null, req.user.id]
+      );
+      const recipeId = saved.rows[0].id;
+
+      await tx.query('DELETE FROM recipe_items WHERE recipe_id = $1', [recipeId]);
+      for (const item of items) {
+        await tx.query(
+          'INSERT INTO recipe_items (recipe_id, ingredient_id, quantity) VALUES ($1, $2, $3)',
+          [recipeId, item.ingredient_id, item.quantity]
+        );
+      }
+
+      await tx.query(
+        `INSERT INTO activity_log (user_id, location_id, activity_type, description, metadata)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [
+          req.user.id,
+          req.user.location_id || null,
+          'recipe_updated',
+          `Updated recipe for ${product.rows[0].name}`,
+          JSON.stringify({ product_id: Number(req.params.productId), yield_quantity, items }),
+        ]
+      );
+
+      await rollUpRecipeCosts(tx, {
+        productIds: [Number(req.params.productId)],
+        userId: req.user.id,
+        reason: 'recipe_updated',
+      });
+
+      return getRecipe(req.params.productId, tx);
+    });
+
+    res.json(recipe);
+  })
+);
+
+export default router;
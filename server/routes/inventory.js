@@ -3,6 +3,13 @@ import { body, validationResult } from 'express-validator';
 import { query, withTransaction } from '../db.js';
 import { authenticateToken, authorizeRoles } from '../middleware/auth.js';
 import { getTargetLocationId } from '../utils/location.js';
+import { applyBatchIngredientUsage, reverseBatchIngredientUsage } from '../services/ingredientService.js';
+import { confirmBatchReceipt, isBatchConfirmationRequired, reverseBatchStock } from '../services/batchReceivingService.js';
+import { createLot, trimLotsToStock } from '../services/lotService.js';
+import { getStockCard, listMovements, parseMovementFilters } from '../services/stockLedgerService.js';
+import { RECONCILIATION_TRUST, getInventoryReconciliation, postReconciliationAdjustments } from '../services/reconciliationService.js';
+import { assertProductQuantities, normalizeProductQuantities } from '../services/unitService.js';
+import { AppError } from '../utils/errors.js';
 
 const router = express.Router();
 const BATCH_EDIT_WINDOW_MINUTES = 20;
@@ -106,13 +113,121 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
+router.get('/movements', authenticateToken, authorizeRoles('admin', 'manager'), async (req, res) => {
+  try {
+    const locationId = await getTargetLocationId(req, query);
+    const filters = parseMovementFilters(req.query);
+    const offset = Math.max(0, Math.trunc(Number(req.query.offset) || 0));
+    const result = await listMovements({ query }, {
+      locationId,
+      filters,
+      limit: clampLimit(req.query.limit, 100, 500),
+      offset,
+    });
+    res.json(result);
+  } catch (err) {
+    if (err instanceof AppError) {
+      return res.status(err.statusCode).json({ error: err.message, code: err.code, requestId: req.requestId });
+    }
+    console.error('Get inventory movements error:', err);
+    res.status(err.status || 500).json({ error: err.message || 'Internal server error', code: 'INTERNAL_ERROR', requestId: req.requestId });
+  }
+});
+
+router.get('/stock-card/:productId', authenticateToken, authorizeRoles('admin', 'manager'), async (req, res) => {
+  try {
+    const locationId = await getTargetLocationId(req, query);
+    const filters = parseMovementFilters({ ...req.query, product_id: req.params.productId });
+    const card = await getStockCard({ query }, {
+      locationId,
+      productId: filters.productId,
+      startDate: filters.startDate || null,
+      endDate: filters.endDate || null,
+    });
+    res.json(card);
+  } catch (err) {
+    if (err instanceof AppError) {
+      return res.status(err.statusCode).json({ error: err.message, code: err.code, requestId: req.requestId });
+    }
+    console.error('Get stock card error:', err);
+    res.status(err.status || 500).json({ error: err.message || 'Internal server error', code: 'INTERNAL_ERROR', requestId: req.requestId });
+  }
+});
+
+router.get('/reconciliation', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const locationId = req.query.scope === 'all' ? null : await getTargetLocationId(req, query);
+    const report = await getInventoryReconciliation({ query }, { locationId });
+    res.json(report);
+  } catch (err) {
+    if (err instanceof AppError) {
+      return res.status(err.statusCode).json({ error: err.message, code: err.code, requestId: req.requestId });
+    }
+    console.error('Get inventory reconciliation error:', err);
+    res.status(err.status || 500).json({ error: err.message || 'Internal server error', code: 'INTERNAL_ERROR', requestId: req.requestId });
+  }
+});
+
+router.get('/reconciliation/history', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const locationId = await getTargetLocationId(req, query);
+    const result = await query(
+      `SELECT r.*, u.username as created_by_name
+       FROM inventory_reconciliations r
+       LEFT JOIN users u ON u.id = r.created_by
+       WHERE r.location_id = $1
+       ORDER BY r.created_at DESC, r.id DESC
+       LIMIT $2`,
+      [locationId, clampLimit(req.query.limit, 20, 100)]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Get reconciliation history error:', err);
+    res.status(err.status || 500).json({ error: err.message || 'Internal server error', code: 'INTERNAL_ERROR', requestId: req.requestId });
+  }
+});
+
+router.post(
+  '/reconciliation',
+  authenticateToken,
+  authorizeRoles('admin'),
+  body('trust').isIn(RECONCILIATION_TRUST),
+  body('note').isString().trim().notEmpty(),
+  body('product_ids').optional().isArray({ min: 1 }),
+  body('product_ids.*').optional().isInt({ min: 1 }).toInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', code: 'VALIDATION_ERROR', details: errors.array(), requestId: req.requestId });
+    }
+
+    try {
+      const locationId = await getTargetLocationId(req, query);
+      const result = await withTransaction((tx) => postReconciliationAdjustments(tx, {
+        locationId,
+        productIds: req.body.product_ids || null,
+        trust: req.body.trust,
+        note: req.body.note,
+        userId: req.user.id,
+      }));
+      res.status(201).json(result);
+    } catch (err) {
+      if (err instanceof AppError) {
+        return res.status(err.statusCode).json({ error: err.message, code: err.code, requestId: req.requestId });
+      }
+      console.error('Post inventory reconciliation error:', err);
+      res.status(err.status || 500).json({ error: err.message || 'Internal server error', code: 'INTERNAL_ERROR', requestId: req.requestId });
+    }
+  }
+);
+
 
 router.post(
   '/',
   authenticateToken,
   authorizeRoles('admin', 'manager'),
   body('product_id').isInt({ min: 1 }),
-  body('quantity').isInt({ min: 0 }),
+  body('quantity').isFloat({ min: 0 }).toFloat(),
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -127,6 +242,7 @@ router.post(
         return res.status(404).json({ error: 'Product not found', code: 'PRODUCT_NOT_FOUND', requestId: req.requestId });
       }
       const source = productRes.rows[0].source || 'baked';
+      await assertProductQuantities({ query }, [{ product_id, quantity }]);
 
       const result = await query(
         `INSERT INTO inventory (product_id, location_id, quantity, source, last_updated)
@@ -136,9 +252,13 @@ router.post(
          RETURNING *`,
         [product_id, locationId, quantity, source]
       );
+      await trimLotsToStock({ query }, { locationId, productId: product_id });
 
       res.status(201).json(result.rows[0]);
     } catch (err) {
+      if (err instanceof AppError) {
+        return res.status(err.statusCode).json({ error: err.message, code: err.code, requestId: req.requestId });
+      }
       console.error('Create inventory row error:', err);
       res.status(err.status || 500).json({ error: err.message || 'Internal server error', code: 'INTERNAL_ERROR', requestId: req.requestId });
     }
@@ -149,7 +269,7 @@ router.put(
   '/:productId',
   authenticateToken,
   authorizeRoles('admin', 'manager'),
-  body('quantity').isInt({ min: 0 }),
+  body('quantity').isFloat({ min: 0 }).toFloat(),
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -166,6 +286,7 @@ router.put(
         return res.status(404).json({ error: 'Product not found', code: 'PRODUCT_NOT_FOUND', requestId: req.requestId });
       }
       const source = productRes.rows[0].source || 'baked';
+      await assertProductQuantities({ query }, [{ product_id: productId, quantity }]);
       const result = await query(
         `INSERT INTO inventory (product_id, location_id, quantity, source, last_updated)
          VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
@@ -174,6 +295,7 @@ router.put(
          RETURNING *`,
         [productId, locationId, quantity, source]
       );
+      await trimLotsToStock({ query }, { locationId, productId });
 
       await query(
         `INSERT INTO inventory_movements
@@ -196,6 +318,9 @@ router.put(
 
       res.json(result.rows[0]);
     } catch (err) {
+      if (err instanceof AppError) {
+        return res.status(err.statusCode).json({ error: err.message, code: err.code, requestId: req.requestId });
+      }
       console.error('Update inventory error:', err);
       res.status(err.status || 500).json({ error: err.message || 'Internal server error', code: 'INTERNAL_ERROR', requestId: req.requestId });
     }
@@ -217,6 +342,7 @@ router.delete('/:id', authenticateToken, authorizeRoles('admin', 'manager'), asy
 
     const item = target.rows[0];
     await query(`DELETE FROM inventory WHERE id = $1`, [item.id]);
+    await trimLotsToStock({ query }, { locationId, productId: item.product_id });
 
     await query(
       `INSERT INTO inventory_movements
@@ -238,7 +364,8 @@ router.post(
   authorizeRoles('admin', 'manager'),
   body('items').isArray({ min: 1 }),
   body('items.*.product_id').isInt({ min: 1 }),
-  body('items.*.quantity').isInt({ min: 1 }),
+  body('items.*.quantity').isFloat({ gt: 0 }),
+  body('items.*.unit').optional({ values: 'falsy' }).isString(),
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -271,6 +398,7 @@ router.post(
         const effectiveCreatedAt = hasValidQueuedCreatedAt ? queuedCreatedAt.toISOString() : new Date().toISOString();
 
         const batchColumns = await getInventoryBatchColumns(tx);
+        const awaitsConfirmation = await isBatchConfirmationRequired(tx, locationId);
 
         let effectiveCreatedBy = req.user.id;
         let originalActorName = req.user.username;
@@ -287,7 +415,7 @@ router.post(
         }
 
         const insertColumns = ['location_id', 'created_by', 'batch_date', 'status', 'notes', 'created_at'];
-        const insertValues = ['$1', '$2', '$3::date', "'sent'", '$4', '$3::timestamp'];
+        const insertValues = ['$1', '$2', '$3::date', awaitsConfirmation ? "'pending'" : "'sent'", '$4', '$3::timestamp'];
         const params = [locationId, effectiveCreatedBy, effectiveCreatedAt, notes || null];
 
         if (batchColumns.hasOfflineFlag) {
@@ -334,7 +462,8 @@ router.post(
         );
 
         const createdBatch = batchResult.rows[0];
-        const uniqueProductIds = [...new Set(items.map((item) => Number(item.product_id)))];
+        const lines = await normalizeProductQuantities(tx, items);
+        const uniqueProductIds = [...new Set(lines.map((item) => Number(item.product_id)))];
         const productSources = await tx.query(
           'SELECT id, source FROM products WHERE id = ANY($1::int[])',
           [uniqueProductIds]
@@ -349,7 +478,7 @@ router.post(
           }
         }
 
-        for (const item of items) {
+        for (const item of lines) {
           const itemSource = sourceByProductId.get(Number(item.product_id));
           if (item.source && item.source !== itemSource) {
             const sourceErr = new Error(`Product ${item.product_id} must be batched as ${itemSource}`);
@@ -358,11 +487,13 @@ router.post(
           }
 
           await tx.query(
-            `INSERT INTO batch_items (batch_id, product_id, quantity, source)
-             VALUES ($1, $2, $3, $4)`,
-            [createdBatch.id, item.product_id, item.quantity, itemSource]
+            `INSERT INTO batch_items (batch_id, product_id, quantity, source, entered_quantity, entered_unit)
+             VALUES ($1, $2, $3, $4, $5, $6)`,
+            [createdBatch.id, item.product_id, item.quantity, itemSource, item.entered_quantity, item.entered_unit]
           );
 
+          if (awaitsConfirmation) continue;
+
           await tx.query(
             `INSERT INTO inventory (product_id, location_id, quantity, source, last_updated)
              VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
@@ -380,6 +511,38 @@ router.post(
              VALUES ($1, $2, 'batch_in', $3, $4, 'batch', $5, $6, $7)`,
             [locationId, item.product_id, item.quantity, itemSource, createdBatch.id, effectiveCreatedBy, JSON.stringify({ notes: notes || null, synced_by_user_id: req.user.id })]
           );
+
+          await createLot(tx, {
+            locationId,
+            productId: item.product_id,
+            quantity: item.quantity,
+            sourceType: 'batch',
+            referenceType: 'batch',
+            referenceId: createdBatch.id,
+            producedAt: createdBatch.created_at,
+            userId: effectiveCreatedBy,
+          });
+        }
+
+        const ingredientUsage = await applyBatchIngredientUsage(tx, {
+          locationId,
+          batchId: createdBatch.id,
+          items: lines.map((item) => ({ ...item, source: sourceByProductId.get(Number(item.product_id)) })),
+          userId: effectiveCreatedBy,
+        });
+
+        if (ingredientUsage.shortages.length) {
+          await tx.query(
+            `INSERT INTO notifications (user_id, location_id, title, message, notification_type)
+             SELECT id, $1, $2, $3, 'ingredient_shortage'
+             FROM users
+             WHERE role IN ('admin', 'manager') AND location_id = $1 AND is_active = true`,
+            [
+              locationId,
+              `Ingredient stock below zero after batch #${createdBatch.id}`,
+              `${ingredientUsage.shortages.length} ingredient(s) went negative. Recount or record the missing deliveries.`,
+            ]
+          );
         }
 
         await tx.query(
@@ -396,7 +559,12 @@ router.post(
             locationId,
             'batch_sent',
             `Sent inventory batch #${createdBatch.id}`,
-            JSON.stringify({ batch_id: createdBatch.id, items_count: items.length }),
+            JSON.stringify({
+              batch_id: createdBatch.id,
+              items_count: items.length,
+              ingredients_consumed: ingredientUsage.usage.length,
+              products_without_recipe: ingredientUsage.productsWithoutRecipe,
+            }),
           ]
         );
 
@@ -423,6 +591,20 @@ router.post(
           ]
         );
 
+        if (awaitsConfirmation) {
+          await tx.query(
+            `INSERT INTO notifications (user_id, location_id, title, message, notification_type)
+             SELECT id, $1, $2, $3, 'batch_receiving'
+             FROM users
+             WHERE role IN ('manager', 'cashier') AND location_id = $1 AND is_active = true`,
+            [
+              locationId,
+              `Batch #${createdBatch.id} awaiting confirmation`,
+              `Count the ${items.length} item line(s) when they arrive. Stock is added once the receipt is confirmed.`,
+            ]
+          );
+        }
+
         if (idempotencyKey) {
           await tx.query(
             `INSERT INTO idempotency_keys (user_id, location_id, idempotency_key, endpoint, response_payload)
@@ -437,6 +619,9 @@ router.post(
 
       res.status(201).json(batch);
     } catch (err) {
+      if (err instanceof AppError) {
+        return res.status(err.statusCode).json({ error: err.message, code: err.code, requestId: req.requestId });
+      }
       console.error('Create batch error:', err);
       res.status(err.status || 500).json({ error: err.message || 'Internal server error', code: 'INTERNAL_ERROR', requestId: req.requestId });
     }
@@ -490,6 +675,9 @@ router.get('/batches', authenticateToken, async (req, res) => {
               ${wasSyncedExpr} as was_synced,
               ${isOfflineExpr} as is_offline,
               (SELECT COUNT(*) FROM batch_items WHERE batch_id = b.id) as items_count,
+              (SELECT COUNT(*) FROM batch_items
+               WHERE batch_id = b.id AND quantity_received IS NOT NULL
+                 AND (quantity_received <> quantity OR quantity_damaged > 0)) as discrepancy_lines,
               COALESCE((SELECT SUM(bi.quantity * COALESCE(p.cost, 0))
                         FROM batch_items bi
                         JOIN products p ON p.id = bi.product_id
@@ -512,6 +700,8 @@ router.get('/batches', authenticateToken, async (req, res) => {
       const summaryResult = await query(
         `SELECT COUNT(*) as total,
                 COUNT(*) FILTER (WHERE COALESCE(b.status, 'sent') = 'sent') as sent,
+                COUNT(*) FILTER (WHERE b.status = 'pending') as pending,
+                COUNT(*) FILTER (WHERE b.status = 'received') as received,
                 COUNT(*) FILTER (WHERE COALESCE(b.status, 'sent') = 'voided') as voided,
                 COUNT(*) FILTER (WHERE COALESCE(b.status, 'sent') = 'edited') as edited,
                 COUNT(*) FILTER (WHERE ${isOfflineExpr}) as offline,
@@ -520,7 +710,7 @@ router.get('/batches', authenticateToken, async (req, res) => {
          WHERE ${whereClause}`,
         whereParams
       );
-      summary = summaryResult.rows[0] || { total: 0, sent: 0, voided: 0, edited: 0, offline: 0, synced: 0 };
+      summary = summaryResult.rows[0] || { total: 0, sent: 0, pending: 0, received: 0, voided: 0, edited: 0, offline: 0, synced: 0 };
     }
 
     res.json({
@@ -534,6 +724,68 @@ router.get('/batches', authenticateToken, async (req, res) => {
   }
 });
 
+router.get('/batches/discrepancies', authenticateToken, authorizeRoles('admin', 'manager'), async (req, res) => {
+  try {
+    const locationId = await getTargetLocationId(req, query);
+    const startDate = req.query.start_date;
+    const endDate = req.query.end_date;
+
+    if ((startDate && !isValidDateFilter(startDate)) || (endDate && !isValidDateFilter(endDate))) {
+      return res.status(400).json({
+        error: 'Invalid date filter format. Use YYYY-MM-DD.',
+        code: 'VALIDATION_ERROR',
+        requestId: req.requestId,
+      });
+    }
+
+    const params = [locationId];
+    let whereClause = `b.location_id = $1 AND bi.quantity_received IS NOT NULL
+      AND (bi.quantity_received <> bi.quantity OR bi.quantity_damaged > 0)`;
+
+    if (startDate) {
+      params.push(startDate);
+      whereClause += ` AND DATE(b.received_at) >= $${params.length}`;
+    }
+
+    if (endDate) {
+      params.push(endDate);
+      whereClause += ` AND DATE(b.received_at) <= $${params.length}`;
+    }
+
+    params.push(clampLimit(req.query.limit, 100, 500));
+    const result = await query(
+      `SELECT bi.id, bi.batch_id, bi.product_id, p.name as product_name,
+              bi.quantity as quantity_sent, bi.quantity_received, bi.quantity_damaged,
+              (bi.quantity - bi.quantity_received) as quantity_short,
+              bi.discrepancy_notes,
+              COALESCE(p.cost, 0) as unit_cost,
+              (GREATEST(0, bi.quantity - bi.quantity_received + bi.quantity_damaged) * COALESCE(p.cost, 0)) as discrepancy_value,
+              b.received_at, ru.username as received_by_name,
+              COALESCE(b.original_actor_name, cu.username) as sent_by_name
+       FROM batch_items bi
+       JOIN inventory_batches b ON b.id = bi.batch_id
+       JOIN products p ON p.id = bi.product_id
+       LEFT JOIN users ru ON ru.id = b.received_by
+       LEFT JOIN users cu ON cu.id = b.created_by
+       WHERE ${whereClause}
+       ORDER BY b.received_at DESC, bi.id
+       LIMIT $${params.length}`,
+      params
+    );
+
+    const totals = result.rows.reduce((acc, row) => ({
+      short: acc.short + Math.max(0, Number(row.quantity_short)),
+      damaged: acc.damaged + Number(row.quantity_damaged),
+      value: acc.value + Number(row.discrepancy_value),
+    }), { short: 0, damaged: 0, value: 0 });
+
+    res.json({ lines: result.rows, totals: { ...totals, value: Number(totals.value.toFixed(2)) } });
+  } catch (err) {
+    console.error('Get batch discrepancies error:', err);
+    res.status(500).json({ error: 'Internal server error', code: 'INTERNAL_ERROR', requestId: req.requestId });
+  }
+});
+
 router.get('/batches/:id', authenticateToken, async (req, res) => {
   try {
     const locationId = await getTargetLocationId(req, query);
@@ -554,9 +806,11 @@ router.get('/batches/:id', authenticateToken, async (req, res) => {
               ${wasSyncedExpr} as was_synced,
               ${isOfflineExpr} as is_offline,
               (CURRENT_TIMESTAMP < (b.created_at + make_interval(mins => $3::int))) as can_edit,
-              EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - b.created_at)) / 60 as age_minutes
+              EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - b.created_at)) / 60 as age_minutes,
+              ru.username as received_by_name
        FROM inventory_batches b
        JOIN users u ON b.created_by = u.id
+       LEFT JOIN users ru ON ru.id = b.received_by
        WHERE b.id = $1 AND b.location_id = $2`,
       [req.params.id, locationId, BATCH_EDIT_WINDOW_MINUTES]
     );
@@ -585,88 +839,230 @@ router.get('/batches/:id', authenticateToken, async (req, res) => {
 });
 
 
-router.put('/batches/:id', authenticateToken, authorizeRoles('admin', 'manager'), body('items').isArray({ min: 1 }), async (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ error: 'Validation failed', code: 'VALIDATION_ERROR', details: errors.array(), requestId: req.requestId });
-  }
+router.post(
+  '/batches/:id/receive',
+  authenticateToken,
+  authorizeRoles('admin', 'manager', 'cashier'),
+  body('items').optional().isArray(),
+  body('items.*.item_id').isInt({ min: 1 }),
+  body('items.*.quantity_received').isFloat({ min: 0 }),
+  body('items.*.quantity_damaged').optional().isFloat({ min: 0 }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', code: 'VALIDATION_ERROR', details: errors.array(), requestId: req.requestId });
+    }
 
-  try {
-    const locationId = await getTargetLocationId(req, query);
-    const { items, notes } = req.body;
+    try {
+      const locationId = await getTargetLocationId(req, query);
 
-    const updatedBatch = await withTransaction(async (tx) => {
-      await ensureInventoryBatchStatusConstraint(tx);
-      const batchRes = await tx.query(
-        `SELECT *,
-                (CURRENT_TIMESTAMP < (created_at + make_interval(mins => $3::int))) as can_edit,
-                EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - created_at)) / 60 as age_minutes
-         FROM inventory_batches
-         WHERE id = $1 AND location_id = $2
-         FOR UPDATE`,
-        [req.params.id, locationId, BATCH_EDIT_WINDOW_MINUTES]
-      );
-      if (!batchRes.rows.length) {
-        const err = new Error('Batch not found');
-        err.status = 404;
-        throw err;
-      }
+      const receipt = await withTransaction(async (tx) => {
+        const batchRes = await tx.query(
+          'SELECT * FROM inventory_batches WHERE id = $1 AND location_id = $2 FOR UPDATE',
+          [req.params.id, locationId]
+        );
+        if (!batchRes.rows.length) {
+          throw new AppError('Batch not found', 404, 'NOT_FOUND');
+        }
+        const batch = batchRes.rows[0];
 
-      const batch = batchRes.rows[0];
-      if (batch.status === 'voided') {
-        const err = new Error('Voided batches cannot be edited');
-        err.status = 400;
-        throw err;
-      }
+        const itemsRes = await tx.query(
+          `SELECT bi.*, p.name as product_name, COALESCE(p.cost, 0) as unit_cost,
+                  p.unit, COALESCE(u.allows_fraction, false) as allows_fraction
+           FROM batch_items bi
+           JOIN products p ON p.id = bi.product_id
+           LEFT JOIN units u ON u.code = p.unit
+           WHERE bi.batch_id = $1
+           ORDER BY bi.id`,
+          [batch.id]
+        );
 
-      const oldItemsRes = await tx.query('SELECT * FROM batch_items WHERE batch_id = $1', [req.params.id]);
-      for (const item of oldItemsRes.rows) {
-        await tx.query(`UPDATE inventory SET quantity = GREATEST(0, quantity - $1), last_updated = CURRENT_TIMESTAMP WHERE location_id = $2 AND product_id = $3`, [item.quantity, locationId, item.product_id]);
-      }
+        const confirmed = await confirmBatchReceipt(tx, {
+          batch,
+          items: itemsRes.rows,
+          counts: req.body.items || [],
+          userId: req.user.id,
+          notes: req.body.notes || null,
+        });
+        const hasDiscrepancy = confirmed.discrepancies.length > 0;
 
-      await tx.query('DELETE FROM batch_items WHERE batch_id = $1', [req.params.id]);
+        await tx.query(
+          `INSERT INTO activity_log (user_id, location_id, activity_type, description, metadata)
+           VALUES ($1, $2, $3, $4, $5)`,
+          [
+            req.user.id,
+            locationId,
+            hasDiscrepancy ? 'batch_discrepancy' : 'batch_received',
+            hasDiscrepancy
+              ? `Received batch #${batch.id} with ${confirmed.discrepancies.length} discrepancy line(s)`
+              : `Received batch #${batch.id} in full`,
+            JSON.stringify({
+              batch_id: batch.id,
+              discrepancies: confirmed.discrepancies,
+              discrepancy_value: confirmed.discrepancy_value,
+            }),
+          ]
+        );
 
-      const uniqueProductIds = [...new Set(items.map((item) => Number(item.product_id)))];
-      const productSources = await tx.query(
-        'SELECT id, source FROM products WHERE id = ANY($1::int[])',
-        [uniqueProductIds]
-      );
-      const sourceByProductId = new Map(productSources.rows.map((row) => [Number(row.id), row.source || 'baked']));
+        if (hasDiscrepancy) {
+          const detail = confirmed.discrepancies
+            .map((line) => `${line.product_name}: sent ${line.quantity_sent}, received ${line.quantity_received}${line.quantity_damaged ? `, ${line.quantity_damaged} damaged` : ''}`)
+            .join('; ');
+          await tx.query(
+            `INSERT INTO notifications (user_id, location_id, title, message, notification_type)
+             SELECT id, $1, $2, $3, 'batch_discrepancy'
+             FROM users
+             WHERE role = 'admin' AND is_active = true`,
+            [
+              locationId,
+              `Batch #${batch.id} received with discrepancies`,
+              `${detail}. Value not landed: ETB ${confirmed.discrepancy_value.toFixed(2)}.`,
+            ]
+          );
+        }
 
-      for (const productId of uniqueProductIds) {
-        if (!sourceByProductId.has(productId)) {
-          const err = new Error(`Product ${productId} not found`);
+        return {
+          ...confirmed.batch,
+          lines: confirmed.lines,
+          discrepancies: confirmed.discrepancies,
+          discrepancy_value: confirmed.discrepancy_value,
+        };
+      });
+
+      return res.json(receipt);
+    } catch (err) {
+      if (err instanceof AppError) {
+        return res.status(err.statusCode).json({ error: err.message, code: err.code, requestId: req.requestId });
+      }
+      console.error('Receive batch error:', err);
+      return res.status(err.status || 500).json({ error: err.message || 'Internal server error', code: 'INTERNAL_ERROR', requestId: req.requestId });
+    }
+  }
+);
+
+router.put(
+  '/batches/:id',
+  authenticateToken,
+  authorizeRoles('admin', 'manager'),
+  body('items').isArray({ min: 1 }),
+  body('items.*.product_id').isInt({ min: 1 }),
+  body('items.*.quantity').isFloat({ gt: 0 }),
+  body('items.*.unit').optional({ values: 'falsy' }).isString(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', code: 'VALIDATION_ERROR', details: errors.array(), requestId: req.requestId });
+    }
+
+    try {
+      const locationId = await getTargetLocationId(req, query);
+      const { items, notes } = req.body;
+
+      const updatedBatch = await withTransaction(async (tx) => {
+        await ensureInventoryBatchStatusConstraint(tx);
+        const batchRes = await tx.query(
+          `SELECT *,
+                  (CURRENT_TIMESTAMP < (created_at + make_interval(mins => $3::int))) as can_edit,
+                  EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - created_at)) / 60 as age_minutes
+           FROM inventory_batches
+           WHERE id = $1 AND location_id = $2
+           FOR UPDATE`,
+          [req.params.id, locationId, BATCH_EDIT_WINDOW_MINUTES]
+        );
+        if (!batchRes.rows.length) {
+          const err = new Error('Batch not found');
           err.status = 404;
           throw err;
         }
-      }
 
-      for (const item of items) {
-        const itemSource = sourceByProductId.get(Number(item.product_id));
-        if (item.source && item.source !== itemSource) {
-          const err = new Error(`Product ${item.product_id} must be batched as ${itemSource}`);
+        const batch = batchRes.rows[0];
+        if (batch.status === 'voided') {
+          const err = new Error('Voided batches cannot be edited');
           err.status = 400;
           throw err;
         }
 
-        await tx.query(`INSERT INTO batch_items (batch_id, product_id, quantity, source) VALUES ($1, $2, $3, $4)`, [req.params.id, item.product_id, item.quantity, itemSource]);
-        await tx.query(`INSERT INTO inventory (product_id, location_id, quantity, source, last_updated)
-                        VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
-                        ON CONFLICT (product_id, location_id)
-                        DO UPDATE SET quantity = inventory.quantity + $3, source = $4, last_updated = CURRENT_TIMESTAMP`,
-          [item.product_id, locationId, item.quantity, itemSource]);
-      }
+        const oldItemsRes = await tx.query('SELECT * FROM batch_items WHERE batch_id = $1', [req.params.id]);
+        await reverseBatchStock(tx, { batch, items: oldItemsRes.rows, userId: req.user.id, reason: 'batch_edit' });
+        await reverseBatchIngredientUsage(tx, { locationId, batchId: batch.id, userId: req.user.id, reason: 'batch_edit_reversal' });
 
-      const updated = await tx.query(`UPDATE inventory_batches SET status = 'edited', notes = COALESCE($1, notes) WHERE id = $2 RETURNING *`, [notes || null, req.params.id]);
-      return updated.rows[0];
-    });
+        await tx.query('DELETE FROM batch_items WHERE batch_id = $1', [req.params.id]);
 
-    return res.json(updatedBatch);
-  } catch (err) {
-    console.error('Edit batch error:', err);
-    return res.status(err.status || 500).json({ error: err.message || 'Internal server error', code: 'INTERNAL_ERROR', requestId: req.requestId });
+        const lines = await normalizeProductQuantities(tx, items);
+        const uniqueProductIds = [...new Set(lines.map((item) => Number(item.product_id)))];
+        const productSources = await tx.query(
+          'SELECT id, source FROM products WHERE id = ANY($1::int[])',
+          [uniqueProductIds]
+        );
+        const sourceByProductId = new Map(productSources.rows.map((row) => [Number(row.id), row.source || 'baked']));
+
+        for (const productId of uniqueProductIds) {
+          if (!sourceByProductId.has(productId)) {
+            const err = new Error(`Product ${productId} not found`);
+            err.status = 404;
+            throw err;
+          }
+        }
+
+        for (const item of lines) {
+          const itemSource = sourceByProductId.get(Number(item.product_id));
+          if (item.source && item.source !== itemSource) {
+            const err = new Error(`Product ${item.product_id} must be batched as ${itemSource}`);
+            err.status = 400;
+            throw err;
+          }
+
+          await tx.query(
+            `INSERT INTO batch_items (batch_id, product_id, quantity, source, entered_quantity, entered_unit) VALUES ($1, $2, $3, $4, $5, $6)`,
+            [req.params.id, item.product_id, item.quantity, itemSource, item.entered_quantity, item.entered_unit]
+          );
+          if (batch.status === 'pending') continue;
+          await tx.query(`INSERT INTO inventory (product_id, location_id, quantity, source, last_updated)
+                          VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+                          ON CONFLICT (product_id, location_id)
+                          DO UPDATE SET quantity = inventory.quantity + $3, source = $4, last_updated = CURRENT_TIMESTAMP`,
+            [item.product_id, locationId, item.quantity, itemSource]);
+          await tx.query(
+            `INSERT INTO inventory_movements
+             (location_id, product_id, movement_type, quantity_change, source, reference_type, reference_id, created_by, metadata)
+             VALUES ($1, $2, 'batch_in', $3, $4, 'batch', $5, $6, $7)`,
+            [locationId, item.product_id, item.quantity, itemSource, batch.id, req.user.id, JSON.stringify({ reason: 'batch_edit' })]
+          );
+          await createLot(tx, {
+            locationId,
+            productId: item.product_id,
+            quantity: item.quantity,
+            sourceType: 'batch',
+            referenceType: 'batch',
+            referenceId: batch.id,
+            producedAt: batch.created_at,
+            userId: req.user.id,
+          });
+        }
+
+        await applyBatchIngredientUsage(tx, {
+          locationId,
+          batchId: batch.id,
+          items: lines.map((item) => ({ ...item, source: sourceByProductId.get(Number(item.product_id)) })),
+          userId: req.user.id,
+          reason: 'batch_edit',
+        });
+
+        const nextStatus = batch.status === 'pending' ? 'pending' : 'edited';
+        const updated = await tx.query(`UPDATE inventory_batches SET status = $3, notes = COALESCE($1, notes) WHERE id = $2 RETURNING *`, [notes || null, req.params.id, nextStatus]);
+        return updated.rows[0];
+      });
+
+      return res.json(updatedBatch);
+    } catch (err) {
+      if (err instanceof AppError) {
+        return res.status(err.statusCode).json({ error: err.message, code: err.code, requestId: req.requestId });
+      }
+      console.error('Edit batch error:', err);
+      return res.status(err.status || 500).json({ error: err.message || 'Internal server error', code: 'INTERNAL_ERROR', requestId: req.requestId });
+    }
   }
-});
+);
 
 router.post('/batches/:id/void', authenticateToken, authorizeRoles('admin', 'manager'), async (req, res) => {
   try {
@@ -694,9 +1090,8 @@ router.post('/batches/:id/void', authenticateToken, authorizeRoles('admin', 'man
       }
 
       const itemsRes = await tx.query('SELECT * FROM batch_items WHERE batch_id = $1', [req.params.id]);
-      for (const item of itemsRes.rows) {
-        await tx.query(`UPDATE inventory SET quantity = GREATEST(0, quantity - $1), last_updated = CURRENT_TIMESTAMP WHERE location_id = $2 AND product_id = $3`, [item.quantity, locationId, item.product_id]);
-      }
+      await reverseBatchStock(tx, { batch, items: itemsRes.rows, userId: req.user.id, reason: 'batch_void' });
+      await reverseBatchIngredientUsage(tx, { locationId, batchId: batch.id, userId: req.user.id, reason: 'batch_void' });
 
       const updated = await tx.query(`UPDATE inventory_batches SET status = 'voided' WHERE id = $1 RETURNING *`, [req.params.id]);
       return updated.rows[0];
@@ -7,7 +7,7 @@ const router = express.Router();
 router.get('/', authenticateToken, async (req, res) => {
   try {
     const result = await query(
-      `SELECT id, name, address, phone, is_active, created_at
+      `SELECT id, name, address, phone, is_active, require_batch_confirmation, created_at
        FROM locations
        WHERE is_active = true
        ORDER BY name ASC`
@@ -53,7 +53,7 @@ router.put('/:id', authenticateToken, async (req, res) => {
   }
 
   const id = Number(req.params.id);
-  const { name, address, phone, is_active } = req.body;
+  const { name, address, phone, is_active, require_batch_confirmation } = req.body;
   if (!Number.isInteger(id)) return res.status(400).json({ error: 'Invalid location id' });
   if (!name || typeof name !== 'string' || name.trim().length < 2) {
     return res.status(400).json({ error: 'Location name is required' });
@@ -62,10 +62,18 @@ router.put('/:id', authenticateToken, async (req, res) => {
   try {
     const result = await query(
       `UPDATE locations
-       SET name = $1, address = $2, phone = $3, is_active = COALESCE($4, is_active)
-       WHERE id = $5
-       RETURNING id, name, address, phone, is_active, created_at`,
-      [name.trim(), address?.trim() || null, phone?.trim() || null, typeof is_active === 'boolean' ? is_active : null, id]
+       SET name = $1, address = $2, phone = $3, is_active = COALESCE($4, is_active),
+           require_batch_confirmation = COALESCE($5, require_batch_confirmation)
+       WHERE id = $6
+       RETURNING id, name, address, phone, is_active, require_batch_confirmation, created_at`,
+      [
+        name.trim(),
+        address?.trim() || null,
+        phone?.trim() || null,
+        typeof is_active === 'boolean' ? is_active : null,
+        typeof require_batch_confirmation === 'boolean' ? require_batch_confirmation : null,
+        id,
+      ]
     );
 
     if (!result.rows.length) return res.status(404).json({ error: 'Branch not found' });
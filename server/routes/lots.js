@@ -0,0 +1,133 @@
+import express from 'express';
+import { query, withTransaction } from '../db.js';
+import { authenticateToken, authorizeRoles } from '../middleware/auth.js';
+import { getTargetLocationId } from '../utils/location.js';
+import { AppError, asyncHandler } from '../utils/errors.js';
+import {
+  WASTE_PROPOSAL_STATUSES,
+  acceptWasteProposal,
+  dismissWasteProposal,
+} from '../services/lotService.js';
+
+const router = express.Router();
+const LOT_EXPIRY_FILTERS = ['expired', 'expiring'];
+
+function clampLimit(value, fallback = 100, max = 500) {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed <= 0) return fallback;
+  return Math.min(Math.trunc(parsed), max);
+}
+
+async function requireLocation(req) {
+  const locationId = await getTargetLocationId(req, query);
+  if (!locationId) {
+    throw new AppError('Location context is required for lots', 400, 'LOCATION_REQUIRED');
+  }
+  return locationId;
+}
+
+async function loadProposal(db, proposalId, locationId) {
+  const result = await db.query(
+    'SELECT * FROM lot_waste_proposals WHERE id = $1 AND location_id = $2 FOR UPDATE',
+    [proposalId, locationId]
+  );
+  if (!result.rows.length) {
+    throw new AppError('Waste proposal not found', 404, 'PROPOSAL_NOT_FOUND');
+  }
+  return result.rows[0];
+}
+
+router.get('/', authenticateToken, authorizeRoles('admin', 'manager'), asyncHandler(async (req, res) => {
+  const locationId = await requireLocation(req);
+  const params = [locationId];
+  let where = 'l.location_id = $1 AND l.quantity_remaining > 0';
+
+  if (req.query.product_id) {
+    params.push(req.query.product_id);
+    where += ` AND l.product_id = $${params.length}`;
+  }
+
+  if (req.query.expiry) {
+    if (!LOT_EXPIRY_FILTERS.includes(req.query.expiry)) {
+      throw new AppError(`expiry must be one of: ${LOT_EXPIRY_FILTERS.join(', ')}`, 400, 'VALIDATION_ERROR');
+    }
+    if (req.query.expiry === 'expired') {
+      where += ' AND l.expires_at <= CURRENT_TIMESTAMP';
+    } else {
+      params.push(Number(req.query.within_hours) > 0 ? Number(req.query.within_hours) : 24);
+      where += ` AND l.expires_at > CURRENT_TIMESTAMP AND l.expires_at <= CURRENT_TIMESTAMP + make_interval(hours => $${params.length})`;
+    }
+  }
+
+  params.push(clampLimit(req.query.limit));
+  const result = await query(
+    `SELECT l.*, p.name as product_name, p.unit,
+            ROUND(EXTRACT(EPOCH FROM (l.expires_at - CURRENT_TIMESTAMP)) / 3600, 1) as hours_to_expiry
+     FROM inventory_lots l
+     JOIN products p ON p.id = l.product_id
+     WHERE ${where}
+     ORDER BY l.expires_at ASC NULLS LAST, COALESCE(l.produced_at, l.received_at), l.id
+     LIMIT $${params.length}`,
+    params
+  );
+  res.json(result.rows);
+}));
+
+router.get('/waste-proposals', authenticateToken, authorizeRoles('admin', 'manager'), asyncHandler(async (req, res) => {
+  const locationId = await requireLocation(req);
+  const status = req.query.status || 'proposed';
+  if (!WASTE_PROPOSAL_STATUSES.includes(status)) {
+    throw new AppError(`status must be one of: ${WASTE_PROPOSAL_STATUSES.join(', ')}`, 400, 'VALIDATION_ERROR');
+  }
+
+  const result = await query(
+    `SELECT wp.*, p.name as product_name, COALESCE(p.cost, 0) as unit_cost,
+            l.quantity_remaining as lot_remaining, u.username as resolved_by_name
+     FROM lot_waste_proposals wp
+     JOIN products p ON p.id = wp.product_id
+     JOIN inventory_lots l ON l.id = wp.lot_id
+     LEFT JOIN users u ON u.id = wp.resolved_by
+     WHERE wp.location_id = $1 AND wp.status = $2
+     ORDER BY wp.proposed_at DESC, wp.id DESC
+     LIMIT $3`,
+    [locationId, status, clampLimit(req.query.limit)]
+  );
+  res.json(result.rows);
+}));
+
+router.post('/waste-proposals/:id/accept', authenticateToken, authorizeRoles('admin', 'manager'), asyncHandler(async (req, res) => {
+  const locationId = await requireLocation(req);
+
+  const result = await withTransaction(async (tx) => {
+    const proposal = await loadProposal(tx, req.params.id, locationId);
+    const accepted = await acceptWasteProposal(tx, { proposal, userId: req.user.id, notes: req.body.notes || null });
+    const { waste } = accepted;
+
+    await tx.query(
+      `INSERT INTO activity_log (user_id, location_id, activity_type, description, metadata)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [
+        req.user.id,
+        locationId,
+        'waste_recorded',
+        `Wrote off ${waste.quantity} ${waste.product_name} (expired lot #${proposal.lot_id})`,
+        JSON.stringify({ proposal_id: proposal.id, lot_id: proposal.lot_id, movement_id: waste.movement.id, cost_value: waste.cost_value }),
+      ]
+    );
+
+    return { ...accepted.proposal, quantity_written_off: waste.quantity, cost_value: waste.cost_value };
+  });
+
+  res.json(result);
+}));
+
+router.post('/waste-proposals/:id/dismiss', authenticateToken, authorizeRoles('admin', 'manager'), asyncHandler(async (req, res) => {
+  const locationId = await requireLocation(req);
+  const dismissed = await withTransaction(async (tx) => {
+    const proposal = await loadProposal(tx, req.params.id, locationId);
+    return dismissWasteProposal(tx, { proposal, userId: req.user.id, notes: req.body.notes || null });
+  });
+  res.json(dismissed);
+}));
+
+export default router;
@@ -0,0 +1,488 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { query, withTransaction } from '../db.js';
+import { authenticateToken, authorizeRoles } from '../middleware/auth.js';
+import { getTargetLocationId } from '../utils/location.js';
+import { AppError, asyncHandler } from '../utils/errors.js';
+import {
+  OPEN_ORDER_STATUSES,
+  ORDER_PAYMENT_METHODS,
+  ORDER_STATUSES,
+  assertOrderEditable,
+  assertPaymentWithinTotal,
+  buildOrderStatusChange,
+} from '../services/customerOrderService.js';
+import { normalizeProductQuantities } from '../services/unitService.js';
+
+const router = express.Router();
+
+function clampLimit(value, fallback = 100, max = 500) {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed <= 0) return fallback;
+  return Math.min(Math.trunc(parsed), max);
+}
+
+function isValidDateFilter(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(value || ''));
+}
+
+function assertValidRequest(req) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Validation failed', 400, 'VALIDATION_ERROR', errors.array());
+  }
+}
+
+const ORDER_ITEMS_SELECT = `COALESCE((
+  SELECT json_agg(json_build_object('product_id', coi.product_id, 'product_name', p.name, 'quantity', coi.quantity) ORDER BY coi.id)
+  FROM customer_order_items coi
+  JOIN products p ON p.id = coi.product_id
+  WHERE coi.order_id = o.id
+), '[]'::json) as items`;
+
+async function requireLocation(req) {
+  const locationId = await getTargetLocationId(req, query);
+  if (!locationId) {
+    throw new AppError('Location context is required for orders', 400, 'LOCATION_REQUIRED');
+  }
+  return locationId;
+}
+
+async function getOrderForUpdate(tx, orderId, locationId) {
+  const result = await tx.query(
+    'SELECT * FROM customer_orders WHERE id = $1 AND location_id = $2 FOR UPDATE',
+    [orderId, locationId]
+  );
+  if (!result.rows.length) {
+    throw new AppError('Order not found', 404, 'ORDER_NOT_FOUND');
+  }
+  return result.rows[0];
+}
+
+async function getOrderWithNames(orderId, db = { query }) {
+  const result = await db.query(
+    `SELECT o.*,
+            (o.total_amount - o.paid_amount) as balance_due,
+            cashier.username as cashier_name,
+            baker.username as baked_done_by_name,
+            canceller.username as cancelled_by_name,
+            ${ORDER_ITEMS_SELECT}
+     FROM customer_orders o
+     LEFT JOIN users cashier ON cashier.id = o.cashier_id
+     LEFT JOIN users baker ON baker.id = o.baked_done_by
+     LEFT JOIN users canceller ON canceller.id = o.cancelled_by
+     WHERE o.id = $1`,
+    [orderId]
+  );
+  return result.rows[0] || null;
+}
+
+// Lines may be entered in another unit (2 dozen); they are stored in the
+// product's own unit so production planning can add them up.
+async function replaceOrderItems(tx, orderId, items) {
+  const lines = items.length ? await normalizeProductQuantities(tx, items) : [];
+  await tx.query('DELETE FROM customer_order_items WHERE order_id = $1', [orderId]);
+  for (const item of lines) {
+    await tx.query(
+      'INSERT INTO customer_order_items (order_id, product_id, quantity) VALUES ($1, $2, $3)',
+      [orderId, item.product_id, item.quantity]
+    );
+  }
+}
+
+async function logOrderActivity(tx, { userId, locationId, activityType, description, metadata }) {
+  await tx.query(
+    `INSERT INTO activity_log (user_id, location_id, activity_type, description, metadata)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [userId, locationId, activityType, description, JSON.stringify(metadata)]
+  );
+}
+
+router.get('/', authenticateToken, asyncHandler(async (req, res) => {
+  const locationId = await requireLocation(req);
+  const limit = clampLimit(req.query.limit, 100, 500);
+  const { start_date: startDate, end_date: endDate } = req.query;
+  const statuses = String(req.query.status || '')
+    .split(',')
+    .map((status) => status.trim())
+    .filter(Boolean);
+
+  if ((startDate && !isValidDateFilter(startDate)) || (endDate && !isValidDateFilter(endDate))) {
+    throw new AppError('Invalid date filter format. Use YYYY-MM-DD.', 400, 'VALIDATION_ERROR');
+  }
+  if (statuses.some((status) => !ORDER_STATUSES.includes(status))) {
+    throw new AppError(`status must be one of: ${ORDER_STATUSES.join(', ')}`, 400, 'VALIDATION_ERROR');
+  }
+
+  const params = [locationId];
+  let where = 'o.location_id = $1';
+
+  if (req.query.open === 'true') {
+    params.push(OPEN_ORDER_STATUSES);
+    where += ` AND o.status = ANY($${params.length}::text[])`;
+  } else if (statuses.length) {
+    params.push(statuses);
+    where += ` AND o.status = ANY($${params.length}::text[])`;
+  }
+
+  if (startDate) {
+    params.push(startDate);
+    where += ` AND DATE(o.pickup_at) >= $${params.length}`;
+  }
+
+  if (endDate) {
+    params.push(endDate);
+    where += ` AND DATE(o.pickup_at) <= $${params.length}`;
+  }
+
+  params.push(limit);
+
+  const result = await query(
+    `SELECT o.*,
+            (o.total_amount - o.paid_amount) as balance_due,
+            cashier.username as cashier_name,
+            ${ORDER_ITEMS_SELECT}
+     FROM customer_orders o
+     LEFT JOIN users cashier ON cashier.id = o.cashier_id
+     WHERE ${where}
+     ORDER BY o.pickup_at ASC, o.id ASC
+     LIMIT $${params.length}`,
+    params
+  );
+
+  res.json(result.rows);
+}));
+
+router.get('/:id', authenticateToken, asyncHandler(async (req, res) => {
+  const locationId = await requireLocation(req);
+  const order = await getOrderWithNames(req.params.id);
+  if (!order || Number(order.location_id) !== Number(locationId)) {
+    throw new AppError('Order not found', 404, 'ORDER_NOT_FOUND');
+  }
+  res.json(order);
+}));
+
+router.post(
+  '/',
+  authenticateToken,
+  authorizeRoles('admin', 'manager', 'cashier'),
+  body('customer_name').trim().notEmpty().isLength({ max: 120 }),
+  body('customer_phone').trim().notEmpty().isLength({ max: 30 }),
+  body('order_details').trim().notEmpty(),
+  body('pickup_at').isISO8601(),
+  body('total_amount').isFloat({ min: 0 }),
+  body('paid_amount').optional().isFloat({ min: 0 }),
+  body('payment_method').optional().isIn(ORDER_PAYMENT_METHODS),
+  body('status').optional().isIn(['pending', 'confirmed']),
+  body('items').optional().isArray(),
+  body('items.*.product_id').isInt({ min: 1 }),
+  body('items.*.quantity').isFloat({ gt: 0 }),
+  body('items.*.unit').optional({ nullable: true }).trim().notEmpty(),
+  asyncHandler(async (req, res) => {
+    assertValidRequest(req);
+
+    const {
+      customer_name,
+      customer_phone,
+      customer_note,
+      order_details,
+      pickup_at,
+      total_amount,
+      paid_amount = 0,
+      payment_method,
+      status,
+      items,
+    } = req.body;
+    assertPaymentWithinTotal(total_amount, paid_amount);
+
+    const idempotencyKey = req.headers['x-idempotency-key'];
+    const isFromOfflineQueue = req.headers['x-queued-request'] === 'true';
+    const queuedActorIdHeader = req.headers['x-offline-actor-id'];
+    const locationId = await requireLocation(req);
+
+    const order = await withTransaction(async (tx) => {
+      if (idempotencyKey) {
+        await tx.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`orders:${req.user.id}:${idempotencyKey}`]);
+        const existing = await tx.query(
+          `SELECT response_payload FROM idempotency_keys
+           WHERE user_id = $1 AND idempotency_key = $2`,
+          [req.user.id, idempotencyKey]
+        );
+        if (existing.rows.length > 0) {
+          return existing.rows[0].response_payload;
+        }
+      }
+
+      let effectiveCashierId = req.user.id;
+      if (isFromOfflineQueue && queuedActorIdHeader) {
+        const actorResult = await tx.query(
+          'SELECT id FROM users WHERE id = $1 AND location_id = $2 AND is_active = true',
+          [queuedActorIdHeader, locationId]
+        );
+        if (actorResult.rows.length > 0) {
+          effectiveCashierId = Number(actorResult.rows[0].id);
+        }
+      }
+
+      const inserted = await tx.query(
+        `INSERT INTO customer_orders
+         (location_id, cashier_id, customer_name, customer_phone, customer_note, order_details,
+          pickup_at, total_amount, paid_amount, payment_method, status)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+         RETURNING id`,
+        [
+          locationId,
+          effectiveCashierId,
+          customer_name,
+          customer_phone,
+          customer_note || null,
+          order_details,
+          pickup_at,
+          total_amount,
+          paid_amount,
+          payment_method || 'cash',
+          status || 'pending',
+        ]
+      );
+
+      if (Array.isArray(items) && items.length) {
+        await replaceOrderItems(tx, inserted.rows[0].id, items);
+      }
+
+      const created = await getOrderWithNames(inserted.rows[0].id, tx);
+
+      await logOrderActivity(tx, {
+        userId: effectiveCashierId,
+        locationId,
+        activityType: 'order_created',
+        description: `Created pre-order #${created.id} for ${customer_name}`,
+        metadata: { order_id: created.id, pickup_at, total_amount, paid_amount, synced_by_user_id: req.user.id },
+      });
+
+      await tx.query(
+        `INSERT INTO notifications (user_id, location_id, title, message, notification_type)
+         SELECT id, $1, $2, $3, 'customer_order'
+         FROM users
+         WHERE role = 'manager' AND location_id = $1 AND is_active = true`,
+        [
+          locationId,
+          `New pre-order #${created.id}`,
+          `${customer_name}: ${order_details} (pickup ${new Date(created.pickup_at).toISOString().slice(0, 16).replace('T', ' ')})`,
+        ]
+      );
+
+      if (idempotencyKey) {
+        await tx.query(
+          `INSERT INTO idempotency_keys (user_id, location_id, idempotency_key, endpoint, response_payload)
+           VALUES ($1, $2, $3, $4, $5)
+           ON CONFLICT (user_id, idempotency_key) DO NOTHING`,
+          [req.user.id, locationId, idempotencyKey, '/api/orders', JSON.stringify(created)]
+        );
+      }
+
+      return created;
+    });
+
+    res.status(201).json(order);
+  })
+);
+
+router.put(
+  '/:id',
+  authenticateToken,
+  authorizeRoles('admin', 'manager', 'cashier'),
+  body('customer_name').optional().trim().notEmpty().isLength({ max: 120 }),
+  body('customer_phone').optional().trim().notEmpty().isLength({ max: 30 }),
+  body('order_details').optional().trim().notEmpty(),
+  body('pickup_at').optional().isISO8601(),
+  body('total_amount').optional().isFloat({ min: 0 }),
+  body('paid_amount').optional().isFloat({ min: 0 }),
+  body('payment_method').optional().isIn(ORDER_PAYMENT_METHODS),
+  body('items').optional().isArray(),
+  body('items.*.product_id').isInt({ min: 1 }),
+  body('items.*.quantity').isFloat({ gt: 0 }),
+  body('items.*.unit').optional({ nullable: true }).trim().notEmpty(),
+  asyncHandler(async (req, res) => {
+    assertValidRequest(req);
+    const locationId = await requireLocation(req);
+
+    const order = await withTransaction(async (tx) => {
+      const existing = await getOrderForUpdate(tx, req.params.id, locationId);
+      assertOrderEditable(existing);
+
+      const nextTotal = req.body.total_amount ?? existing.total_amount;
+      const nextPaid = req.body.paid_amount ?? existing.paid_amount;
+      assertPaymentWithinTotal(nextTotal, nextPaid);
+
+      // Lowering a recorded deposit is a refund in all but name.
+      const paymentReduced = Number(nextPaid) < Number(existing.paid_amount);
+      if (paymentReduced && !['admin', 'manager'].includes(req.user.role)) {
+        throw new AppError('Only a manager can reduce the amount paid on an order', 403, 'PAYMENT_REDUCTION_FORBIDDEN');
+      }
+
+      await tx.query(
+        `UPDATE customer_orders
+         SET customer_name = COALESCE($1, customer_name),
+             customer_phone = COALESCE($2, customer_phone),
+             customer_note = COALESCE($3, customer_note),
+             order_details = COALESCE($4, order_details),
+             pickup_at = COALESCE($5::timestamp, pickup_at),
+             total_amount = $6,
+             paid_amount = $7,
+             payment_method = COALESCE($8, payment_method),
+             status = CASE WHEN status = 'overdue' AND $5::timestamp > CURRENT_TIMESTAMP THEN COALESCE(status_before_overdue, 'confirmed') ELSE status END,
+             due_notified_at = CASE WHEN $5::timestamp IS NULL THEN due_notified_at ELSE NULL END,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $9`,
+        [
+          req.body.customer_name ?? null,
+          req.body.customer_phone ?? null,
+          req.body.customer_note ?? null,
+          req.body.order_details ?? null,
+          req.body.pickup_at ?? null,
+          nextTotal,
+          nextPaid,
+          req.body.payment_method ?? null,
+          existing.id,
+        ]
+      );
+
+      if (Array.isArray(req.body.items)) {
+        await replaceOrderItems(tx, existing.id, req.body.items);
+      }
+
+      await logOrderActivity(tx, {
+        userId: req.user.id,
+        locationId,
+        activityType: 'order_updated',
+        description: `Updated pre-order #${existing.id}`,
+        metadata: { order_id: existing.id, changes: req.body },
+      });
+
+      if (paymentReduced) {
+        await logOrderActivity(tx, {
+          userId: req.user.id,
+          locationId,
+          activityType: 'order_payment_reduced',
+          description: `Reduced paid amount on pre-order #${existing.id} from ${Number(existing.paid_amount).toFixed(2)} to ${Number(nextPaid).toFixed(2)}`,
+          metadata: { order_id: existing.id, from_paid_amount: Number(existing.paid_amount), to_paid_amount: Number(nextPaid) },
+        });
+      }
+
+      return getOrderWithNames(existing.id, tx);
+    });
+
+    res.json(order);
+  })
+);
+
+router.patch(
+  '/:id/status',
+  authenticateToken,
+  authorizeRoles('admin', 'manager', 'cashier'),
+  body('status').isIn(ORDER_STATUSES.filter((status) => !['cancelled', 'overdue'].includes(status))),
+  body('payment_amount').optional().isFloat({ min: 0 }),
+  asyncHandler(async (req, res) => {
+    assertValidRequest(req);
+    const locationId = await requireLocation(req);
+    const nextStatus = req.body.status;
+
+    if (req.user.role === 'cashier' && ['confirmed', 'in_production'].includes(nextStatus)) {
+      throw new AppError('Only managers can move orders into production', 403, 'FORBIDDEN');
+    }
+
+    const order = await withTransaction(async (tx) => {
+      const existing = await getOrderForUpdate(tx, req.params.id, locationId);
+      const change = buildOrderStatusChange(existing, nextStatus, {
+        userId: req.user.id,
+        paymentAmount: req.body.payment_amount,
+      });
+
+      const columns = Object.keys(change);
+      const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
+      await tx.query(
+        `UPDATE customer_orders
+         SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $${columns.length + 1}`,
+        [...columns.map((column) => change[column]), existing.id]
+      );
+
+      await logOrderActivity(tx, {
+        userId: req.user.id,
+        locationId,
+        activityType: 'order_status_changed',
+        description: `Pre-order #${existing.id} moved from ${existing.status} to ${nextStatus}`,
+        metadata: {
+          order_id: existing.id,
+          from_status: existing.status,
+          to_status: nextStatus,
+          payment_amount: Number(req.body.payment_amount || 0),
+        },
+      });
+
+      if (nextStatus === 'ready') {
+        await tx.query(
+          `INSERT INTO notifications (user_id, location_id, title, message, notification_type)
+           SELECT id, $1, $2, $3, 'customer_order'
+           FROM users
+           WHERE role = 'cashier' AND location_id = $1 AND is_active = true`,
+          [
+            locationId,
+            `Pre-order #${existing.id} is ready`,
+            `${existing.customer_name} (${existing.customer_phone}) can collect: ${existing.order_details}`,
+          ]
+        );
+      }
+
+      return getOrderWithNames(existing.id, tx);
+    });
+
+    res.json(order);
+  })
+);
+
+router.post(
+  '/:id/cancel',
+  authenticateToken,
+  authorizeRoles('admin', 'manager', 'cashier'),
+  body('reason').trim().notEmpty(),
+  asyncHandler(async (req, res) => {
+    assertValidRequest(req);
+    const locationId = await requireLocation(req);
+
+    const order = await withTransaction(async (tx) => {
+      const existing = await getOrderForUpdate(tx, req.params.id, locationId);
+      const change = buildOrderStatusChange(existing, 'cancelled', { userId: req.user.id });
+
+      await tx.query(
+        `UPDATE customer_orders
+         SET status = 'cancelled',
+             cancelled_at = $1,
+             cancelled_by = $2,
+             cancel_reason = $3,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $4`,
+        [change.cancelled_at, change.cancelled_by, req.body.reason, existing.id]
+      );
+
+      await logOrderActivity(tx, {
+        userId: req.user.id,
+        locationId,
+        activityType: 'order_cancelled',
+        description: `Cancelled pre-order #${existing.id} for ${existing.customer_name}`,
+        metadata: {
+          order_id: existing.id,
+          from_status: existing.status,
+          reason: req.body.reason,
+          paid_amount: existing.paid_amount,
+        },
+      });
+
+      return getOrderWithNames(existing.id, tx);
+    });
+
+    res.json(order);
+  })
+);
+
+export default router;
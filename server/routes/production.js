@@ -0,0 +1,145 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { query, withTransaction } from '../db.js';
+import { authenticateToken, authorizeRoles } from '../middleware/auth.js';
+import { getTargetLocationId } from '../utils/location.js';
+import { AppError, asyncHandler } from '../utils/errors.js';
+import { DEFAULT_SALES_LOOKBACK_WEEKS, getProductionPlan } from '../services/productionPlanService.js';
+import { assertStockLevelOrder, getReorderSuggestions } from '../services/reorderService.js';
+import { assertProductQuantities } from '../services/unitService.js';
+
+const router = express.Router();
+
+function isValidDateFilter(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(value || ''));
+}
+
+async function requireLocation(req) {
+  const locationId = await getTargetLocationId(req, query);
+  if (!locationId) {
+    throw new AppError('Location context is required for production planning', 400, 'LOCATION_REQUIRED');
+  }
+  return locationId;
+}
+
+router.get('/plan', authenticateToken, authorizeRoles('admin', 'manager'), asyncHandler(async (req, res) => {
+  const locationId = await requireLocation(req);
+
+  if (req.query.date && !isValidDateFilter(req.query.date)) {
+    throw new AppError('Invalid date format. Use YYYY-MM-DD.', 400, 'VALIDATION_ERROR');
+  }
+
+  const weeks = Number(req.query.weeks || DEFAULT_SALES_LOOKBACK_WEEKS);
+  if (!Number.isInteger(weeks) || weeks < 1 || weeks > 12) {
+    throw new AppError('weeks must be an integer between 1 and 12', 400, 'VALIDATION_ERROR');
+  }
+
+  let planDate = req.query.date;
+  if (!planDate) {
+    const tomorrow = await query("SELECT TO_CHAR(CURRENT_DATE + 1, 'YYYY-MM-DD') as plan_date");
+    planDate = tomorrow.rows[0].plan_date;
+  }
+
+  const plan = await getProductionPlan({ locationId, planDate, weeks });
+  res.json(plan);
+}));
+
+router.get('/par-levels', authenticateToken, authorizeRoles('admin', 'manager'), asyncHandler(async (req, res) => {
+  const locationId = await requireLocation(req);
+  const result = await query(
+    `SELECT psl.*, p.name as product_name
+     FROM product_stock_levels psl
+     JOIN products p ON p.id = psl.product_id
+     WHERE psl.location_id = $1
+     ORDER BY p.name`,
+    [locationId]
+  );
+  res.json(result.rows);
+}));
+
+router.get('/reorder-suggestions', authenticateToken, authorizeRoles('admin', 'manager'), asyncHandler(async (req, res) => {
+  const locationId = await requireLocation(req);
+  const suggestions = await getReorderSuggestions({ query }, { locationId });
+  res.json({
+    items: suggestions,
+    total_suggested_cost: Number(suggestions.reduce((sum, row) => sum + row.suggested_cost, 0).toFixed(2)),
+  });
+}));
+
+router.put(
+  '/par-levels',
+  authenticateToken,
+  authorizeRoles('admin', 'manager'),
+  body('levels').isArray({ min: 1 }),
+  body('levels.*.product_id').isInt({ min: 1 }),
+  body('levels.*.par_quantity').isFloat({ min: 0 }),
+  body('levels.*.min_quantity').optional({ nullable: true }).isFloat({ min: 0 }),
+  body('levels.*.max_quantity').optional({ nullable: true }).isFloat({ min: 0 }),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new AppError('Validation failed', 400, 'VALIDATION_ERROR', errors.array());
+    }
+
+    const locationId = await requireLocation(req);
+    const { levels } = req.body;
+    const setsReorderPoints = levels.some((level) => 'min_quantity' in level || 'max_quantity' in level);
+    if (setsReorderPoints && req.user.role !== 'admin') {
+      throw new AppError('Only admins can change min and max stock levels', 403, 'FORBIDDEN');
+    }
+
+    const saved = await withTransaction(async (tx) => {
+      for (const field of ['par_quantity', 'min_quantity', 'max_quantity']) {
+        const set = levels.filter((level) => level[field] !== undefined && level[field] !== null);
+        if (set.length) await assertProductQuantities(tx, set, { field });
+      }
+
+      const existing = await tx.query(
+        `SELECT product_id, min_quantity, max_quantity FROM product_stock_levels
+         WHERE location_id = $1 AND product_id = ANY($2::int[])`,
+        [locationId, levels.map((level) => Number(level.product_id))]
+      );
+      const existingByProduct = new Map(existing.rows.map((row) => [Number(row.product_id), row]));
+
+      const rows = [];
+      for (const level of levels) {
+        // Levels left out of the payload keep their stored value, so the
+        // production plan can keep saving par on its own.
+        const current = existingByProduct.get(Number(level.product_id)) || {};
+        const merged = {
+          product_id: Number(level.product_id),
+          par_quantity: Number(level.par_quantity),
+          min_quantity: 'min_quantity' in level ? level.min_quantity : (current.min_quantity ?? null),
+          max_quantity: 'max_quantity' in level ? level.max_quantity : (current.max_quantity ?? null),
+        };
+        assertStockLevelOrder(merged);
+
+        const result = await tx.query(
+          `INSERT INTO product_stock_levels (location_id, product_id, par_quantity, min_quantity, max_quantity, updated_by)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           ON CONFLICT (location_id, product_id)
+           DO UPDATE SET par_quantity = EXCLUDED.par_quantity,
+                         min_quantity = EXCLUDED.min_quantity,
+                         max_quantity = EXCLUDED.max_quantity,
+                         updated_by = EXCLUDED.updated_by,
+                         updated_at = CURRENT_TIMESTAMP
+           RETURNING *`,
+          [locationId, merged.product_id, merged.par_quantity, merged.min_quantity, merged.max_quantity, req.user.id]
+        );
+        rows.push(result.rows[0]);
+      }
+
+      await tx.query(
+        `INSERT INTO activity_log (user_id, location_id, activity_type, description, metadata)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [req.user.id, locationId, 'par_levels_updated', `Updated stock levels for ${levels.length} product(s)`, JSON.stringify({ levels })]
+      );
+
+      return rows;
+    });
+
+    res.json(saved);
+  })
+);
+
+export default router;
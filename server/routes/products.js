@@ -1,8 +1,11 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
-import { query } from '../db.js';
+import { query, withTransaction } from '../db.js';
 import { authenticateToken, authorizeRoles } from '../middleware/auth.js';
 import { getTargetLocationId } from '../utils/location.js';
+import { AppError } from '../utils/errors.js';
+import { assertManualCostAllowed } from '../services/costRollupService.js';
+import { assertUnitExists } from '../services/unitService.js';
 
 const router = express.Router();
 
@@ -65,6 +68,25 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// Cost history (manual edits and recipe rollups)
+router.get('/:id/cost-history', authenticateToken, authorizeRoles('admin', 'manager'), async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT h.id, h.cost, h.effective_from, h.source, h.metadata, u.username as changed_by_name
+       FROM product_cost_history h
+       LEFT JOIN users u ON u.id = h.changed_by
+       WHERE h.product_id = $1
+       ORDER BY h.effective_from DESC, h.id DESC
+       LIMIT 200`,
+      [req.params.id]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Get product cost history error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Create product (admin/manager only)
 router.post('/',
   authenticateToken,
@@ -72,26 +94,41 @@ router.post('/',
   body('name').trim().notEmpty(),
   body('price').isFloat({ min: 0 }),
   body('source').optional().isIn(['baked', 'purchased']),
+  body('shelf_life_hours').optional({ values: 'falsy' }).isInt({ min: 1 }),
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, category_id, price, cost, unit, source } = req.body;
+    const { name, category_id, price, cost, unit, source, shelf_life_hours } = req.body;
 
     try {
+      if (unit) await assertUnitExists({ query }, unit);
+
       const existing = await query('SELECT id FROM products WHERE LOWER(name) = LOWER($1) LIMIT 1', [name]);
       if (existing.rows.length > 0) {
         return res.status(409).json({ error: 'Product name already exists', code: 'DUPLICATE_PRODUCT_NAME', requestId: req.requestId });
       }
 
-      const result = await query(
-        `INSERT INTO products (name, category_id, price, cost, unit, source) 
-         VALUES ($1, $2, $3, $4, $5, $6) 
-         RETURNING *`,
-        [name, category_id || null, price, cost || null, unit || 'piece', source || 'baked']
-      );
+      const result = await withTransaction(async (tx) => {
+        const inserted = await tx.query(
+          `INSERT INTO products (name, category_id, price, cost, unit, source, shelf_life_hours) 
+           VALUES ($1, $2, $3, $4, $5, $6, $7) 
+           RETURNING *`,
+          [name, category_id || null, price, cost || null, unit || 'piece', source || 'baked', shelf_life_hours || null]
+        );
+
+        if (inserted.rows[0].cost !== null) {
+          await tx.query(
+            `INSERT INTO product_cost_history (product_id, cost, source, changed_by)
+             VALUES ($1, $2, 'initial', $3)`,
+            [inserted.rows[0].id, inserted.rows[0].cost, req.user.id]
+          );
+        }
+
+        return inserted;
+      });
 
       // Log activity
       await query(
@@ -112,6 +149,9 @@ router.post('/',
 
       res.status(201).json(result.rows[0]);
     } catch (err) {
+      if (err instanceof AppError) {
+        return res.status(err.statusCode).json({ error: err.message, code: err.code, requestId: req.requestId });
+      }
       console.error('Create product error:', err);
       res.status(500).json({ error: 'Internal server error' });
     }
@@ -122,11 +162,20 @@ router.post('/',
 router.put('/:id',
   authenticateToken,
   authorizeRoles('admin', 'manager'),
+  body('shelf_life_hours').optional({ values: 'falsy' }).isInt({ min: 1 }),
   async (req, res) => {
-    const { name, category_id, price, cost, unit, is_active, source } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, category_id, price, cost, unit, is_active, source, shelf_life_hours } = req.body;
     const { id } = req.params;
+    const setsShelfLife = shelf_life_hours !== undefined;
 
     try {
+      if (unit) await assertUnitExists({ query }, unit);
+
       if (name) {
         const duplicate = await query('SELECT id FROM products WHERE LOWER(name) = LOWER($1) AND id <> $2 LIMIT 1', [name, id]);
         if (duplicate.rows.length > 0) {
@@ -134,20 +183,36 @@ router.put('/:id',
         }
       }
 
-      const result = await query(
-        `UPDATE products 
-         SET name = COALESCE($1, name),
-             category_id = COALESCE($2, category_id),
-             price = COALESCE($3, price),
-             cost = COALESCE($4, cost),
-             unit = COALESCE($5, unit),
-             is_active = COALESCE($6, is_active),
-             source = COALESCE($7, source),
-             updated_at = CURRENT_TIMESTAMP
-         WHERE id = $8
-         RETURNING *`,
-        [name, category_id, price, cost, unit, is_active, source, id]
-      );
+      const result = await withTransaction(async (tx) => {
+        const hasCost = cost !== undefined && cost !== null && cost !== '';
+        const previous = hasCost ? await assertManualCostAllowed(tx, id, cost) : null;
+
+        const updated = await tx.query(
+          `UPDATE products 
+           SET name = COALESCE($1, name),
+               category_id = COALESCE($2, category_id),
+               price = COALESCE($3, price),
+               cost = COALESCE($4, cost),
+               unit = COALESCE($5, unit),
+               is_active = COALESCE($6, is_active),
+               source = COALESCE($7, source),
+               shelf_life_hours = CASE WHEN $9::boolean THEN $10::int ELSE shelf_life_hours END,
+               updated_at = CURRENT_TIMESTAMP
+           WHERE id = $8
+           RETURNING *`,
+          [name, category_id, price, hasCost ? cost : null, unit, is_active, source, id, setsShelfLife, shelf_life_hours || null]
+        );
+
+        if (hasCost && updated.rows.length && Number(previous?.cost ?? NaN) !== Number(cost)) {
+          await tx.query(
+            `INSERT INTO product_cost_history (product_id, cost, source, changed_by, metadata)
+             VALUES ($1, $2, 'manual', $3, $4)`,
+            [id, cost, req.user.id, JSON.stringify({ previous_cost: previous?.cost ?? null })]
+          );
+        }
+
+        return updated;
+      });
 
       if (result.rows.length === 0) {
         return res.status(404).json({ error: 'Product not found' });
@@ -161,6 +226,9 @@ router.put('/:id',
 
       res.json(result.rows[0]);
     } catch (err) {
+      if (err instanceof AppError) {
+        return res.status(err.statusCode).json({ error: err.message, code: err.code, requestId: req.requestId });
+      }
       console.error('Update product error:', err);
       res.status(500).json({ error: 'Internal server error' });
     }
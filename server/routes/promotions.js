@@ -0,0 +1,185 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { query } from '../db.js';
+import { authenticateToken, authorizeRoles } from '../middleware/auth.js';
+import { getTargetLocationId } from '../utils/location.js';
+import { AppError, asyncHandler } from '../utils/errors.js';
+import { PROMOTION_TYPES, isPromotionLive, normalizePromotion, previewPromotions } from '../services/promotionService.js';
+
+const router = express.Router();
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+function assertValidRequest(req) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Validation failed', 400, 'VALIDATION_ERROR', errors.array());
+  }
+}
+
+async function requireLocation(req) {
+  const locationId = await getTargetLocationId(req, query);
+  if (!locationId) {
+    throw new AppError('Location context is required for promotions', 400, 'LOCATION_REQUIRED');
+  }
+  return locationId;
+}
+
+// Only admins may run a promotion in every branch. Otherwise a promotion
+// keeps the branch it already has, or takes the one being worked in.
+async function promotionLocation(req, existing = null) {
+  if (req.body.all_branches) {
+    if (req.user.role !== 'admin') {
+      throw new AppError('Only admins can run a promotion in every branch', 403, 'FORBIDDEN');
+    }
+    return null;
+  }
+  return existing?.location_id ?? requireLocation(req);
+}
+
+async function loadPromotion(req, promotionId) {
+  const result = await query('SELECT * FROM promotions WHERE id = $1', [promotionId]);
+  const promotion = result.rows[0];
+  if (!promotion) {
+    throw new AppError('Promotion not found', 404, 'PROMOTION_NOT_FOUND');
+  }
+  if (req.user.role !== 'admin' && Number(promotion.location_id) !== Number(req.user.location_id)) {
+    throw new AppError('Promotion not found', 404, 'PROMOTION_NOT_FOUND');
+  }
+  return promotion;
+}
+
+const promotionValidators = [
+  body('name').trim().notEmpty().isLength({ max: 120 }),
+  body('promo_type').isIn(PROMOTION_TYPES),
+  body('product_id').optional({ values: 'falsy' }).isInt({ min: 1 }).toInt(),
+  body('category_id').optional({ values: 'falsy' }).isInt({ min: 1 }).toInt(),
+  body('percent_off').optional({ values: 'falsy' }).isFloat({ gt: 0, max: 100 }),
+  body('amount_off').optional({ values: 'falsy' }).isFloat({ gt: 0 }),
+  body('buy_quantity').optional({ values: 'falsy' }).isInt({ min: 1 }),
+  body('get_quantity').optional({ values: 'falsy' }).isInt({ min: 1 }),
+  body('bundle_quantity').optional({ values: 'falsy' }).isInt({ min: 2 }),
+  body('bundle_price').optional({ values: 'falsy' }).isFloat({ min: 0 }),
+  body('starts_on').optional({ values: 'falsy' }).isDate(),
+  body('ends_on').optional({ values: 'falsy' }).isDate(),
+  body('days_of_week').optional({ values: 'null' }).isArray({ max: 7 }),
+  body('start_time').optional({ values: 'falsy' }).matches(TIME_PATTERN),
+  body('end_time').optional({ values: 'falsy' }).matches(TIME_PATTERN),
+  body('priority').optional({ values: 'falsy' }).isInt(),
+  body('all_branches').optional().isBoolean().toBoolean(),
+];
+
+router.get('/', authenticateToken, asyncHandler(async (req, res) => {
+  const locationId = await requireLocation(req);
+  const result = await query(
+    `SELECT pr.*, p.name as product_name, c.name as category_name, l.name as location_name
+     FROM promotions pr
+     LEFT JOIN products p ON p.id = pr.product_id
+     LEFT JOIN categories c ON c.id = pr.category_id
+     LEFT JOIN locations l ON l.id = pr.location_id
+     WHERE pr.location_id IS NULL OR pr.location_id = $1
+     ORDER BY pr.is_active DESC, pr.priority DESC, pr.name`,
+    [locationId]
+  );
+  const now = new Date();
+  res.json(result.rows.map((promotion) => ({ ...promotion, is_live: isPromotionLive(promotion, now) })));
+}));
+
+router.post(
+  '/',
+  authenticateToken,
+  authorizeRoles('admin', 'manager'),
+  ...promotionValidators,
+  asyncHandler(async (req, res) => {
+    assertValidRequest(req);
+    const promotion = normalizePromotion(req.body);
+    const locationId = await promotionLocation(req);
+
+    const result = await query(
+      `INSERT INTO promotions
+       (name, promo_type, location_id, product_id, category_id, percent_off, amount_off, buy_quantity, get_quantity,
+        bundle_quantity, bundle_price, starts_on, ends_on, days_of_week, start_time, end_time, priority, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+       RETURNING *`,
+      [
+        promotion.name, promotion.promo_type, locationId, promotion.product_id, promotion.category_id,
+        promotion.percent_off, promotion.amount_off, promotion.buy_quantity, promotion.get_quantity,
+        promotion.bundle_quantity, promotion.bundle_price, promotion.starts_on, promotion.ends_on,
+        promotion.days_of_week, promotion.start_time, promotion.end_time, promotion.priority, req.user.id,
+      ]
+    );
+
+    await query(
+      `INSERT INTO activity_log (user_id, location_id, activity_type, description, metadata)
+       VALUES ($1, $2, 'promotion_created', $3, $4)`,
+      [req.user.id, locationId || req.user.location_id, `Promotion ${promotion.name} created`, JSON.stringify({ promotion_id: result.rows[0].id })]
+    );
+
+    res.status(201).json(result.rows[0]);
+  })
+);
+
+router.put(
+  '/:id',
+  authenticateToken,
+  authorizeRoles('admin', 'manager'),
+  ...promotionValidators,
+  asyncHandler(async (req, res) => {
+    assertValidRequest(req);
+    const existing = await loadPromotion(req, req.params.id);
+    const promotion = normalizePromotion(req.body);
+    const locationId = await promotionLocation(req, existing);
+
+    const result = await query(
+      `UPDATE promotions
+       SET name = $1, promo_type = $2, location_id = $3, product_id = $4, category_id = $5, percent_off = $6,
+           amount_off = $7, buy_quantity = $8, get_quantity = $9, bundle_quantity = $10, bundle_price = $11,
+           starts_on = $12, ends_on = $13, days_of_week = $14, start_time = $15, end_time = $16, priority = $17,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $18
+       RETURNING *`,
+      [
+        promotion.name, promotion.promo_type, locationId, promotion.product_id, promotion.category_id,
+        promotion.percent_off, promotion.amount_off, promotion.buy_quantity, promotion.get_quantity,
+        promotion.bundle_quantity, promotion.bundle_price, promotion.starts_on, promotion.ends_on,
+        promotion.days_of_week, promotion.start_time, promotion.end_time, promotion.priority, req.params.id,
+      ]
+    );
+    res.json(result.rows[0]);
+  })
+);
+
+router.patch(
+  '/:id/active',
+  authenticateToken,
+  authorizeRoles('admin', 'manager'),
+  body('is_active').isBoolean().toBoolean(),
+  asyncHandler(async (req, res) => {
+    assertValidRequest(req);
+    await loadPromotion(req, req.params.id);
+    const result = await query(
+      'UPDATE promotions SET is_active = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+      [req.body.is_active, req.params.id]
+    );
+    res.json(result.rows[0]);
+  })
+);
+
+// What the current cart would get; the sale is priced again on checkout.
+router.post(
+  '/preview',
+  authenticateToken,
+  body('items').isArray(),
+  body('items.*.product_id').isInt({ min: 1 }),
+  body('items.*.quantity').isFloat({ gt: 0 }),
+  body('items.*.unit').optional({ values: 'falsy' }).isString(),
+  asyncHandler(async (req, res) => {
+    assertValidRequest(req);
+    const locationId = await requireLocation(req);
+    if (!req.body.items.length) {
+      return res.json({ lines: [], promotion_amount: 0 });
+    }
+    res.json(await previewPromotions({ query }, { locationId, items: req.body.items }));
+  })
+);
+
+export default router;
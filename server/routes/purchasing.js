@@ -0,0 +1,422 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { query, withTransaction } from '../db.js';
+import { authenticateToken, authorizeRoles } from '../middleware/auth.js';
+import { getTargetLocationId } from '../utils/location.js';
+import { AppError, asyncHandler } from '../utils/errors.js';
+import { PURCHASE_ORDER_STATUSES, normalizePurchaseLines, receivePurchaseOrder } from '../services/purchaseOrderService.js';
+
+const router = express.Router();
+
+function clampLimit(value, fallback = 100, max = 500) {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed <= 0) return fallback;
+  return Math.min(Math.trunc(parsed), max);
+}
+
+function assertValidRequest(req) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Validation failed', 400, 'VALIDATION_ERROR', errors.array());
+  }
+}
+
+async function requireLocation(req) {
+  const locationId = await getTargetLocationId(req, query);
+  if (!locationId) {
+    throw new AppError('Location context is required for purchasing', 400, 'LOCATION_REQUIRED');
+  }
+  return locationId;
+}
+
+async function getPurchaseOrder(orderId, locationId, db = { query }) {
+  const order = await db.query(
+    `SELECT po.*, s.name as supplier_name, u.username as created_by_name
+     FROM purchase_orders po
+     JOIN suppliers s ON s.id = po.supplier_id
+     LEFT JOIN users u ON u.id = po.created_by
+     WHERE po.id = $1 AND po.location_id = $2`,
+    [orderId, locationId]
+  );
+  if (!order.rows.length) return null;
+
+  const items = await db.query(
+    `SELECT poi.*,
+            COALESCE(p.name, i.name) as item_name,
+            COALESCE(p.unit, i.unit) as unit,
+            CASE WHEN poi.product_id IS NOT NULL THEN 'product' ELSE 'ingredient' END as item_type
+     FROM purchase_order_items poi
+     LEFT JOIN products p ON p.id = poi.product_id
+     LEFT JOIN ingredients i ON i.id = poi.ingredient_id
+     WHERE poi.purchase_order_id = $1
+     ORDER BY poi.id`,
+    [orderId]
+  );
+
+  const receipts = await db.query(
+    `SELECT r.*, u.username as received_by_name
+     FROM purchase_receipts r
+     LEFT JOIN users u ON u.id = r.received_by
+     WHERE r.purchase_order_id = $1
+     ORDER BY r.received_at DESC`,
+    [orderId]
+  );
+
+  return { ...order.rows[0], items: items.rows, receipts: receipts.rows };
+}
+
+router.get('/suppliers', authenticateToken, authorizeRoles('admin', 'manager'), asyncHandler(async (req, res) => {
+  const result = await query(
+    `SELECT * FROM suppliers
+     WHERE ($1::boolean OR is_active = true)
+     ORDER BY name`,
+    [req.query.include_inactive === 'true']
+  );
+  res.json(result.rows);
+}));
+
+router.post(
+  '/suppliers',
+  authenticateToken,
+  authorizeRoles('admin', 'manager'),
+  body('name').trim().notEmpty().isLength({ max: 120 }),
+  body('email').optional({ checkFalsy: true }).isEmail(),
+  asyncHandler(async (req, res) => {
+    assertValidRequest(req);
+    const { name, contact_name, phone, email, address, notes } = req.body;
+
+    const existing = await query('SELECT id FROM suppliers WHERE LOWER(name) = LOWER($1)', [name]);
+    if (existing.rows.length) {
+      throw new AppError(`Supplier "${name}" already exists`, 409, 'SUPPLIER_EXISTS');
+    }
+
+    const result = await query(
+      `INSERT INTO suppliers (name, contact_name, phone, email, address, notes)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [name, contact_name || null, phone || null, email || null, address || null, notes || null]
+    );
+    res.status(201).json(result.rows[0]);
+  })
+);
+
+router.put(
+  '/suppliers/:id',
+  authenticateToken,
+  authorizeRoles('admin', 'manager'),
+  body('name').optional().trim().notEmpty().isLength({ max: 120 }),
+  body('email').optional({ checkFalsy: true }).isEmail(),
+  body('is_active').optional().isBoolean(),
+  asyncHandler(async (req, res) => {
+    assertValidRequest(req);
+    const result = await query(
+      `UPDATE suppliers
+       SET name = COALESCE($1, name),
+           contact_name = COALESCE($2, contact_name),
+           phone = COALESCE($3, phone),
+           email = COALESCE($4, email),
+           address = COALESCE($5, address),
+           notes = COALESCE($6, notes),
+           is_active = COALESCE($7, is_active),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $8
+       RETURNING *`,
+      [
+        req.body.name ?? null,
+        req.body.contact_name ?? null,
+        req.body.phone ?? null,
+        req.body.email ?? null,
+        req.body.address ?? null,
+        req.body.notes ?? null,
+        req.body.is_active ?? null,
+        req.params.id,
+      ]
+    );
+    if (!result.rows.length) {
+      throw new AppError('Supplier not found', 404, 'SUPPLIER_NOT_FOUND');
+    }
+    res.json(result.rows[0]);
+  })
+);
+
+router.get('/orders', authenticateToken, authorizeRoles('admin', 'manager'), asyncHandler(async (req, res) => {
+  const locationId = await requireLocation(req);
+  const limit = clampLimit(req.query.limit);
+  const params = [locationId];
+  let where = 'po.location_id = $1';
+
+  if (req.query.status) {
+    if (!PURCHASE_ORDER_STATUSES.includes(req.query.status)) {
+      throw new AppError(`status must be one of: ${PURCHASE_ORDER_STATUSES.join(', ')}`, 400, 'VALIDATION_ERROR');
+    }
+    params.push(req.query.status);
+    where += ` AND po.status = $${params.length}`;
+  }
+
+  if (req.query.supplier_id) {
+    params.push(req.query.supplier_id);
+    where += ` AND po.supplier_id = $${params.length}`;
+  }
+
+  params.push(limit);
+  const result = await query(
+    `SELECT po.*, s.name as supplier_name,
+            COALESCE(SUM(poi.quantity_ordered * poi.unit_cost), 0) as ordered_value,
+            COALESCE(SUM(poi.quantity_received * poi.unit_cost), 0) as received_value,
+            COUNT(poi.id)::int as line_count
+     FROM purchase_orders po
+     JOIN suppliers s ON s.id = po.supplier_id
+     LEFT JOIN purchase_order_items poi ON poi.purchase_order_id = po.id
+     WHERE ${where}
+     GROUP BY po.id, s.name
+     ORDER BY po.expected_date ASC NULLS LAST, po.id DESC
+     LIMIT $${params.length}`,
+    params
+  );
+  res.json(result.rows);
+}));
+
+router.get('/orders/:id', authenticateToken, authorizeRoles('admin', 'manager'), asyncHandler(async (req, res) => {
+  const locationId = await requireLocation(req);
+  const order = await getPurchaseOrder(req.params.id, locationId);
+  if (!order) {
+    throw new AppError('Purchase order not found', 404, 'PO_NOT_FOUND');
+  }
+  res.json(order);
+}));
+
+router.post(
+  '/orders',
+  authenticateToken,
+  authorizeRoles('admin', 'manager'),
+  body('supplier_id').isInt({ min: 1 }),
+  body('expected_date').optional({ checkFalsy: true }).isDate(),
+  body('status').optional().isIn(['draft', 'ordered']),
+  body('items').isArray({ min: 1 }),
+  body('items.*.product_id').optional({ nullable: true }).isInt({ min: 1 }),
+  body('items.*.ingredient_id').optional({ nullable: true }).isInt({ min: 1 }),
+  body('items.*.quantity').isFloat({ gt: 0 }),
+  body('items.*.unit').optional({ nullable: true }).trim().notEmpty(),
+  body('items.*.unit_cost').optional().isFloat({ min: 0 }),
+  asyncHandler(async (req, res) => {
+    assertValidRequest(req);
+    const { supplier_id, expected_date, status, notes, items } = req.body;
+
+    for (const item of items) {
+      if (Boolean(item.product_id) === Boolean(item.ingredient_id)) {
+        throw new AppError('Each line needs either product_id or ingredient_id', 400, 'VALIDATION_ERROR');
+      }
+    }
+
+    const locationId = await requireLocation(req);
+
+    const order = await withTransaction(async (tx) => {
+      const supplier = await tx.query('SELECT id, name FROM suppliers WHERE id = $1 AND is_active = true', [supplier_id]);
+      if (!supplier.rows.length) {
+        throw new AppError('Supplier not found', 404, 'SUPPLIER_NOT_FOUND');
+      }
+
+      const productIds = items.filter((item) => item.product_id).map((item) => Number(item.product_id));
+      if (productIds.length) {
+        const products = await tx.query('SELECT id, source FROM products WHERE id = ANY($1::int[])', [productIds]);
+        const sources = new Map(products.rows.map((row) => [Number(row.id), row.source || 'baked']));
+        for (const productId of productIds) {
+          if (!sources.has(productId)) {
+            throw new AppError(`Product ${productId} not found`, 404, 'PRODUCT_NOT_FOUND');
+          }
+          if (sources.get(productId) !== 'purchased') {
+            throw new AppError(`Product ${productId} is baked in-house and cannot be purchased`, 400, 'VALIDATION_ERROR');
+          }
+        }
+      }
+
+      const inserted = await tx.query(
+        `INSERT INTO purchase_orders (location_id, supplier_id, status, expected_date, notes, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING id`,
+        [locationId, supplier_id, status || 'ordered', expected_date || null, notes || null, req.user.id]
+      );
+      const orderId = inserted.rows[0].id;
+
+      const lines = await normalizePurchaseLines(tx, items);
+      for (const item of lines) {
+        await tx.query(
+          `INSERT INTO purchase_order_items
+           (purchase_order_id, product_id, ingredient_id, quantity_ordered, unit_cost, entered_quantity, entered_unit)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+          [
+            orderId,
+            item.product_id || null,
+            item.ingredient_id || null,
+            item.quantity,
+            item.unit_cost || 0,
+            item.entered_quantity,
+            item.entered_unit,
+          ]
+        );
+      }
+
+      await tx.query(
+        `INSERT INTO activity_log (user_id, location_id, activity_type, description, metadata)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [
+          req.user.id,
+          locationId,
+          'purchase_order_created',
+          `Created purchase order #${orderId} for ${supplier.rows[0].name}`,
+          JSON.stringify({ purchase_order_id: orderId, supplier_id, lines: items.length, expected_date: expected_date || null }),
+        ]
+      );
+
+      return getPurchaseOrder(orderId, locationId, tx);
+    });
+
+    res.status(201).json(order);
+  })
+);
+
+router.patch(
+  '/orders/:id/status',
+  authenticateToken,
+  authorizeRoles('admin', 'manager'),
+  body('status').isIn(['ordered', 'cancelled']),
+  asyncHandler(async (req, res) => {
+    assertValidRequest(req);
+    const locationId = await requireLocation(req);
+    const nextStatus = req.body.status;
+
+    const order = await withTransaction(async (tx) => {
+      const existing = await tx.query(
+        'SELECT * FROM purchase_orders WHERE id = $1 AND location_id = $2 FOR UPDATE',
+        [req.params.id, locationId]
+      );
+      if (!existing.rows.length) {
+        throw new AppError('Purchase order not found', 404, 'PO_NOT_FOUND');
+      }
+
+      const current = existing.rows[0];
+      const allowed = nextStatus === 'ordered' ? ['draft'] : ['draft', 'ordered', 'partially_received'];
+      if (!allowed.includes(current.status)) {
+        throw new AppError(`Purchase order #${current.id} cannot move from ${current.status} to ${nextStatus}`, 409, 'PO_INVALID_TRANSITION');
+      }
+
+      await tx.query(
+        'UPDATE purchase_orders SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [nextStatus, current.id]
+      );
+
+      await tx.query(
+        `INSERT INTO activity_log (user_id, location_id, activity_type, description, metadata)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [
+          req.user.id,
+          locationId,
+          'purchase_order_status_changed',
+          `Purchase order #${current.id} moved from ${current.status} to ${nextStatus}`,
+          JSON.stringify({ purchase_order_id: current.id, from_status: current.status, to_status: nextStatus }),
+        ]
+      );
+
+      return getPurchaseOrder(current.id, locationId, tx);
+    });
+
+    res.json(order);
+  })
+);
+
+router.post(
+  '/orders/:id/receive',
+  authenticateToken,
+  authorizeRoles('admin', 'manager'),
+  body('lines').isArray({ min: 1 }),
+  body('lines.*.item_id').isInt({ min: 1 }),
+  body('lines.*.quantity').isFloat({ gt: 0 }),
+  body('lines.*.unit').optional({ nullable: true }).trim().notEmpty(),
+  body('lines.*.unit_cost').optional().isFloat({ min: 0 }),
+  body('create_expense').optional().isBoolean(),
+  body('expense_category').optional().trim().notEmpty(),
+  asyncHandler(async (req, res) => {
+    assertValidRequest(req);
+    const locationId = await requireLocation(req);
+    const idempotencyKey = req.headers['x-idempotency-key'];
+
+    const result = await withTransaction(async (tx) => {
+      if (idempotencyKey) {
+        const existing = await tx.query(
+          `SELECT response_payload FROM idempotency_keys
+           WHERE user_id = $1 AND idempotency_key = $2`,
+          [req.user.id, idempotencyKey]
+        );
+        if (existing.rows.length > 0) {
+          return existing.rows[0].response_payload;
+        }
+      }
+
+      const orderResult = await tx.query(
+        'SELECT * FROM purchase_orders WHERE id = $1 AND location_id = $2 FOR UPDATE',
+        [req.params.id, locationId]
+      );
+      if (!orderResult.rows.length) {
+        throw new AppError('Purchase order not found', 404, 'PO_NOT_FOUND');
+      }
+      const orderRow = orderResult.rows[0];
+      const items = await tx.query(
+        `SELECT poi.*,
+                COALESCE(p.unit, i.unit, 'piece') as unit,
+                COALESCE(u.allows_fraction, poi.ingredient_id IS NOT NULL) as allows_fraction
+         FROM purchase_order_items poi
+         LEFT JOIN products p ON p.id = poi.product_id
+         LEFT JOIN ingredients i ON i.id = poi.ingredient_id
+         LEFT JOIN units u ON u.code = COALESCE(p.unit, i.unit)
+         WHERE poi.purchase_order_id = $1
+         FOR UPDATE OF poi`,
+        [orderRow.id]
+      );
+
+      const received = await receivePurchaseOrder(tx, {
+        order: orderRow,
+        items: items.rows,
+        lines: req.body.lines,
+        userId: req.user.id,
+        createExpense: req.body.create_expense === true,
+        expenseCategory: req.body.expense_category || 'Supplies',
+        notes: req.body.notes || null,
+      });
+
+      await tx.query(
+        `INSERT INTO activity_log (user_id, location_id, activity_type, description, metadata)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [
+          req.user.id,
+          locationId,
+          'purchase_order_received',
+          `Received ${req.body.lines.length} line(s) on purchase order #${orderRow.id}`,
+          JSON.stringify({
+            purchase_order_id: orderRow.id,
+            receipt_id: received.receipt.id,
+            total: received.total,
+            status: received.status,
+            expense_id: received.expense?.id || null,
+          }),
+        ]
+      );
+
+      const response = { ...(await getPurchaseOrder(orderRow.id, locationId, tx)), receipt: received.receipt };
+
+      if (idempotencyKey) {
+        await tx.query(
+          `INSERT INTO idempotency_keys (user_id, location_id, idempotency_key, endpoint, response_payload)
+           VALUES ($1, $2, $3, $4, $5)
+           ON CONFLICT (user_id, idempotency_key) DO NOTHING`,
+          [req.user.id, locationId, idempotencyKey, `/api/purchasing/orders/${orderRow.id}/receive`, JSON.stringify(response)]
+        );
+      }
+
+      return response;
+    });
+
+    res.status(201).json(result);
+  })
+);
+
+export default router;
@@ -0,0 +1,117 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { query, withTransaction } from '../db.js';
+import { authenticateToken, authorizeRoles } from '../middleware/auth.js';
+import { getTargetLocationId } from '../utils/location.js';
+import { AppError, asyncHandler } from '../utils/errors.js';
+import {
+  MAX_RANGE_SIZE,
+  allocateReceiptRange,
+  formatReceiptNumber,
+  releaseReceiptRange,
+  updateReceiptSequence,
+} from '../services/receiptService.js';
+
+const router = express.Router();
+
+function assertValidRequest(req) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Validation failed', 400, 'VALIDATION_ERROR', errors.array());
+  }
+}
+
+async function requireLocation(req) {
+  const locationId = await getTargetLocationId(req, query);
+  if (!locationId) {
+    throw new AppError('Location context is required for receipt numbering', 400, 'LOCATION_REQUIRED');
+  }
+  return locationId;
+}
+
+function withLabels(range) {
+  return {
+    ...range,
+    first_receipt: formatReceiptNumber(range.prefix, range.padding, range.start_number),
+    last_receipt: formatReceiptNumber(range.prefix, range.padding, range.end_number),
+  };
+}
+
+// The branch's prefix, next number and offline ranges.
+router.get('/sequence', authenticateToken, authorizeRoles('admin', 'manager'), asyncHandler(async (req, res) => {
+  const locationId = await requireLocation(req);
+  const sequence = await query('SELECT * FROM receipt_sequences WHERE location_id = $1', [locationId]);
+  const ranges = await query(
+    `SELECT r.*, u.username as user_name
+     FROM receipt_ranges r
+     LEFT JOIN users u ON u.id = r.user_id
+     WHERE r.location_id = $1
+     ORDER BY r.status, r.start_number DESC
+     LIMIT 200`,
+    [locationId]
+  );
+  const row = sequence.rows[0] || null;
+  res.json({
+    sequence: row && { ...row, next_receipt: formatReceiptNumber(row.prefix, row.padding, row.next_number) },
+    ranges: ranges.rows.map(withLabels),
+  });
+}));
+
+router.put(
+  '/sequence',
+  authenticateToken,
+  authorizeRoles('admin'),
+  body('prefix').trim().notEmpty(),
+  body('padding').optional().isInt({ min: 1, max: 12 }).toInt(),
+  asyncHandler(async (req, res) => {
+    assertValidRequest(req);
+    const locationId = await requireLocation(req);
+    const sequence = await withTransaction((tx) => updateReceiptSequence(tx, {
+      locationId,
+      user: req.user,
+      prefix: req.body.prefix,
+      padding: req.body.padding,
+    }));
+    res.json(sequence);
+  })
+);
+
+// Reserve numbers for a device to print offline. Devices ask while online.
+router.post(
+  '/ranges',
+  authenticateToken,
+  authorizeRoles('admin', 'manager', 'cashier'),
+  body('device_id').trim().notEmpty().isLength({ max: 100 }),
+  body('size').optional().isInt({ min: 1, max: MAX_RANGE_SIZE }).toInt(),
+  asyncHandler(async (req, res) => {
+    assertValidRequest(req);
+    const locationId = await requireLocation(req);
+    const range = await withTransaction((tx) => allocateReceiptRange(tx, {
+      locationId,
+      user: req.user,
+      deviceId: req.body.device_id,
+      size: req.body.size || 50,
+    }));
+    res.status(201).json(withLabels(range));
+  })
+);
+
+router.post(
+  '/ranges/:id/release',
+  authenticateToken,
+  authorizeRoles('admin', 'manager', 'cashier'),
+  body('next_number').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+  asyncHandler(async (req, res) => {
+    assertValidRequest(req);
+    const locationId = await requireLocation(req);
+    const range = await withTransaction((tx) => releaseReceiptRange(tx, {
+      rangeId: req.params.id,
+      locationId,
+      user: req.user,
+      nextUnused: req.body.next_number ?? null,
+    }));
+    res.json(withLabels(range));
+  })
+);
+
+export default router;
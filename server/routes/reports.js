@@ -2,8 +2,29 @@ import express from 'express';
 import { query } from '../db.js';
 import { authenticateToken, authorizeRoles } from '../middleware/auth.js';
 import { getTargetLocationId } from '../utils/location.js';
+import { effectiveProductCostSql } from '../services/costRollupService.js';
+import { summarizeWaste } from '../services/wasteService.js';
+import { VALUATION_METHODS, getInventoryValuation } from '../services/valuationService.js';
+import { AppError } from '../utils/errors.js';
 
 const router = express.Router();
+const batchUnitCostExpr = effectiveProductCostSql('bi.product_id', 'b.created_at');
+const saleUnitCostExpr = effectiveProductCostSql('si.product_id', 's.sale_date');
+// Net of refunds: figures stay on the original sale's date.
+// Gross is at list price, before promotions and discounts.
+const saleGrossAmountExpr = '(s.total_amount + COALESCE(s.discount_amount, 0) + COALESCE(s.promotion_amount, 0))';
+const saleNetAmountExpr = '(s.total_amount - COALESCE(s.refunded_amount, 0))';
+const lineNetAmountExpr = '(si.subtotal - COALESCE(si.refunded_amount, 0))';
+const lineNetQuantityExpr = '(si.quantity - COALESCE(si.refunded_quantity, 0))';
+// Refunds give back their share of the line's tax.
+const lineNetTaxExpr = '(CASE WHEN si.subtotal > 0 THEN si.tax_amount * (si.subtotal - COALESCE(si.refunded_amount, 0)) / si.subtotal ELSE 0 END)';
+
+// What one sale took in a payment method, less what was refunded that way.
+function saleTenderNetExpr(method) {
+  return `(COALESCE((SELECT SUM(sp.amount) FROM sale_payments sp WHERE sp.sale_id = s.id AND sp.payment_method = '${method}'), 0)
+          - COALESCE((SELECT SUM(r.total_amount) FROM sale_refunds r
+                      WHERE r.sale_id = s.id AND r.status = 'completed' AND r.refund_method = '${method}'), 0))`;
+}
 
 
 async function getSalesColumnCapabilities(db) {
@@ -36,6 +57,142 @@ async function getInventoryBatchColumnCapabilities(db) {
   };
 }
 
+async function getWasteSummary(locationId, startDate, endDate, totalBatchCosts) {
+  const result = await query(
+    `SELECT m.product_id, p.name as product_name,
+            COALESCE(m.metadata->>'reason', 'unspecified') as reason,
+            SUM(-m.quantity_change) as quantity,
+            COALESCE(SUM(m.cost_value), 0) as cost_value
+     FROM inventory_movements m
+     JOIN products p ON p.id = m.product_id
+     WHERE m.location_id = $1 AND m.movement_type = 'waste'
+       AND DATE(m.created_at) BETWEEN $2 AND $3
+     GROUP BY m.product_id, p.name, COALESCE(m.metadata->>'reason', 'unspecified')`,
+    [locationId, startDate, endDate]
+  );
+
+  const summary = summarizeWaste(result.rows);
+  return {
+    ...summary,
+    percent_of_batch_cost: totalBatchCosts > 0 ? Number(((summary.total_cost / totalBatchCosts) * 100).toFixed(2)) : 0,
+  };
+}
+
+// Payment-method breakdown by tender: a split sale counts under each method
+// it used. Refunds come off the method they were paid back in, so the
+// methods add up to net sales. `salesWhere` filters the period's sales (s).
+async function getTenderBreakdown(salesWhere, params) {
+  const result = await query(
+    `WITH period_sales AS (
+       SELECT s.id FROM sales s WHERE ${salesWhere}
+     ),
+     tenders AS (
+       SELECT sp.payment_method, COUNT(DISTINCT sp.sale_id) as count, SUM(sp.amount) as amount
+       FROM sale_payments sp
+       JOIN period_sales ps ON ps.id = sp.sale_id
+       GROUP BY sp.payment_method
+     ),
+     refunds AS (
+       SELECT r.refund_method as payment_method, SUM(r.total_amount) as amount
+       FROM sale_refunds r
+       JOIN period_sales ps ON ps.id = r.sale_id
+       WHERE r.status = 'completed'
+       GROUP BY r.refund_method
+     )
+     SELECT COALESCE(t.payment_method, rf.payment_method) as payment_method,
+            COALESCE(t.count, 0) as count,
+            COALESCE(t.amount, 0) - COALESCE(rf.amount, 0) as total,
+            COALESCE(rf.amount, 0) as refunded
+     FROM tenders t
+     FULL JOIN refunds rf ON rf.payment_method = t.payment_method
+     ORDER BY total DESC`,
+    params
+  );
+  return result.rows;
+}
+
+// Refunds paid out in the period, whatever day the sale was made: what left the till.
+async function getRefundsIssued(locationId, startDate, endDate) {
+  const result = await query(
+    `SELECT r.refund_method, COUNT(*) as count, COALESCE(SUM(r.total_amount), 0) as total
+     FROM sale_refunds r
+     WHERE r.location_id = $1 AND r.status = 'completed'
+       AND DATE(COALESCE(r.approved_at, r.created_at)) BETWEEN $2 AND $3
+     GROUP BY r.refund_method
+     ORDER BY total DESC`,
+    [locationId, startDate, endDate]
+  );
+  const pending = await query(
+    `SELECT COUNT(*)::int as count, COALESCE(SUM(total_amount), 0) as total
+     FROM sale_refunds WHERE location_id = $1 AND status = 'pending'`,
+    [locationId]
+  );
+
+  return {
+    count: result.rows.reduce((sum, row) => sum + Number(row.count), 0),
+    total: Math.round(result.rows.reduce((sum, row) => sum + Number(row.total), 0) * 100) / 100,
+    by_method: result.rows.map((row) => ({ refund_method: row.refund_method, count: Number(row.count), total: Number(row.total) })),
+    pending_count: pending.rows[0].count,
+    pending_total: Number(pending.rows[0].total),
+  };
+}
+
+// Where the day's cash went: cash taken and refunded, safe drops, paid-outs
+// and paid-ins, and how the branch's closed shifts counted up. Drops stay the
+// business's money, so net cash counts them as held rather than spent.
+async function getCashSection(locationId, date, nonVoidedExpr, cashRefunds) {
+  const cashSales = await query(
+    `SELECT COALESCE(SUM(sp.amount), 0) as total
+     FROM sale_payments sp
+     JOIN sales s ON s.id = sp.sale_id
+     WHERE s.location_id = $1 AND DATE(s.sale_date) = $2 AND ${nonVoidedExpr}
+       AND sp.payment_method = 'cash'`,
+    [locationId, date]
+  );
+  const movements = await query(
+    `SELECT cm.id, cm.shift_id, cm.movement_type, cm.amount, cm.reason, cm.reference, cm.expense_id, cm.created_at,
+            u.username as user_name, cashier.username as cashier_name
+     FROM cash_movements cm
+     LEFT JOIN users u ON u.id = cm.user_id
+     JOIN cashier_shifts cs ON cs.id = cm.shift_id
+     JOIN users cashier ON cashier.id = cs.cashier_id
+     WHERE cm.location_id = $1 AND DATE(cm.created_at) = $2
+     ORDER BY cm.created_at`,
+    [locationId, date]
+  );
+  const shifts = await query(
+    `SELECT COUNT(*)::int as count,
+            COALESCE(SUM(expected_cash), 0) as expected_cash,
+            COALESCE(SUM(counted_cash), 0) as counted_cash,
+            COALESCE(SUM(over_short), 0) as over_short
+     FROM cashier_shifts
+     WHERE location_id = $1 AND status = 'closed' AND DATE(closed_at) = $2`,
+    [locationId, date]
+  );
+
+  const movementList = movements.rows.map((row) => ({ ...row, amount: Number(row.amount) }));
+  const totalOf = (type) => Math.round(movementList.filter((row) => row.movement_type === type).reduce((sum, row) => sum + row.amount, 0) * 100) / 100;
+  const cash = {
+    cash_sales: Number(cashSales.rows[0].total),
+    cash_refunds: cashRefunds,
+    drops: totalOf('drop'),
+    paid_outs: totalOf('paid_out'),
+    paid_ins: totalOf('paid_in'),
+  };
+
+  return {
+    ...cash,
+    net_cash: Math.round((cash.cash_sales - cash.cash_refunds - cash.paid_outs + cash.paid_ins) * 100) / 100,
+    closed_shifts: {
+      count: shifts.rows[0].count,
+      expected_cash: Number(shifts.rows[0].expected_cash),
+      counted_cash: Number(shifts.rows[0].counted_cash),
+      over_short: Number(shifts.rows[0].over_short),
+    },
+    movements: movementList,
+  };
+}
+
 router.get('/daily', authenticateToken, async (req, res) => {
   try {
     const locationId = await getTargetLocationId(req, query);
@@ -63,7 +220,11 @@ router.get('/daily', authenticateToken, async (req, res) => {
     const salesResult = await query(
       `SELECT 
          COUNT(*) as total_transactions,
-         SUM(total_amount) as total_sales,
+         SUM(${saleNetAmountExpr}) as total_sales,
+         SUM(${saleGrossAmountExpr}) as gross_sales,
+         SUM(COALESCE(s.discount_amount, 0)) as discount_amount,
+         SUM(COALESCE(s.promotion_amount, 0)) as promotion_amount,
+         SUM(COALESCE(s.refunded_amount, 0)) as refunded_amount,
          AVG(total_amount) as avg_transaction
        FROM sales s
        WHERE s.location_id = $1 AND DATE(s.sale_date) = $2
@@ -73,8 +234,9 @@ router.get('/daily', authenticateToken, async (req, res) => {
 
     const topProductsResult = await query(
       `SELECT p.name, p.unit, 
-              SUM(si.quantity) as total_sold,
-              SUM(si.subtotal) as revenue
+              SUM(${lineNetQuantityExpr}) as total_sold,
+              SUM(${lineNetAmountExpr}) as revenue,
+              SUM(COALESCE(si.discount_amount, 0)) as discount
        FROM sale_items si
        JOIN sales s ON si.sale_id = s.id
        JOIN products p ON si.product_id = p.id
@@ -105,15 +267,8 @@ router.get('/daily', authenticateToken, async (req, res) => {
       [locationId, date]
     );
 
-    const paymentMethodsResult = await query(
-      `SELECT 
-         payment_method,
-         COUNT(*) as count,
-         SUM(total_amount) as total
-       FROM sales s
-       WHERE s.location_id = $1 AND DATE(s.sale_date) = $2
-         AND ${nonVoidedExpr}
-       GROUP BY payment_method`,
+    const paymentMethods = await getTenderBreakdown(
+      `s.location_id = $1 AND DATE(s.sale_date) = $2 AND ${nonVoidedExpr}`,
       [locationId, date]
     );
 
@@ -122,8 +277,9 @@ router.get('/daily', authenticateToken, async (req, res) => {
       `WITH sale_base AS (
           SELECT s.id,
                  s.cashier_id,
-                 s.total_amount,
-                 s.payment_method,
+                 ${saleNetAmountExpr} as total_amount,
+                 ${saleTenderNetExpr('cash')} as cash_amount,
+                 ${saleTenderNetExpr('mobile')} as mobile_amount,
                  ${statusSelectExpr} as sale_status,
                  ${offlineSelectExpr} as is_offline
           FROM sales s
@@ -133,7 +289,7 @@ router.get('/daily', authenticateToken, async (req, res) => {
             AND u.role = 'cashier'
        ),
        item_totals AS (
-          SELECT si.sale_id, COALESCE(SUM(si.quantity), 0) as items_sold
+          SELECT si.sale_id, COALESCE(SUM(${lineNetQuantityExpr}), 0) as items_sold
           FROM sale_items si
           GROUP BY si.sale_id
        )
@@ -142,8 +298,8 @@ router.get('/daily', authenticateToken, async (req, res) => {
               sb.cashier_id,
               COALESCE(COUNT(*) FILTER (WHERE sb.sale_status <> 'voided'), 0) as transactions,
               COALESCE(SUM(CASE WHEN sb.sale_status <> 'voided' THEN sb.total_amount ELSE 0 END), 0) as total_sales,
-              COALESCE(SUM(CASE WHEN sb.sale_status <> 'voided' AND sb.payment_method = 'cash' THEN sb.total_amount ELSE 0 END), 0) as cash_sales,
-              COALESCE(SUM(CASE WHEN sb.sale_status <> 'voided' AND sb.payment_method = 'mobile' THEN sb.total_amount ELSE 0 END), 0) as mobile_sales,
+              COALESCE(SUM(CASE WHEN sb.sale_status <> 'voided' THEN sb.cash_amount ELSE 0 END), 0) as cash_sales,
+              COALESCE(SUM(CASE WHEN sb.sale_status <> 'voided' THEN sb.mobile_amount ELSE 0 END), 0) as mobile_sales,
               COALESCE(SUM(CASE WHEN sb.sale_status <> 'voided' THEN COALESCE(it.items_sold, 0) ELSE 0 END), 0) as items_sold,
               COALESCE(SUM(CASE WHEN sb.sale_status = 'voided' THEN 1 ELSE 0 END), 0) as voided_transactions,
               COALESCE(SUM(CASE WHEN sb.is_offline = true THEN 1 ELSE 0 END), 0) as offline_synced_transactions
@@ -165,7 +321,7 @@ router.get('/daily', authenticateToken, async (req, res) => {
     );
 
     const batchCostResult = await query(
-      `SELECT COALESCE(SUM(bi.quantity * COALESCE(p.cost, 0)), 0) as total_batch_cost,
+      `SELECT COALESCE(SUM(bi.quantity * ${batchUnitCostExpr}), 0) as total_batch_cost,
               COUNT(DISTINCT b.id) as batch_count
        FROM inventory_batches b
        JOIN batch_items bi ON bi.batch_id = b.id
@@ -179,8 +335,8 @@ router.get('/daily', authenticateToken, async (req, res) => {
               ${batchOfflineExpr} as is_offline,
               ${batchCreatorExpr} as created_by_name,
               bi.product_id, p.name as product_name, bi.quantity, bi.source,
-              COALESCE(p.cost, 0) as unit_cost,
-              (bi.quantity * COALESCE(p.cost, 0)) as line_cost
+              ${batchUnitCostExpr} as unit_cost,
+              (bi.quantity * ${batchUnitCostExpr}) as line_cost
        FROM inventory_batches b
        JOIN batch_items bi ON bi.batch_id = b.id
        JOIN products p ON p.id = bi.product_id
@@ -214,14 +370,27 @@ router.get('/daily', authenticateToken, async (req, res) => {
     const totalCosts = totalExpenses + totalStaffPayments + totalBatchCosts;
     const grossProfit = totalRevenue - totalExpenses;
     const netProfit = totalRevenue - totalCosts;
+    const waste = await getWasteSummary(locationId, date, date, totalBatchCosts);
+    const refunds = await getRefundsIssued(locationId, date, date);
+    const cash = await getCashSection(
+      locationId,
+      date,
+      nonVoidedExpr,
+      Number(refunds.by_method.find((row) => row.refund_method === 'cash')?.total || 0)
+    );
 
     res.json({
       date,
       sales: {
         total_transactions: parseInt(sales.total_transactions) || 0,
         total_sales: totalRevenue,
+        gross_sales: parseFloat(sales.gross_sales) || 0,
+        discount_amount: parseFloat(sales.discount_amount) || 0,
+        promotion_amount: parseFloat(sales.promotion_amount) || 0,
+        refunded_amount: parseFloat(sales.refunded_amount) || 0,
         avg_transaction: parseFloat(sales.avg_transaction) || 0
       },
+      refunds,
       expenses: {
         expense_count: parseInt(expenses.expense_count) || 0,
         total_expenses: totalExpenses
@@ -236,8 +405,10 @@ router.get('/daily', authenticateToken, async (req, res) => {
         total_costs: totalCosts,
         batch_costs: totalBatchCosts
       },
+      waste,
+      cash,
       top_products: topProductsResult.rows,
-      payment_methods: paymentMethodsResult.rows,
+      payment_methods: paymentMethods,
       details: {
         cashier_performance: cashierPerformanceResult.rows,
         expenses: expenseListResult.rows,
@@ -289,7 +460,7 @@ router.get('/weekly', authenticateToken, async (req, res) => {
     const salesByDayResult = await query(
       `SELECT DATE(s.sale_date) as date,
               COUNT(*) as transactions,
-              COALESCE(SUM(s.total_amount), 0) as total_sales
+              COALESCE(SUM(${saleNetAmountExpr}), 0) as total_sales
        FROM sales s
        WHERE s.location_id = $1 AND DATE(s.sale_date) BETWEEN $2 AND $3
          AND ${nonVoidedExpr}
@@ -300,9 +471,18 @@ router.get('/weekly', authenticateToken, async (req, res) => {
 
     const totalsResult = await query(
       `SELECT 
-         (SELECT COALESCE(SUM(s.total_amount), 0) FROM sales s
+         (SELECT COALESCE(SUM(${saleNetAmountExpr}), 0) FROM sales s
           WHERE s.location_id = $1 AND DATE(s.sale_date) BETWEEN $2 AND $3
             AND ${nonVoidedExpr}) as total_sales,
+         (SELECT COALESCE(SUM(s.refunded_amount), 0) FROM sales s
+          WHERE s.location_id = $1 AND DATE(s.sale_date) BETWEEN $2 AND $3
+            AND ${nonVoidedExpr}) as refunded_amount,
+         (SELECT COALESCE(SUM(s.discount_amount), 0) FROM sales s
+          WHERE s.location_id = $1 AND DATE(s.sale_date) BETWEEN $2 AND $3
+            AND ${nonVoidedExpr}) as discount_amount,
+         (SELECT COALESCE(SUM(s.promotion_amount), 0) FROM sales s
+          WHERE s.location_id = $1 AND DATE(s.sale_date) BETWEEN $2 AND $3
+            AND ${nonVoidedExpr}) as promotion_amount,
          (SELECT COALESCE(SUM(amount), 0) FROM expenses 
           WHERE location_id = $1 AND expense_date BETWEEN $2 AND $3) as total_expenses,
          (SELECT COUNT(*) FROM expenses 
@@ -316,8 +496,9 @@ router.get('/weekly', authenticateToken, async (req, res) => {
 
     const topProductsResult = await query(
       `SELECT p.name,
-              SUM(si.quantity) as total_sold,
-              SUM(si.subtotal) as revenue
+              SUM(${lineNetQuantityExpr}) as total_sold,
+              SUM(${lineNetAmountExpr}) as revenue,
+              SUM(COALESCE(si.discount_amount, 0)) as discount
        FROM sale_items si
        JOIN sales s ON si.sale_id = s.id
        JOIN products p ON si.product_id = p.id
@@ -331,8 +512,8 @@ router.get('/weekly', authenticateToken, async (req, res) => {
 
     const categoryResult = await query(
       `SELECT c.name as category,
-              SUM(si.subtotal) as revenue,
-              SUM(si.quantity) as units_sold
+              SUM(${lineNetAmountExpr}) as revenue,
+              SUM(${lineNetQuantityExpr}) as units_sold
        FROM sale_items si
        JOIN sales s ON si.sale_id = s.id
        JOIN products p ON si.product_id = p.id
@@ -344,13 +525,8 @@ router.get('/weekly', authenticateToken, async (req, res) => {
       [locationId, startDate, endDate]
     );
 
-    const paymentMethodsResult = await query(
-      `SELECT s.payment_method, COUNT(*) as count, COALESCE(SUM(s.total_amount), 0) as total
-       FROM sales s
-       WHERE s.location_id = $1 AND DATE(s.sale_date) BETWEEN $2 AND $3
-         AND ${nonVoidedExpr}
-       GROUP BY s.payment_method
-       ORDER BY total DESC`,
+    const paymentMethods = await getTenderBreakdown(
+      `s.location_id = $1 AND DATE(s.sale_date) BETWEEN $2 AND $3 AND ${nonVoidedExpr}`,
       [locationId, startDate, endDate]
     );
 
@@ -358,8 +534,9 @@ router.get('/weekly', authenticateToken, async (req, res) => {
       `WITH sale_base AS (
           SELECT s.id,
                  s.cashier_id,
-                 s.total_amount,
-                 s.payment_method,
+                 ${saleNetAmountExpr} as total_amount,
+                 ${saleTenderNetExpr('cash')} as cash_amount,
+                 ${saleTenderNetExpr('mobile')} as mobile_amount,
                  ${statusSelectExpr} as sale_status,
                  ${offlineSelectExpr} as is_offline
           FROM sales s
@@ -369,7 +546,7 @@ router.get('/weekly', authenticateToken, async (req, res) => {
             AND u.role = 'cashier'
        ),
        item_totals AS (
-          SELECT si.sale_id, COALESCE(SUM(si.quantity), 0) as items_sold
+          SELECT si.sale_id, COALESCE(SUM(${lineNetQuantityExpr}), 0) as items_sold
           FROM sale_items si
           GROUP BY si.sale_id
        )
@@ -378,8 +555,8 @@ router.get('/weekly', authenticateToken, async (req, res) => {
               sb.cashier_id,
               COALESCE(COUNT(*) FILTER (WHERE sb.sale_status <> 'voided'), 0) as transactions,
               COALESCE(SUM(CASE WHEN sb.sale_status <> 'voided' THEN sb.total_amount ELSE 0 END), 0) as total_sales,
-              COALESCE(SUM(CASE WHEN sb.sale_status <> 'voided' AND sb.payment_method = 'cash' THEN sb.total_amount ELSE 0 END), 0) as cash_sales,
-              COALESCE(SUM(CASE WHEN sb.sale_status <> 'voided' AND sb.payment_method = 'mobile' THEN sb.total_amount ELSE 0 END), 0) as mobile_sales,
+              COALESCE(SUM(CASE WHEN sb.sale_status <> 'voided' THEN sb.cash_amount ELSE 0 END), 0) as cash_sales,
+              COALESCE(SUM(CASE WHEN sb.sale_status <> 'voided' THEN sb.mobile_amount ELSE 0 END), 0) as mobile_sales,
               COALESCE(SUM(CASE WHEN sb.sale_status <> 'voided' THEN COALESCE(it.items_sold, 0) ELSE 0 END), 0) as items_sold,
               COALESCE(SUM(CASE WHEN sb.sale_status = 'voided' THEN 1 ELSE 0 END), 0) as voided_transactions,
               COALESCE(SUM(CASE WHEN sb.is_offline = true THEN 1 ELSE 0 END), 0) as offline_synced_transactions
@@ -392,7 +569,7 @@ router.get('/weekly', authenticateToken, async (req, res) => {
     );
 
     const batchCostResult = await query(
-      `SELECT COALESCE(SUM(bi.quantity * COALESCE(p.cost, 0)), 0) as total_batch_cost,
+      `SELECT COALESCE(SUM(bi.quantity * ${batchUnitCostExpr}), 0) as total_batch_cost,
               COUNT(DISTINCT b.id) as batch_count
        FROM inventory_batches b
        JOIN batch_items bi ON bi.batch_id = b.id
@@ -406,8 +583,8 @@ router.get('/weekly', authenticateToken, async (req, res) => {
               ${batchOfflineExpr} as is_offline,
               ${batchCreatorExpr} as created_by_name,
               bi.product_id, p.name as product_name, bi.quantity, bi.source,
-              COALESCE(p.cost, 0) as unit_cost,
-              (bi.quantity * COALESCE(p.cost, 0)) as line_cost
+              ${batchUnitCostExpr} as unit_cost,
+              (bi.quantity * ${batchUnitCostExpr}) as line_cost
        FROM inventory_batches b
        JOIN batch_items bi ON bi.batch_id = b.id
        JOIN products p ON p.id = bi.product_id
@@ -449,11 +626,20 @@ router.get('/weekly', authenticateToken, async (req, res) => {
     const grossProfit = totalRevenue - totalExpenses;
     const netProfit = totalRevenue - totalCosts;
     const transactions = salesByDayResult.rows.reduce((acc, row) => acc + Number(row.transactions || 0), 0);
+    const waste = await getWasteSummary(locationId, startDate, endDate, totalBatchCosts);
+    const refunds = await getRefundsIssued(locationId, startDate, endDate);
 
     res.json({
       period: { start_date: startDate, end_date: endDate },
       summary: {
         total_sales: totalRevenue,
+        refunded_amount: parseFloat(totals.refunded_amount) || 0,
+        discount_amount: parseFloat(totals.discount_amount) || 0,
+        promotion_amount: parseFloat(totals.promotion_amount) || 0,
+        gross_sales: totalRevenue
+          + (parseFloat(totals.refunded_amount) || 0)
+          + (parseFloat(totals.discount_amount) || 0)
+          + (parseFloat(totals.promotion_amount) || 0),
         total_expenses: totalExpenses,
         total_staff_payments: totalStaffPayments,
         total_batch_costs: totalBatchCosts,
@@ -467,8 +653,10 @@ router.get('/weekly', authenticateToken, async (req, res) => {
         },
       sales_by_day: salesByDayResult.rows,
       sales_by_category: categoryResult.rows,
-      payment_methods: paymentMethodsResult.rows,
+      payment_methods: paymentMethods,
       top_products: topProductsResult.rows,
+      waste,
+      refunds,
       details: {
         cashier_performance: cashierPerformanceResult.rows,
         expenses: expenseListResult.rows,
@@ -508,7 +696,8 @@ router.get('/weekly/export', authenticateToken, async (req, res) => {
 
     const result = await query(
       `SELECT DATE(s.sale_date) as sale_date, p.name as product_name, c.name as category,
-              si.quantity, si.unit_price, si.subtotal, s.payment_method, s.receipt_number
+              si.quantity, si.unit_price, si.promotion_amount, si.discount_amount, si.subtotal, si.tax_code, si.tax_rate, si.tax_amount,
+              si.refunded_quantity, si.refunded_amount, s.payment_method, s.receipt_number
        FROM sale_items si
        JOIN sales s ON si.sale_id = s.id
        JOIN products p ON si.product_id = p.id
@@ -518,7 +707,7 @@ router.get('/weekly/export', authenticateToken, async (req, res) => {
       [locationId, startDate, endDate]
     );
 
-    const headers = ['sale_date','product_name','category','quantity','unit_price','subtotal','payment_method','receipt_number'];
+    const headers = ['sale_date','product_name','category','quantity','unit_price','promotion_amount','discount_amount','subtotal','tax_code','tax_rate','tax_amount','refunded_quantity','refunded_amount','payment_method','receipt_number'];
     const rows = result.rows.map((r) => headers.map((h) => `"${String(r[h] ?? '').replace(/"/g, '""')}"`).join(','));
     const csv = [headers.join(','), ...rows].join('\n');
 
@@ -558,7 +747,11 @@ router.get('/monthly', authenticateToken, async (req, res) => {
 
     const salesResult = await query(
       `SELECT COUNT(*) as total_transactions,
-              COALESCE(SUM(s.total_amount), 0) as total_sales,
+              COALESCE(SUM(${saleNetAmountExpr}), 0) as total_sales,
+              COALESCE(SUM(${saleGrossAmountExpr}), 0) as gross_sales,
+              COALESCE(SUM(s.discount_amount), 0) as discount_amount,
+              COALESCE(SUM(s.promotion_amount), 0) as promotion_amount,
+              COALESCE(SUM(s.refunded_amount), 0) as refunded_amount,
               AVG(s.total_amount) as avg_transaction
        FROM sales s
        WHERE s.location_id = $1
@@ -594,8 +787,9 @@ router.get('/monthly', authenticateToken, async (req, res) => {
 
     const topProductsResult = await query(
       `SELECT p.name,
-              SUM(si.quantity) as total_sold,
-              SUM(si.subtotal) as revenue
+              SUM(${lineNetQuantityExpr}) as total_sold,
+              SUM(${lineNetAmountExpr}) as revenue,
+              SUM(COALESCE(si.discount_amount, 0)) as discount
        FROM sale_items si
        JOIN sales s ON si.sale_id = s.id
        JOIN products p ON si.product_id = p.id
@@ -609,15 +803,11 @@ router.get('/monthly', authenticateToken, async (req, res) => {
       [locationId, year, month]
     );
 
-    const paymentMethodsResult = await query(
-      `SELECT s.payment_method, COUNT(*) as count, COALESCE(SUM(s.total_amount), 0) as total
-       FROM sales s
-       WHERE s.location_id = $1
+    const paymentMethods = await getTenderBreakdown(
+      `s.location_id = $1
          AND EXTRACT(YEAR FROM s.sale_date) = $2
          AND EXTRACT(MONTH FROM s.sale_date) = $3
-         AND ${nonVoidedExpr}
-       GROUP BY s.payment_method
-       ORDER BY total DESC`,
+         AND ${nonVoidedExpr}`,
       [locationId, year, month]
     );
 
@@ -625,8 +815,9 @@ router.get('/monthly', authenticateToken, async (req, res) => {
       `WITH sale_base AS (
           SELECT s.id,
                  s.cashier_id,
-                 s.total_amount,
-                 s.payment_method,
+                 ${saleNetAmountExpr} as total_amount,
+                 ${saleTenderNetExpr('cash')} as cash_amount,
+                 ${saleTenderNetExpr('mobile')} as mobile_amount,
                  ${statusSelectExpr} as sale_status,
                  ${offlineSelectExpr} as is_offline
           FROM sales s
@@ -638,7 +829,7 @@ router.get('/monthly', authenticateToken, async (req, res) => {
             AND u.role = 'cashier'
        ),
        item_totals AS (
-          SELECT si.sale_id, COALESCE(SUM(si.quantity), 0) as items_sold
+          SELECT si.sale_id, COALESCE(SUM(${lineNetQuantityExpr}), 0) as items_sold
           FROM sale_items si
           GROUP BY si.sale_id
        )
@@ -647,8 +838,8 @@ router.get('/monthly', authenticateToken, async (req, res) => {
               sb.cashier_id,
               COALESCE(COUNT(*) FILTER (WHERE sb.sale_status <> 'voided'), 0) as transactions,
               COALESCE(SUM(CASE WHEN sb.sale_status <> 'voided' THEN sb.total_amount ELSE 0 END), 0) as total_sales,
-              COALESCE(SUM(CASE WHEN sb.sale_status <> 'voided' AND sb.payment_method = 'cash' THEN sb.total_amount ELSE 0 END), 0) as cash_sales,
-              COALESCE(SUM(CASE WHEN sb.sale_status <> 'voided' AND sb.payment_method = 'mobile' THEN sb.total_amount ELSE 0 END), 0) as mobile_sales,
+              COALESCE(SUM(CASE WHEN sb.sale_status <> 'voided' THEN sb.cash_amount ELSE 0 END), 0) as cash_sales,
+              COALESCE(SUM(CASE WHEN sb.sale_status <> 'voided' THEN sb.mobile_amount ELSE 0 END), 0) as mobile_sales,
               COALESCE(SUM(CASE WHEN sb.sale_status <> 'voided' THEN COALESCE(it.items_sold, 0) ELSE 0 END), 0) as items_sold,
               COALESCE(SUM(CASE WHEN sb.sale_status = 'voided' THEN 1 ELSE 0 END), 0) as voided_transactions,
               COALESCE(SUM(CASE WHEN sb.is_offline = true THEN 1 ELSE 0 END), 0) as offline_synced_transactions
@@ -661,7 +852,7 @@ router.get('/monthly', authenticateToken, async (req, res) => {
     );
 
     const batchCostResult = await query(
-      `SELECT COALESCE(SUM(bi.quantity * COALESCE(p.cost, 0)), 0) as total_batch_cost,
+      `SELECT COALESCE(SUM(bi.quantity * ${batchUnitCostExpr}), 0) as total_batch_cost,
               COUNT(DISTINCT b.id) as batch_count
        FROM inventory_batches b
        JOIN batch_items bi ON bi.batch_id = b.id
@@ -678,8 +869,8 @@ router.get('/monthly', authenticateToken, async (req, res) => {
               ${batchOfflineExpr} as is_offline,
               ${batchCreatorExpr} as created_by_name,
               bi.product_id, p.name as product_name, bi.quantity, bi.source,
-              COALESCE(p.cost, 0) as unit_cost,
-              (bi.quantity * COALESCE(p.cost, 0)) as line_cost
+              ${batchUnitCostExpr} as unit_cost,
+              (bi.quantity * ${batchUnitCostExpr}) as line_cost
        FROM inventory_batches b
        JOIN batch_items bi ON bi.batch_id = b.id
        JOIN products p ON p.id = bi.product_id
@@ -728,14 +919,23 @@ router.get('/monthly', authenticateToken, async (req, res) => {
     const totalRevenue = parseFloat(sales.total_sales) || 0;
     const grossProfit = totalRevenue - totalExpenses;
     const netProfit = totalRevenue - totalCosts;
+    const monthStart = `${Number(year)}-${String(month).padStart(2, '0')}-01`;
+    const monthEnd = new Date(Date.UTC(Number(year), Number(month), 0)).toISOString().split('T')[0];
+    const waste = await getWasteSummary(locationId, monthStart, monthEnd, totalBatchCosts);
+    const refunds = await getRefundsIssued(locationId, monthStart, monthEnd);
 
     res.json({
       period: { year: parseInt(year), month: parseInt(month) },
       sales: {
         total_transactions: parseInt(sales.total_transactions) || 0,
         total_sales: totalRevenue,
+        gross_sales: parseFloat(sales.gross_sales) || 0,
+        discount_amount: parseFloat(sales.discount_amount) || 0,
+        promotion_amount: parseFloat(sales.promotion_amount) || 0,
+        refunded_amount: parseFloat(sales.refunded_amount) || 0,
         avg_transaction: parseFloat(sales.avg_transaction) || 0
       },
+      refunds,
       expenses: {
         expense_count: expensesByCategoryResult.rows.reduce((sum, row) => sum + parseInt(row.count), 0),
         total_expenses: totalExpenses,
@@ -756,8 +956,9 @@ router.get('/monthly', authenticateToken, async (req, res) => {
         batch_costs: totalBatchCosts,
         margin_percent: totalRevenue > 0 ? (netProfit / totalRevenue * 100).toFixed(2) : 0
       },
+      waste,
       top_products: topProductsResult.rows,
-      payment_methods: paymentMethodsResult.rows,
+      payment_methods: paymentMethods,
       details: {
         cashier_performance: cashierPerformanceResult.rows,
         expenses: expenseListResult.rows,
@@ -779,7 +980,7 @@ router.get('/branches/summary', authenticateToken, authorizeRoles('admin'), asyn
   try {
     const result = await query(
       `SELECT l.id as location_id, l.name as location_name,
-              COALESCE(SUM(CASE WHEN DATE(s.sale_date) = CURRENT_DATE THEN s.total_amount ELSE 0 END), 0) as today_sales,
+              COALESCE(SUM(CASE WHEN DATE(s.sale_date) = CURRENT_DATE THEN ${saleNetAmountExpr} ELSE 0 END), 0) as today_sales,
               COALESCE(COUNT(CASE WHEN DATE(s.sale_date) = CURRENT_DATE THEN s.id END), 0) as today_transactions,
               COALESCE((SELECT SUM(e.amount) FROM expenses e WHERE e.location_id = l.id AND e.expense_date = CURRENT_DATE), 0) as today_expenses,
               COALESCE((SELECT SUM(sp.amount) FROM staff_payments sp WHERE sp.location_id = l.id AND sp.payment_date = CURRENT_DATE AND COALESCE(sp.payment_type, 'salary') = 'salary'), 0) as today_staff_payments
@@ -834,15 +1035,46 @@ router.get('/kpis', authenticateToken, authorizeRoles('admin'), async (req, res)
     const totalBatches = Number(retry.total_batches || 0);
     const zeroRetryBatches = Number(retry.zero_retry_batches || 0);
 
+    const stocktakeTrend = await query(
+      `SELECT id as stocktake_id, closed_at, lines_counted, lines_with_variance,
+              variance_quantity, variance_value, shrinkage_value
+       FROM stocktakes
+       WHERE location_id = $1 AND status = 'posted' AND closed_at >= CURRENT_DATE - INTERVAL '90 days'
+       ORDER BY closed_at ASC`,
+      [locationId]
+    );
+    const varianceTrend = stocktakeTrend.rows.map((row) => ({
+      stocktake_id: row.stocktake_id,
+      closed_at: row.closed_at,
+      lines_counted: Number(row.lines_counted),
+      lines_with_variance: Number(row.lines_with_variance),
+      variance_quantity: Number(row.variance_quantity),
+      variance_value: Number(row.variance_value),
+      shrinkage_value: Number(row.shrinkage_value),
+      accuracy_percent: Number(row.lines_counted) > 0
+        ? ((Number(row.lines_counted) - Number(row.lines_with_variance)) / Number(row.lines_counted)) * 100
+        : 100,
+    }));
+
     res.json({
       avg_cashier_order_seconds: Number(cashierTiming.rows[0].avg_order_ms || 0) / 1000,
       owner_report_views_weekly: Number(ownerUsage.rows[0].weekly_views || 0),
       batch_zero_retry_rate_percent: totalBatches > 0 ? (zeroRetryBatches / totalBatches) * 100 : 0,
       avg_batch_retries: Number(retry.avg_batch_retries || 0),
+      stock_variance: {
+        sessions_90d: varianceTrend.length,
+        variance_value_90d: varianceTrend.reduce((sum, row) => sum + row.variance_value, 0),
+        shrinkage_value_90d: varianceTrend.reduce((sum, row) => sum + row.shrinkage_value, 0),
+        avg_count_accuracy_percent: varianceTrend.length
+          ? varianceTrend.reduce((sum, row) => sum + row.accuracy_percent, 0) / varianceTrend.length
+          : null,
+        trend: varianceTrend,
+      },
       goals: {
         cashier_order_target_seconds: 20,
         owner_views_target_weekly: 5,
-        batch_zero_retry_target_percent: 80
+        batch_zero_retry_target_percent: 80,
+        count_accuracy_target_percent: 95
       }
     });
   } catch (err) {
@@ -851,6 +1083,187 @@ router.get('/kpis', authenticateToken, authorizeRoles('admin'), async (req, res)
   }
 });
 
+router.get('/inventory-valuation', authenticateToken, authorizeRoles('admin', 'manager'), async (req, res) => {
+  try {
+    const method = req.query.method || 'weighted_average';
+    if (!VALUATION_METHODS.includes(method)) {
+      return res.status(400).json({ error: `method must be one of: ${VALUATION_METHODS.join(', ')}`, code: 'VALIDATION_ERROR', requestId: req.requestId });
+    }
+    const asOf = req.query.as_of || null;
+    if (asOf && !/^\d{4}-\d{2}-\d{2}$/.test(asOf)) {
+      return res.status(400).json({ error: 'as_of must be YYYY-MM-DD', code: 'VALIDATION_ERROR', requestId: req.requestId });
+    }
+
+    if (req.query.scope === 'all') {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Only admins can value every branch at once', code: 'FORBIDDEN', requestId: req.requestId });
+      }
+      const locations = await query('SELECT id, name FROM locations WHERE is_active = true ORDER BY name');
+      const branches = [];
+      for (const location of locations.rows) {
+        const valuation = await getInventoryValuation({ query }, { locationId: location.id, method, asOf });
+        branches.push({ location_id: location.id, location_name: location.name, by_category: valuation.by_category, totals: valuation.totals });
+      }
+      return res.json({
+        method,
+        as_of: asOf,
+        branches,
+        totals: {
+          products: branches.reduce((sum, branch) => sum + branch.totals.products, 0),
+          value: Math.round(branches.reduce((sum, branch) => sum + branch.totals.value, 0) * 100) / 100,
+        },
+      });
+    }
+
+    const locationId = await getTargetLocationId(req, query);
+    const valuation = await getInventoryValuation({ query }, { locationId, method, asOf });
+    res.json(valuation);
+  } catch (err) {
+    if (err instanceof AppError) {
+      return res.status(err.statusCode).json({ error: err.message, code: err.code, requestId: req.requestId });
+    }
+    console.error('Inventory valuation error:', err);
+    res.status(err.status || 500).json({ error: err.message || 'Internal server error' });
+  }
+});
+
+// Uptake is the share of the period's sales that got at least one promotion;
+// cost is what promotions took off list price.
+router.get('/promotions', authenticateToken, authorizeRoles('admin', 'manager'), async (req, res) => {
+  try {
+    const locationId = await getTargetLocationId(req, query);
+    if (!locationId) {
+      return res.status(400).json({ error: 'Location context is required for reports.' });
+    }
+    const endDate = req.query.end_date || new Date().toISOString().split('T')[0];
+    const startDate = req.query.start_date || endDate;
+    if (![startDate, endDate].every((value) => /^\d{4}-\d{2}-\d{2}$/.test(value))) {
+      return res.status(400).json({ error: 'start_date and end_date must be YYYY-MM-DD', code: 'VALIDATION_ERROR', requestId: req.requestId });
+    }
+    const salesColumns = await getSalesColumnCapabilities(query);
+    const nonVoidedExpr = salesColumns.hasStatus ? "COALESCE(s.status, 'completed') <> 'voided'" : 'true';
+
+    const byPromotion = await query(
+      `SELECT si.promotion_id, pr.name, pr.promo_type,
+              COUNT(DISTINCT si.sale_id)::int as sales_count,
+              COALESCE(SUM(${lineNetQuantityExpr}), 0) as units_sold,
+              COALESCE(SUM(si.promotion_amount), 0) as promotion_cost,
+              COALESCE(SUM(${lineNetAmountExpr}), 0) as net_revenue
+       FROM sale_items si
+       JOIN sales s ON s.id = si.sale_id
+       LEFT JOIN promotions pr ON pr.id = si.promotion_id
+       WHERE s.location_id = $1 AND DATE(s.sale_date) BETWEEN $2 AND $3
+         AND si.promotion_id IS NOT NULL AND ${nonVoidedExpr}
+       GROUP BY si.promotion_id, pr.name, pr.promo_type
+       ORDER BY promotion_cost DESC`,
+      [locationId, startDate, endDate]
+    );
+    const totals = await query(
+      `SELECT COUNT(*)::int as sales_count,
+              COUNT(*) FILTER (WHERE COALESCE(s.promotion_amount, 0) > 0)::int as promoted_sales,
+              COALESCE(SUM(s.promotion_amount), 0) as promotion_cost,
+              COALESCE(SUM(${saleGrossAmountExpr}), 0) as gross_sales
+       FROM sales s
+       WHERE s.location_id = $1 AND DATE(s.sale_date) BETWEEN $2 AND $3 AND ${nonVoidedExpr}`,
+      [locationId, startDate, endDate]
+    );
+
+    const summary = totals.rows[0];
+    res.json({
+      period: { start_date: startDate, end_date: endDate },
+      summary: {
+        sales_count: summary.sales_count,
+        promoted_sales: summary.promoted_sales,
+        uptake_percent: summary.sales_count ? Math.round((summary.promoted_sales / summary.sales_count) * 1000) / 10 : 0,
+        promotion_cost: Number(summary.promotion_cost),
+        gross_sales: Number(summary.gross_sales),
+      },
+      promotions: byPromotion.rows.map((row) => ({
+        promotion_id: row.promotion_id,
+        name: row.name || `Promotion #${row.promotion_id}`,
+        promo_type: row.promo_type,
+        sales_count: row.sales_count,
+        uptake_percent: summary.sales_count ? Math.round((row.sales_count / summary.sales_count) * 1000) / 10 : 0,
+        units_sold: Number(row.units_sold),
+        promotion_cost: Number(row.promotion_cost),
+        net_revenue: Number(row.net_revenue),
+      })),
+    });
+  } catch (err) {
+    console.error('Promotions report error:', err);
+    res.status(500).json({ error: 'Internal server error', code: 'REPORT_ERROR', requestId: req.requestId });
+  }
+});
+
+// Tax collected per rate for a filing period, by month. Prices include tax,
+// so net = gross - tax; untaxed lines are listed with rate 0.
+router.get('/tax', authenticateToken, authorizeRoles('admin', 'manager'), async (req, res) => {
+  try {
+    const locationId = await getTargetLocationId(req, query);
+    if (!locationId) {
+      return res.status(400).json({ error: 'Location context is required for reports.' });
+    }
+    const endDate = req.query.end_date || new Date().toISOString().split('T')[0];
+    const startDate = req.query.start_date || `${endDate.slice(0, 7)}-01`;
+    if (![startDate, endDate].every((value) => /^\d{4}-\d{2}-\d{2}$/.test(value))) {
+      return res.status(400).json({ error: 'start_date and end_date must be YYYY-MM-DD', code: 'VALIDATION_ERROR', requestId: req.requestId });
+    }
+    const salesColumns = await getSalesColumnCapabilities(query);
+    const nonVoidedExpr = salesColumns.hasStatus ? "COALESCE(s.status, 'completed') <> 'voided'" : 'true';
+
+    const result = await query(
+      `SELECT TO_CHAR(DATE_TRUNC('month', s.sale_date), 'YYYY-MM') as month,
+              si.tax_code,
+              COALESCE(si.tax_rate, 0) as tax_rate,
+              COUNT(DISTINCT si.sale_id)::int as sales_count,
+              COALESCE(SUM(${lineNetAmountExpr}), 0) as gross_amount,
+              COALESCE(ROUND(SUM(${lineNetTaxExpr}), 2), 0) as tax_amount
+       FROM sale_items si
+       JOIN sales s ON s.id = si.sale_id
+       WHERE s.location_id = $1 AND DATE(s.sale_date) BETWEEN $2 AND $3 AND ${nonVoidedExpr}
+       GROUP BY 1, si.tax_code, COALESCE(si.tax_rate, 0)
+       ORDER BY 1, tax_rate DESC`,
+      [locationId, startDate, endDate]
+    );
+
+    const roundMoney = (value) => Math.round(Number(value || 0) * 100) / 100;
+    const byMonth = result.rows.map((row) => ({
+      month: row.month,
+      tax_code: row.tax_code,
+      tax_rate: Number(row.tax_rate),
+      sales_count: row.sales_count,
+      gross_amount: Number(row.gross_amount),
+      tax_amount: Number(row.tax_amount),
+      net_amount: roundMoney(Number(row.gross_amount) - Number(row.tax_amount)),
+    }));
+
+    const byRate = new Map();
+    for (const row of byMonth) {
+      const key = `${row.tax_code || ''}:${row.tax_rate}`;
+      const entry = byRate.get(key) || { tax_code: row.tax_code, tax_rate: row.tax_rate, gross_amount: 0, tax_amount: 0, net_amount: 0 };
+      entry.gross_amount = roundMoney(entry.gross_amount + row.gross_amount);
+      entry.tax_amount = roundMoney(entry.tax_amount + row.tax_amount);
+      entry.net_amount = roundMoney(entry.net_amount + row.net_amount);
+      byRate.set(key, entry);
+    }
+    const rates = [...byRate.values()].sort((a, b) => b.tax_rate - a.tax_rate);
+
+    res.json({
+      period: { start_date: startDate, end_date: endDate },
+      summary: {
+        gross_amount: roundMoney(rates.reduce((sum, row) => sum + row.gross_amount, 0)),
+        tax_amount: roundMoney(rates.reduce((sum, row) => sum + row.tax_amount, 0)),
+        net_amount: roundMoney(rates.reduce((sum, row) => sum + row.net_amount, 0)),
+      },
+      by_rate: rates,
+      by_month: byMonth,
+    });
+  } catch (err) {
+    console.error('Tax report error:', err);
+    res.status(500).json({ error: 'Internal server error', code: 'REPORT_ERROR', requestId: req.requestId });
+  }
+});
+
 router.get('/products/profitability', 
   authenticateToken, 
   authorizeRoles('admin'), 
@@ -866,13 +1279,13 @@ router.get('/products/profitability',
           p.name,
           p.price,
           p.cost,
-          SUM(si.quantity) as units_sold,
-          SUM(si.subtotal) as total_revenue,
-          SUM(si.quantity * COALESCE(p.cost, 0)) as total_cost,
-          SUM(si.subtotal - (si.quantity * COALESCE(p.cost, 0))) as gross_profit,
+          SUM(${lineNetQuantityExpr}) as units_sold,
+          SUM(${lineNetAmountExpr}) as total_revenue,
+          SUM(${lineNetQuantityExpr} * ${saleUnitCostExpr}) as total_cost,
+          SUM(${lineNetAmountExpr} - (${lineNetQuantityExpr} * ${saleUnitCostExpr})) as gross_profit,
           CASE 
-            WHEN SUM(si.subtotal) > 0 
-            THEN ((SUM(si.subtotal - (si.quantity * COALESCE(p.cost, 0))) / SUM(si.subtotal)) * 100)
+            WHEN SUM(${lineNetAmountExpr}) > 0 
+            THEN ((SUM(${lineNetAmountExpr} - (${lineNetQuantityExpr} * ${saleUnitCostExpr})) / SUM(${lineNetAmountExpr})) * 100)
             ELSE 0 
           END as margin_percent
         FROM sale_items si
@@ -3,6 +3,19 @@ import { body, validationResult } from 'express-validator';
 import { query, withTransaction } from '../db.js';
 import { authenticateToken, authorizeRoles } from '../middleware/auth.js';
 import { getTargetLocationId } from '../utils/location.js';
+import { AppError } from '../utils/errors.js';
+import { claimMarkdown } from '../services/dayClosingService.js';
+import { getLowStockThresholds } from '../services/reorderService.js';
+import { consumeLotsFifo, restoreLotsFromMovements } from '../services/lotService.js';
+import { normalizeProductQuantities } from '../services/unitService.js';
+import { REFUND_DISPOSITIONS, REFUND_METHODS, REFUND_STATUSES, approveRefund, rejectRefund, requestRefund } from '../services/refundService.js';
+import { WASTE_REASONS } from '../services/wasteService.js';
+import { DISCOUNT_REASONS, DISCOUNT_TYPES, authorizeDiscount, priceSale } from '../services/discountService.js';
+import { applyPromotions, loadActivePromotions } from '../services/promotionService.js';
+import { PAYMENT_METHODS, recordSalePayments, settlePayments } from '../services/paymentService.js';
+import { applyTax, loadTaxRules, taxBreakdown } from '../services/taxService.js';
+import { getOpenShift, requireOpenShift } from '../services/shiftService.js';
+import { assignReceiptNumber } from '../services/receiptService.js';
 
 const router = express.Router();
 
@@ -22,15 +35,31 @@ router.post(
   authorizeRoles('admin', 'cashier', 'manager'),
   body('items').isArray({ min: 1 }),
   body('items.*.product_id').isInt({ min: 1 }),
-  body('items.*.quantity').isInt({ min: 1 }),
-  body('payment_method').optional().isIn(['cash', 'card', 'mobile']),
+  body('items.*.quantity').isFloat({ gt: 0 }),
+  body('items.*.unit').optional({ values: 'falsy' }).isString(),
+  body('items.*.markdown_id').optional({ nullable: true }).isInt({ min: 1 }),
+  body('items.*.discount').optional({ nullable: true }).isObject(),
+  body('items.*.discount.type').optional().isIn(DISCOUNT_TYPES),
+  body('items.*.discount.value').optional().isFloat({ gt: 0 }),
+  body('items.*.discount.reason').optional().isIn(DISCOUNT_REASONS),
+  body('order_discount').optional({ nullable: true }).isObject(),
+  body('order_discount.type').optional().isIn(DISCOUNT_TYPES),
+  body('order_discount.value').optional().isFloat({ gt: 0 }),
+  body('order_discount.reason').optional().isIn(DISCOUNT_REASONS),
+  body('discount_approval').optional({ nullable: true }).isObject(),
+  body('payment_method').optional().isIn(PAYMENT_METHODS),
+  body('payments').optional({ nullable: true }).isArray({ max: 6 }),
+  body('payments.*.payment_method').isIn(PAYMENT_METHODS),
+  body('payments.*.amount').optional({ values: 'null' }).isFloat({ gt: 0 }),
+  body('payments.*.reference').optional({ values: 'falsy' }).isString().isLength({ max: 100 }),
+  body('receipt_number').optional({ values: 'falsy' }).isString().isLength({ max: 50 }),
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ error: 'Validation failed', code: 'VALIDATION_ERROR', details: errors.array(), requestId: req.requestId });
     }
 
-    const { items, payment_method, cashier_timing_ms } = req.body;
+    const { items, payment_method, payments, cashier_timing_ms, order_discount, discount_approval, receipt_number } = req.body;
     const queuedActorIdHeader = req.headers['x-offline-actor-id'];
     const idempotencyKey = req.headers['x-idempotency-key'];
     const isFromOfflineQueue = req.headers['x-queued-request'] === 'true';
@@ -66,11 +95,16 @@ router.post(
           }
         }
 
-        let totalAmount = 0;
-        const saleItems = [];
+        // Queued offline sales land in whatever shift the cashier has open when they sync.
+        const shift = isFromOfflineQueue
+          ? await getOpenShift(tx, effectiveCashierId, locationId)
+          : await requireOpenShift(tx, req.user, locationId, effectiveCashierId);
 
-        for (const item of items) {
-          const productResult = await tx.query('SELECT id, name, price FROM products WHERE id = $1', [item.product_id]);
+        const pricedLines = [];
+        const saleLines = await normalizeProductQuantities(tx, items);
+
+        for (const item of saleLines) {
+          const productResult = await tx.query('SELECT id, name, price, category_id FROM products WHERE id = $1', [item.product_id]);
           if (productResult.rows.length === 0) {
             const err = new Error(`Product ${item.product_id} not found`);
             err.status = 404;
@@ -78,42 +112,111 @@ router.post(
           }
 
           const product = productResult.rows[0];
-          const unitPrice = Number(product.price);
-          const subtotal = unitPrice * item.quantity;
-          totalAmount += subtotal;
+          const unitPrice = item.markdown_id
+            ? await claimMarkdown(tx, { markdownId: item.markdown_id, productId: item.product_id, locationId, quantity: item.quantity })
+            : Number(product.price);
 
-          saleItems.push({
+          pricedLines.push({
             product_id: item.product_id,
             product_name: product.name,
+            category_id: product.category_id,
             quantity: item.quantity,
             unit_price: unitPrice,
-            subtotal,
+            markdown_id: item.markdown_id || null,
+            discount: item.discount || null,
           });
         }
 
-        const receiptNumber = `RCP-${Date.now().toString().slice(-8)}`;
+        const promotedLines = applyPromotions(pricedLines, await loadActivePromotions(tx, locationId));
+        const pricing = priceSale(promotedLines, order_discount || null);
+        const saleItems = applyTax(pricing.lines, await loadTaxRules(tx, locationId));
+        const totalAmount = pricing.total_amount;
+        const taxAmount = Math.round(saleItems.reduce((sum, item) => sum + item.tax_amount, 0) * 100) / 100;
+        const discountApprovedBy = pricing.discount_amount > 0
+          ? await authorizeDiscount(tx, { locationId, user: req.user, discountPercent: pricing.max_discount_percent, approval: discount_approval })
+          : null;
+        const settlement = settlePayments(totalAmount, payments, payment_method || 'cash');
+
+        // Offline devices print from a pre-allocated range; only queued sales may bring their own number.
+        const receipt = await assignReceiptNumber(tx, {
+          locationId,
+          offlineReceiptNumber: isFromOfflineQueue ? receipt_number || null : null,
+        });
+        const receiptNumber = receipt.receipt_number;
         const saleResult = await tx.query(
-          `INSERT INTO sales (location_id, cashier_id, total_amount, payment_method, receipt_number, is_offline)
-           VALUES ($1, $2, $3, $4, $5, $6)
+          `INSERT INTO sales
+           (location_id, cashier_id, total_amount, payment_method, receipt_number, is_offline,
+            discount_amount, order_discount_type, order_discount_value, order_discount_reason, order_discount_amount, discount_approved_by,
+            promotion_amount, tendered_amount, change_due, tax_amount, shift_id, receipt_sequence)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
            RETURNING *`,
-          [locationId, effectiveCashierId, totalAmount, payment_method || 'cash', receiptNumber, isFromOfflineQueue]
+          [
+            locationId,
+            effectiveCashierId,
+            totalAmount,
+            settlement.payment_method,
+            receiptNumber,
+            isFromOfflineQueue,
+            pricing.discount_amount,
+            order_discount?.type || null,
+            order_discount ? Number(order_discount.value) : null,
+            order_discount?.reason || null,
+            pricing.order_discount_amount,
+            discountApprovedBy,
+            pricing.promotion_amount,
+            settlement.tendered_amount,
+            settlement.change_due,
+            taxAmount,
+            shift?.id || null,
+            receipt.receipt_sequence,
+          ]
         );
 
         const createdSale = saleResult.rows[0];
+        await recordSalePayments(tx, { saleId: createdSale.id, locationId, payments: settlement.payments });
 
-        const lowStockRule = await tx.query(
-          `SELECT threshold FROM alert_rules
-           WHERE location_id = $1 AND event_type = 'low_stock' AND enabled = true
-           ORDER BY updated_at DESC LIMIT 1`,
-          [locationId]
-        );
-        const lowStockThreshold = Number(lowStockRule.rows[0]?.threshold || 5);
+        if (receipt.renumbered_from) {
+          await tx.query(
+            `INSERT INTO activity_log (user_id, location_id, activity_type, description, metadata)
+             VALUES ($1, $2, 'receipt_renumbered', $3, $4)`,
+            [
+              effectiveCashierId,
+              locationId,
+              `Offline receipt ${receipt.renumbered_from} synced as ${receiptNumber}`,
+              JSON.stringify({ sale_id: createdSale.id, offline_receipt_number: receipt.renumbered_from, receipt_number: receiptNumber }),
+            ]
+          );
+        }
+
+        const lowStockThresholdFor = await getLowStockThresholds(tx, {
+          locationId,
+          productIds: [...new Set(saleItems.map((item) => Number(item.product_id)))],
+        });
 
         for (const item of saleItems) {
           await tx.query(
-            `INSERT INTO sale_items (sale_id, product_id, quantity, unit_price, subtotal)
-             VALUES ($1, $2, $3, $4, $5)`,
-            [createdSale.id, item.product_id, item.quantity, item.unit_price, item.subtotal]
+            `INSERT INTO sale_items
+             (sale_id, product_id, quantity, unit_price, subtotal, markdown_id, discount_type, discount_value, discount_reason, discount_amount,
+              promotion_id, promotion_amount, tax_rate_id, tax_code, tax_rate, tax_amount)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)`,
+            [
+              createdSale.id,
+              item.product_id,
+              item.quantity,
+              item.unit_price,
+              item.subtotal,
+              item.markdown_id,
+              item.discount?.type || null,
+              item.discount ? Number(item.discount.value) : null,
+              item.discount?.reason || null,
+              item.discount_amount,
+              item.promotion_id,
+              item.promotion_amount,
+              item.tax_rate_id,
+              item.tax_code,
+              item.tax_rate,
+              item.tax_amount,
+            ]
           );
 
           const inventoryUpdateResult = await tx.query(
@@ -131,14 +234,16 @@ router.post(
           }
 
           const remainingQty = Number(inventoryUpdateResult.rows[0].quantity);
+          const lots = await consumeLotsFifo(tx, { locationId, productId: item.product_id, quantity: item.quantity });
 
           await tx.query(
             `INSERT INTO inventory_movements
              (location_id, product_id, movement_type, quantity_change, source, reference_type, reference_id, created_by, metadata)
              VALUES ($1, $2, 'sale_out', $3, 'sale', 'sale', $4, $5, $6)`,
-            [locationId, item.product_id, -item.quantity, createdSale.id, effectiveCashierId, JSON.stringify({ remaining_quantity: remainingQty, synced_by_user_id: req.user.id })]
+            [locationId, item.product_id, -item.quantity, createdSale.id, effectiveCashierId, JSON.stringify({ remaining_quantity: remainingQty, synced_by_user_id: req.user.id, lots: lots.allocations })]
           );
 
+          const lowStockThreshold = lowStockThresholdFor(item.product_id);
           if (remainingQty < lowStockThreshold) {
             await tx.query(
               `INSERT INTO notifications (user_id, location_id, title, message, notification_type)
@@ -146,7 +251,7 @@ router.post(
               [
                 locationId,
                 'Low Stock Alert',
-                `${item.product_name} is running low (${remainingQty} remaining)`,
+                `${item.product_name} is running low (${remainingQty} remaining, minimum ${lowStockThreshold})`,
                 'low_stock',
               ]
             );
@@ -191,7 +296,16 @@ router.post(
             locationId,
             'sale_created',
             `Sale ${receiptNumber} - Total: ${totalAmount}`,
-            JSON.stringify({ sale_id: createdSale.id, receipt_number: receiptNumber, items_count: items.length }),
+            JSON.stringify({
+              sale_id: createdSale.id,
+              receipt_number: receiptNumber,
+              items_count: items.length,
+              discount_amount: pricing.discount_amount,
+              discount_approved_by: discountApprovedBy,
+              promotion_amount: pricing.promotion_amount,
+              payment_method: settlement.payment_method,
+              change_due: settlement.change_due,
+            }),
           ]
         );
 
@@ -211,6 +325,9 @@ router.post(
 
       res.status(201).json(sale);
     } catch (err) {
+      if (err instanceof AppError) {
+        return res.status(err.statusCode).json({ error: err.message, code: err.code, ...(err.details ? { details: err.details } : {}), requestId: req.requestId });
+      }
       console.error('Create sale error:', err);
       res.status(err.status || 500).json({ error: err.message || 'Internal server error', code: err.code || 'SALES_CREATE_ERROR', requestId: req.requestId });
     }
@@ -263,6 +380,73 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
+router.get('/refunds', authenticateToken, authorizeRoles('admin', 'manager'), async (req, res) => {
+  try {
+    const locationId = await getTargetLocationId(req, query);
+    const status = req.query.status || 'pending';
+    if (!REFUND_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${REFUND_STATUSES.join(', ')}`, code: 'VALIDATION_ERROR', requestId: req.requestId });
+    }
+
+    const result = await query(
+      `SELECT r.*, s.receipt_number, s.sale_date, s.total_amount as sale_total,
+              requester.username as requested_by_name, approver.username as approved_by_name,
+              COALESCE(json_agg(json_build_object(
+                'sale_item_id', sri.sale_item_id, 'product_name', p.name, 'quantity', sri.quantity,
+                'amount', sri.amount, 'disposition', sri.disposition
+              ) ORDER BY sri.id) FILTER (WHERE sri.id IS NOT NULL), '[]') as items
+       FROM sale_refunds r
+       LEFT JOIN sales s ON s.id = r.sale_id
+       LEFT JOIN users requester ON requester.id = r.requested_by
+       LEFT JOIN users approver ON approver.id = r.approved_by
+       LEFT JOIN sale_refund_items sri ON sri.refund_id = r.id
+       LEFT JOIN products p ON p.id = sri.product_id
+       WHERE r.location_id = $1 AND r.status = $2
+       GROUP BY r.id, s.receipt_number, s.sale_date, s.total_amount, requester.username, approver.username
+       ORDER BY r.created_at DESC
+       LIMIT $3`,
+      [locationId, status, clampLimit(req.query.limit, 100, 500)]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error('Get refunds error:', err);
+    res.status(500).json({ error: 'Internal server error', code: 'REFUNDS_FETCH_ERROR', requestId: req.requestId });
+  }
+});
+
+router.post('/refunds/:refundId/approve', authenticateToken, authorizeRoles('admin', 'manager'), async (req, res) => {
+  try {
+    const locationId = await getTargetLocationId(req, query);
+    const result = await withTransaction((tx) => approveRefund(tx, { refundId: req.params.refundId, locationId, user: req.user }));
+    res.json(result);
+  } catch (err) {
+    if (err instanceof AppError) {
+      return res.status(err.statusCode).json({ error: err.message, code: err.code, requestId: req.requestId });
+    }
+    console.error('Approve refund error:', err);
+    res.status(500).json({ error: 'Internal server error', code: 'REFUND_ERROR', requestId: req.requestId });
+  }
+});
+
+router.post('/refunds/:refundId/reject', authenticateToken, authorizeRoles('admin', 'manager'), async (req, res) => {
+  try {
+    const locationId = await getTargetLocationId(req, query);
+    const refund = await withTransaction((tx) => rejectRefund(tx, {
+      refundId: req.params.refundId,
+      locationId,
+      user: req.user,
+      reason: req.body.reason || null,
+    }));
+    res.json(refund);
+  } catch (err) {
+    if (err instanceof AppError) {
+      return res.status(err.statusCode).json({ error: err.message, code: err.code, requestId: req.requestId });
+    }
+    console.error('Reject refund error:', err);
+    res.status(500).json({ error: 'Internal server error', code: 'REFUND_ERROR', requestId: req.requestId });
+  }
+});
+
 router.get('/:id', authenticateToken, async (req, res) => {
   try {
     const sale = await getSaleWithItems(req.params.id);
@@ -311,7 +495,18 @@ router.post('/:id/void', authenticateToken, authorizeRoles('admin', 'cashier', '
         err.status = 400;
         throw err;
       }
+
+      const refunds = await tx.query(
+        `SELECT COUNT(*)::int as count FROM sale_refunds WHERE sale_id = $1 AND status <> 'rejected'`,
+        [saleId]
+      );
+      if (refunds.rows[0].count > 0) {
+        throw new AppError('This sale has refunds; refund the remaining lines instead of voiding it', 409, 'SALE_HAS_REFUNDS');
+      }
       
+      // A voider without a till of their own (admin, manager) books the void to the sale's shift.
+      const voidShift = await requireOpenShift(tx, req.user, locationId);
+      const voidShiftId = voidShift?.id || sale.shift_id || null;
       const saleTime = new Date(sale.sale_date);
       const now = new Date();
       const minutesSinceSale = (now - saleTime) / (1000 * 60);
@@ -331,7 +526,16 @@ router.post('/:id/void', authenticateToken, authorizeRoles('admin', 'cashier', '
         [saleId]
       );
       
+      await restoreLotsFromMovements(tx, { movementType: 'sale_out', referenceType: 'sale', referenceId: saleId });
+
       for (const item of itemsResult.rows) {
+        if (item.markdown_id) {
+          await tx.query(
+            'UPDATE product_markdowns SET remaining_quantity = remaining_quantity + $1 WHERE id = $2',
+            [item.quantity, item.markdown_id]
+          );
+        }
+
         const inventoryResult = await tx.query(
           `UPDATE inventory
            SET quantity = quantity + $1, last_updated = CURRENT_TIMESTAMP
@@ -364,8 +568,8 @@ router.post('/:id/void', authenticateToken, authorizeRoles('admin', 'cashier', '
       }
       
       await tx.query(
-        `UPDATE sales SET status = 'voided' WHERE id = $1`,
-        [saleId]
+        `UPDATE sales SET status = 'voided', voided_at = $2, voided_shift_id = $3 WHERE id = $1`,
+        [saleId, now, voidShiftId]
       );
       
       await tx.query(
@@ -395,6 +599,9 @@ router.post('/:id/void', authenticateToken, authorizeRoles('admin', 'cashier', '
     
     res.json(result);
   } catch (err) {
+    if (err instanceof AppError) {
+      return res.status(err.statusCode).json({ error: err.message, code: err.code, requestId: req.requestId });
+    }
     console.error('Void sale error:', err);
     res.status(err.status || 500).json({ 
       error: err.message || 'Internal server error',
@@ -404,6 +611,80 @@ router.post('/:id/void', authenticateToken, authorizeRoles('admin', 'cashier', '
   }
 });
 
+router.get('/:id/refunds', authenticateToken, async (req, res) => {
+  try {
+    const locationId = await getTargetLocationId(req, query);
+    const refunds = await query(
+      `SELECT r.*, requester.username as requested_by_name, approver.username as approved_by_name
+       FROM sale_refunds r
+       LEFT JOIN users requester ON requester.id = r.requested_by
+       LEFT JOIN users approver ON approver.id = r.approved_by
+       WHERE r.sale_id = $1 AND r.location_id = $2
+       ORDER BY r.created_at`,
+      [req.params.id, locationId]
+    );
+    const items = await query(
+      `SELECT sri.*, p.name as product_name
+       FROM sale_refund_items sri
+       JOIN products p ON p.id = sri.product_id
+       WHERE sri.refund_id = ANY($1::int[])
+       ORDER BY sri.id`,
+      [refunds.rows.map((refund) => refund.id)]
+    );
+    res.json(refunds.rows.map((refund) => ({
+      ...refund,
+      items: items.rows.filter((item) => item.refund_id === refund.id),
+    })));
+  } catch (err) {
+    console.error('Get sale refunds error:', err);
+    res.status(500).json({ error: 'Internal server error', code: 'REFUNDS_FETCH_ERROR', requestId: req.requestId });
+  }
+});
+
+// Refunds selected lines of a sale. Unlike a void there is no time window.
+router.post(
+  '/:id/refunds',
+  authenticateToken,
+  authorizeRoles('admin', 'cashier', 'manager'),
+  body('items').isArray({ min: 1 }),
+  body('items.*.sale_item_id').isInt({ min: 1 }),
+  body('items.*.quantity').isFloat({ gt: 0 }),
+  body('items.*.disposition').optional().isIn(REFUND_DISPOSITIONS),
+  body('reason').trim().notEmpty(),
+  body('refund_method').isIn(REFUND_METHODS),
+  body('waste_reason').optional({ values: 'falsy' }).isIn(WASTE_REASONS),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', code: 'VALIDATION_ERROR', details: errors.array(), requestId: req.requestId });
+    }
+
+    try {
+      const locationId = await getTargetLocationId(req, query);
+      const result = await withTransaction(async (tx) => {
+        const shift = await requireOpenShift(tx, req.user, locationId);
+        return requestRefund(tx, {
+          saleId: req.params.id,
+          locationId,
+          items: req.body.items,
+          reason: req.body.reason,
+          refundMethod: req.body.refund_method,
+          wasteReason: req.body.waste_reason || null,
+          user: req.user,
+          shiftId: shift?.id || null,
+        });
+      });
+      res.status(result.needs_approval ? 202 : 201).json(result);
+    } catch (err) {
+      if (err instanceof AppError) {
+        return res.status(err.statusCode).json({ error: err.message, code: err.code, requestId: req.requestId });
+      }
+      console.error('Refund sale error:', err);
+      res.status(500).json({ error: 'Internal server error', code: 'REFUND_ERROR', requestId: req.requestId });
+    }
+  }
+);
+
 async function getSaleWithItems(saleId, tx = null) {
   const executor = tx || { query };
 
@@ -420,15 +701,23 @@ async function getSaleWithItems(saleId, tx = null) {
   }
 
   const itemsResult = await executor.query(
-    `SELECT si.*, p.name as product_name, p.unit
+    `SELECT si.*, p.name as product_name, p.unit, pr.name as promotion_name
      FROM sale_items si
      JOIN products p ON si.product_id = p.id
+     LEFT JOIN promotions pr ON pr.id = si.promotion_id
      WHERE si.sale_id = $1`,
     [saleId]
   );
 
+  const paymentsResult = await executor.query(
+    'SELECT * FROM sale_payments WHERE sale_id = $1 ORDER BY id',
+    [saleId]
+  );
+
   const sale = saleResult.rows[0];
   sale.items = itemsResult.rows;
+  sale.payments = paymentsResult.rows;
+  sale.tax_breakdown = taxBreakdown(sale.items);
   return sale;
 }
 
@@ -0,0 +1,160 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { query, withTransaction } from '../db.js';
+import { authenticateToken, authorizeRoles } from '../middleware/auth.js';
+import { getTargetLocationId } from '../utils/location.js';
+import { AppError, asyncHandler } from '../utils/errors.js';
+import {
+  CASH_MOVEMENT_TYPES,
+  buildShiftReport,
+  closeShift,
+  getOpenShift,
+  loadShift,
+  openShift,
+  recordCashMovement,
+} from '../services/shiftService.js';
+
+const router = express.Router();
+
+function assertValidRequest(req) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Validation failed', 400, 'VALIDATION_ERROR', errors.array());
+  }
+}
+
+async function requireLocation(req) {
+  const locationId = await getTargetLocationId(req, query);
+  if (!locationId) {
+    throw new AppError('Location context is required for shifts', 400, 'LOCATION_REQUIRED');
+  }
+  return locationId;
+}
+
+// The caller's open shift at this branch with its X report, or null.
+router.get('/current', authenticateToken, asyncHandler(async (req, res) => {
+  const shift = await getOpenShift({ query }, req.user.id, await requireLocation(req));
+  if (!shift) {
+    return res.json({ shift: null, report: null });
+  }
+  const withCashier = await loadShift({ query }, shift.id, shift.location_id);
+  res.json({ shift: withCashier, report: await buildShiftReport({ query }, withCashier) });
+}));
+
+router.post(
+  '/open',
+  authenticateToken,
+  authorizeRoles('admin', 'manager', 'cashier'),
+  body('opening_float').isFloat({ min: 0 }).toFloat(),
+  asyncHandler(async (req, res) => {
+    assertValidRequest(req);
+    const locationId = await requireLocation(req);
+    const shift = await withTransaction((tx) => openShift(tx, { locationId, user: req.user, openingFloat: req.body.opening_float }));
+    res.status(201).json(shift);
+  })
+);
+
+// Safe drop, paid-out or paid-in. Cashiers use their own open shift; managers
+// and admins may name an open shift of the branch.
+router.post(
+  '/movements',
+  authenticateToken,
+  authorizeRoles('admin', 'manager', 'cashier'),
+  body('movement_type').isIn(CASH_MOVEMENT_TYPES),
+  body('amount').isFloat({ gt: 0 }).toFloat(),
+  body('reason').trim().notEmpty().isLength({ max: 500 }),
+  body('reference').optional({ values: 'falsy' }).trim().isLength({ max: 100 }),
+  body('shift_id').optional({ values: 'falsy' }).isInt({ min: 1 }).toInt(),
+  body('create_expense').optional().isBoolean().toBoolean(),
+  body('expense_category').optional({ values: 'falsy' }).trim().isLength({ max: 50 }),
+  asyncHandler(async (req, res) => {
+    assertValidRequest(req);
+    const locationId = await requireLocation(req);
+    if (req.body.shift_id && req.user.role === 'cashier') {
+      throw new AppError('Cashiers move cash in their own shift only', 403, 'FORBIDDEN');
+    }
+    const movement = await withTransaction((tx) => recordCashMovement(tx, {
+      locationId,
+      user: req.user,
+      shiftId: req.body.shift_id || null,
+      movementType: req.body.movement_type,
+      amount: req.body.amount,
+      reason: req.body.reason,
+      reference: req.body.reference || null,
+      createExpense: Boolean(req.body.create_expense),
+      expenseCategory: req.body.expense_category || undefined,
+    }));
+    res.status(201).json(movement);
+  })
+);
+
+// Over/short per cashier per shift for the branch.
+router.get('/', authenticateToken, authorizeRoles('admin', 'manager'), asyncHandler(async (req, res) => {
+  const locationId = await requireLocation(req);
+  const filters = ['cs.location_id = $1'];
+  const params = [locationId];
+  for (const [param, column, operator] of [['start_date', 'DATE(cs.opened_at)', '>='], ['end_date', 'DATE(cs.opened_at)', '<='], ['cashier_id', 'cs.cashier_id', '=']]) {
+    if (req.query[param]) {
+      params.push(req.query[param]);
+      filters.push(`${column} ${operator} $${params.length}`);
+    }
+  }
+  if (req.query.status) {
+    params.push(req.query.status);
+    filters.push(`cs.status = $${params.length}`);
+  }
+
+  const result = await query(
+    `SELECT cs.id, cs.cashier_id, u.username as cashier_name, cs.status, cs.opening_float, cs.opened_at, cs.closed_at,
+            cs.expected_cash, cs.counted_cash, cs.over_short, cs.closing_note, closer.username as closed_by_name
+     FROM cashier_shifts cs
+     JOIN users u ON u.id = cs.cashier_id
+     LEFT JOIN users closer ON closer.id = cs.closed_by
+     WHERE ${filters.join(' AND ')}
+     ORDER BY cs.opened_at DESC
+     LIMIT 500`,
+    params
+  );
+
+  const byCashier = new Map();
+  for (const shift of result.rows.filter((row) => row.status === 'closed')) {
+    const entry = byCashier.get(shift.cashier_id) || { cashier_id: shift.cashier_id, cashier_name: shift.cashier_name, shifts: 0, over_short: 0 };
+    entry.shifts += 1;
+    entry.over_short = Math.round((entry.over_short + Number(shift.over_short)) * 100) / 100;
+    byCashier.set(shift.cashier_id, entry);
+  }
+
+  res.json({ shifts: result.rows, by_cashier: [...byCashier.values()].sort((a, b) => a.over_short - b.over_short) });
+}));
+
+// X report while the shift is open, the frozen Z report once closed.
+router.get('/:id/report', authenticateToken, asyncHandler(async (req, res) => {
+  const locationId = await requireLocation(req);
+  const shift = await loadShift({ query }, req.params.id, locationId);
+  if (req.user.role === 'cashier' && Number(shift.cashier_id) !== Number(req.user.id)) {
+    throw new AppError('Shift not found', 404, 'SHIFT_NOT_FOUND');
+  }
+  res.json(shift.z_report || await buildShiftReport({ query }, shift));
+}));
+
+router.post(
+  '/:id/close',
+  authenticateToken,
+  authorizeRoles('admin', 'manager', 'cashier'),
+  body('counted_cash').isFloat({ min: 0 }).toFloat(),
+  body('note').optional({ values: 'falsy' }).trim().isLength({ max: 500 }),
+  asyncHandler(async (req, res) => {
+    assertValidRequest(req);
+    const locationId = await requireLocation(req);
+    const result = await withTransaction((tx) => closeShift(tx, {
+      shiftId: req.params.id,
+      locationId,
+      user: req.user,
+      countedCash: req.body.counted_cash,
+      note: req.body.note || null,
+    }));
+    res.json(result);
+  })
+);
+
+export default router;
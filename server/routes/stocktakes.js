@@ -0,0 +1,193 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { query, withTransaction } from '../db.js';
+import { authenticateToken, authorizeRoles } from '../middleware/auth.js';
+import { getTargetLocationId } from '../utils/location.js';
+import { AppError, asyncHandler } from '../utils/errors.js';
+import {
+  STOCKTAKE_STATUSES,
+  cancelStocktake,
+  getStocktakeLines,
+  openStocktake,
+  postStocktake,
+  recordStocktakeCounts,
+} from '../services/stocktakeService.js';
+
+const router = express.Router();
+
+function clampLimit(value, fallback = 30, max = 200) {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed <= 0) return fallback;
+  return Math.min(Math.trunc(parsed), max);
+}
+
+function assertValidRequest(req) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Validation failed', 400, 'VALIDATION_ERROR', errors.array());
+  }
+}
+
+async function requireLocation(req) {
+  const locationId = await getTargetLocationId(req, query);
+  if (!locationId) {
+    throw new AppError('Location context is required for stocktakes', 400, 'LOCATION_REQUIRED');
+  }
+  return locationId;
+}
+
+async function loadStocktake(db, stocktakeId, locationId, { lock = false } = {}) {
+  const result = await db.query(
+    `SELECT * FROM stocktakes WHERE id = $1 AND location_id = $2${lock ? ' FOR UPDATE' : ''}`,
+    [stocktakeId, locationId]
+  );
+  if (!result.rows.length) {
+    throw new AppError('Stocktake not found', 404, 'STOCKTAKE_NOT_FOUND');
+  }
+  return result.rows[0];
+}
+
+router.get('/', authenticateToken, authorizeRoles('admin', 'manager'), asyncHandler(async (req, res) => {
+  const locationId = await requireLocation(req);
+  const params = [locationId];
+  let where = 'st.location_id = $1';
+
+  if (req.query.status) {
+    if (!STOCKTAKE_STATUSES.includes(req.query.status)) {
+      throw new AppError(`status must be one of: ${STOCKTAKE_STATUSES.join(', ')}`, 400, 'VALIDATION_ERROR');
+    }
+    params.push(req.query.status);
+    where += ` AND st.status = $${params.length}`;
+  }
+
+  params.push(clampLimit(req.query.limit));
+  const result = await query(
+    `SELECT st.*, ou.username as opened_by_name, cu.username as closed_by_name,
+            (SELECT COUNT(*)::int FROM stocktake_lines sl WHERE sl.stocktake_id = st.id) as lines_entered
+     FROM stocktakes st
+     LEFT JOIN users ou ON ou.id = st.opened_by
+     LEFT JOIN users cu ON cu.id = st.closed_by
+     WHERE ${where}
+     ORDER BY st.opened_at DESC
+     LIMIT $${params.length}`,
+    params
+  );
+  res.json(result.rows);
+}));
+
+router.get('/:id', authenticateToken, authorizeRoles('admin', 'manager'), asyncHandler(async (req, res) => {
+  const locationId = await requireLocation(req);
+  const stocktake = await loadStocktake({ query }, req.params.id, locationId);
+  const review = await getStocktakeLines({ query }, stocktake);
+  res.json({ ...stocktake, ...review });
+}));
+
+router.post('/', authenticateToken, authorizeRoles('admin', 'manager'), asyncHandler(async (req, res) => {
+  const locationId = await requireLocation(req);
+  const stocktake = await withTransaction(async (tx) => {
+    const opened = await openStocktake(tx, { locationId, userId: req.user.id, notes: req.body.notes || null });
+    await tx.query(
+      `INSERT INTO activity_log (user_id, location_id, activity_type, description, metadata)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [req.user.id, locationId, 'stocktake_opened', `Opened stocktake #${opened.id}`, JSON.stringify({ stocktake_id: opened.id })]
+    );
+    return opened;
+  });
+  res.status(201).json(stocktake);
+}));
+
+router.post(
+  '/:id/counts',
+  authenticateToken,
+  authorizeRoles('admin', 'manager'),
+  body('items').isArray({ min: 1 }),
+  body('items.*.product_id').isInt({ min: 1 }),
+  body('items.*.counted_quantity').isFloat({ min: 0 }),
+  body('items.*.unit').optional({ values: 'falsy' }).isString(),
+  asyncHandler(async (req, res) => {
+    assertValidRequest(req);
+    const locationId = await requireLocation(req);
+    const idempotencyKey = req.headers['x-idempotency-key'];
+
+    const result = await withTransaction(async (tx) => {
+      if (idempotencyKey) {
+        const existing = await tx.query(
+          `SELECT response_payload FROM idempotency_keys
+           WHERE user_id = $1 AND idempotency_key = $2`,
+          [req.user.id, idempotencyKey]
+        );
+        if (existing.rows.length > 0) {
+          return existing.rows[0].response_payload;
+        }
+      }
+
+      const stocktake = await loadStocktake(tx, req.params.id, locationId, { lock: true });
+      const lines = await recordStocktakeCounts(tx, { stocktake, counts: req.body.items, userId: req.user.id });
+      const response = { stocktake_id: stocktake.id, lines };
+
+      if (idempotencyKey) {
+        await tx.query(
+          `INSERT INTO idempotency_keys (user_id, location_id, idempotency_key, endpoint, response_payload)
+           VALUES ($1, $2, $3, $4, $5)
+           ON CONFLICT (user_id, idempotency_key) DO NOTHING`,
+          [req.user.id, locationId, idempotencyKey, `/api/stocktakes/${stocktake.id}/counts`, JSON.stringify(response)]
+        );
+      }
+
+      return response;
+    });
+
+    res.json(result);
+  })
+);
+
+router.post('/:id/post', authenticateToken, authorizeRoles('admin', 'manager'), asyncHandler(async (req, res) => {
+  const locationId = await requireLocation(req);
+
+  const result = await withTransaction(async (tx) => {
+    const stocktake = await loadStocktake(tx, req.params.id, locationId, { lock: true });
+    const posted = await postStocktake(tx, { stocktake, userId: req.user.id });
+    const { totals } = posted;
+
+    await tx.query(
+      `INSERT INTO activity_log (user_id, location_id, activity_type, description, metadata)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [
+        req.user.id,
+        locationId,
+        'stocktake_posted',
+        `Posted stocktake #${stocktake.id}: ${totals.lines_with_variance} of ${totals.lines_counted} line(s) adjusted, variance ETB ${totals.variance_value.toFixed(2)}`,
+        JSON.stringify({ stocktake_id: stocktake.id, totals }),
+      ]
+    );
+
+    if (totals.shrinkage_value > 0) {
+      await tx.query(
+        `INSERT INTO notifications (user_id, location_id, title, message, notification_type)
+         SELECT id, $1, $2, $3, 'stocktake'
+         FROM users
+         WHERE role = 'admin' AND is_active = true`,
+        [
+          locationId,
+          `Stocktake #${stocktake.id} posted`,
+          `${totals.lines_with_variance} line(s) differed from the system. Shrinkage: ETB ${totals.shrinkage_value.toFixed(2)}, net variance: ETB ${totals.variance_value.toFixed(2)}.`,
+        ]
+      );
+    }
+
+    return { ...posted.stocktake, lines: posted.lines, totals };
+  });
+
+  res.json(result);
+}));
+
+router.post('/:id/cancel', authenticateToken, authorizeRoles('admin', 'manager'), asyncHandler(async (req, res) => {
+  const locationId = await requireLocation(req);
+  const cancelled = await withTransaction(async (tx) => {
+    const stocktake = await loadStocktake(tx, req.params.id, locationId, { lock: true });
+    return cancelStocktake(tx, { stocktake, userId: req.user.id });
+  });
+  res.json(cancelled);
+}));
+
+export default router;
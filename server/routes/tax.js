@@ -0,0 +1,149 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { query } from '../db.js';
+import { authenticateToken, authorizeRoles } from '../middleware/auth.js';
+import { getTargetLocationId } from '../utils/location.js';
+import { AppError, asyncHandler } from '../utils/errors.js';
+
+const router = express.Router();
+
+function assertValidRequest(req) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Validation failed', 400, 'VALIDATION_ERROR', errors.array());
+  }
+}
+
+async function requireLocation(req) {
+  const locationId = await getTargetLocationId(req, query);
+  if (!locationId) {
+    throw new AppError('Location context is required for tax rules', 400, 'LOCATION_REQUIRED');
+  }
+  return locationId;
+}
+
+router.get('/rates', authenticateToken, asyncHandler(async (req, res) => {
+  const result = await query('SELECT * FROM tax_rates ORDER BY is_active DESC, rate DESC, code');
+  res.json(result.rows);
+}));
+
+router.post(
+  '/rates',
+  authenticateToken,
+  authorizeRoles('admin'),
+  body('code').trim().notEmpty().isLength({ max: 20 }),
+  body('name').trim().notEmpty().isLength({ max: 100 }),
+  body('rate').isFloat({ min: 0, max: 100 }).toFloat(),
+  asyncHandler(async (req, res) => {
+    assertValidRequest(req);
+    const result = await query(
+      'INSERT INTO tax_rates (code, name, rate) VALUES ($1, $2, $3) RETURNING *',
+      [req.body.code.toUpperCase(), req.body.name, req.body.rate]
+    );
+    res.status(201).json(result.rows[0]);
+  })
+);
+
+// A new rate applies to sales from now on; sold lines keep the rate they had.
+router.put(
+  '/rates/:id',
+  authenticateToken,
+  authorizeRoles('admin'),
+  body('name').trim().notEmpty().isLength({ max: 100 }),
+  body('rate').isFloat({ min: 0, max: 100 }).toFloat(),
+  body('is_active').optional().isBoolean().toBoolean(),
+  asyncHandler(async (req, res) => {
+    assertValidRequest(req);
+    const result = await query(
+      `UPDATE tax_rates
+       SET name = $1, rate = $2, is_active = COALESCE($3, is_active), updated_at = CURRENT_TIMESTAMP
+       WHERE id = $4
+       RETURNING *`,
+      [req.body.name, req.body.rate, req.body.is_active ?? null, req.params.id]
+    );
+    if (!result.rows.length) {
+      throw new AppError('Tax rate not found', 404, 'TAX_RATE_NOT_FOUND');
+    }
+
+    await query(
+      `INSERT INTO activity_log (user_id, location_id, activity_type, description, metadata)
+       VALUES ($1, $2, 'tax_rate_changed', $3, $4)`,
+      [req.user.id, req.user.location_id, `Tax rate ${result.rows[0].code} set to ${req.body.rate}%`, JSON.stringify({ tax_rate_id: result.rows[0].id })]
+    );
+    res.json(result.rows[0]);
+  })
+);
+
+// The branch's own rules and the ones every branch shares.
+router.get('/rules', authenticateToken, asyncHandler(async (req, res) => {
+  const locationId = await requireLocation(req);
+  const result = await query(
+    `SELECT tr.*, t.code, t.name as tax_name, t.rate, t.is_active as rate_active,
+            p.name as product_name, c.name as category_name
+     FROM tax_rules tr
+     JOIN tax_rates t ON t.id = tr.tax_rate_id
+     LEFT JOIN products p ON p.id = tr.product_id
+     LEFT JOIN categories c ON c.id = tr.category_id
+     WHERE tr.location_id IS NULL OR tr.location_id = $1
+     ORDER BY tr.location_id NULLS FIRST, tr.product_id NULLS FIRST, tr.category_id NULLS FIRST`,
+    [locationId]
+  );
+  res.json(result.rows);
+}));
+
+// Sets the rate for a product, a category or (neither) the branch default,
+// replacing any rule already there.
+router.post(
+  '/rules',
+  authenticateToken,
+  authorizeRoles('admin', 'manager'),
+  body('tax_rate_id').isInt({ min: 1 }).toInt(),
+  body('product_id').optional({ values: 'falsy' }).isInt({ min: 1 }).toInt(),
+  body('category_id').optional({ values: 'falsy' }).isInt({ min: 1 }).toInt(),
+  body('all_branches').optional().isBoolean().toBoolean(),
+  asyncHandler(async (req, res) => {
+    assertValidRequest(req);
+    const { tax_rate_id: taxRateId, product_id: productId = null, category_id: categoryId = null } = req.body;
+    if (productId && categoryId) {
+      throw new AppError('A tax rule applies to a product or a category, not both', 400, 'VALIDATION_ERROR');
+    }
+    if (req.body.all_branches && req.user.role !== 'admin') {
+      throw new AppError('Only admins can set tax for every branch', 403, 'FORBIDDEN');
+    }
+    const locationId = req.body.all_branches ? null : await requireLocation(req);
+
+    const result = await query(
+      `INSERT INTO tax_rules (tax_rate_id, location_id, product_id, category_id, created_by)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT ((COALESCE(location_id, 0)), (COALESCE(product_id, 0)), (COALESCE(category_id, 0)))
+       DO UPDATE SET tax_rate_id = EXCLUDED.tax_rate_id, created_by = EXCLUDED.created_by, created_at = CURRENT_TIMESTAMP
+       RETURNING *`,
+      [taxRateId, locationId, productId, categoryId, req.user.id]
+    );
+
+    await query(
+      `INSERT INTO activity_log (user_id, location_id, activity_type, description, metadata)
+       VALUES ($1, $2, 'tax_rule_changed', $3, $4)`,
+      [req.user.id, locationId || req.user.location_id, 'Tax rule set', JSON.stringify(result.rows[0])]
+    );
+    res.status(201).json(result.rows[0]);
+  })
+);
+
+router.delete('/rules/:id', authenticateToken, authorizeRoles('admin', 'manager'), asyncHandler(async (req, res) => {
+  const existing = await query('SELECT * FROM tax_rules WHERE id = $1', [req.params.id]);
+  const rule = existing.rows[0];
+  if (!rule || (req.user.role !== 'admin' && Number(rule.location_id) !== Number(req.user.location_id))) {
+    throw new AppError('Tax rule not found', 404, 'TAX_RULE_NOT_FOUND');
+  }
+
+  await query('DELETE FROM tax_rules WHERE id = $1', [rule.id]);
+  await query(
+    `INSERT INTO activity_log (user_id, location_id, activity_type, description, metadata)
+     VALUES ($1, $2, 'tax_rule_changed', $3, $4)`,
+    [req.user.id, rule.location_id || req.user.location_id, 'Tax rule removed', JSON.stringify(rule)]
+  );
+  res.json({ deleted: true });
+}));
+
+export default router;
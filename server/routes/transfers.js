@@ -0,0 +1,264 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { query, withTransaction } from '../db.js';
+import { authenticateToken, authorizeRoles } from '../middleware/auth.js';
+import { getTargetLocationId } from '../utils/location.js';
+import { AppError, asyncHandler } from '../utils/errors.js';
+import { TRANSFER_STATUSES, receiveTransfer, sendTransfer } from '../services/transferService.js';
+
+const router = express.Router();
+
+function clampLimit(value, fallback = 50, max = 200) {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed <= 0) return fallback;
+  return Math.min(Math.trunc(parsed), max);
+}
+
+function assertValidRequest(req) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Validation failed', 400, 'VALIDATION_ERROR', errors.array());
+  }
+}
+
+async function requireLocation(req) {
+  const locationId = await getTargetLocationId(req, query);
+  if (!locationId) {
+    throw new AppError('Location context is required for transfers', 400, 'LOCATION_REQUIRED');
+  }
+  return locationId;
+}
+
+async function getTransfer(transferId, locationId, db = { query }) {
+  const transfer = await db.query(
+    `SELECT t.*, lf.name as from_location_name, lt.name as to_location_name,
+            cu.username as created_by_name, ru.username as received_by_name
+     FROM stock_transfers t
+     JOIN locations lf ON lf.id = t.from_location_id
+     JOIN locations lt ON lt.id = t.to_location_id
+     LEFT JOIN users cu ON cu.id = t.created_by
+     LEFT JOIN users ru ON ru.id = t.received_by
+     WHERE t.id = $1 AND (t.from_location_id = $2 OR t.to_location_id = $2)`,
+    [transferId, locationId]
+  );
+  if (!transfer.rows.length) return null;
+
+  const items = await db.query(
+    `SELECT sti.*, p.name as product_name, p.unit,
+            CASE WHEN sti.quantity_received IS NULL THEN NULL ELSE sti.quantity_received - sti.quantity_sent END as variance
+     FROM stock_transfer_items sti
+     JOIN products p ON p.id = sti.product_id
+     WHERE sti.transfer_id = $1
+     ORDER BY sti.id`,
+    [transferId]
+  );
+
+  return { ...transfer.rows[0], items: items.rows };
+}
+
+router.get('/', authenticateToken, authorizeRoles('admin', 'manager'), asyncHandler(async (req, res) => {
+  const locationId = await requireLocation(req);
+  const params = [locationId];
+  let where;
+
+  if (req.query.direction === 'incoming') {
+    where = 't.to_location_id = $1';
+  } else if (req.query.direction === 'outgoing') {
+    where = 't.from_location_id = $1';
+  } else {
+    where = '(t.from_location_id = $1 OR t.to_location_id = $1)';
+  }
+
+  if (req.query.status) {
+    if (!TRANSFER_STATUSES.includes(req.query.status)) {
+      throw new AppError(`status must be one of: ${TRANSFER_STATUSES.join(', ')}`, 400, 'VALIDATION_ERROR');
+    }
+    params.push(req.query.status);
+    where += ` AND t.status = $${params.length}`;
+  }
+
+  params.push(clampLimit(req.query.limit));
+  const result = await query(
+    `SELECT t.*, lf.name as from_location_name, lt.name as to_location_name,
+            cu.username as created_by_name,
+            COUNT(sti.id)::int as line_count,
+            COALESCE(SUM(sti.quantity_sent), 0)::float8 as total_sent,
+            SUM(sti.quantity_received)::float8 as total_received,
+            COUNT(*) FILTER (WHERE sti.quantity_received IS NOT NULL AND sti.quantity_received <> sti.quantity_sent)::int as variance_lines
+     FROM stock_transfers t
+     JOIN locations lf ON lf.id = t.from_location_id
+     JOIN locations lt ON lt.id = t.to_location_id
+     LEFT JOIN users cu ON cu.id = t.created_by
+     LEFT JOIN stock_transfer_items sti ON sti.transfer_id = t.id
+     WHERE ${where}
+     GROUP BY t.id, lf.name, lt.name, cu.username
+     ORDER BY t.sent_at DESC
+     LIMIT $${params.length}`,
+    params
+  );
+  res.json(result.rows);
+}));
+
+router.get('/:id', authenticateToken, authorizeRoles('admin', 'manager'), asyncHandler(async (req, res) => {
+  const locationId = await requireLocation(req);
+  const transfer = await getTransfer(req.params.id, locationId);
+  if (!transfer) {
+    throw new AppError('Transfer not found', 404, 'TRANSFER_NOT_FOUND');
+  }
+  res.json(transfer);
+}));
+
+router.post(
+  '/',
+  authenticateToken,
+  authorizeRoles('admin', 'manager'),
+  body('to_location_id').isInt({ min: 1 }),
+  body('items').isArray({ min: 1 }),
+  body('items.*.product_id').isInt({ min: 1 }),
+  body('items.*.quantity').isFloat({ gt: 0 }),
+  body('items.*.unit').optional({ values: 'falsy' }).isString(),
+  asyncHandler(async (req, res) => {
+    assertValidRequest(req);
+    const fromLocationId = await requireLocation(req);
+    const productIds = req.body.items.map((item) => Number(item.product_id));
+    if (new Set(productIds).size !== productIds.length) {
+      throw new AppError('Each product can only appear once per transfer', 400, 'VALIDATION_ERROR');
+    }
+    const idempotencyKey = req.headers['x-idempotency-key'];
+
+    const result = await withTransaction(async (tx) => {
+      if (idempotencyKey) {
+        const existing = await tx.query(
+          `SELECT response_payload FROM idempotency_keys
+           WHERE user_id = $1 AND idempotency_key = $2`,
+          [req.user.id, idempotencyKey]
+        );
+        if (existing.rows.length > 0) {
+          return existing.rows[0].response_payload;
+        }
+      }
+
+      const sent = await sendTransfer(tx, {
+        fromLocationId,
+        toLocationId: Number(req.body.to_location_id),
+        items: req.body.items,
+        userId: req.user.id,
+        notes: req.body.notes || null,
+      });
+      const { transfer, destination } = sent;
+      const summary = sent.items.map((item) => `${item.quantity_sent} ${item.product_name}`).join(', ');
+
+      await tx.query(
+        `INSERT INTO activity_log (user_id, location_id, activity_type, description, metadata)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [
+          req.user.id,
+          fromLocationId,
+          'transfer_sent',
+          `Sent transfer #${transfer.id} to ${destination.name}: ${summary}`,
+          JSON.stringify({ transfer_id: transfer.id, to_location_id: destination.id, items: req.body.items }),
+        ]
+      );
+
+      await tx.query(
+        `INSERT INTO notifications (user_id, location_id, title, message, notification_type)
+         SELECT id, $1, $2, $3, 'stock_transfer'
+         FROM users WHERE role = 'manager' AND location_id = $1 AND is_active = true`,
+        [destination.id, 'Incoming Stock Transfer', `Transfer #${transfer.id} is on its way: ${summary}. Confirm the counts when it arrives.`]
+      );
+
+      const response = await getTransfer(transfer.id, fromLocationId, tx);
+
+      if (idempotencyKey) {
+        await tx.query(
+          `INSERT INTO idempotency_keys (user_id, location_id, idempotency_key, endpoint, response_payload)
+           VALUES ($1, $2, $3, $4, $5)
+           ON CONFLICT (user_id, idempotency_key) DO NOTHING`,
+          [req.user.id, fromLocationId, idempotencyKey, '/api/transfers', JSON.stringify(response)]
+        );
+      }
+
+      return response;
+    });
+
+    res.status(201).json(result);
+  })
+);
+
+router.post(
+  '/:id/receive',
+  authenticateToken,
+  authorizeRoles('admin', 'manager'),
+  body('items').optional().isArray(),
+  body('items.*.item_id').isInt({ min: 1 }),
+  body('items.*.quantity_received').isFloat({ min: 0 }),
+  asyncHandler(async (req, res) => {
+    assertValidRequest(req);
+    const locationId = await requireLocation(req);
+
+    const result = await withTransaction(async (tx) => {
+      const transferResult = await tx.query(
+        'SELECT * FROM stock_transfers WHERE id = $1 FOR UPDATE',
+        [req.params.id]
+      );
+      const transfer = transferResult.rows[0];
+      if (!transfer || (Number(transfer.to_location_id) !== Number(locationId) && Number(transfer.from_location_id) !== Number(locationId))) {
+        throw new AppError('Transfer not found', 404, 'TRANSFER_NOT_FOUND');
+      }
+      if (Number(transfer.to_location_id) !== Number(locationId)) {
+        throw new AppError('Only the destination branch can receive a transfer', 403, 'TRANSFER_WRONG_BRANCH');
+      }
+
+      const items = await tx.query(
+        `SELECT sti.*, p.name as product_name, p.source, p.unit, COALESCE(u.allows_fraction, false) as allows_fraction
+         FROM stock_transfer_items sti
+         JOIN products p ON p.id = sti.product_id
+         LEFT JOIN units u ON u.code = p.unit
+         WHERE sti.transfer_id = $1
+         ORDER BY sti.id`,
+        [transfer.id]
+      );
+
+      const plan = await receiveTransfer(tx, {
+        transfer,
+        items: items.rows,
+        counts: req.body.items || [],
+        userId: req.user.id,
+        notes: req.body.notes || null,
+      });
+
+      await tx.query(
+        `INSERT INTO activity_log (user_id, location_id, activity_type, description, metadata)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [
+          req.user.id,
+          locationId,
+          plan.status === 'disputed' ? 'transfer_disputed' : 'transfer_received',
+          plan.status === 'disputed'
+            ? `Received transfer #${transfer.id} with ${plan.variances.length} variance line(s)`
+            : `Received transfer #${transfer.id} in full`,
+          JSON.stringify({ transfer_id: transfer.id, from_location_id: transfer.from_location_id, variances: plan.variances }),
+        ]
+      );
+
+      if (plan.variances.length) {
+        const detail = plan.variances
+          .map((line) => `${line.product_name}: sent ${line.quantity_sent}, received ${line.quantity_received}`)
+          .join('; ');
+        await tx.query(
+          `INSERT INTO notifications (user_id, location_id, title, message, notification_type)
+           SELECT id, $1, $2, $3, 'stock_transfer'
+           FROM users
+           WHERE is_active = true AND (role = 'admin' OR (role = 'manager' AND location_id = $1))`,
+          [transfer.from_location_id, 'Transfer Variance', `Transfer #${transfer.id} arrived with differences. ${detail}`]
+        );
+      }
+
+      return getTransfer(transfer.id, locationId, tx);
+    });
+
+    res.json(result);
+  })
+);
+
+export default router;
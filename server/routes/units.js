@@ -0,0 +1,81 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { query } from '../db.js';
+import { authenticateToken, authorizeRoles } from '../middleware/auth.js';
+import { AppError, asyncHandler } from '../utils/errors.js';
+import { createConversion, listUnits } from '../services/unitService.js';
+
+const router = express.Router();
+
+function assertValidRequest(req) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Validation failed', 400, 'VALIDATION_ERROR', errors.array());
+  }
+}
+
+// Units plus every conversion, so forms can offer the units an item can be entered in
+router.get('/', authenticateToken, asyncHandler(async (req, res) => {
+  const units = await listUnits({ query });
+  const conversions = await query(
+    `SELECT uc.*, p.name as product_name, i.name as ingredient_name
+     FROM unit_conversions uc
+     LEFT JOIN products p ON p.id = uc.product_id
+     LEFT JOIN ingredients i ON i.id = uc.ingredient_id
+     ORDER BY p.name NULLS FIRST, i.name NULLS FIRST, uc.from_unit, uc.to_unit`
+  );
+  res.json({ units, conversions: conversions.rows });
+}));
+
+router.post(
+  '/',
+  authenticateToken,
+  authorizeRoles('admin'),
+  body('code').trim().notEmpty().isLength({ max: 20 }),
+  body('name').trim().notEmpty().isLength({ max: 50 }),
+  body('allows_fraction').optional().isBoolean().toBoolean(),
+  asyncHandler(async (req, res) => {
+    assertValidRequest(req);
+    const { code, name, allows_fraction = false } = req.body;
+
+    const result = await query(
+      'INSERT INTO units (code, name, allows_fraction) VALUES ($1, $2, $3) RETURNING *',
+      [code.toLowerCase(), name, allows_fraction]
+    );
+    res.status(201).json(result.rows[0]);
+  })
+);
+
+router.post(
+  '/conversions',
+  authenticateToken,
+  authorizeRoles('admin'),
+  body('from_unit').trim().notEmpty(),
+  body('to_unit').trim().notEmpty(),
+  body('factor').isFloat({ gt: 0 }).toFloat(),
+  body('product_id').optional({ values: 'falsy' }).isInt({ min: 1 }).toInt(),
+  body('ingredient_id').optional({ values: 'falsy' }).isInt({ min: 1 }).toInt(),
+  asyncHandler(async (req, res) => {
+    assertValidRequest(req);
+
+    const conversion = await createConversion({ query }, {
+      productId: req.body.product_id || null,
+      ingredientId: req.body.ingredient_id || null,
+      fromUnit: req.body.from_unit,
+      toUnit: req.body.to_unit,
+      factor: req.body.factor,
+      userId: req.user.id,
+    });
+    res.status(201).json(conversion);
+  })
+);
+
+router.delete('/conversions/:id', authenticateToken, authorizeRoles('admin'), asyncHandler(async (req, res) => {
+  const result = await query('DELETE FROM unit_conversions WHERE id = $1 RETURNING id', [req.params.id]);
+  if (!result.rows.length) {
+    throw new AppError('Conversion not found', 404, 'CONVERSION_NOT_FOUND');
+  }
+  res.json({ deleted: true });
+}));
+
+export default router;
@@ -0,0 +1,188 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import { query, withTransaction } from '../db.js';
+import { authenticateToken, authorizeRoles } from '../middleware/auth.js';
+import { getTargetLocationId } from '../utils/location.js';
+import { AppError, asyncHandler } from '../utils/errors.js';
+import { WASTE_REASONS, recordWaste, summarizeWaste } from '../services/wasteService.js';
+import { normalizeProductQuantities } from '../services/unitService.js';
+
+const router = express.Router();
+
+function clampLimit(value, fallback = 100, max = 500) {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed <= 0) return fallback;
+  return Math.min(Math.trunc(parsed), max);
+}
+
+function isValidDateFilter(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(value || ''));
+}
+
+function assertValidRequest(req) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Validation failed', 400, 'VALIDATION_ERROR', errors.array());
+  }
+}
+
+async function requireLocation(req) {
+  const locationId = await getTargetLocationId(req, query);
+  if (!locationId) {
+    throw new AppError('Location context is required for waste records', 400, 'LOCATION_REQUIRED');
+  }
+  return locationId;
+}
+
+router.get('/reasons', authenticateToken, (req, res) => {
+  res.json(WASTE_REASONS);
+});
+
+router.get('/', authenticateToken, authorizeRoles('admin', 'manager'), asyncHandler(async (req, res) => {
+  const locationId = await requireLocation(req);
+  const params = [locationId];
+  let where = "m.location_id = $1 AND m.movement_type = 'waste'";
+
+  for (const [key, operator] of [['start_date', '>='], ['end_date', '<=']]) {
+    if (!req.query[key]) continue;
+    if (!isValidDateFilter(req.query[key])) {
+      throw new AppError(`${key} must be YYYY-MM-DD`, 400, 'VALIDATION_ERROR');
+    }
+    params.push(req.query[key]);
+    where += ` AND DATE(m.created_at) ${operator} $${params.length}`;
+  }
+
+  if (req.query.reason) {
+    params.push(req.query.reason);
+    where += ` AND m.metadata->>'reason' = $${params.length}`;
+  }
+
+  if (req.query.product_id) {
+    params.push(req.query.product_id);
+    where += ` AND m.product_id = $${params.length}`;
+  }
+
+  // The summary covers every matching record, not just the page listed.
+  const totals = await query(
+    `SELECT m.product_id, p.name as product_name,
+            COALESCE(m.metadata->>'reason', 'unspecified') as reason,
+            SUM(-m.quantity_change) as quantity,
+            COALESCE(SUM(m.cost_value), 0) as cost_value
+     FROM inventory_movements m
+     JOIN products p ON p.id = m.product_id
+     WHERE ${where}
+     GROUP BY m.product_id, p.name, COALESCE(m.metadata->>'reason', 'unspecified')`,
+    params
+  );
+
+  params.push(clampLimit(req.query.limit));
+  const result = await query(
+    `SELECT m.id, m.product_id, p.name as product_name, p.unit,
+            -m.quantity_change as quantity,
+            m.cost_value,
+            m.metadata->>'reason' as reason,
+            m.metadata->>'notes' as notes,
+            m.reference_type, m.reference_id, m.created_at,
+            u.username as recorded_by_name
+     FROM inventory_movements m
+     JOIN products p ON p.id = m.product_id
+     LEFT JOIN users u ON u.id = m.created_by
+     WHERE ${where}
+     ORDER BY m.created_at DESC, m.id DESC
+     LIMIT $${params.length}`,
+    params
+  );
+
+  res.json({ records: result.rows, summary: summarizeWaste(totals.rows) });
+}));
+
+router.post(
+  '/',
+  authenticateToken,
+  authorizeRoles('admin', 'manager'),
+  body('items').isArray({ min: 1 }),
+  body('items.*.product_id').isInt({ min: 1 }),
+  body('items.*.quantity').isFloat({ gt: 0 }),
+  body('items.*.unit').optional({ values: 'falsy' }).isString(),
+  body('items.*.reason').isIn(WASTE_REASONS),
+  asyncHandler(async (req, res) => {
+    assertValidRequest(req);
+    const locationId = await requireLocation(req);
+    const idempotencyKey = req.headers['x-idempotency-key'];
+
+    const result = await withTransaction(async (tx) => {
+      if (idempotencyKey) {
+        const existing = await tx.query(
+          `SELECT response_payload FROM idempotency_keys
+           WHERE user_id = $1 AND idempotency_key = $2`,
+          [req.user.id, idempotencyKey]
+        );
+        if (existing.rows.length > 0) {
+          return existing.rows[0].response_payload;
+        }
+      }
+
+      const recorded = [];
+      const lines = await normalizeProductQuantities(tx, req.body.items);
+      for (const item of lines) {
+        recorded.push(await recordWaste(tx, {
+          locationId,
+          productId: Number(item.product_id),
+          quantity: Number(item.quantity),
+          reason: item.reason,
+          notes: item.notes || null,
+          userId: req.user.id,
+        }));
+      }
+
+      const totalCost = recorded.reduce((sum, entry) => sum + entry.cost_value, 0);
+      await tx.query(
+        `INSERT INTO activity_log (user_id, location_id, activity_type, description, metadata)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [
+          req.user.id,
+          locationId,
+          'waste_recorded',
+          `Wrote off ${recorded.map((entry) => `${entry.quantity} ${entry.product_name} (${entry.reason})`).join(', ')}`,
+          JSON.stringify({
+            items: recorded.map((entry) => ({
+              movement_id: entry.movement.id,
+              product_id: entry.movement.product_id,
+              quantity: entry.quantity,
+              reason: entry.reason,
+              cost_value: entry.cost_value,
+            })),
+            total_cost: Math.round(totalCost * 100) / 100,
+          }),
+        ]
+      );
+
+      const response = {
+        records: recorded.map((entry) => ({
+          id: entry.movement.id,
+          product_id: entry.movement.product_id,
+          product_name: entry.product_name,
+          quantity: entry.quantity,
+          reason: entry.reason,
+          cost_value: entry.cost_value,
+        })),
+        total_cost: Math.round(totalCost * 100) / 100,
+      };
+
+      if (idempotencyKey) {
+        await tx.query(
+          `INSERT INTO idempotency_keys (user_id, location_id, idempotency_key, endpoint, response_payload)
+           VALUES ($1, $2, $3, $4, $5)
+           ON CONFLICT (user_id, idempotency_key) DO NOTHING`,
+          [req.user.id, locationId, idempotencyKey, '/api/waste', JSON.stringify(response)]
+        );
+      }
+
+      return response;
+    });
+
+    res.status(201).json(result);
+  })
+);
+
+export default router;
@@ -0,0 +1,174 @@
+import { AppError } from '../utils/errors.js';
+import { createLot, retireSourceLots, trimLotsToStock } from './lotService.js';
+import { assertQuantityFitsUnit, roundQuantity } from './unitService.js';
+
+// Units of a batch line that actually reached stock: nothing while the batch
+// awaits confirmation, the good counted units once it has been confirmed.
+export function landedBatchQuantity(batch, item) {
+  if (batch.status === 'pending') return 0;
+  if (item.quantity_received === null || item.quantity_received === undefined) return Number(item.quantity);
+  return Number(item.quantity_received) - Number(item.quantity_damaged || 0);
+}
+
+export async function isBatchConfirmationRequired(db, locationId) {
+  const result = await db.query('SELECT require_batch_confirmation FROM locations WHERE id = $1', [locationId]);
+  return Boolean(result.rows[0]?.require_batch_confirmation);
+}
+
+// Unmentioned lines arrived in full and undamaged. Only received minus
+// damaged lands in stock.
+export function planBatchReceipt(batchItems, counts = []) {
+  const countsByItem = new Map();
+  for (const count of counts) {
+    const itemId = Number(count.item_id);
+    if (!batchItems.some((item) => Number(item.id) === itemId)) {
+      throw new AppError(`Item ${itemId} is not on this batch`, 400, 'VALIDATION_ERROR');
+    }
+    if (countsByItem.has(itemId)) {
+      throw new AppError(`Item ${itemId} is listed more than once`, 400, 'VALIDATION_ERROR');
+    }
+    const received = Number(count.quantity_received);
+    const damaged = Number(count.quantity_damaged || 0);
+    if (!Number.isFinite(received) || received < 0 || !Number.isFinite(damaged) || damaged < 0) {
+      throw new AppError(`Counts for item ${itemId} must be zero or more`, 400, 'VALIDATION_ERROR');
+    }
+    const item = batchItems.find((entry) => Number(entry.id) === itemId);
+    const unit = { code: item.unit, allows_fraction: item.allows_fraction };
+    assertQuantityFitsUnit(received, unit, `Received quantity for item ${itemId}`);
+    assertQuantityFitsUnit(damaged, unit, `Damaged quantity for item ${itemId}`);
+    if (damaged > received) {
+      throw new AppError(`Damaged quantity for item ${itemId} cannot exceed the received quantity`, 400, 'VALIDATION_ERROR');
+    }
+    countsByItem.set(itemId, { received, damaged, notes: count.notes || null });
+  }
+
+  const lines = batchItems.map((item) => {
+    const sent = Number(item.quantity);
+    const count = countsByItem.get(Number(item.id)) || { received: sent, damaged: 0, notes: null };
+    const accepted = roundQuantity(count.received - count.damaged);
+    const unitCost = Number(item.unit_cost || 0);
+    return {
+      item_id: Number(item.id),
+      product_id: Number(item.product_id),
+      product_name: item.product_name,
+      source: item.source || 'baked',
+      quantity_sent: sent,
+      quantity_received: count.received,
+      quantity_damaged: count.damaged,
+      quantity_accepted: accepted,
+      short: roundQuantity(sent - count.received),
+      discrepancy_value: Number((Math.max(0, sent - accepted) * unitCost).toFixed(2)),
+      notes: count.notes,
+    };
+  });
+
+  const discrepancies = lines.filter((line) => line.short !== 0 || line.quantity_damaged > 0);
+  const discrepancyValue = discrepancies.reduce((sum, line) => sum + line.discrepancy_value, 0);
+  return { lines, discrepancies, discrepancy_value: Number(discrepancyValue.toFixed(2)) };
+}
+
+// Pending batches have no `batch_in` movements yet; this is where their
+// stock is booked.
+export async function confirmBatchReceipt(tx, { batch, items, counts, userId, notes = null }) {
+  if (batch.status !== 'pending') {
+    throw new AppError(`Batch #${batch.id} is not awaiting confirmation`, 409, 'BATCH_NOT_PENDING');
+  }
+
+  const plan = planBatchReceipt(items, counts);
+
+  for (const line of plan.lines) {
+    await tx.query(
+      `UPDATE batch_items
+       SET quantity_received = $1, quantity_damaged = $2, discrepancy_notes = $3
+       WHERE id = $4`,
+      [line.quantity_received, line.quantity_damaged, line.notes, line.item_id]
+    );
+    if (line.quantity_accepted === 0) continue;
+
+    await tx.query(
+      `INSERT INTO inventory (product_id, location_id, quantity, source, last_updated)
+       VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+       ON CONFLICT (product_id, location_id)
+       DO UPDATE SET quantity = inventory.quantity + $3, source = $4, last_updated = CURRENT_TIMESTAMP`,
+      [line.product_id, batch.location_id, line.quantity_accepted, line.source]
+    );
+    await tx.query(
+      `INSERT INTO inventory_movements
+       (location_id, product_id, movement_type, quantity_change, source, reference_type, reference_id, created_by, metadata)
+       VALUES ($1, $2, 'batch_in', $3, $4, 'batch', $5, $6, $7)`,
+      [
+        batch.location_id,
+        line.product_id,
+        line.quantity_accepted,
+        line.source,
+        batch.id,
+        userId,
+        JSON.stringify({
+          confirmed_receipt: true,
+          quantity_sent: line.quantity_sent,
+          quantity_damaged: line.quantity_damaged,
+          short: line.short,
+        }),
+      ]
+    );
+    await createLot(tx, {
+      locationId: batch.location_id,
+      productId: line.product_id,
+      quantity: line.quantity_accepted,
+      sourceType: 'batch',
+      referenceType: 'batch',
+      referenceId: batch.id,
+      producedAt: batch.created_at,
+      userId,
+    });
+  }
+
+  const updated = await tx.query(
+    `UPDATE inventory_batches
+     SET status = 'received', received_by = $1, received_at = CURRENT_TIMESTAMP, receive_notes = $2
+     WHERE id = $3
+     RETURNING *`,
+    [userId, notes, batch.id]
+  );
+
+  return { ...plan, batch: updated.rows[0] };
+}
+
+// Takes an edited or voided batch back off the shelf. Each line posts a
+// negative `batch_in` for what actually came off (stock never goes below
+// zero), and the product's lots are trimmed to what is left.
+export async function reverseBatchStock(tx, { batch, items, userId, reason }) {
+  await retireSourceLots(tx, { referenceType: 'batch', referenceId: batch.id });
+  for (const item of items) {
+    const landed = landedBatchQuantity(batch, item);
+    if (landed <= 0) continue;
+
+    const stock = await tx.query(
+      'SELECT quantity FROM inventory WHERE location_id = $1 AND product_id = $2 FOR UPDATE',
+      [batch.location_id, item.product_id]
+    );
+    const removed = roundQuantity(Math.min(landed, Math.max(0, Number(stock.rows[0]?.quantity || 0))));
+    if (removed > 0) {
+      await tx.query(
+        `UPDATE inventory SET quantity = quantity - $1, last_updated = CURRENT_TIMESTAMP
+         WHERE location_id = $2 AND product_id = $3`,
+        [removed, batch.location_id, item.product_id]
+      );
+      await tx.query(
+        `INSERT INTO inventory_movements
+         (location_id, product_id, movement_type, quantity_change, source, reference_type, reference_id, created_by, metadata)
+         VALUES ($1, $2, 'batch_in', $3, $4, 'batch', $5, $6, $7)`,
+        [
+          batch.location_id,
+          item.product_id,
+          -removed,
+          item.source || 'baked',
+          batch.id,
+          userId,
+          JSON.stringify({ reversal: true, reason, landed_quantity: landed }),
+        ]
+      );
+    }
+    await trimLotsToStock(tx, { locationId: batch.location_id, productId: item.product_id });
+  }
+}
@@ -0,0 +1,65 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { confirmBatchReceipt, planBatchReceipt, reverseBatchStock } from './batchReceivingService.js';
+
+const items = [
+  { id: 1, product_id: 10, product_name: 'Bread', quantity: 40, unit_cost: 5, source: 'baked' },
+  { id: 2, product_id: 11, product_name: 'Cake', quantity: 6, unit_cost: 80, source: 'baked' },
+];
+
+test('planBatchReceipt lands unmentioned lines in full without discrepancies', () => {
+  const plan = planBatchReceipt(items, []);
+  assert.deepEqual(plan.lines.map((line) => line.quantity_accepted), [40, 6]);
+  assert.equal(plan.discrepancies.length, 0);
+  assert.equal(plan.discrepancy_value, 0);
+});
+
+test('planBatchReceipt keeps damaged units out of stock and values the gap', () => {
+  const plan = planBatchReceipt(items, [
+    { item_id: 1, quantity_received: 38, quantity_damaged: 2, notes: 'tray dropped' },
+  ]);
+  const bread = plan.lines[0];
+  assert.equal(bread.quantity_accepted, 36);
+  assert.equal(bread.short, 2);
+  assert.equal(plan.discrepancies.length, 1);
+  assert.equal(plan.discrepancy_value, 20);
+  assert.throws(
+    () => planBatchReceipt(items, [{ item_id: 2, quantity_received: 1, quantity_damaged: 2 }]),
+    (err) => err.statusCode === 400
+  );
+});
+
+test('confirmBatchReceipt only confirms pending batches', async () => {
+  const tx = { query: async () => ({ rows: [] }) };
+  await assert.rejects(
+    () => confirmBatchReceipt(tx, { batch: { id: 7, status: 'sent' }, items, counts: [], userId: 1 }),
+    (err) => err.code === 'BATCH_NOT_PENDING'
+  );
+});
+
+test('reverseBatchStock books what comes off the shelf as negative batch_in movements', async () => {
+  const calls = [];
+  const onHand = { 10: '25.000', 11: '6.000' };
+  const tx = {
+    query: async (sql, params) => {
+      calls.push({ sql, params });
+      if (sql.includes('SELECT quantity FROM inventory')) return { rows: [{ quantity: onHand[params[1]] }] };
+      if (sql.includes('as on_hand')) return { rows: [{ on_hand: 0, in_lots: 0 }] };
+      return { rows: [] };
+    },
+  };
+  const lines = [
+    { product_id: 10, quantity: '40.000', source: 'baked' },
+    { product_id: 11, quantity: '6.000', quantity_received: '5.000', quantity_damaged: '1.000', source: 'baked' },
+  ];
+
+  await reverseBatchStock(tx, { batch: { id: 7, location_id: 1, status: 'sent' }, items: lines, userId: 2, reason: 'batch_void' });
+  const movements = calls.filter((call) => call.sql.includes('INSERT INTO inventory_movements'));
+  assert.deepEqual(movements.map((call) => call.params[2]), [-25, -4]);
+  assert.equal(JSON.parse(movements[0].params[6]).landed_quantity, 40);
+  assert.ok(calls[0].sql.includes('UPDATE inventory_lots SET quantity_remaining = 0'));
+
+  calls.length = 0;
+  await reverseBatchStock(tx, { batch: { id: 8, location_id: 1, status: 'pending' }, items: lines, userId: 2, reason: 'batch_void' });
+  assert.equal(calls.some((call) => call.sql.includes('INSERT INTO inventory_movements')), false);
+});
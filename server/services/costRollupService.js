@@ -0,0 +1,97 @@
+import { AppError } from '../utils/errors.js';
+
+function roundCost(value) {
+  return Math.round(Number(value || 0) * 10000) / 10000;
+}
+
+export function computeRecipeUnitCost(yieldQuantity, lines) {
+  const batchCost = lines.reduce((sum, line) => sum + Number(line.quantity) * Number(line.unit_cost || 0), 0);
+  return roundCost(batchCost / Number(yieldQuantity));
+}
+
+// Falls back to `products.cost` when no history predates `atExpr`; expects
+// the products table aliased as `p`.
+export function effectiveProductCostSql(productIdExpr, atExpr) {
+  return `COALESCE((
+    SELECT pch.cost FROM product_cost_history pch
+    WHERE pch.product_id = ${productIdExpr} AND pch.effective_from <= ${atExpr}
+    ORDER BY pch.effective_from DESC, pch.id DESC
+    LIMIT 1
+  ), p.cost, 0)`;
+}
+
+export async function recordProductCost(tx, { productId, cost, source, userId = null, metadata = null }) {
+  await tx.query('UPDATE products SET cost = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2', [cost, productId]);
+  await tx.query(
+    `INSERT INTO product_cost_history (product_id, cost, source, changed_by, metadata)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [productId, cost, source, userId, metadata ? JSON.stringify(metadata) : null]
+  );
+}
+
+// Only products whose cost actually moved get a history row.
+export async function rollUpRecipeCosts(tx, { productIds = null, ingredientId = null, userId = null, reason }) {
+  const params = [];
+  let filter;
+  if (ingredientId) {
+    params.push(ingredientId);
+    filter = `r.id IN (SELECT recipe_id FROM recipe_items WHERE ingredient_id = $1)`;
+  } else {
+    params.push(productIds || []);
+    filter = 'r.product_id = ANY($1::int[])';
+  }
+
+  const result = await tx.query(
+    `SELECT r.product_id, r.yield_quantity, p.cost as current_cost, ri.quantity, i.unit_cost
+     FROM recipes r
+     JOIN products p ON p.id = r.product_id
+     JOIN recipe_items ri ON ri.recipe_id = r.id
+     JOIN ingredients i ON i.id = ri.ingredient_id
+     WHERE ${filter}`,
+    params
+  );
+
+  const recipes = new Map();
+  for (const row of result.rows) {
+    const productId = Number(row.product_id);
+    if (!recipes.has(productId)) {
+      recipes.set(productId, { yieldQuantity: row.yield_quantity, currentCost: row.current_cost, lines: [] });
+    }
+    recipes.get(productId).lines.push(row);
+  }
+
+  const changed = [];
+  for (const [productId, recipe] of recipes) {
+    const cost = computeRecipeUnitCost(recipe.yieldQuantity, recipe.lines);
+    if (recipe.currentCost !== null && roundCost(recipe.currentCost) === cost) continue;
+
+    await recordProductCost(tx, {
+      productId,
+      cost,
+      source: 'recipe',
+      userId,
+      metadata: { reason, ingredient_id: ingredientId, previous_cost: recipe.currentCost === null ? null : Number(recipe.currentCost) },
+    });
+    changed.push({ product_id: productId, cost });
+  }
+
+  return changed;
+}
+
+export async function assertManualCostAllowed(db, productId, nextCost) {
+  const result = await db.query(
+    `SELECT p.cost, EXISTS (SELECT 1 FROM recipes r WHERE r.product_id = p.id) as has_recipe
+     FROM products p
+     WHERE p.id = $1`,
+    [productId]
+  );
+  const product = result.rows[0];
+  if (product?.has_recipe && roundCost(product.cost) !== roundCost(nextCost)) {
+    throw new AppError(
+      'This product has a recipe; its cost is calculated from ingredient prices',
+      409,
+      'PRODUCT_COST_FROM_RECIPE'
+    );
+  }
+  return product || null;
+}
@@ -0,0 +1,49 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { assertManualCostAllowed, computeRecipeUnitCost, rollUpRecipeCosts } from './costRollupService.js';
+
+test('computeRecipeUnitCost divides ingredient cost by recipe yield', () => {
+  const cost = computeRecipeUnitCost('20', [
+    { quantity: '2.5', unit_cost: '60' },
+    { quantity: '0.4', unit_cost: '450' },
+  ]);
+
+  assert.equal(cost, 16.5);
+});
+
+test('rollUpRecipeCosts records history only for products whose cost moved', async () => {
+  const history = [];
+  const tx = {
+    query: async (sql, params) => {
+      if (sql.includes('FROM recipes r')) {
+        assert.equal(params[0], 10);
+        return {
+          rows: [
+            { product_id: 1, yield_quantity: '20', current_cost: '15.0000', quantity: '2.5', unit_cost: '60' },
+            { product_id: 1, yield_quantity: '20', current_cost: '15.0000', quantity: '0.4', unit_cost: '450' },
+            { product_id: 2, yield_quantity: '1', current_cost: '18.0000', quantity: '0.3', unit_cost: '60' },
+          ],
+        };
+      }
+      if (sql.includes('INSERT INTO product_cost_history')) {
+        history.push(params);
+        return { rows: [] };
+      }
+      if (sql.includes('UPDATE products')) return { rows: [] };
+      throw new Error('unexpected query');
+    },
+  };
+
+  const changed = await rollUpRecipeCosts(tx, { ingredientId: 10, userId: 4, reason: 'ingredient_price_changed' });
+
+  assert.deepEqual(changed, [{ product_id: 1, cost: 16.5 }]);
+  assert.equal(history.length, 1);
+  assert.equal(history[0][2], 'recipe');
+});
+
+test('assertManualCostAllowed rejects hand-typed costs for recipe products', async () => {
+  const db = { query: async () => ({ rows: [{ cost: '16.5000', has_recipe: true }] }) };
+
+  await assert.doesNotReject(() => assertManualCostAllowed(db, 1, '16.50'));
+  await assert.rejects(() => assertManualCostAllowed(db, 1, 20), (err) => err.code === 'PRODUCT_COST_FROM_RECIPE');
+});
@@ -0,0 +1,84 @@
+import { AppError } from '../utils/errors.js';
+
+export const ORDER_STATUSES = ['pending', 'confirmed', 'in_production', 'ready', 'delivered', 'cancelled', 'overdue'];
+export const OPEN_ORDER_STATUSES = ['pending', 'confirmed', 'in_production', 'ready', 'overdue'];
+export const ORDER_PAYMENT_METHODS = ['cash', 'mobile'];
+
+const ORDER_STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['in_production', 'ready', 'cancelled'],
+  in_production: ['ready', 'cancelled'],
+  ready: ['delivered', 'cancelled'],
+  overdue: ['ready', 'delivered', 'cancelled'],
+  delivered: [],
+  cancelled: [],
+};
+
+function roundMoney(value) {
+  return Math.round(Number(value || 0) * 100) / 100;
+}
+
+export function canTransitionOrder(fromStatus, toStatus) {
+  return (ORDER_STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+export function assertOrderTransition(order, nextStatus) {
+  if (!ORDER_STATUSES.includes(nextStatus)) {
+    throw new AppError(`Unknown order status "${nextStatus}"`, 400, 'VALIDATION_ERROR');
+  }
+  if (!canTransitionOrder(order.status, nextStatus)) {
+    throw new AppError(
+      `Order #${order.id} cannot move from ${order.status} to ${nextStatus}`,
+      409,
+      'ORDER_INVALID_TRANSITION'
+    );
+  }
+}
+
+export function assertOrderEditable(order) {
+  if (!OPEN_ORDER_STATUSES.includes(order.status)) {
+    throw new AppError(`Order #${order.id} is ${order.status} and can no longer be changed`, 409, 'ORDER_CLOSED');
+  }
+}
+
+export function assertPaymentWithinTotal(totalAmount, paidAmount) {
+  if (roundMoney(paidAmount) > roundMoney(totalAmount)) {
+    throw new AppError('Paid amount cannot exceed the order total', 400, 'ORDER_OVERPAID');
+  }
+}
+
+// `paymentAmount` is extra money taken at the counter, e.g. the balance on collection.
+export function buildOrderStatusChange(order, nextStatus, { userId, paymentAmount = 0 } = {}) {
+  assertOrderTransition(order, nextStatus);
+
+  const paidAmount = roundMoney(Number(order.paid_amount || 0) + Number(paymentAmount || 0));
+  assertPaymentWithinTotal(order.total_amount, paidAmount);
+
+  if (nextStatus === 'delivered' && paidAmount < roundMoney(order.total_amount)) {
+    throw new AppError(
+      `Order #${order.id} has an outstanding balance of ${(roundMoney(order.total_amount) - paidAmount).toFixed(2)}`,
+      409,
+      'ORDER_BALANCE_DUE'
+    );
+  }
+
+  const change = { status: nextStatus, paid_amount: paidAmount };
+
+  if (nextStatus === 'ready' && !order.baked_done) {
+    change.baked_done = true;
+    change.baked_done_by = userId;
+    change.baked_done_at = new Date().toISOString();
+  }
+
+  if (nextStatus === 'delivered') {
+    change.delivered_at = new Date().toISOString();
+    change.delivered_by = userId;
+  }
+
+  if (nextStatus === 'cancelled') {
+    change.cancelled_at = new Date().toISOString();
+    change.cancelled_by = userId;
+  }
+
+  return change;
+}
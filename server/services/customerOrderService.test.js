@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildOrderStatusChange, canTransitionOrder, assertOrderEditable } from './customerOrderService.js';
+
+test('canTransitionOrder follows the production lifecycle', () => {
+  assert.equal(canTransitionOrder('pending', 'confirmed'), true);
+  assert.equal(canTransitionOrder('confirmed', 'in_production'), true);
+  assert.equal(canTransitionOrder('ready', 'delivered'), true);
+  assert.equal(canTransitionOrder('pending', 'delivered'), false);
+  assert.equal(canTransitionOrder('delivered', 'cancelled'), false);
+});
+
+test('buildOrderStatusChange marks baking done when an order becomes ready', () => {
+  const change = buildOrderStatusChange(
+    { id: 4, status: 'in_production', total_amount: '500.00', paid_amount: '200.00', baked_done: false },
+    'ready',
+    { userId: 9 }
+  );
+
+  assert.equal(change.status, 'ready');
+  assert.equal(change.baked_done, true);
+  assert.equal(change.baked_done_by, 9);
+  assert.equal(change.paid_amount, 200);
+});
+
+test('buildOrderStatusChange rejects delivery with an outstanding balance', () => {
+  assert.throws(
+    () => buildOrderStatusChange({ id: 4, status: 'ready', total_amount: '500.00', paid_amount: '200.00' }, 'delivered', { userId: 9 }),
+    (err) => err.statusCode === 409 && err.code === 'ORDER_BALANCE_DUE'
+  );
+});
+
+test('buildOrderStatusChange accepts the balance collected on delivery', () => {
+  const change = buildOrderStatusChange(
+    { id: 4, status: 'ready', total_amount: '500.00', paid_amount: '200.00' },
+    'delivered',
+    { userId: 9, paymentAmount: 300 }
+  );
+
+  assert.equal(change.paid_amount, 500);
+  assert.equal(change.delivered_by, 9);
+  assert.ok(change.delivered_at);
+});
+
+test('buildOrderStatusChange rejects invalid transitions and overpayment', () => {
+  assert.throws(
+    () => buildOrderStatusChange({ id: 1, status: 'pending', total_amount: 100, paid_amount: 0 }, 'ready'),
+    (err) => err.code === 'ORDER_INVALID_TRANSITION'
+  );
+  assert.throws(
+    () => buildOrderStatusChange({ id: 1, status: 'ready', total_amount: 100, paid_amount: 50 }, 'delivered', { paymentAmount: 80 }),
+    (err) => err.code === 'ORDER_OVERPAID'
+  );
+});
+
+test('assertOrderEditable blocks closed orders', () => {
+  assert.doesNotThrow(() => assertOrderEditable({ id: 1, status: 'overdue' }));
+  assert.throws(() => assertOrderEditable({ id: 1, status: 'delivered' }), (err) => err.code === 'ORDER_CLOSED');
+});
@@ -0,0 +1,223 @@
+import { AppError } from '../utils/errors.js';
+import { WASTE_REASONS, recordWaste } from './wasteService.js';
+import { assertQuantityFitsUnit, roundQuantity } from './unitService.js';
+
+export const CLOSING_ACTIONS = ['carry_over', 'markdown', 'waste'];
+
+function addDays(dateString, days) {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+// Products without a decision, or the rest of a partial one, carry over.
+export function planDayClosing(stockRows, decisions = []) {
+  const stockByProduct = new Map(stockRows.map((row) => [Number(row.product_id), row]));
+  const decided = new Map();
+
+  for (const decision of decisions) {
+    const productId = Number(decision.product_id);
+    const stock = stockByProduct.get(productId);
+    if (!stock) {
+      throw new AppError(`Product ${productId} has no stock to close`, 400, 'VALIDATION_ERROR');
+    }
+    if (decided.has(productId)) {
+      throw new AppError(`Product ${productId} is listed more than once`, 400, 'VALIDATION_ERROR');
+    }
+    if (!CLOSING_ACTIONS.includes(decision.action)) {
+      throw new AppError(`action must be one of: ${CLOSING_ACTIONS.join(', ')}`, 400, 'VALIDATION_ERROR');
+    }
+
+    const onHand = Number(stock.quantity);
+    const quantity = decision.quantity === undefined || decision.quantity === null ? onHand : Number(decision.quantity);
+    if (!Number.isFinite(quantity) || quantity < 0 || quantity > onHand) {
+      throw new AppError(`Quantity for ${stock.product_name} must be between 0 and ${onHand}`, 400, 'VALIDATION_ERROR');
+    }
+    assertQuantityFitsUnit(quantity, { code: stock.unit, allows_fraction: stock.allows_fraction }, `Quantity for ${stock.product_name}`);
+
+    const line = { product_id: productId, product_name: stock.product_name, on_hand: onHand, action: decision.action, quantity };
+
+    if (decision.action === 'markdown') {
+      const price = Number(decision.markdown_price);
+      if (!Number.isFinite(price) || price < 0 || price >= Number(stock.price)) {
+        throw new AppError(`Markdown price for ${stock.product_name} must be below the regular price of ${Number(stock.price)}`, 400, 'VALIDATION_ERROR');
+      }
+      line.markdown_price = price;
+    }
+
+    if (decision.action === 'waste') {
+      line.reason = decision.reason || 'expired';
+      if (!WASTE_REASONS.includes(line.reason)) {
+        throw new AppError(`reason must be one of: ${WASTE_REASONS.join(', ')}`, 400, 'VALIDATION_ERROR');
+      }
+    }
+
+    decided.set(productId, line);
+  }
+
+  const lines = [];
+  for (const [productId, stock] of stockByProduct) {
+    const line = decided.get(productId);
+    if (!line) {
+      lines.push({ product_id: productId, product_name: stock.product_name, on_hand: Number(stock.quantity), action: 'carry_over', quantity: Number(stock.quantity) });
+      continue;
+    }
+    lines.push(line);
+    const remainder = roundQuantity(line.on_hand - line.quantity);
+    if (line.action !== 'carry_over' && remainder > 0) {
+      lines.push({ product_id: productId, product_name: line.product_name, on_hand: line.on_hand, action: 'carry_over', quantity: remainder });
+    }
+  }
+
+  return lines;
+}
+
+export async function getClosingSheet(db, { locationId, businessDate }) {
+  const result = await db.query(
+    `SELECT i.product_id, p.name as product_name, p.price, p.cost, i.quantity,
+            COALESCE(SUM(CASE WHEN m.quantity_change > 0 AND m.movement_type IN ('batch_in', 'purchase_in') THEN m.quantity_change ELSE 0 END), 0) as received_today,
+            COALESCE(SUM(CASE WHEN m.movement_type = 'sale_out' THEN -m.quantity_change ELSE 0 END), 0) as sold_today
+     FROM inventory i
+     JOIN products p ON p.id = i.product_id
+     LEFT JOIN inventory_movements m
+       ON m.location_id = i.location_id AND m.product_id = i.product_id AND DATE(m.created_at) = $2
+     WHERE i.location_id = $1 AND i.quantity > 0
+     GROUP BY i.product_id, p.name, p.price, p.cost, i.quantity
+     ORDER BY p.name`,
+    [locationId, businessDate]
+  );
+
+  const closing = await db.query(
+    'SELECT id, closed_by, created_at FROM day_closings WHERE location_id = $1 AND business_date = $2',
+    [locationId, businessDate]
+  );
+
+  return { business_date: businessDate, closing: closing.rows[0] || null, items: result.rows };
+}
+
+// Carry-over and markdown lines leave stock alone but get a `day_close`
+// movement so the stock card shows the decision.
+export async function postDayClosing(tx, { locationId, businessDate, decisions, userId, notes = null }) {
+  const existing = await tx.query(
+    'SELECT id FROM day_closings WHERE location_id = $1 AND business_date = $2',
+    [locationId, businessDate]
+  );
+  if (existing.rows.length) {
+    throw new AppError(`${businessDate} is already closed for this branch`, 409, 'DAY_ALREADY_CLOSED');
+  }
+
+  const stock = await tx.query(
+    `SELECT i.product_id, p.name as product_name, p.price, i.quantity,
+            p.unit, COALESCE(u.allows_fraction, false) as allows_fraction
+     FROM inventory i
+     JOIN products p ON p.id = i.product_id
+     LEFT JOIN units u ON u.code = p.unit
+     WHERE i.location_id = $1 AND i.quantity > 0
+     FOR UPDATE OF i`,
+    [locationId]
+  );
+  const lines = planDayClosing(stock.rows, decisions);
+
+  const closingResult = await tx.query(
+    `INSERT INTO day_closings (location_id, business_date, closed_by, notes)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [locationId, businessDate, userId, notes]
+  );
+  const closing = closingResult.rows[0];
+  const markdownDate = addDays(businessDate, 1);
+  const posted = [];
+  let wasteCost = 0;
+
+  for (const line of lines) {
+    if (line.quantity === 0) continue;
+    let movementId;
+    let markdownId = null;
+
+    if (line.action === 'waste') {
+      const waste = await recordWaste(tx, {
+        locationId,
+        productId: line.product_id,
+        quantity: line.quantity,
+        reason: line.reason,
+        notes: 'End-of-day closing',
+        userId,
+        referenceType: 'day_closing',
+        referenceId: closing.id,
+      });
+      movementId = waste.movement.id;
+      wasteCost += waste.cost_value;
+      line.cost_value = waste.cost_value;
+    } else {
+      if (line.action === 'markdown') {
+        const markdown = await tx.query(
+          `INSERT INTO product_markdowns
+           (location_id, product_id, closing_id, markdown_price, quantity, remaining_quantity, valid_on, created_by)
+           VALUES ($1, $2, $3, $4, $5, $5, $6, $7)
+           RETURNING id`,
+          [locationId, line.product_id, closing.id, line.markdown_price, line.quantity, markdownDate, userId]
+        );
+        markdownId = markdown.rows[0].id;
+      }
+
+      const movement = await tx.query(
+        `INSERT INTO inventory_movements
+         (location_id, product_id, movement_type, quantity_change, source, reference_type, reference_id, created_by, metadata)
+         VALUES ($1, $2, 'day_close', 0, 'manual', 'day_closing', $3, $4, $5)
+         RETURNING id`,
+        [
+          locationId,
+          line.product_id,
+          closing.id,
+          userId,
+          JSON.stringify({
+            action: line.action,
+            quantity: line.quantity,
+            on_hand: line.on_hand,
+            markdown_price: line.markdown_price ?? null,
+            markdown_id: markdownId,
+            valid_on: markdownId ? markdownDate : null,
+          }),
+        ]
+      );
+      movementId = movement.rows[0].id;
+    }
+
+    await tx.query(
+      `INSERT INTO day_closing_items
+       (closing_id, product_id, quantity_on_hand, action, quantity, markdown_price, waste_reason, movement_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [closing.id, line.product_id, line.on_hand, line.action, line.quantity, line.markdown_price ?? null, line.reason || null, movementId]
+    );
+    posted.push({ ...line, movement_id: movementId, markdown_id: markdownId });
+  }
+
+  return { closing, lines: posted, waste_cost: Math.round(wasteCost * 100) / 100, markdown_valid_on: markdownDate };
+}
+
+// Only today's markdowns can be sold.
+export async function claimMarkdown(tx, { markdownId, productId, locationId, quantity }) {
+  const result = await tx.query(
+    `SELECT * FROM product_markdowns
+     WHERE id = $1 AND location_id = $2 AND product_id = $3 AND valid_on = CURRENT_DATE
+     FOR UPDATE`,
+    [markdownId, locationId, productId]
+  );
+  const markdown = result.rows[0];
+  if (!markdown) {
+    throw new AppError(`Day-old price ${markdownId} is not available today`, 409, 'MARKDOWN_NOT_AVAILABLE');
+  }
+  if (Number(markdown.remaining_quantity) < quantity) {
+    throw new AppError(
+      `Only ${markdown.remaining_quantity} day-old units left at the markdown price`,
+      409,
+      'MARKDOWN_EXHAUSTED'
+    );
+  }
+
+  await tx.query(
+    'UPDATE product_markdowns SET remaining_quantity = remaining_quantity - $1 WHERE id = $2',
+    [quantity, markdownId]
+  );
+  return Number(markdown.markdown_price);
+}
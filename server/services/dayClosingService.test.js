@@ -0,0 +1,46 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { claimMarkdown, planDayClosing } from './dayClosingService.js';
+
+const stock = [
+  { product_id: 1, product_name: 'Bread', price: '10', quantity: 12 },
+  { product_id: 2, product_name: 'Cake', price: '80', quantity: 3 },
+  { product_id: 3, product_name: 'Cookie', price: '5', quantity: 20 },
+];
+
+test('planDayClosing carries over undecided stock and partial remainders', () => {
+  const lines = planDayClosing(stock, [
+    { product_id: 1, action: 'markdown', quantity: 8, markdown_price: 6 },
+    { product_id: 2, action: 'waste', reason: 'damaged' },
+  ]);
+
+  assert.deepEqual(
+    lines.map((line) => [line.product_id, line.action, line.quantity]),
+    [[1, 'markdown', 8], [1, 'carry_over', 4], [2, 'waste', 3], [3, 'carry_over', 20]]
+  );
+  assert.equal(lines.find((line) => line.action === 'waste').reason, 'damaged');
+});
+
+test('planDayClosing rejects markdowns at or above the regular price and over-counted quantities', () => {
+  assert.throws(() => planDayClosing(stock, [{ product_id: 1, action: 'markdown', markdown_price: 10 }]), (err) => err.statusCode === 400);
+  assert.throws(() => planDayClosing(stock, [{ product_id: 2, action: 'waste', quantity: 4 }]), (err) => err.statusCode === 400);
+  assert.throws(() => planDayClosing(stock, [{ product_id: 9, action: 'waste' }]), (err) => err.statusCode === 400);
+});
+
+test('claimMarkdown prices the line at the day-old price and guards remaining units', async () => {
+  const updates = [];
+  const tx = {
+    query: async (sql, params) => {
+      if (sql.includes('FROM product_markdowns')) return { rows: [{ id: 4, markdown_price: '6.00', remaining_quantity: 5 }] };
+      updates.push(params);
+      return { rows: [] };
+    },
+  };
+
+  assert.equal(await claimMarkdown(tx, { markdownId: 4, productId: 1, locationId: 1, quantity: 2 }), 6);
+  assert.deepEqual(updates[0], [2, 4]);
+  await assert.rejects(
+    () => claimMarkdown(tx, { markdownId: 4, productId: 1, locationId: 1, quantity: 6 }),
+    (err) => err.code === 'MARKDOWN_EXHAUSTED'
+  );
+});
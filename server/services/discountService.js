@@ -0,0 +1,140 @@
+import bcrypt from 'bcryptjs';
+import { AppError } from '../utils/errors.js';
+
+export const DISCOUNT_TYPES = ['percent', 'fixed'];
+export const DISCOUNT_REASONS = ['loyalty', 'staff', 'damaged', 'price_match', 'goodwill', 'other'];
+
+// Largest discount, as a percent of the line's price after promotions, each role may give
+// without an override. Branches change them with `discount_cap_<role>` alert rules.
+const DEFAULT_DISCOUNT_CAPS = { cashier: 10, manager: 30, admin: 100 };
+
+function roundMoney(value) {
+  return Math.round(Number(value || 0) * 100) / 100;
+}
+
+function discountAmount(base, discount, label) {
+  if (!discount) return 0;
+
+  if (!DISCOUNT_TYPES.includes(discount.type)) {
+    throw new AppError(`${label} discount type must be one of: ${DISCOUNT_TYPES.join(', ')}`, 400, 'VALIDATION_ERROR');
+  }
+  if (!DISCOUNT_REASONS.includes(discount.reason)) {
+    throw new AppError(`${label} discount needs a reason: ${DISCOUNT_REASONS.join(', ')}`, 400, 'DISCOUNT_REASON_REQUIRED');
+  }
+
+  const value = Number(discount.value);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new AppError(`${label} discount must be greater than zero`, 400, 'VALIDATION_ERROR');
+  }
+  if (discount.type === 'percent' && value > 100) {
+    throw new AppError(`${label} discount cannot be more than 100%`, 400, 'VALIDATION_ERROR');
+  }
+
+  const amount = discount.type === 'percent' ? roundMoney((base * value) / 100) : roundMoney(value);
+  if (amount > base) {
+    throw new AppError(`${label} discount of ${amount.toFixed(2)} is more than its ${base.toFixed(2)} price`, 400, 'DISCOUNT_EXCEEDS_PRICE');
+  }
+  return amount;
+}
+
+// Promotions come off first, then line discounts, then the order discount
+// spread over the lines (the last line takes the rounding), so line subtotals
+// add up to the sale total. `max_discount_percent` is what role caps check.
+export function priceSale(lines, orderDiscount = null) {
+  const priced = lines.map((line) => {
+    const grossAmount = roundMoney(Number(line.unit_price) * Number(line.quantity));
+    const promotionAmount = roundMoney(line.promotion_amount || 0);
+    const lineDiscountAmount = discountAmount(roundMoney(grossAmount - promotionAmount), line.discount, line.product_name || 'Line');
+    return { ...line, gross_amount: grossAmount, promotion_amount: promotionAmount, line_discount_amount: lineDiscountAmount };
+  });
+  const netBeforeOrder = priced.map((line) => roundMoney(line.gross_amount - line.promotion_amount - line.line_discount_amount));
+
+  const grossAmount = roundMoney(priced.reduce((sum, line) => sum + line.gross_amount, 0));
+  const afterLines = roundMoney(netBeforeOrder.reduce((sum, net) => sum + net, 0));
+  const orderDiscountAmount = discountAmount(afterLines, orderDiscount, 'Order');
+
+  let allocated = 0;
+  const lastIndex = netBeforeOrder.map((net) => net > 0).lastIndexOf(true);
+  const result = priced.map((line, index) => {
+    let share = 0;
+    if (orderDiscountAmount > 0 && netBeforeOrder[index] > 0) {
+      share = index === lastIndex
+        ? roundMoney(orderDiscountAmount - allocated)
+        : roundMoney((orderDiscountAmount * netBeforeOrder[index]) / afterLines);
+      allocated = roundMoney(allocated + share);
+    }
+    const lineDiscount = roundMoney(line.line_discount_amount + share);
+    const promotedPrice = roundMoney(line.gross_amount - line.promotion_amount);
+    return {
+      ...line,
+      order_discount_share: share,
+      discount_amount: lineDiscount,
+      subtotal: roundMoney(promotedPrice - lineDiscount),
+      discount_percent: promotedPrice > 0 ? (lineDiscount / promotedPrice) * 100 : 0,
+    };
+  });
+
+  const promotionTotal = roundMoney(result.reduce((sum, line) => sum + line.promotion_amount, 0));
+  const discountTotal = roundMoney(result.reduce((sum, line) => sum + line.discount_amount, 0));
+  return {
+    lines: result,
+    gross_amount: grossAmount,
+    promotion_amount: promotionTotal,
+    line_discount_amount: roundMoney(discountTotal - orderDiscountAmount),
+    order_discount_amount: orderDiscountAmount,
+    discount_amount: discountTotal,
+    total_amount: roundMoney(grossAmount - promotionTotal - discountTotal),
+    max_discount_percent: Math.round(Math.max(0, ...result.map((line) => line.discount_percent)) * 100) / 100,
+  };
+}
+
+export async function getDiscountCap(db, locationId, role) {
+  const rule = await db.query(
+    `SELECT threshold FROM alert_rules
+     WHERE location_id = $1 AND event_type = $2 AND enabled = true
+     ORDER BY updated_at DESC LIMIT 1`,
+    [locationId, `discount_cap_${role}`]
+  );
+  return rule.rows.length ? Number(rule.rows[0].threshold) : (DEFAULT_DISCOUNT_CAPS[role] ?? 0);
+}
+
+// Over the cashier's cap, a manager of this branch or an admin whose own cap
+// covers it must approve with their override PIN.
+export async function authorizeDiscount(tx, { locationId, user, discountPercent, approval }) {
+  const cap = await getDiscountCap(tx, locationId, user.role);
+  if (discountPercent <= cap) return null;
+
+  if (!approval?.username || !approval?.pin) {
+    throw new AppError(
+      `A ${discountPercent.toFixed(1)}% discount is above your ${cap}% limit and needs a manager's approval`,
+      403,
+      'DISCOUNT_APPROVAL_REQUIRED',
+      { cap, discount_percent: discountPercent }
+    );
+  }
+
+  const approverResult = await tx.query(
+    `SELECT id, username, role, location_id, override_pin_hash FROM users
+     WHERE username = $1 AND is_active = true AND role IN ('admin', 'manager')`,
+    [approval.username]
+  );
+  const approver = approverResult.rows[0];
+  const pinMatches = approver?.override_pin_hash
+    ? await bcrypt.compare(String(approval.pin), approver.override_pin_hash)
+    : false;
+  if (!pinMatches || (approver.role === 'manager' && Number(approver.location_id) !== Number(locationId))) {
+    throw new AppError('Manager username or PIN is incorrect', 403, 'DISCOUNT_APPROVAL_INVALID');
+  }
+
+  const approverCap = await getDiscountCap(tx, locationId, approver.role);
+  if (discountPercent > approverCap) {
+    throw new AppError(
+      `${approver.username} can approve discounts up to ${approverCap}%`,
+      403,
+      'DISCOUNT_ABOVE_APPROVER_CAP',
+      { cap: approverCap, discount_percent: discountPercent }
+    );
+  }
+
+  return approver.id;
+}
@@ -0,0 +1,79 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import bcrypt from 'bcryptjs';
+import { authorizeDiscount, priceSale } from './discountService.js';
+
+test('priceSale takes line discounts first and spreads the order discount over the lines', () => {
+  const pricing = priceSale(
+    [
+      { product_id: 1, product_name: 'Cake', unit_price: 250, quantity: 2, discount: { type: 'percent', value: 10, reason: 'loyalty' } },
+      { product_id: 2, product_name: 'Bread', unit_price: 15, quantity: 3 },
+      { product_id: 3, product_name: 'Cookie', unit_price: 10, quantity: 1 },
+    ],
+    { type: 'fixed', value: 20, reason: 'goodwill' }
+  );
+
+  assert.equal(pricing.gross_amount, 555);
+  assert.equal(pricing.line_discount_amount, 50);
+  assert.equal(pricing.order_discount_amount, 20);
+  assert.equal(pricing.total_amount, 485);
+  assert.deepEqual(pricing.lines.map((line) => line.order_discount_share), [17.82, 1.78, 0.4]);
+  assert.equal(pricing.lines.reduce((sum, line) => sum + line.subtotal, 0).toFixed(2), '485.00');
+  assert.equal(pricing.max_discount_percent, 13.56);
+});
+
+test('priceSale rejects discounts without a reason or larger than the price', () => {
+  assert.throws(
+    () => priceSale([{ product_name: 'Cake', unit_price: 100, quantity: 1, discount: { type: 'fixed', value: 5 } }]),
+    (err) => err.code === 'DISCOUNT_REASON_REQUIRED'
+  );
+  assert.throws(
+    () => priceSale([{ product_name: 'Cake', unit_price: 100, quantity: 1, discount: { type: 'fixed', value: 150, reason: 'damaged' } }]),
+    (err) => err.code === 'DISCOUNT_EXCEEDS_PRICE'
+  );
+  assert.equal(priceSale([{ unit_price: 12.5, quantity: 2 }]).discount_amount, 0);
+});
+
+function createTx({ caps = {}, approver = null } = {}) {
+  return {
+    query: async (sql, params) => {
+      if (sql.includes('FROM alert_rules')) {
+        const role = params[1].replace('discount_cap_', '');
+        return { rows: caps[role] === undefined ? [] : [{ threshold: caps[role] }] };
+      }
+      if (sql.includes('FROM users')) return { rows: approver ? [approver] : [] };
+      return { rows: [] };
+    },
+  };
+}
+
+test('authorizeDiscount lets cashiers discount within their cap and asks for a manager above it', async () => {
+  const cashier = { id: 3, role: 'cashier' };
+  assert.equal(await authorizeDiscount(createTx(), { locationId: 1, user: cashier, discountPercent: 10 }), null);
+
+  await assert.rejects(
+    authorizeDiscount(createTx({ caps: { cashier: 5 } }), { locationId: 1, user: cashier, discountPercent: 8 }),
+    (err) => err.code === 'DISCOUNT_APPROVAL_REQUIRED' && err.statusCode === 403 && err.details.cap === 5
+  );
+});
+
+test('authorizeDiscount accepts a manager PIN from the same branch only', async () => {
+  const cashier = { id: 3, role: 'cashier' };
+  const manager = { id: 7, username: 'sara', role: 'manager', location_id: 1, override_pin_hash: bcrypt.hashSync('4821', 4) };
+  const approval = { username: 'sara', pin: '4821' };
+
+  assert.equal(await authorizeDiscount(createTx({ approver: manager }), { locationId: 1, user: cashier, discountPercent: 25, approval }), 7);
+
+  await assert.rejects(
+    authorizeDiscount(createTx({ approver: manager }), { locationId: 1, user: cashier, discountPercent: 25, approval: { ...approval, pin: '0000' } }),
+    (err) => err.code === 'DISCOUNT_APPROVAL_INVALID'
+  );
+  await assert.rejects(
+    authorizeDiscount(createTx({ approver: manager }), { locationId: 2, user: cashier, discountPercent: 25, approval }),
+    (err) => err.code === 'DISCOUNT_APPROVAL_INVALID'
+  );
+  await assert.rejects(
+    authorizeDiscount(createTx({ approver: manager }), { locationId: 1, user: cashier, discountPercent: 45, approval }),
+    (err) => err.code === 'DISCOUNT_ABOVE_APPROVER_CAP'
+  );
+});
@@ -0,0 +1,128 @@
+function roundQuantity(value) {
+  return Math.round(Number(value || 0) * 1000) / 1000;
+}
+
+// Only baked lines use ingredients. Products without a recipe are returned
+// as missing rather than failing the batch.
+export function calculateIngredientUsage(items, recipeRows) {
+  const recipesByProduct = new Map();
+  for (const row of recipeRows) {
+    const productId = Number(row.product_id);
+    if (!recipesByProduct.has(productId)) {
+      recipesByProduct.set(productId, { yieldQuantity: Number(row.yield_quantity), lines: [] });
+    }
+    recipesByProduct.get(productId).lines.push({ ingredientId: Number(row.ingredient_id), quantity: Number(row.quantity) });
+  }
+
+  const usage = new Map();
+  const productsWithoutRecipe = [];
+
+  for (const item of items) {
+    if ((item.source || 'baked') !== 'baked') continue;
+    const productId = Number(item.product_id);
+    const recipe = recipesByProduct.get(productId);
+    if (!recipe) {
+      productsWithoutRecipe.push(productId);
+      continue;
+    }
+
+    const multiplier = Number(item.quantity) / recipe.yieldQuantity;
+    for (const line of recipe.lines) {
+      const entry = usage.get(line.ingredientId) || { ingredient_id: line.ingredientId, quantity: 0, products: [] };
+      entry.quantity = roundQuantity(entry.quantity + line.quantity * multiplier);
+      entry.products.push({ product_id: productId, quantity: Number(item.quantity) });
+      usage.set(line.ingredientId, entry);
+    }
+  }
+
+  return { usage: [...usage.values()], productsWithoutRecipe: [...new Set(productsWithoutRecipe)] };
+}
+
+async function postIngredientChange(tx, { locationId, ingredientId, change, batchId, userId, metadata }) {
+  const stock = await tx.query(
+    `INSERT INTO ingredient_inventory (ingredient_id, location_id, quantity, last_updated)
+     VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+     ON CONFLICT (ingredient_id, location_id)
+     DO UPDATE SET quantity = ingredient_inventory.quantity + $3, last_updated = CURRENT_TIMESTAMP
+     RETURNING quantity`,
+    [ingredientId, locationId, change]
+  );
+
+  await tx.query(
+    `INSERT INTO inventory_movements
+     (location_id, ingredient_id, movement_type, quantity_change, source, reference_type, reference_id, created_by, metadata)
+     VALUES ($1, $2, 'ingredient_consumption', $3, 'baked', 'batch', $4, $5, $6)`,
+    [locationId, ingredientId, change, batchId, userId, JSON.stringify(metadata)]
+  );
+  return Number(stock.rows[0].quantity);
+}
+
+// Stock may go negative: the bake already happened, so the shortage is
+// reported back instead of blocking the batch.
+export async function applyBatchIngredientUsage(tx, { locationId, batchId, items, userId, reason = 'batch' }) {
+  const productIds = [...new Set(items.map((item) => Number(item.product_id)))];
+  if (!productIds.length) return { usage: [], productsWithoutRecipe: [], shortages: [] };
+
+  const recipeRows = await tx.query(
+    `SELECT r.product_id, r.yield_quantity, ri.ingredient_id, ri.quantity
+     FROM recipes r
+     JOIN recipe_items ri ON ri.recipe_id = r.id
+     WHERE r.product_id = ANY($1::int[])`,
+    [productIds]
+  );
+
+  const { usage, productsWithoutRecipe } = calculateIngredientUsage(items, recipeRows.rows);
+  const shortages = [];
+
+  for (const entry of usage) {
+    const remaining = await postIngredientChange(tx, {
+      locationId,
+      ingredientId: entry.ingredient_id,
+      change: roundQuantity(-entry.quantity),
+      batchId,
+      userId,
+      metadata: { reason, products: entry.products },
+    });
+    if (remaining < 0) {
+      shortages.push({ ingredient_id: entry.ingredient_id, quantity: remaining });
+    }
+  }
+
+  return { usage, productsWithoutRecipe, shortages };
+}
+
+// Gives back exactly what the batch's own movements took, whatever the
+// recipe says today, so an edit or void of an old batch credits no stock
+// that was never used.
+export async function reverseBatchIngredientUsage(tx, { locationId, batchId, userId, reason }) {
+  const consumed = await tx.query(
+    `SELECT ingredient_id, SUM(quantity_change) as quantity
+     FROM (
+       SELECT ingredient_id, quantity_change FROM inventory_movements
+       WHERE movement_type = 'ingredient_consumption' AND reference_type = 'batch' AND reference_id = $1 AND location_id = $2
+       UNION ALL
+       SELECT ingredient_id, quantity_change FROM inventory_movements_archive
+       WHERE movement_type = 'ingredient_consumption' AND reference_type = 'batch' AND reference_id = $1 AND location_id = $2
+     ) m
+     WHERE ingredient_id IS NOT NULL
+     GROUP BY ingredient_id
+     ORDER BY ingredient_id`,
+    [batchId, locationId]
+  );
+
+  const restored = [];
+  for (const row of consumed.rows) {
+    const change = roundQuantity(-Number(row.quantity));
+    if (change === 0) continue;
+    await postIngredientChange(tx, {
+      locationId,
+      ingredientId: Number(row.ingredient_id),
+      change,
+      batchId,
+      userId,
+      metadata: { reason },
+    });
+    restored.push({ ingredient_id: Number(row.ingredient_id), quantity: change });
+  }
+  return restored;
+}
@@ -0,0 +1,94 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { applyBatchIngredientUsage, calculateIngredientUsage, reverseBatchIngredientUsage } from './ingredientService.js';
+
+const recipeRows = [
+  { product_id: 1, yield_quantity: '20', ingredient_id: 10, quantity: '2.5' },
+  { product_id: 1, yield_quantity: '20', ingredient_id: 11, quantity: '0.4' },
+  { product_id: 2, yield_quantity: '1', ingredient_id: 10, quantity: '0.3' },
+];
+
+test('calculateIngredientUsage scales recipes by yield and merges shared ingredients', () => {
+  const { usage, productsWithoutRecipe } = calculateIngredientUsage(
+    [
+      { product_id: 1, quantity: 40, source: 'baked' },
+      { product_id: 2, quantity: 5, source: 'baked' },
+      { product_id: 3, quantity: 12, source: 'baked' },
+      { product_id: 4, quantity: 24, source: 'purchased' },
+    ],
+    recipeRows
+  );
+
+  const flour = usage.find((entry) => entry.ingredient_id === 10);
+  const butter = usage.find((entry) => entry.ingredient_id === 11);
+  assert.equal(flour.quantity, 6.5);
+  assert.equal(butter.quantity, 0.8);
+  assert.deepEqual(productsWithoutRecipe, [3]);
+});
+
+test('applyBatchIngredientUsage records negative movements and reports shortages', async () => {
+  const movements = [];
+  const tx = {
+    query: async (sql, params) => {
+      if (sql.includes('FROM recipes r')) return { rows: recipeRows };
+      if (sql.includes('INSERT INTO ingredient_inventory')) {
+        return { rows: [{ quantity: params[0] === 10 ? '-1.5' : '3' }] };
+      }
+      if (sql.includes('INSERT INTO inventory_movements')) {
+        movements.push(params);
+        return { rows: [] };
+      }
+      throw new Error('unexpected query');
+    },
+  };
+
+  const result = await applyBatchIngredientUsage(tx, {
+    locationId: 2,
+    batchId: 99,
+    items: [{ product_id: 1, quantity: 20, source: 'baked' }],
+    userId: 7,
+  });
+
+  assert.deepEqual(movements.map((params) => [params[1], params[2]]), [[10, -2.5], [11, -0.4]]);
+  assert.deepEqual(result.shortages, [{ ingredient_id: 10, quantity: -1.5 }]);
+});
+
+test('voiding a batch gives back what it consumed, not what the recipe says today', async () => {
+  const stock = new Map();
+  const ledger = [];
+  let recipe = [{ product_id: 1, yield_quantity: '20', ingredient_id: 10, quantity: '2.5' }];
+  const tx = {
+    query: async (sql, params) => {
+      if (sql.includes('FROM recipes r')) return { rows: recipe };
+      if (sql.includes('INSERT INTO ingredient_inventory')) {
+        stock.set(params[0], (stock.get(params[0]) || 0) + params[2]);
+        return { rows: [{ quantity: String(stock.get(params[0])) }] };
+      }
+      if (sql.includes('INSERT INTO inventory_movements')) {
+        ledger.push({ ingredient_id: params[1], quantity_change: params[2], reference_id: params[3] });
+        return { rows: [] };
+      }
+      if (sql.includes('GROUP BY ingredient_id')) {
+        const totals = new Map();
+        for (const row of ledger.filter((entry) => entry.reference_id === params[0])) {
+          totals.set(row.ingredient_id, (totals.get(row.ingredient_id) || 0) + row.quantity_change);
+        }
+        return { rows: [...totals].map(([ingredient_id, quantity]) => ({ ingredient_id, quantity: String(quantity) })) };
+      }
+      throw new Error('unexpected query');
+    },
+  };
+
+  await applyBatchIngredientUsage(tx, { locationId: 2, batchId: 99, items: [{ product_id: 1, quantity: 40, source: 'baked' }], userId: 7 });
+  recipe = [
+    { product_id: 1, yield_quantity: '20', ingredient_id: 10, quantity: '4' },
+    { product_id: 1, yield_quantity: '20', ingredient_id: 11, quantity: '1' },
+  ];
+
+  const restored = await reverseBatchIngredientUsage(tx, { locationId: 2, batchId: 99, userId: 7, reason: 'batch_void' });
+  assert.deepEqual(restored, [{ ingredient_id: 10, quantity: 5 }]);
+  assert.equal(stock.get(10), 0);
+  assert.equal(stock.has(11), false);
+
+  assert.deepEqual(await reverseBatchIngredientUsage(tx, { locationId: 2, batchId: 99, userId: 7, reason: 'batch_void' }), []);
+});
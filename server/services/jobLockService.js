@@ -3,6 +3,8 @@ import { query } from '../db.js';
 export const JOB_LOCK_KEYS = {
   ORDER_DUE_NOTIFICATIONS: 90421011,
   ARCHIVE_SCHEDULER: 90421012,
+  LOT_EXPIRY_SCAN: 90421013,
+  INVENTORY_RECONCILIATION: 90421014,
 };
 
 export async function withAdvisoryJobLock(lockKey, task, dbQuery = query) {
@@ -0,0 +1,344 @@
+import { query } from '../db.js';
+import { AppError } from '../utils/errors.js';
+import { JOB_LOCK_KEYS, withAdvisoryJobLock } from './jobLockService.js';
+import { recordWaste } from './wasteService.js';
+
+export const LOT_SOURCE_TYPES = ['batch', 'purchase', 'transfer'];
+export const WASTE_PROPOSAL_STATUSES = ['proposed', 'accepted', 'dismissed'];
+
+const DEFAULT_LOOKAHEAD_HOURS = 24;
+const DEFAULT_INTERVAL_MINUTES = 24 * 60;
+
+function readPositiveNumber(value, fallback) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+function roundQuantity(value) {
+  return Math.round(Number(value || 0) * 1000) / 1000;
+}
+
+export function computeExpiry(producedAt, shelfLifeHours) {
+  const hours = Number(shelfLifeHours);
+  if (!Number.isFinite(hours) || hours <= 0) return null;
+  return new Date(new Date(producedAt).getTime() + hours * 60 * 60 * 1000);
+}
+
+// `lots` must already be in FIFO order. What they cannot cover is `untracked`:
+// stock from before lot tracking, or counted in by a stocktake, has no lot.
+export function planFifoAllocation(lots, quantity) {
+  let remaining = roundQuantity(quantity);
+  const allocations = [];
+
+  for (const lot of lots) {
+    if (remaining <= 0) break;
+    const available = roundQuantity(lot.quantity_remaining);
+    if (available <= 0) continue;
+    const take = Math.min(available, remaining);
+    allocations.push({ lot_id: Number(lot.id), quantity: take, expires_at: lot.expires_at ?? null, produced_at: lot.produced_at ?? null });
+    remaining = roundQuantity(remaining - take);
+  }
+
+  return { allocations, untracked: remaining };
+}
+
+// Stock moved between branches keeps its original shelf life.
+export function earliestLotDates(allocations) {
+  const earliest = (key) => allocations
+    .map((allocation) => allocation[key])
+    .filter(Boolean)
+    .map((value) => new Date(value))
+    .sort((a, b) => a - b)[0] || null;
+  return { produced_at: earliest('produced_at'), expires_at: earliest('expires_at') };
+}
+
+// Expiry defaults to the product's shelf life from `producedAt`.
+export async function createLot(tx, {
+  locationId,
+  productId,
+  quantity,
+  sourceType,
+  referenceType = null,
+  referenceId = null,
+  producedAt = null,
+  expiresAt,
+  unitCost = null,
+  userId = null,
+}) {
+  if (!LOT_SOURCE_TYPES.includes(sourceType)) {
+    throw new AppError(`Unknown lot source ${sourceType}`, 400, 'VALIDATION_ERROR');
+  }
+  if (!(Number(quantity) > 0)) return null;
+
+  const product = await tx.query('SELECT shelf_life_hours, cost FROM products WHERE id = $1', [productId]);
+  const startsAt = producedAt ? new Date(producedAt) : new Date();
+  const expiry = expiresAt !== undefined ? expiresAt : computeExpiry(startsAt, product.rows[0]?.shelf_life_hours);
+  const cost = unitCost ?? product.rows[0]?.cost ?? null;
+
+  const result = await tx.query(
+    `INSERT INTO inventory_lots
+     (location_id, product_id, source_type, reference_type, reference_id, produced_at, expires_at,
+      quantity_received, quantity_remaining, unit_cost, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $8, $9, $10)
+     RETURNING *`,
+    [locationId, productId, sourceType, referenceType, referenceId, producedAt ? startsAt : null, expiry, quantity, cost, userId]
+  );
+  return result.rows[0];
+}
+
+// Oldest lot first by production (or receiving) date; `lotId` jumps the
+// queue. Callers update `inventory` themselves; this only keeps lots in step.
+export async function consumeLotsFifo(tx, { locationId, productId, quantity, lotId = null }) {
+  const lots = await tx.query(
+    `SELECT id, quantity_remaining, produced_at, expires_at
+     FROM inventory_lots
+     WHERE location_id = $1 AND product_id = $2 AND quantity_remaining > 0
+     ORDER BY CASE WHEN id = $3 THEN 0 ELSE 1 END, COALESCE(produced_at, received_at), id
+     FOR UPDATE`,
+    [locationId, productId, lotId]
+  );
+
+  const plan = planFifoAllocation(lots.rows, quantity);
+  for (const allocation of plan.allocations) {
+    await tx.query(
+      'UPDATE inventory_lots SET quantity_remaining = quantity_remaining - $1 WHERE id = $2',
+      [allocation.quantity, allocation.lot_id]
+    );
+  }
+  return plan;
+}
+
+export async function restoreLotsFromMovements(tx, { movementType, referenceType, referenceId }) {
+  const movements = await tx.query(
+    `SELECT metadata FROM inventory_movements
+     WHERE movement_type = $1 AND reference_type = $2 AND reference_id = $3`,
+    [movementType, referenceType, referenceId]
+  );
+
+  let restored = 0;
+  for (const movement of movements.rows) {
+    for (const allocation of movement.metadata?.lots || []) {
+      await tx.query(
+        `UPDATE inventory_lots
+         SET quantity_remaining = LEAST(quantity_received, quantity_remaining + $1)
+         WHERE id = $2`,
+        [allocation.quantity, allocation.lot_id]
+      );
+      restored += 1;
+    }
+  }
+  return restored;
+}
+
+// Walks the original allocation newest lot first so the freshest stock is restored.
+export async function restoreLotQuantity(tx, { movementType, referenceType, referenceId, productId, quantity }) {
+  const movements = await tx.query(
+    `SELECT metadata FROM inventory_movements
+     WHERE movement_type = $1 AND reference_type = $2 AND reference_id = $3 AND product_id = $4`,
+    [movementType, referenceType, referenceId, productId]
+  );
+
+  let remaining = roundQuantity(quantity);
+  const allocations = movements.rows.flatMap((movement) => movement.metadata?.lots || []).reverse();
+  for (const allocation of allocations) {
+    if (remaining <= 0) break;
+    const take = Math.min(remaining, Number(allocation.quantity));
+    const restored = await tx.query(
+      `UPDATE inventory_lots
+       SET quantity_remaining = LEAST(quantity_received, quantity_remaining + $1)
+       WHERE id = $2
+       RETURNING id`,
+      [take, allocation.lot_id]
+    );
+    if (restored.rows.length) remaining = roundQuantity(remaining - take);
+  }
+  return roundQuantity(quantity - remaining);
+}
+
+export async function retireSourceLots(tx, { referenceType, referenceId }) {
+  const result = await tx.query(
+    `UPDATE inventory_lots SET quantity_remaining = 0
+     WHERE reference_type = $1 AND reference_id = $2 AND quantity_remaining > 0
+     RETURNING id`,
+    [referenceType, referenceId]
+  );
+  return result.rows.length;
+}
+
+// Used after stock is set to an absolute quantity, so lots never hold more
+// than the shelf.
+export async function trimLotsToStock(tx, { locationId, productId }) {
+  const totals = await tx.query(
+    `SELECT COALESCE((SELECT quantity FROM inventory WHERE location_id = $1 AND product_id = $2), 0) as on_hand,
+            COALESCE((SELECT SUM(quantity_remaining) FROM inventory_lots WHERE location_id = $1 AND product_id = $2), 0) as in_lots`,
+    [locationId, productId]
+  );
+  const excess = roundQuantity(Number(totals.rows[0]?.in_lots || 0) - Number(totals.rows[0]?.on_hand || 0));
+  if (excess <= 0) return null;
+  return consumeLotsFifo(tx, { locationId, productId, quantity: excess });
+}
+
+function groupByLocation(rows) {
+  const grouped = new Map();
+  for (const row of rows) {
+    const key = Number(row.location_id);
+    if (!grouped.has(key)) grouped.set(key, []);
+    grouped.get(key).push(row);
+  }
+  return grouped;
+}
+
+function formatExpiry(value) {
+  return new Date(value).toISOString().slice(0, 16).replace('T', ' ');
+}
+
+export function buildExpiringLotsMessage(lots, lookaheadHours) {
+  const lines = lots
+    .slice()
+    .sort((a, b) => new Date(a.expires_at) - new Date(b.expires_at))
+    .map((lot) => `${Number(lot.quantity_remaining)} ${lot.product_name} (lot #${lot.id}, ${formatExpiry(lot.expires_at)})`);
+  return {
+    title: `${lots.length} lot${lots.length === 1 ? '' : 's'} expiring within ${lookaheadHours}h`,
+    message: `Sell or mark down first: ${lines.join('; ')}`,
+  };
+}
+
+export function buildWasteProposalMessage(proposals) {
+  const lines = proposals.map((proposal) => `${Number(proposal.quantity)} ${proposal.product_name} (lot #${proposal.lot_id})`);
+  return {
+    title: `${proposals.length} expired lot${proposals.length === 1 ? '' : 's'} to write off`,
+    message: `Review the proposed waste entries: ${lines.join('; ')}`,
+  };
+}
+
+async function notifyBranchManagers(dbQuery, locationId, { title, message }) {
+  await dbQuery(
+    `INSERT INTO notifications (user_id, location_id, title, message, notification_type)
+     SELECT id, $1, $2, $3, 'lot_expiry'
+     FROM users
+     WHERE role IN ('admin', 'manager') AND location_id = $1 AND is_active = true`,
+    [locationId, title, message]
+  );
+}
+
+// Each lot is alerted once and proposed for write-off once, so the job is
+// safe to re-run.
+export async function runLotExpiryScan({ lookaheadHours = DEFAULT_LOOKAHEAD_HOURS, dbQuery = query } = {}) {
+  const expiring = await dbQuery(
+    `UPDATE inventory_lots l
+     SET expiry_alerted_at = CURRENT_TIMESTAMP
+     FROM products p
+     WHERE p.id = l.product_id
+       AND l.quantity_remaining > 0
+       AND l.expiry_alerted_at IS NULL
+       AND l.expires_at > CURRENT_TIMESTAMP
+       AND l.expires_at <= CURRENT_TIMESTAMP + make_interval(hours => $1)
+     RETURNING l.id, l.location_id, l.product_id, l.quantity_remaining, l.expires_at, p.name as product_name`,
+    [lookaheadHours]
+  );
+
+  const proposed = await dbQuery(
+    `WITH inserted AS (
+       INSERT INTO lot_waste_proposals (location_id, lot_id, product_id, quantity, expires_at)
+       SELECT l.location_id, l.id, l.product_id, l.quantity_remaining, l.expires_at
+       FROM inventory_lots l
+       WHERE l.quantity_remaining > 0
+         AND l.expires_at <= CURRENT_TIMESTAMP
+         AND NOT EXISTS (SELECT 1 FROM lot_waste_proposals wp WHERE wp.lot_id = l.id)
+       RETURNING *
+     )
+     SELECT inserted.*, p.name as product_name
+     FROM inserted
+     JOIN products p ON p.id = inserted.product_id`
+  );
+
+  for (const [locationId, lots] of groupByLocation(expiring.rows)) {
+    await notifyBranchManagers(dbQuery, locationId, buildExpiringLotsMessage(lots, lookaheadHours));
+  }
+
+  for (const [locationId, proposals] of groupByLocation(proposed.rows)) {
+    await notifyBranchManagers(dbQuery, locationId, buildWasteProposalMessage(proposals));
+  }
+
+  return { alerted: expiring.rows.length, proposed: proposed.rows.length };
+}
+
+export async function runScheduledLotExpiryScan() {
+  const lookaheadHours = readPositiveNumber(process.env.LOT_EXPIRY_LOOKAHEAD_HOURS, DEFAULT_LOOKAHEAD_HOURS);
+  const lockResult = await withAdvisoryJobLock(JOB_LOCK_KEYS.LOT_EXPIRY_SCAN, () => (
+    runLotExpiryScan({ lookaheadHours })
+  ));
+
+  if (lockResult.skipped) {
+    console.log('[LOTS] Skipping expiry scan: lock not acquired');
+  }
+  return lockResult;
+}
+
+export function startLotExpiryScheduler() {
+  const intervalMinutes = readPositiveNumber(process.env.LOT_EXPIRY_CHECK_INTERVAL_MINUTES, DEFAULT_INTERVAL_MINUTES);
+  const runSafely = () => runScheduledLotExpiryScan()
+    .catch((err) => console.error('[LOTS] expiry scan failed:', err.message));
+
+  runSafely();
+  setInterval(runSafely, intervalMinutes * 60 * 1000);
+}
+
+// Only what is still in the lot and on the shelf is written off.
+export async function acceptWasteProposal(tx, { proposal, userId, notes = null }) {
+  if (proposal.status !== 'proposed') {
+    throw new AppError(`Proposal #${proposal.id} is already ${proposal.status}`, 409, 'PROPOSAL_NOT_OPEN');
+  }
+
+  const lot = await tx.query(
+    `SELECT l.quantity_remaining, COALESCE(i.quantity, 0) as on_hand
+     FROM inventory_lots l
+     LEFT JOIN inventory i ON i.location_id = l.location_id AND i.product_id = l.product_id
+     WHERE l.id = $1`,
+    [proposal.lot_id]
+  );
+  const quantity = roundQuantity(Math.min(
+    Number(proposal.quantity),
+    Number(lot.rows[0]?.quantity_remaining || 0),
+    Number(lot.rows[0]?.on_hand || 0)
+  ));
+  if (quantity <= 0) {
+    throw new AppError(`Lot #${proposal.lot_id} has nothing left to write off; dismiss the proposal instead`, 409, 'LOT_EMPTY');
+  }
+
+  const waste = await recordWaste(tx, {
+    locationId: proposal.location_id,
+    productId: proposal.product_id,
+    quantity,
+    reason: 'expired',
+    notes: notes || `Expired lot #${proposal.lot_id}`,
+    userId,
+    referenceType: 'lot_waste_proposal',
+    referenceId: proposal.id,
+    lotId: proposal.lot_id,
+  });
+
+  const updated = await tx.query(
+    `UPDATE lot_waste_proposals
+     SET status = 'accepted', resolved_by = $1, resolved_at = CURRENT_TIMESTAMP, resolution_notes = $2, movement_id = $3
+     WHERE id = $4
+     RETURNING *`,
+    [userId, notes, waste.movement.id, proposal.id]
+  );
+
+  return { proposal: updated.rows[0], waste };
+}
+
+export async function dismissWasteProposal(tx, { proposal, userId, notes = null }) {
+  if (proposal.status !== 'proposed') {
+    throw new AppError(`Proposal #${proposal.id} is already ${proposal.status}`, 409, 'PROPOSAL_NOT_OPEN');
+  }
+  const updated = await tx.query(
+    `UPDATE lot_waste_proposals
+     SET status = 'dismissed', resolved_by = $1, resolved_at = CURRENT_TIMESTAMP, resolution_notes = $2
+     WHERE id = $3
+     RETURNING *`,
+    [userId, notes, proposal.id]
+  );
+  return updated.rows[0];
+}
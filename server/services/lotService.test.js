@@ -0,0 +1,95 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  acceptWasteProposal,
+  computeExpiry,
+  consumeLotsFifo,
+  earliestLotDates,
+  planFifoAllocation,
+  runLotExpiryScan,
+} from './lotService.js';
+
+test('planFifoAllocation drains lots in order and leaves the rest untracked', () => {
+  const plan = planFifoAllocation([
+    { id: 4, quantity_remaining: '3', expires_at: '2026-03-01T18:00:00Z' },
+    { id: 5, quantity_remaining: '0' },
+    { id: 6, quantity_remaining: '10', expires_at: '2026-03-02T18:00:00Z' },
+  ], 15);
+
+  assert.deepEqual(plan.allocations.map((entry) => [entry.lot_id, entry.quantity]), [[4, 3], [6, 10]]);
+  assert.equal(plan.untracked, 2);
+  assert.deepEqual(planFifoAllocation([{ id: 1, quantity_remaining: 8 }], 5).allocations.map((entry) => entry.quantity), [5]);
+});
+
+test('computeExpiry and earliestLotDates follow shelf life and the oldest lot', () => {
+  assert.equal(computeExpiry('2026-03-01T06:00:00Z', 30).toISOString(), '2026-03-02T12:00:00.000Z');
+  assert.equal(computeExpiry('2026-03-01T06:00:00Z', null), null);
+
+  const dates = earliestLotDates([
+    { produced_at: '2026-03-01T06:00:00Z', expires_at: '2026-03-02T06:00:00Z' },
+    { produced_at: null, expires_at: '2026-03-01T20:00:00Z' },
+  ]);
+  assert.equal(dates.expires_at.toISOString(), '2026-03-01T20:00:00.000Z');
+  assert.equal(dates.produced_at.toISOString(), '2026-03-01T06:00:00.000Z');
+  assert.deepEqual(earliestLotDates([]), { produced_at: null, expires_at: null });
+});
+
+test('consumeLotsFifo decrements each lot it draws from', async () => {
+  const updates = [];
+  const tx = {
+    query: async (sql, params) => {
+      if (sql.includes('SELECT id, quantity_remaining')) {
+        assert.equal(params[2], 9);
+        assert.match(sql, /ORDER BY CASE WHEN id = \$3 THEN 0 ELSE 1 END, COALESCE\(produced_at, received_at\), id/);
+        return { rows: [{ id: 9, quantity_remaining: '2' }, { id: 7, quantity_remaining: '5' }] };
+      }
+      updates.push(params);
+      return { rows: [] };
+    },
+  };
+
+  const plan = await consumeLotsFifo(tx, { locationId: 1, productId: 3, quantity: 4, lotId: 9 });
+  assert.deepEqual(updates, [[2, 9], [2, 7]]);
+  assert.equal(plan.untracked, 0);
+});
+
+test('runLotExpiryScan alerts and proposes waste once per branch', async () => {
+  const notifications = [];
+  const dbQuery = async (sql, params = []) => {
+    if (sql.includes('SET expiry_alerted_at')) {
+      return { rows: [{ id: 1, location_id: 2, product_name: 'Baguette', quantity_remaining: '6', expires_at: '2026-03-02T18:00:00Z' }] };
+    }
+    if (sql.includes('INSERT INTO lot_waste_proposals')) {
+      return {
+        rows: [
+          { id: 10, lot_id: 3, location_id: 2, product_name: 'Croissant', quantity: '4' },
+          { id: 11, lot_id: 5, location_id: 2, product_name: 'Muffin', quantity: '2' },
+        ],
+      };
+    }
+    if (sql.includes('INSERT INTO notifications')) {
+      notifications.push(params);
+      return { rows: [] };
+    }
+    throw new Error('unexpected query');
+  };
+
+  const result = await runLotExpiryScan({ lookaheadHours: 24, dbQuery });
+  assert.deepEqual(result, { alerted: 1, proposed: 2 });
+  assert.equal(notifications.length, 2);
+  assert.equal(notifications[0][1], '1 lot expiring within 24h');
+  assert.equal(notifications[1][1], '2 expired lots to write off');
+});
+
+test('acceptWasteProposal refuses resolved proposals and emptied lots', async () => {
+  await assert.rejects(
+    () => acceptWasteProposal({ query: async () => ({ rows: [] }) }, { proposal: { id: 1, status: 'dismissed' }, userId: 1 }),
+    (err) => err.code === 'PROPOSAL_NOT_OPEN'
+  );
+
+  const tx = { query: async () => ({ rows: [{ quantity_remaining: '0', on_hand: 12 }] }) };
+  await assert.rejects(
+    () => acceptWasteProposal(tx, { proposal: { id: 2, status: 'proposed', lot_id: 4, quantity: '5' }, userId: 1 }),
+    (err) => err.code === 'LOT_EMPTY'
+  );
+});
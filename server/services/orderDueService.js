@@ -0,0 +1,108 @@
+import { query } from '../db.js';
+import { JOB_LOCK_KEYS, withAdvisoryJobLock } from './jobLockService.js';
+
+const DEFAULT_LOOKAHEAD_HOURS = 12;
+const DEFAULT_INTERVAL_MINUTES = 15;
+
+function readPositiveNumber(value, fallback) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+export function groupOrdersByLocation(orders) {
+  const grouped = new Map();
+  for (const order of orders) {
+    const key = Number(order.location_id);
+    if (!grouped.has(key)) grouped.set(key, []);
+    grouped.get(key).push(order);
+  }
+  return grouped;
+}
+
+function formatPickup(value) {
+  return new Date(value).toISOString().slice(0, 16).replace('T', ' ');
+}
+
+export function buildDueReminderMessage(orders, lookaheadHours) {
+  const lines = orders
+    .slice()
+    .sort((a, b) => new Date(a.pickup_at) - new Date(b.pickup_at))
+    .map((order) => `#${order.id} ${order.customer_name} (${formatPickup(order.pickup_at)}): ${order.order_details}`);
+  return {
+    title: `${orders.length} pre-order${orders.length === 1 ? '' : 's'} due within ${lookaheadHours}h`,
+    message: `Start production for: ${lines.join('; ')}`,
+  };
+}
+
+export function buildOverdueMessage(orders) {
+  const lines = orders.map((order) => `#${order.id} ${order.customer_name} (${formatPickup(order.pickup_at)})`);
+  return {
+    title: `${orders.length} pre-order${orders.length === 1 ? '' : 's'} overdue`,
+    message: `Not collected and not fully paid: ${lines.join('; ')}`,
+  };
+}
+
+async function notifyBranchManagers(dbQuery, locationId, { title, message }) {
+  await dbQuery(
+    `INSERT INTO notifications (user_id, location_id, title, message, notification_type)
+     SELECT id, $1, $2, $3, 'customer_order'
+     FROM users
+     WHERE role = 'manager' AND location_id = $1 AND is_active = true`,
+    [locationId, title, message]
+  );
+}
+
+// Ready orders are never flagged overdue, so a manager moving one to ready
+// is not undone by the next run. `due_notified_at` keeps reminders to one per order.
+export async function runOrderDueNotifications({ lookaheadHours = DEFAULT_LOOKAHEAD_HOURS, dbQuery = query } = {}) {
+  const overdue = await dbQuery(
+    `UPDATE customer_orders
+     SET status = 'overdue', status_before_overdue = status, updated_at = CURRENT_TIMESTAMP
+     WHERE status IN ('pending', 'confirmed', 'in_production')
+       AND pickup_at < CURRENT_TIMESTAMP
+       AND paid_amount < total_amount
+     RETURNING id, location_id, customer_name, pickup_at`
+  );
+
+  const due = await dbQuery(
+    `UPDATE customer_orders
+     SET due_notified_at = CURRENT_TIMESTAMP
+     WHERE status IN ('pending', 'confirmed')
+       AND due_notified_at IS NULL
+       AND pickup_at >= CURRENT_TIMESTAMP
+       AND pickup_at <= CURRENT_TIMESTAMP + make_interval(hours => $1)
+     RETURNING id, location_id, customer_name, order_details, pickup_at`,
+    [lookaheadHours]
+  );
+
+  for (const [locationId, orders] of groupOrdersByLocation(overdue.rows)) {
+    await notifyBranchManagers(dbQuery, locationId, buildOverdueMessage(orders));
+  }
+
+  for (const [locationId, orders] of groupOrdersByLocation(due.rows)) {
+    await notifyBranchManagers(dbQuery, locationId, buildDueReminderMessage(orders, lookaheadHours));
+  }
+
+  return { overdue: overdue.rows.length, reminded: due.rows.length };
+}
+
+export async function runScheduledOrderDueNotifications() {
+  const lookaheadHours = readPositiveNumber(process.env.ORDER_DUE_LOOKAHEAD_HOURS, DEFAULT_LOOKAHEAD_HOURS);
+  const lockResult = await withAdvisoryJobLock(JOB_LOCK_KEYS.ORDER_DUE_NOTIFICATIONS, () => (
+    runOrderDueNotifications({ lookaheadHours })
+  ));
+
+  if (lockResult.skipped) {
+    console.log('[ORDERS] Skipping due-order scan: lock not acquired');
+  }
+  return lockResult;
+}
+
+export function startOrderDueScheduler() {
+  const intervalMinutes = readPositiveNumber(process.env.ORDER_DUE_CHECK_INTERVAL_MINUTES, DEFAULT_INTERVAL_MINUTES);
+  const runSafely = () => runScheduledOrderDueNotifications()
+    .catch((err) => console.error('[ORDERS] due-order scan failed:', err.message));
+
+  runSafely();
+  setInterval(runSafely, intervalMinutes * 60 * 1000);
+}
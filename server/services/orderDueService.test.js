@@ -0,0 +1,55 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildDueReminderMessage, groupOrdersByLocation, runOrderDueNotifications } from './orderDueService.js';
+
+test('groupOrdersByLocation buckets orders per branch', () => {
+  const grouped = groupOrdersByLocation([
+    { id: 1, location_id: 2 },
+    { id: 2, location_id: '2' },
+    { id: 3, location_id: 5 },
+  ]);
+
+  assert.deepEqual([...grouped.keys()], [2, 5]);
+  assert.equal(grouped.get(2).length, 2);
+});
+
+test('buildDueReminderMessage lists orders by pickup time', () => {
+  const { title, message } = buildDueReminderMessage([
+    { id: 8, customer_name: 'Liya', order_details: 'Cake', pickup_at: '2026-03-02T15:00:00Z' },
+    { id: 7, customer_name: 'Abel', order_details: 'Bread x20', pickup_at: '2026-03-02T09:00:00Z' },
+  ], 12);
+
+  assert.equal(title, '2 pre-orders due within 12h');
+  assert.ok(message.indexOf('#7 Abel') < message.indexOf('#8 Liya'));
+});
+
+test('runOrderDueNotifications notifies each branch once for overdue and due orders', async () => {
+  const notifications = [];
+  const dbQuery = async (sql, params = []) => {
+    if (sql.includes("SET status = 'overdue'")) {
+      assert.ok(!sql.includes("'ready'"), 'ready orders must not be flagged overdue again');
+      assert.ok(sql.includes('status_before_overdue = status'));
+      return { rows: [{ id: 3, location_id: 1, customer_name: 'Sara', pickup_at: '2026-03-01T08:00:00Z' }] };
+    }
+    if (sql.includes('SET due_notified_at')) {
+      assert.equal(params[0], 6);
+      return {
+        rows: [
+          { id: 4, location_id: 1, customer_name: 'Abel', order_details: 'Cake', pickup_at: '2026-03-02T09:00:00Z' },
+          { id: 5, location_id: 2, customer_name: 'Liya', order_details: 'Buns', pickup_at: '2026-03-02T10:00:00Z' },
+        ],
+      };
+    }
+    if (sql.includes('INSERT INTO notifications')) {
+      notifications.push(params);
+      return { rows: [] };
+    }
+    throw new Error('unexpected query');
+  };
+
+  const result = await runOrderDueNotifications({ lookaheadHours: 6, dbQuery });
+
+  assert.deepEqual(result, { overdue: 1, reminded: 2 });
+  assert.equal(notifications.length, 3);
+  assert.deepEqual(notifications.map((params) => params[0]), [1, 1, 2]);
+});
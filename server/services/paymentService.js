@@ -0,0 +1,82 @@
+import { AppError } from '../utils/errors.js';
+
+export const PAYMENT_METHODS = ['cash', 'card', 'mobile'];
+
+function roundMoney(value) {
+  return Math.round(Number(value || 0) * 100) / 100;
+}
+
+function hasAmount(payment) {
+  return payment.amount !== undefined && payment.amount !== null && payment.amount !== '';
+}
+
+// One tender may omit its amount to cover the rest. Only cash can be overpaid;
+// change comes off the last cash tender first.
+export function settlePayments(totalAmount, payments, fallbackMethod = 'cash') {
+  const total = roundMoney(totalAmount);
+  const tenders = payments?.length ? payments : [{ payment_method: fallbackMethod }];
+
+  for (const payment of tenders) {
+    if (!PAYMENT_METHODS.includes(payment.payment_method)) {
+      throw new AppError(`payment_method must be one of: ${PAYMENT_METHODS.join(', ')}`, 400, 'VALIDATION_ERROR');
+    }
+    if (hasAmount(payment) && !(Number(payment.amount) > 0)) {
+      throw new AppError('Payment amounts must be greater than zero', 400, 'VALIDATION_ERROR');
+    }
+  }
+  if (tenders.filter((payment) => !hasAmount(payment)).length > 1) {
+    throw new AppError('Only one payment can leave out its amount', 400, 'VALIDATION_ERROR');
+  }
+
+  const stated = roundMoney(tenders.filter(hasAmount).reduce((sum, payment) => sum + Number(payment.amount), 0));
+  const lines = tenders.map((payment) => ({
+    payment_method: payment.payment_method,
+    tendered_amount: hasAmount(payment) ? roundMoney(payment.amount) : Math.max(0, roundMoney(total - stated)),
+    reference: payment.reference || null,
+  }));
+
+  const tendered = roundMoney(lines.reduce((sum, line) => sum + line.tendered_amount, 0));
+  if (tendered < total) {
+    throw new AppError('Payments do not cover the sale total', 400, 'PAYMENT_SHORT', {
+      total_amount: total,
+      tendered_amount: tendered,
+      balance_due: roundMoney(total - tendered),
+    });
+  }
+
+  const changeDue = roundMoney(tendered - total);
+  const cashTendered = roundMoney(lines.filter((line) => line.payment_method === 'cash').reduce((sum, line) => sum + line.tendered_amount, 0));
+  if (changeDue > cashTendered) {
+    throw new AppError('Card and mobile payments cannot be more than the amount due; only cash gives change', 400, 'PAYMENT_OVERPAID', {
+      total_amount: total,
+      tendered_amount: tendered,
+    });
+  }
+
+  let changeLeft = changeDue;
+  for (let index = lines.length - 1; index >= 0; index -= 1) {
+    const line = lines[index];
+    const change = line.payment_method === 'cash' ? Math.min(changeLeft, line.tendered_amount) : 0;
+    line.amount = roundMoney(line.tendered_amount - change);
+    changeLeft = roundMoney(changeLeft - change);
+  }
+
+  const settled = lines.filter((line) => line.amount > 0);
+  const methods = [...new Set(settled.map((line) => line.payment_method))];
+  return {
+    payments: settled,
+    payment_method: methods.length > 1 ? 'split' : methods[0] || lines[0].payment_method,
+    tendered_amount: tendered,
+    change_due: changeDue,
+  };
+}
+
+export async function recordSalePayments(tx, { saleId, locationId, payments }) {
+  for (const payment of payments) {
+    await tx.query(
+      `INSERT INTO sale_payments (sale_id, location_id, payment_method, amount, tendered_amount, reference)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [saleId, locationId, payment.payment_method, payment.amount, payment.tendered_amount, payment.reference]
+    );
+  }
+}
@@ -0,0 +1,53 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { recordSalePayments, settlePayments } from './paymentService.js';
+
+test('settlePayments splits a sale over mobile and cash and gives change from the cash', () => {
+  const settlement = settlePayments(185, [
+    { payment_method: 'mobile', amount: 100, reference: 'TX-77' },
+    { payment_method: 'cash', amount: 100 },
+  ]);
+
+  assert.equal(settlement.payment_method, 'split');
+  assert.equal(settlement.tendered_amount, 200);
+  assert.equal(settlement.change_due, 15);
+  assert.deepEqual(
+    settlement.payments.map((payment) => [payment.payment_method, payment.amount, payment.tendered_amount, payment.reference]),
+    [['mobile', 100, 100, 'TX-77'], ['cash', 85, 100, null]]
+  );
+});
+
+test('settlePayments lets one tender cover the balance and falls back to a single method', () => {
+  const rest = settlePayments(120.5, [{ payment_method: 'card', amount: 50 }, { payment_method: 'cash' }]);
+  assert.deepEqual(rest.payments.map((payment) => [payment.payment_method, payment.amount]), [['card', 50], ['cash', 70.5]]);
+  assert.equal(rest.change_due, 0);
+
+  const legacy = settlePayments(60, undefined, 'mobile');
+  assert.equal(legacy.payment_method, 'mobile');
+  assert.deepEqual(legacy.payments.map((payment) => payment.amount), [60]);
+});
+
+test('settlePayments rejects short payments and change on card or mobile', () => {
+  assert.throws(
+    () => settlePayments(100, [{ payment_method: 'cash', amount: 40 }, { payment_method: 'mobile', amount: 50 }]),
+    (err) => err.code === 'PAYMENT_SHORT' && err.details.balance_due === 10
+  );
+  assert.throws(
+    () => settlePayments(100, [{ payment_method: 'cash', amount: 10 }, { payment_method: 'card', amount: 110 }]),
+    (err) => err.code === 'PAYMENT_OVERPAID'
+  );
+  assert.throws(
+    () => settlePayments(100, [{ payment_method: 'cash' }, { payment_method: 'card' }]),
+    (err) => err.code === 'VALIDATION_ERROR'
+  );
+});
+
+test('recordSalePayments writes one row per tender', async () => {
+  const calls = [];
+  const tx = { query: async (sql, params) => { calls.push(params); return { rows: [] }; } };
+  const { payments } = settlePayments(30, [{ payment_method: 'cash', amount: 50 }]);
+
+  await recordSalePayments(tx, { saleId: 9, locationId: 2, payments });
+
+  assert.deepEqual(calls, [[9, 2, 'cash', 30, 50, null]]);
+});
@@ -0,0 +1,115 @@
+import { query } from '../db.js';
+import { roundQuantity } from './unitService.js';
+
+export const DEFAULT_SALES_LOOKBACK_WEEKS = 4;
+const PLANNED_ORDER_STATUSES = ['confirmed', 'in_production'];
+
+function toDateOnly(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+export function getSameWeekdayDates(planDate, weeks = DEFAULT_SALES_LOOKBACK_WEEKS) {
+  const base = new Date(`${planDate}T00:00:00Z`);
+  const dates = [];
+  for (let week = 1; week <= weeks; week += 1) {
+    const day = new Date(base);
+    day.setUTCDate(base.getUTCDate() - (7 * week));
+    dates.push(toDateOnly(day));
+  }
+  return dates;
+}
+
+// Stock on hand offsets the walk-in target only, never pre-ordered quantities.
+export function buildProductionPlan({ products, orderDemand = [], parLevels = [], salesTotals = [], weeks = DEFAULT_SALES_LOOKBACK_WEEKS }) {
+  const ordered = new Map(orderDemand.map((row) => [Number(row.product_id), Number(row.quantity || 0)]));
+  const pars = new Map(parLevels.map((row) => [Number(row.product_id), Number(row.par_quantity || 0)]));
+  const sold = new Map(salesTotals.map((row) => [Number(row.product_id), Number(row.quantity || 0)]));
+
+  return products
+    .map((product) => {
+      const productId = Number(product.id);
+      const preOrderQuantity = ordered.get(productId) || 0;
+      const parQuantity = pars.get(productId) || 0;
+      const averageSales = weeks > 0 ? Math.round(((sold.get(productId) || 0) / weeks) * 100) / 100 : 0;
+      const onHand = Math.max(0, Number(product.on_hand || 0));
+      const walkInTarget = Math.max(parQuantity, Math.ceil(averageSales));
+
+      return {
+        product_id: productId,
+        name: product.name,
+        source: product.source || 'baked',
+        unit: product.unit,
+        pre_order_quantity: preOrderQuantity,
+        par_quantity: parQuantity,
+        average_same_weekday_sales: averageSales,
+        on_hand: onHand,
+        suggested_quantity: roundQuantity(preOrderQuantity + Math.max(0, walkInTarget - onHand)),
+      };
+    })
+    .sort((a, b) => b.suggested_quantity - a.suggested_quantity || a.name.localeCompare(b.name));
+}
+
+export async function getProductionPlan({ locationId, planDate, weeks = DEFAULT_SALES_LOOKBACK_WEEKS, dbQuery = query }) {
+  const [products, orderDemand, unitemizedOrders, parLevels, salesTotals] = await Promise.all([
+    dbQuery(
+      `SELECT p.id, p.name, p.unit, p.source, COALESCE(i.quantity, 0) as on_hand
+       FROM products p
+       LEFT JOIN inventory i ON i.product_id = p.id AND i.location_id = $1
+       WHERE p.is_active = true`,
+      [locationId]
+    ),
+    dbQuery(
+      `SELECT coi.product_id, SUM(coi.quantity) as quantity
+       FROM customer_order_items coi
+       JOIN customer_orders o ON o.id = coi.order_id
+       WHERE o.location_id = $1
+         AND DATE(o.pickup_at) = $2::date
+         AND o.status = ANY($3::text[])
+       GROUP BY coi.product_id`,
+      [locationId, planDate, PLANNED_ORDER_STATUSES]
+    ),
+    dbQuery(
+      `SELECT o.id, o.customer_name, o.order_details, o.pickup_at, o.status
+       FROM customer_orders o
+       WHERE o.location_id = $1
+         AND DATE(o.pickup_at) = $2::date
+         AND o.status = ANY($3::text[])
+         AND NOT EXISTS (SELECT 1 FROM customer_order_items coi WHERE coi.order_id = o.id)
+       ORDER BY o.pickup_at`,
+      [locationId, planDate, PLANNED_ORDER_STATUSES]
+    ),
+    dbQuery('SELECT product_id, par_quantity FROM product_stock_levels WHERE location_id = $1', [locationId]),
+    dbQuery(
+      `SELECT si.product_id, SUM(si.quantity) as quantity
+       FROM sale_items si
+       JOIN sales s ON s.id = si.sale_id
+       WHERE s.location_id = $1
+         AND DATE(s.sale_date) = ANY($2::date[])
+         AND COALESCE(s.status, 'completed') <> 'voided'
+       GROUP BY si.product_id`,
+      [locationId, getSameWeekdayDates(planDate, weeks)]
+    ),
+  ]);
+
+  const items = buildProductionPlan({
+    products: products.rows,
+    orderDemand: orderDemand.rows,
+    parLevels: parLevels.rows,
+    salesTotals: salesTotals.rows,
+    weeks,
+  });
+
+  return {
+    location_id: Number(locationId),
+    plan_date: planDate,
+    lookback_weeks: weeks,
+    items,
+    unitemized_orders: unitemizedOrders.rows,
+    batch_draft: {
+      items: items
+        .filter((line) => line.suggested_quantity > 0)
+        .map((line) => ({ product_id: line.product_id, quantity: line.suggested_quantity, source: line.source })),
+      notes: `Production plan for ${planDate}`,
+    },
+  };
+}
@@ -0,0 +1,62 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildProductionPlan, getProductionPlan, getSameWeekdayDates } from './productionPlanService.js';
+
+test('getSameWeekdayDates walks back whole weeks from the plan date', () => {
+  assert.deepEqual(getSameWeekdayDates('2026-03-10', 3), ['2026-03-03', '2026-02-24', '2026-02-17']);
+});
+
+test('buildProductionPlan adds pre-orders on top of the walk-in target', () => {
+  const plan = buildProductionPlan({
+    products: [
+      { id: 1, name: 'Bread', source: 'baked', on_hand: 10 },
+      { id: 2, name: 'Cake', source: 'baked', on_hand: 0 },
+      { id: 3, name: 'Soda', source: 'purchased', on_hand: 50 },
+    ],
+    orderDemand: [{ product_id: 2, quantity: 3 }],
+    parLevels: [{ product_id: 1, par_quantity: 40 }, { product_id: 3, par_quantity: 24 }],
+    salesTotals: [{ product_id: 1, quantity: 220 }, { product_id: 2, quantity: 6 }],
+    weeks: 4,
+  });
+
+  const bread = plan.find((line) => line.product_id === 1);
+  assert.equal(bread.average_same_weekday_sales, 55);
+  assert.equal(bread.suggested_quantity, 45);
+
+  const cake = plan.find((line) => line.product_id === 2);
+  assert.equal(cake.suggested_quantity, 5);
+
+  const soda = plan.find((line) => line.product_id === 3);
+  assert.equal(soda.suggested_quantity, 0);
+  assert.equal(plan[0].product_id, 1);
+});
+
+test('buildProductionPlan keeps fractional pre-orders and par levels', () => {
+  const [cookies] = buildProductionPlan({
+    products: [{ id: 4, name: 'Cookies', unit: 'kg', source: 'baked', on_hand: '1.1' }],
+    orderDemand: [{ product_id: 4, quantity: '1.5' }],
+    parLevels: [{ product_id: 4, par_quantity: '2.25' }],
+  });
+
+  assert.equal(cookies.pre_order_quantity, 1.5);
+  assert.equal(cookies.suggested_quantity, 2.65);
+});
+
+test('getProductionPlan returns a batch draft with only positive quantities', async () => {
+  const dbQuery = async (sql) => {
+    if (sql.includes('FROM products p')) {
+      return { rows: [{ id: 1, name: 'Bread', source: 'baked', on_hand: 0 }, { id: 2, name: 'Cake', source: 'baked', on_hand: 9 }] };
+    }
+    if (sql.includes('SUM(coi.quantity)')) return { rows: [{ product_id: 1, quantity: 12 }] };
+    if (sql.includes('NOT EXISTS')) return { rows: [{ id: 44, customer_name: 'Abel', order_details: 'Custom cake' }] };
+    if (sql.includes('product_stock_levels')) return { rows: [{ product_id: 2, par_quantity: 5 }] };
+    if (sql.includes('FROM sale_items')) return { rows: [] };
+    throw new Error('unexpected query');
+  };
+
+  const plan = await getProductionPlan({ locationId: 3, planDate: '2026-03-10', dbQuery });
+
+  assert.equal(plan.plan_date, '2026-03-10');
+  assert.equal(plan.unitemized_orders.length, 1);
+  assert.deepEqual(plan.batch_draft.items, [{ product_id: 1, quantity: 12, source: 'baked' }]);
+});
@@ -0,0 +1,199 @@
+import { AppError } from '../utils/errors.js';
+import { normalizeProductQuantities } from './unitService.js';
+
+export const PROMOTION_TYPES = ['percent_off', 'fixed_off', 'buy_x_get_y', 'bundle_price'];
+
+function roundMoney(value) {
+  return Math.round(Number(value || 0) * 100) / 100;
+}
+
+function localDateKey(value) {
+  if (value instanceof Date) {
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+  return String(value).slice(0, 10);
+}
+
+function minutesOfDay(time) {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// `now` is server local time; time windows may run past midnight (22:00-02:00).
+export function isPromotionLive(promotion, now = new Date()) {
+  if (!promotion.is_active) return false;
+
+  const today = localDateKey(now);
+  if (promotion.starts_on && today < localDateKey(promotion.starts_on)) return false;
+  if (promotion.ends_on && today > localDateKey(promotion.ends_on)) return false;
+
+  const days = promotion.days_of_week || [];
+  if (days.length && !days.map(Number).includes(now.getDay())) return false;
+
+  if (promotion.start_time && promotion.end_time) {
+    const current = now.getHours() * 60 + now.getMinutes();
+    const start = minutesOfDay(promotion.start_time);
+    const end = minutesOfDay(promotion.end_time);
+    const inWindow = start <= end ? current >= start && current < end : current >= start || current < end;
+    if (!inWindow) return false;
+  }
+
+  return true;
+}
+
+function matchesScope(promotion, line) {
+  if (promotion.product_id) return Number(promotion.product_id) === Number(line.product_id);
+  if (promotion.category_id) return Number(promotion.category_id) === Number(line.category_id);
+  return true;
+}
+
+// Quantity deals count units on one line only: "6 rolls for 5" needs six of the same roll.
+export function promotionSaving(promotion, line) {
+  const unitPrice = Number(line.unit_price);
+  const quantity = Number(line.quantity);
+  const gross = unitPrice * quantity;
+
+  switch (promotion.promo_type) {
+    case 'percent_off':
+      return roundMoney((gross * Number(promotion.percent_off)) / 100);
+    case 'fixed_off':
+      return roundMoney(Math.min(Number(promotion.amount_off), unitPrice) * quantity);
+    case 'buy_x_get_y': {
+      const groupSize = Number(promotion.buy_quantity) + Number(promotion.get_quantity);
+      const freeUnits = Math.floor(quantity / groupSize) * Number(promotion.get_quantity);
+      return roundMoney(freeUnits * unitPrice);
+    }
+    case 'bundle_price': {
+      const bundleSize = Number(promotion.bundle_quantity);
+      const bundles = Math.floor(quantity / bundleSize);
+      return roundMoney(Math.max(0, bundles * (bundleSize * unitPrice - Number(promotion.bundle_price))));
+    }
+    default:
+      return 0;
+  }
+}
+
+// Promotions never stack, and markdown lines are already reduced.
+export function applyPromotions(lines, promotions, now = new Date()) {
+  const live = promotions.filter((promotion) => isPromotionLive(promotion, now));
+
+  return lines.map((line) => {
+    if (line.markdown_id) {
+      return { ...line, promotion_id: null, promotion_name: null, promotion_amount: 0 };
+    }
+
+    let best = null;
+    for (const promotion of live) {
+      if (!matchesScope(promotion, line)) continue;
+      const saving = promotionSaving(promotion, line);
+      if (saving <= 0) continue;
+      if (!best || saving > best.saving || (saving === best.saving && Number(promotion.priority) > Number(best.promotion.priority))) {
+        best = { promotion, saving };
+      }
+    }
+
+    return {
+      ...line,
+      promotion_id: best ? best.promotion.id : null,
+      promotion_name: best ? best.promotion.name : null,
+      promotion_amount: best ? best.saving : 0,
+    };
+  });
+}
+
+export async function loadActivePromotions(db, locationId) {
+  const result = await db.query(
+    `SELECT * FROM promotions
+     WHERE is_active = true AND (location_id IS NULL OR location_id = $1)`,
+    [locationId]
+  );
+  return result.rows;
+}
+
+// The sale itself is priced again when it is created.
+export async function previewPromotions(db, { locationId, items, now = new Date() }) {
+  const lines = await normalizeProductQuantities(db, items);
+  const products = await db.query(
+    'SELECT id, name, price, category_id FROM products WHERE id = ANY($1::int[]) AND is_active = true',
+    [lines.map((line) => Number(line.product_id))]
+  );
+  const productById = new Map(products.rows.map((product) => [Number(product.id), product]));
+
+  const priced = applyPromotions(
+    lines.map((line) => {
+      const product = productById.get(Number(line.product_id));
+      if (!product) {
+        throw new AppError(`Product ${line.product_id} not found`, 404, 'PRODUCT_NOT_FOUND');
+      }
+      return {
+        product_id: Number(line.product_id),
+        product_name: product.name,
+        category_id: product.category_id,
+        quantity: line.quantity,
+        unit_price: Number(product.price),
+        markdown_id: line.markdown_id || null,
+      };
+    }),
+    await loadActivePromotions(db, locationId),
+    now
+  );
+
+  return {
+    lines: priced,
+    promotion_amount: roundMoney(priced.reduce((sum, line) => sum + line.promotion_amount, 0)),
+  };
+}
+
+export function normalizePromotion(payload) {
+  const type = payload.promo_type;
+  if (!PROMOTION_TYPES.includes(type)) {
+    throw new AppError(`promo_type must be one of: ${PROMOTION_TYPES.join(', ')}`, 400, 'VALIDATION_ERROR');
+  }
+  if (payload.product_id && payload.category_id) {
+    throw new AppError('A promotion applies to a product or a category, not both', 400, 'VALIDATION_ERROR');
+  }
+
+  const required = {
+    percent_off: ['percent_off'],
+    fixed_off: ['amount_off'],
+    buy_x_get_y: ['buy_quantity', 'get_quantity'],
+    bundle_price: ['bundle_quantity', 'bundle_price'],
+  }[type];
+  const missing = required.filter((field) => payload[field] === undefined || payload[field] === null || payload[field] === '');
+  if (missing.length) {
+    throw new AppError(`${type} promotions need ${missing.join(' and ')}`, 400, 'VALIDATION_ERROR');
+  }
+
+  if (Boolean(payload.start_time) !== Boolean(payload.end_time)) {
+    throw new AppError('Give both start_time and end_time, or neither', 400, 'VALIDATION_ERROR');
+  }
+  if (payload.starts_on && payload.ends_on && payload.ends_on < payload.starts_on) {
+    throw new AppError('ends_on cannot be before starts_on', 400, 'VALIDATION_ERROR');
+  }
+  const days = payload.days_of_week || [];
+  if (days.some((day) => !Number.isInteger(Number(day)) || Number(day) < 0 || Number(day) > 6)) {
+    throw new AppError('days_of_week must be numbers from 0 (Sunday) to 6', 400, 'VALIDATION_ERROR');
+  }
+
+  const value = (field) => (required.includes(field) ? Number(payload[field]) : null);
+  return {
+    name: String(payload.name).trim(),
+    promo_type: type,
+    product_id: payload.product_id || null,
+    category_id: payload.category_id || null,
+    percent_off: value('percent_off'),
+    amount_off: value('amount_off'),
+    buy_quantity: value('buy_quantity'),
+    get_quantity: value('get_quantity'),
+    bundle_quantity: value('bundle_quantity'),
+    bundle_price: value('bundle_price'),
+    starts_on: payload.starts_on || null,
+    ends_on: payload.ends_on || null,
+    days_of_week: days.length ? days.map(Number) : null,
+    start_time: payload.start_time || null,
+    end_time: payload.end_time || null,
+    priority: Number(payload.priority || 0),
+  };
+}
@@ -0,0 +1,87 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { applyPromotions, isPromotionLive, normalizePromotion, previewPromotions } from './promotionService.js';
+import { priceSale } from './discountService.js';
+
+const sixForFive = { id: 1, name: 'Rolls 6 for 5', promo_type: 'buy_x_get_y', product_id: 10, buy_quantity: 5, get_quantity: 1, priority: 0, is_active: true };
+const happyHour = {
+  id: 2,
+  name: 'Pastry happy hour',
+  promo_type: 'percent_off',
+  category_id: 3,
+  percent_off: '30.00',
+  start_time: '19:00:00',
+  end_time: '22:00:00',
+  priority: 0,
+  is_active: true,
+};
+
+test('isPromotionLive checks dates, days and time windows, including ones past midnight', () => {
+  const evening = new Date(2026, 9, 19, 19, 30);
+  assert.equal(isPromotionLive(happyHour, evening), true);
+  assert.equal(isPromotionLive(happyHour, new Date(2026, 9, 19, 18, 59)), false);
+  assert.equal(isPromotionLive({ ...happyHour, is_active: false }, evening), false);
+
+  const lateNight = { ...happyHour, start_time: '22:00', end_time: '02:00' };
+  assert.equal(isPromotionLive(lateNight, new Date(2026, 9, 20, 1, 15)), true);
+  assert.equal(isPromotionLive(lateNight, new Date(2026, 9, 20, 2, 0)), false);
+
+  assert.equal(isPromotionLive({ ...sixForFive, days_of_week: [0, 6] }, evening), false);
+  assert.equal(isPromotionLive({ ...sixForFive, ends_on: new Date(2026, 9, 18) }, evening), false);
+  assert.equal(isPromotionLive({ ...sixForFive, starts_on: '2026-10-19' }, evening), true);
+});
+
+test('applyPromotions gives each line its best live promotion and skips markdown lines', () => {
+  const lines = applyPromotions(
+    [
+      { product_id: 10, category_id: 1, quantity: 13, unit_price: 12 },
+      { product_id: 20, category_id: 3, quantity: 2, unit_price: 80 },
+      { product_id: 21, category_id: 3, quantity: 1, unit_price: 40, markdown_id: 5 },
+    ],
+    [sixForFive, happyHour, { id: 3, name: 'Bundle', promo_type: 'bundle_price', product_id: 20, bundle_quantity: 2, bundle_price: 120, priority: 0, is_active: true }],
+    new Date(2026, 9, 19, 20, 0)
+  );
+
+  assert.deepEqual(lines.map((line) => [line.promotion_id, line.promotion_amount]), [[1, 24], [2, 48], [null, 0]]);
+});
+
+test('priceSale takes discounts off the promoted price', () => {
+  const [line] = applyPromotions([{ product_id: 10, quantity: 6, unit_price: 12 }], [sixForFive]);
+  const pricing = priceSale([{ ...line, discount: { type: 'percent', value: 10, reason: 'loyalty' } }]);
+
+  assert.equal(pricing.gross_amount, 72);
+  assert.equal(pricing.promotion_amount, 12);
+  assert.equal(pricing.discount_amount, 6);
+  assert.equal(pricing.total_amount, 54);
+  assert.equal(pricing.max_discount_percent, 10);
+});
+
+test('normalizePromotion requires the figures its type needs', () => {
+  assert.throws(
+    () => normalizePromotion({ name: 'Bundle', promo_type: 'bundle_price', bundle_quantity: 3 }),
+    (err) => /bundle_price/.test(err.message)
+  );
+  assert.throws(
+    () => normalizePromotion({ name: 'Late', promo_type: 'percent_off', percent_off: 10, start_time: '19:00' }),
+    (err) => err.statusCode === 400
+  );
+
+  const promotion = normalizePromotion({ name: ' Rolls ', promo_type: 'buy_x_get_y', buy_quantity: '5', get_quantity: '1', percent_off: 50 });
+  assert.equal(promotion.name, 'Rolls');
+  assert.equal(promotion.buy_quantity, 5);
+  assert.equal(promotion.percent_off, null);
+});
+
+test('previewPromotions answers 404 for a product that is unknown or no longer sold', async () => {
+  const db = {
+    query: async (sql) => {
+      if (sql.includes('FROM products p')) return { rows: [{ id: 10, name: 'Roll', unit: 'piece', allows_fraction: false }] };
+      if (sql.includes('is_active = true')) return { rows: [] };
+      return { rows: [] };
+    },
+  };
+  await assert.rejects(
+    previewPromotions(db, { locationId: 1, items: [{ product_id: 10, quantity: 2 }] }),
+    (err) => err.statusCode === 404 && err.code === 'PRODUCT_NOT_FOUND'
+  );
+});
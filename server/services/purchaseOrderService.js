@@ -0,0 +1,232 @@
+import { AppError } from '../utils/errors.js';
+import { recordProductCost, rollUpRecipeCosts } from './costRollupService.js';
+import { createLot } from './lotService.js';
+import { assertQuantityFitsUnit, convertIngredientQuantity, normalizeProductQuantities } from './unitService.js';
+
+export const PURCHASE_ORDER_STATUSES = ['draft', 'ordered', 'partially_received', 'received', 'cancelled'];
+const RECEIVABLE_STATUSES = ['ordered', 'partially_received'];
+
+function roundQuantity(value) {
+  return Math.round(Number(value || 0) * 1000) / 1000;
+}
+
+function roundMoney(value) {
+  return Math.round(Number(value || 0) * 100) / 100;
+}
+
+function roundUnitCost(value) {
+  return Math.round(Number(value || 0) * 10000) / 10000;
+}
+
+// Lines may be entered in a purchasing unit (`unit: 'sack'`). Quantities are
+// converted to the stock unit and a typed unit cost is taken as per entered
+// unit, so it is rescaled to match. Lines naming neither a product nor an
+// ingredient are passed through for the caller to reject.
+export async function normalizePurchaseLines(db, lines) {
+  const productLines = lines.filter((line) => line.product_id);
+  const products = productLines.length ? await normalizeProductQuantities(db, productLines) : [];
+  const convertedProducts = new Map(productLines.map((line, index) => [line, products[index]]));
+
+  const ingredientIds = [...new Set(lines.filter((line) => !line.product_id && line.ingredient_id).map((line) => Number(line.ingredient_id)))];
+  const ingredientRows = ingredientIds.length
+    ? await db.query('SELECT id, name, unit FROM ingredients WHERE id = ANY($1::int[])', [ingredientIds])
+    : { rows: [] };
+  const ingredients = new Map(ingredientRows.rows.map((row) => [Number(row.id), row]));
+
+  const normalized = [];
+  for (const line of lines) {
+    let converted = convertedProducts.get(line);
+    if (!converted && line.ingredient_id) {
+      const ingredient = ingredients.get(Number(line.ingredient_id));
+      if (!ingredient) {
+        throw new AppError(`Ingredient ${line.ingredient_id} not found`, 404, 'INGREDIENT_NOT_FOUND');
+      }
+      converted = { ...line, ...(await convertIngredientQuantity(db, ingredient, { quantity: line.quantity, enteredUnit: line.unit || null })) };
+    }
+    if (!converted) {
+      normalized.push(line);
+      continue;
+    }
+
+    const hasCost = line.unit_cost !== undefined && line.unit_cost !== null && line.unit_cost !== '';
+    if (hasCost && converted.entered_unit) {
+      converted.unit_cost = roundUnitCost((Number(line.unit_cost) * converted.entered_quantity) / converted.quantity);
+    }
+    normalized.push(converted);
+  }
+  return normalized;
+}
+
+export function assertPurchaseOrderReceivable(order) {
+  if (!RECEIVABLE_STATUSES.includes(order.status)) {
+    throw new AppError(`Purchase order #${order.id} is ${order.status} and cannot be received`, 409, 'PO_NOT_RECEIVABLE');
+  }
+}
+
+// Order items carry their stock `unit` and `allows_fraction`; whole-unit
+// stock (pieces, packs) cannot be received in fractions.
+export function planPurchaseReceipt(orderItems, lines) {
+  const itemsById = new Map(orderItems.map((item) => [Number(item.id), item]));
+  const seen = new Set();
+
+  const planned = lines.map((line) => {
+    const itemId = Number(line.item_id);
+    const item = itemsById.get(itemId);
+    if (!item) {
+      throw new AppError(`Item ${itemId} is not on this purchase order`, 400, 'VALIDATION_ERROR');
+    }
+    if (seen.has(itemId)) {
+      throw new AppError(`Item ${itemId} is listed more than once`, 400, 'VALIDATION_ERROR');
+    }
+    seen.add(itemId);
+
+    const quantity = roundQuantity(line.quantity);
+    const outstanding = roundQuantity(Number(item.quantity_ordered) - Number(item.quantity_received));
+    if (quantity <= 0) {
+      throw new AppError(`Received quantity for item ${itemId} must be positive`, 400, 'VALIDATION_ERROR');
+    }
+    assertQuantityFitsUnit(quantity, { code: item.unit, allows_fraction: item.allows_fraction }, `Received quantity for item ${itemId}`);
+    if (quantity > outstanding) {
+      throw new AppError(
+        `Item ${itemId} only has ${outstanding} outstanding; cannot receive ${quantity}`,
+        409,
+        'PO_OVER_RECEIPT'
+      );
+    }
+
+    const unitCost = line.unit_cost === undefined || line.unit_cost === null ? Number(item.unit_cost) : Number(line.unit_cost);
+    return {
+      item,
+      quantity,
+      unitCost,
+      enteredQuantity: line.entered_quantity ?? null,
+      enteredUnit: line.entered_unit ?? null,
+      lineTotal: roundMoney(quantity * unitCost),
+    };
+  });
+
+  return { lines: planned, total: roundMoney(planned.reduce((sum, line) => sum + line.lineTotal, 0)) };
+}
+
+export function resolvePurchaseOrderStatus(items) {
+  const allReceived = items.every((item) => Number(item.quantity_received) >= Number(item.quantity_ordered));
+  if (allReceived) return 'received';
+  const anyReceived = items.some((item) => Number(item.quantity_received) > 0);
+  return anyReceived ? 'partially_received' : 'ordered';
+}
+
+export async function receivePurchaseOrder(tx, { order, items, lines, userId, createExpense = false, expenseCategory = 'Supplies', notes = null }) {
+  assertPurchaseOrderReceivable(order);
+  const itemsById = new Map(items.map((item) => [Number(item.id), item]));
+  const converted = await normalizePurchaseLines(tx, lines.map((line) => {
+    const item = itemsById.get(Number(line.item_id));
+    return { ...line, product_id: item?.product_id ?? null, ingredient_id: item?.ingredient_id ?? null };
+  }));
+  const plan = planPurchaseReceipt(items, converted);
+
+  const receiptResult = await tx.query(
+    `INSERT INTO purchase_receipts (purchase_order_id, location_id, received_by, total_amount, notes)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [order.id, order.location_id, userId, plan.total, notes]
+  );
+  const receipt = receiptResult.rows[0];
+
+  for (const line of plan.lines) {
+    const { item, quantity, unitCost, enteredQuantity, enteredUnit } = line;
+    await tx.query(
+      `INSERT INTO purchase_receipt_items (receipt_id, purchase_order_item_id, quantity, unit_cost, entered_quantity, entered_unit)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [receipt.id, item.id, quantity, unitCost, enteredQuantity, enteredUnit]
+    );
+    await tx.query(
+      'UPDATE purchase_order_items SET quantity_received = quantity_received + $1 WHERE id = $2',
+      [quantity, item.id]
+    );
+    item.quantity_received = roundQuantity(Number(item.quantity_received) + quantity);
+
+    const movementMetadata = JSON.stringify({ purchase_order_id: order.id, supplier_id: order.supplier_id, unit_cost: unitCost });
+
+    if (item.product_id) {
+      await tx.query(
+        `INSERT INTO inventory (product_id, location_id, quantity, source, last_updated)
+         VALUES ($1, $2, $3, 'purchased', CURRENT_TIMESTAMP)
+         ON CONFLICT (product_id, location_id)
+         DO UPDATE SET quantity = inventory.quantity + $3, source = 'purchased', last_updated = CURRENT_TIMESTAMP`,
+        [item.product_id, order.location_id, quantity]
+      );
+      await tx.query(
+        `INSERT INTO inventory_movements
+         (location_id, product_id, movement_type, quantity_change, source, reference_type, reference_id, created_by, metadata)
+         VALUES ($1, $2, 'purchase_in', $3, 'purchased', 'purchase_receipt', $4, $5, $6)`,
+        [order.location_id, item.product_id, quantity, receipt.id, userId, movementMetadata]
+      );
+      await createLot(tx, {
+        locationId: order.location_id,
+        productId: item.product_id,
+        quantity,
+        sourceType: 'purchase',
+        referenceType: 'purchase_receipt',
+        referenceId: receipt.id,
+        unitCost,
+        userId,
+      });
+
+      const current = await tx.query('SELECT cost FROM products WHERE id = $1', [item.product_id]);
+      if (Number(current.rows[0]?.cost) !== unitCost) {
+        await recordProductCost(tx, {
+          productId: item.product_id,
+          cost: unitCost,
+          source: 'purchase',
+          userId,
+          metadata: { purchase_order_id: order.id, receipt_id: receipt.id },
+        });
+      }
+    } else {
+      await tx.query(
+        `INSERT INTO ingredient_inventory (ingredient_id, location_id, quantity, last_updated)
+         VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+         ON CONFLICT (ingredient_id, location_id)
+         DO UPDATE SET quantity = ingredient_inventory.quantity + $3, last_updated = CURRENT_TIMESTAMP`,
+        [item.ingredient_id, order.location_id, quantity]
+      );
+      await tx.query(
+        `INSERT INTO inventory_movements
+         (location_id, ingredient_id, movement_type, quantity_change, source, reference_type, reference_id, created_by, metadata)
+         VALUES ($1, $2, 'purchase_in', $3, 'purchased', 'purchase_receipt', $4, $5, $6)`,
+        [order.location_id, item.ingredient_id, quantity, receipt.id, userId, movementMetadata]
+      );
+
+      const priceUpdate = await tx.query(
+        `UPDATE ingredients SET unit_cost = $1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2 AND unit_cost IS DISTINCT FROM $1::numeric
+         RETURNING id`,
+        [unitCost, item.ingredient_id]
+      );
+      if (priceUpdate.rows.length) {
+        await rollUpRecipeCosts(tx, { ingredientId: item.ingredient_id, userId, reason: 'purchase_price_received' });
+      }
+    }
+  }
+
+  let expense = null;
+  if (createExpense && plan.total > 0) {
+    const expenseResult = await tx.query(
+      `INSERT INTO expenses (location_id, category, description, amount, expense_date, created_by)
+       VALUES ($1, $2, $3, $4, CURRENT_DATE, $5)
+       RETURNING *`,
+      [order.location_id, expenseCategory, `Purchase order #${order.id} receipt #${receipt.id}`, plan.total, userId]
+    );
+    expense = expenseResult.rows[0];
+    await tx.query('UPDATE purchase_receipts SET expense_id = $1 WHERE id = $2', [expense.id, receipt.id]);
+    receipt.expense_id = expense.id;
+  }
+
+  const status = resolvePurchaseOrderStatus(items);
+  await tx.query(
+    'UPDATE purchase_orders SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+    [status, order.id]
+  );
+
+  return { receipt, status, expense, total: plan.total };
+}
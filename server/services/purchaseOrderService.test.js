@@ -0,0 +1,88 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  assertPurchaseOrderReceivable,
+  normalizePurchaseLines,
+  planPurchaseReceipt,
+  resolvePurchaseOrderStatus,
+} from './purchaseOrderService.js';
+
+const orderItems = [
+  { id: 1, product_id: 5, ingredient_id: null, unit: 'piece', allows_fraction: false, quantity_ordered: '48', quantity_received: '24', unit_cost: '12.5' },
+  { id: 2, product_id: null, ingredient_id: 9, unit: 'kg', allows_fraction: true, quantity_ordered: '50', quantity_received: '0', unit_cost: '60' },
+  { id: 3, product_id: 6, ingredient_id: null, unit: 'kg', allows_fraction: true, quantity_ordered: '10', quantity_received: '0', unit_cost: '300' },
+];
+
+test('planPurchaseReceipt prices lines from the order unless overridden', () => {
+  const plan = planPurchaseReceipt(orderItems, [
+    { item_id: 1, quantity: 24 },
+    { item_id: 2, quantity: 12.5, unit_cost: 62 },
+  ]);
+
+  assert.equal(plan.lines[0].unitCost, 12.5);
+  assert.equal(plan.lines[1].lineTotal, 775);
+  assert.equal(plan.total, 1075);
+});
+
+test('planPurchaseReceipt rejects over-receipt and fractions of whole-unit stock', () => {
+  assert.throws(() => planPurchaseReceipt(orderItems, [{ item_id: 1, quantity: 25 }]), (err) => err.code === 'PO_OVER_RECEIPT');
+  assert.throws(() => planPurchaseReceipt(orderItems, [{ item_id: 1, quantity: 1.5 }]), (err) => err.code === 'FRACTION_NOT_ALLOWED');
+  assert.throws(() => planPurchaseReceipt(orderItems, [{ item_id: 7, quantity: 1 }]), (err) => err.statusCode === 400);
+});
+
+test('planPurchaseReceipt accepts fractions of products sold by the kg', () => {
+  const plan = planPurchaseReceipt(orderItems, [{ item_id: 3, quantity: 2.5 }]);
+  assert.equal(plan.lines[0].quantity, 2.5);
+  assert.equal(plan.total, 750);
+});
+
+function conversionDb() {
+  return {
+    query: async (sql) => {
+      if (sql.includes('FROM ingredients')) return { rows: [{ id: 9, name: 'Flour', unit: 'kg' }] };
+      if (sql.includes('FROM products')) return { rows: [{ id: 5, name: 'Cola', unit: 'piece', allows_fraction: false }] };
+      if (sql.includes('FROM units')) return { rows: [{ allows_fraction: true }] };
+      if (sql.includes('FROM unit_conversions')) {
+        return {
+          rows: [
+            { product_id: null, ingredient_id: 9, from_unit: 'sack', to_unit: 'kg', factor: '25' },
+            { product_id: 5, ingredient_id: null, from_unit: 'pack', to_unit: 'piece', factor: '6' },
+          ],
+        };
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    },
+  };
+}
+
+test('normalizePurchaseLines converts purchasing units and rescales the unit cost', async () => {
+  const [flour, cola] = await normalizePurchaseLines(conversionDb(), [
+    { ingredient_id: 9, quantity: 2, unit: 'sack', unit_cost: 1500 },
+    { product_id: 5, quantity: 4, unit: 'pack' },
+  ]);
+
+  assert.equal(flour.quantity, 50);
+  assert.equal(flour.entered_quantity, 2);
+  assert.equal(flour.entered_unit, 'sack');
+  assert.equal(flour.unit_cost, 60);
+  assert.equal(cola.quantity, 24);
+  assert.equal(cola.unit_cost, undefined);
+});
+
+test('normalizePurchaseLines rejects fractions of whole-unit products', async () => {
+  await assert.rejects(
+    normalizePurchaseLines(conversionDb(), [{ product_id: 5, quantity: 1.5 }]),
+    (err) => err.code === 'FRACTION_NOT_ALLOWED'
+  );
+});
+
+test('resolvePurchaseOrderStatus tracks partial and full receiving', () => {
+  assert.equal(resolvePurchaseOrderStatus([{ quantity_ordered: 10, quantity_received: 0 }]), 'ordered');
+  assert.equal(resolvePurchaseOrderStatus([{ quantity_ordered: 10, quantity_received: 10 }, { quantity_ordered: 5, quantity_received: 2 }]), 'partially_received');
+  assert.equal(resolvePurchaseOrderStatus([{ quantity_ordered: 10, quantity_received: 10 }]), 'received');
+});
+
+test('assertPurchaseOrderReceivable blocks closed orders', () => {
+  assert.doesNotThrow(() => assertPurchaseOrderReceivable({ id: 1, status: 'partially_received' }));
+  assert.throws(() => assertPurchaseOrderReceivable({ id: 1, status: 'cancelled' }), (err) => err.code === 'PO_NOT_RECEIVABLE');
+});
@@ -0,0 +1,217 @@
+import { AppError } from '../utils/errors.js';
+
+export const RECEIPT_PREFIX_PATTERN = /^[A-Z0-9]{1,12}$/;
+export const MAX_RANGE_SIZE = 500;
+
+export function formatReceiptNumber(prefix, padding, number) {
+  return `${prefix}-${String(number).padStart(padding, '0')}`;
+}
+
+export function parseReceiptNumber(value) {
+  const match = /^([A-Z0-9]{1,12})-(\d{1,18})$/.exec(String(value || ''));
+  return match ? { prefix: match[1], number: Number(match[2]) } : null;
+}
+
+// A branch's first sale gives it `R<location id>`, or the first `R<id>N<n>`
+// no other branch has used if someone already renamed their series to that.
+async function createDefaultSequence(tx, locationId) {
+  await tx.query(
+    `INSERT INTO receipt_sequences (location_id, prefix)
+     SELECT $1, candidate
+     FROM (
+       SELECT n, 'R' || $1::text || CASE WHEN n = 1 THEN '' ELSE 'N' || n END as candidate
+       FROM generate_series(1, 99) n
+     ) c
+     WHERE NOT EXISTS (SELECT 1 FROM receipt_sequences WHERE prefix = c.candidate)
+       AND NOT EXISTS (SELECT 1 FROM receipt_ranges WHERE prefix = c.candidate)
+       AND NOT EXISTS (SELECT 1 FROM sales WHERE receipt_number LIKE c.candidate || '-%')
+     ORDER BY n
+     LIMIT 1
+     ON CONFLICT DO NOTHING`,
+    [locationId]
+  );
+}
+
+// Holding the counter row lock until commit is what keeps the sequence gapless.
+async function lockSequence(tx, locationId) {
+  const select = 'SELECT * FROM receipt_sequences WHERE location_id = $1 FOR UPDATE';
+  let result = await tx.query(select, [locationId]);
+  if (!result.rows.length) {
+    await createDefaultSequence(tx, locationId);
+    result = await tx.query(select, [locationId]);
+  }
+  if (!result.rows.length) {
+    throw new AppError('Set a receipt prefix for this branch first', 409, 'RECEIPT_SEQUENCE_MISSING');
+  }
+  return { ...result.rows[0], next_number: Number(result.rows[0].next_number) };
+}
+
+export async function nextReceiptNumber(tx, locationId) {
+  const sequence = await lockSequence(tx, locationId);
+  await tx.query(
+    'UPDATE receipt_sequences SET next_number = next_number + 1 WHERE location_id = $1',
+    [locationId]
+  );
+  return {
+    receipt_number: formatReceiptNumber(sequence.prefix, sequence.padding, sequence.next_number),
+    receipt_sequence: sequence.next_number,
+  };
+}
+
+// An offline sale keeps its printed number unless it is outside the branch's
+// unreleased ranges or already taken; then it is renumbered and
+// `renumbered_from` keeps what the receipt showed.
+export async function assignReceiptNumber(tx, { locationId, offlineReceiptNumber = null }) {
+  if (offlineReceiptNumber) {
+    const parsed = parseReceiptNumber(offlineReceiptNumber);
+    const range = parsed
+      ? (await tx.query(
+        `SELECT * FROM receipt_ranges
+         WHERE location_id = $1 AND prefix = $2 AND $3 BETWEEN start_number AND end_number
+           AND (released_from IS NULL OR $3 < released_from)
+         FOR UPDATE`,
+        [locationId, parsed.prefix, parsed.number]
+      )).rows[0]
+      : null;
+    const canonical = range && formatReceiptNumber(range.prefix, range.padding, parsed.number) === offlineReceiptNumber;
+    const taken = canonical
+      ? (await tx.query('SELECT id FROM sales WHERE receipt_number = $1', [offlineReceiptNumber])).rows.length > 0
+      : true;
+
+    if (!taken) {
+      await tx.query('UPDATE receipt_ranges SET used_count = used_count + 1 WHERE id = $1', [range.id]);
+      return { receipt_number: offlineReceiptNumber, receipt_sequence: parsed.number, renumbered_from: null };
+    }
+    return { ...(await nextReceiptNumber(tx, locationId)), renumbered_from: offlineReceiptNumber };
+  }
+  return { ...(await nextReceiptNumber(tx, locationId)), renumbered_from: null };
+}
+
+// Ranges come off the same counter, so online and offline receipts never overlap.
+export async function allocateReceiptRange(tx, { locationId, user, deviceId, size }) {
+  const count = Math.trunc(Number(size));
+  if (!(count >= 1 && count <= MAX_RANGE_SIZE)) {
+    throw new AppError(`Range size must be between 1 and ${MAX_RANGE_SIZE}`, 400, 'VALIDATION_ERROR');
+  }
+
+  const sequence = await lockSequence(tx, locationId);
+  const startNumber = sequence.next_number;
+  const endNumber = startNumber + count - 1;
+  await tx.query(
+    'UPDATE receipt_sequences SET next_number = $2 WHERE location_id = $1',
+    [locationId, endNumber + 1]
+  );
+  const result = await tx.query(
+    `INSERT INTO receipt_ranges (location_id, device_id, user_id, prefix, padding, start_number, end_number)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [locationId, deviceId, user.id, sequence.prefix, sequence.padding, startNumber, endNumber]
+  );
+
+  await tx.query(
+    `INSERT INTO activity_log (user_id, location_id, activity_type, description, metadata)
+     VALUES ($1, $2, 'receipt_range_allocated', $3, $4)`,
+    [
+      user.id,
+      locationId,
+      `Receipts ${formatReceiptNumber(sequence.prefix, sequence.padding, startNumber)} to ${formatReceiptNumber(sequence.prefix, sequence.padding, endNumber)} reserved for offline use`,
+      JSON.stringify({ receipt_range_id: result.rows[0].id, device_id: deviceId }),
+    ]
+  );
+  return result.rows[0];
+}
+
+// The counter winds back only if nothing was allocated after the range;
+// otherwise the retired numbers stay on record here.
+export async function releaseReceiptRange(tx, { rangeId, locationId, user, nextUnused = null }) {
+  const result = await tx.query(
+    'SELECT * FROM receipt_ranges WHERE id = $1 AND location_id = $2 FOR UPDATE',
+    [rangeId, locationId]
+  );
+  if (!result.rows.length) {
+    throw new AppError('Receipt range not found', 404, 'RECEIPT_RANGE_NOT_FOUND');
+  }
+  const range = result.rows[0];
+  if (user.role === 'cashier' && Number(range.user_id) !== Number(user.id)) {
+    throw new AppError('Receipt range not found', 404, 'RECEIPT_RANGE_NOT_FOUND');
+  }
+  if (range.status === 'released') {
+    return range;
+  }
+
+  const startNumber = Number(range.start_number);
+  const endNumber = Number(range.end_number);
+  const used = await tx.query(
+    `SELECT MAX(receipt_sequence) as last_used FROM sales
+     WHERE location_id = $1 AND receipt_sequence BETWEEN $2 AND $3 AND receipt_number LIKE $4`,
+    [locationId, startNumber, endNumber, `${range.prefix}-%`]
+  );
+  const lastUsed = used.rows[0].last_used === null ? startNumber - 1 : Number(used.rows[0].last_used);
+  const releasedFrom = Math.min(endNumber + 1, Math.max(lastUsed + 1, Number(nextUnused) || startNumber));
+
+  const sequence = await lockSequence(tx, locationId);
+  const returned = sequence.prefix === range.prefix && sequence.next_number === endNumber + 1;
+  if (returned) {
+    await tx.query('UPDATE receipt_sequences SET next_number = $2 WHERE location_id = $1', [locationId, releasedFrom]);
+  }
+
+  const updated = await tx.query(
+    `UPDATE receipt_ranges SET status = 'released', released_from = $2, released_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING *`,
+    [range.id, releasedFrom]
+  );
+
+  await tx.query(
+    `INSERT INTO activity_log (user_id, location_id, activity_type, description, metadata)
+     VALUES ($1, $2, 'receipt_range_released', $3, $4)`,
+    [
+      user.id,
+      locationId,
+      `Offline receipt range #${range.id} released with ${endNumber + 1 - releasedFrom} unused numbers ${returned ? 'returned to the series' : 'retired'}`,
+      JSON.stringify({ receipt_range_id: range.id, device_id: range.device_id, released_from: releasedFrom, returned }),
+    ]
+  );
+  return updated.rows[0];
+}
+
+export async function updateReceiptSequence(tx, { locationId, user, prefix, padding }) {
+  const normalized = String(prefix || '').trim().toUpperCase();
+  if (!RECEIPT_PREFIX_PATTERN.test(normalized)) {
+    throw new AppError('Prefix must be 1-12 letters or digits', 400, 'VALIDATION_ERROR');
+  }
+
+  const sequence = await lockSequence(tx, locationId);
+  // A prefix another branch has printed under before is as taken as a live one.
+  const clash = await tx.query(
+    `SELECT location_id FROM receipt_sequences WHERE prefix = $1 AND location_id <> $2
+     UNION ALL
+     SELECT location_id FROM receipt_ranges WHERE prefix = $1 AND location_id <> $2
+     UNION ALL
+     (SELECT location_id FROM sales WHERE receipt_number LIKE $1 || '-%' AND location_id <> $2 LIMIT 1)
+     LIMIT 1`,
+    [normalized, locationId]
+  );
+  if (clash.rows.length) {
+    throw new AppError('Another branch already uses that prefix', 409, 'RECEIPT_PREFIX_TAKEN', { location_id: clash.rows[0].location_id });
+  }
+
+  const result = await tx.query(
+    `UPDATE receipt_sequences SET prefix = $2, padding = $3, updated_by = $4, updated_at = CURRENT_TIMESTAMP
+     WHERE location_id = $1
+     RETURNING *`,
+    [locationId, normalized, padding ?? sequence.padding, user.id]
+  );
+
+  await tx.query(
+    `INSERT INTO activity_log (user_id, location_id, activity_type, description, metadata)
+     VALUES ($1, $2, 'receipt_sequence_changed', $3, $4)`,
+    [
+      user.id,
+      locationId,
+      `Receipt numbering changed from ${sequence.prefix} to ${normalized}`,
+      JSON.stringify({ previous_prefix: sequence.prefix, prefix: normalized, padding: result.rows[0].padding }),
+    ]
+  );
+  return result.rows[0];
+}
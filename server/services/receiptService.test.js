@@ -0,0 +1,121 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  allocateReceiptRange,
+  assignReceiptNumber,
+  formatReceiptNumber,
+  parseReceiptNumber,
+  releaseReceiptRange,
+  updateReceiptSequence,
+} from './receiptService.js';
+
+function createTx({ sequence = { location_id: 1, prefix: 'BOLE', padding: 6, next_number: '121' }, range = null, takenNumbers = [], lastUsed = null, clash = false, freePrefix = null } = {}) {
+  const calls = [];
+  const state = { sequence: sequence && { ...sequence } };
+  return {
+    calls,
+    state,
+    query: async (sql, params) => {
+      calls.push({ sql, params });
+      if (sql.includes('INSERT INTO receipt_sequences')) {
+        if (freePrefix) state.sequence = { location_id: params[0], prefix: freePrefix, padding: 6, next_number: '1' };
+        return { rows: [] };
+      }
+      if (sql.includes('FROM receipt_sequences WHERE location_id = $1 FOR UPDATE')) return { rows: state.sequence ? [{ ...state.sequence }] : [] };
+      if (sql.includes('SET next_number = next_number + 1')) {
+        state.sequence.next_number = String(Number(state.sequence.next_number) + 1);
+        return { rows: [] };
+      }
+      if (sql.includes('UPDATE receipt_sequences SET next_number = $2')) {
+        state.sequence.next_number = String(params[1]);
+        return { rows: [] };
+      }
+      if (sql.includes('SELECT location_id FROM receipt_sequences WHERE prefix')) return { rows: clash ? [{ location_id: 2 }] : [] };
+      if (sql.includes('UPDATE receipt_sequences SET prefix')) return { rows: [{ ...state.sequence, prefix: params[1], padding: params[2] }] };
+      if (sql.includes('FROM receipt_ranges') && sql.includes('FOR UPDATE')) return { rows: range ? [range] : [] };
+      if (sql.includes('SELECT id FROM sales WHERE receipt_number')) return { rows: takenNumbers.includes(params[0]) ? [{ id: 1 }] : [] };
+      if (sql.includes('MAX(receipt_sequence)')) return { rows: [{ last_used: lastUsed }] };
+      if (sql.includes('INSERT INTO receipt_ranges')) {
+        return { rows: [{ id: 4, location_id: params[0], device_id: params[1], prefix: params[3], padding: params[4], start_number: params[5], end_number: params[6] }] };
+      }
+      if (sql.includes("SET status = 'released'")) return { rows: [{ ...range, status: 'released', released_from: params[1] }] };
+      return { rows: [] };
+    },
+  };
+}
+
+const activeRange = { id: 4, location_id: 1, user_id: 7, device_id: 'till-2', prefix: 'BOLE', padding: 6, start_number: '101', end_number: '120', status: 'active', released_from: null };
+
+test('receipt numbers are zero padded under the branch prefix and parse back', () => {
+  assert.equal(formatReceiptNumber('BOLE', 6, 42), 'BOLE-000042');
+  assert.deepEqual(parseReceiptNumber('BOLE-000042'), { prefix: 'BOLE', number: 42 });
+  assert.equal(parseReceiptNumber('RCP 42'), null);
+});
+
+test('online sales take the next number and offline sales keep their pre-allocated one', async () => {
+  const tx = createTx();
+  assert.deepEqual(await assignReceiptNumber(tx, { locationId: 1 }), { receipt_number: 'BOLE-000121', receipt_sequence: 121, renumbered_from: null });
+  assert.equal(tx.state.sequence.next_number, '122');
+
+  const offline = createTx({ range: activeRange });
+  assert.deepEqual(
+    await assignReceiptNumber(offline, { locationId: 1, offlineReceiptNumber: 'BOLE-000105' }),
+    { receipt_number: 'BOLE-000105', receipt_sequence: 105, renumbered_from: null }
+  );
+  assert.equal(offline.state.sequence.next_number, '121');
+  assert.ok(offline.calls.some((call) => call.sql.includes('used_count = used_count + 1')));
+
+  const duplicate = await assignReceiptNumber(createTx({ range: activeRange, takenNumbers: ['BOLE-000105'] }), { locationId: 1, offlineReceiptNumber: 'BOLE-000105' });
+  assert.equal(duplicate.receipt_number, 'BOLE-000121');
+  assert.equal(duplicate.renumbered_from, 'BOLE-000105');
+});
+
+test('ranges come off the branch counter and give their unused tail back when nothing followed', async () => {
+  const tx = createTx();
+  const range = await allocateReceiptRange(tx, { locationId: 1, user: { id: 7, role: 'cashier' }, deviceId: 'till-2', size: 20 });
+  assert.deepEqual([range.start_number, range.end_number], [121, 140]);
+  assert.equal(tx.state.sequence.next_number, '141');
+  await assert.rejects(
+    () => allocateReceiptRange(createTx(), { locationId: 1, user: { id: 7 }, deviceId: 'till-2', size: 0 }),
+    (err) => err.code === 'VALIDATION_ERROR'
+  );
+
+  const release = createTx({ range: activeRange, lastUsed: '108' });
+  const released = await releaseReceiptRange(release, { rangeId: 4, locationId: 1, user: { id: 7, role: 'cashier' }, nextUnused: 106 });
+  assert.equal(released.released_from, 109);
+  assert.equal(release.state.sequence.next_number, '109');
+
+  const later = createTx({ range: activeRange, sequence: { location_id: 1, prefix: 'BOLE', padding: 6, next_number: '131' } });
+  await releaseReceiptRange(later, { rangeId: 4, locationId: 1, user: { id: 2, role: 'manager' } });
+  assert.equal(later.state.sequence.next_number, '131');
+
+  await assert.rejects(
+    () => releaseReceiptRange(createTx({ range: activeRange }), { rangeId: 4, locationId: 1, user: { id: 8, role: 'cashier' } }),
+    (err) => err.code === 'RECEIPT_RANGE_NOT_FOUND'
+  );
+});
+
+test('prefixes are validated and cannot be shared between branches', async () => {
+  await assert.rejects(
+    () => updateReceiptSequence(createTx(), { locationId: 1, user: { id: 1 }, prefix: 'bole-1' }),
+    (err) => err.code === 'VALIDATION_ERROR'
+  );
+  await assert.rejects(
+    () => updateReceiptSequence(createTx({ clash: true }), { locationId: 1, user: { id: 1 }, prefix: 'piassa' }),
+    (err) => err.code === 'RECEIPT_PREFIX_TAKEN'
+  );
+  const updated = await updateReceiptSequence(createTx(), { locationId: 1, user: { id: 1 }, prefix: ' piassa ', padding: 5 });
+  assert.deepEqual([updated.prefix, updated.padding], ['PIASSA', 5]);
+});
+
+test('a new branch starts on a default prefix no other branch has used', async () => {
+  const tx = createTx({ sequence: null, freePrefix: 'R2N2' });
+  assert.equal((await assignReceiptNumber(tx, { locationId: 2 })).receipt_number, 'R2N2-000001');
+  const insert = tx.calls.find((call) => call.sql.includes('INSERT INTO receipt_sequences'));
+  assert.ok(insert.sql.includes('FROM receipt_ranges WHERE prefix = c.candidate'));
+
+  await assert.rejects(
+    () => assignReceiptNumber(createTx({ sequence: null }), { locationId: 2 }),
+    (err) => err.code === 'RECEIPT_SEQUENCE_MISSING'
+  );
+});
@@ -0,0 +1,315 @@
+import { query } from '../db.js';
+import { AppError } from '../utils/errors.js';
+import { JOB_LOCK_KEYS, withAdvisoryJobLock } from './jobLockService.js';
+import { trimLotsToStock } from './lotService.js';
+import { LEDGER_SOURCE } from './stockLedgerService.js';
+
+// Which side wins when a correction is posted: `inventory` keeps the shelf
+// quantity and books the gap into the ledger, `ledger` resets the shelf to
+// what the ledger says it should be.
+export const RECONCILIATION_TRUST = ['inventory', 'ledger'];
+
+const DEFAULT_INTERVAL_MINUTES = 24 * 60;
+const MAX_LISTED_MISMATCHES = 10;
+
+function readPositiveNumber(value, fallback) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+function roundQuantity(value) {
+  return Math.round(Number(value || 0) * 1000) / 1000;
+}
+
+const pairKey = (locationId, productId) => `${Number(locationId)}:${Number(productId)}`;
+
+// `balances` holds one ledger row per location and product, as summed by
+// getInventoryReconciliation.
+export function reconcileStock(stockRows, balances) {
+  const ledger = new Map(balances.map((row) => [pairKey(row.location_id, row.product_id), {
+    balance: roundQuantity(row.balance),
+    movement_count: Number(row.movement_count || 0),
+    last_movement_at: row.last_movement_at || null,
+  }]));
+
+  const mismatches = [];
+  for (const row of stockRows) {
+    const entry = ledger.get(pairKey(row.location_id, row.product_id)) || { balance: 0, movement_count: 0, last_movement_at: null };
+    const inventoryQuantity = roundQuantity(row.on_hand);
+    const difference = roundQuantity(inventoryQuantity - entry.balance);
+    if (difference === 0) continue;
+
+    mismatches.push({
+      location_id: Number(row.location_id),
+      location_name: row.location_name,
+      product_id: Number(row.product_id),
+      product_name: row.product_name,
+      source: row.source,
+      has_inventory_row: Boolean(row.has_inventory_row),
+      allows_fraction: Boolean(row.allows_fraction),
+      inventory_quantity: inventoryQuantity,
+      ledger_quantity: entry.balance,
+      difference,
+      movement_count: entry.movement_count,
+      last_movement_at: entry.last_movement_at,
+    });
+  }
+
+  mismatches.sort((a, b) => (
+    a.location_id - b.location_id || Math.abs(b.difference) - Math.abs(a.difference) || a.product_id - b.product_id
+  ));
+
+  return {
+    checked: stockRows.length,
+    mismatches,
+    net_difference: roundQuantity(mismatches.reduce((sum, item) => sum + item.difference, 0)),
+  };
+}
+
+export async function getInventoryReconciliation(db, { locationId = null, productIds = null } = {}) {
+  const stock = await db.query(
+    `WITH pairs AS (
+       SELECT location_id, product_id FROM inventory
+       WHERE ($1::int IS NULL OR location_id = $1)
+         AND ($2::int[] IS NULL OR product_id = ANY($2::int[]))
+       UNION
+       SELECT DISTINCT location_id, product_id FROM ${LEDGER_SOURCE} m
+       WHERE product_id IS NOT NULL
+         AND ($1::int IS NULL OR location_id = $1)
+         AND ($2::int[] IS NULL OR product_id = ANY($2::int[]))
+     )
+     SELECT pairs.location_id, l.name as location_name, pairs.product_id, p.name as product_name,
+            COALESCE(i.source, p.source, 'baked') as source,
+            COALESCE(i.quantity, 0) as on_hand, i.id IS NOT NULL as has_inventory_row,
+            COALESCE(u.allows_fraction, false) as allows_fraction
+     FROM pairs
+     JOIN products p ON p.id = pairs.product_id
+     LEFT JOIN units u ON u.code = p.unit
+     JOIN locations l ON l.id = pairs.location_id
+     LEFT JOIN inventory i ON i.location_id = pairs.location_id AND i.product_id = pairs.product_id`,
+    [locationId, productIds]
+  );
+
+  // Manual stock edits store the new absolute quantity, so each balance is
+  // the latest one plus every movement after it.
+  const balances = await db.query(
+    `WITH movements AS (
+       SELECT m.id, m.location_id, m.product_id, m.quantity_change, m.created_at,
+              CASE WHEN m.movement_type = 'manual_adjustment'
+                   THEN (m.metadata->>'absolute_quantity')::numeric END as absolute_quantity
+       FROM ${LEDGER_SOURCE} m
+       WHERE m.product_id IS NOT NULL
+         AND ($1::int IS NULL OR m.location_id = $1)
+         AND ($2::int[] IS NULL OR m.product_id = ANY($2::int[]))
+     ),
+     anchors AS (
+       SELECT DISTINCT ON (location_id, product_id) location_id, product_id, id, created_at, absolute_quantity
+       FROM movements
+       WHERE absolute_quantity IS NOT NULL
+       ORDER BY location_id, product_id, created_at DESC, id DESC
+     )
+     SELECT mv.location_id, mv.product_id,
+            COALESCE(MAX(a.absolute_quantity), 0)
+              + COALESCE(SUM(mv.quantity_change) FILTER (
+                  WHERE a.id IS NULL OR (mv.created_at, mv.id) > (a.created_at, a.id)
+                ), 0) as balance,
+            COUNT(*) as movement_count,
+            MAX(mv.created_at) as last_movement_at
+     FROM movements mv
+     LEFT JOIN anchors a ON a.location_id = mv.location_id AND a.product_id = mv.product_id
+     GROUP BY mv.location_id, mv.product_id`,
+    [locationId, productIds]
+  );
+
+  return { location_id: locationId, ...reconcileStock(stock.rows, balances.rows) };
+}
+
+// `trust = 'inventory'` books the gap as a manual adjustment; `trust = 'ledger'`
+// resets the shelf to the ledger quantity (never below zero).
+export async function postReconciliationAdjustments(tx, { locationId, productIds = null, trust = 'inventory', note, userId }) {
+  if (!RECONCILIATION_TRUST.includes(trust)) {
+    throw new AppError(`trust must be one of: ${RECONCILIATION_TRUST.join(', ')}`, 400, 'VALIDATION_ERROR');
+  }
+  const auditNote = String(note || '').trim();
+  if (!auditNote) {
+    throw new AppError('A note explaining the correction is required', 400, 'VALIDATION_ERROR');
+  }
+
+  await tx.query(
+    `SELECT id FROM inventory
+     WHERE location_id = $1 AND ($2::int[] IS NULL OR product_id = ANY($2::int[]))
+     FOR UPDATE`,
+    [locationId, productIds]
+  );
+  const { mismatches } = await getInventoryReconciliation(tx, { locationId, productIds });
+  if (!mismatches.length) {
+    throw new AppError('Inventory already matches the ledger', 409, 'NOTHING_TO_RECONCILE');
+  }
+
+  const reconciliation = await tx.query(
+    `INSERT INTO inventory_reconciliations (location_id, trust, note, created_by)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [locationId, trust, auditNote, userId]
+  );
+  const reconciliationId = reconciliation.rows[0].id;
+
+  const adjustments = [];
+  for (const item of mismatches) {
+    const ledgerTarget = item.allows_fraction ? roundQuantity(item.ledger_quantity) : Math.round(item.ledger_quantity);
+    const target = trust === 'inventory' ? item.inventory_quantity : Math.max(0, ledgerTarget);
+    const change = roundQuantity(target - item.ledger_quantity);
+
+    if (target !== item.inventory_quantity) {
+      await tx.query(
+        `INSERT INTO inventory (product_id, location_id, quantity, source, last_updated)
+         VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+         ON CONFLICT (product_id, location_id)
+         DO UPDATE SET quantity = $3, last_updated = CURRENT_TIMESTAMP`,
+        [item.product_id, locationId, target, item.source]
+      );
+      await trimLotsToStock(tx, { locationId, productId: item.product_id });
+    }
+
+    let movementId = null;
+    if (change !== 0) {
+      const movement = await tx.query(
+        `INSERT INTO inventory_movements
+         (location_id, product_id, movement_type, quantity_change, source, reference_type, reference_id, created_by, metadata)
+         VALUES ($1, $2, 'manual_adjustment', $3, $4, 'inventory_reconciliation', $5, $6, $7)
+         RETURNING id`,
+        [
+          locationId,
+          item.product_id,
+          change,
+          item.source,
+          reconciliationId,
+          userId,
+          JSON.stringify({
+            trust,
+            note: auditNote,
+            inventory_quantity: item.inventory_quantity,
+            ledger_quantity: item.ledger_quantity,
+          }),
+        ]
+      );
+      movementId = movement.rows[0].id;
+    }
+
+    adjustments.push({
+      product_id: item.product_id,
+      product_name: item.product_name,
+      previous_inventory_quantity: item.inventory_quantity,
+      inventory_quantity: target,
+      ledger_quantity: item.ledger_quantity,
+      ledger_change: change,
+      movement_id: movementId,
+    });
+  }
+
+  const netChange = roundQuantity(adjustments.reduce((sum, item) => sum + item.ledger_change, 0));
+  const updated = await tx.query(
+    `UPDATE inventory_reconciliations
+     SET adjustments_count = $2, net_change = $3
+     WHERE id = $1
+     RETURNING *`,
+    [reconciliationId, adjustments.length, netChange]
+  );
+
+  await tx.query(
+    `INSERT INTO activity_log (user_id, location_id, activity_type, description, metadata)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [
+      userId,
+      locationId,
+      'inventory_reconciled',
+      `Reconciled ${adjustments.length} product(s) against the stock ledger: ${auditNote}`,
+      JSON.stringify({ reconciliation_id: reconciliationId, trust, product_ids: adjustments.map((item) => item.product_id) }),
+    ]
+  );
+
+  return { reconciliation: updated.rows[0], adjustments };
+}
+
+export function buildDriftMessage(locationName, mismatches) {
+  const lines = mismatches
+    .slice(0, MAX_LISTED_MISMATCHES)
+    .map((item) => `${item.product_name}: shelf ${item.inventory_quantity}, ledger ${item.ledger_quantity}`);
+  const more = mismatches.length > MAX_LISTED_MISMATCHES ? `\n...and ${mismatches.length - MAX_LISTED_MISMATCHES} more` : '';
+
+  return {
+    title: `Stock drift at ${locationName}`,
+    message: `${mismatches.length} product(s) no longer match the stock ledger:\n${lines.join('\n')}${more}`,
+  };
+}
+
+// A drift is the same drift while each product is off by the same amount,
+// even as sales move both the shelf and the ledger.
+export function driftFingerprint(mismatches) {
+  return mismatches.map((item) => `${item.product_id}:${item.difference}`).sort().join(',');
+}
+
+// Only reports; corrections are always posted by hand.
+export async function runInventoryReconciliationScan({ dbQuery = query } = {}) {
+  const { checked, mismatches } = await getInventoryReconciliation({ query: dbQuery });
+
+  const byLocation = new Map();
+  for (const item of mismatches) {
+    if (!byLocation.has(item.location_id)) byLocation.set(item.location_id, []);
+    byLocation.get(item.location_id).push(item);
+  }
+
+  const previous = await dbQuery('SELECT location_id, fingerprint FROM inventory_drift_state');
+  const lastNotified = new Map(previous.rows.map((row) => [Number(row.location_id), row.fingerprint]));
+
+  let notified = 0;
+  for (const [locationId, items] of byLocation) {
+    const fingerprint = driftFingerprint(items);
+    if (lastNotified.get(locationId) === fingerprint) continue;
+
+    const { title, message } = buildDriftMessage(items[0].location_name, items);
+    await dbQuery(
+      `INSERT INTO notifications (user_id, location_id, title, message, notification_type)
+       SELECT id, $1, $2, $3, 'inventory_drift'
+       FROM users
+       WHERE role = 'admin' AND is_active = true`,
+      [locationId, title, message]
+    );
+    await dbQuery(
+      `INSERT INTO inventory_drift_state (location_id, fingerprint, mismatched, notified_at)
+       VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+       ON CONFLICT (location_id)
+       DO UPDATE SET fingerprint = EXCLUDED.fingerprint, mismatched = EXCLUDED.mismatched, notified_at = CURRENT_TIMESTAMP`,
+      [locationId, fingerprint, items.length]
+    );
+    notified += 1;
+  }
+
+  // Branches back in balance are forgotten, so fresh drift is reported again.
+  const cleared = [...lastNotified.keys()].filter((locationId) => !byLocation.has(locationId));
+  if (cleared.length) {
+    await dbQuery('DELETE FROM inventory_drift_state WHERE location_id = ANY($1::int[])', [cleared]);
+  }
+
+  return { checked, mismatched: mismatches.length, locations: byLocation.size, notified };
+}
+
+export async function runScheduledInventoryReconciliation() {
+  const lockResult = await withAdvisoryJobLock(JOB_LOCK_KEYS.INVENTORY_RECONCILIATION, () => (
+    runInventoryReconciliationScan()
+  ));
+
+  if (lockResult.skipped) {
+    console.log('[RECONCILIATION] Skipping drift scan: lock not acquired');
+  }
+  return lockResult;
+}
+
+export function startInventoryReconciliationScheduler() {
+  const intervalMinutes = readPositiveNumber(process.env.INVENTORY_RECONCILIATION_INTERVAL_MINUTES, DEFAULT_INTERVAL_MINUTES);
+  const runSafely = () => runScheduledInventoryReconciliation()
+    .catch((err) => console.error('[RECONCILIATION] drift scan failed:', err.message));
+
+  runSafely();
+  setInterval(runSafely, intervalMinutes * 60 * 1000);
+}
@@ -0,0 +1,150 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildDriftMessage,
+  postReconciliationAdjustments,
+  reconcileStock,
+  runInventoryReconciliationScan,
+} from './reconciliationService.js';
+
+const stockRows = [
+  { location_id: 1, location_name: 'Main', product_id: 1, product_name: 'Baguette', source: 'baked', on_hand: 8, has_inventory_row: true },
+  { location_id: 1, location_name: 'Main', product_id: 2, product_name: 'Croissant', source: 'baked', on_hand: 12, has_inventory_row: true },
+  { location_id: 1, location_name: 'Main', product_id: 3, product_name: 'Soda', source: 'purchased', on_hand: 0, has_inventory_row: false },
+];
+
+const balances = [
+  { location_id: 1, product_id: 1, balance: '8', movement_count: '2', last_movement_at: '2026-03-01T09:00:00Z' },
+  { location_id: 1, product_id: 2, balance: '10', movement_count: '2', last_movement_at: '2026-03-01T10:00:00Z' },
+  { location_id: 1, product_id: 3, balance: '6', movement_count: '1', last_movement_at: '2026-03-01T07:00:00Z' },
+];
+
+test('reconcileStock reports only products whose shelf and ledger disagree', () => {
+  const result = reconcileStock(stockRows, balances);
+
+  assert.equal(result.checked, 3);
+  assert.deepEqual(
+    result.mismatches.map((item) => [item.product_name, item.inventory_quantity, item.ledger_quantity, item.difference]),
+    [['Soda', 0, 6, -6], ['Croissant', 12, 10, 2]]
+  );
+  assert.equal(result.mismatches[1].movement_count, 2);
+  assert.equal(result.net_difference, -4);
+});
+
+function createTx(stock, ledger) {
+  const calls = [];
+  return {
+    calls,
+    query: async (sql, params) => {
+      calls.push({ sql, params });
+      if (sql.includes('FOR UPDATE')) return { rows: [] };
+      if (sql.includes('WITH pairs AS')) return { rows: stock };
+      if (sql.includes('WITH movements AS')) return { rows: ledger };
+      if (sql.includes('INSERT INTO inventory_reconciliations')) return { rows: [{ id: 9 }] };
+      if (sql.includes('UPDATE inventory_reconciliations')) return { rows: [{ id: 9, adjustments_count: params[1], net_change: params[2] }] };
+      if (sql.includes('INSERT INTO inventory_movements')) return { rows: [{ id: 100 + calls.length }] };
+      if (sql.includes('INSERT INTO inventory (')) return { rows: [] };
+      if (sql.includes('as in_lots')) return { rows: [{ on_hand: 0, in_lots: 0 }] };
+      if (sql.includes('INSERT INTO activity_log')) return { rows: [] };
+      throw new Error(`unexpected query: ${sql}`);
+    },
+  };
+}
+
+test('trusting the shelf books the gap into the ledger', async () => {
+  const tx = createTx(stockRows, balances);
+  const result = await postReconciliationAdjustments(tx, { locationId: 1, trust: 'inventory', note: 'Legacy rows', userId: 4 });
+
+  assert.deepEqual(result.adjustments.map((item) => [item.product_id, item.ledger_change, item.inventory_quantity]), [[3, -6, 0], [2, 2, 12]]);
+  assert.equal(result.reconciliation.net_change, -4);
+  assert.equal(tx.calls.some((call) => call.sql.includes('INSERT INTO inventory (')), false);
+
+  const movement = tx.calls.find((call) => call.sql.includes('INSERT INTO inventory_movements'));
+  assert.deepEqual(movement.params.slice(0, 5), [1, 3, -6, 'purchased', 9]);
+  assert.equal(JSON.parse(movement.params[6]).note, 'Legacy rows');
+});
+
+test('trusting the ledger resets the shelf and books only rounding', async () => {
+  const tx = createTx(
+    [{ location_id: 1, location_name: 'Main', product_id: 5, product_name: 'Roll', source: 'baked', on_hand: 4, has_inventory_row: true }],
+    [{ location_id: 1, product_id: 5, balance: '-2', movement_count: '1', last_movement_at: '2026-03-01T09:00:00Z' }]
+  );
+  const result = await postReconciliationAdjustments(tx, { locationId: 1, trust: 'ledger', note: 'Deleted row drift', userId: 4 });
+
+  assert.deepEqual(result.adjustments[0], {
+    product_id: 5,
+    product_name: 'Roll',
+    previous_inventory_quantity: 4,
+    inventory_quantity: 0,
+    ledger_quantity: -2,
+    ledger_change: 2,
+    movement_id: result.adjustments[0].movement_id,
+  });
+  const upsert = tx.calls.find((call) => call.sql.includes('INSERT INTO inventory ('));
+  assert.deepEqual(upsert.params, [5, 1, 0, 'baked']);
+});
+
+test('postReconciliationAdjustments needs a note and something to fix', async () => {
+  await assert.rejects(
+    postReconciliationAdjustments(createTx([], []), { locationId: 1, trust: 'inventory', note: '  ', userId: 4 }),
+    (err) => err.statusCode === 400
+  );
+  await assert.rejects(
+    postReconciliationAdjustments(createTx([], []), { locationId: 1, trust: 'inventory', note: 'Check', userId: 4 }),
+    (err) => err.code === 'NOTHING_TO_RECONCILE'
+  );
+});
+
+test('buildDriftMessage caps the product list', () => {
+  const mismatches = Array.from({ length: 12 }, (_, index) => ({ product_name: `P${index}`, inventory_quantity: index, ledger_quantity: 0 }));
+  const { title, message } = buildDriftMessage('Main', mismatches);
+  assert.equal(title, 'Stock drift at Main');
+  assert.match(message, /^12 product\(s\)/);
+  assert.match(message, /and 2 more$/);
+});
+
+function createScanDb({ stock, ledger, state = [] }) {
+  const calls = [];
+  return {
+    calls,
+    dbQuery: async (sql, params) => {
+      calls.push({ sql, params });
+      if (sql.includes('WITH pairs AS')) return { rows: stock };
+      if (sql.includes('WITH movements AS')) return { rows: ledger };
+      if (sql.includes('SELECT location_id, fingerprint FROM inventory_drift_state')) return { rows: state };
+      if (sql.includes('INSERT INTO notifications')) return { rows: [] };
+      if (sql.includes('INSERT INTO inventory_drift_state')) return { rows: [] };
+      if (sql.includes('DELETE FROM inventory_drift_state')) return { rows: [] };
+      throw new Error(`unexpected query: ${sql}`);
+    },
+  };
+}
+
+test('the drift scan notifies once per change in what is mismatched', async () => {
+  const first = createScanDb({ stock: stockRows, ledger: balances });
+  const result = await runInventoryReconciliationScan({ dbQuery: first.dbQuery });
+  assert.deepEqual(result, { checked: 3, mismatched: 2, locations: 1, notified: 1 });
+
+  const saved = first.calls.find((call) => call.sql.includes('INSERT INTO inventory_drift_state'));
+  assert.deepEqual(saved.params, [1, '2:2,3:-6', 2]);
+
+  const rerun = createScanDb({ stock: stockRows, ledger: balances, state: [{ location_id: 1, fingerprint: '2:2,3:-6' }] });
+  assert.equal((await runInventoryReconciliationScan({ dbQuery: rerun.dbQuery })).notified, 0);
+  assert.equal(rerun.calls.some((call) => call.sql.includes('INSERT INTO notifications')), false);
+
+  const worse = createScanDb({ stock: stockRows, ledger: balances, state: [{ location_id: 1, fingerprint: '3:-6' }] });
+  assert.equal((await runInventoryReconciliationScan({ dbQuery: worse.dbQuery })).notified, 1);
+});
+
+test('the drift scan forgets branches that are back in balance', async () => {
+  const db = createScanDb({
+    stock: [stockRows[0]],
+    ledger: [balances[0]],
+    state: [{ location_id: 1, fingerprint: '2:2' }],
+  });
+  const result = await runInventoryReconciliationScan({ dbQuery: db.dbQuery });
+
+  assert.equal(result.notified, 0);
+  const cleared = db.calls.find((call) => call.sql.includes('DELETE FROM inventory_drift_state'));
+  assert.deepEqual(cleared.params, [[1]]);
+});
@@ -0,0 +1,385 @@
+import { AppError } from '../utils/errors.js';
+import { restoreLotQuantity } from './lotService.js';
+import { getOpenShift } from './shiftService.js';
+import { assertQuantityFitsUnit, roundQuantity } from './unitService.js';
+import { assertWasteReason } from './wasteService.js';
+
+export const REFUND_METHODS = ['cash', 'card', 'mobile'];
+export const REFUND_DISPOSITIONS = ['restock', 'waste'];
+export const REFUND_STATUSES = ['pending', 'completed', 'rejected'];
+
+// Refunds above this need a manager unless the branch sets a `refund_approval` alert rule.
+const DEFAULT_REFUND_APPROVAL_THRESHOLD = 500;
+
+function roundMoney(value) {
+  return Math.round(Number(value || 0) * 100) / 100;
+}
+
+// `reservedByItem` is what pending refunds already hold. Refunding the rest
+// of a line returns the rest of its subtotal, so rounding never leaves a cent behind.
+export function planRefund(saleItems, lines, reservedByItem = new Map()) {
+  if (!lines.length) {
+    throw new AppError('Select at least one line to refund', 400, 'VALIDATION_ERROR');
+  }
+
+  const seen = new Set();
+  const planned = lines.map((line) => {
+    const itemId = Number(line.sale_item_id);
+    const item = saleItems.find((entry) => Number(entry.id) === itemId);
+    if (!item) {
+      throw new AppError(`Line ${itemId} is not on this sale`, 400, 'VALIDATION_ERROR');
+    }
+    if (seen.has(itemId)) {
+      throw new AppError(`Line ${itemId} is listed more than once`, 400, 'VALIDATION_ERROR');
+    }
+    seen.add(itemId);
+
+    const disposition = line.disposition || 'restock';
+    if (!REFUND_DISPOSITIONS.includes(disposition)) {
+      throw new AppError(`disposition must be one of: ${REFUND_DISPOSITIONS.join(', ')}`, 400, 'VALIDATION_ERROR');
+    }
+
+    const quantity = Number(line.quantity);
+    if (!Number.isFinite(quantity) || quantity <= 0) {
+      throw new AppError(`Refund quantity for ${item.product_name} must be greater than zero`, 400, 'VALIDATION_ERROR');
+    }
+    assertQuantityFitsUnit(quantity, { code: item.unit, allows_fraction: item.allows_fraction }, `Refund quantity for ${item.product_name}`);
+
+    const sold = Number(item.quantity);
+    const reserved = reservedByItem.get(itemId) || { quantity: 0, amount: 0 };
+    const refundable = roundQuantity(sold - Number(item.refunded_quantity || 0) - reserved.quantity);
+    if (roundQuantity(quantity) > refundable) {
+      throw new AppError(
+        `Only ${refundable} ${item.product_name} can still be refunded`,
+        409,
+        'REFUND_EXCEEDS_SOLD'
+      );
+    }
+
+    // The subtotal is after any discount, so this is the unit price actually paid.
+    const paidUnitPrice = Number(item.subtotal) / sold;
+    const remainingAmount = roundMoney(Number(item.subtotal) - Number(item.refunded_amount || 0) - reserved.amount);
+    const amount = roundQuantity(quantity) === refundable ? remainingAmount : roundMoney(paidUnitPrice * quantity);
+
+    return {
+      sale_item_id: itemId,
+      product_id: Number(item.product_id),
+      product_name: item.product_name,
+      quantity: roundQuantity(quantity),
+      unit_price: roundMoney(paidUnitPrice),
+      amount,
+      disposition,
+    };
+  });
+
+  return { lines: planned, total_amount: roundMoney(planned.reduce((sum, line) => sum + line.amount, 0)) };
+}
+
+export async function getRefundApprovalThreshold(db, locationId) {
+  const rule = await db.query(
+    `SELECT threshold FROM alert_rules
+     WHERE location_id = $1 AND event_type = 'refund_approval' AND enabled = true
+     ORDER BY updated_at DESC LIMIT 1`,
+    [locationId]
+  );
+  return rule.rows.length ? Number(rule.rows[0].threshold) : DEFAULT_REFUND_APPROVAL_THRESHOLD;
+}
+
+async function loadSale(tx, saleId, locationId) {
+  const sale = await tx.query(
+    'SELECT * FROM sales WHERE id = $1 AND location_id = $2 FOR UPDATE',
+    [saleId, locationId]
+  );
+  if (!sale.rows.length) {
+    throw new AppError('Sale not found', 404, 'SALE_NOT_FOUND');
+  }
+  return sale.rows[0];
+}
+
+// Restocked or wasted, a `sale_out` movement reverses the sale so the ledger
+// keeps explaining the shelf.
+async function applyRefund(tx, { refund, lines, sale, userId }) {
+  for (const line of lines) {
+    await tx.query(
+      `UPDATE sale_items
+       SET refunded_quantity = refunded_quantity + $1, refunded_amount = refunded_amount + $2
+       WHERE id = $3`,
+      [line.quantity, line.amount, line.sale_item_id]
+    );
+
+    const product = await tx.query('SELECT name, cost, source FROM products WHERE id = $1', [line.product_id]);
+    const { cost, source } = product.rows[0] || {};
+
+    await tx.query(
+      `INSERT INTO inventory_movements
+       (location_id, product_id, movement_type, quantity_change, source, reference_type, reference_id, created_by, metadata)
+       VALUES ($1, $2, 'sale_out', $3, $4, 'sale_refund', $5, $6, $7)`,
+      [
+        sale.location_id,
+        line.product_id,
+        line.quantity,
+        source || 'baked',
+        refund.id,
+        userId,
+        JSON.stringify({ action: `refund_${line.disposition}`, sale_id: sale.id, sale_item_id: line.sale_item_id, reason: refund.reason }),
+      ]
+    );
+
+    if (line.disposition === 'restock') {
+      await tx.query(
+        `INSERT INTO inventory (product_id, location_id, quantity, source, last_updated)
+         VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+         ON CONFLICT (product_id, location_id)
+         DO UPDATE SET quantity = inventory.quantity + EXCLUDED.quantity, last_updated = CURRENT_TIMESTAMP`,
+        [line.product_id, sale.location_id, line.quantity, source || 'baked']
+      );
+      await restoreLotQuantity(tx, {
+        movementType: 'sale_out',
+        referenceType: 'sale',
+        referenceId: sale.id,
+        productId: line.product_id,
+        quantity: line.quantity,
+      });
+    } else {
+      const unitCost = Number(cost || 0);
+      await tx.query(
+        `INSERT INTO inventory_movements
+         (location_id, product_id, movement_type, quantity_change, source, reference_type, reference_id, created_by, metadata, cost_value)
+         VALUES ($1, $2, 'waste', $3, $4, 'sale_refund', $5, $6, $7, $8)`,
+        [
+          sale.location_id,
+          line.product_id,
+          -line.quantity,
+          source || 'baked',
+          refund.id,
+          userId,
+          JSON.stringify({ reason: refund.waste_reason, notes: `Returned on ${sale.receipt_number}`, unit_cost: unitCost }),
+          roundMoney(unitCost * line.quantity),
+        ]
+      );
+    }
+  }
+
+  const totals = await tx.query(
+    `SELECT COALESCE(SUM(refunded_amount), 0) as refunded_amount,
+            BOOL_AND(refunded_quantity >= quantity) as fully_refunded
+     FROM sale_items WHERE sale_id = $1`,
+    [sale.id]
+  );
+  const updated = await tx.query(
+    `UPDATE sales
+     SET refunded_amount = $1,
+         status = CASE WHEN $2::boolean THEN 'refunded' ELSE status END
+     WHERE id = $3
+     RETURNING *`,
+    [totals.rows[0].refunded_amount, Boolean(totals.rows[0].fully_refunded), sale.id]
+  );
+  return updated.rows[0];
+}
+
+async function loadRefundLines(tx, refundId) {
+  const items = await tx.query(
+    `SELECT sri.*, p.name as product_name
+     FROM sale_refund_items sri
+     JOIN products p ON p.id = sri.product_id
+     WHERE sri.refund_id = $1
+     ORDER BY sri.id`,
+    [refundId]
+  );
+  return items.rows.map((row) => ({
+    ...row,
+    sale_item_id: Number(row.sale_item_id),
+    product_id: Number(row.product_id),
+    quantity: Number(row.quantity),
+    amount: Number(row.amount),
+  }));
+}
+
+// Cashier refunds above the approval amount wait as `pending`; their
+// quantities are held so the same loaf cannot be refunded twice.
+export async function requestRefund(tx, { saleId, locationId, items, reason, refundMethod, wasteReason = null, user, shiftId = null }) {
+  if (!reason || !String(reason).trim()) {
+    throw new AppError('A reason is required for refunds', 400, 'VALIDATION_ERROR');
+  }
+  if (!REFUND_METHODS.includes(refundMethod)) {
+    throw new AppError(`refund_method must be one of: ${REFUND_METHODS.join(', ')}`, 400, 'VALIDATION_ERROR');
+  }
+
+  const sale = await loadSale(tx, saleId, locationId);
+  if (sale.status === 'voided') {
+    throw new AppError('Voided sales cannot be refunded', 409, 'SALE_VOIDED');
+  }
+
+  const saleItems = await tx.query(
+    `SELECT si.*, p.name as product_name, p.unit, COALESCE(u.allows_fraction, false) as allows_fraction
+     FROM sale_items si
+     JOIN products p ON p.id = si.product_id
+     LEFT JOIN units u ON u.code = p.unit
+     WHERE si.sale_id = $1
+     FOR UPDATE OF si`,
+    [saleId]
+  );
+  const pending = await tx.query(
+    `SELECT sri.sale_item_id, SUM(sri.quantity) as quantity, SUM(sri.amount) as amount
+     FROM sale_refund_items sri
+     JOIN sale_refunds r ON r.id = sri.refund_id
+     WHERE r.sale_id = $1 AND r.status = 'pending'
+     GROUP BY sri.sale_item_id`,
+    [saleId]
+  );
+  const reserved = new Map(pending.rows.map((row) => [
+    Number(row.sale_item_id),
+    { quantity: Number(row.quantity), amount: Number(row.amount) },
+  ]));
+
+  const plan = planRefund(saleItems.rows, items, reserved);
+  const wastes = plan.lines.some((line) => line.disposition === 'waste');
+  if (wastes) assertWasteReason(wasteReason || 'damaged');
+
+  const threshold = await getRefundApprovalThreshold(tx, locationId);
+  const needsApproval = user.role === 'cashier' && plan.total_amount > threshold;
+
+  const inserted = await tx.query(
+    `INSERT INTO sale_refunds
+     (sale_id, location_id, status, reason, refund_method, waste_reason, total_amount, requested_by, approved_by, approved_at, shift_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, CASE WHEN $9::int IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END, $10)
+     RETURNING *`,
+    [
+      saleId,
+      locationId,
+      needsApproval ? 'pending' : 'completed',
+      String(reason).trim(),
+      refundMethod,
+      wastes ? wasteReason || 'damaged' : null,
+      plan.total_amount,
+      user.id,
+      needsApproval ? null : user.id,
+      shiftId,
+    ]
+  );
+  const refund = inserted.rows[0];
+
+  for (const line of plan.lines) {
+    await tx.query(
+      `INSERT INTO sale_refund_items (refund_id, sale_item_id, product_id, quantity, unit_price, amount, disposition)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [refund.id, line.sale_item_id, line.product_id, line.quantity, line.unit_price, line.amount, line.disposition]
+    );
+  }
+
+  let updatedSale = sale;
+  if (needsApproval) {
+    await tx.query(
+      `INSERT INTO notifications (user_id, location_id, title, message, notification_type)
+       SELECT id, $1, $2, $3, 'refund_approval'
+       FROM users WHERE is_active = true AND (role = 'admin' OR (role = 'manager' AND location_id = $1))`,
+      [
+        locationId,
+        'Refund awaiting approval',
+        `${user.username || `User ${user.id}`} asked to refund ETB ${plan.total_amount.toFixed(2)} on ${sale.receipt_number}: ${refund.reason}`,
+      ]
+    );
+  } else {
+    updatedSale = await applyRefund(tx, { refund, lines: plan.lines, sale, userId: user.id });
+  }
+
+  await tx.query(
+    `INSERT INTO activity_log (user_id, location_id, activity_type, description, metadata)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [
+      user.id,
+      locationId,
+      needsApproval ? 'sale_refund_requested' : 'sale_refunded',
+      `${needsApproval ? 'Requested refund' : 'Refunded'} ETB ${plan.total_amount.toFixed(2)} on ${sale.receipt_number}`,
+      JSON.stringify({ sale_id: sale.id, refund_id: refund.id, refund_method: refundMethod, threshold, lines: plan.lines }),
+    ]
+  );
+
+  return { refund: { ...refund, items: plan.lines }, sale: updatedSale, needs_approval: needsApproval, approval_threshold: threshold };
+}
+
+async function loadPendingRefund(tx, refundId, locationId) {
+  const refund = await tx.query(
+    'SELECT * FROM sale_refunds WHERE id = $1 AND location_id = $2 FOR UPDATE',
+    [refundId, locationId]
+  );
+  if (!refund.rows.length) {
+    throw new AppError('Refund not found', 404, 'REFUND_NOT_FOUND');
+  }
+  if (refund.rows[0].status !== 'pending') {
+    throw new AppError(`Refund is already ${refund.rows[0].status}`, 409, 'REFUND_NOT_PENDING');
+  }
+  return refund.rows[0];
+}
+
+// The till a pending refund is paid from once approved. The requesting shift
+// may have closed while it waited; the approver's till, then the requester's
+// current one at the branch, take it over.
+async function resolvePayoutShift(tx, { refund, locationId, user }) {
+  if (refund.shift_id) {
+    const original = await tx.query(
+      `SELECT id FROM cashier_shifts WHERE id = $1 AND status = 'open' FOR UPDATE`,
+      [refund.shift_id]
+    );
+    if (original.rows.length) return original.rows[0].id;
+  }
+  const shift = await getOpenShift(tx, user.id, locationId)
+    || await getOpenShift(tx, refund.requested_by, locationId);
+  if (!shift && refund.refund_method === 'cash') {
+    throw new AppError('Open a shift to pay out this cash refund', 409, 'SHIFT_REQUIRED');
+  }
+  return shift?.id || null;
+}
+
+export async function approveRefund(tx, { refundId, locationId, user }) {
+  const pending = await loadPendingRefund(tx, refundId, locationId);
+  const sale = await loadSale(tx, pending.sale_id, locationId);
+  if (sale.status === 'voided') {
+    throw new AppError('The sale was voided after this refund was requested', 409, 'SALE_VOIDED');
+  }
+  const shiftId = await resolvePayoutShift(tx, { refund: pending, locationId, user });
+
+  const approved = await tx.query(
+    `UPDATE sale_refunds SET status = 'completed', approved_by = $1, approved_at = CURRENT_TIMESTAMP, shift_id = $3
+     WHERE id = $2 RETURNING *`,
+    [user.id, refundId, shiftId]
+  );
+  const refund = approved.rows[0];
+  const lines = await loadRefundLines(tx, refundId);
+  const updatedSale = await applyRefund(tx, { refund, lines, sale, userId: user.id });
+
+  await tx.query(
+    `INSERT INTO activity_log (user_id, location_id, activity_type, description, metadata)
+     VALUES ($1, $2, 'sale_refund_approved', $3, $4)`,
+    [
+      user.id,
+      locationId,
+      `Approved refund of ETB ${Number(refund.total_amount).toFixed(2)} on ${sale.receipt_number}`,
+      JSON.stringify({ sale_id: sale.id, refund_id: refund.id, requested_by: refund.requested_by, shift_id: shiftId, requested_shift_id: pending.shift_id }),
+    ]
+  );
+
+  return { refund: { ...refund, items: lines }, sale: updatedSale };
+}
+
+export async function rejectRefund(tx, { refundId, locationId, user, reason = null }) {
+  await loadPendingRefund(tx, refundId, locationId);
+  const rejected = await tx.query(
+    `UPDATE sale_refunds SET status = 'rejected', approved_by = $1, approved_at = CURRENT_TIMESTAMP, rejected_reason = $2
+     WHERE id = $3 RETURNING *`,
+    [user.id, reason, refundId]
+  );
+
+  await tx.query(
+    `INSERT INTO activity_log (user_id, location_id, activity_type, description, metadata)
+     VALUES ($1, $2, 'sale_refund_rejected', $3, $4)`,
+    [
+      user.id,
+      locationId,
+      `Rejected refund #${refundId}`,
+      JSON.stringify({ refund_id: Number(refundId), sale_id: rejected.rows[0].sale_id, reason }),
+    ]
+  );
+
+  return rejected.rows[0];
+}
@@ -0,0 +1,131 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { approveRefund, planRefund, requestRefund } from './refundService.js';
+
+const saleItems = [
+  { id: 11, product_id: 1, product_name: 'Baguette', unit: 'piece', allows_fraction: false, quantity: '3.000', unit_price: '40.00', subtotal: '100.00', discount_amount: '20.00', refunded_quantity: '0', refunded_amount: '0' },
+  { id: 12, product_id: 2, product_name: 'Cookies', unit: 'kg', allows_fraction: true, quantity: '1.500', unit_price: '400.00', subtotal: '600.00', refunded_quantity: '0.500', refunded_amount: '200.00' },
+];
+
+test('planRefund prices partial lines at what was paid and returns the rest of a line exactly', () => {
+  const partial = planRefund(saleItems, [{ sale_item_id: 11, quantity: 1, disposition: 'waste' }]);
+  assert.deepEqual(partial.lines.map((line) => [line.quantity, line.amount, line.disposition]), [[1, 33.33, 'waste']]);
+
+  const rest = planRefund(saleItems, [{ sale_item_id: 11, quantity: 1 }], new Map([[11, { quantity: 2, amount: 66.66 }]]));
+  assert.equal(rest.lines[0].amount, 33.34);
+  assert.equal(rest.lines[0].disposition, 'restock');
+
+  const cookies = planRefund(saleItems, [{ sale_item_id: 12, quantity: 0.25 }]);
+  assert.equal(cookies.total_amount, 100);
+});
+
+test('planRefund refuses more than is left to refund', () => {
+  assert.throws(
+    () => planRefund(saleItems, [{ sale_item_id: 12, quantity: 1.5 }]),
+    (err) => err.code === 'REFUND_EXCEEDS_SOLD' && /Only 1 Cookies/.test(err.message)
+  );
+  assert.throws(() => planRefund(saleItems, [{ sale_item_id: 99, quantity: 1 }]), (err) => err.statusCode === 400);
+  assert.throws(() => planRefund(saleItems, [{ sale_item_id: 11, quantity: 0.5 }]), (err) => err.code === 'FRACTION_NOT_ALLOWED');
+  assert.throws(
+    () => planRefund(saleItems, [{ sale_item_id: 11, quantity: 1 }, { sale_item_id: 11, quantity: 1 }]),
+    (err) => /more than once/.test(err.message)
+  );
+});
+
+function createTx({ threshold = null, status = 'completed', pending = null, openShiftIds = [], openShiftsByCashier = {} } = {}) {
+  const calls = [];
+  return {
+    calls,
+    query: async (sql, params) => {
+      calls.push({ sql, params });
+      if (sql.includes('FROM sale_refunds WHERE id = $1')) return { rows: pending ? [pending] : [] };
+      if (sql.includes('FROM cashier_shifts WHERE id = $1')) return { rows: openShiftIds.includes(params[0]) ? [{ id: params[0] }] : [] };
+      if (sql.includes('FROM cashier_shifts WHERE cashier_id = $1')) {
+        const shiftId = openShiftsByCashier[params[0]];
+        return { rows: shiftId ? [{ id: shiftId, cashier_id: params[0], location_id: params[1] }] : [] };
+      }
+      if (sql.includes("UPDATE sale_refunds SET status = 'completed'")) return { rows: [{ ...pending, status: 'completed', approved_by: params[0], shift_id: params[2] }] };
+      if (sql.includes('FROM sales WHERE id')) return { rows: [{ id: 5, location_id: 1, status, receipt_number: 'RCP-1' }] };
+      if (sql.includes('FROM sale_items si')) return { rows: saleItems };
+      if (sql.includes('FROM sale_refund_items sri')) return { rows: [] };
+      if (sql.includes('FROM alert_rules')) return { rows: threshold === null ? [] : [{ threshold }] };
+      if (sql.includes('INSERT INTO sale_refunds')) return { rows: [{ id: 40, status: params[2], reason: params[3], waste_reason: params[5] }] };
+      if (sql.includes('SELECT name, cost, source FROM products')) return { rows: [{ name: 'Baguette', cost: '12.00', source: 'baked' }] };
+      if (sql.includes('BOOL_AND')) return { rows: [{ refunded_amount: '266.66', fully_refunded: false }] };
+      if (sql.includes('UPDATE sales')) return { rows: [{ id: 5, refunded_amount: params[0], status: 'completed' }] };
+      if (sql.includes('FROM inventory_movements') && sql.includes('SELECT metadata')) return { rows: [] };
+      return { rows: [] };
+    },
+  };
+}
+
+test('cashier refunds above the threshold wait for a manager without moving stock', async () => {
+  const tx = createTx({ threshold: 50 });
+  const result = await requestRefund(tx, {
+    saleId: 5,
+    locationId: 1,
+    items: [{ sale_item_id: 11, quantity: 2 }],
+    reason: 'Stale',
+    refundMethod: 'cash',
+    user: { id: 3, role: 'cashier', username: 'abebe' },
+  });
+
+  assert.equal(result.needs_approval, true);
+  assert.equal(result.refund.status, 'pending');
+  assert.equal(tx.calls.some((call) => call.sql.includes('INSERT INTO inventory_movements')), false);
+  assert.ok(tx.calls.some((call) => call.sql.includes('INSERT INTO notifications')));
+});
+
+test('a waste refund reverses the sale and writes it off without touching the shelf', async () => {
+  const tx = createTx();
+  const result = await requestRefund(tx, {
+    saleId: 5,
+    locationId: 1,
+    items: [{ sale_item_id: 11, quantity: 2, disposition: 'waste' }],
+    reason: 'Customer found it stale',
+    refundMethod: 'cash',
+    wasteReason: 'expired',
+    user: { id: 7, role: 'manager', username: 'sara' },
+  });
+
+  assert.equal(result.needs_approval, false);
+  assert.equal(result.refund.items[0].amount, 66.67);
+  const movements = tx.calls.filter((call) => call.sql.includes('INSERT INTO inventory_movements'));
+  assert.deepEqual(movements.map((call) => call.params[2]), [2, -2]);
+  assert.equal(JSON.parse(movements[1].params[6]).reason, 'expired');
+  assert.equal(tx.calls.some((call) => call.sql.includes('INSERT INTO inventory (')), false);
+});
+
+test('requestRefund rejects voided sales', async () => {
+  await assert.rejects(
+    requestRefund(createTx({ status: 'voided' }), {
+      saleId: 5,
+      locationId: 1,
+      items: [{ sale_item_id: 11, quantity: 1 }],
+      reason: 'Late',
+      refundMethod: 'cash',
+      user: { id: 7, role: 'manager' },
+    }),
+    (err) => err.code === 'SALE_VOIDED'
+  );
+});
+
+test('approving a refund after its shift closed pays it from a till that is still open', async () => {
+  const pending = { id: 40, sale_id: 5, status: 'pending', refund_method: 'cash', total_amount: '80.00', requested_by: 3, shift_id: 2 };
+
+  const stillOpen = await approveRefund(createTx({ pending, openShiftIds: [2] }), { refundId: 40, locationId: 1, user: { id: 7, role: 'manager' } });
+  assert.equal(stillOpen.refund.shift_id, 2);
+
+  const approverTill = await approveRefund(createTx({ pending, openShiftsByCashier: { 7: 9, 3: 4 } }), { refundId: 40, locationId: 1, user: { id: 7, role: 'manager' } });
+  assert.equal(approverTill.refund.shift_id, 9);
+
+  const requesterTill = await approveRefund(createTx({ pending, openShiftsByCashier: { 3: 4 } }), { refundId: 40, locationId: 1, user: { id: 7, role: 'manager' } });
+  assert.equal(requesterTill.refund.shift_id, 4);
+
+  await assert.rejects(
+    approveRefund(createTx({ pending }), { refundId: 40, locationId: 1, user: { id: 7, role: 'manager' } }),
+    (err) => err.code === 'SHIFT_REQUIRED'
+  );
+  const card = await approveRefund(createTx({ pending: { ...pending, refund_method: 'card' } }), { refundId: 40, locationId: 1, user: { id: 7, role: 'manager' } });
+  assert.equal(card.refund.shift_id, null);
+});
@@ -0,0 +1,89 @@
+import { AppError } from '../utils/errors.js';
+
+export const DEFAULT_LOW_STOCK_THRESHOLD = 5;
+
+function toLevel(value) {
+  if (value === null || value === undefined || value === '') return null;
+  return Number(value);
+}
+
+// Par of 0 means "not planned" and is not held against min or max.
+export function assertStockLevelOrder({ product_id: productId, min_quantity, par_quantity, max_quantity }) {
+  const min = toLevel(min_quantity);
+  const par = Number(par_quantity || 0);
+  const max = toLevel(max_quantity);
+
+  if (min !== null && max !== null && min > max) {
+    throw new AppError(`Product ${productId}: min (${min}) cannot exceed max (${max})`, 400, 'VALIDATION_ERROR');
+  }
+  if (par > 0 && min !== null && min > par) {
+    throw new AppError(`Product ${productId}: min (${min}) cannot exceed par (${par})`, 400, 'VALIDATION_ERROR');
+  }
+  if (par > 0 && max !== null && par > max) {
+    throw new AppError(`Product ${productId}: par (${par}) cannot exceed max (${max})`, 400, 'VALIDATION_ERROR');
+  }
+}
+
+// Up to max when set, otherwise par, otherwise min; 0 while stock is at or above min.
+export function suggestReorderQuantity({ quantity, min_quantity, par_quantity, max_quantity }) {
+  const onHand = Math.max(0, Number(quantity || 0));
+  const min = toLevel(min_quantity);
+  if (min === null || onHand >= min) return 0;
+
+  const max = toLevel(max_quantity);
+  const par = Number(par_quantity || 0);
+  const target = max ?? (par > 0 ? par : min);
+  return Math.max(0, Math.ceil(target - onHand));
+}
+
+export function buildReorderSuggestions(rows) {
+  return rows
+    .map((row) => ({
+      product_id: Number(row.product_id),
+      product_name: row.product_name,
+      source: row.source || 'baked',
+      unit: row.unit,
+      on_hand: Number(row.quantity || 0),
+      min_quantity: toLevel(row.min_quantity),
+      par_quantity: Number(row.par_quantity || 0),
+      max_quantity: toLevel(row.max_quantity),
+      unit_cost: Number(row.unit_cost || 0),
+      suggested_quantity: suggestReorderQuantity(row),
+    }))
+    .filter((row) => row.suggested_quantity > 0)
+    .map((row) => ({ ...row, suggested_cost: Number((row.suggested_quantity * row.unit_cost).toFixed(2)) }))
+    .sort((a, b) => (a.on_hand / Math.max(1, a.min_quantity)) - (b.on_hand / Math.max(1, b.min_quantity)) || a.product_name.localeCompare(b.product_name));
+}
+
+export async function getReorderSuggestions(db, { locationId }) {
+  const result = await db.query(
+    `SELECT psl.product_id, p.name as product_name, p.source, p.unit, COALESCE(p.cost, 0) as unit_cost,
+            COALESCE(i.quantity, 0) as quantity, psl.min_quantity, psl.par_quantity, psl.max_quantity
+     FROM product_stock_levels psl
+     JOIN products p ON p.id = psl.product_id AND p.is_active = true
+     LEFT JOIN inventory i ON i.product_id = psl.product_id AND i.location_id = psl.location_id
+     WHERE psl.location_id = $1 AND psl.min_quantity IS NOT NULL`,
+    [locationId]
+  );
+  return buildReorderSuggestions(result.rows);
+}
+
+// Products without a min level fall back to the branch `low_stock` alert rule,
+// so branches without reorder points keep the old behaviour.
+export async function getLowStockThresholds(db, { locationId, productIds }) {
+  const levels = await db.query(
+    `SELECT product_id, min_quantity FROM product_stock_levels
+     WHERE location_id = $1 AND product_id = ANY($2::int[]) AND min_quantity IS NOT NULL`,
+    [locationId, productIds]
+  );
+  const rule = await db.query(
+    `SELECT threshold FROM alert_rules
+     WHERE location_id = $1 AND event_type = 'low_stock' AND enabled = true
+     ORDER BY updated_at DESC LIMIT 1`,
+    [locationId]
+  );
+
+  const fallback = Number(rule.rows[0]?.threshold || DEFAULT_LOW_STOCK_THRESHOLD);
+  const mins = new Map(levels.rows.map((row) => [Number(row.product_id), Number(row.min_quantity)]));
+  return (productId) => (mins.has(Number(productId)) ? mins.get(Number(productId)) : fallback);
+}
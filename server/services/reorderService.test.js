@@ -0,0 +1,44 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  assertStockLevelOrder,
+  buildReorderSuggestions,
+  getLowStockThresholds,
+  suggestReorderQuantity,
+} from './reorderService.js';
+
+test('suggestReorderQuantity orders up to max, then par, then min', () => {
+  assert.equal(suggestReorderQuantity({ quantity: 3, min_quantity: 10, par_quantity: 20, max_quantity: 40 }), 37);
+  assert.equal(suggestReorderQuantity({ quantity: 3, min_quantity: 10, par_quantity: 20, max_quantity: null }), 17);
+  assert.equal(suggestReorderQuantity({ quantity: 3, min_quantity: 10, par_quantity: 0, max_quantity: null }), 7);
+  assert.equal(suggestReorderQuantity({ quantity: 10, min_quantity: 10, par_quantity: 20, max_quantity: 40 }), 0);
+  assert.equal(suggestReorderQuantity({ quantity: 0, min_quantity: null, par_quantity: 20 }), 0);
+});
+
+test('buildReorderSuggestions lists only products below min, with cost', () => {
+  const suggestions = buildReorderSuggestions([
+    { product_id: 1, product_name: 'Baguette', quantity: 12, min_quantity: 30, par_quantity: 60, max_quantity: null, unit_cost: '4.00' },
+    { product_id: 2, product_name: 'Wedding Cake', quantity: 1, min_quantity: 1, par_quantity: 2, max_quantity: 2, unit_cost: 900 },
+    { product_id: 3, product_name: 'Croissant', quantity: 0, min_quantity: 10, par_quantity: 0, max_quantity: 25, unit_cost: 6 },
+  ]);
+  assert.deepEqual(suggestions.map((row) => [row.product_name, row.suggested_quantity]), [['Croissant', 25], ['Baguette', 48]]);
+  assert.equal(suggestions[1].suggested_cost, 192);
+});
+
+test('assertStockLevelOrder rejects min above par or max', () => {
+  assert.doesNotThrow(() => assertStockLevelOrder({ product_id: 1, min_quantity: 5, par_quantity: 10, max_quantity: 20 }));
+  assert.doesNotThrow(() => assertStockLevelOrder({ product_id: 1, min_quantity: 5, par_quantity: 0, max_quantity: null }));
+  assert.throws(() => assertStockLevelOrder({ product_id: 1, min_quantity: 12, par_quantity: 10 }), (err) => err.statusCode === 400);
+  assert.throws(() => assertStockLevelOrder({ product_id: 1, min_quantity: 5, par_quantity: 0, max_quantity: 4 }), (err) => err.statusCode === 400);
+});
+
+test('getLowStockThresholds falls back to the branch rule for products without a min', async () => {
+  const db = {
+    query: async (sql) => (sql.includes('product_stock_levels')
+      ? { rows: [{ product_id: 7, min_quantity: 40 }] }
+      : { rows: [{ threshold: '3' }] }),
+  };
+  const thresholdFor = await getLowStockThresholds(db, { locationId: 1, productIds: [7, 8] });
+  assert.equal(thresholdFor(7), 40);
+  assert.equal(thresholdFor('8'), 3);
+});
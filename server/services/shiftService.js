@@ -0,0 +1,323 @@
+import { AppError } from '../utils/errors.js';
+
+const DEFAULT_OVER_SHORT_ALERT = 50;
+
+export const CASH_MOVEMENT_TYPES = ['drop', 'paid_out', 'paid_in'];
+
+function roundMoney(value) {
+  return Math.round(Number(value || 0) * 100) / 100;
+}
+
+export function expectedCash({ openingFloat = 0, cashSales = 0, cashVoids = 0, cashRefunds = 0, drops = 0, paidOuts = 0, paidIns = 0 }) {
+  return roundMoney(
+    Number(openingFloat) + Number(cashSales) + Number(paidIns)
+      - Number(cashVoids) - Number(cashRefunds) - Number(drops) - Number(paidOuts)
+  );
+}
+
+export async function getOpenShift(db, cashierId, locationId) {
+  const result = await db.query(
+    `SELECT * FROM cashier_shifts WHERE cashier_id = $1 AND location_id = $2 AND status = 'open'`,
+    [cashierId, locationId]
+  );
+  return result.rows[0] || null;
+}
+
+// Cashiers must have a till open at the branch; admins and managers may work without one.
+export async function requireOpenShift(db, user, locationId, cashierId = user.id) {
+  const shift = await getOpenShift(db, cashierId, locationId);
+  if (!shift && user.role === 'cashier') {
+    throw new AppError('Open a shift before taking payments', 409, 'SHIFT_REQUIRED');
+  }
+  return shift;
+}
+
+export async function openShift(tx, { locationId, user, openingFloat }) {
+  // One open shift per cashier across all branches.
+  const existing = (await tx.query(
+    `SELECT id FROM cashier_shifts WHERE cashier_id = $1 AND status = 'open'`,
+    [user.id]
+  )).rows[0];
+  if (existing) {
+    throw new AppError('You already have an open shift', 409, 'SHIFT_ALREADY_OPEN', { shift_id: existing.id });
+  }
+
+  const result = await tx.query(
+    `INSERT INTO cashier_shifts (location_id, cashier_id, opening_float)
+     VALUES ($1, $2, $3)
+     RETURNING *`,
+    [locationId, user.id, roundMoney(openingFloat)]
+  );
+  const shift = result.rows[0];
+
+  await tx.query(
+    `INSERT INTO activity_log (user_id, location_id, activity_type, description, metadata)
+     VALUES ($1, $2, 'shift_opened', $3, $4)`,
+    [user.id, locationId, `Shift opened with float ETB ${roundMoney(openingFloat).toFixed(2)}`, JSON.stringify({ shift_id: shift.id })]
+  );
+  return shift;
+}
+
+export async function loadShift(db, shiftId, locationId) {
+  const result = await db.query(
+    `SELECT cs.*, u.username as cashier_name
+     FROM cashier_shifts cs
+     JOIN users u ON u.id = cs.cashier_id
+     WHERE cs.id = $1 AND cs.location_id = $2`,
+    [shiftId, locationId]
+  );
+  if (!result.rows.length) {
+    throw new AppError('Shift not found', 404, 'SHIFT_NOT_FOUND');
+  }
+  return result.rows[0];
+}
+
+// Sales count in the shift they were rung up in; voids and refunds in the
+// shift that paid the money back.
+export async function buildShiftReport(db, shift) {
+  const sales = await db.query(
+    `SELECT COUNT(*)::int as count,
+            COALESCE(SUM(total_amount), 0) as total,
+            COALESCE(SUM(discount_amount), 0) as discount_amount,
+            COALESCE(SUM(tax_amount), 0) as tax_amount
+     FROM sales WHERE shift_id = $1`,
+    [shift.id]
+  );
+  const tenders = await db.query(
+    `SELECT sp.payment_method, COUNT(DISTINCT sp.sale_id)::int as count, COALESCE(SUM(sp.amount), 0) as amount
+     FROM sale_payments sp
+     JOIN sales s ON s.id = sp.sale_id
+     WHERE s.shift_id = $1
+     GROUP BY sp.payment_method
+     ORDER BY amount DESC`,
+    [shift.id]
+  );
+  const voids = await db.query(
+    `SELECT COUNT(*)::int as count,
+            COALESCE(SUM(s.total_amount), 0) as total,
+            COALESCE(SUM((SELECT SUM(sp.amount) FROM sale_payments sp WHERE sp.sale_id = s.id AND sp.payment_method = 'cash')), 0) as cash_total
+     FROM sales s WHERE s.voided_shift_id = $1`,
+    [shift.id]
+  );
+  const refunds = await db.query(
+    `SELECT COUNT(*) FILTER (WHERE status = 'completed')::int as count,
+            COALESCE(SUM(total_amount) FILTER (WHERE status = 'completed'), 0) as total,
+            COALESCE(SUM(total_amount) FILTER (WHERE status = 'completed' AND refund_method = 'cash'), 0) as cash_total,
+            COUNT(*) FILTER (WHERE status = 'pending')::int as pending_count
+     FROM sale_refunds WHERE shift_id = $1`,
+    [shift.id]
+  );
+
+  const movements = await db.query(
+    `SELECT cm.id, cm.movement_type, cm.amount, cm.reason, cm.reference, cm.expense_id, cm.created_at, u.username as user_name
+     FROM cash_movements cm
+     LEFT JOIN users u ON u.id = cm.user_id
+     WHERE cm.shift_id = $1
+     ORDER BY cm.created_at`,
+    [shift.id]
+  );
+
+  const saleRow = sales.rows[0];
+  const voidRow = voids.rows[0];
+  const refundRow = refunds.rows[0];
+  const tenderRows = tenders.rows.map((row) => ({ payment_method: row.payment_method, count: row.count, amount: Number(row.amount) }));
+  const cash = {
+    opening_float: Number(shift.opening_float),
+    cash_sales: Number(tenderRows.find((row) => row.payment_method === 'cash')?.amount || 0),
+    cash_voids: Number(voidRow.cash_total),
+    cash_refunds: Number(refundRow.cash_total),
+  };
+  const movementRows = movements.rows.map((row) => ({ ...row, amount: Number(row.amount) }));
+  for (const [type, field] of [['drop', 'drops'], ['paid_out', 'paid_outs'], ['paid_in', 'paid_ins']]) {
+    cash[field] = roundMoney(movementRows.filter((row) => row.movement_type === type).reduce((sum, row) => sum + row.amount, 0));
+  }
+
+  return {
+    report_type: shift.status === 'closed' ? 'Z' : 'X',
+    shift: {
+      id: shift.id,
+      location_id: shift.location_id,
+      cashier_id: shift.cashier_id,
+      cashier_name: shift.cashier_name,
+      status: shift.status,
+      opened_at: shift.opened_at,
+      closed_at: shift.closed_at,
+    },
+    sales: {
+      count: saleRow.count,
+      total: Number(saleRow.total),
+      discount_amount: Number(saleRow.discount_amount),
+      tax_amount: Number(saleRow.tax_amount),
+    },
+    tenders: tenderRows,
+    voids: { count: voidRow.count, total: Number(voidRow.total) },
+    refunds: { count: refundRow.count, total: Number(refundRow.total), pending_count: refundRow.pending_count },
+    cash_movements: movementRows,
+    cash: {
+      ...cash,
+      expected_cash: expectedCash({
+        openingFloat: cash.opening_float,
+        cashSales: cash.cash_sales,
+        cashVoids: cash.cash_voids,
+        cashRefunds: cash.cash_refunds,
+        drops: cash.drops,
+        paidOuts: cash.paid_outs,
+        paidIns: cash.paid_ins,
+      }),
+    },
+    generated_at: new Date().toISOString(),
+  };
+}
+
+async function getOverShortAlert(db, locationId) {
+  const result = await db.query(
+    `SELECT threshold FROM alert_rules
+     WHERE location_id = $1 AND event_type = 'cash_over_short' AND enabled = true
+     ORDER BY updated_at DESC LIMIT 1`,
+    [locationId]
+  );
+  return result.rows.length ? Number(result.rows[0].threshold) : DEFAULT_OVER_SHORT_ALERT;
+}
+
+// Managers are alerted when the drawer is off by more than the branch's
+// `cash_over_short` rule (default 50 ETB).
+export async function closeShift(tx, { shiftId, locationId, user, countedCash, note = null }) {
+  const locked = await tx.query('SELECT id FROM cashier_shifts WHERE id = $1 FOR UPDATE', [shiftId]);
+  if (!locked.rows.length) {
+    throw new AppError('Shift not found', 404, 'SHIFT_NOT_FOUND');
+  }
+  const shift = await loadShift(tx, shiftId, locationId);
+  if (user.role === 'cashier' && Number(shift.cashier_id) !== Number(user.id)) {
+    throw new AppError('You can only close your own shift', 403, 'FORBIDDEN');
+  }
+  if (shift.status !== 'open') {
+    throw new AppError('Shift is already closed', 409, 'SHIFT_CLOSED');
+  }
+
+  const report = await buildShiftReport(tx, shift);
+  const counted = roundMoney(countedCash);
+  const overShort = roundMoney(counted - report.cash.expected_cash);
+  const closedAt = new Date();
+  const zReport = {
+    ...report,
+    report_type: 'Z',
+    shift: { ...report.shift, status: 'closed', closed_at: closedAt.toISOString() },
+    cash: { ...report.cash, counted_cash: counted, over_short: overShort },
+    closing_note: note,
+    closed_by: user.id,
+  };
+
+  const result = await tx.query(
+    `UPDATE cashier_shifts
+     SET status = 'closed', closed_at = $1, closed_by = $2, expected_cash = $3, counted_cash = $4,
+         over_short = $5, closing_note = $6, z_report = $7
+     WHERE id = $8
+     RETURNING *`,
+    [closedAt, user.id, report.cash.expected_cash, counted, overShort, note, JSON.stringify(zReport), shiftId]
+  );
+
+  await tx.query(
+    `INSERT INTO activity_log (user_id, location_id, activity_type, description, metadata)
+     VALUES ($1, $2, 'shift_closed', $3, $4)`,
+    [
+      user.id,
+      locationId,
+      `Shift ${shiftId} closed: expected ETB ${report.cash.expected_cash.toFixed(2)}, counted ETB ${counted.toFixed(2)}`,
+      JSON.stringify({ shift_id: Number(shiftId), cashier_id: shift.cashier_id, over_short: overShort }),
+    ]
+  );
+
+  const alertAt = await getOverShortAlert(tx, locationId);
+  if (alertAt > 0 && Math.abs(overShort) >= alertAt) {
+    await tx.query(
+      `INSERT INTO notifications (user_id, location_id, title, message, notification_type)
+       SELECT id, $1, $2, $3, 'cash_over_short'
+       FROM users WHERE is_active = true AND (role = 'admin' OR (role = 'manager' AND location_id = $1))`,
+      [
+        locationId,
+        overShort < 0 ? 'Till short' : 'Till over',
+        `${shift.cashier_name}'s shift ${shiftId} closed ETB ${Math.abs(overShort).toFixed(2)} ${overShort < 0 ? 'short' : 'over'}.`,
+      ]
+    );
+  }
+
+  return { shift: result.rows[0], z_report: zReport };
+}
+
+// Managers and admins may name any open shift of the branch. Drops and
+// paid-outs cannot take more than the drawer should hold.
+export async function recordCashMovement(tx, {
+  locationId,
+  user,
+  shiftId = null,
+  movementType,
+  amount,
+  reason,
+  reference = null,
+  createExpense = false,
+  expenseCategory = 'petty_cash',
+}) {
+  if (!CASH_MOVEMENT_TYPES.includes(movementType)) {
+    throw new AppError(`movement_type must be one of: ${CASH_MOVEMENT_TYPES.join(', ')}`, 400, 'VALIDATION_ERROR');
+  }
+  if (!reason || !String(reason).trim()) {
+    throw new AppError('A reason is required for cash movements', 400, 'VALIDATION_ERROR');
+  }
+  if (createExpense && movementType !== 'paid_out') {
+    throw new AppError('Only paid-outs can create an expense', 400, 'VALIDATION_ERROR');
+  }
+
+  const own = shiftId ? null : await getOpenShift(tx, user.id, locationId);
+  const targetShiftId = shiftId || own?.id;
+  if (!targetShiftId) {
+    throw new AppError('Open a shift before moving cash', 409, 'SHIFT_REQUIRED');
+  }
+  await tx.query('SELECT id FROM cashier_shifts WHERE id = $1 FOR UPDATE', [targetShiftId]);
+  const shift = await loadShift(tx, targetShiftId, locationId);
+  if (user.role === 'cashier' && Number(shift.cashier_id) !== Number(user.id)) {
+    throw new AppError('You can only move cash in your own shift', 403, 'FORBIDDEN');
+  }
+  if (shift.status !== 'open') {
+    throw new AppError('Shift is already closed', 409, 'SHIFT_CLOSED');
+  }
+
+  const value = roundMoney(amount);
+  if (movementType !== 'paid_in') {
+    const { cash } = await buildShiftReport(tx, shift);
+    if (value > cash.expected_cash) {
+      throw new AppError('The drawer should not hold that much cash', 409, 'CASH_EXCEEDS_DRAWER', { expected_cash: cash.expected_cash });
+    }
+  }
+
+  let expense = null;
+  if (createExpense) {
+    const expenseResult = await tx.query(
+      `INSERT INTO expenses (location_id, category, description, amount, expense_date, created_by)
+       VALUES ($1, $2, $3, $4, CURRENT_DATE, $5)
+       RETURNING *`,
+      [locationId, expenseCategory, `Paid out from shift #${shift.id}: ${String(reason).trim()}`, value, user.id]
+    );
+    expense = expenseResult.rows[0];
+  }
+
+  const result = await tx.query(
+    `INSERT INTO cash_movements (location_id, shift_id, user_id, movement_type, amount, reason, reference, expense_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [locationId, shift.id, user.id, movementType, value, String(reason).trim(), reference, expense?.id || null]
+  );
+  const movement = result.rows[0];
+
+  await tx.query(
+    `INSERT INTO activity_log (user_id, location_id, activity_type, description, metadata)
+     VALUES ($1, $2, 'cash_movement', $3, $4)`,
+    [
+      user.id,
+      locationId,
+      `${movementType.replace('_', '-')} of ETB ${value.toFixed(2)} on shift #${shift.id}: ${movement.reason}`,
+      JSON.stringify({ cash_movement_id: movement.id, shift_id: shift.id, expense_id: movement.expense_id }),
+    ]
+  );
+
+  return { ...movement, expense };
+}
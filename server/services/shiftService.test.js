@@ -0,0 +1,104 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { closeShift, expectedCash, openShift, recordCashMovement, requireOpenShift } from './shiftService.js';
+
+const openShiftRow = { id: 3, location_id: 1, cashier_id: 7, cashier_name: 'sara', status: 'open', opening_float: '500.00', opened_at: '2026-10-19T06:00:00Z' };
+
+function createTx({ shift = openShiftRow, alertThreshold = null, movements = [] } = {}) {
+  const calls = [];
+  return {
+    calls,
+    query: async (sql, params) => {
+      calls.push({ sql, params });
+      if (sql.includes('FOR UPDATE')) return { rows: shift ? [{ id: shift.id }] : [] };
+      if (sql.includes('FROM cashier_shifts cs')) return { rows: shift ? [shift] : [] };
+      if (sql.includes("status = 'open'")) return { rows: shift ? [shift] : [] };
+      if (sql.includes('FROM sales WHERE shift_id')) return { rows: [{ count: 12, total: '1840.00', discount_amount: '20.00', tax_amount: '240.00' }] };
+      if (sql.includes('voided_shift_id')) return { rows: [{ count: 1, total: '90.00', cash_total: '90.00' }] };
+      if (sql.includes('FROM sale_payments sp')) {
+        return { rows: [{ payment_method: 'cash', count: 9, amount: '1240.00' }, { payment_method: 'mobile', count: 4, amount: '600.00' }] };
+      }
+      if (sql.includes('FROM sale_refunds')) return { rows: [{ count: 1, total: '45.00', cash_total: '45.00', pending_count: 0 }] };
+      if (sql.includes('FROM cash_movements cm')) return { rows: movements };
+      if (sql.includes('INSERT INTO expenses')) return { rows: [{ id: 41, amount: params[3] }] };
+      if (sql.includes('INSERT INTO cash_movements')) return { rows: [{ id: 9, shift_id: params[1], movement_type: params[3], amount: params[4], reason: params[5], expense_id: params[7] }] };
+      if (sql.includes('FROM alert_rules')) return { rows: alertThreshold === null ? [] : [{ threshold: alertThreshold }] };
+      if (sql.includes('UPDATE cashier_shifts')) return { rows: [{ ...shift, status: 'closed', over_short: params[4] }] };
+      return { rows: [] };
+    },
+  };
+}
+
+test('expectedCash adds cash taken to the float and takes off voids and refunds', () => {
+  assert.equal(expectedCash({ openingFloat: 500, cashSales: 1240, cashVoids: 90, cashRefunds: 45 }), 1605);
+  assert.equal(expectedCash({ openingFloat: '200.10', cashSales: '0.20' }), 200.3);
+  assert.equal(expectedCash({ openingFloat: 500, cashSales: 1240, drops: 1000, paidOuts: 35.5, paidIns: 100 }), 804.5);
+});
+
+test('cashiers need an open shift and cannot open a second one', async () => {
+  await assert.rejects(
+    () => requireOpenShift(createTx({ shift: null }), { id: 7, role: 'cashier' }, 2),
+    (err) => err.code === 'SHIFT_REQUIRED'
+  );
+  assert.equal(await requireOpenShift(createTx({ shift: null }), { id: 2, role: 'manager' }, 2), null);
+  const lookup = createTx();
+  await requireOpenShift(lookup, { id: 7, role: 'cashier' }, 1);
+  assert.ok(lookup.calls[0].sql.includes('location_id = $2'));
+  assert.deepEqual(lookup.calls[0].params, [7, 1]);
+  await assert.rejects(
+    () => openShift(createTx(), { locationId: 1, user: { id: 7, role: 'cashier' }, openingFloat: 300 }),
+    (err) => err.code === 'SHIFT_ALREADY_OPEN' && err.details.shift_id === 3
+  );
+});
+
+test('closeShift freezes a Z report with expected vs counted cash and alerts on a short drawer', async () => {
+  const tx = createTx();
+  const result = await closeShift(tx, { shiftId: 3, locationId: 1, user: { id: 7, role: 'cashier' }, countedCash: 1540, note: 'busy' });
+
+  assert.equal(result.z_report.report_type, 'Z');
+  assert.equal(result.z_report.cash.expected_cash, 1605);
+  assert.equal(result.z_report.cash.over_short, -65);
+  assert.deepEqual(result.z_report.tenders.map((row) => row.amount), [1240, 600]);
+  assert.ok(tx.calls.some((call) => call.sql.includes('INSERT INTO notifications') && call.params[1] === 'Till short'));
+
+  await assert.rejects(
+    () => closeShift(createTx(), { shiftId: 3, locationId: 1, user: { id: 8, role: 'cashier' }, countedCash: 0 }),
+    (err) => err.statusCode === 403
+  );
+  await assert.rejects(
+    () => closeShift(createTx({ shift: { ...openShiftRow, status: 'closed' } }), { shiftId: 3, locationId: 1, user: { id: 1, role: 'admin' }, countedCash: 0 }),
+    (err) => err.code === 'SHIFT_CLOSED'
+  );
+});
+
+test('cash movements come off the drawer and a paid-out can book an expense', async () => {
+  const tx = createTx({ movements: [{ id: 8, movement_type: 'drop', amount: '1000.00' }] });
+  const movement = await recordCashMovement(tx, {
+    locationId: 1,
+    user: { id: 7, role: 'cashier' },
+    movementType: 'paid_out',
+    amount: 35.5,
+    reason: ' milk from the corner shop ',
+    createExpense: true,
+  });
+
+  assert.equal(movement.expense_id, 41);
+  assert.equal(movement.reason, 'milk from the corner shop');
+  const expense = tx.calls.find((call) => call.sql.includes('INSERT INTO expenses'));
+  assert.deepEqual(expense.params.slice(0, 2), [1, 'petty_cash']);
+
+  await assert.rejects(
+    () => recordCashMovement(createTx({ movements: [{ id: 8, movement_type: 'drop', amount: '1000.00' }] }), {
+      locationId: 1, user: { id: 7, role: 'cashier' }, movementType: 'drop', amount: 700, reason: 'safe',
+    }),
+    (err) => err.code === 'CASH_EXCEEDS_DRAWER' && err.details.expected_cash === 605
+  );
+  await assert.rejects(
+    () => recordCashMovement(createTx(), { locationId: 1, user: { id: 7, role: 'cashier' }, movementType: 'paid_in', amount: 50, reason: 'change', createExpense: true }),
+    (err) => err.code === 'VALIDATION_ERROR'
+  );
+  await assert.rejects(
+    () => recordCashMovement(createTx({ shift: null }), { locationId: 1, user: { id: 2, role: 'manager' }, movementType: 'drop', amount: 50, reason: 'safe' }),
+    (err) => err.code === 'SHIFT_REQUIRED'
+  );
+});
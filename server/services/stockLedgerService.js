@@ -0,0 +1,190 @@
+import { AppError } from '../utils/errors.js';
+
+export const MOVEMENT_TYPES = [
+  'batch_in',
+  'sale_out',
+  'manual_adjustment',
+  'ingredient_consumption',
+  'ingredient_adjustment',
+  'purchase_in',
+  'waste',
+  'day_close',
+  'transfer_out',
+  'transfer_in',
+  'stocktake',
+];
+
+const LEDGER_COLUMNS = `id, location_id, product_id, ingredient_id, movement_type, quantity_change, source,
+  reference_type, reference_id, created_by, metadata, cost_value, created_at`;
+
+// Live and archived rows together, so history survives the archive job.
+export const LEDGER_SOURCE = `(
+  SELECT ${LEDGER_COLUMNS}, false as archived FROM inventory_movements
+  UNION ALL
+  SELECT ${LEDGER_COLUMNS}, true as archived FROM inventory_movements_archive
+)`;
+
+function isValidDateFilter(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(value || ''));
+}
+
+function roundQuantity(value) {
+  return Math.round(Number(value || 0) * 1000) / 1000;
+}
+
+function positiveInt(value, name) {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed <= 0) {
+    throw new AppError(`${name} must be a positive integer`, 400, 'VALIDATION_ERROR');
+  }
+  return parsed;
+}
+
+// `movement_type` accepts a comma-separated list.
+export function parseMovementFilters(source = {}) {
+  const filters = {};
+
+  if (source.product_id) filters.productId = positiveInt(source.product_id, 'product_id');
+  if (source.user_id) filters.userId = positiveInt(source.user_id, 'user_id');
+  if (source.reference_id) filters.referenceId = positiveInt(source.reference_id, 'reference_id');
+  if (source.reference_type) filters.referenceType = String(source.reference_type);
+
+  if (source.movement_type) {
+    const types = String(source.movement_type).split(',').map((type) => type.trim()).filter(Boolean);
+    const unknown = types.filter((type) => !MOVEMENT_TYPES.includes(type));
+    if (unknown.length) {
+      throw new AppError(`Unknown movement_type: ${unknown.join(', ')}`, 400, 'VALIDATION_ERROR');
+    }
+    filters.movementTypes = types;
+  }
+
+  for (const [key, name] of [['start_date', 'startDate'], ['end_date', 'endDate']]) {
+    if (!source[key]) continue;
+    if (!isValidDateFilter(source[key])) {
+      throw new AppError(`${key} must be YYYY-MM-DD`, 400, 'VALIDATION_ERROR');
+    }
+    filters[name] = source[key];
+  }
+
+  if (filters.startDate && filters.endDate && filters.startDate > filters.endDate) {
+    throw new AppError('start_date must be on or before end_date', 400, 'VALIDATION_ERROR');
+  }
+
+  return filters;
+}
+
+// Manual stock edits store the new absolute quantity, so they reset the balance.
+export function applyMovement(balance, movement) {
+  const absolute = movement.movement_type === 'manual_adjustment' ? movement.metadata?.absolute_quantity : undefined;
+  if (absolute !== undefined && absolute !== null) {
+    const next = roundQuantity(absolute);
+    return { change: roundQuantity(next - balance), balance: next };
+  }
+  const change = roundQuantity(movement.quantity_change);
+  return { change, balance: roundQuantity(balance + change) };
+}
+
+export function buildStockCard(movements, { startDate = null } = {}) {
+  let balance = 0;
+  let openingBalance = 0;
+  let received = 0;
+  let issued = 0;
+  const lines = [];
+
+  for (const movement of movements) {
+    const inPeriod = !startDate || String(movement.movement_date) >= startDate;
+    if (!inPeriod) {
+      balance = applyMovement(balance, movement).balance;
+      openingBalance = balance;
+      continue;
+    }
+
+    const applied = applyMovement(balance, movement);
+    balance = applied.balance;
+    if (applied.change > 0) received = roundQuantity(received + applied.change);
+    if (applied.change < 0) issued = roundQuantity(issued - applied.change);
+    lines.push({ ...movement, change: applied.change, balance });
+  }
+
+  return {
+    opening_balance: openingBalance,
+    lines,
+    totals: { received, issued, net: roundQuantity(received - issued) },
+    closing_balance: balance,
+  };
+}
+
+export async function listMovements(db, { locationId, filters = {}, limit = 100, offset = 0 }) {
+  const params = [locationId];
+  let where = 'm.location_id = $1';
+
+  const add = (clause, value) => {
+    params.push(value);
+    where += ` AND ${clause.replace('?', `$${params.length}`)}`;
+  };
+
+  if (filters.productId) add('m.product_id = ?', filters.productId);
+  if (filters.movementTypes?.length) add('m.movement_type = ANY(?::text[])', filters.movementTypes);
+  if (filters.startDate) add('DATE(m.created_at) >= ?', filters.startDate);
+  if (filters.endDate) add('DATE(m.created_at) <= ?', filters.endDate);
+  if (filters.userId) add('m.created_by = ?', filters.userId);
+  if (filters.referenceType) add('m.reference_type = ?', filters.referenceType);
+  if (filters.referenceId) add('m.reference_id = ?', filters.referenceId);
+
+  params.push(limit + 1, offset);
+  const result = await db.query(
+    `SELECT m.*, p.name as product_name, ing.name as ingredient_name, u.username as created_by_name
+     FROM ${LEDGER_SOURCE} m
+     LEFT JOIN products p ON p.id = m.product_id
+     LEFT JOIN ingredients ing ON ing.id = m.ingredient_id
+     LEFT JOIN users u ON u.id = m.created_by
+     WHERE ${where}
+     ORDER BY m.created_at DESC, m.id DESC
+     LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+
+  return {
+    movements: result.rows.slice(0, limit),
+    limit,
+    offset,
+    has_more: result.rows.length > limit,
+  };
+}
+
+// Replayed from zero so the opening balance survives manual resets. A non-zero
+// `unexplained_difference` means stock changed without a ledger row.
+export async function getStockCard(db, { locationId, productId, startDate = null, endDate = null }) {
+  const product = await db.query(
+    `SELECT p.id, p.name, p.unit, COALESCE(i.quantity, 0) as on_hand
+     FROM products p
+     LEFT JOIN inventory i ON i.product_id = p.id AND i.location_id = $2
+     WHERE p.id = $1`,
+    [productId, locationId]
+  );
+  if (!product.rows.length) {
+    throw new AppError('Product not found', 404, 'PRODUCT_NOT_FOUND');
+  }
+
+  const movements = await db.query(
+    `SELECT m.*, TO_CHAR(m.created_at, 'YYYY-MM-DD') as movement_date, u.username as created_by_name
+     FROM ${LEDGER_SOURCE} m
+     LEFT JOIN users u ON u.id = m.created_by
+     WHERE m.location_id = $1 AND m.product_id = $2
+       AND ($3::date IS NULL OR DATE(m.created_at) <= $3::date)
+     ORDER BY m.created_at, m.id`,
+    [locationId, productId, endDate]
+  );
+
+  const card = buildStockCard(movements.rows, { startDate });
+  const onHand = Number(product.rows[0].on_hand);
+
+  return {
+    product: { id: product.rows[0].id, name: product.rows[0].name, unit: product.rows[0].unit },
+    start_date: startDate,
+    end_date: endDate,
+    ...card,
+    current_quantity: onHand,
+    unexplained_difference: endDate ? null : roundQuantity(onHand - card.closing_balance),
+  };
+}
@@ -0,0 +1,56 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { applyMovement, buildStockCard, listMovements, parseMovementFilters } from './stockLedgerService.js';
+
+test('parseMovementFilters validates types, ids and dates', () => {
+  assert.deepEqual(
+    parseMovementFilters({ product_id: '4', movement_type: 'sale_out, waste', start_date: '2026-03-01', reference_type: 'sale' }),
+    { productId: 4, referenceType: 'sale', movementTypes: ['sale_out', 'waste'], startDate: '2026-03-01' }
+  );
+  assert.throws(() => parseMovementFilters({ movement_type: 'theft' }), (err) => err.statusCode === 400);
+  assert.throws(() => parseMovementFilters({ user_id: 'abc' }), (err) => err.statusCode === 400);
+  assert.throws(() => parseMovementFilters({ start_date: '2026-03-05', end_date: '2026-03-01' }), (err) => err.statusCode === 400);
+});
+
+test('applyMovement resets the balance on absolute manual edits', () => {
+  assert.deepEqual(applyMovement(10, { movement_type: 'sale_out', quantity_change: '-3' }), { change: -3, balance: 7 });
+  assert.deepEqual(
+    applyMovement(7, { movement_type: 'manual_adjustment', quantity_change: 4, metadata: { absolute_quantity: 4 } }),
+    { change: -3, balance: 4 }
+  );
+  assert.deepEqual(
+    applyMovement(7, { movement_type: 'manual_adjustment', quantity_change: -7, metadata: { deleted_inventory_row: true } }),
+    { change: -7, balance: 0 }
+  );
+});
+
+test('buildStockCard carries the opening balance and runs the period', () => {
+  const card = buildStockCard([
+    { id: 1, movement_date: '2026-02-27', movement_type: 'batch_in', quantity_change: 20 },
+    { id: 2, movement_date: '2026-02-28', movement_type: 'sale_out', quantity_change: -5 },
+    { id: 3, movement_date: '2026-03-01', movement_type: 'batch_in', quantity_change: 10 },
+    { id: 4, movement_date: '2026-03-01', movement_type: 'waste', quantity_change: -2 },
+    { id: 5, movement_date: '2026-03-02', movement_type: 'manual_adjustment', quantity_change: 20, metadata: { absolute_quantity: 20 } },
+  ], { startDate: '2026-03-01' });
+
+  assert.equal(card.opening_balance, 15);
+  assert.deepEqual(card.lines.map((line) => [line.id, line.change, line.balance]), [[3, 10, 25], [4, -2, 23], [5, -3, 20]]);
+  assert.deepEqual(card.totals, { received: 10, issued: 5, net: 5 });
+  assert.equal(card.closing_balance, 20);
+});
+
+test('listMovements pages with a look-ahead row', async () => {
+  let captured;
+  const db = {
+    query: async (sql, params) => {
+      captured = { sql, params };
+      return { rows: [{ id: 3 }, { id: 2 }, { id: 1 }] };
+    },
+  };
+
+  const result = await listMovements(db, { locationId: 1, filters: { productId: 4, movementTypes: ['waste'] }, limit: 2, offset: 0 });
+  assert.deepEqual(result.movements.map((row) => row.id), [3, 2]);
+  assert.equal(result.has_more, true);
+  assert.deepEqual(captured.params, [1, 4, ['waste'], 3, 0]);
+  assert.match(captured.sql, /inventory_movements_archive/);
+});
@@ -0,0 +1,220 @@
+import { AppError } from '../utils/errors.js';
+import { trimLotsToStock } from './lotService.js';
+import { normalizeProductQuantities, roundQuantity } from './unitService.js';
+
+export const STOCKTAKE_STATUSES = ['open', 'posted', 'cancelled'];
+
+function assertOpen(stocktake) {
+  if (stocktake.status !== 'open') {
+    throw new AppError(`Stocktake #${stocktake.id} is already ${stocktake.status}`, 409, 'STOCKTAKE_NOT_OPEN');
+  }
+}
+
+// Expected is the live quantity while a count is open, so sales during the
+// count are already reflected.
+export function summarizeStocktakeVariance(lines) {
+  const reviewed = lines.map((line) => {
+    const expected = Number(line.expected_quantity || 0);
+    const counted = Number(line.counted_quantity);
+    const unitCost = Number(line.unit_cost || 0);
+    const variance = roundQuantity(counted - expected);
+    return {
+      ...line,
+      expected_quantity: expected,
+      counted_quantity: counted,
+      unit_cost: unitCost,
+      variance_quantity: variance,
+      variance_value: Number((variance * unitCost).toFixed(2)),
+    };
+  });
+
+  const totals = reviewed.reduce((acc, line) => ({
+    lines_counted: acc.lines_counted + 1,
+    lines_with_variance: acc.lines_with_variance + (line.variance_quantity !== 0 ? 1 : 0),
+    variance_quantity: roundQuantity(acc.variance_quantity + line.variance_quantity),
+    variance_value: acc.variance_value + line.variance_value,
+    shrinkage_value: acc.shrinkage_value + Math.max(0, -line.variance_value),
+  }), { lines_counted: 0, lines_with_variance: 0, variance_quantity: 0, variance_value: 0, shrinkage_value: 0 });
+
+  return {
+    lines: reviewed,
+    totals: {
+      ...totals,
+      variance_value: Number(totals.variance_value.toFixed(2)),
+      shrinkage_value: Number(totals.shrinkage_value.toFixed(2)),
+    },
+  };
+}
+
+export async function openStocktake(tx, { locationId, userId, notes = null }) {
+  const existing = await tx.query(
+    `SELECT id FROM stocktakes WHERE location_id = $1 AND status = 'open'`,
+    [locationId]
+  );
+  if (existing.rows.length) {
+    throw new AppError(`Stocktake #${existing.rows[0].id} is still open for this branch`, 409, 'STOCKTAKE_ALREADY_OPEN');
+  }
+
+  const result = await tx.query(
+    `INSERT INTO stocktakes (location_id, notes, opened_by)
+     VALUES ($1, $2, $3)
+     RETURNING *`,
+    [locationId, notes, userId]
+  );
+  return result.rows[0];
+}
+
+// A product counted twice keeps the latest count.
+export async function recordStocktakeCounts(tx, { stocktake, counts, userId }) {
+  assertOpen(stocktake);
+
+  const lines = await normalizeProductQuantities(tx, counts, { field: 'counted_quantity', allowZero: true });
+
+  const saved = [];
+  for (const count of lines) {
+    const result = await tx.query(
+      `INSERT INTO stocktake_lines (stocktake_id, product_id, counted_quantity, notes, counted_by, counted_at)
+       VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
+       ON CONFLICT (stocktake_id, product_id)
+       DO UPDATE SET counted_quantity = $3, notes = COALESCE($4, stocktake_lines.notes),
+                     counted_by = $5, counted_at = CURRENT_TIMESTAMP
+       RETURNING *`,
+      [stocktake.id, count.product_id, Number(count.counted_quantity), count.notes || null, userId]
+    );
+    saved.push(result.rows[0]);
+  }
+  return saved;
+}
+
+export async function getStocktakeLines(db, stocktake) {
+  if (stocktake.status !== 'open') {
+    const stored = await db.query(
+      `SELECT sl.*, p.name as product_name, p.unit, u.username as counted_by_name
+       FROM stocktake_lines sl
+       JOIN products p ON p.id = sl.product_id
+       LEFT JOIN users u ON u.id = sl.counted_by
+       WHERE sl.stocktake_id = $1
+       ORDER BY p.name`,
+      [stocktake.id]
+    );
+    return summarizeStocktakeVariance(stored.rows);
+  }
+
+  const live = await db.query(
+    `SELECT sl.*, p.name as product_name, p.unit, u.username as counted_by_name,
+            COALESCE(i.quantity, 0) as expected_quantity, COALESCE(p.cost, 0) as unit_cost
+     FROM stocktake_lines sl
+     JOIN products p ON p.id = sl.product_id
+     LEFT JOIN inventory i ON i.product_id = sl.product_id AND i.location_id = $2
+     LEFT JOIN users u ON u.id = sl.counted_by
+     WHERE sl.stocktake_id = $1
+     ORDER BY p.name`,
+    [stocktake.id, stocktake.location_id]
+  );
+  return summarizeStocktakeVariance(live.rows);
+}
+
+// Uncounted products are left alone, so a partial cycle count is as valid as
+// a full one.
+export async function postStocktake(tx, { stocktake, userId }) {
+  assertOpen(stocktake);
+
+  await tx.query(
+    `SELECT i.id FROM inventory i
+     JOIN stocktake_lines sl ON sl.product_id = i.product_id
+     WHERE sl.stocktake_id = $1 AND i.location_id = $2
+     FOR UPDATE OF i`,
+    [stocktake.id, stocktake.location_id]
+  );
+
+  const counted = await tx.query(
+    `SELECT sl.*, p.name as product_name, COALESCE(p.cost, 0) as unit_cost, COALESCE(p.source, 'baked') as source,
+            COALESCE(i.quantity, 0) as expected_quantity
+     FROM stocktake_lines sl
+     JOIN products p ON p.id = sl.product_id
+     LEFT JOIN inventory i ON i.product_id = sl.product_id AND i.location_id = $2
+     WHERE sl.stocktake_id = $1
+     ORDER BY sl.id
+     FOR UPDATE OF sl`,
+    [stocktake.id, stocktake.location_id]
+  );
+  if (!counted.rows.length) {
+    throw new AppError('Enter at least one count before posting', 400, 'STOCKTAKE_EMPTY');
+  }
+
+  const review = summarizeStocktakeVariance(counted.rows);
+
+  for (const line of review.lines) {
+    let movementId = null;
+    if (line.variance_quantity !== 0) {
+      await tx.query(
+        `INSERT INTO inventory (product_id, location_id, quantity, source, last_updated)
+         VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+         ON CONFLICT (product_id, location_id)
+         DO UPDATE SET quantity = $3, last_updated = CURRENT_TIMESTAMP`,
+        [line.product_id, stocktake.location_id, line.counted_quantity, line.source]
+      );
+      await trimLotsToStock(tx, { locationId: stocktake.location_id, productId: line.product_id });
+      const movement = await tx.query(
+        `INSERT INTO inventory_movements
+         (location_id, product_id, movement_type, quantity_change, source, reference_type, reference_id, created_by, metadata, cost_value)
+         VALUES ($1, $2, 'stocktake', $3, $4, 'stocktake', $5, $6, $7, $8)
+         RETURNING id`,
+        [
+          stocktake.location_id,
+          line.product_id,
+          line.variance_quantity,
+          line.source,
+          stocktake.id,
+          userId,
+          JSON.stringify({
+            expected_quantity: line.expected_quantity,
+            counted_quantity: line.counted_quantity,
+            unit_cost: line.unit_cost,
+          }),
+          line.variance_value,
+        ]
+      );
+      movementId = movement.rows[0].id;
+    }
+
+    await tx.query(
+      `UPDATE stocktake_lines
+       SET expected_quantity = $1, variance_quantity = $2, unit_cost = $3, variance_value = $4, movement_id = $5
+       WHERE id = $6`,
+      [line.expected_quantity, line.variance_quantity, line.unit_cost, line.variance_value, movementId, line.id]
+    );
+  }
+
+  const { totals } = review;
+  const posted = await tx.query(
+    `UPDATE stocktakes
+     SET status = 'posted', closed_by = $1, closed_at = CURRENT_TIMESTAMP,
+         lines_counted = $2, lines_with_variance = $3, variance_quantity = $4,
+         variance_value = $5, shrinkage_value = $6
+     WHERE id = $7
+     RETURNING *`,
+    [
+      userId,
+      totals.lines_counted,
+      totals.lines_with_variance,
+      totals.variance_quantity,
+      totals.variance_value,
+      totals.shrinkage_value,
+      stocktake.id,
+    ]
+  );
+
+  return { stocktake: posted.rows[0], lines: review.lines, totals };
+}
+
+export async function cancelStocktake(tx, { stocktake, userId }) {
+  assertOpen(stocktake);
+  const result = await tx.query(
+    `UPDATE stocktakes SET status = 'cancelled', closed_by = $1, closed_at = CURRENT_TIMESTAMP
+     WHERE id = $2
+     RETURNING *`,
+    [userId, stocktake.id]
+  );
+  return result.rows[0];
+}
@@ -0,0 +1,63 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { postStocktake, recordStocktakeCounts, summarizeStocktakeVariance } from './stocktakeService.js';
+
+test('summarizeStocktakeVariance values each variance and totals shrinkage', () => {
+  const review = summarizeStocktakeVariance([
+    { product_id: 1, expected_quantity: 20, counted_quantity: 17, unit_cost: 4 },
+    { product_id: 2, expected_quantity: '5', counted_quantity: 6, unit_cost: '30.00' },
+    { product_id: 3, expected_quantity: 9, counted_quantity: 9, unit_cost: 12 },
+  ]);
+  assert.deepEqual(review.lines.map((line) => line.variance_quantity), [-3, 1, 0]);
+  assert.deepEqual(review.totals, {
+    lines_counted: 3,
+    lines_with_variance: 2,
+    variance_quantity: -2,
+    variance_value: 18,
+    shrinkage_value: 12,
+  });
+});
+
+test('recordStocktakeCounts rejects products that do not exist', async () => {
+  const tx = { query: async () => ({ rows: [{ id: 1 }] }) };
+  await assert.rejects(
+    () => recordStocktakeCounts(tx, {
+      stocktake: { id: 4, status: 'open' },
+      counts: [{ product_id: 1, counted_quantity: 3 }, { product_id: 2, counted_quantity: 1 }],
+      userId: 1,
+    }),
+    (err) => err.code === 'PRODUCT_NOT_FOUND'
+  );
+});
+
+test('postStocktake writes a stocktake movement only for lines with variance', async () => {
+  const calls = [];
+  const tx = {
+    query: async (sql, params) => {
+      calls.push({ sql, params });
+      if (sql.includes('FROM stocktake_lines sl')) {
+        return {
+          rows: [
+            { id: 1, product_id: 10, counted_quantity: 8, expected_quantity: 10, unit_cost: 5, source: 'baked' },
+            { id: 2, product_id: 11, counted_quantity: 4, expected_quantity: 4, unit_cost: 9, source: 'baked' },
+          ],
+        };
+      }
+      if (sql.includes('INSERT INTO inventory_movements')) return { rows: [{ id: 99 }] };
+      if (sql.includes('UPDATE stocktakes')) return { rows: [{ id: 3, status: 'posted' }] };
+      return { rows: [] };
+    },
+  };
+
+  const result = await postStocktake(tx, { stocktake: { id: 3, status: 'open', location_id: 1 }, userId: 2 });
+  const movements = calls.filter((call) => call.sql.includes('INSERT INTO inventory_movements'));
+  assert.equal(movements.length, 1);
+  assert.equal(movements[0].params[2], -2);
+  assert.equal(movements[0].params[7], -10);
+  assert.equal(result.totals.shrinkage_value, 10);
+
+  await assert.rejects(
+    () => postStocktake(tx, { stocktake: { id: 3, status: 'posted' }, userId: 2 }),
+    (err) => err.code === 'STOCKTAKE_NOT_OPEN'
+  );
+});
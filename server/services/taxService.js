@@ -0,0 +1,68 @@
+function roundMoney(value) {
+  return Math.round(Number(value || 0) * 100) / 100;
+}
+
+// e.g. 115 at 15% holds 15.
+export function inclusiveTax(amount, rate) {
+  const percent = Number(rate || 0);
+  if (percent <= 0) return 0;
+  return roundMoney((Number(amount) * percent) / (100 + percent));
+}
+
+export async function loadTaxRules(db, locationId) {
+  const result = await db.query(
+    `SELECT tr.id, tr.location_id, tr.product_id, tr.category_id, tr.tax_rate_id, t.code, t.name, t.rate
+     FROM tax_rules tr
+     JOIN tax_rates t ON t.id = tr.tax_rate_id
+     WHERE t.is_active = true AND (tr.location_id IS NULL OR tr.location_id = $1)`,
+    [locationId]
+  );
+  return result.rows;
+}
+
+function ruleRank(rule) {
+  const scope = rule.product_id ? 4 : rule.category_id ? 2 : 0;
+  return scope + (rule.location_id ? 1 : 0);
+}
+
+// Product beats category beats default; a branch rule beats an all-branches
+// one of the same kind.
+export function resolveTaxRule(rules, line) {
+  let best = null;
+  for (const rule of rules) {
+    if (rule.product_id && Number(rule.product_id) !== Number(line.product_id)) continue;
+    if (rule.category_id && Number(rule.category_id) !== Number(line.category_id)) continue;
+    if (!best || ruleRank(rule) > ruleRank(best)) best = rule;
+  }
+  return best;
+}
+
+// Prices include tax, so totals do not change.
+export function applyTax(lines, rules) {
+  return lines.map((line) => {
+    const rule = resolveTaxRule(rules, line);
+    const rate = rule ? Number(rule.rate) : 0;
+    return {
+      ...line,
+      tax_rate_id: rule ? rule.tax_rate_id : null,
+      tax_code: rule ? rule.code : null,
+      tax_rate: rate,
+      tax_amount: inclusiveTax(line.subtotal, rate),
+    };
+  });
+}
+
+export function taxBreakdown(lines) {
+  const byRate = new Map();
+  for (const line of lines) {
+    const rate = Number(line.tax_rate || 0);
+    const key = `${line.tax_code || ''}:${rate}`;
+    const entry = byRate.get(key) || { tax_code: line.tax_code || null, tax_rate: rate, gross_amount: 0, tax_amount: 0 };
+    entry.gross_amount = roundMoney(entry.gross_amount + Number(line.subtotal));
+    entry.tax_amount = roundMoney(entry.tax_amount + Number(line.tax_amount || 0));
+    byRate.set(key, entry);
+  }
+  return [...byRate.values()]
+    .map((entry) => ({ ...entry, net_amount: roundMoney(entry.gross_amount - entry.tax_amount) }))
+    .sort((a, b) => b.tax_rate - a.tax_rate);
+}
@@ -0,0 +1,43 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { applyTax, inclusiveTax, resolveTaxRule, taxBreakdown } from './taxService.js';
+
+const vat = { tax_rate_id: 1, code: 'VAT', rate: '15.00' };
+const tot = { tax_rate_id: 2, code: 'TOT', rate: '2.00' };
+const rules = [
+  { ...vat, id: 1, location_id: null, product_id: null, category_id: null },
+  { ...tot, id: 2, location_id: null, product_id: null, category_id: 4 },
+  { ...vat, id: 3, location_id: 7, product_id: null, category_id: 4 },
+  { ...tot, id: 4, location_id: null, product_id: 12, category_id: null },
+];
+
+test('inclusiveTax takes the tax out of a tax-inclusive amount', () => {
+  assert.equal(inclusiveTax(115, 15), 15);
+  assert.equal(inclusiveTax(100, 15), 13.04);
+  assert.equal(inclusiveTax(100, 0), 0);
+});
+
+test('resolveTaxRule prefers product over category over default, and the branch over all branches', () => {
+  assert.equal(resolveTaxRule(rules, { product_id: 12, category_id: 4 }).id, 4);
+  assert.equal(resolveTaxRule(rules, { product_id: 5, category_id: 4 }).id, 3);
+  assert.equal(resolveTaxRule(rules.filter((rule) => rule.location_id !== 7), { product_id: 5, category_id: 4 }).id, 2);
+  assert.equal(resolveTaxRule(rules, { product_id: 5, category_id: 9 }).id, 1);
+  assert.equal(resolveTaxRule([], { product_id: 5 }), null);
+});
+
+test('applyTax stamps lines and taxBreakdown totals them per rate', () => {
+  const lines = applyTax(
+    [
+      { product_id: 1, category_id: 9, subtotal: 230 },
+      { product_id: 12, category_id: 4, subtotal: 51 },
+      { product_id: 2, category_id: 9, subtotal: 115 },
+    ],
+    rules
+  );
+
+  assert.deepEqual(lines.map((line) => [line.tax_code, line.tax_rate, line.tax_amount]), [['VAT', 15, 30], ['TOT', 2, 1], ['VAT', 15, 15]]);
+  assert.deepEqual(taxBreakdown(lines), [
+    { tax_code: 'VAT', tax_rate: 15, gross_amount: 345, tax_amount: 45, net_amount: 300 },
+    { tax_code: 'TOT', tax_rate: 2, gross_amount: 51, tax_amount: 1, net_amount: 50 },
+  ]);
+});
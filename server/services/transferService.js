@@ -0,0 +1,174 @@
+import { AppError } from '../utils/errors.js';
+import { consumeLotsFifo, createLot, earliestLotDates } from './lotService.js';
+import { assertQuantityFitsUnit, normalizeProductQuantities, roundQuantity } from './unitService.js';
+
+export const TRANSFER_STATUSES = ['in_transit', 'received', 'disputed'];
+
+// Lines the receiver does not mention arrived in full. Any count that differs
+// from what was sent puts the transfer in dispute.
+export function planTransferReceipt(transferItems, counts = []) {
+  const countsByItem = new Map();
+  for (const count of counts) {
+    const itemId = Number(count.item_id);
+    if (!transferItems.some((item) => Number(item.id) === itemId)) {
+      throw new AppError(`Item ${itemId} is not on this transfer`, 400, 'VALIDATION_ERROR');
+    }
+    if (countsByItem.has(itemId)) {
+      throw new AppError(`Item ${itemId} is listed more than once`, 400, 'VALIDATION_ERROR');
+    }
+    const received = Number(count.quantity_received);
+    if (!Number.isFinite(received) || received < 0) {
+      throw new AppError(`Received quantity for item ${itemId} must be zero or more`, 400, 'VALIDATION_ERROR');
+    }
+    const item = transferItems.find((entry) => Number(entry.id) === itemId);
+    assertQuantityFitsUnit(received, { code: item.unit, allows_fraction: item.allows_fraction }, `Received quantity for item ${itemId}`);
+    countsByItem.set(itemId, { received: roundQuantity(received), notes: count.notes || null });
+  }
+
+  const lines = transferItems.map((item) => {
+    const sent = Number(item.quantity_sent);
+    const count = countsByItem.get(Number(item.id));
+    const received = count ? count.received : sent;
+    return {
+      item_id: Number(item.id),
+      product_id: Number(item.product_id),
+      product_name: item.product_name,
+      quantity_sent: sent,
+      quantity_received: received,
+      variance: roundQuantity(received - sent),
+      notes: count?.notes || null,
+    };
+  });
+
+  const variances = lines.filter((line) => line.variance !== 0);
+  return { lines, variances, status: variances.length ? 'disputed' : 'received' };
+}
+
+export async function sendTransfer(tx, { fromLocationId, toLocationId, items, userId, notes = null }) {
+  if (Number(fromLocationId) === Number(toLocationId)) {
+    throw new AppError('Source and destination branches must differ', 400, 'VALIDATION_ERROR');
+  }
+
+  const destination = await tx.query('SELECT id, name FROM locations WHERE id = $1 AND is_active = true', [toLocationId]);
+  if (!destination.rows.length) {
+    throw new AppError('Destination branch not found', 404, 'LOCATION_NOT_FOUND');
+  }
+
+  const transferResult = await tx.query(
+    `INSERT INTO stock_transfers (from_location_id, to_location_id, notes, created_by)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [fromLocationId, toLocationId, notes, userId]
+  );
+  const transfer = transferResult.rows[0];
+
+  const entries = await normalizeProductQuantities(tx, items);
+  const lines = [];
+  for (const item of entries) {
+    const quantity = Number(item.quantity);
+    const stock = await tx.query(
+      `UPDATE inventory i
+       SET quantity = i.quantity - $1, last_updated = CURRENT_TIMESTAMP
+       FROM products p
+       WHERE p.id = i.product_id AND i.product_id = $2 AND i.location_id = $3 AND i.quantity >= $1
+       RETURNING i.quantity, i.source, p.name`,
+      [quantity, item.product_id, fromLocationId]
+    );
+    if (!stock.rows.length) {
+      throw new AppError(`Not enough stock of product ${item.product_id} to transfer ${quantity}`, 409, 'INSUFFICIENT_STOCK');
+    }
+
+    const lots = await consumeLotsFifo(tx, { locationId: fromLocationId, productId: item.product_id, quantity });
+    const lotDates = earliestLotDates(lots.allocations);
+
+    const line = await tx.query(
+      `INSERT INTO stock_transfer_items (transfer_id, product_id, quantity_sent, notes, produced_at, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [transfer.id, item.product_id, quantity, item.notes || null, lotDates.produced_at, lotDates.expires_at]
+    );
+
+    await tx.query(
+      `INSERT INTO inventory_movements
+       (location_id, product_id, movement_type, quantity_change, source, reference_type, reference_id, created_by, metadata)
+       VALUES ($1, $2, 'transfer_out', $3, $4, 'stock_transfer', $5, $6, $7)`,
+      [
+        fromLocationId,
+        item.product_id,
+        -quantity,
+        stock.rows[0].source || 'baked',
+        transfer.id,
+        userId,
+        JSON.stringify({ to_location_id: Number(toLocationId), remaining_quantity: Number(stock.rows[0].quantity), lots: lots.allocations }),
+      ]
+    );
+
+    lines.push({ ...line.rows[0], product_name: stock.rows[0].name });
+  }
+
+  return { transfer, items: lines, destination: destination.rows[0] };
+}
+
+// The matching `transfer_out` rows were written when the transfer was sent.
+export async function receiveTransfer(tx, { transfer, items, counts, userId, notes = null }) {
+  if (transfer.status !== 'in_transit') {
+    throw new AppError(`Transfer #${transfer.id} is already ${transfer.status}`, 409, 'TRANSFER_NOT_IN_TRANSIT');
+  }
+
+  const plan = planTransferReceipt(items, counts);
+  const sources = new Map(items.map((item) => [Number(item.id), item.source || 'baked']));
+  const itemsById = new Map(items.map((item) => [Number(item.id), item]));
+
+  for (const line of plan.lines) {
+    await tx.query(
+      'UPDATE stock_transfer_items SET quantity_received = $1, notes = COALESCE($2, notes) WHERE id = $3',
+      [line.quantity_received, line.notes, line.item_id]
+    );
+    if (line.quantity_received === 0) continue;
+
+    const source = sources.get(line.item_id);
+    await tx.query(
+      `INSERT INTO inventory (product_id, location_id, quantity, source, last_updated)
+       VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+       ON CONFLICT (product_id, location_id)
+       DO UPDATE SET quantity = inventory.quantity + $3, last_updated = CURRENT_TIMESTAMP`,
+      [line.product_id, transfer.to_location_id, line.quantity_received, source]
+    );
+    await tx.query(
+      `INSERT INTO inventory_movements
+       (location_id, product_id, movement_type, quantity_change, source, reference_type, reference_id, created_by, metadata)
+       VALUES ($1, $2, 'transfer_in', $3, $4, 'stock_transfer', $5, $6, $7)`,
+      [
+        transfer.to_location_id,
+        line.product_id,
+        line.quantity_received,
+        source,
+        transfer.id,
+        userId,
+        JSON.stringify({ from_location_id: transfer.from_location_id, quantity_sent: line.quantity_sent, variance: line.variance }),
+      ]
+    );
+
+    const sent = itemsById.get(line.item_id);
+    await createLot(tx, {
+      locationId: transfer.to_location_id,
+      productId: line.product_id,
+      quantity: line.quantity_received,
+      sourceType: 'transfer',
+      referenceType: 'stock_transfer',
+      referenceId: transfer.id,
+      producedAt: sent?.produced_at || null,
+      expiresAt: sent?.expires_at || undefined,
+      userId,
+    });
+  }
+
+  await tx.query(
+    `UPDATE stock_transfers
+     SET status = $1, received_by = $2, received_at = CURRENT_TIMESTAMP, receive_notes = $3
+     WHERE id = $4`,
+    [plan.status, userId, notes, transfer.id]
+  );
+
+  return plan;
+}
@@ -0,0 +1,32 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { planTransferReceipt, receiveTransfer } from './transferService.js';
+
+const items = [
+  { id: 1, product_id: 10, product_name: 'Bread', quantity_sent: 30, source: 'baked' },
+  { id: 2, product_id: 11, product_name: 'Cake', quantity_sent: 4, source: 'baked' },
+];
+
+test('planTransferReceipt treats unmentioned lines as received in full', () => {
+  const plan = planTransferReceipt(items, []);
+  assert.equal(plan.status, 'received');
+  assert.deepEqual(plan.lines.map((line) => line.quantity_received), [30, 4]);
+});
+
+test('planTransferReceipt flags short and over counts as variance', () => {
+  const plan = planTransferReceipt(items, [
+    { item_id: 1, quantity_received: 28, notes: 'two crushed' },
+    { item_id: 2, quantity_received: 5 },
+  ]);
+  assert.equal(plan.status, 'disputed');
+  assert.deepEqual(plan.variances.map((line) => line.variance), [-2, 1]);
+  assert.throws(() => planTransferReceipt(items, [{ item_id: 9, quantity_received: 1 }]), (err) => err.statusCode === 400);
+});
+
+test('receiveTransfer refuses a transfer that is no longer in transit', async () => {
+  const tx = { query: async () => ({ rows: [] }) };
+  await assert.rejects(
+    () => receiveTransfer(tx, { transfer: { id: 3, status: 'received' }, items, counts: [], userId: 1 }),
+    (err) => err.code === 'TRANSFER_NOT_IN_TRANSIT'
+  );
+});
@@ -0,0 +1,174 @@
+import { AppError } from '../utils/errors.js';
+
+export function roundQuantity(value) {
+  return Math.round(Number(value || 0) * 1000) / 1000;
+}
+
+// Item-specific conversions win over general ones, and either direction of a
+// stored conversion can be used.
+export function findConversionFactor(conversions, { productId = null, ingredientId = null, fromUnit, toUnit }) {
+  if (fromUnit === toUnit) return 1;
+
+  const isItemRow = (row) => (
+    (productId && Number(row.product_id) === Number(productId))
+    || (ingredientId && Number(row.ingredient_id) === Number(ingredientId))
+  );
+  const isGeneralRow = (row) => !row.product_id && !row.ingredient_id;
+
+  for (const inScope of [isItemRow, isGeneralRow]) {
+    const rows = conversions.filter(inScope);
+    const direct = rows.find((row) => row.from_unit === fromUnit && row.to_unit === toUnit);
+    if (direct) return Number(direct.factor);
+    const inverse = rows.find((row) => row.from_unit === toUnit && row.to_unit === fromUnit);
+    if (inverse) return 1 / Number(inverse.factor);
+  }
+
+  return null;
+}
+
+export function assertQuantityFitsUnit(quantity, unit, label = 'Quantity') {
+  const rounded = roundQuantity(quantity);
+  if (!unit?.allows_fraction && !Number.isInteger(rounded)) {
+    throw new AppError(`${label} must be a whole number of ${unit?.code || 'units'}`, 400, 'FRACTION_NOT_ALLOWED');
+  }
+  return rounded;
+}
+
+// The entered figures are echoed back only when a conversion happened.
+export function convertQuantity(conversions, item, { quantity, enteredUnit = null, productId = null, ingredientId = null, allowZero = false }) {
+  const fromUnit = enteredUnit || item.unit;
+  const factor = findConversionFactor(conversions, { productId, ingredientId, fromUnit, toUnit: item.unit });
+  if (factor === null) {
+    throw new AppError(`No conversion from ${fromUnit} to ${item.unit} for ${item.name}`, 400, 'UNKNOWN_CONVERSION');
+  }
+
+  const converted = assertQuantityFitsUnit(Number(quantity) * factor, { code: item.unit, allows_fraction: item.allows_fraction }, `${item.name} quantity`);
+  if (converted < 0 || (converted === 0 && !allowZero)) {
+    throw new AppError(`${item.name} quantity must be greater than zero`, 400, 'VALIDATION_ERROR');
+  }
+
+  const wasConverted = fromUnit !== item.unit;
+  return {
+    quantity: converted,
+    entered_quantity: wasConverted ? roundQuantity(quantity) : null,
+    entered_unit: wasConverted ? fromUnit : null,
+  };
+}
+
+export async function listUnits(db) {
+  const result = await db.query('SELECT code, name, allows_fraction FROM units ORDER BY code');
+  return result.rows;
+}
+
+export async function assertUnitExists(db, code) {
+  const result = await db.query('SELECT code, allows_fraction FROM units WHERE code = $1', [code]);
+  if (!result.rows.length) {
+    throw new AppError(`Unknown unit: ${code}`, 400, 'UNKNOWN_UNIT');
+  }
+  return result.rows[0];
+}
+
+export async function loadProductUnits(db, productIds) {
+  const ids = [...new Set(productIds.map(Number))];
+  const products = await db.query(
+    `SELECT p.id, p.name, COALESCE(p.unit, 'piece') as unit, COALESCE(u.allows_fraction, false) as allows_fraction
+     FROM products p
+     LEFT JOIN units u ON u.code = p.unit
+     WHERE p.id = ANY($1::int[])`,
+    [ids]
+  );
+  const conversions = await db.query(
+    `SELECT product_id, ingredient_id, from_unit, to_unit, factor
+     FROM unit_conversions
+     WHERE (product_id IS NULL AND ingredient_id IS NULL) OR product_id = ANY($1::int[])`,
+    [ids]
+  );
+
+  return {
+    products: new Map(products.rows.map((row) => [Number(row.id), row])),
+    conversions: conversions.rows,
+  };
+}
+
+// Lines may name the unit they were counted in (`unit: 'tray'`); the entered
+// figures are kept as `entered_quantity` / `entered_unit`.
+export async function normalizeProductQuantities(db, items, { field = 'quantity', allowZero = false } = {}) {
+  const { products, conversions } = await loadProductUnits(db, items.map((item) => item.product_id));
+
+  return items.map((item) => {
+    const product = products.get(Number(item.product_id));
+    if (!product) {
+      throw new AppError(`Product ${item.product_id} not found`, 404, 'PRODUCT_NOT_FOUND');
+    }
+    const converted = convertQuantity(conversions, product, {
+      quantity: item[field],
+      enteredUnit: item.unit || null,
+      productId: product.id,
+      allowZero,
+    });
+    return { ...item, [field]: converted.quantity, entered_quantity: converted.entered_quantity, entered_unit: converted.entered_unit };
+  });
+}
+
+export async function convertIngredientQuantity(db, ingredient, { quantity, enteredUnit = null }) {
+  const unit = await db.query('SELECT allows_fraction FROM units WHERE code = $1', [ingredient.unit]);
+  const conversions = await db.query(
+    `SELECT product_id, ingredient_id, from_unit, to_unit, factor
+     FROM unit_conversions
+     WHERE (product_id IS NULL AND ingredient_id IS NULL) OR ingredient_id = $1`,
+    [ingredient.id]
+  );
+
+  return convertQuantity(
+    conversions.rows,
+    { name: ingredient.name, unit: ingredient.unit, allows_fraction: unit.rows[0]?.allows_fraction ?? true },
+    { quantity, enteredUnit, ingredientId: ingredient.id }
+  );
+}
+
+// For quantities always given in the product's own unit (shelf counts, stock edits).
+export async function assertProductQuantities(db, items, { field = 'quantity' } = {}) {
+  const { products } = await loadProductUnits(db, items.map((item) => item.product_id));
+  for (const item of items) {
+    const product = products.get(Number(item.product_id));
+    if (!product) continue;
+    assertQuantityFitsUnit(item[field], { code: product.unit, allows_fraction: product.allows_fraction }, `${product.name} quantity`);
+  }
+}
+
+// Item conversions must link to the item's own unit, or they could never
+// apply to its stock.
+export async function createConversion(db, { productId = null, ingredientId = null, fromUnit, toUnit, factor, userId }) {
+  if (productId && ingredientId) {
+    throw new AppError('A conversion belongs to a product or an ingredient, not both', 400, 'VALIDATION_ERROR');
+  }
+  if (fromUnit === toUnit) {
+    throw new AppError('A conversion needs two different units', 400, 'VALIDATION_ERROR');
+  }
+  if (!(Number(factor) > 0)) {
+    throw new AppError('Conversion factor must be greater than zero', 400, 'VALIDATION_ERROR');
+  }
+  await assertUnitExists(db, fromUnit);
+  await assertUnitExists(db, toUnit);
+
+  if (productId || ingredientId) {
+    const item = productId
+      ? await db.query('SELECT name, unit FROM products WHERE id = $1', [productId])
+      : await db.query('SELECT name, unit FROM ingredients WHERE id = $1', [ingredientId]);
+    if (!item.rows.length) {
+      throw new AppError(productId ? 'Product not found' : 'Ingredient not found', 404, productId ? 'PRODUCT_NOT_FOUND' : 'INGREDIENT_NOT_FOUND');
+    }
+    const { name, unit } = item.rows[0];
+    if (fromUnit !== unit && toUnit !== unit) {
+      throw new AppError(`${name} is stocked in ${unit}; the conversion must include it`, 400, 'UNIT_MISMATCH');
+    }
+  }
+
+  const result = await db.query(
+    `INSERT INTO unit_conversions (product_id, ingredient_id, from_unit, to_unit, factor, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [productId, ingredientId, fromUnit, toUnit, factor, userId]
+  );
+  return result.rows[0];
+}
@@ -0,0 +1,102 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  assertQuantityFitsUnit,
+  convertQuantity,
+  createConversion,
+  findConversionFactor,
+  normalizeProductQuantities,
+} from './unitService.js';
+
+const conversions = [
+  { product_id: null, ingredient_id: null, from_unit: 'dozen', to_unit: 'piece', factor: '12.000000' },
+  { product_id: null, ingredient_id: null, from_unit: 'g', to_unit: 'kg', factor: '0.001000' },
+  { product_id: null, ingredient_id: null, from_unit: 'tray', to_unit: 'piece', factor: '20.000000' },
+  { product_id: 7, ingredient_id: null, from_unit: 'tray', to_unit: 'piece', factor: '24.000000' },
+  { product_id: null, ingredient_id: 3, from_unit: 'sack', to_unit: 'kg', factor: '50.000000' },
+];
+
+test('findConversionFactor prefers item conversions and works both ways', () => {
+  assert.equal(findConversionFactor(conversions, { productId: 7, fromUnit: 'tray', toUnit: 'piece' }), 24);
+  assert.equal(findConversionFactor(conversions, { productId: 8, fromUnit: 'tray', toUnit: 'piece' }), 20);
+  assert.equal(findConversionFactor(conversions, { fromUnit: 'kg', toUnit: 'g' }), 1000);
+  assert.equal(findConversionFactor(conversions, { ingredientId: 3, fromUnit: 'sack', toUnit: 'kg' }), 50);
+  assert.equal(findConversionFactor(conversions, { ingredientId: 4, fromUnit: 'sack', toUnit: 'kg' }), null);
+  assert.equal(findConversionFactor(conversions, { fromUnit: 'piece', toUnit: 'piece' }), 1);
+});
+
+test('assertQuantityFitsUnit only allows fractions for fractional units', () => {
+  assert.equal(assertQuantityFitsUnit(1.2504, { code: 'kg', allows_fraction: true }), 1.25);
+  assert.equal(assertQuantityFitsUnit(6, { code: 'piece', allows_fraction: false }), 6);
+  assert.throws(
+    () => assertQuantityFitsUnit(2.5, { code: 'piece', allows_fraction: false }),
+    (err) => err.code === 'FRACTION_NOT_ALLOWED'
+  );
+});
+
+test('convertQuantity turns trays into pieces and keeps what was entered', () => {
+  const croissant = { name: 'Croissant', unit: 'piece', allows_fraction: false };
+
+  assert.deepEqual(
+    convertQuantity(conversions, croissant, { quantity: 3, enteredUnit: 'tray', productId: 7 }),
+    { quantity: 72, entered_quantity: 3, entered_unit: 'tray' }
+  );
+  assert.deepEqual(
+    convertQuantity(conversions, croissant, { quantity: 5, productId: 7 }),
+    { quantity: 5, entered_quantity: null, entered_unit: null }
+  );
+  assert.throws(
+    () => convertQuantity(conversions, croissant, { quantity: 1, enteredUnit: 'kg', productId: 7 }),
+    (err) => err.code === 'UNKNOWN_CONVERSION'
+  );
+  assert.throws(
+    () => convertQuantity(conversions, croissant, { quantity: 1.1, enteredUnit: 'dozen', productId: 7 }),
+    (err) => err.code === 'FRACTION_NOT_ALLOWED'
+  );
+});
+
+function createDb(products) {
+  const calls = [];
+  return {
+    calls,
+    query: async (sql, params) => {
+      calls.push({ sql, params });
+      if (sql.includes('FROM products p')) return { rows: products };
+      if (sql.includes('FROM unit_conversions')) return { rows: conversions };
+      if (sql.includes('FROM units WHERE code')) return { rows: ['piece', 'tray', 'kg'].includes(params[0]) ? [{ code: params[0] }] : [] };
+      if (sql.includes('FROM products WHERE id')) return { rows: [{ name: 'Croissant', unit: 'piece' }] };
+      if (sql.includes('INSERT INTO unit_conversions')) return { rows: [{ id: 11, factor: params[4] }] };
+      throw new Error(`unexpected query: ${sql}`);
+    },
+  };
+}
+
+test('normalizeProductQuantities converts lines into each product unit', async () => {
+  const db = createDb([
+    { id: 7, name: 'Croissant', unit: 'piece', allows_fraction: false },
+    { id: 9, name: 'Butter Cookies', unit: 'kg', allows_fraction: true },
+  ]);
+  const lines = await normalizeProductQuantities(db, [
+    { product_id: 7, quantity: 3, unit: 'tray' },
+    { product_id: 9, quantity: 1.5 },
+  ]);
+
+  assert.deepEqual(lines.map((line) => [line.quantity, line.entered_quantity, line.entered_unit]), [[72, 3, 'tray'], [1.5, null, null]]);
+  await assert.rejects(
+    normalizeProductQuantities(db, [{ product_id: 99, quantity: 1 }]),
+    (err) => err.code === 'PRODUCT_NOT_FOUND'
+  );
+});
+
+test('createConversion requires item conversions to include the item unit', async () => {
+  await assert.rejects(
+    createConversion(createDb([]), { productId: 7, fromUnit: 'kg', toUnit: 'tray', factor: 2, userId: 1 }),
+    (err) => err.code === 'UNIT_MISMATCH'
+  );
+  await assert.rejects(
+    createConversion(createDb([]), { fromUnit: 'crate', toUnit: 'piece', factor: 2, userId: 1 }),
+    (err) => err.code === 'UNKNOWN_UNIT'
+  );
+  const saved = await createConversion(createDb([]), { productId: 7, fromUnit: 'tray', toUnit: 'piece', factor: 24, userId: 1 });
+  assert.equal(saved.id, 11);
+});
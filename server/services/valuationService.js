@@ -0,0 +1,197 @@
+import { AppError } from '../utils/errors.js';
+import { effectiveProductCostSql } from './costRollupService.js';
+
+export const VALUATION_METHODS = ['weighted_average', 'fifo'];
+
+function roundMoney(value) {
+  return Math.round(Number(value || 0) * 100) / 100;
+}
+
+function roundQuantity(value) {
+  return Math.round(Number(value || 0) * 1000) / 1000;
+}
+
+export function assertValuationMethod(method) {
+  if (!VALUATION_METHODS.includes(method)) {
+    throw new AppError(`method must be one of: ${VALUATION_METHODS.join(', ')}`, 400, 'VALIDATION_ERROR');
+  }
+}
+
+function eventUnitCost(event) {
+  const metadataCost = Number(event.metadata?.unit_cost);
+  if (event.event_type === 'purchase_in' && Number.isFinite(metadataCost)) return metadataCost;
+  const quantity = Number(event.quantity);
+  if (event.cost_value !== null && event.cost_value !== undefined && quantity > 0) {
+    return Number(event.cost_value) / quantity;
+  }
+  return Number(event.unit_cost_at || 0);
+}
+
+// Manual stock edits carry the new absolute quantity and reset the balance.
+// Sales that outrun recorded intake leave a deficit the next intake fills first.
+export function replayProductCost(events) {
+  let quantity = 0;
+  let averageCost = 0;
+  let deficit = 0;
+  let lastUnitCost = null;
+  let received = false;
+  const layers = [];
+
+  const receive = (amount, unitCost) => {
+    received = true;
+    averageCost = quantity > 0 ? ((quantity * averageCost) + (amount * unitCost)) / (quantity + amount) : unitCost;
+    quantity = roundQuantity(quantity + amount);
+    const covered = Math.min(deficit, amount);
+    deficit = roundQuantity(deficit - covered);
+    if (amount - covered > 0) layers.push({ quantity: roundQuantity(amount - covered), unit_cost: unitCost });
+  };
+
+  const issue = (amount) => {
+    quantity = roundQuantity(quantity - amount);
+    let remaining = amount;
+    while (remaining > 0 && layers.length) {
+      const take = Math.min(layers[0].quantity, remaining);
+      layers[0].quantity = roundQuantity(layers[0].quantity - take);
+      remaining = roundQuantity(remaining - take);
+      if (layers[0].quantity <= 0) layers.shift();
+    }
+    deficit = roundQuantity(deficit + remaining);
+  };
+
+  for (const event of events) {
+    const unitCost = eventUnitCost(event);
+    lastUnitCost = Number(event.unit_cost_at ?? unitCost);
+    const absolute = event.event_type === 'manual_adjustment' ? event.metadata?.absolute_quantity : undefined;
+    const change = absolute !== undefined && absolute !== null
+      ? Number(absolute) - quantity
+      : Number(event.quantity || 0);
+
+    if (change > 0) receive(change, unitCost);
+    if (change < 0) issue(-change);
+  }
+
+  return { quantity, average_cost: averageCost, layers, received, last_unit_cost: lastUnitCost };
+}
+
+// FIFO keeps the newest layers. Anything the layers do not cover falls back
+// to `fallbackCost`.
+export function valueStock(state, quantity, fallbackCost, method) {
+  const onHand = Math.max(0, Number(quantity || 0));
+  if (onHand === 0) return { unit_cost: 0, value: 0 };
+
+  if (method === 'weighted_average') {
+    const unitCost = state.received ? state.average_cost : Number(fallbackCost || 0);
+    return { unit_cost: roundMoney(unitCost), value: roundMoney(onHand * unitCost) };
+  }
+
+  let remaining = onHand;
+  let value = 0;
+  for (let index = state.layers.length - 1; index >= 0 && remaining > 0; index -= 1) {
+    const take = Math.min(state.layers[index].quantity, remaining);
+    value += take * state.layers[index].unit_cost;
+    remaining = roundQuantity(remaining - take);
+  }
+  value += remaining * Number(fallbackCost || 0);
+  return { unit_cost: roundMoney(value / onHand), value: roundMoney(value) };
+}
+
+// Without `asOf` quantities are today's `inventory`; the ledger only supplies cost.
+export function buildValuation(products, events, { method, asOf = null }) {
+  const eventsByProduct = new Map();
+  for (const event of events) {
+    const key = Number(event.product_id);
+    if (!eventsByProduct.has(key)) eventsByProduct.set(key, []);
+    eventsByProduct.get(key).push(event);
+  }
+
+  const items = [];
+  for (const product of products) {
+    const state = replayProductCost(eventsByProduct.get(Number(product.product_id)) || []);
+    const quantity = asOf ? Math.max(0, state.quantity) : Number(product.on_hand || 0);
+    if (quantity <= 0) continue;
+
+    const fallbackCost = asOf ? (state.last_unit_cost ?? product.current_cost) : product.current_cost;
+    const { unit_cost: unitCost, value } = valueStock(state, quantity, fallbackCost, method);
+    items.push({
+      product_id: Number(product.product_id),
+      product_name: product.product_name,
+      category_name: product.category_name || 'Uncategorized',
+      quantity,
+      unit_cost: unitCost,
+      value,
+    });
+  }
+
+  const categories = new Map();
+  for (const item of items) {
+    const entry = categories.get(item.category_name) || { category_name: item.category_name, quantity: 0, value: 0 };
+    entry.quantity = roundQuantity(entry.quantity + item.quantity);
+    entry.value = roundMoney(entry.value + item.value);
+    categories.set(item.category_name, entry);
+  }
+
+  return {
+    method,
+    as_of: asOf,
+    items: items.sort((a, b) => b.value - a.value || a.product_name.localeCompare(b.product_name)),
+    by_category: [...categories.values()].sort((a, b) => b.value - a.value),
+    totals: {
+      products: items.length,
+      quantity: roundQuantity(items.reduce((sum, item) => sum + item.quantity, 0)),
+      value: roundMoney(items.reduce((sum, item) => sum + item.value, 0)),
+    },
+  };
+}
+
+// Batch intake comes from `batch_items`, which hold what each batch finally
+// landed after any edit or void.
+async function loadValuationEvents(db, { locationId, asOf }) {
+  const result = await db.query(
+    `WITH batch_events AS (
+       SELECT bi.product_id, COALESCE(b.received_at, b.created_at) as occurred_at, 'batch_in' as event_type,
+              (CASE WHEN bi.quantity_received IS NULL THEN bi.quantity
+                    ELSE bi.quantity_received - COALESCE(bi.quantity_damaged, 0) END)::numeric as quantity,
+              NULL::jsonb as metadata, NULL::numeric as cost_value
+       FROM (SELECT id, location_id, status, created_at, received_at FROM inventory_batches
+             UNION ALL
+             SELECT id, location_id, status, created_at, received_at FROM inventory_batches_archive) b
+       JOIN (SELECT batch_id, product_id, quantity, quantity_received, quantity_damaged FROM batch_items
+             UNION ALL
+             SELECT batch_id, product_id, quantity, quantity_received, quantity_damaged FROM batch_items_archive) bi
+         ON bi.batch_id = b.id
+       WHERE b.location_id = $1 AND b.status NOT IN ('pending', 'voided')
+     ),
+     movement_events AS (
+       SELECT m.product_id, m.created_at as occurred_at, m.movement_type as event_type,
+              m.quantity_change::numeric as quantity, m.metadata, m.cost_value
+       FROM (SELECT location_id, product_id, movement_type, quantity_change, metadata, cost_value, created_at FROM inventory_movements
+             UNION ALL
+             SELECT location_id, product_id, movement_type, quantity_change, metadata, cost_value, created_at FROM inventory_movements_archive) m
+       WHERE m.location_id = $1 AND m.product_id IS NOT NULL
+         AND m.movement_type NOT IN ('batch_in', 'day_close', 'ingredient_consumption', 'ingredient_adjustment')
+     )
+     SELECT e.*, ${effectiveProductCostSql('e.product_id', 'e.occurred_at')} as unit_cost_at
+     FROM (SELECT * FROM batch_events UNION ALL SELECT * FROM movement_events) e
+     JOIN products p ON p.id = e.product_id
+     WHERE ($2::date IS NULL OR e.occurred_at < $2::date + INTERVAL '1 day')
+     ORDER BY e.product_id, e.occurred_at, e.quantity DESC`,
+    [locationId, asOf]
+  );
+  return result.rows;
+}
+
+export async function getInventoryValuation(db, { locationId, method = 'weighted_average', asOf = null }) {
+  assertValuationMethod(method);
+
+  const products = await db.query(
+    `SELECT p.id as product_id, p.name as product_name, c.name as category_name,
+            COALESCE(p.cost, 0) as current_cost, COALESCE(i.quantity, 0) as on_hand
+     FROM products p
+     LEFT JOIN categories c ON c.id = p.category_id
+     LEFT JOIN inventory i ON i.product_id = p.id AND i.location_id = $1`,
+    [locationId]
+  );
+  const events = await loadValuationEvents(db, { locationId, asOf });
+
+  return { location_id: Number(locationId), ...buildValuation(products.rows, events, { method, asOf }) };
+}
@@ -0,0 +1,51 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { assertValuationMethod, buildValuation, replayProductCost, valueStock } from './valuationService.js';
+
+const events = [
+  { product_id: 1, event_type: 'batch_in', quantity: '10', unit_cost_at: '4.00' },
+  { product_id: 1, event_type: 'purchase_in', quantity: '10', unit_cost_at: '4.00', metadata: { unit_cost: 6 } },
+  { product_id: 1, event_type: 'sale_out', quantity: '-12', unit_cost_at: '4.00' },
+];
+
+test('replayProductCost keeps a running average and FIFO layers', () => {
+  const state = replayProductCost(events);
+  assert.equal(state.quantity, 8);
+  assert.equal(state.average_cost, 5);
+  assert.deepEqual(state.layers, [{ quantity: 8, unit_cost: 6 }]);
+
+  assert.deepEqual(valueStock(state, 8, 4, 'weighted_average'), { unit_cost: 5, value: 40 });
+  assert.deepEqual(valueStock(state, 8, 4, 'fifo'), { unit_cost: 6, value: 48 });
+  assert.deepEqual(valueStock(state, 10, 4, 'fifo'), { unit_cost: 5.6, value: 56 });
+});
+
+test('replayProductCost resets on absolute manual edits and fills deficits first', () => {
+  const state = replayProductCost([
+    { event_type: 'sale_out', quantity: '-3', unit_cost_at: 2 },
+    { event_type: 'batch_in', quantity: '5', unit_cost_at: 2 },
+    { event_type: 'manual_adjustment', quantity: '6', unit_cost_at: 3, metadata: { absolute_quantity: 6 } },
+  ]);
+  assert.equal(state.quantity, 6);
+  assert.deepEqual(state.layers, [{ quantity: 2, unit_cost: 2 }, { quantity: 4, unit_cost: 3 }]);
+});
+
+test('buildValuation uses shelf quantities today and replayed quantities as of a date', () => {
+  const products = [
+    { product_id: 1, product_name: 'Baguette', category_name: 'Bread', current_cost: '7', on_hand: 5 },
+    { product_id: 2, product_name: 'Candle', category_name: null, current_cost: '3', on_hand: 2 },
+    { product_id: 3, product_name: 'Sold Out', category_name: 'Bread', current_cost: '1', on_hand: 0 },
+  ];
+
+  const today = buildValuation(products, events, { method: 'fifo' });
+  assert.deepEqual(today.items.map((item) => [item.product_name, item.value]), [['Baguette', 30], ['Candle', 6]]);
+  assert.deepEqual(today.by_category.map((entry) => entry.category_name), ['Bread', 'Uncategorized']);
+  assert.equal(today.totals.value, 36);
+
+  const past = buildValuation(products, events, { method: 'weighted_average', asOf: '2026-03-01' });
+  assert.deepEqual(past.items.map((item) => [item.product_name, item.quantity, item.value]), [['Baguette', 8, 40]]);
+});
+
+test('assertValuationMethod rejects unknown methods', () => {
+  assert.doesNotThrow(() => assertValuationMethod('fifo'));
+  assert.throws(() => assertValuationMethod('lifo'), (err) => err.statusCode === 400);
+});
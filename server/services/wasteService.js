@@ -0,0 +1,93 @@
+import { AppError } from '../utils/errors.js';
+import { consumeLotsFifo } from './lotService.js';
+
+export const WASTE_REASONS = ['expired', 'burnt', 'damaged', 'staff_meal', 'donation'];
+
+function roundMoney(value) {
+  return Math.round(Number(value || 0) * 100) / 100;
+}
+
+export function assertWasteReason(reason) {
+  if (!WASTE_REASONS.includes(reason)) {
+    throw new AppError(`reason must be one of: ${WASTE_REASONS.join(', ')}`, 400, 'VALIDATION_ERROR');
+  }
+}
+
+// Quantities arrive positive (already negated from the ledger).
+export function summarizeWaste(rows) {
+  const byReason = new Map(WASTE_REASONS.map((reason) => [reason, { reason, quantity: 0, cost_value: 0 }]));
+  const byProduct = new Map();
+  let totalQuantity = 0;
+  let totalCost = 0;
+
+  for (const row of rows) {
+    const quantity = Number(row.quantity || 0);
+    const costValue = Number(row.cost_value || 0);
+    totalQuantity += quantity;
+    totalCost += costValue;
+
+    const reasonEntry = byReason.get(row.reason) || { reason: row.reason || 'unspecified', quantity: 0, cost_value: 0 };
+    reasonEntry.quantity += quantity;
+    reasonEntry.cost_value = roundMoney(reasonEntry.cost_value + costValue);
+    byReason.set(reasonEntry.reason, reasonEntry);
+
+    const productId = Number(row.product_id);
+    const productEntry = byProduct.get(productId) || { product_id: productId, product_name: row.product_name, quantity: 0, cost_value: 0 };
+    productEntry.quantity += quantity;
+    productEntry.cost_value = roundMoney(productEntry.cost_value + costValue);
+    byProduct.set(productId, productEntry);
+  }
+
+  return {
+    total_quantity: totalQuantity,
+    total_cost: roundMoney(totalCost),
+    by_reason: [...byReason.values()],
+    by_product: [...byProduct.values()].sort((a, b) => b.cost_value - a.cost_value),
+  };
+}
+
+// Stock cannot go below zero: you cannot throw out bread the shelf does not
+// hold. `lotId` names the lot being thrown out; otherwise lots go oldest-first.
+export async function recordWaste(tx, { locationId, productId, quantity, reason, notes = null, userId, referenceType = 'waste', referenceId = null, lotId = null }) {
+  assertWasteReason(reason);
+
+  const product = await tx.query('SELECT id, name, cost FROM products WHERE id = $1', [productId]);
+  if (!product.rows.length) {
+    throw new AppError(`Product ${productId} not found`, 404, 'PRODUCT_NOT_FOUND');
+  }
+  const { name, cost } = product.rows[0];
+
+  const stock = await tx.query(
+    `UPDATE inventory
+     SET quantity = quantity - $1, last_updated = CURRENT_TIMESTAMP
+     WHERE product_id = $2 AND location_id = $3 AND quantity >= $1
+     RETURNING quantity, source`,
+    [quantity, productId, locationId]
+  );
+  if (!stock.rows.length) {
+    throw new AppError(`Cannot write off ${quantity} ${name}: not enough stock on hand`, 409, 'INSUFFICIENT_STOCK');
+  }
+
+  const lots = await consumeLotsFifo(tx, { locationId, productId, quantity, lotId });
+  const unitCost = Number(cost || 0);
+  const costValue = roundMoney(unitCost * quantity);
+  const movement = await tx.query(
+    `INSERT INTO inventory_movements
+     (location_id, product_id, movement_type, quantity_change, source, reference_type, reference_id, created_by, metadata, cost_value)
+     VALUES ($1, $2, 'waste', $3, $4, $5, $6, $7, $8, $9)
+     RETURNING *`,
+    [
+      locationId,
+      productId,
+      -quantity,
+      stock.rows[0].source || 'baked',
+      referenceType,
+      referenceId,
+      userId,
+      JSON.stringify({ reason, notes, unit_cost: unitCost, remaining_quantity: Number(stock.rows[0].quantity), lots: lots.allocations }),
+      costValue,
+    ]
+  );
+
+  return { movement: movement.rows[0], product_name: name, reason, quantity, cost_value: costValue };
+}
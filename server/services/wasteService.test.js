@@ -0,0 +1,51 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { assertWasteReason, recordWaste, summarizeWaste } from './wasteService.js';
+
+test('summarizeWaste totals by reason and ranks products by cost', () => {
+  const summary = summarizeWaste([
+    { product_id: 1, product_name: 'Bread', reason: 'expired', quantity: '10', cost_value: '45.00' },
+    { product_id: 2, product_name: 'Cake', reason: 'damaged', quantity: '1', cost_value: '120.00' },
+    { product_id: 1, product_name: 'Bread', reason: 'burnt', quantity: '4', cost_value: '18.00' },
+  ]);
+
+  assert.equal(summary.total_quantity, 15);
+  assert.equal(summary.total_cost, 183);
+  assert.equal(summary.by_reason.find((entry) => entry.reason === 'expired').cost_value, 45);
+  assert.equal(summary.by_reason.find((entry) => entry.reason === 'donation').quantity, 0);
+  assert.deepEqual(summary.by_product.map((entry) => entry.product_id), [2, 1]);
+  assert.equal(summary.by_product[1].quantity, 14);
+});
+
+test('assertWasteReason rejects unknown codes', () => {
+  assert.doesNotThrow(() => assertWasteReason('staff_meal'));
+  assert.throws(() => assertWasteReason('lost'), (err) => err.statusCode === 400);
+});
+
+test('recordWaste values the movement at product cost and refuses to go below zero', async () => {
+  const movements = [];
+  const tx = {
+    query: async (sql, params) => {
+      if (sql.includes('FROM products')) return { rows: [{ id: 3, name: 'Croissant', cost: '12.5' }] };
+      if (sql.includes('FROM inventory_lots')) return { rows: [] };
+      if (sql.includes('UPDATE inventory')) {
+        return params[0] > 6 ? { rows: [] } : { rows: [{ quantity: 6 - params[0], source: 'baked' }] };
+      }
+      if (sql.includes('INSERT INTO inventory_movements')) {
+        movements.push(params);
+        return { rows: [{ id: 1, product_id: params[1] }] };
+      }
+      throw new Error('unexpected query');
+    },
+  };
+
+  const result = await recordWaste(tx, { locationId: 1, productId: 3, quantity: 4, reason: 'expired', userId: 2 });
+  assert.equal(result.cost_value, 50);
+  assert.equal(movements[0][2], -4);
+  assert.equal(movements[0][8], 50);
+
+  await assert.rejects(
+    () => recordWaste(tx, { locationId: 1, productId: 3, quantity: 7, reason: 'expired', userId: 2 }),
+    (err) => err.code === 'INSUFFICIENT_STOCK'
+  );
+});
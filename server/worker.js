@@ -1,8 +1,14 @@
 import dotenv from 'dotenv';
 import { startArchiveScheduler } from './services/archiveService.js';
+import { startOrderDueScheduler } from './services/orderDueService.js';
+import { startLotExpiryScheduler } from './services/lotService.js';
+import { startInventoryReconciliationScheduler } from './services/reconciliationService.js';
 
 dotenv.config();
 
 startArchiveScheduler();
+startOrderDueScheduler();
+startLotExpiryScheduler();
+startInventoryReconciliationScheduler();
 
-console.log('[INFO] Worker started: archive scheduler loop is active');
+console.log('[INFO] Worker started: archive, order-due, lot-expiry and stock-drift scheduler loops are active');